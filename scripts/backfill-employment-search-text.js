@@ -0,0 +1,50 @@
+/**
+ * Backfill Script: Employment Search Text
+ *
+ * Copies each teacher's employment history onto TeacherProfile.employmentSearchText
+ * so talent pool full-text search covers profiles created before the field existed.
+ * New and edited employment entries are kept in sync by the TeacherEmployment model.
+ *
+ * Run with: node scripts/backfill-employment-search-text.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const TeacherProfile = require('../src/models/TeacherProfile');
+const TeacherEmployment = require('../src/models/TeacherEmployment');
+
+async function main() {
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+
+  if (!mongoUri) {
+    console.error('MongoDB URI not found in environment variables');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    const teacherIds = await TeacherEmployment.distinct('teacherId');
+    let updated = 0;
+
+    for (const teacherId of teacherIds) {
+      await TeacherEmployment.syncSearchText(teacherId);
+      updated++;
+    }
+
+    // Build the talent pool text index if it does not exist yet
+    await TeacherProfile.createIndexes();
+
+    console.log(`Updated employment search text for ${updated} teacher(s)`);
+  } catch (err) {
+    console.error('Backfill failed:', err);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+main();
@@ -0,0 +1,65 @@
+/**
+ * Backfill Script: School Careers Page Slugs
+ *
+ * Gives every school profile created before careers pages a unique slug
+ * derived from its name. New schools get one when their profile is saved.
+ *
+ * Run with: node scripts/backfill-school-slugs.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const SchoolProfile = require('../src/models/SchoolProfile');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+
+  if (!mongoUri) {
+    console.error('MongoDB URI not found in environment variables');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    // Build the unique slug index before assigning slugs
+    if (!dryRun) {
+      await SchoolProfile.createIndexes();
+    }
+
+    const schools = await SchoolProfile.find({
+      $or: [{ slug: { $exists: false } }, { slug: null }],
+    }).select('schoolName');
+    let updated = 0;
+
+    for (const school of schools) {
+      const slug = await SchoolProfile.generateUniqueSlug(
+        school.schoolName,
+        school._id
+      );
+
+      if (dryRun) {
+        console.log(`[dry-run] ${school.schoolName} -> ${slug}`);
+      } else {
+        await SchoolProfile.updateOne({ _id: school._id }, { $set: { slug } });
+      }
+      updated++;
+    }
+
+    console.log(
+      `${dryRun ? 'Would assign' : 'Assigned'} slugs to ${updated} school(s)`
+    );
+  } catch (err) {
+    console.error('Backfill failed:', err);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+main();
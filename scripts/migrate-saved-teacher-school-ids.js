@@ -0,0 +1,147 @@
+/**
+ * Migration Script: SavedTeacher School IDs
+ *
+ * SavedTeacher.schoolId used to hold the school's User ID. Shortlists are now
+ * shared by a school's staff, so it holds the SchoolProfile ID instead.
+ * This rewrites existing entries from the User ID to the matching SchoolProfile.
+ * If the teacher was saved again under the SchoolProfile in the meantime, the
+ * legacy entry's notes, tags, shortlists, reviewer notes, ratings and
+ * invitations are merged into that entry and the legacy entry is deleted.
+ * Run it once as part of the deploy that introduces shared shortlists.
+ *
+ * Run with: node scripts/migrate-saved-teacher-school-ids.js
+ *
+ * Options:
+ *   --dry-run    Preview changes without applying them
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const SavedTeacher = require('../src/models/SavedTeacher');
+const SchoolProfile = require('../src/models/SchoolProfile');
+
+const DRY_RUN = process.argv.slice(2).includes('--dry-run');
+
+const NOTES_MAX_LENGTH = 500;
+
+/**
+ * Fold a legacy entry into the entry already saved under the SchoolProfile
+ */
+function mergeInto(target, legacy) {
+  const legacyNotes = (legacy.notes || '').trim();
+  if (legacyNotes && !target.notes.includes(legacyNotes)) {
+    target.notes = [target.notes, legacyNotes]
+      .filter(Boolean)
+      .join('\n')
+      .slice(0, NOTES_MAX_LENGTH);
+  }
+
+  target.tags = [...new Set([...target.tags, ...legacy.tags])].slice(
+    0,
+    SavedTeacher.MAX_TAGS
+  );
+
+  const shortlistIds = new Set(target.shortlistIds.map(String));
+  for (const shortlistId of legacy.shortlistIds) {
+    if (!shortlistIds.has(shortlistId.toString())) {
+      target.shortlistIds.push(shortlistId);
+    }
+  }
+
+  target.reviewerNotes.push(...legacy.reviewerNotes);
+
+  // One rating per reviewer: keep the entry's own rating where both exist
+  const reviewers = new Set(target.ratings.map((r) => r.reviewerId.toString()));
+  for (const rating of legacy.ratings) {
+    if (!reviewers.has(rating.reviewerId.toString())) {
+      target.ratings.push(rating);
+    }
+  }
+
+  target.invitations.push(...legacy.invitations);
+
+  if (legacy.savedAt < target.savedAt) {
+    target.savedAt = legacy.savedAt;
+  }
+}
+
+async function main() {
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+
+  if (!mongoUri) {
+    console.error('MongoDB URI not found in environment variables');
+    process.exit(1);
+  }
+
+  const stats = { checked: 0, migrated: 0, moved: 0, merged: 0, skipped: 0 };
+
+  try {
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+    console.log(`Mode: ${DRY_RUN ? 'DRY RUN (no changes will be made)' : 'LIVE'}`);
+
+    const ids = await SavedTeacher.distinct('schoolId');
+
+    for (const id of ids) {
+      stats.checked++;
+
+      // Already a SchoolProfile ID
+      if (await SchoolProfile.exists({ _id: id })) {
+        stats.skipped++;
+        continue;
+      }
+
+      const schoolProfile = await SchoolProfile.findOne({ userId: id })
+        .select('_id')
+        .lean();
+      if (!schoolProfile) {
+        console.log(`No school profile for user ${id}, leaving its entries`);
+        stats.skipped++;
+        continue;
+      }
+
+      const legacyEntries = await SavedTeacher.find({ schoolId: id });
+      for (const legacy of legacyEntries) {
+        const existing = await SavedTeacher.findOne({
+          schoolId: schoolProfile._id,
+          teacherProfileId: legacy.teacherProfileId,
+        });
+
+        if (!existing) {
+          if (!DRY_RUN) {
+            await SavedTeacher.updateOne(
+              { _id: legacy._id },
+              { $set: { schoolId: schoolProfile._id } }
+            );
+          }
+          stats.moved++;
+          continue;
+        }
+
+        if (!DRY_RUN) {
+          mergeInto(existing, legacy);
+          await existing.save();
+          await SavedTeacher.deleteOne({ _id: legacy._id });
+        }
+        stats.merged++;
+      }
+      stats.migrated++;
+    }
+
+    console.log(
+      `Checked ${stats.checked} school(s): ${stats.migrated} migrated, ${stats.skipped} skipped`
+    );
+    console.log(
+      `Saved teachers: ${stats.moved} moved, ${stats.merged} merged into an existing entry`
+    );
+  } catch (err) {
+    console.error('Migration failed:', err);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+main();
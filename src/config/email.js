@@ -41,10 +41,26 @@ const emailSubjects = {
   kycRejected: "KYC Review Update - Action Required",
   kycResubmission: "KYC Resubmission Required - Educate Global Hub",
   adFeedback: "Ad Request Update - Educate Global Hub",
+  savedJobReminder: "Job Application Reminder - Educate Global Hub",
+  savedSearchAlert: "New Jobs Matching Your Search - Educate Global Hub",
+  interviewScheduled: "Interview Scheduled - Educate Global Hub",
+  interviewUpdated: "Interview Updated - Educate Global Hub",
+  interviewCancelled: "Interview Cancelled - Educate Global Hub",
+  interviewResponse: "Interview Response Received - Educate Global Hub",
+  newMessage: "New Message - Educate Global Hub",
+  offerSent: "You Have Received a Job Offer - Educate Global Hub",
+  offerAccepted: "Job Offer Accepted - Educate Global Hub",
+  offerDeclined: "Job Offer Declined - Educate Global Hub",
+  offerWithdrawn: "Job Offer Withdrawn - Educate Global Hub",
+  referenceRequest: "Reference Request - Educate Global Hub",
+  schoolStaffInvitation:
+    "You're Invited to Join a School Team - Educate Global Hub",
+  resourceUpdated: "A Resource You Bought Has Been Updated - Educate Global Hub",
 };
 
 // Send email function
-const sendEmail = async (to, subject, html) => {
+// attachments: optional nodemailer attachments ({ filename, content, contentType })
+const sendEmail = async (to, subject, html, attachments = []) => {
   try {
     const transporter = createTransporter();
 
@@ -55,6 +71,10 @@ const sendEmail = async (to, subject, html) => {
       html,
     };
 
+    if (attachments.length > 0) {
+      mailOptions.attachments = attachments;
+    }
+
     const result = await transporter.sendMail(mailOptions);
     return { success: true, messageId: result.messageId };
   } catch (error) {
@@ -189,6 +209,78 @@ const sendAdFeedbackEmail = async (email, userName, jobTitle, status, feedback)
   return await sendEmail(email, emailSubjects.adFeedback, html);
 };
 
+// Send saved job reminder email to teacher
+const sendSavedJobReminderEmail = async (email, templateData) => {
+  const html = await getEmailTemplate("saved-job-reminder", templateData);
+  return await sendEmail(email, emailSubjects.savedJobReminder, html);
+};
+
+// Send saved search alert email to teacher
+const sendSavedSearchAlertEmail = async (email, templateData) => {
+  const html = await getEmailTemplate("saved-search-alert", templateData);
+  return await sendEmail(email, emailSubjects.savedSearchAlert, html);
+};
+
+// Send interview email, optionally with an .ics calendar invite
+// event: 'scheduled' | 'updated' | 'cancelled' | 'response'
+const sendInterviewEmail = async (email, event, templateData, ics = null) => {
+  const subjects = {
+    scheduled: emailSubjects.interviewScheduled,
+    updated: emailSubjects.interviewUpdated,
+    cancelled: emailSubjects.interviewCancelled,
+    response: emailSubjects.interviewResponse,
+  };
+  const html = await getEmailTemplate("interview-update", templateData);
+  const attachments = ics
+    ? [
+        {
+          filename: "interview.ics",
+          content: ics.content,
+          contentType: `text/calendar; charset=utf-8; method=${ics.method}`,
+        },
+      ]
+    : [];
+
+  return await sendEmail(email, subjects[event], html, attachments);
+};
+
+// Send new message email to an offline recipient
+const sendNewMessageEmail = async (email, templateData) => {
+  const html = await getEmailTemplate("new-message", templateData);
+  return await sendEmail(email, emailSubjects.newMessage, html);
+};
+
+// Send offer email
+// event: 'sent' | 'accepted' | 'declined' | 'withdrawn'
+const sendOfferEmail = async (email, event, templateData) => {
+  const subjects = {
+    sent: emailSubjects.offerSent,
+    accepted: emailSubjects.offerAccepted,
+    declined: emailSubjects.offerDeclined,
+    withdrawn: emailSubjects.offerWithdrawn,
+  };
+  const html = await getEmailTemplate("offer-update", templateData);
+  return await sendEmail(email, subjects[event], html);
+};
+
+// Send reference form link to a referee
+const sendReferenceRequestEmail = async (email, templateData) => {
+  const html = await getEmailTemplate("reference-request", templateData);
+  return await sendEmail(email, emailSubjects.referenceRequest, html);
+};
+
+// Send school staff invitation with accept link
+const sendSchoolStaffInvitationEmail = async (email, templateData) => {
+  const html = await getEmailTemplate("school-staff-invitation", templateData);
+  return await sendEmail(email, emailSubjects.schoolStaffInvitation, html);
+};
+
+// Tell a past buyer that a new version of a resource is available
+const sendResourceUpdateEmail = async (email, templateData) => {
+  const html = await getEmailTemplate("resource-update", templateData);
+  return await sendEmail(email, emailSubjects.resourceUpdated, html);
+};
+
 module.exports = {
   sendEmail,
   sendVerificationEmail,
@@ -203,4 +295,12 @@ module.exports = {
   sendKYCRejectedEmail,
   sendKYCResubmissionEmail,
   sendAdFeedbackEmail,
+  sendSavedJobReminderEmail,
+  sendSavedSearchAlertEmail,
+  sendInterviewEmail,
+  sendNewMessageEmail,
+  sendOfferEmail,
+  sendReferenceRequestEmail,
+  sendSchoolStaffInvitationEmail,
+  sendResourceUpdateEmail,
 };
@@ -464,6 +464,8 @@ async function createCheckoutSession(sessionData) {
     currency,
     resourceId,
     resourceTitle,
+    description = "Digital educational resource",
+    lineItems,
     buyerEmail,
     successUrl,
     cancelUrl,
@@ -473,25 +475,27 @@ async function createCheckoutSession(sessionData) {
   try {
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ["card"],
-      line_items: [
-        {
-          price_data: {
-            currency: currency.toLowerCase(),
-            product_data: {
-              name: resourceTitle,
-              description: "Digital educational resource",
-            },
-            unit_amount: amount,
+      // Cart checkouts pass one line per resource ({ name, description, amount })
+      line_items: (
+        lineItems || [{ name: resourceTitle, description, amount }]
+      ).map((item) => ({
+        price_data: {
+          currency: currency.toLowerCase(),
+          product_data: {
+            name: item.name,
+            description: item.description,
           },
-          quantity: 1,
+          unit_amount: item.amount,
         },
-      ],
+        quantity: 1,
+      })),
       mode: "payment",
       success_url: successUrl,
       cancel_url: cancelUrl,
       customer_email: buyerEmail,
       metadata: {
-        resourceId,
+        // Bundle and cart checkouts have no single resource
+        ...(resourceId && { resourceId }),
         ...metadata,
         marketplace: "educate_global_hub",
       },
@@ -64,7 +64,7 @@ const getAdTierBySlug = async (req, res) => {
  */
 const createAdRequest = async (req, res) => {
   try {
-    const { userId, role } = req.user;
+    const { accountUserId: userId, role } = req.user;
 
     if (role !== "school") {
       return forbiddenResponse(res, "Only schools can create ad requests");
@@ -146,7 +146,7 @@ const createAdRequest = async (req, res) => {
  */
 const getMyAdRequests = async (req, res) => {
   try {
-    const { userId, role } = req.user;
+    const { accountUserId: userId, role } = req.user;
 
     if (role !== "school") {
       return forbiddenResponse(res, "Only schools can view their ad requests");
@@ -175,7 +175,7 @@ const getMyAdRequests = async (req, res) => {
  */
 const cancelAdRequest = async (req, res) => {
   try {
-    const { userId, role } = req.user;
+    const { accountUserId: userId, role } = req.user;
     const { id } = req.params;
 
     if (role !== "school") {
@@ -222,7 +222,7 @@ const cancelAdRequest = async (req, res) => {
  */
 const resubmitAdRequest = async (req, res) => {
   try {
-    const { userId, role } = req.user;
+    const { accountUserId: userId, role } = req.user;
     const { id } = req.params;
 
     if (role !== "school") {
@@ -335,7 +335,7 @@ const getActiveBanners = async (req, res) => {
  */
 const createAdCheckout = async (req, res) => {
   try {
-    const { userId, role } = req.user;
+    const { accountUserId: userId, role } = req.user;
     const { id } = req.params;
 
     if (role !== "school") {
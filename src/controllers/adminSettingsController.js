@@ -87,6 +87,9 @@ const getPlatformSettings = async (req, res) => {
         EUR: settings.minimumPayout.EUR,
         EURFormatted: `€${(settings.minimumPayout.EUR / 100).toFixed(2)}`,
       },
+      promotions: {
+        campaigns: settings.promotions?.campaigns || [],
+      },
       general: settings.general,
       lastUpdatedAt: settings.updatedAt,
       lastUpdatedBy: settings.lastUpdatedBy,
@@ -355,10 +358,65 @@ const updateMinimumPayout = async (req, res) => {
   }
 };
 
+// Validate sitewide campaigns, returning a list of errors
+const validateCampaigns = (campaigns) => {
+  if (!Array.isArray(campaigns)) {
+    return ["Campaigns must be a list"];
+  }
+
+  const errors = [];
+  campaigns.forEach((campaign, index) => {
+    const label = campaign.name || `Campaign ${index + 1}`;
+    const percentOff = parseFloat(campaign.percentOff);
+    const startsAt = new Date(campaign.startsAt);
+    const endsAt = new Date(campaign.endsAt);
+
+    if (!campaign.name || !String(campaign.name).trim()) {
+      errors.push(`Campaign ${index + 1}: Name is required`);
+    }
+    if (isNaN(percentOff) || percentOff < 1 || percentOff > 90) {
+      errors.push(`${label}: Discount must be between 1% and 90%`);
+    }
+    if (isNaN(startsAt) || isNaN(endsAt)) {
+      errors.push(`${label}: Start and end dates are required`);
+    } else if (endsAt <= startsAt) {
+      errors.push(`${label}: End date must be after the start date`);
+    }
+  });
+  return errors;
+};
+
+// Update sitewide promotional campaigns
+const updatePromotionSettings = async (req, res) => {
+  try {
+    const { campaigns } = req.body;
+    const adminId = req.user._id;
+
+    const validationErrors = validateCampaigns(campaigns);
+    if (validationErrors.length > 0) {
+      return errorResponse(res, "Validation failed", 400, validationErrors);
+    }
+
+    const updatedSettings = await PlatformSettings.updateSettings(
+      { promotions: { campaigns } },
+      adminId
+    );
+
+    return successResponse(res, {
+      promotions: {
+        campaigns: updatedSettings.promotions.campaigns,
+      },
+    }, "Promotion settings updated successfully");
+  } catch (error) {
+    console.error("Error updating promotion settings:", error);
+    return errorResponse(res, "Failed to update promotion settings", error);
+  }
+};
+
 // Update all platform settings at once
 const updateAllSettings = async (req, res) => {
   try {
-    const { tiers, vat, minimumPayout, general } = req.body;
+    const { tiers, vat, minimumPayout, general, promotions } = req.body;
     const adminId = req.user._id;
 
     const updates = {};
@@ -398,6 +456,15 @@ const updateAllSettings = async (req, res) => {
       updates.general = general;
     }
 
+    // Process promotional campaigns
+    if (promotions?.campaigns) {
+      const validationErrors = validateCampaigns(promotions.campaigns);
+      if (validationErrors.length > 0) {
+        return errorResponse(res, "Validation failed", 400, validationErrors);
+      }
+      updates.promotions = promotions;
+    }
+
     const updatedSettings = await PlatformSettings.updateSettings(
       updates,
       adminId
@@ -531,6 +598,7 @@ module.exports = {
   updateTierSettings,
   updateVatSettings,
   updateMinimumPayout,
+  updatePromotionSettings,
   updateAllSettings,
   getTierRate,
   getGeneralSettings,
@@ -26,7 +26,8 @@ class ApplicationController {
       const application = await ApplicationService.submitApplication(
         jobId,
         teacherId,
-        applicationData
+        applicationData,
+        { userId, role }
       );
 
       return sendResponse(
@@ -103,13 +104,14 @@ class ApplicationController {
   static async updateApplicationStatus(req, res) {
     try {
       const { applicationId } = req.params;
-      const { schoolId } = req.user;
+      const { userId, role, schoolId } = req.user;
       const updateData = req.body;
 
       const application = await ApplicationService.updateApplicationStatus(
         applicationId,
         schoolId,
-        updateData
+        updateData,
+        { userId, role }
       );
 
       return sendResponse(
@@ -130,13 +132,21 @@ class ApplicationController {
   static async withdrawApplication(req, res) {
     try {
       const { applicationId } = req.params;
-      const { teacherId } = req.user;
+      const { userId, role } = req.user;
       const { reason } = req.body;
 
+      const teacherProfile = await require("../models/TeacherProfile")
+        .findOne({ userId })
+        .select("_id");
+      if (!teacherProfile) {
+        return sendResponse(res, 400, false, "Teacher profile not found");
+      }
+
       const application = await ApplicationService.withdrawApplication(
         applicationId,
-        teacherId,
-        reason
+        teacherProfile._id,
+        reason,
+        { userId, role }
       );
 
       return sendResponse(
@@ -462,7 +472,7 @@ class ApplicationController {
    */
   static async bulkUpdateApplicationStatuses(req, res) {
     try {
-      const { schoolId } = req.user;
+      const { userId, role, schoolId } = req.user;
       const { applicationIds, ...updateData } = req.body;
 
       if (
@@ -481,7 +491,8 @@ class ApplicationController {
       const results = await ApplicationService.bulkUpdateApplicationStatuses(
         applicationIds,
         schoolId,
-        updateData
+        updateData,
+        { userId, role }
       );
 
       const successCount = results.filter((r) => r.success).length;
@@ -508,7 +519,7 @@ class ApplicationController {
   static async scheduleInterview(req, res) {
     try {
       const { applicationId } = req.params;
-      const { schoolId } = req.user;
+      const { userId, role, schoolId } = req.user;
       const { interviewDate, interviewNotes } = req.body;
 
       if (!interviewDate) {
@@ -524,7 +535,8 @@ class ApplicationController {
       const application = await ApplicationService.updateApplicationStatus(
         applicationId,
         schoolId,
-        updateData
+        updateData,
+        { userId, role }
       );
 
       return sendResponse(res, 200, true, "Interview scheduled successfully", {
@@ -541,7 +553,7 @@ class ApplicationController {
   static async acceptApplication(req, res) {
     try {
       const { applicationId } = req.params;
-      const { schoolId } = req.user;
+      const { userId, role, schoolId } = req.user;
       const { notes } = req.body;
 
       const updateData = {
@@ -552,7 +564,8 @@ class ApplicationController {
       const application = await ApplicationService.updateApplicationStatus(
         applicationId,
         schoolId,
-        updateData
+        updateData,
+        { userId, role }
       );
 
       return sendResponse(res, 200, true, "Application accepted successfully", {
@@ -569,7 +582,7 @@ class ApplicationController {
   static async rejectApplication(req, res) {
     try {
       const { applicationId } = req.params;
-      const { schoolId } = req.user;
+      const { userId, role, schoolId } = req.user;
       const { rejectionReason, notes } = req.body;
 
       if (!rejectionReason) {
@@ -585,7 +598,8 @@ class ApplicationController {
       const application = await ApplicationService.updateApplicationStatus(
         applicationId,
         schoolId,
-        updateData
+        updateData,
+        { userId, role }
       );
 
       return sendResponse(res, 200, true, "Application rejected successfully", {
@@ -602,7 +616,7 @@ class ApplicationController {
   static async shortlistApplication(req, res) {
     try {
       const { applicationId } = req.params;
-      const { schoolId } = req.user;
+      const { userId, role, schoolId } = req.user;
       const { notes } = req.body;
 
       const updateData = {
@@ -613,7 +627,8 @@ class ApplicationController {
       const application = await ApplicationService.updateApplicationStatus(
         applicationId,
         schoolId,
-        updateData
+        updateData,
+        { userId, role }
       );
 
       return sendResponse(
@@ -634,7 +649,7 @@ class ApplicationController {
   static async moveToReviewing(req, res) {
     try {
       const { applicationId } = req.params;
-      const { schoolId } = req.user;
+      const { userId, role, schoolId } = req.user;
       const { notes } = req.body;
 
       const updateData = {
@@ -645,7 +660,8 @@ class ApplicationController {
       const application = await ApplicationService.updateApplicationStatus(
         applicationId,
         schoolId,
-        updateData
+        updateData,
+        { userId, role }
       );
 
       return sendResponse(
@@ -661,80 +677,43 @@ class ApplicationController {
   }
 
   /**
-   * Get application timeline
+   * Move application to a pipeline stage
    */
-  static async getApplicationTimeline(req, res) {
+  static async moveApplicationStage(req, res) {
     try {
       const { applicationId } = req.params;
-      const { userId, role } = req.user;
+      const { userId, role, schoolId } = req.user;
+      const { stage, notes, rejectionReason } = req.body;
 
-      const application = await ApplicationService.getApplicationById(
+      const application = await ApplicationService.updateApplicationStatus(
         applicationId,
-        { populateJob: true, populateTeacher: true }
+        schoolId,
+        { stage, notes, rejectionReason },
+        { userId, role }
       );
 
-      // Verify access
-      if (role === "teacher" && application.teacherId.toString() !== userId) {
-        return sendResponse(
-          res,
-          403,
-          false,
-          "Access denied to this application"
-        );
-      }
-
-      if (role === "school") {
-        const job = await require("../models/Job").findById(application.jobId);
-        if (!job || job.schoolId.toString() !== userId) {
-          return sendResponse(
-            res,
-            403,
-            false,
-            "Access denied to this application"
-          );
-        }
-      }
-
-      // Build timeline
-      const timeline = [
-        {
-          date: application.createdAt,
-          action: "Application Submitted",
-          description: "Application was submitted",
-          status: "completed",
-        },
-      ];
-
-      if (application.reviewedAt) {
-        timeline.push({
-          date: application.reviewedAt,
-          action: "Application Reviewed",
-          description: `Status changed to ${application.status}`,
-          status: "completed",
-        });
-      }
-
-      if (application.interviewDate) {
-        timeline.push({
-          date: application.interviewDate,
-          action: "Interview Scheduled",
-          description: application.interviewNotes || "Interview scheduled",
-          status: "completed",
-        });
-      }
+      return sendResponse(res, 200, true, "Application moved successfully", {
+        application,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
 
-      if (application.withdrawnAt) {
-        timeline.push({
-          date: application.withdrawnAt,
-          action: "Application Withdrawn",
-          description:
-            application.withdrawnReason || "Application was withdrawn",
-          status: "completed",
-        });
-      }
+  /**
+   * Get application timeline
+   * Schools may filter by actorRole, actorId and type
+   */
+  static async getApplicationTimeline(req, res) {
+    try {
+      const { applicationId } = req.params;
+      const { actorRole, actorId, type } = req.query;
 
-      // Sort timeline by date
-      timeline.sort((a, b) => new Date(a.date) - new Date(b.date));
+      const timeline = await ApplicationService.getApplicationTimeline(
+        applicationId,
+        req.user,
+        { actorRole, actorId, type }
+      );
 
       return sendResponse(
         res,
@@ -743,6 +722,58 @@ class ApplicationController {
         "Application timeline retrieved successfully",
         { timeline }
       );
+    } catch (error) {
+      const code = error.message.includes("Access denied") ? 403 : 400;
+      return sendResponse(res, code, false, error.message);
+    }
+  }
+
+  /**
+   * Add an internal note to an application (school only)
+   */
+  static async addApplicationNote(req, res) {
+    try {
+      const { applicationId } = req.params;
+      const { userId, schoolId } = req.user;
+
+      const note = await ApplicationService.addApplicationNote(
+        applicationId,
+        schoolId,
+        req.body.note,
+        { userId }
+      );
+
+      return sendResponse(res, 201, true, "Note added successfully", { note });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Attach additional documents to an application (teacher only)
+   */
+  static async addApplicationDocuments(req, res) {
+    try {
+      const { applicationId } = req.params;
+      const { userId } = req.user;
+
+      const teacherProfile = await require("../models/TeacherProfile")
+        .findOne({ userId })
+        .select("_id");
+      if (!teacherProfile) {
+        return sendResponse(res, 400, false, "Teacher profile not found");
+      }
+
+      const application = await ApplicationService.addApplicationDocuments(
+        applicationId,
+        teacherProfile._id,
+        req.body.documents,
+        { userId }
+      );
+
+      return sendResponse(res, 200, true, "Documents added successfully", {
+        application,
+      });
     } catch (error) {
       return sendResponse(res, 400, false, error.message);
     }
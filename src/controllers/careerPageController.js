@@ -0,0 +1,105 @@
+const CareerPageService = require("../services/careerPageService");
+const { sendResponse } = require("../utils/response");
+
+// Base URL of the careers API as seen by the caller (used in embed code)
+const apiBaseUrl = (req) =>
+  `${req.protocol}://${req.get("host")}${req.baseUrl}`;
+
+class CareerPageController {
+  /**
+   * Public careers page of a school
+   */
+  static async getCareersPage(req, res) {
+    try {
+      const page = await CareerPageService.getCareersPage(req.params.slug);
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Careers page retrieved successfully",
+        page
+      );
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Open jobs feed for the embeddable widget
+   */
+  static async getWidgetFeed(req, res) {
+    try {
+      const feed = await CareerPageService.getWidgetFeed(
+        req.params.slug,
+        req.query
+      );
+
+      res.set("Cache-Control", "public, max-age=300");
+      return sendResponse(res, 200, true, "Jobs retrieved successfully", feed);
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Widget script to embed on a school's website
+   */
+  static async getWidgetScript(req, res) {
+    try {
+      const script = await CareerPageService.getWidgetScript();
+
+      res.set("Cache-Control", "public, max-age=3600");
+      return res.type("application/javascript").send(script);
+    } catch (error) {
+      return sendResponse(res, 500, false, "Failed to load careers widget");
+    }
+  }
+
+  /**
+   * Careers page links and embed code for the caller's school
+   */
+  static async getMyCareersPage(req, res) {
+    try {
+      const careersPage = await CareerPageService.getMyCareersPage(
+        req.user,
+        apiBaseUrl(req)
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Careers page settings retrieved successfully",
+        careersPage
+      );
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Change the careers page address of the caller's school
+   */
+  static async updateSlug(req, res) {
+    try {
+      const careersPage = await CareerPageService.updateSlug(
+        req.user,
+        req.body.slug,
+        apiBaseUrl(req)
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Careers page address updated successfully",
+        careersPage
+      );
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+}
+
+module.exports = CareerPageController;
@@ -0,0 +1,95 @@
+const CartService = require("../services/cartService");
+const { errorResponse, successResponse } = require("../utils/response");
+
+exports.getCart = async (req, res) => {
+  try {
+    const cart = await CartService.getCart(req.user, {
+      buyerCountry: req.query.buyerCountry
+        ? String(req.query.buyerCountry).toUpperCase()
+        : undefined,
+      couponCode: req.query.couponCode || null,
+    });
+    return successResponse(res, cart, "Cart retrieved successfully");
+  } catch (error) {
+    console.error("Get Cart Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to fetch cart",
+      error.status || 500
+    );
+  }
+};
+
+exports.addCartItem = async (req, res) => {
+  try {
+    const cart = await CartService.addItem(req.user, req.body);
+    return successResponse(res, cart, "Resource added to cart");
+  } catch (error) {
+    console.error("Add Cart Item Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to add resource to cart",
+      error.status || 500
+    );
+  }
+};
+
+exports.updateCartItem = async (req, res) => {
+  try {
+    const cart = await CartService.updateItem(
+      req.user,
+      req.params.resourceId,
+      req.body
+    );
+    return successResponse(res, cart, "Cart updated successfully");
+  } catch (error) {
+    console.error("Update Cart Item Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to update cart",
+      error.status || 500
+    );
+  }
+};
+
+exports.removeCartItem = async (req, res) => {
+  try {
+    const cart = await CartService.removeItem(req.user, req.params.resourceId);
+    return successResponse(res, cart, "Resource removed from cart");
+  } catch (error) {
+    console.error("Remove Cart Item Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to remove resource from cart",
+      error.status || 500
+    );
+  }
+};
+
+exports.clearCart = async (req, res) => {
+  try {
+    await CartService.clearCart(req.user);
+    return successResponse(res, null, "Cart cleared");
+  } catch (error) {
+    console.error("Clear Cart Error:", error);
+    return errorResponse(res, "Failed to clear cart", 500);
+  }
+};
+
+exports.checkoutCart = async (req, res) => {
+  try {
+    const checkout = await CartService.createCheckout(req.user, req.body);
+    return successResponse(
+      res,
+      checkout,
+      "Checkout session created. Redirecting to payment..."
+    );
+  } catch (error) {
+    console.error("Cart Checkout Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Checkout failed",
+      error.status || 500
+    );
+  }
+};
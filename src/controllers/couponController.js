@@ -0,0 +1,58 @@
+const PromotionService = require("../services/promotionService");
+const { errorResponse, successResponse } = require("../utils/response");
+
+exports.createCoupon = async (req, res) => {
+  try {
+    const coupon = await PromotionService.createCoupon(req.user, req.body);
+    return successResponse(res, coupon, "Coupon created successfully", 201);
+  } catch (error) {
+    console.error("Create Coupon Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to create coupon",
+      error.status || 500
+    );
+  }
+};
+
+exports.getMyCoupons = async (req, res) => {
+  try {
+    const coupons = await PromotionService.getCoupons(req.user);
+    return successResponse(res, coupons, "Coupons retrieved successfully");
+  } catch (error) {
+    console.error("Get Coupons Error:", error);
+    return errorResponse(res, "Failed to fetch coupons", 500);
+  }
+};
+
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = await PromotionService.updateCoupon(
+      req.user,
+      req.params.couponId,
+      req.body
+    );
+    return successResponse(res, coupon, "Coupon updated successfully");
+  } catch (error) {
+    console.error("Update Coupon Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to update coupon",
+      error.status || 500
+    );
+  }
+};
+
+exports.deleteCoupon = async (req, res) => {
+  try {
+    await PromotionService.deleteCoupon(req.user, req.params.couponId);
+    return successResponse(res, null, "Coupon deleted successfully");
+  } catch (error) {
+    console.error("Delete Coupon Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to delete coupon",
+      error.status || 500
+    );
+  }
+};
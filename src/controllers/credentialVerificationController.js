@@ -0,0 +1,154 @@
+const CredentialVerificationService = require("../services/credentialVerificationService");
+const { sendResponse } = require("../utils/response");
+
+const REVIEW_MESSAGES = {
+  approve: "Credential verified successfully",
+  reject: "Verification rejected",
+  request_info: "More information requested from the teacher",
+};
+
+class CredentialVerificationController {
+  /**
+   * Submit a certification or qualification for verification (teacher)
+   */
+  static async submit(req, res) {
+    try {
+      const { userId } = req.user;
+
+      const verification = await CredentialVerificationService.submit(
+        userId,
+        req.body,
+        req.files || []
+      );
+
+      return sendResponse(
+        res,
+        201,
+        true,
+        "Credential submitted for verification",
+        { verification }
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get the teacher's verification requests
+   */
+  static async getMyVerifications(req, res) {
+    try {
+      const { userId } = req.user;
+
+      const verifications = await CredentialVerificationService.getForTeacher(
+        userId,
+        req.query
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Verifications retrieved successfully",
+        { verifications }
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Add a note or evidence after more information was requested (teacher)
+   */
+  static async addInformation(req, res) {
+    try {
+      const { id } = req.params;
+      const { userId } = req.user;
+
+      const verification = await CredentialVerificationService.addInformation(
+        userId,
+        id,
+        req.body.note,
+        req.files || []
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Information added. The credential is back in the review queue.",
+        { verification }
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get the review queue (admin)
+   */
+  static async getQueue(req, res) {
+    try {
+      const result = await CredentialVerificationService.getQueue(req.query);
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Verification queue retrieved successfully",
+        result
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get a verification request with its credential (admin)
+   */
+  static async getRequest(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await CredentialVerificationService.getRequest(id);
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Verification request retrieved successfully",
+        result
+      );
+    } catch (error) {
+      return sendResponse(res, 404, false, error.message);
+    }
+  }
+
+  /**
+   * Build a review handler for an admin action
+   * @param {string} action - approve | reject | request_info
+   */
+  static review(action) {
+    return async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { userId } = req.user;
+
+        const verification = await CredentialVerificationService.review(
+          id,
+          userId,
+          action,
+          req.body.comment
+        );
+
+        return sendResponse(res, 200, true, REVIEW_MESSAGES[action], {
+          verification,
+        });
+      } catch (error) {
+        return sendResponse(res, 400, false, error.message);
+      }
+    };
+  }
+}
+
+module.exports = CredentialVerificationController;
@@ -5,6 +5,8 @@ const SystemSettings = require("../models/SystemSettings");
 const Feature = require("../models/Feature");
 const WebhookEvent = require("../models/WebhookEvent");
 const UserSubscription = require("../models/UserSubscription");
+const CronRun = require("../models/CronRun");
+const { runLifecycleCheck } = require("../services/jobLifecycleService");
 const { successResponse, errorResponse } = require("../utils/response");
 
 /**
@@ -295,8 +297,63 @@ const getDataConsistency = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/v1/admin/system/cron-runs
+ * Returns scheduled job run history, newest first.
+ * Query: name (e.g. job-lifecycle), status, page, limit. Admin-only.
+ */
+const getCronRunHistory = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { runs, total } = await CronRun.getHistory(
+      { name: req.query.name, status: req.query.status },
+      { page, limit }
+    );
+
+    return successResponse(
+      res,
+      {
+        runs,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+      "Cron run history retrieved"
+    );
+  } catch (error) {
+    console.error("Error in getCronRunHistory:", error);
+    return errorResponse(res, "Failed to retrieve cron run history", 500);
+  }
+};
+
+/**
+ * POST /api/v1/admin/system/job-lifecycle/run
+ * Triggers the job lifecycle check immediately. Admin-only.
+ */
+const triggerJobLifecycleRun = async (req, res) => {
+  try {
+    const run = await runLifecycleCheck("manual");
+
+    if (!run) {
+      return errorResponse(res, "A job lifecycle run is already in progress", 409);
+    }
+
+    return successResponse(res, run, "Job lifecycle run completed");
+  } catch (error) {
+    console.error("Error in triggerJobLifecycleRun:", error);
+    return errorResponse(res, "Failed to run job lifecycle check", 500);
+  }
+};
+
 module.exports = {
   getSystemHealth,
   getFeatureFlags,
   getDataConsistency,
+  getCronRunHistory,
+  triggerJobLifecycleRun,
 };
@@ -0,0 +1,148 @@
+const InterviewService = require("../services/interviewService");
+const { sendResponse } = require("../utils/response");
+
+class InterviewController {
+  /**
+   * Schedule an interview round
+   */
+  static async scheduleInterview(req, res) {
+    try {
+      const { applicationId } = req.params;
+      const { userId, schoolId } = req.user;
+
+      const interview = await InterviewService.scheduleInterview(
+        applicationId,
+        schoolId,
+        userId,
+        req.body
+      );
+
+      return sendResponse(res, 201, true, "Interview scheduled successfully", {
+        interview,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get interview rounds for an application
+   */
+  static async getInterviews(req, res) {
+    try {
+      const { applicationId } = req.params;
+
+      const interviews = await InterviewService.getInterviews(
+        applicationId,
+        req.user
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Interviews retrieved successfully",
+        { interviews }
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Update or reschedule an interview
+   */
+  static async updateInterview(req, res) {
+    try {
+      const { applicationId, interviewId } = req.params;
+      const { userId, schoolId } = req.user;
+
+      const interview = await InterviewService.updateInterview(
+        applicationId,
+        interviewId,
+        schoolId,
+        userId,
+        req.body
+      );
+
+      return sendResponse(res, 200, true, "Interview updated successfully", {
+        interview,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Cancel an interview
+   */
+  static async cancelInterview(req, res) {
+    try {
+      const { applicationId, interviewId } = req.params;
+      const { userId, schoolId } = req.user;
+
+      const interview = await InterviewService.cancelInterview(
+        applicationId,
+        interviewId,
+        schoolId,
+        userId,
+        req.body.reason
+      );
+
+      return sendResponse(res, 200, true, "Interview cancelled successfully", {
+        interview,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Mark an interview as completed
+   */
+  static async completeInterview(req, res) {
+    try {
+      const { applicationId, interviewId } = req.params;
+      const { userId, schoolId } = req.user;
+
+      const interview = await InterviewService.completeInterview(
+        applicationId,
+        interviewId,
+        schoolId,
+        userId,
+        req.body.feedback
+      );
+
+      return sendResponse(res, 200, true, "Interview marked as completed", {
+        interview,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Accept, decline or ask to reschedule an interview
+   */
+  static async respondToInterview(req, res) {
+    try {
+      const { applicationId, interviewId } = req.params;
+      const { userId } = req.user;
+
+      const interview = await InterviewService.respondToInterview(
+        applicationId,
+        interviewId,
+        userId,
+        req.body
+      );
+
+      return sendResponse(res, 200, true, "Interview response recorded", {
+        interview,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+}
+
+module.exports = InterviewController;
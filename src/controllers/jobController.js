@@ -1,6 +1,9 @@
 const JobService = require("../services/jobService");
 const ApplicationService = require("../services/applicationService");
 const SavedJobService = require("../services/savedJobService");
+const {
+  getRankedCandidatesForJob,
+} = require("../services/jobRecommendationService");
 const {
   successResponse,
   errorResponse,
@@ -105,7 +108,7 @@ class JobController {
 
       // Validate subscription for featured listing
       if (jobData.isFeatured) {
-        const featureResult = await checkFeatureAccess(userId, "featured_listing");
+        const featureResult = await checkFeatureAccess(req.user.billingUserId, "featured_listing");
         if (!featureResult.hasAccess) {
           console.log(`User ${userId} does not have access to featured_listing feature. Reason: ${featureResult.reason}`);
           // Silently disable the feature (soft enforcement)
@@ -113,7 +116,7 @@ class JobController {
           console.log("Featured listing disabled due to subscription requirement");
         } else {
           // Check usage limit
-          const usageResult = await UserSubscription.checkUsageLimit(userId, "featuredListings");
+          const usageResult = await UserSubscription.checkUsageLimit(req.user.billingUserId, "featuredListings");
           if (!usageResult.withinLimit) {
             console.log(`User ${userId} has reached featured listing limit: ${usageResult.current}/${usageResult.limit}`);
             jobData.isFeatured = false;
@@ -130,7 +133,7 @@ class JobController {
       // Increment usage counter if featured listing was enabled
       if (jobData.isFeatured && !isDraft) {
         try {
-          await UserSubscription.incrementUsage(userId, "featuredListings", 1);
+          await UserSubscription.incrementUsage(req.user.billingUserId, "featuredListings", 1);
           console.log(`Featured listing usage incremented for user ${userId}`);
         } catch (usageError) {
           console.error("Failed to increment featured listing usage:", usageError);
@@ -216,7 +219,12 @@ class JobController {
 
       // Always sanitize data before sending to frontend to remove Mongoose internals
       return sendResponse(res, 200, true, "Job retrieved successfully", {
-        job: JobService.sanitizeJobForPublic(job),
+        job: JobService.sanitizeJobForPublic(job, {
+          includeScreeningRules:
+            role === "school" &&
+            !!req.user.schoolId &&
+            job.schoolId._id.toString() === req.user.schoolId.toString(),
+        }),
         school: {
           name: job.schoolId.schoolName,
           country: job.schoolId.country,
@@ -263,13 +271,13 @@ class JobController {
 
       // Validate subscription and usage for featured listing
       if (updateData.isFeatured) {
-        const featureResult = await checkFeatureAccess(userId, "featured_listing");
+        const featureResult = await checkFeatureAccess(req.user.billingUserId, "featured_listing");
         if (!featureResult.hasAccess) {
           console.log(`User ${userId} does not have access to featured_listing feature during update. Reason: ${featureResult.reason}`);
           updateData.isFeatured = false;
         } else {
           // Check usage limit
-          const usageResult = await UserSubscription.checkUsageLimit(userId, "featuredListings");
+          const usageResult = await UserSubscription.checkUsageLimit(req.user.billingUserId, "featuredListings");
           if (!usageResult.withinLimit) {
             console.log(`User ${userId} has reached featured listing limit during update: ${usageResult.current}/${usageResult.limit}`);
             updateData.isFeatured = false;
@@ -291,7 +299,7 @@ class JobController {
       // Increment usage if we newly enabled featured
       if (updateData.isFeatured && wasNotFeatured) {
         try {
-          await UserSubscription.incrementUsage(userId, "featuredListings", 1);
+          await UserSubscription.incrementUsage(req.user.billingUserId, "featuredListings", 1);
           console.log(`Featured listing usage incremented for user ${userId} during job update`);
         } catch (usageError) {
           console.error("Failed to increment featured listing usage:", usageError);
@@ -427,13 +435,13 @@ class JobController {
       // Validate subscription and usage for featured listing
       if (isFeatured !== undefined) {
         if (isFeatured) {
-          const featureResult = await checkFeatureAccess(userId, "featured_listing");
+          const featureResult = await checkFeatureAccess(req.user.billingUserId, "featured_listing");
           if (!featureResult.hasAccess) {
             console.log(`User ${userId} does not have access to featured_listing feature. Reason: ${featureResult.reason}`);
             updateData.isFeatured = false;
           } else {
             // Check usage limit
-            const usageResult = await UserSubscription.checkUsageLimit(userId, "featuredListings");
+            const usageResult = await UserSubscription.checkUsageLimit(req.user.billingUserId, "featuredListings");
             if (!usageResult.withinLimit) {
               console.log(`User ${userId} has reached featured listing limit: ${usageResult.current}/${usageResult.limit}`);
               updateData.isFeatured = false;
@@ -451,7 +459,7 @@ class JobController {
       // Increment usage if we newly enabled featured
       if (updateData.isFeatured && wasNotFeatured) {
         try {
-          await UserSubscription.incrementUsage(userId, "featuredListings", 1);
+          await UserSubscription.incrementUsage(req.user.billingUserId, "featuredListings", 1);
           console.log(`Featured listing usage incremented for user ${userId} during flag update`);
         } catch (usageError) {
           console.error("Failed to increment featured listing usage:", usageError);
@@ -577,6 +585,9 @@ class JobController {
 
       const filters = {
         status: req.query.status || "all",
+        screeningOutcome: req.query.screeningOutcome,
+        sortBy: req.query.sortBy,
+        sortOrder: req.query.sortOrder,
       };
 
       const pagination = {
@@ -643,6 +654,53 @@ class JobController {
     }
   }
 
+  /**
+   * Get candidates for a job ranked by match score
+   */
+  static async getRankedCandidates(req, res) {
+    try {
+      const { jobId } = req.params;
+      const { userId, role, schoolId } = req.user;
+
+      if (!userId || role !== "school") {
+        return sendResponse(
+          res,
+          403,
+          false,
+          "Access denied. User must be a school."
+        );
+      }
+
+      if (!schoolId) {
+        return sendResponse(
+          res,
+          403,
+          false,
+          "School profile not found. Access denied."
+        );
+      }
+
+      const source =
+        req.query.source === "talent_pool" ? "talent_pool" : "applicants";
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      const result = await getRankedCandidatesForJob(jobId, schoolId, {
+        source,
+        limit,
+      });
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Ranked candidates retrieved successfully",
+        result
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
   /**
    * Get school dashboard stats
    */
@@ -0,0 +1,51 @@
+const JobFeedService = require("../services/jobFeedService");
+const { sendResponse } = require("../utils/response");
+
+// Aggregators poll often; let them and proxies reuse a feed for a while
+const FEED_CACHE_CONTROL = "public, max-age=900";
+
+class JobFeedController {
+  /**
+   * Indeed-style XML feed of published jobs
+   */
+  static async getIndeedFeed(req, res) {
+    try {
+      const feed = await JobFeedService.getIndeedFeed(req.query);
+
+      res.set("Cache-Control", FEED_CACHE_CONTROL);
+      return res.type("application/xml").send(feed);
+    } catch (error) {
+      return sendResponse(res, error.status || 500, false, error.message);
+    }
+  }
+
+  /**
+   * RSS 2.0 feed of published jobs
+   */
+  static async getRssFeed(req, res) {
+    try {
+      const feed = await JobFeedService.getRssFeed(req.query);
+
+      res.set("Cache-Control", FEED_CACHE_CONTROL);
+      return res.type("application/rss+xml").send(feed);
+    } catch (error) {
+      return sendResponse(res, error.status || 500, false, error.message);
+    }
+  }
+
+  /**
+   * schema.org JobPosting JSON-LD for a job detail page
+   */
+  static async getJobPosting(req, res) {
+    try {
+      const posting = await JobFeedService.getJobPosting(req.params.jobId);
+
+      res.set("Cache-Control", FEED_CACHE_CONTROL);
+      return res.type("application/ld+json").send(JSON.stringify(posting));
+    } catch (error) {
+      return sendResponse(res, error.status || 500, false, error.message);
+    }
+  }
+}
+
+module.exports = JobFeedController;
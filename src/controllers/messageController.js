@@ -0,0 +1,143 @@
+const MessagingService = require("../services/messagingService");
+const { sendResponse } = require("../utils/response");
+
+class MessageController {
+  /**
+   * Get the user's conversations
+   */
+  static async getConversations(req, res) {
+    try {
+      const { page = 1, limit = 20, context } = req.query;
+
+      const result = await MessagingService.getConversations(req.user, {
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit) || 20, 50),
+        context,
+      });
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Conversations retrieved successfully",
+        result
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get total unread messages
+   */
+  static async getUnreadCount(req, res) {
+    try {
+      const unread = await MessagingService.getUnreadCount(req.user);
+
+      return sendResponse(res, 200, true, "Unread count retrieved", {
+        unread,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Open the conversation for an application
+   */
+  static async getApplicationConversation(req, res) {
+    try {
+      const { applicationId } = req.params;
+
+      const conversation =
+        await MessagingService.getOrCreateApplicationConversation(
+          applicationId,
+          req.user
+        );
+
+      return sendResponse(res, 200, true, "Conversation retrieved", {
+        conversation,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get messages of a conversation
+   */
+  static async getMessages(req, res) {
+    try {
+      const { conversationId } = req.params;
+      const { before, limit = 30 } = req.query;
+
+      const result = await MessagingService.getMessages(
+        conversationId,
+        req.user,
+        { before, limit: Math.min(parseInt(limit) || 30, 100) }
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Messages retrieved successfully",
+        result
+      );
+    } catch (error) {
+      const code = error.message.includes("Access denied") ? 403 : 400;
+      return sendResponse(res, code, false, error.message);
+    }
+  }
+
+  /**
+   * Send a message with optional attachments
+   */
+  static async sendMessage(req, res) {
+    try {
+      const { conversationId } = req.params;
+
+      const message = await MessagingService.sendMessage(
+        conversationId,
+        req.user,
+        { body: req.body.body, files: req.files || [] },
+        req.app.get("io")
+      );
+
+      return sendResponse(res, 201, true, "Message sent successfully", {
+        message,
+      });
+    } catch (error) {
+      const code = error.message.includes("Access denied") ? 403 : 400;
+      return sendResponse(res, code, false, error.message);
+    }
+  }
+
+  /**
+   * Mark a conversation as read
+   */
+  static async markAsRead(req, res) {
+    try {
+      const { conversationId } = req.params;
+
+      const result = await MessagingService.markAsRead(
+        conversationId,
+        req.user,
+        req.app.get("io")
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Conversation marked as read",
+        result
+      );
+    } catch (error) {
+      const code = error.message.includes("Access denied") ? 403 : 400;
+      return sendResponse(res, code, false, error.message);
+    }
+  }
+}
+
+module.exports = MessageController;
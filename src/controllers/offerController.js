@@ -0,0 +1,192 @@
+const PDFDocument = require("pdfkit");
+const OfferService = require("../services/offerService");
+const { writeOfferLetter } = require("../utils/offerLetterPdf");
+const { sendResponse } = require("../utils/response");
+
+class OfferController {
+  /**
+   * Get the school's offer letter template
+   */
+  static async getTemplate(req, res) {
+    try {
+      const { schoolId } = req.user;
+
+      const result = await OfferService.getTemplate(schoolId);
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Offer template retrieved successfully",
+        result
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Create or replace the school's offer letter template
+   */
+  static async upsertTemplate(req, res) {
+    try {
+      const { userId, schoolId } = req.user;
+
+      const template = await OfferService.upsertTemplate(
+        schoolId,
+        userId,
+        req.body
+      );
+
+      return sendResponse(res, 200, true, "Offer template saved successfully", {
+        template,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Make an offer on an application
+   */
+  static async createOffer(req, res) {
+    try {
+      const { applicationId } = req.params;
+      const { userId, schoolId } = req.user;
+
+      const offer = await OfferService.createOffer(
+        applicationId,
+        schoolId,
+        userId,
+        req.body
+      );
+
+      return sendResponse(res, 201, true, "Offer sent successfully", {
+        offer,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get the offers made on an application
+   */
+  static async getApplicationOffers(req, res) {
+    try {
+      const { applicationId } = req.params;
+
+      const offers = await OfferService.getOffersForApplication(
+        applicationId,
+        req.user
+      );
+
+      return sendResponse(res, 200, true, "Offers retrieved successfully", {
+        offers,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get an offer
+   */
+  static async getOffer(req, res) {
+    try {
+      const { offerId } = req.params;
+
+      const offer = await OfferService.getOffer(offerId, req.user);
+
+      return sendResponse(res, 200, true, "Offer retrieved successfully", {
+        offer,
+      });
+    } catch (error) {
+      return sendResponse(res, 404, false, error.message);
+    }
+  }
+
+  /**
+   * Download the offer letter as PDF
+   */
+  static async downloadOfferLetter(req, res) {
+    try {
+      const { offerId } = req.params;
+
+      const { offer, details } = await OfferService.getOfferLetter(
+        offerId,
+        req.user
+      );
+
+      const doc = new PDFDocument({ margin: 50 });
+
+      // Set response headers
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=offer-letter-${offer._id}.pdf`
+      );
+
+      // Pipe the PDF to the response
+      doc.pipe(res);
+      writeOfferLetter(doc, offer, details);
+      doc.end();
+    } catch (error) {
+      if (!res.headersSent) {
+        return sendResponse(res, 404, false, error.message);
+      }
+      console.error("Offer letter PDF failed:", error.message);
+    }
+  }
+
+  /**
+   * Accept or decline an offer with a typed-name signature (teacher)
+   */
+  static async respondToOffer(req, res) {
+    try {
+      const { offerId } = req.params;
+
+      const offer = await OfferService.respondToOffer(
+        offerId,
+        req.user,
+        req.body,
+        { ipAddress: req.ip, userAgent: req.get("user-agent") }
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        `Offer ${offer.status} successfully`,
+        { offer }
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Withdraw an open offer (school)
+   */
+  static async withdrawOffer(req, res) {
+    try {
+      const { offerId } = req.params;
+      const { userId, schoolId } = req.user;
+
+      const offer = await OfferService.withdrawOffer(
+        offerId,
+        schoolId,
+        userId,
+        req.body.reason
+      );
+
+      return sendResponse(res, 200, true, "Offer withdrawn successfully", {
+        offer,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+}
+
+module.exports = OfferController;
@@ -0,0 +1,125 @@
+const PipelineService = require("../services/pipelineService");
+const { sendResponse } = require("../utils/response");
+
+class PipelineController {
+  /**
+   * Get the school's hiring pipelines
+   */
+  static async getPipelines(req, res) {
+    try {
+      const { schoolId } = req.user;
+
+      const pipelines = await PipelineService.getPipelines(schoolId);
+
+      return sendResponse(res, 200, true, "Pipelines retrieved successfully", {
+        pipelines,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get a hiring pipeline by ID
+   */
+  static async getPipelineById(req, res) {
+    try {
+      const { pipelineId } = req.params;
+      const { schoolId } = req.user;
+
+      const pipeline = await PipelineService.getPipelineById(
+        pipelineId,
+        schoolId
+      );
+
+      return sendResponse(res, 200, true, "Pipeline retrieved successfully", {
+        pipeline,
+      });
+    } catch (error) {
+      return sendResponse(res, 404, false, error.message);
+    }
+  }
+
+  /**
+   * Create the school default pipeline or a job-specific pipeline
+   */
+  static async createPipeline(req, res) {
+    try {
+      const { userId, schoolId } = req.user;
+
+      const pipeline = await PipelineService.createPipeline(
+        schoolId,
+        userId,
+        req.body
+      );
+
+      return sendResponse(res, 201, true, "Pipeline created successfully", {
+        pipeline,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Update a hiring pipeline
+   */
+  static async updatePipeline(req, res) {
+    try {
+      const { pipelineId } = req.params;
+      const { schoolId } = req.user;
+
+      const pipeline = await PipelineService.updatePipeline(
+        pipelineId,
+        schoolId,
+        req.body
+      );
+
+      return sendResponse(res, 200, true, "Pipeline updated successfully", {
+        pipeline,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Delete a hiring pipeline
+   */
+  static async deletePipeline(req, res) {
+    try {
+      const { pipelineId } = req.params;
+      const { schoolId } = req.user;
+
+      await PipelineService.deletePipeline(pipelineId, schoolId);
+
+      return sendResponse(res, 200, true, "Pipeline deleted successfully");
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get a job's applications grouped by pipeline stage (Kanban board)
+   */
+  static async getPipelineBoard(req, res) {
+    try {
+      const { jobId } = req.params;
+      const { schoolId } = req.user;
+
+      const board = await PipelineService.getBoard(jobId, schoolId);
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Pipeline board retrieved successfully",
+        board
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+}
+
+module.exports = PipelineController;
@@ -0,0 +1,163 @@
+const ReferenceService = require("../services/referenceService");
+const { sendResponse } = require("../utils/response");
+
+class ReferenceController {
+  /**
+   * Request references from the teacher's referees (school)
+   */
+  static async requestReferences(req, res) {
+    try {
+      const { applicationId } = req.params;
+
+      const references = await ReferenceService.requestReferences(
+        applicationId,
+        req.user,
+        req.body
+      );
+
+      return sendResponse(
+        res,
+        201,
+        true,
+        "Reference requests created. The candidate will be asked for consent.",
+        { references }
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get the reference requests of an application
+   */
+  static async getApplicationReferences(req, res) {
+    try {
+      const { applicationId } = req.params;
+
+      const references = await ReferenceService.getReferencesForApplication(
+        applicationId,
+        req.user
+      );
+
+      return sendResponse(res, 200, true, "References retrieved successfully", {
+        references,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get a reference (school)
+   */
+  static async getReference(req, res) {
+    try {
+      const { referenceId } = req.params;
+      const { schoolId } = req.user;
+
+      const reference = await ReferenceService.getReference(
+        referenceId,
+        schoolId
+      );
+
+      return sendResponse(res, 200, true, "Reference retrieved successfully", {
+        reference,
+      });
+    } catch (error) {
+      return sendResponse(res, 404, false, error.message);
+    }
+  }
+
+  /**
+   * Consent to or decline a reference request (teacher)
+   */
+  static async respondToConsent(req, res) {
+    try {
+      const { referenceId } = req.params;
+
+      const reference = await ReferenceService.respondToConsent(
+        referenceId,
+        req.user,
+        req.body.consent
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        req.body.consent
+          ? "Consent given. The referee has been contacted."
+          : "Consent declined. The referee will not be contacted.",
+        { reference }
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Cancel an open reference request (school)
+   */
+  static async cancelReference(req, res) {
+    try {
+      const { referenceId } = req.params;
+      const { userId, schoolId } = req.user;
+
+      const reference = await ReferenceService.cancelReference(
+        referenceId,
+        schoolId,
+        userId
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Reference request cancelled successfully",
+        { reference }
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get the reference form for a tokenised link (public)
+   */
+  static async getForm(req, res) {
+    try {
+      const form = await ReferenceService.getForm(req.params.token);
+
+      return sendResponse(res, 200, true, "Reference form retrieved", {
+        form,
+      });
+    } catch (error) {
+      return sendResponse(res, 410, false, error.message);
+    }
+  }
+
+  /**
+   * Submit the reference form for a tokenised link (public)
+   */
+  static async submitForm(req, res) {
+    try {
+      const result = await ReferenceService.submitForm(
+        req.params.token,
+        req.body,
+        { ipAddress: req.ip }
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Thank you. Your reference has been submitted.",
+        result
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+}
+
+module.exports = ReferenceController;
@@ -0,0 +1,92 @@
+const ResourceBundleService = require("../services/resourceBundleService");
+const { errorResponse, successResponse } = require("../utils/response");
+
+exports.createBundle = async (req, res) => {
+  try {
+    const bundle = await ResourceBundleService.createBundle(req.user, req.body);
+    return successResponse(res, bundle, "Bundle created successfully", 201);
+  } catch (error) {
+    console.error("Create Bundle Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to create bundle",
+      error.status || 500
+    );
+  }
+};
+
+exports.updateBundle = async (req, res) => {
+  try {
+    const bundle = await ResourceBundleService.updateBundle(
+      req.user,
+      req.params.bundleId,
+      req.body
+    );
+    return successResponse(res, bundle, "Bundle updated successfully");
+  } catch (error) {
+    console.error("Update Bundle Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to update bundle",
+      error.status || 500
+    );
+  }
+};
+
+exports.deleteBundle = async (req, res) => {
+  try {
+    await ResourceBundleService.deleteBundle(req.user, req.params.bundleId);
+    return successResponse(res, null, "Bundle deleted successfully");
+  } catch (error) {
+    console.error("Delete Bundle Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to delete bundle",
+      error.status || 500
+    );
+  }
+};
+
+exports.getMyBundles = async (req, res) => {
+  try {
+    const bundles = await ResourceBundleService.getSellerBundles(
+      req.user.userId
+    );
+    return successResponse(res, bundles, "My bundles retrieved successfully");
+  } catch (error) {
+    console.error("Get My Bundles Error:", error);
+    return errorResponse(res, "Failed to fetch bundles", 500);
+  }
+};
+
+exports.searchBundles = async (req, res) => {
+  try {
+    const { q, subject, limit = 10 } = req.query;
+    const bundles = await ResourceBundleService.searchBundles({
+      q,
+      subject,
+      limit: Math.min(parseInt(limit) || 10, 50),
+    });
+    return successResponse(res, bundles, "Bundles fetched successfully");
+  } catch (error) {
+    console.error("Search Bundles Error:", error);
+    return errorResponse(res, "Failed to search bundles", 500);
+  }
+};
+
+exports.getBundleById = async (req, res) => {
+  try {
+    const bundle = await ResourceBundleService.getBundle(
+      req.params.bundleId,
+      req.user
+    );
+    return successResponse(res, bundle, "Bundle fetched successfully");
+  } catch (error) {
+    console.error("Get Bundle Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to fetch bundle",
+      error.status || 500
+    );
+  }
+};
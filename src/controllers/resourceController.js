@@ -4,8 +4,17 @@ const resourcePurchase = require("../models/resourcePurchase");
 const User = require("../models/User");
 const JobNotification = require("../models/JobNotification");
 const UserSubscription = require("../models/UserSubscription");
+const ResourceBundleService = require("../services/resourceBundleService");
+const PromotionService = require("../services/promotionService");
+const ResourceVersionService = require("../services/resourceVersionService");
+const ResourceFileService = require("../services/resourceFileService");
+const PlatformSettings = require("../models/PlatformSettings");
 const { errorResponse, successResponse } = require("../utils/response");
 const { sendResourceStatusUpdateEmail } = require("../config/email");
+const {
+  getFileExtension,
+  isCloudinaryFileUrl,
+} = require("../utils/remoteFile");
 
 exports.createResource = async (req, res) => {
   try {
@@ -28,6 +37,7 @@ exports.createResource = async (req, res) => {
       coverPhotoUrl,
       previewImageUrls,
       mainFileUrl,
+      files = [],
     } = req.body;
 
     // ---- validation ----
@@ -54,6 +64,13 @@ exports.createResource = async (req, res) => {
     if (!mainFileUrl) {
       return errorResponse(res, "Main file URL is required", 400);
     }
+    if (!isCloudinaryFileUrl(mainFileUrl)) {
+      return errorResponse(
+        res,
+        "Main file URL must be a Cloudinary upload",
+        400
+      );
+    }
     if (
       !previewImageUrls ||
       !Array.isArray(previewImageUrls) ||
@@ -65,6 +82,30 @@ exports.createResource = async (req, res) => {
         400
       );
     }
+    if (
+      !Array.isArray(files) ||
+      files.some((file) => !file?.title || !file?.url)
+    ) {
+      return errorResponse(
+        res,
+        "Each additional file needs a title and URL",
+        400
+      );
+    }
+    if (files.some((file) => !isCloudinaryFileUrl(file.url))) {
+      return errorResponse(
+        res,
+        "Additional file URLs must be Cloudinary uploads",
+        400
+      );
+    }
+    if (files.length > resource.MAX_FILES) {
+      return errorResponse(
+        res,
+        `A resource can have at most ${resource.MAX_FILES} additional files`,
+        400
+      );
+    }
 
     // price/currency logic for non-free resources
     const freeFlag = String(isFree).toLowerCase() === "true" || isFree === true;
@@ -105,8 +146,26 @@ exports.createResource = async (req, res) => {
       coverPhoto: coverPhotoUrl,
       previewImages: previewImageUrls,
       mainFile: mainFileUrl,
+      files: files.map((file, index) => ({
+        title: file.title,
+        kind: file.kind,
+        url: file.url,
+        format: file.format || getFileExtension(file.url, null),
+        mimeType: file.mimeType,
+        size: file.size,
+        order: file.order ?? index,
+      })),
     });
 
+    // The uploaded file is version 1, reviewed with the resource
+    await ResourceVersionService.ensureInitialVersion(createdResource);
+
+    // Render watermarked preview pages for PDFs in the background
+    ResourceFileService.queuePreview(createdResource._id);
+    createdResource.files.forEach((file) =>
+      ResourceFileService.queuePreview(createdResource._id, file._id)
+    );
+
     // Increment resource upload usage if not a draft
     if (!saveAsDraftFlag) {
       try {
@@ -198,8 +257,38 @@ exports.updateResource = async (req, res) => {
       resourceDoc.previewImages = previewImageUrls;
     }
 
-    if (mainFileUrl) {
-      resourceDoc.mainFile = mainFileUrl;
+    // Once a resource has been released, a new file becomes a new version
+    // that goes through review; buyers keep the current file until then
+    let submittedVersion = null;
+    let mainFileReplaced = false;
+    if (mainFileUrl && mainFileUrl !== resourceDoc.mainFile) {
+      if (!isCloudinaryFileUrl(mainFileUrl)) {
+        return errorResponse(
+          res,
+          "Main file URL must be a Cloudinary upload",
+          400
+        );
+      }
+      const replaced = await ResourceVersionService.replaceUnreleasedFile(
+        resourceDoc,
+        mainFileUrl
+      );
+      if (replaced) {
+        mainFileReplaced = true;
+      } else {
+        try {
+          submittedVersion = await ResourceVersionService.submitVersion(
+            req.user,
+            id,
+            { fileUrl: mainFileUrl, changelog: req.body.changelog || "" }
+          );
+        } catch (error) {
+          if (error.status) {
+            return errorResponse(res, error.message, error.status);
+          }
+          throw error;
+        }
+      }
     }
 
     // Status handling
@@ -222,10 +311,20 @@ exports.updateResource = async (req, res) => {
 
     await resourceDoc.save();
 
+    if (resourceDoc.status === "approved") {
+      await ResourceVersionService.approveInitialVersion(resourceDoc, userId);
+      await ResourceFileService.approveFiles(resourceDoc);
+    }
+    if (mainFileReplaced) {
+      ResourceFileService.queuePreview(resourceDoc._id);
+    }
+
     return successResponse(
       res,
-      { resource: resourceDoc },
-      "resource updated successfully"
+      { resource: resourceDoc, version: submittedVersion },
+      submittedVersion
+        ? "resource updated successfully; the new file is awaiting review"
+        : "resource updated successfully"
     );
   } catch (err) {
     console.error("updateResource error:", err);
@@ -288,6 +387,10 @@ exports.updateResourceStatus = async (req, res) => {
     }
 
     await resourceDoc.save();
+    if (status === "approved") {
+      await ResourceVersionService.approveInitialVersion(resourceDoc, userId);
+      await ResourceFileService.approveFiles(resourceDoc);
+    }
     if (resourceDoc.createdBy?.userId?.email) {
       await sendResourceStatusUpdateEmail(
         resourceDoc.createdBy.userId.email,
@@ -397,9 +500,13 @@ exports.getMyResources = async (req, res) => {
     const totalSales = salesStats[0]?.totalUnits || 0;
     const totalEarnings = salesStats[0]?.totalEarnings || 0;
 
+    // --- Bundles ---
+    const bundles = await ResourceBundleService.getSellerBundles(userId);
+
     // --- User Wallet Info ---
     const stats = {
       totalResources,
+      totalBundles: bundles.length,
       totalSales,
       currentBalance: totalEarnings, // Using total earnings as current balance
     };
@@ -409,6 +516,7 @@ exports.getMyResources = async (req, res) => {
       {
         stats,
         resources,
+        bundles,
       },
       "My resources retrieved successfully"
     );
@@ -553,25 +661,36 @@ exports.getAllResourcesAdmin = async (req, res) => {
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
 
-    const formattedResources = resources.map((r) => ({
-      id: r._id,
-      thumbnail: r.coverPhoto || null,
-      title: r.title,
-      author: r.createdBy?.userId
-        ? `${r.createdBy.userId.firstName} ${r.createdBy.userId.lastName}`
-        : "Unknown",
-      price: r.isFree ? "Free" : `${r.currency} ${r.price}`,
-      status: r.status,
-      flags: 0, // placeholder
-      uploadDate: r.createdAt,
-    }));
+    const campaign = await PlatformSettings.getActiveCampaign();
+
+    const formattedResources = await Promise.all(
+      resources.map(async (r) => ({
+        id: r._id,
+        thumbnail: r.coverPhoto || null,
+        title: r.title,
+        author: r.createdBy?.userId
+          ? `${r.createdBy.userId.firstName} ${r.createdBy.userId.lastName}`
+          : "Unknown",
+        price: r.isFree ? "Free" : `${r.currency} ${r.price}`,
+        sale: await PromotionService.getDisplayPrice(r, campaign),
+        status: r.status,
+        flags: 0, // placeholder
+        uploadDate: r.createdAt,
+      }))
+    );
 
     const total = await resource.countDocuments(filter);
 
+    const bundles =
+      parseInt(page) === 1
+        ? await ResourceBundleService.searchBundles({ q, subject })
+        : [];
+
     return successResponse(
       res,
       {
         resources: formattedResources,
+        bundles,
         pagination: {
           total,
           page: parseInt(page),
@@ -675,10 +794,16 @@ exports.getResourceById = async (req, res) => {
       price: resourceDoc.isFree
         ? "Free"
         : `${resourceDoc.currency} ${resourceDoc.price}`,
+      sale: await PromotionService.getDisplayPrice(resourceDoc),
       status: resourceDoc.status,
       thumbnail: resourceDoc.coverPhoto || null,
       previews: resourceDoc.previewImages || [],
       file: resourceDoc.mainFile || null,
+      currentVersion: resourceDoc.currentVersion || 1,
+      files: ResourceFileService.releasedFiles(resourceDoc).map((file) =>
+        ResourceFileService.formatFile(file)
+      ),
+      previewPages: ResourceFileService.getPreviews(resourceDoc),
       author: resourceDoc.createdBy?.userId
         ? `${resourceDoc.createdBy.userId.firstName} ${resourceDoc.createdBy.userId.lastName}`
         : "Unknown",
@@ -727,6 +852,11 @@ exports.getResourceByIdAdmin = async (req, res) => {
       thumbnail: resourceDoc.coverPhoto || null,
       previews: resourceDoc.previewImages || [],
       file: resourceDoc.mainFile || null,
+      currentVersion: resourceDoc.currentVersion || 1,
+      files: ResourceFileService.releasedFiles(resourceDoc).map((file) =>
+        ResourceFileService.formatFile(file)
+      ),
+      previewPages: ResourceFileService.getPreviews(resourceDoc),
       author: resourceDoc.createdBy?.userId
         ? `${resourceDoc.createdBy.userId.firstName} ${resourceDoc.createdBy.userId.lastName}`
         : "Unknown",
@@ -743,3 +873,35 @@ exports.getResourceByIdAdmin = async (req, res) => {
     return errorResponse(res, "Failed to fetch resource", 500);
   }
 };
+
+exports.setResourcePromotion = async (req, res) => {
+  try {
+    const result = await PromotionService.setResourceSale(
+      req.user,
+      req.params.resourceId,
+      req.body
+    );
+    return successResponse(res, result, "Sale scheduled successfully");
+  } catch (error) {
+    console.error("Set Resource Promotion Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to schedule sale",
+      error.status || 500
+    );
+  }
+};
+
+exports.endResourcePromotion = async (req, res) => {
+  try {
+    await PromotionService.endResourceSale(req.user, req.params.resourceId);
+    return successResponse(res, null, "Sale ended successfully");
+  } catch (error) {
+    console.error("End Resource Promotion Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to end sale",
+      error.status || 500
+    );
+  }
+};
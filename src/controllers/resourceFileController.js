@@ -0,0 +1,91 @@
+const ResourceFileService = require("../services/resourceFileService");
+const { errorResponse, successResponse } = require("../utils/response");
+
+exports.getResourceFiles = async (req, res) => {
+  try {
+    const files = await ResourceFileService.getFiles(
+      req.user,
+      req.params.resourceId
+    );
+    return successResponse(res, files, "Files retrieved successfully");
+  } catch (error) {
+    console.error("Get Resource Files Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to fetch files",
+      error.status || 500
+    );
+  }
+};
+
+exports.addResourceFile = async (req, res) => {
+  try {
+    const file = await ResourceFileService.addFile(
+      req.user,
+      req.params.resourceId,
+      req.body
+    );
+    return successResponse(res, file, "File added successfully", 201);
+  } catch (error) {
+    console.error("Add Resource File Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to add file",
+      error.status || 500
+    );
+  }
+};
+
+exports.updateResourceFile = async (req, res) => {
+  try {
+    const file = await ResourceFileService.updateFile(
+      req.user,
+      req.params.resourceId,
+      req.params.fileId,
+      req.body
+    );
+    return successResponse(res, file, "File updated successfully");
+  } catch (error) {
+    console.error("Update Resource File Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to update file",
+      error.status || 500
+    );
+  }
+};
+
+exports.removeResourceFile = async (req, res) => {
+  try {
+    await ResourceFileService.removeFile(
+      req.user,
+      req.params.resourceId,
+      req.params.fileId
+    );
+    return successResponse(res, null, "File removed successfully");
+  } catch (error) {
+    console.error("Remove Resource File Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to remove file",
+      error.status || 500
+    );
+  }
+};
+
+exports.refreshResourcePreviews = async (req, res) => {
+  try {
+    const files = await ResourceFileService.refreshPreviews(
+      req.user,
+      req.params.resourceId
+    );
+    return successResponse(res, files, "Previews regenerated");
+  } catch (error) {
+    console.error("Refresh Resource Previews Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to regenerate previews",
+      error.status || 500
+    );
+  }
+};
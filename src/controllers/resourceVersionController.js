@@ -0,0 +1,80 @@
+const ResourceVersionService = require("../services/resourceVersionService");
+const ResourceFileService = require("../services/resourceFileService");
+const { errorResponse, successResponse } = require("../utils/response");
+
+exports.createResourceVersion = async (req, res) => {
+  try {
+    const version = await ResourceVersionService.submitVersion(
+      req.user,
+      req.params.resourceId,
+      req.body
+    );
+    return successResponse(
+      res,
+      version,
+      "New version submitted for review",
+      201
+    );
+  } catch (error) {
+    console.error("Create Resource Version Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to submit version",
+      error.status || 500
+    );
+  }
+};
+
+exports.getResourceVersions = async (req, res) => {
+  try {
+    const versions = await ResourceVersionService.getVersions(
+      req.user,
+      req.params.resourceId
+    );
+    return successResponse(res, versions, "Versions retrieved successfully");
+  } catch (error) {
+    console.error("Get Resource Versions Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to fetch versions",
+      error.status || 500
+    );
+  }
+};
+
+exports.getPendingVersions = async (req, res) => {
+  try {
+    const result = await ResourceVersionService.getPendingVersions(req.query);
+    return successResponse(
+      res,
+      result,
+      "Pending versions retrieved successfully"
+    );
+  } catch (error) {
+    console.error("Get Pending Versions Error:", error);
+    return errorResponse(res, "Failed to fetch pending versions", 500);
+  }
+};
+
+exports.reviewResourceVersion = async (req, res) => {
+  try {
+    const version = await ResourceVersionService.reviewVersion(
+      req.user,
+      req.params.resourceId,
+      req.params.versionId,
+      req.body
+    );
+    if (version.status === "approved") {
+      // The approved file is now the main file; re-render its preview
+      ResourceFileService.queuePreview(req.params.resourceId);
+    }
+    return successResponse(res, version, `Version ${req.body.status}`);
+  } catch (error) {
+    console.error("Review Resource Version Error:", error);
+    return errorResponse(
+      res,
+      error.message || "Failed to review version",
+      error.status || 500
+    );
+  }
+};
@@ -1,12 +1,18 @@
 const mongoose = require("mongoose");
+const archiver = require("archiver");
 const Sale = require("../models/Sale");
 const BalanceLedger = require("../models/BalanceLedger");
 const SellerTier = require("../models/SellerTier");
 const Resource = require("../models/resource");
 const User = require("../models/User");
 const ResourcePurchase = require("../models/resourcePurchase");
+const ResourceBundle = require("../models/ResourceBundle");
 const DownloadLog = require("../models/DownloadLog");
 const PlatformSettings = require("../models/PlatformSettings");
+const ResourceBundleService = require("../services/resourceBundleService");
+const PromotionService = require("../services/promotionService");
+const CartService = require("../services/cartService");
+const ResourceFileService = require("../services/resourceFileService");
 const {
   calculateRoyalty,
   toSmallestUnit,
@@ -24,15 +30,17 @@ const {
   errorResponse,
   notFoundResponse,
 } = require("../utils/response");
+const {
+  CONTENT_TYPES,
+  getFileExtension,
+  safeFileName,
+  openFileStream,
+} = require("../utils/remoteFile");
 
 /**
  * License type multipliers for pricing
  */
-const LICENSE_MULTIPLIERS = {
-  single: { multiplier: 1, maxUsers: 1, name: "Single Teacher License" },
-  department: { multiplier: 2.5, maxUsers: 10, name: "Department License" },
-  school: { multiplier: 5, maxUsers: 50, name: "School-wide License" },
-};
+const LICENSE_MULTIPLIERS = ResourcePurchase.LICENSE_TYPES;
 
 /**
  * Purchase a resource
@@ -40,6 +48,11 @@ const LICENSE_MULTIPLIERS = {
  * Supports multiple license types with different pricing
  */
 async function purchaseResource(req, res, next) {
+  // Bundles are bought through the same endpoint
+  if (req.body.bundleId) {
+    return purchaseBundle(req, res, next);
+  }
+
   try {
     const {
       resourceId,
@@ -48,6 +61,7 @@ async function purchaseResource(req, res, next) {
       licenseType = "single",
       schoolDomain = null,
       institutionName = null,
+      couponCode = null,
     } = req.body;
 
     // Extract buyer ID properly - just get the string value
@@ -167,14 +181,31 @@ async function purchaseResource(req, res, next) {
       }
     }
 
-    // Calculate price with license multiplier
+    // Calculate price with license multiplier, then apply any seller sale,
+    // sitewide campaign and coupon
     const licenseConfig = LICENSE_MULTIPLIERS[licenseType];
     const basePrice = resource.price;
-    const finalPrice = basePrice * licenseConfig.multiplier;
+
+    let pricing;
+    try {
+      pricing = await PromotionService.priceResource({
+        resource,
+        multiplier: licenseConfig.multiplier,
+        buyerId,
+        buyerCountry,
+        couponCode,
+      });
+    } catch (error) {
+      if (error.status) {
+        return errorResponse(res, error.message, error.status);
+      }
+      throw error;
+    }
 
     // Get seller tier (for calculating royalties later)
     const sellerTier = await SellerTier.getOrCreateTier(sellerId);
-    const priceInSmallest = toSmallestUnit(finalPrice, resource.currency);
+    const priceInSmallest = pricing.finalPrice;
+    const finalPrice = fromSmallestUnit(priceInSmallest, resource.currency);
 
     // Calculate royalty breakdown (saved for when payment completes)
     const royaltyCalc = calculateRoyalty(
@@ -188,31 +219,46 @@ async function purchaseResource(req, res, next) {
     // Create Stripe Checkout Session
     const APP_URL = process.env.APP_URL || "http://localhost:5173";
 
-    const checkoutSession = await createCheckoutSession({
-      amount: priceInSmallest,
-      currency: resource.currency,
-      resourceId: resource._id.toString(),
-      resourceTitle: `${resource.title} (${licenseConfig.name})`,
-      buyerEmail: req.user?.email,
-      successUrl: `${APP_URL}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
-      cancelUrl: `${APP_URL}/resources/${resource._id}?payment=cancelled`,
-      metadata: {
-        sellerId: sellerId.toString(),
-        buyerId: buyerId.toString(),
-        buyerEmail: req.user?.email,
-        buyerCountry,
-        sellerTier: sellerTier.currentTier,
-        royaltyRate: sellerTier.royaltyRate,
-        // License metadata
-        licenseType,
-        licenseMaxUsers: licenseConfig.maxUsers,
-        licenseMultiplier: licenseConfig.multiplier,
-        schoolDomain: schoolDomain || "",
-        institutionName: institutionName || "",
-        basePrice: basePrice,
-        finalPrice: finalPrice,
-      },
-    });
+    // The coupon use is reserved with the session so concurrent checkouts
+    // cannot take it past maxUses
+    let checkoutSession;
+    try {
+      checkoutSession = await PromotionService.withCouponReservation(
+        pricing.coupon?.id,
+        () =>
+          createCheckoutSession({
+            amount: priceInSmallest,
+            currency: resource.currency,
+            resourceId: resource._id.toString(),
+            resourceTitle: `${resource.title} (${licenseConfig.name})`,
+            buyerEmail: req.user?.email,
+            successUrl: `${APP_URL}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+            cancelUrl: `${APP_URL}/resources/${resource._id}?payment=cancelled`,
+            metadata: {
+              sellerId: sellerId.toString(),
+              buyerId: buyerId.toString(),
+              buyerEmail: req.user?.email,
+              buyerCountry,
+              sellerTier: sellerTier.currentTier,
+              royaltyRate: sellerTier.royaltyRate,
+              // License metadata
+              licenseType,
+              licenseMaxUsers: licenseConfig.maxUsers,
+              licenseMultiplier: licenseConfig.multiplier,
+              schoolDomain: schoolDomain || "",
+              institutionName: institutionName || "",
+              basePrice: basePrice,
+              finalPrice: finalPrice,
+              ...PromotionService.toCheckoutMetadata(pricing),
+            },
+          })
+      );
+    } catch (error) {
+      if (error.status) {
+        return errorResponse(res, error.message, error.status);
+      }
+      throw error;
+    }
 
     // Return checkout URL for frontend to redirect
     return successResponse(
@@ -225,7 +271,9 @@ async function purchaseResource(req, res, next) {
         licenseType,
         licenseName: licenseConfig.name,
         basePrice,
+        listPrice: fromSmallestUnit(pricing.listPrice, resource.currency),
         finalPrice,
+        discounts: pricing.discounts,
         maxUsers: licenseConfig.maxUsers,
       },
       "Checkout session created. Redirecting to payment..."
@@ -236,6 +284,89 @@ async function purchaseResource(req, res, next) {
   }
 }
 
+/**
+ * Price a resource before checkout
+ * Shows the seller sale, sitewide campaign and coupon discounts and the VAT
+ * included in the discounted price
+ */
+async function getPurchaseQuote(req, res, next) {
+  try {
+    const { resourceId, licenseType, buyerCountry, couponCode } = req.body;
+
+    const resource = await Resource.findOne({
+      _id: resourceId,
+      isDeleted: false,
+      status: "approved",
+    });
+    if (!resource) {
+      return notFoundResponse(res, "Resource not found");
+    }
+    if (resource.isFree) {
+      return errorResponse(res, "This resource is free", 400);
+    }
+
+    const pricing = await PromotionService.priceResource({
+      resource,
+      multiplier: LICENSE_MULTIPLIERS[licenseType].multiplier,
+      buyerId: req.user.userId,
+      buyerCountry,
+      couponCode: couponCode || null,
+    });
+
+    return successResponse(res, {
+      resourceId: resource._id,
+      licenseType,
+      currency: pricing.currency,
+      listPrice: fromSmallestUnit(pricing.listPrice, pricing.currency),
+      finalPrice: fromSmallestUnit(pricing.finalPrice, pricing.currency),
+      discountAmount: fromSmallestUnit(pricing.discountAmount, pricing.currency),
+      discounts: pricing.discounts.map((discount) => ({
+        ...discount,
+        amount: fromSmallestUnit(discount.amount, pricing.currency),
+      })),
+      coupon: pricing.coupon,
+      vat: {
+        rate: pricing.vat.rate,
+        amount: fromSmallestUnit(pricing.vat.amount, pricing.currency),
+      },
+    });
+  } catch (error) {
+    console.error("Purchase quote error:", error);
+    return errorResponse(res, error.message, error.status || 500);
+  }
+}
+
+/**
+ * Purchase a resource bundle
+ * Creates a single checkout session for every resource in the bundle
+ */
+async function purchaseBundle(req, res, next) {
+  try {
+    if (!req.user || !req.user.userId) {
+      return errorResponse(res, "Authentication required", 401);
+    }
+
+    const { bundleId, buyerCountry = "GB" } = req.body;
+    const checkout = await ResourceBundleService.createCheckout(req.user, {
+      bundleId,
+      buyerCountry,
+    });
+
+    return successResponse(
+      res,
+      checkout,
+      "Checkout session created. Redirecting to payment..."
+    );
+  } catch (error) {
+    console.error("Bundle purchase error:", error);
+    return errorResponse(
+      res,
+      error.message || "Purchase failed",
+      error.status || 500
+    );
+  }
+}
+
 /**
  * Get seller's sales history with filters
  */
@@ -269,6 +400,7 @@ async function getMySales(req, res, next) {
     const sales = await Sale.find(query)
       .populate("resource", "title type coverPhoto")
       .populate("buyer", "email firstName lastName")
+      .populate("bundle", "title")
       .sort({ saleDate: -1 })
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit));
@@ -299,6 +431,7 @@ async function getMySales(req, res, next) {
       status: sale.status,
       country: sale.buyerCountry,
       license: sale.license,
+      bundle: sale.bundle,
     }));
 
     return successResponse(res, {
@@ -418,6 +551,14 @@ async function getPurchaseBySession(req, res, next) {
       return errorResponse(res, "Unauthorized access to this purchase", 403);
     }
 
+    if (session.metadata?.type === "bundle_purchase") {
+      return getBundlePurchaseBySession(req, res, session);
+    }
+
+    if (session.metadata?.type === "cart_checkout") {
+      return getCartPurchaseBySession(req, res, session);
+    }
+
     // Get the resource ID from session metadata
     const resourceId = session.metadata?.resourceId || session.client_reference_id;
 
@@ -531,9 +672,16 @@ async function getPurchaseBySession(req, res, next) {
               buyerEmail: session.metadata?.buyerEmail || session.customer_email,
               buyerCountry: buyerCountry,
               license: "single",
+              discount: PromotionService.discountFromMetadata(session.metadata),
             });
             console.log(`Created Sale: ${sale._id}`);
 
+            // Count the coupon now that the sale is recorded
+            await PromotionService.recordRedemption(
+              session.metadata?.couponId,
+              session.id
+            );
+
             // Update balance ledger
             await BalanceLedger.createEntry({
               seller: new mongoose.Types.ObjectId(sellerId),
@@ -543,13 +691,18 @@ async function getPurchaseBySession(req, res, next) {
               referenceType: "sale",
               referenceId: sale._id,
               referenceModel: "Sale",
-              description: `Sale of "${resource.title}"`,
+              description: `Sale of "${resource.title}"${sale.discount?.amount ? ` (${sale.discount.description})` : ""}`,
               metadata: {
                 resourceId,
                 resourceTitle: resource.title,
                 buyerId,
                 buyerEmail: session.metadata?.buyerEmail || session.customer_email,
                 checkoutSessionId: session.id,
+                ...(sale.discount?.amount && {
+                  listPrice: sale.discount.listPrice,
+                  discountAmount: sale.discount.amount,
+                  couponCode: sale.discount.couponCode,
+                }),
               },
             });
 
@@ -613,6 +766,130 @@ async function getPurchaseBySession(req, res, next) {
   }
 }
 
+/**
+ * Bundle purchase details for the payment success page
+ * Records the sales if the webhook has not arrived yet
+ */
+async function getBundlePurchaseBySession(req, res, session) {
+  let sales = await Sale.find({
+    "checkoutPayment.stripeSessionId": session.id,
+  });
+
+  if (!sales.length && session.payment_status === "paid") {
+    console.log(`Creating bundle purchase records for session ${session.id} (webhook delayed)`);
+    try {
+      ({ sales } = await ResourceBundleService.fulfillPurchase(session));
+      await ResourceBundleService.notifyPurchase(sales, {
+        io: req.app.get("io"),
+      });
+    } catch (error) {
+      console.error(`Error creating bundle purchase records for session ${session.id}:`, error);
+    }
+  }
+
+  if (!sales.length) {
+    return successResponse(res, {
+      purchase: null,
+    }, "Purchase is still being processed");
+  }
+
+  const resources = await Resource.find({
+    _id: { $in: sales.map((sale) => sale.resource) },
+  }).select("title type subject coverPhoto thumbnail price currency");
+  const bundle = await ResourceBundle.findById(session.metadata.bundleId).select(
+    "title price currency"
+  );
+
+  return successResponse(res, {
+    purchase: {
+      purchaseDate: sales[0].saleDate,
+      pricePaid: session.amount_total,
+      saleIds: sales.map((sale) => sale._id),
+      bundle: bundle && {
+        _id: bundle._id,
+        title: bundle.title,
+        price: bundle.price,
+        currency: bundle.currency,
+      },
+      // Downloads go through secureDownload, which checks the buyer's
+      // ResourcePurchase for each resource
+      resources: resources.map((resource) => ({
+        _id: resource._id,
+        title: resource.title,
+        type: resource.type,
+        subject: resource.subject,
+        thumbnail: resource.coverPhoto || resource.thumbnail,
+        price: resource.price,
+        currency: resource.currency,
+      })),
+    },
+  });
+}
+
+/**
+ * Cart checkout details for the payment success page
+ * Records the sales if the webhook has not arrived yet
+ */
+async function getCartPurchaseBySession(req, res, session) {
+  let sales = [];
+
+  if (session.payment_status === "paid") {
+    try {
+      // Records the sales if the webhook has not, or completes a fulfilment
+      // that failed part-way; a no-op once the checkout is completed
+      const result = await CartService.fulfillCheckout(session);
+      ({ sales } = result);
+      if (result.created) {
+        console.log(`Created cart purchase records for session ${session.id} (webhook delayed)`);
+      }
+      if (sales.length) {
+        await CartService.notifyCheckout(result.checkout, {
+          io: req.app.get("io"),
+        });
+      }
+    } catch (error) {
+      console.error(`Error creating cart purchase records for session ${session.id}:`, error);
+    }
+  }
+
+  if (!sales.length) {
+    return successResponse(res, {
+      purchase: null,
+    }, "Purchase is still being processed");
+  }
+
+  const resources = await Resource.find({
+    _id: { $in: sales.map((sale) => sale.resource) },
+  }).select("title type subject coverPhoto thumbnail price currency");
+  const byId = new Map(resources.map((r) => [r._id.toString(), r]));
+
+  return successResponse(res, {
+    purchase: {
+      purchaseDate: sales[0].saleDate,
+      pricePaid: session.amount_total,
+      currency: sales[0].currency,
+      saleIds: sales.map((sale) => sale._id),
+      // Downloads go through secureDownload, which checks the buyer's
+      // ResourcePurchase for each resource
+      resources: sales
+        .filter((sale) => byId.has(sale.resource.toString()))
+        .map((sale) => {
+          const resource = byId.get(sale.resource.toString());
+          return {
+            _id: resource._id,
+            title: resource.title,
+            type: resource.type,
+            subject: resource.subject,
+            thumbnail: resource.coverPhoto || resource.thumbnail,
+            licenseType: sale.license,
+            pricePaid: sale.price,
+            currency: sale.currency,
+          };
+        }),
+    },
+  });
+}
+
 /**
  * Get earnings dashboard data
  */
@@ -934,6 +1211,33 @@ async function refundSale(req, res, next) {
       return errorResponse(res, "Sale already refunded", 400);
     }
 
+    // Bundle sales share one payment, so the whole bundle is refunded
+    if (sale.bundle) {
+      const refund = await createRefund(
+        sale.checkoutPayment.stripePaymentIntentId,
+        null,
+        reason
+      );
+      const sales = await ResourceBundleService.refundPayment(
+        sale.checkoutPayment.stripePaymentIntentId,
+        reason
+      );
+
+      return successResponse(res, { sales, refund }, "Bundle refunded successfully");
+    }
+
+    // Cart sales share one payment; refund just this line's share of it
+    if (sale.checkoutPayment?.stripePaymentIntentId) {
+      const refund = await createRefund(
+        sale.checkoutPayment.stripePaymentIntentId,
+        sale.price,
+        reason
+      );
+      await CartService.refundSale(sale, reason);
+
+      return successResponse(res, { sale, refund }, "Sale refunded successfully");
+    }
+
     // Create Stripe refund
     const refund = await createRefund(
       sale.stripePaymentIntentId,
@@ -1053,8 +1357,23 @@ async function secureDownload(req, res, next) {
       downloadType = "admin";
     }
 
-    // Get the download URL
-    const downloadUrl = resource.mainFile || resource.file;
+    // Get the download URL: the current file, an earlier version
+    // (?version=N) or an attached file (?fileId=). Owners and admins can
+    // also fetch versions under review.
+    let download;
+    try {
+      download = await ResourceFileService.resolveDownload(
+        resource,
+        req.query,
+        downloadType === "owner" || downloadType === "admin"
+      );
+    } catch (error) {
+      if (error.status) {
+        return errorResponse(res, error.message, error.status);
+      }
+      throw error;
+    }
+    const { url: downloadUrl, version } = download;
 
     if (!downloadUrl) {
       return errorResponse(res, "Download file not available", 404);
@@ -1068,7 +1387,10 @@ async function secureDownload(req, res, next) {
         purchaseId,
         saleId,
         downloadType,
-        fileName: resource.title,
+        fileName: download.title,
+        fileId: download.fileId,
+        version,
+        fileSize: download.size,
         userAgent: clientInfo.userAgent,
         ipAddress: clientInfo.ipAddress,
         country: clientInfo.country,
@@ -1083,12 +1405,16 @@ async function secureDownload(req, res, next) {
     Resource.findByIdAndUpdate(resourceId, { $inc: { downloadCount: 1 } }).catch(
       (err) => console.error("Failed to update download count:", err)
     );
+    ResourceFileService.recordFileDownload(resource._id, download.fileId);
 
     // Return the download URL
     return successResponse(res, {
       downloadUrl,
-      fileName: resource.title,
+      fileName: download.title,
       resourceId: resource._id,
+      fileId: download.fileId,
+      version,
+      currentVersion: resource.currentVersion || 1,
       downloadType,
     });
   } catch (error) {
@@ -1097,19 +1423,132 @@ async function secureDownload(req, res, next) {
   }
 }
 
+/**
+ * License-aware access check for streamed downloads
+ * @returns {Promise<Object>} - { accessInfo } or { error: { message, status } }
+ */
+async function resolveDownloadAccess(req, resource) {
+  const userId = req.user?.userId;
+
+  // Track access info for logging
+  let accessInfo = {
+    accessType: "free",
+    licenseType: "free",
+    purchaseId: null,
+    accessValidated: true,
+  };
+
+  // Check access permissions for paid resources
+  if (!resource.isFree) {
+    if (!userId) {
+      return { error: { message: "Authentication required", status: 401 } };
+    }
+
+    const isOwner = resource.createdBy?.userId?.toString() === userId.toString();
+    const isAdmin = req.user?.role === "admin";
+
+    if (isOwner) {
+      accessInfo = {
+        accessType: "owner",
+        licenseType: "owner",
+        purchaseId: null,
+        accessValidated: true,
+      };
+    } else if (isAdmin) {
+      accessInfo = {
+        accessType: "admin",
+        licenseType: "admin",
+        purchaseId: null,
+        accessValidated: true,
+      };
+    } else {
+      // Use the new license-aware access check
+      const userEmail = req.user?.email;
+      const accessResult = await ResourcePurchase.checkAccess(resource._id, userId, userEmail);
+
+      if (!accessResult.hasAccess) {
+        if (accessResult.reason === "license_limit_reached") {
+          return {
+            error: {
+              message: `This school license has reached its user limit (${accessResult.currentUsers}/${accessResult.maxUsers} users)`,
+              status: 403,
+            },
+          };
+        }
+        return { error: { message: "Purchase required", status: 403 } };
+      }
+
+      // Update access tracking for school licenses
+      if (accessResult.accessType === "school_license") {
+        const purchase = accessResult.purchase;
+        const domain = userEmail?.split("@")[1];
+
+        if (accessResult.isNewUser) {
+          // Add new user to authorized list
+          await ResourcePurchase.addAuthorizedUser(purchase._id, userId, userEmail);
+        } else {
+          // Update last access time
+          await ResourcePurchase.updateUserAccess(purchase._id, userId);
+        }
+
+        accessInfo = {
+          accessType: "school_license",
+          licenseType: purchase.license?.type || "school",
+          purchaseId: purchase._id,
+          accessValidated: true,
+          schoolDomain: domain,
+        };
+      } else {
+        // Direct purchase
+        accessInfo = {
+          accessType: "buyer",
+          licenseType: accessResult.purchase?.license?.type || "single",
+          purchaseId: accessResult.purchase?._id,
+          accessValidated: true,
+        };
+      }
+    }
+  }
+
+  return { accessInfo };
+}
+
+/**
+ * DownloadLog entry for a streamed download
+ */
+function buildDownloadLog(req, resource, accessInfo, file) {
+  return {
+    resourceId: resource._id,
+    userId: req.user?.userId || null,
+    purchaseId: accessInfo.purchaseId,
+    downloadType: accessInfo.accessType === "free" ? "free" :
+                  accessInfo.accessType === "owner" ? "owner" :
+                  accessInfo.accessType === "admin" ? "admin" : "purchased",
+    fileName: file.name,
+    fileId: file.fileId,
+    version: file.version,
+    fileSize: file.size,
+    archive: Boolean(file.archive),
+    userAgent: req.get("user-agent"),
+    ipAddress: req.ip,
+    status: "completed",
+    licenseInfo: {
+      licenseType: accessInfo.licenseType,
+      accessValidated: accessInfo.accessValidated,
+      accessType: accessInfo.accessType,
+      schoolDomain: accessInfo.schoolDomain || null,
+    },
+  };
+}
+
 /**
  * Proxy download endpoint - streams the file to the client with proper headers
  * This solves CORS issues and ensures proper Content-Disposition for downloads
  * Enhancement: Added file proxy for reliable downloads
  */
 async function proxyDownload(req, res, next) {
-  const https = require("https");
-  const http = require("http");
-  const { cloudinary } = require("../config/cloudinary");
-
   try {
     const { resourceId } = req.params;
-    const userId = req.user?.userId;
 
     // Validate resource ID
     if (!resourceId || !mongoose.Types.ObjectId.isValid(resourceId)) {
@@ -1123,288 +1562,48 @@ async function proxyDownload(req, res, next) {
       return notFoundResponse(res, "Resource not found");
     }
 
-    // Track access info for logging
-    let accessInfo = {
-      accessType: "free",
-      licenseType: "free",
-      purchaseId: null,
-      accessValidated: true,
-    };
-
-    // Check access permissions for paid resources
-    if (!resource.isFree) {
-      if (!userId) {
-        return errorResponse(res, "Authentication required", 401);
-      }
-
-      const isOwner = resource.createdBy?.userId?.toString() === userId.toString();
-      const isAdmin = req.user?.role === "admin";
-
-      if (isOwner) {
-        accessInfo = {
-          accessType: "owner",
-          licenseType: "owner",
-          purchaseId: null,
-          accessValidated: true,
-        };
-      } else if (isAdmin) {
-        accessInfo = {
-          accessType: "admin",
-          licenseType: "admin",
-          purchaseId: null,
-          accessValidated: true,
-        };
-      } else {
-        // Use the new license-aware access check
-        const userEmail = req.user?.email;
-        const accessResult = await ResourcePurchase.checkAccess(resourceId, userId, userEmail);
-
-        if (!accessResult.hasAccess) {
-          if (accessResult.reason === "license_limit_reached") {
-            return errorResponse(
-              res,
-              `This school license has reached its user limit (${accessResult.currentUsers}/${accessResult.maxUsers} users)`,
-              403
-            );
-          }
-          return errorResponse(res, "Purchase required", 403);
-        }
-
-        // Update access tracking for school licenses
-        if (accessResult.accessType === "school_license") {
-          const purchase = accessResult.purchase;
-          const domain = userEmail?.split("@")[1];
-
-          if (accessResult.isNewUser) {
-            // Add new user to authorized list
-            await ResourcePurchase.addAuthorizedUser(purchase._id, userId, userEmail);
-          } else {
-            // Update last access time
-            await ResourcePurchase.updateUserAccess(purchase._id, userId);
-          }
+    const { accessInfo, error } = await resolveDownloadAccess(req, resource);
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
 
-          accessInfo = {
-            accessType: "school_license",
-            licenseType: purchase.license?.type || "school",
-            purchaseId: purchase._id,
-            accessValidated: true,
-            schoolDomain: domain,
-          };
-        } else {
-          // Direct purchase
-          accessInfo = {
-            accessType: "buyer",
-            licenseType: accessResult.purchase?.license?.type || "single",
-            purchaseId: accessResult.purchase?._id,
-            accessValidated: true,
-          };
-        }
+    // Main file (optionally ?version=N) or an attached file (?fileId=)
+    let download;
+    try {
+      download = await ResourceFileService.resolveDownload(
+        resource,
+        req.query,
+        accessInfo.accessType === "owner" || accessInfo.accessType === "admin"
+      );
+    } catch (error) {
+      if (error.status) {
+        return errorResponse(res, error.message, error.status);
       }
+      throw error;
     }
-
-    const fileUrl = resource.mainFile || resource.file;
+    const fileUrl = download.url;
     if (!fileUrl) {
       return errorResponse(res, "File not available", 404);
     }
 
     console.log("Proxy download - Original URL:", fileUrl);
 
-    // Extract public_id from Cloudinary URL
-    const extractCloudinaryInfo = (url) => {
-      try {
-        const urlObj = new URL(url);
-        const pathParts = urlObj.pathname.split("/");
-
-        // Find resource_type (image, video, raw)
-        let resourceType = "image";
-        if (pathParts.includes("video")) resourceType = "video";
-        else if (pathParts.includes("raw")) resourceType = "raw";
-
-        // Find the index of 'upload' and get everything after it
-        const uploadIndex = pathParts.indexOf("upload");
-        if (uploadIndex === -1) return null;
-
-        // Get parts after 'upload', skip version (starts with 'v' followed by numbers)
-        let publicIdParts = pathParts.slice(uploadIndex + 1);
-        if (publicIdParts[0] && /^v\d+$/.test(publicIdParts[0])) {
-          publicIdParts = publicIdParts.slice(1);
-        }
-
-        // Join to get full path
-        const fullPath = publicIdParts.join("/");
-
-        // Check if there's actually a file extension (contains a dot in the last segment)
-        const lastSegment = publicIdParts[publicIdParts.length - 1] || "";
-        const hasExtension = lastSegment.includes(".");
-
-        let publicId, format;
-        if (hasExtension) {
-          // Remove file extension from public ID
-          publicId = fullPath.replace(/\.[^/.]+$/, "");
-          format = lastSegment.split(".").pop() || null;
-        } else {
-          // No extension - use full path as public ID
-          publicId = fullPath;
-          format = null;
-        }
-
-        return { publicId, resourceType, format };
-      } catch (e) {
-        console.error("Error extracting Cloudinary info:", e);
-        return null;
-      }
-    };
-
     // Determine file extension and content type
-    const urlPath = new URL(fileUrl).pathname;
-    const lastSegment = urlPath.split("/").pop() || "";
-
-    // Check if the last segment contains a dot (has extension)
-    let extension;
-    if (lastSegment.includes(".")) {
-      extension = lastSegment.split(".").pop()?.toLowerCase() || "pdf";
-    } else {
-      // No extension in URL - default to PDF for documents
-      extension = "pdf";
-    }
-
-    const contentTypes = {
-      pdf: "application/pdf",
-      doc: "application/msword",
-      docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-      ppt: "application/vnd.ms-powerpoint",
-      pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
-      xls: "application/vnd.ms-excel",
-      xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-      zip: "application/zip",
-      png: "image/png",
-      jpg: "image/jpeg",
-      jpeg: "image/jpeg",
-      gif: "image/gif",
-      bin: "application/octet-stream",
-    };
-    const contentType = contentTypes[extension] || "application/pdf";
+    // No extension in URL - default to PDF for documents
+    const extension = download.format || getFileExtension(fileUrl, "pdf");
+    const contentType = CONTENT_TYPES[extension] || "application/pdf";
 
     // Create a safe filename
-    const safeTitle = (resource.title || "resource")
-      .replace(/[^a-zA-Z0-9\s-]/g, "")
-      .replace(/\s+/g, "_")
-      .substring(0, 100);
-    const filename = `${safeTitle}.${extension}`;
-
-    // Generate signed URL for Cloudinary resources
-    let downloadUrl = fileUrl;
-    if (fileUrl.includes("cloudinary.com")) {
-      const cloudInfo = extractCloudinaryInfo(fileUrl);
-      if (cloudInfo) {
-        console.log("Extracted Cloudinary info:", cloudInfo);
-
-        // For raw files without extension, just use the original URL directly
-        // Cloudinary raw files don't need signed URLs if they're public
-        if (cloudInfo.resourceType === "raw" && !cloudInfo.format) {
-          // Use the original URL as-is for raw files
-          downloadUrl = fileUrl;
-          console.log("Using original URL for raw file:", downloadUrl);
-        } else {
-          // Generate a properly signed URL using the Cloudinary SDK
-          const timestamp = Math.round(Date.now() / 1000);
-
-          // Build URL options - only add format if it exists
-          const urlOptions = {
-            resource_type: cloudInfo.resourceType,
-            type: "upload",
-            sign_url: true,
-            secure: true,
-            timestamp: timestamp,
-          };
-
-          // Only add format if there's actually one
-          if (cloudInfo.format) {
-            urlOptions.format = cloudInfo.format;
-          }
-
-          downloadUrl = cloudinary.url(cloudInfo.publicId, urlOptions);
-          console.log("Generated signed URL:", downloadUrl);
-        }
-      }
-    }
-
-    // Function to fetch URL with redirect following
-    const fetchWithRedirects = (url, maxRedirects = 5) => {
-      return new Promise((resolve, reject) => {
-        if (maxRedirects <= 0) {
-          return reject(new Error("Too many redirects"));
-        }
-
-        const protocol = url.startsWith("https") ? https : http;
-
-        protocol.get(url, (response) => {
-          // Handle redirects (301, 302, 303, 307, 308)
-          if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
-            const redirectUrl = response.headers.location;
-            if (!redirectUrl) {
-              return reject(new Error("Redirect without location header"));
-            }
-            console.log("Following redirect to:", redirectUrl);
-            const resolvedUrl = new URL(redirectUrl, url).toString();
-            return fetchWithRedirects(resolvedUrl, maxRedirects - 1)
-              .then(resolve)
-              .catch(reject);
-          }
-
-          // If 401 with signed URL, try Admin API approach
-          if (response.statusCode === 401 && url.includes("cloudinary.com")) {
-            console.log("Signed URL returned 401, trying Admin API...");
-            return reject(new Error("AUTH_FAILED"));
-          }
-
-          if (response.statusCode !== 200) {
-            console.error("File fetch failed with status:", response.statusCode);
-            return reject(new Error(`Failed to fetch file: ${response.statusCode}`));
-          }
-
-          resolve(response);
-        }).on("error", reject);
-      });
-    };
+    const filename = `${safeFileName(download.title)}.${extension}`;
 
     // Set response headers for download
     res.setHeader("Content-Type", contentType);
     res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
     res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
 
-    // Try to fetch the file, with fallback to Admin API
-    const attemptDownload = async () => {
-      try {
-        return await fetchWithRedirects(downloadUrl);
-      } catch (err) {
-        if (err.message === "AUTH_FAILED" && fileUrl.includes("cloudinary.com")) {
-          // Fallback: Use Cloudinary Admin API to get the resource
-          console.log("Using Cloudinary Admin API fallback...");
-          const cloudInfo = extractCloudinaryInfo(fileUrl);
-          if (cloudInfo) {
-            try {
-              // Get resource details from Admin API
-              const resourceDetails = await cloudinary.api.resource(cloudInfo.publicId, {
-                resource_type: cloudInfo.resourceType,
-              });
-
-              console.log("Got resource from Admin API:", resourceDetails.secure_url);
-
-              // Try fetching the secure_url from the API response
-              return await fetchWithRedirects(resourceDetails.secure_url);
-            } catch (apiError) {
-              console.error("Admin API error:", apiError);
-              throw new Error("Failed to access file through Admin API");
-            }
-          }
-        }
-        throw err;
-      }
-    };
-
-    // Stream the file from Cloudinary to the client
-    attemptDownload()
+    // Stream the file to the client. Main files may predate Cloudinary-only
+    // uploads, so only attached files are held to the Cloudinary host
+    openFileStream(fileUrl, { cloudinaryOnly: Boolean(download.fileId) })
       .then((fileResponse) => {
         // Forward content length if available
         if (fileResponse.headers["content-length"]) {
@@ -1422,29 +1621,18 @@ async function proxyDownload(req, res, next) {
         });
 
         // Log the download asynchronously with license info
-        DownloadLog.logDownload({
-          resourceId: resource._id,
-          userId: userId || null,
-          purchaseId: accessInfo.purchaseId,
-          downloadType: accessInfo.accessType === "free" ? "free" :
-                        accessInfo.accessType === "owner" ? "owner" :
-                        accessInfo.accessType === "admin" ? "admin" : "purchased",
-          fileName: filename,
-          userAgent: req.get("user-agent"),
-          ipAddress: req.ip,
-          status: "completed",
-          licenseInfo: {
-            licenseType: accessInfo.licenseType,
-            accessValidated: accessInfo.accessValidated,
-            accessType: accessInfo.accessType,
-            schoolDomain: accessInfo.schoolDomain || null,
-          },
-        }).catch((err) => console.error("Failed to log download:", err));
+        DownloadLog.logDownload(
+          buildDownloadLog(req, resource, accessInfo, {
+            ...download,
+            name: filename,
+          })
+        ).catch((err) => console.error("Failed to log download:", err));
 
         // Update download count
         Resource.findByIdAndUpdate(resourceId, { $inc: { downloadCount: 1 } }).catch(
           (err) => console.error("Failed to update download count:", err)
         );
+        ResourceFileService.recordFileDownload(resource._id, download.fileId);
       })
       .catch((err) => {
         console.error("File fetch error:", err);
@@ -1458,6 +1646,109 @@ async function proxyDownload(req, res, next) {
   }
 }
 
+/**
+ * Zip-all download - streams the main file and every attached file as one
+ * zip archive, logging each file in DownloadLog
+ */
+async function downloadAllFiles(req, res, next) {
+  try {
+    const { resourceId } = req.params;
+
+    if (!resourceId || !mongoose.Types.ObjectId.isValid(resourceId)) {
+      return errorResponse(res, "Invalid resource ID", 400);
+    }
+
+    const resource = await Resource.findById(resourceId);
+
+    if (!resource || resource.isDeleted) {
+      return notFoundResponse(res, "Resource not found");
+    }
+
+    const { accessInfo, error } = await resolveDownloadAccess(req, resource);
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    const entries = ResourceFileService.getArchiveEntries(
+      resource,
+      accessInfo.accessType === "owner" || accessInfo.accessType === "admin"
+    ).filter((entry) => entry.url);
+    if (!entries.length) {
+      return errorResponse(res, "File not available", 404);
+    }
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${safeFileName(resource.title)}.zip"`
+    );
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+
+    const archive = archiver("zip", { zlib: { level: 6 } });
+    let aborted = false;
+    let fileStream = null;
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        aborted = true;
+        archive.abort();
+        if (fileStream) fileStream.destroy();
+      }
+    });
+    archive.on("error", (err) => {
+      console.error("Zip archive error:", err);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+
+    // Add files one at a time so only one upstream request is open
+    const missing = [];
+    for (const entry of entries) {
+      if (aborted) return;
+      try {
+        fileStream = await openFileStream(entry.url, {
+          cloudinaryOnly: Boolean(entry.fileId),
+        });
+        archive.append(fileStream, { name: entry.name });
+        await new Promise((resolve, reject) => {
+          fileStream.on("end", resolve);
+          fileStream.on("close", resolve);
+          fileStream.on("error", reject);
+        });
+        if (aborted) return;
+
+        DownloadLog.logDownload(
+          buildDownloadLog(req, resource, accessInfo, {
+            ...entry,
+            archive: true,
+          })
+        ).catch((err) => console.error("Failed to log download:", err));
+        ResourceFileService.recordFileDownload(resource._id, entry.fileId);
+      } catch (err) {
+        console.error(`Failed to add ${entry.name} to zip:`, err);
+        missing.push(entry.name);
+      }
+    }
+
+    if (missing.length) {
+      archive.append(
+        `These files could not be included. Please download them individually:\n\n${missing.join("\n")}\n`,
+        { name: "MISSING_FILES.txt" }
+      );
+    }
+    await archive.finalize();
+
+    Resource.findByIdAndUpdate(resourceId, { $inc: { downloadCount: 1 } }).catch(
+      (err) => console.error("Failed to update download count:", err)
+    );
+  } catch (error) {
+    console.error("Zip download error:", error);
+    if (!res.headersSent) {
+      return errorResponse(res, error.message || "Download failed", 500);
+    }
+    res.destroy(error);
+  }
+}
+
 /**
  * Get download history for a resource (for resource owners)
  * Enhancement: Added download analytics endpoint
@@ -1495,6 +1786,19 @@ async function getResourceDownloads(req, res, next) {
     // Get country breakdown
     const countryBreakdown = await DownloadLog.getCountryBreakdown(resourceId);
 
+    // Get downloads per file (main file and attached files)
+    const fileTitles = new Map(
+      resource.files.map((file) => [file._id.toString(), file.title])
+    );
+    const fileBreakdown = (await DownloadLog.getFileBreakdown(resourceId)).map(
+      (item) => ({
+        ...item,
+        title: item.fileId
+          ? fileTitles.get(item.fileId.toString()) || "Removed file"
+          : resource.title,
+      })
+    );
+
     // Get recent downloads with pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const recentDownloads = await DownloadLog.find({
@@ -1513,10 +1817,14 @@ async function getResourceDownloads(req, res, next) {
       analytics,
       deviceBreakdown,
       countryBreakdown,
+      fileBreakdown,
       recentDownloads: recentDownloads.map((d) => ({
         _id: d._id,
         downloadedAt: d.downloadedAt,
         downloadType: d.downloadType,
+        fileName: d.fileName,
+        fileId: d.file,
+        archive: d.archive,
         user: d.user
           ? {
               name: `${d.user.firstName || ""} ${d.user.lastName || ""}`.trim() || "Anonymous",
@@ -1604,6 +1912,7 @@ async function getMyDownloads(req, res, next) {
 
 module.exports = {
   purchaseResource,
+  getPurchaseQuote,
   getMySales,
   getMyPurchases,
   getPurchaseBySession,
@@ -1612,6 +1921,7 @@ module.exports = {
   refundSale,
   secureDownload,
   proxyDownload,
+  downloadAllFiles,
   getResourceDownloads,
   getMyDownloads,
 };
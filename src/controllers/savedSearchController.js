@@ -0,0 +1,168 @@
+const SavedSearchService = require("../services/savedSearchService");
+const TeacherProfile = require("../models/TeacherProfile");
+const { sendResponse } = require("../utils/response");
+
+/**
+ * Resolve the teacher profile of the authenticated user
+ */
+const getTeacherProfile = async (userId) => {
+  const teacherProfile = await TeacherProfile.findOne({ userId }).select(
+    "_id userId"
+  );
+  if (!teacherProfile) {
+    throw new Error("Teacher profile not found");
+  }
+  return teacherProfile;
+};
+
+class SavedSearchController {
+  /**
+   * Create a saved search
+   */
+  static async createSavedSearch(req, res) {
+    try {
+      const teacherProfile = await getTeacherProfile(req.user.userId);
+
+      const savedSearch = await SavedSearchService.createSavedSearch(
+        teacherProfile,
+        req.body
+      );
+
+      return sendResponse(res, 201, true, "Search saved successfully", {
+        savedSearch,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get saved searches for teacher
+   */
+  static async getSavedSearches(req, res) {
+    try {
+      const teacherProfile = await getTeacherProfile(req.user.userId);
+
+      const pagination = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+      };
+
+      const result = await SavedSearchService.getSavedSearches(
+        teacherProfile._id,
+        pagination
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Saved searches retrieved successfully",
+        result
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get saved search by ID
+   */
+  static async getSavedSearchById(req, res) {
+    try {
+      const { savedSearchId } = req.params;
+      const teacherProfile = await getTeacherProfile(req.user.userId);
+
+      const savedSearch = await SavedSearchService.getSavedSearchById(
+        savedSearchId,
+        teacherProfile._id
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Saved search retrieved successfully",
+        { savedSearch }
+      );
+    } catch (error) {
+      return sendResponse(res, 404, false, error.message);
+    }
+  }
+
+  /**
+   * Update saved search
+   */
+  static async updateSavedSearch(req, res) {
+    try {
+      const { savedSearchId } = req.params;
+      const teacherProfile = await getTeacherProfile(req.user.userId);
+
+      const savedSearch = await SavedSearchService.updateSavedSearch(
+        savedSearchId,
+        teacherProfile._id,
+        req.body
+      );
+
+      return sendResponse(res, 200, true, "Saved search updated successfully", {
+        savedSearch,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Delete saved search
+   */
+  static async deleteSavedSearch(req, res) {
+    try {
+      const { savedSearchId } = req.params;
+      const teacherProfile = await getTeacherProfile(req.user.userId);
+
+      const result = await SavedSearchService.deleteSavedSearch(
+        savedSearchId,
+        teacherProfile._id
+      );
+
+      return sendResponse(res, 200, true, result.message);
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Run a saved search and return the current matches
+   */
+  static async runSavedSearch(req, res) {
+    try {
+      const { savedSearchId } = req.params;
+      const teacherProfile = await getTeacherProfile(req.user.userId);
+
+      const pagination = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        sortBy: req.query.sortBy || "relevance",
+        sortOrder: req.query.sortOrder || "desc",
+      };
+
+      const result = await SavedSearchService.runSavedSearch(
+        savedSearchId,
+        teacherProfile._id,
+        pagination
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Saved search results retrieved successfully",
+        result
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+}
+
+module.exports = SavedSearchController;
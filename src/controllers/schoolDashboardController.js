@@ -2,6 +2,7 @@ const Job = require("../models/Job");
 const JobApplication = require("../models/JobApplication");
 const User = require("../models/User");
 const TeacherProfile = require("../models/TeacherProfile");
+const SchoolDashboardService = require("../services/schoolDashboardService");
 
 const { successResponse, errorResponse } = require("../utils/response");
 
@@ -9,29 +10,13 @@ const getSchoolDashboard = async (req, res) => {
   try {
     const schoolId = req.user.schoolId; // from JWT
 
-    // 1. Total Job Posted
-    const totalJobs = await Job.countDocuments({ school: schoolId });
-
-    // 2. Active Job Postings
-    const activeJobs = await Job.countDocuments({
-      school: schoolId,
-      status: "active",
-    });
-
-    // 3. Total Applicants (applications across all jobs)
-    const totalApplicants = await JobApplication.countDocuments({
-      school: schoolId,
-    });
+    if (!schoolId) {
+      return errorResponse(res, "School ID missing in token", 400);
+    }
 
-    // 4. Hiring Ratio (hired applicants / total applicants)
-    const hiredApplicants = await JobApplication.countDocuments({
-      school: schoolId,
-      status: "hired",
-    });
-    const hiringRatio =
-      totalApplicants > 0
-        ? ((hiredApplicants / totalApplicants) * 100).toFixed(2)
-        : 0;
+    // Total and active (published) jobs, applicants and hiring ratio
+    const [metrics] = await SchoolDashboardService.getMetrics([schoolId]);
+    const { totalJobs, activeJobs, totalApplicants, hiringRatio } = metrics;
 
     return successResponse(res, {
       totalJobs,
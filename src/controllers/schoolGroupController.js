@@ -0,0 +1,294 @@
+const SchoolGroupService = require("../services/schoolGroupService");
+const { sendResponse } = require("../utils/response");
+
+class SchoolGroupController {
+  /**
+   * Create a group with the caller's school as its first campus
+   */
+  static async createGroup(req, res) {
+    try {
+      const group = await SchoolGroupService.createGroup(req.user, req.body);
+
+      return sendResponse(res, 201, true, "School group created successfully", {
+        group,
+      });
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get the group of the caller's school
+   */
+  static async getMyGroup(req, res) {
+    try {
+      const group = await SchoolGroupService.getMyGroup(req.user);
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "School group retrieved successfully",
+        {
+          group,
+        }
+      );
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Update the group's details (group admins)
+   */
+  static async updateGroup(req, res) {
+    try {
+      const group = await SchoolGroupService.updateGroup(
+        req.user,
+        req.params.groupId,
+        req.body
+      );
+
+      return sendResponse(res, 200, true, "School group updated successfully", {
+        group,
+      });
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Dissolve the group (group owner)
+   */
+  static async deleteGroup(req, res) {
+    try {
+      await SchoolGroupService.deleteGroup(req.user, req.params.groupId);
+
+      return sendResponse(res, 200, true, "School group deleted successfully");
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Add a group admin (group owner)
+   */
+  static async addAdmin(req, res) {
+    try {
+      const group = await SchoolGroupService.addAdmin(
+        req.user,
+        req.params.groupId,
+        req.body.email
+      );
+
+      return sendResponse(res, 200, true, "Group admin added successfully", {
+        group,
+      });
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Remove a group admin
+   */
+  static async removeAdmin(req, res) {
+    try {
+      const group = await SchoolGroupService.removeAdmin(
+        req.user,
+        req.params.groupId,
+        req.params.userId
+      );
+
+      return sendResponse(res, 200, true, "Group admin removed successfully", {
+        group,
+      });
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Invite a school to join as a campus (group admins)
+   */
+  static async requestCampus(req, res) {
+    try {
+      const group = await SchoolGroupService.requestCampus(
+        req.user,
+        req.params.groupId,
+        req.body.schoolId
+      );
+
+      return sendResponse(res, 201, true, "Campus invitation sent", {
+        group,
+      });
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Withdraw a campus invitation (group admins)
+   */
+  static async cancelCampusRequest(req, res) {
+    try {
+      const group = await SchoolGroupService.cancelCampusRequest(
+        req.user,
+        req.params.groupId,
+        req.params.schoolId
+      );
+
+      return sendResponse(res, 200, true, "Campus invitation withdrawn", {
+        group,
+      });
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Groups that have invited the caller's school
+   */
+  static async getCampusRequests(req, res) {
+    try {
+      const requests = await SchoolGroupService.getCampusRequests(req.user);
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Group invitations retrieved successfully",
+        { requests }
+      );
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Join a group that invited the caller's school
+   */
+  static async acceptCampusRequest(req, res) {
+    try {
+      const result = await SchoolGroupService.respondToCampusRequest(
+        req.user,
+        req.params.groupId,
+        true
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        `Your school has joined ${result.name}`,
+        result
+      );
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Decline a group's invitation
+   */
+  static async declineCampusRequest(req, res) {
+    try {
+      const result = await SchoolGroupService.respondToCampusRequest(
+        req.user,
+        req.params.groupId,
+        false
+      );
+
+      return sendResponse(res, 200, true, "Group invitation declined", result);
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Remove a campus from the group, or leave it
+   */
+  static async removeCampus(req, res) {
+    try {
+      await SchoolGroupService.removeCampus(
+        req.user,
+        req.params.groupId,
+        req.params.schoolId
+      );
+
+      return sendResponse(res, 200, true, "Campus removed from the group");
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Group dashboard with per-campus metrics
+   */
+  static async getDashboard(req, res) {
+    try {
+      const dashboard = await SchoolGroupService.getDashboard(
+        req.user,
+        req.params.groupId
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Group dashboard retrieved successfully",
+        dashboard
+      );
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Post a job to several campuses
+   */
+  static async postJob(req, res) {
+    try {
+      const result = await SchoolGroupService.postJob(
+        req.user,
+        req.params.groupId,
+        req.body
+      );
+
+      return sendResponse(
+        res,
+        201,
+        true,
+        `Job posted to ${result.jobs.length} campus${result.jobs.length === 1 ? "" : "es"}`,
+        result
+      );
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+
+  /**
+   * Jobs across the group's campuses
+   */
+  static async getJobs(req, res) {
+    try {
+      const result = await SchoolGroupService.getJobs(
+        req.user,
+        req.params.groupId,
+        req.query
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Group jobs retrieved successfully",
+        result
+      );
+    } catch (error) {
+      return sendResponse(res, error.status || 400, false, error.message);
+    }
+  }
+}
+
+module.exports = SchoolGroupController;
@@ -102,6 +102,15 @@ const createOrUpdateSchoolProfile = async (req, res) => {
       vision,
     } = req.body;
 
+    // Staff members work under their school's profile and cannot create one
+    if (String(req.user.accountUserId) !== String(userId)) {
+      return errorResponse(
+        res,
+        "Only the school's primary account can manage the school profile",
+        403
+      );
+    }
+
     // Check if user exists and is a school
     const user = await User.findById(userId);
     if (!user) {
@@ -209,7 +218,11 @@ const getSchoolProfile = async (req, res) => {
   try {
     const userId = req.user.userId;
 
-    const schoolProfile = await SchoolProfile.findOne({ userId }).populate(
+    // Staff members see the school they work for
+    const query = req.user.schoolId
+      ? { _id: req.user.schoolId }
+      : { userId };
+    const schoolProfile = await SchoolProfile.findOne(query).populate(
       "user",
       "email firstName lastName role"
     );
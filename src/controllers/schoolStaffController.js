@@ -0,0 +1,198 @@
+const SchoolStaffService = require("../services/schoolStaffService");
+const { sendResponse } = require("../utils/response");
+
+class SchoolStaffController {
+  /**
+   * List the school's staff and open invitations
+   */
+  static async getStaff(req, res) {
+    try {
+      const staff = await SchoolStaffService.getStaff(req.user);
+
+      return sendResponse(res, 200, true, "Staff retrieved successfully", {
+        staff,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Get the caller's role and permissions
+   */
+  static async getMyAccess(req, res) {
+    try {
+      const access = await SchoolStaffService.getMyAccess(req.user);
+
+      return sendResponse(res, 200, true, "Access retrieved successfully", {
+        access,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Invite a staff member by email
+   */
+  static async inviteMember(req, res) {
+    try {
+      const member = await SchoolStaffService.inviteMember(req.user, req.body);
+
+      return sendResponse(res, 201, true, "Invitation sent successfully", {
+        member,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Resend an invitation with a new link
+   */
+  static async resendInvitation(req, res) {
+    try {
+      const member = await SchoolStaffService.resendInvitation(
+        req.user,
+        req.params.memberId
+      );
+
+      return sendResponse(res, 200, true, "Invitation resent successfully", {
+        member,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Withdraw an invitation
+   */
+  static async revokeInvitation(req, res) {
+    try {
+      const member = await SchoolStaffService.revokeInvitation(
+        req.user,
+        req.params.memberId
+      );
+
+      return sendResponse(res, 200, true, "Invitation revoked successfully", {
+        member,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Preview an invitation (public)
+   */
+  static async getInvitation(req, res) {
+    try {
+      const invitation = await SchoolStaffService.getInvitationByToken(
+        req.params.token
+      );
+
+      return sendResponse(res, 200, true, "Invitation retrieved successfully", {
+        invitation,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Accept an invitation with the signed-in account
+   */
+  static async acceptInvitation(req, res) {
+    try {
+      const membership = await SchoolStaffService.acceptInvitation(
+        req.user,
+        req.body.token
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        `You have joined ${membership.schoolName || "the school"}`,
+        { membership }
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Change a staff member's role
+   */
+  static async updateMemberRole(req, res) {
+    try {
+      const member = await SchoolStaffService.updateMemberRole(
+        req.user,
+        req.params.memberId,
+        req.body.role
+      );
+
+      return sendResponse(res, 200, true, "Role updated successfully", {
+        member,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Remove a staff member
+   */
+  static async removeMember(req, res) {
+    try {
+      const member = await SchoolStaffService.removeMember(
+        req.user,
+        req.params.memberId
+      );
+
+      return sendResponse(res, 200, true, "Staff member removed", {
+        member,
+      });
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Leave the school
+   */
+  static async leaveSchool(req, res) {
+    try {
+      await SchoolStaffService.leaveSchool(req.user);
+
+      return sendResponse(res, 200, true, "You have left the school");
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+
+  /**
+   * Transfer ownership to another member (owner only)
+   */
+  static async transferOwnership(req, res) {
+    try {
+      const result = await SchoolStaffService.transferOwnership(
+        req.user,
+        req.body
+      );
+
+      return sendResponse(
+        res,
+        200,
+        true,
+        "Ownership transferred successfully",
+        result
+      );
+    } catch (error) {
+      return sendResponse(res, 400, false, error.message);
+    }
+  }
+}
+
+module.exports = SchoolStaffController;
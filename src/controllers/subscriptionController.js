@@ -29,7 +29,7 @@ const {
 async function createCheckout(req, res, next) {
   try {
     const { planId } = req.body;
-    const userId = req.user.userId;
+    const userId = req.user.billingUserId;
 
     // Validate planId
     if (!planId) {
@@ -180,7 +180,7 @@ async function getAllPlans(req, res, next) {
  */
 async function getMySubscription(req, res, next) {
   try {
-    const userId = req.user.userId;
+    const userId = req.user.billingUserId;
 
     const subscription = await UserSubscription.findActiveByUser(userId);
 
@@ -246,7 +246,7 @@ async function getMySubscription(req, res, next) {
  */
 async function getSubscriptionHistory(req, res, next) {
   try {
-    const userId = req.user.userId;
+    const userId = req.user.billingUserId;
 
     const subscriptions = await UserSubscription.findAllByUser(userId);
 
@@ -281,7 +281,7 @@ async function getSubscriptionHistory(req, res, next) {
  */
 async function cancelSubscription(req, res, next) {
   try {
-    const userId = req.user.userId;
+    const userId = req.user.billingUserId;
     const { immediately = false } = req.body;
 
     const subscription = await UserSubscription.findActiveByUser(userId);
@@ -336,7 +336,7 @@ async function cancelSubscription(req, res, next) {
  */
 async function reactivateSubscription(req, res, next) {
   try {
-    const userId = req.user.userId;
+    const userId = req.user.billingUserId;
 
     const subscription = await UserSubscription.findOne({
       userId,
@@ -383,7 +383,7 @@ async function reactivateSubscription(req, res, next) {
  */
 async function checkFeatureAccess(req, res, next) {
   try {
-    const userId = req.user.userId;
+    const userId = req.user.billingUserId;
     const { featureKey } = req.params;
 
     const { checkFeatureAccess: checkAccess } = require("../middleware/featureAccess");
@@ -402,7 +402,7 @@ async function checkFeatureAccess(req, res, next) {
  */
 async function previewChange(req, res, next) {
   try {
-    const userId = req.user.userId;
+    const userId = req.user.billingUserId;
     const { newPlanId } = req.body;
 
     if (!newPlanId) {
@@ -475,7 +475,7 @@ async function previewChange(req, res, next) {
  */
 async function changePlan(req, res, next) {
   try {
-    const userId = req.user.userId;
+    const userId = req.user.billingUserId;
     const { newPlanId } = req.body;
 
     if (!newPlanId) {
@@ -588,7 +588,7 @@ async function changePlan(req, res, next) {
  */
 async function getBillingPortal(req, res, next) {
   try {
-    const userId = req.user.userId;
+    const userId = req.user.billingUserId;
 
     const user = await User.findById(userId);
     if (!user) {
@@ -621,7 +621,7 @@ async function getBillingPortal(req, res, next) {
  */
 async function getInvoices(req, res, next) {
   try {
-    const userId = req.user.userId;
+    const userId = req.user.billingUserId;
     const { limit = 10 } = req.query;
 
     const user = await User.findById(userId);
@@ -1,7 +1,10 @@
 const ConsentRecord = require("../models/ConsentRecord");
 const TeacherProfile = require("../models/TeacherProfile");
-const SavedTeacher = require("../models/SavedTeacher");
 const JobNotification = require("../models/JobNotification");
+const Job = require("../models/Job");
+const MessagingService = require("../services/messagingService");
+const TalentPoolSearchService = require("../services/talentPoolSearchService");
+const ShortlistService = require("../services/shortlistService");
 const {
   successResponse,
   errorResponse,
@@ -47,10 +50,19 @@ const optIn = async (req, res) => {
     });
 
     // Update denormalized flag on TeacherProfile
-    await TeacherProfile.findOneAndUpdate(
+    const teacherProfile = await TeacherProfile.findOneAndUpdate(
       { userId },
-      { talentPoolOptedIn: true }
-    );
+      { talentPoolOptedIn: true },
+      { new: true }
+    ).select("_id userId");
+
+    // Alert schools with instant saved searches (non-blocking)
+    if (teacherProfile) {
+      TalentPoolSearchService.notifyInstantMatches(teacherProfile).catch(
+        (error) =>
+          console.error("Talent pool instant alerts failed:", error.message)
+      );
+    }
 
     return createdResponse(
       res,
@@ -213,6 +225,8 @@ const updateAvailability = async (req, res) => {
 /**
  * GET /search
  * Search talent pool - only returns teachers with active consent and professional data only
+ * Supports full-text search (q), language, nationality and verified-credential
+ * filters, facet counts and relevance ranking (sortBy=relevance|experience|recent)
  * GDPR data minimization: NO email, phone, address, passport, DOB in response
  */
 const searchTalentPool = async (req, res) => {
@@ -222,91 +236,108 @@ const searchTalentPool = async (req, res) => {
       return errorResponse(res, "Only schools can search the talent pool", 403);
     }
 
-    const {
-      subject,
-      country,
-      city,
-      qualification,
-      minExperience,
-      availabilityStatus,
-    } = req.query;
-
-    let page = parseInt(req.query.page) || 1;
-    let limit = parseInt(req.query.limit) || 20;
-    if (page < 1) page = 1;
-    if (limit < 1) limit = 1;
-    if (limit > 50) limit = 50;
-
-    // Step 1: Get all users with active talent pool consent
-    const activeConsents = await ConsentRecord.find({
-      consentType: "talent_pool",
-      action: "granted",
-      isActive: true,
-      $or: [
-        { expiresAt: null },
-        { expiresAt: { $gt: new Date() } },
-      ],
-    }).select("userId").lean();
-
-    const consentedUserIds = activeConsents.map((c) => c.userId);
-
-    if (consentedUserIds.length === 0) {
-      return successResponse(res, {
-        teachers: [],
-        pagination: { page, limit, total: 0, totalPages: 0 },
-      });
-    }
-
-    // Step 2: Build query filtering only consented teachers
-    const query = { userId: { $in: consentedUserIds }, talentPoolOptedIn: true };
-    if (subject) query.subject = { $regex: subject, $options: "i" };
-    if (country) query.country = { $regex: country, $options: "i" };
-    if (city) query.city = { $regex: city, $options: "i" };
-    if (qualification) query.qualification = qualification;
-    if (minExperience) query.yearsOfTeachingExperience = { $gte: parseInt(minExperience) };
-    if (availabilityStatus) query.availabilityStatus = availabilityStatus;
-
-    // Step 3: Execute search with ONLY professional fields via .select() and .lean()
-    // CRITICAL: Never include email, phoneNumber, alternatePhone, streetAddress,
-    // passportNumber, dateOfBirth, placeOfBirth, gender, maritalStatus, postalCode, stateProvince
-    const skip = (page - 1) * limit;
-    const teachers = await TeacherProfile.find(query)
-      .select("firstName lastName subject qualification yearsOfTeachingExperience city country professionalBio certifications availabilityStatus")
-      .lean()
-      .sort({ yearsOfTeachingExperience: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await TeacherProfile.countDocuments(query);
-
-    // Step 4: Sanitize response to ensure NO personal data leaks
-    const sanitized = teachers.map((t) => ({
-      id: t._id,
-      name: `${t.firstName} ${t.lastName}`,
-      subject: t.subject,
-      qualification: t.qualification,
-      experience: t.yearsOfTeachingExperience,
-      location: `${t.city}, ${t.country}`,
-      bio: t.professionalBio,
-      certifications: t.certifications || [],
-      availabilityStatus: t.availabilityStatus || "not_looking",
-    }));
-
-    return successResponse(res, {
-      teachers: sanitized,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages: Math.ceil(total / limit),
-      },
+    const { page, limit, sortBy, facets } = req.query;
+    const result = await TalentPoolSearchService.search(req.query, {
+      page,
+      limit,
+      sortBy,
+      facets: facets !== "false",
     });
+
+    return successResponse(res, result);
   } catch (error) {
     console.error("Talent pool search error:", error);
     return errorResponse(res, error.message, 500);
   }
 };
 
+/**
+ * Send a talent pool invitation: notification plus a conversation the
+ * teacher can reply in. Shared by /invite and shortlist invites.
+ * @returns {Promise<Object>} - { error, status } when the teacher cannot be invited, else { conversation }
+ */
+const sendInvitation = async (req, { teacherProfileId, jobId, message }) => {
+  // Validate teacher profile exists
+  const teacherProfile = await TeacherProfile.findById(teacherProfileId)
+    .select("userId")
+    .lean();
+
+  if (!teacherProfile) {
+    return { error: "Teacher profile not found", status: 404 };
+  }
+
+  // Verify teacher has active talent pool consent
+  const hasConsent = await ConsentRecord.hasActiveConsent(
+    teacherProfile.userId,
+    "talent_pool"
+  );
+
+  if (!hasConsent) {
+    return { error: "Teacher is not in the talent pool", status: 400 };
+  }
+
+  // Create non-blocking notification (wrap in try/catch)
+  try {
+    const SchoolProfile = require("../models/SchoolProfile");
+    const school = await SchoolProfile.findById(req.user.schoolId)
+      .select("schoolName")
+      .lean();
+    const schoolName = school ? school.schoolName : "A school";
+
+    const notification = await JobNotification.create({
+      userId: teacherProfile.userId,
+      jobId: jobId || null,
+      type: "system_alert",
+      title: "Invitation to Apply",
+      message:
+        message ||
+        `${schoolName} has invited you to apply for a position.`,
+      priority: "medium",
+      category: "job",
+      actionRequired: true,
+      actionUrl: jobId
+        ? `${process.env.FRONTEND_URL}/dashboard/teacher/jobs/${jobId}`
+        : `${process.env.FRONTEND_URL}/dashboard/teacher/jobs`,
+      actionText: jobId ? "View Job" : "Browse Jobs",
+    });
+
+    // Emit real-time notification via Socket.IO
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`user:${teacherProfile.userId}`).emit(
+        "notification:new",
+        notification
+      );
+    }
+  } catch (notificationError) {
+    console.log("Invite notification failed:", notificationError.message);
+  }
+
+  // Open a conversation so the teacher can reply to the invitation
+  let conversation = null;
+  try {
+    const job = jobId
+      ? await Job.findOne({ _id: jobId, schoolId: req.user.schoolId })
+          .select("title")
+          .lean()
+      : null;
+    conversation = await MessagingService.createInviteConversation(
+      {
+        schoolUser: req.user,
+        teacherProfile,
+        jobId: job ? job._id : null,
+        jobTitle: job ? job.title : null,
+        message,
+      },
+      req.app.get("io")
+    );
+  } catch (conversationError) {
+    console.log("Invite conversation failed:", conversationError.message);
+  }
+
+  return { conversation };
+};
+
 /**
  * POST /invite
  * School invites a talent pool teacher to apply (creates non-blocking notification)
@@ -324,63 +355,20 @@ const inviteToApply = async (req, res) => {
       return errorResponse(res, "teacherProfileId is required", 400);
     }
 
-    // Validate teacher profile exists
-    const teacherProfile = await TeacherProfile.findById(teacherProfileId)
-      .select("userId")
-      .lean();
-
-    if (!teacherProfile) {
-      return errorResponse(res, "Teacher profile not found", 404);
+    const { error, status, conversation } = await sendInvitation(req, {
+      teacherProfileId,
+      jobId,
+      message,
+    });
+    if (error) {
+      return errorResponse(res, error, status);
     }
 
-    // Verify teacher has active talent pool consent
-    const hasConsent = await ConsentRecord.hasActiveConsent(
-      teacherProfile.userId,
-      "talent_pool"
+    return successResponse(
+      res,
+      conversation ? { conversationId: conversation._id } : null,
+      "Invitation sent successfully"
     );
-
-    if (!hasConsent) {
-      return errorResponse(res, "Teacher is not in the talent pool", 400);
-    }
-
-    // Create non-blocking notification (wrap in try/catch)
-    try {
-      const SchoolProfile = require("../models/SchoolProfile");
-      const school = await SchoolProfile.findOne({ userId: req.user.userId })
-        .select("schoolName")
-        .lean();
-      const schoolName = school ? school.schoolName : "A school";
-
-      const notification = await JobNotification.create({
-        userId: teacherProfile.userId,
-        jobId: jobId || null,
-        type: "system_alert",
-        title: "Invitation to Apply",
-        message:
-          message ||
-          `${schoolName} has invited you to apply for a position.`,
-        priority: "medium",
-        category: "job",
-        actionRequired: true,
-        actionUrl: jobId
-          ? `${process.env.FRONTEND_URL}/dashboard/teacher/jobs/${jobId}`
-          : `${process.env.FRONTEND_URL}/dashboard/teacher/jobs`,
-        actionText: jobId ? "View Job" : "Browse Jobs",
-      });
-
-      // Emit real-time notification via Socket.IO
-      const io = req.app.get("io");
-      if (io) {
-        io.to(`user:${teacherProfile.userId}`).emit(
-          "notification:new",
-          notification
-        );
-      }
-    } catch (notificationError) {
-      console.log("Invite notification failed:", notificationError.message);
-    }
-
-    return successResponse(res, null, "Invitation sent successfully");
   } catch (error) {
     console.error("Invite to apply error:", error);
     return errorResponse(res, error.message, 500);
@@ -389,7 +377,8 @@ const inviteToApply = async (req, res) => {
 
 /**
  * POST /shortlist
- * School saves a teacher to their shortlist
+ * School saves a teacher to their shortlist, optionally into a named
+ * shortlist with tags
  */
 const saveTeacher = async (req, res) => {
   try {
@@ -398,42 +387,20 @@ const saveTeacher = async (req, res) => {
       return errorResponse(res, "Only schools can save teachers", 403);
     }
 
-    const { teacherProfileId, notes } = req.body;
-
-    if (!teacherProfileId) {
+    if (!req.body.teacherProfileId) {
       return errorResponse(res, "teacherProfileId is required", 400);
     }
 
-    // Validate teacher profile exists
-    const teacherProfile = await TeacherProfile.findById(teacherProfileId)
-      .select("_id")
-      .lean();
-
-    if (!teacherProfile) {
-      return errorResponse(res, "Teacher profile not found", 404);
-    }
+    const savedTeacher = await ShortlistService.saveTeacher(req.user, req.body);
 
-    try {
-      const savedTeacher = await SavedTeacher.create({
-        schoolId: req.user.userId,
-        teacherProfileId,
-        notes: notes || "",
-      });
-
-      return createdResponse(
-        res,
-        { savedTeacher },
-        "Teacher saved to shortlist"
-      );
-    } catch (err) {
-      if (err.code === 11000) {
-        return errorResponse(res, "Teacher already saved", 400);
-      }
-      throw err;
-    }
+    return createdResponse(
+      res,
+      { savedTeacher },
+      "Teacher saved to shortlist"
+    );
   } catch (error) {
     console.error("Save teacher error:", error);
-    return errorResponse(res, error.message, 500);
+    return errorResponse(res, error.message, error.status || 500);
   }
 };
 
@@ -448,27 +415,19 @@ const unsaveTeacher = async (req, res) => {
       return errorResponse(res, "Only schools can manage the shortlist", 403);
     }
 
-    const { teacherProfileId } = req.params;
-
-    const result = await SavedTeacher.findOneAndDelete({
-      schoolId: req.user.userId,
-      teacherProfileId,
-    });
-
-    if (!result) {
-      return errorResponse(res, "Teacher not in shortlist", 404);
-    }
+    await ShortlistService.unsaveTeacher(req.user, req.params.teacherProfileId);
 
     return successResponse(res, null, "Teacher removed from shortlist");
   } catch (error) {
     console.error("Unsave teacher error:", error);
-    return errorResponse(res, error.message, 500);
+    return errorResponse(res, error.message, error.status || 500);
   }
 };
 
 /**
  * GET /shortlist
  * Get school's saved/shortlisted teachers with sanitized professional data only
+ * Filter with ?shortlistId= or ?tag=, sort by team rating with ?sortBy=rating
  * GDPR: populate uses same professional-only fields as search endpoint
  */
 const getSavedTeachers = async (req, res) => {
@@ -478,49 +437,379 @@ const getSavedTeachers = async (req, res) => {
       return errorResponse(res, "Only schools can view the shortlist", 403);
     }
 
-    const savedTeachers = await SavedTeacher.find({ schoolId: req.user.userId })
-      .populate(
-        "teacherProfileId",
-        "firstName lastName subject qualification yearsOfTeachingExperience city country professionalBio availabilityStatus"
-      )
-      .sort({ savedAt: -1 })
-      .lean();
+    const { shortlistId, tag, sortBy } = req.query;
+    const savedTeachers = await ShortlistService.getSavedTeachers(req.user, {
+      shortlistId,
+      tag,
+      sortBy,
+    });
 
-    // Sanitize to match search result shape (plus notes and savedAt)
-    const sanitized = savedTeachers.map((s) => {
-      const t = s.teacherProfileId;
-      if (!t) {
-        return {
-          id: s._id,
-          teacher: null,
-          notes: s.notes,
-          savedAt: s.savedAt,
-        };
+    return successResponse(res, { savedTeachers });
+  } catch (error) {
+    console.error("Get saved teachers error:", error);
+    return errorResponse(res, error.message, error.status || 500);
+  }
+};
+
+/**
+ * Wrap a shortlist collaboration operation: school role check, service call
+ * and response. `run` receives the request and returns the response data.
+ */
+const shortlistHandler =
+  (run, message, statusCode = 200) =>
+  async (req, res) => {
+    try {
+      if (req.user.role !== "school") {
+        return errorResponse(res, "Only schools can manage the shortlist", 403);
       }
-      return {
-        id: s._id,
-        teacher: {
-          id: t._id,
-          name: `${t.firstName} ${t.lastName}`,
-          subject: t.subject,
-          qualification: t.qualification,
-          experience: t.yearsOfTeachingExperience,
-          location: `${t.city}, ${t.country}`,
-          bio: t.professionalBio,
-          availabilityStatus: t.availabilityStatus || "not_looking",
-        },
-        notes: s.notes,
-        savedAt: s.savedAt,
-      };
+
+      const data = await run(req);
+
+      return statusCode === 201
+        ? createdResponse(res, data, message)
+        : successResponse(res, data, message);
+    } catch (error) {
+      console.error("Shortlist error:", error);
+      return errorResponse(res, error.message, error.status || 500);
+    }
+  };
+
+/**
+ * PUT /shortlist/:teacherProfileId/tags
+ * Replace a saved teacher's tags
+ */
+const setTeacherTags = shortlistHandler(
+  async (req) => ({
+    savedTeacher: await ShortlistService.setTags(
+      req.user,
+      req.params.teacherProfileId,
+      req.body.tags
+    ),
+  }),
+  "Tags updated"
+);
+
+/**
+ * POST /shortlist/:teacherProfileId/notes
+ * Add a private or shared note
+ */
+const addTeacherNote = shortlistHandler(
+  async (req) => ({
+    savedTeacher: await ShortlistService.addNote(
+      req.user,
+      req.params.teacherProfileId,
+      req.body
+    ),
+  }),
+  "Note added",
+  201
+);
+
+/**
+ * PATCH /shortlist/:teacherProfileId/notes/:noteId
+ * Edit a note (author only)
+ */
+const updateTeacherNote = shortlistHandler(
+  async (req) => ({
+    savedTeacher: await ShortlistService.updateNote(
+      req.user,
+      req.params.teacherProfileId,
+      req.params.noteId,
+      req.body
+    ),
+  }),
+  "Note updated"
+);
+
+/**
+ * DELETE /shortlist/:teacherProfileId/notes/:noteId
+ * Delete a note (author only)
+ */
+const deleteTeacherNote = shortlistHandler(
+  async (req) => ({
+    savedTeacher: await ShortlistService.deleteNote(
+      req.user,
+      req.params.teacherProfileId,
+      req.params.noteId
+    ),
+  }),
+  "Note deleted"
+);
+
+/**
+ * PUT /shortlist/:teacherProfileId/rating
+ * Set the current staff member's 1-5 rating
+ */
+const rateTeacher = shortlistHandler(
+  async (req) => ({
+    savedTeacher: await ShortlistService.rate(
+      req.user,
+      req.params.teacherProfileId,
+      req.body.rating
+    ),
+  }),
+  "Rating saved"
+);
+
+/**
+ * DELETE /shortlist/:teacherProfileId/rating
+ * Remove the current staff member's rating
+ */
+const removeTeacherRating = shortlistHandler(
+  async (req) => ({
+    savedTeacher: await ShortlistService.removeRating(
+      req.user,
+      req.params.teacherProfileId
+    ),
+  }),
+  "Rating removed"
+);
+
+/**
+ * POST /shortlist/:teacherProfileId/invite
+ * Invite a saved teacher to apply. The job defaults to the vacancy of the
+ * given shortlist.
+ */
+const inviteSavedTeacher = async (req, res) => {
+  try {
+    if (req.user.role !== "school") {
+      return errorResponse(res, "Only schools can invite teachers", 403);
+    }
+
+    const { teacherProfileId } = req.params;
+    const { shortlistId, message } = req.body;
+    let { jobId } = req.body;
+
+    const schoolId = ShortlistService.getSchoolId(req.user);
+    await ShortlistService.findEntry(schoolId, teacherProfileId);
+    if (!jobId && shortlistId) {
+      const shortlist = await ShortlistService.findShortlist(
+        schoolId,
+        shortlistId
+      );
+      jobId = shortlist.jobId;
+    }
+    await ShortlistService.assertSchoolJob(schoolId, jobId);
+
+    const { error, status, conversation } = await sendInvitation(req, {
+      teacherProfileId,
+      jobId,
+      message,
     });
+    if (error) {
+      return errorResponse(res, error, status);
+    }
+
+    await ShortlistService.recordInvitation(req.user, teacherProfileId, jobId);
 
-    return successResponse(res, { savedTeachers: sanitized });
+    return successResponse(
+      res,
+      conversation ? { conversationId: conversation._id } : null,
+      "Invitation sent successfully"
+    );
   } catch (error) {
-    console.error("Get saved teachers error:", error);
+    console.error("Shortlist invite error:", error);
+    return errorResponse(res, error.message, error.status || 500);
+  }
+};
+
+/**
+ * GET /shortlist/group
+ * Teachers saved by all campuses of the school's group (shared talent pool)
+ */
+const getGroupSavedTeachers = shortlistHandler(async (req) => ({
+  savedTeachers: await ShortlistService.getGroupSavedTeachers(req.user, {
+    tag: req.query.tag,
+    campusId: req.query.campusId,
+  }),
+}));
+
+/**
+ * GET /shortlists
+ * School's named shortlists with teacher counts
+ */
+const getShortlists = shortlistHandler(async (req) => ({
+  shortlists: await ShortlistService.getShortlists(req.user),
+}));
+
+/**
+ * POST /shortlists
+ * Create a named shortlist, optionally for a vacancy
+ */
+const createShortlist = shortlistHandler(
+  async (req) => ({
+    shortlist: await ShortlistService.createShortlist(req.user, req.body),
+  }),
+  "Shortlist created",
+  201
+);
+
+/**
+ * PATCH /shortlists/:shortlistId
+ * Rename a shortlist or change its description or vacancy
+ */
+const updateShortlist = shortlistHandler(
+  async (req) => ({
+    shortlist: await ShortlistService.updateShortlist(
+      req.user,
+      req.params.shortlistId,
+      req.body
+    ),
+  }),
+  "Shortlist updated"
+);
+
+/**
+ * DELETE /shortlists/:shortlistId
+ * Delete a shortlist; its teachers stay saved
+ */
+const deleteShortlist = shortlistHandler(async (req) => {
+  await ShortlistService.deleteShortlist(req.user, req.params.shortlistId);
+  return null;
+}, "Shortlist deleted");
+
+/**
+ * POST /shortlists/:shortlistId/teachers
+ * Add a teacher to a shortlist, saving them if needed
+ */
+const addToShortlist = shortlistHandler(
+  async (req) => ({
+    savedTeacher: await ShortlistService.addToShortlist(
+      req.user,
+      req.params.shortlistId,
+      req.body.teacherProfileId
+    ),
+  }),
+  "Teacher added to shortlist"
+);
+
+/**
+ * DELETE /shortlists/:shortlistId/teachers/:teacherProfileId
+ * Remove a teacher from a shortlist; they stay saved
+ */
+const removeFromShortlist = shortlistHandler(
+  async (req) => ({
+    savedTeacher: await ShortlistService.removeFromShortlist(
+      req.user,
+      req.params.shortlistId,
+      req.params.teacherProfileId
+    ),
+  }),
+  "Teacher removed from shortlist"
+);
+
+/**
+ * POST /saved-searches
+ * School saves a talent pool search with alert preferences
+ */
+const createSavedSearch = async (req, res) => {
+  try {
+    if (req.user.role !== "school") {
+      return errorResponse(res, "Only schools can save talent pool searches", 403);
+    }
+
+    const savedSearch = await TalentPoolSearchService.createSavedSearch(
+      req.user,
+      req.body
+    );
+
+    return createdResponse(res, { savedSearch }, "Saved search created");
+  } catch (error) {
+    console.error("Create talent pool saved search error:", error);
+    return errorResponse(res, error.message, 400);
+  }
+};
+
+/**
+ * GET /saved-searches
+ * School's saved talent pool searches
+ */
+const getSavedSearches = async (req, res) => {
+  try {
+    if (req.user.role !== "school") {
+      return errorResponse(res, "Only schools can view talent pool searches", 403);
+    }
+
+    const savedSearches = await TalentPoolSearchService.getSavedSearches(
+      req.user.schoolId
+    );
+
+    return successResponse(res, { savedSearches });
+  } catch (error) {
+    console.error("Get talent pool saved searches error:", error);
     return errorResponse(res, error.message, 500);
   }
 };
 
+/**
+ * GET /saved-searches/:savedSearchId/results
+ * Run a saved search against the live talent pool
+ */
+const runSavedSearch = async (req, res) => {
+  try {
+    if (req.user.role !== "school") {
+      return errorResponse(res, "Only schools can search the talent pool", 403);
+    }
+
+    const { page, limit, sortBy, facets } = req.query;
+    const result = await TalentPoolSearchService.runSavedSearch(
+      req.params.savedSearchId,
+      req.user.schoolId,
+      { page, limit, sortBy, facets: facets !== "false" }
+    );
+
+    return successResponse(res, result);
+  } catch (error) {
+    console.error("Run talent pool saved search error:", error);
+    return errorResponse(res, error.message, 404);
+  }
+};
+
+/**
+ * PUT /saved-searches/:savedSearchId
+ * Update a saved search's name, filters or alert preferences
+ */
+const updateSavedSearch = async (req, res) => {
+  try {
+    if (req.user.role !== "school") {
+      return errorResponse(res, "Only schools can manage talent pool searches", 403);
+    }
+
+    const savedSearch = await TalentPoolSearchService.updateSavedSearch(
+      req.params.savedSearchId,
+      req.user.schoolId,
+      req.body
+    );
+
+    return successResponse(res, { savedSearch }, "Saved search updated");
+  } catch (error) {
+    console.error("Update talent pool saved search error:", error);
+    return errorResponse(res, error.message, 400);
+  }
+};
+
+/**
+ * DELETE /saved-searches/:savedSearchId
+ * Delete a saved search
+ */
+const deleteSavedSearch = async (req, res) => {
+  try {
+    if (req.user.role !== "school") {
+      return errorResponse(res, "Only schools can manage talent pool searches", 403);
+    }
+
+    await TalentPoolSearchService.deleteSavedSearch(
+      req.params.savedSearchId,
+      req.user.schoolId
+    );
+
+    return successResponse(res, null, "Saved search deleted");
+  } catch (error) {
+    console.error("Delete talent pool saved search error:", error);
+    return errorResponse(res, error.message, 404);
+  }
+};
+
 module.exports = {
   optIn,
   optOut,
@@ -531,4 +820,23 @@ module.exports = {
   saveTeacher,
   unsaveTeacher,
   getSavedTeachers,
+  setTeacherTags,
+  addTeacherNote,
+  updateTeacherNote,
+  deleteTeacherNote,
+  rateTeacher,
+  removeTeacherRating,
+  inviteSavedTeacher,
+  getGroupSavedTeachers,
+  getShortlists,
+  createShortlist,
+  updateShortlist,
+  deleteShortlist,
+  addToShortlist,
+  removeFromShortlist,
+  createSavedSearch,
+  getSavedSearches,
+  runSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
 };
@@ -19,6 +19,10 @@ const {
   computeProfileCompletion,
 } = require("../services/profileCompletionService");
 const { getTeacherProfileForUser } = require("../utils/getTeacherprofile");
+const PDFDocument = require("pdfkit");
+const CvService = require("../services/cvService");
+const CvImportService = require("../services/cvImportService");
+const { writeCv, getCvDocumentOptions } = require("../utils/cvPdf");
 
 // Update teacher profile (PATCH method for partial updates)
 const updateTeacherProfile = async (req, res) => {
@@ -61,6 +65,9 @@ const updateTeacherProfile = async (req, res) => {
       );
     }
 
+    // Maintained by the credential verification workflow
+    delete updateData.verifiedCredentialCount;
+
     // Handle DOB parsing if provided
     if (updateData.dateOfBirth) {
       const dob = new Date(updateData.dateOfBirth);
@@ -145,6 +152,10 @@ const createOrUpdateTeacherProfile = async (req, res) => {
       keyAchievements,
       certifications,
       additionalQualifications,
+
+      // Job preferences
+      requiresVisaSponsorship,
+      expectedSalary,
     } = req.body;
 
     //  Check if user exists and is a teacher
@@ -244,6 +255,10 @@ const createOrUpdateTeacherProfile = async (req, res) => {
       certifications,
       additionalQualifications,
 
+      // job preferences
+      requiresVisaSponsorship,
+      expectedSalary,
+
       // persist legacy fields for backward compatibility
       streetAddress: streetAddress || address,
       stateProvince: stateProvince || province,
@@ -652,6 +667,7 @@ const searchTeachers = async (req, res) => {
       qualification,
       minExperience,
       maxExperience,
+      verifiedCredentials,
       page = 1,
       limit = 10,
     } = req.query;
@@ -669,6 +685,10 @@ const searchTeachers = async (req, res) => {
       if (maxExperience)
         query.yearsOfTeachingExperience.$lte = parseInt(maxExperience);
     }
+    // Only teachers with at least one admin-verified credential
+    if (verifiedCredentials === "true") {
+      query.verifiedCredentialCount = { $gt: 0 };
+    }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -1210,6 +1230,77 @@ const deleteActivity = async (req, res) => {
   }
 };
 
+// ===== CV =====
+// Render the teacher's profile as a PDF CV (?layout=classic|modern|compact&hide=passportNumber,dateOfBirth,dependents)
+const downloadCv = async (req, res) => {
+  let options;
+  try {
+    options = CvService.parseOptions(req.query);
+  } catch (error) {
+    return errorResponse(res, error.message, 400);
+  }
+
+  try {
+    const teacherProfile = await CvService.getProfileForUser(req.user.userId);
+    const cv = await CvService.buildCv(teacherProfile, options.hide);
+
+    const fileName = `cv-${teacherProfile.firstName}-${teacherProfile.lastName}`
+      .replace(/[^A-Za-z0-9-]+/g, "-")
+      .toLowerCase();
+
+    const doc = new PDFDocument(getCvDocumentOptions(options.layout));
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=${fileName}.pdf`
+    );
+
+    doc.pipe(res);
+    writeCv(doc, cv, options.layout);
+    doc.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return errorResponse(res, error.message, 404);
+    }
+    console.error("CV PDF failed:", error.message);
+  }
+};
+
+// Parse an uploaded CV into a draft of profile entries for review
+const importCv = async (req, res) => {
+  try {
+    if (!req.file) return errorResponse(res, "No CV file uploaded", 400);
+
+    const result = await CvImportService.createDraft(req.user.userId, req.file);
+    return successResponse(res, result, "CV parsed successfully");
+  } catch (err) {
+    return errorResponse(
+      res,
+      err.message || "Failed to import CV",
+      err.status || 400
+    );
+  }
+};
+
+// Save the reviewed CV draft as profile entries
+const confirmCvImport = async (req, res) => {
+  try {
+    const result = await CvImportService.confirmDraft(
+      req.user.userId,
+      req.body
+    );
+    return successResponse(res, result, "CV entries added to profile");
+  } catch (err) {
+    return errorResponse(
+      res,
+      err.message || "Failed to save CV entries",
+      err.status || 500,
+      err.errors
+    );
+  }
+};
+
 module.exports = {
   createOrUpdateTeacherProfile,
   updateTeacherProfile,
@@ -1249,4 +1340,7 @@ module.exports = {
   getActivities,
   updateActivity,
   deleteActivity,
+  downloadCv,
+  importCv,
+  confirmCvImport,
 };
@@ -17,6 +17,9 @@ const { verifyWebhookSignature } = require("../config/stripe");
 const { successResponse, errorResponse } = require("../utils/response");
 const emailService = require("../config/email");
 const invoiceService = require("../services/invoiceService");
+const ResourceBundleService = require("../services/resourceBundleService");
+const CartService = require("../services/cartService");
+const PromotionService = require("../services/promotionService");
 
 /**
  * Stripe Webhook Controller
@@ -55,6 +58,10 @@ async function handleStripeWebhook(req, res, next) {
         await handleCheckoutSessionCompleted(event.data.object, req);
         break;
 
+      case "checkout.session.expired":
+        await handleCheckoutSessionExpired(event.data.object);
+        break;
+
       case "payment_intent.succeeded":
         await handlePaymentIntentSucceeded(event.data.object);
         break;
@@ -143,6 +150,18 @@ async function handleCheckoutSessionCompleted(session, req) {
       return;
     }
 
+    // Check if this is a resource bundle purchase
+    if (session.metadata?.type === "bundle_purchase") {
+      await handleBundlePaymentCompleted(session, req);
+      return;
+    }
+
+    // Check if this is a multi-resource cart checkout
+    if (session.metadata?.type === "cart_checkout") {
+      await handleCartCheckoutCompleted(session, req);
+      return;
+    }
+
     // Otherwise, handle as payment (resource purchase)
     // Check if sale already exists for this session
     const existingSale = await Sale.findOne({
@@ -227,8 +246,15 @@ async function handleCheckoutSessionCompleted(session, req) {
       buyerEmail: buyerEmail || session.customer_email,
       buyerCountry: buyerCountry || "GB",
       license: "single",
+      discount: PromotionService.discountFromMetadata(session.metadata),
     });
 
+    // Count the coupon now that the sale is recorded
+    await PromotionService.recordRedemption(
+      session.metadata?.couponId,
+      session.id
+    );
+
     // Update balance ledger
     await BalanceLedger.createEntry({
       seller: new mongoose.Types.ObjectId(sellerId),
@@ -238,13 +264,18 @@ async function handleCheckoutSessionCompleted(session, req) {
       referenceType: "sale",
       referenceId: sale._id,
       referenceModel: "Sale",
-      description: `Sale of "${resource.title}"`,
+      description: `Sale of "${resource.title}"${sale.discount?.amount ? ` (${sale.discount.description})` : ""}`,
       metadata: {
         resourceId,
         resourceTitle: resource.title,
         buyerId,
         buyerEmail: buyerEmail || session.customer_email,
         checkoutSessionId: session.id,
+        ...(sale.discount?.amount && {
+          listPrice: sale.discount.listPrice,
+          discountAmount: sale.discount.amount,
+          couponCode: sale.discount.couponCode,
+        }),
       },
     });
 
@@ -343,6 +374,23 @@ async function handleCheckoutSessionCompleted(session, req) {
   }
 }
 
+/**
+ * Handle a checkout session that expired without payment
+ * Gives back the coupon use reserved when the session was created
+ */
+async function handleCheckoutSessionExpired(session) {
+  console.log(`⌛ Checkout session expired: ${session.id}`);
+
+  try {
+    if (session.metadata?.couponId) {
+      await PromotionService.releaseReservation(session.id);
+    }
+  } catch (error) {
+    console.error("Error handling checkout session expired:", error);
+    throw error;
+  }
+}
+
 /**
  * Handle successful payment intent
  * Note: This is a backup - primary sale creation happens in purchaseResource controller
@@ -412,6 +460,37 @@ async function handleChargeRefunded(charge) {
     }).populate("seller buyer");
 
     if (!sale) {
+      // Bundle and cart purchases record their sales against the payment intent
+      const checkoutSale = charge.payment_intent
+        ? await Sale.findOne({
+            "checkoutPayment.stripePaymentIntentId": charge.payment_intent,
+          })
+        : null;
+
+      if (checkoutSale?.bundle) {
+        const bundleSales = await ResourceBundleService.refundPayment(
+          charge.payment_intent,
+          charge.refund?.reason || "Charge refunded"
+        );
+        console.log(`✅ Refund processed for ${bundleSales.length} bundle sales (${charge.payment_intent})`);
+        return;
+      }
+
+      if (checkoutSale) {
+        // Single cart lines are refunded through refundSale, which records
+        // them itself; only a full refund covers the rest of the cart
+        if (!charge.refunded) {
+          console.log(`Partial refund on cart payment ${charge.payment_intent}; lines are refunded individually`);
+          return;
+        }
+        const cartSales = await CartService.refundPayment(
+          charge.payment_intent,
+          charge.refund?.reason || "Charge refunded"
+        );
+        console.log(`✅ Refund processed for ${cartSales.length} cart sales (${charge.payment_intent})`);
+        return;
+      }
+
       console.warn(`No sale found for refunded charge: ${charge.id}`);
       return;
     }
@@ -1359,6 +1438,76 @@ async function handleAdPaymentCompleted(session, req) {
   }
 }
 
+/**
+ * Handle a completed resource bundle checkout
+ * Records one sale per resource in the bundle, then sends one invoice and
+ * notifies the seller once (unless the success page already did)
+ */
+async function handleBundlePaymentCompleted(session, req) {
+  console.log(`📦 Processing bundle purchase for session: ${session.id}`);
+
+  try {
+    const { sellerId, buyerId } = session.metadata;
+
+    if (!session.metadata.bundleId || !sellerId || !buyerId) {
+      console.error("Missing required metadata in bundle checkout session:", session.metadata);
+      return;
+    }
+
+    const { sales, created } = await ResourceBundleService.fulfillPurchase(session);
+
+    if (created) {
+      console.log(`✅ ${sales.length} bundle sales created for session ${session.id}`);
+    } else {
+      console.log(`Bundle sales already recorded for session ${session.id}`);
+    }
+
+    const io = req && req.app ? req.app.get("io") : null;
+    await ResourceBundleService.notifyPurchase(sales, { io });
+  } catch (error) {
+    console.error("Error handling bundle payment:", error);
+    throw error;
+  }
+}
+
+/**
+ * Handle a completed cart checkout
+ * Records one sale per cart line, then sends the buyer one consolidated
+ * invoice and notifies each seller once (unless the success page already did)
+ */
+async function handleCartCheckoutCompleted(session, req) {
+  console.log(`🛒 Processing cart checkout for session: ${session.id}`);
+
+  try {
+    const { cartCheckoutId, buyerId } = session.metadata;
+
+    if (!cartCheckoutId || !buyerId) {
+      console.error("Missing required metadata in cart checkout session:", session.metadata);
+      return;
+    }
+
+    const { checkout, sales, created, inProgress } =
+      await CartService.fulfillCheckout(session);
+
+    if (inProgress) {
+      console.log(`Cart checkout ${cartCheckoutId} is being recorded by another request`);
+      return;
+    }
+
+    if (created) {
+      console.log(`✅ ${sales.length} cart sales created for session ${session.id}`);
+    } else {
+      console.log(`Cart sales already recorded for session ${session.id}`);
+    }
+
+    const io = req && req.app ? req.app.get("io") : null;
+    await CartService.notifyCheckout(checkout, { io });
+  } catch (error) {
+    console.error("Error handling cart checkout:", error);
+    throw error;
+  }
+}
+
 module.exports = {
   handleStripeWebhook,
 };
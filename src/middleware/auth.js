@@ -9,6 +9,79 @@ const {
 // Inactivity timeout in milliseconds (30 minutes)
 const INACTIVITY_TIMEOUT_MS = parseInt(process.env.SESSION_INACTIVITY_TIMEOUT_MS) || 30 * 60 * 1000;
 
+/**
+ * Attach school context to req.user:
+ * - schoolId: the SchoolProfile the user works for
+ * - schoolRole / permissions: the user's staff role and what it allows
+ * - accountUserId: the school's primary account, which holds ads for all
+ *   staff (the user themselves for everyone else)
+ * - groupId / billingUserId: the campus's school group, and the account
+ *   whose subscription applies (the group owner's for grouped campuses,
+ *   otherwise accountUserId)
+ *
+ * The primary account (SchoolProfile.userId) is the owner unless a
+ * SchoolMember record says otherwise; other staff are found through their
+ * active SchoolMember record. A school user with neither has not set up a
+ * school yet and keeps full access to their own account.
+ */
+const attachSchoolContext = async (reqUser) => {
+  reqUser.accountUserId = reqUser.userId;
+  reqUser.billingUserId = reqUser.userId;
+  if (reqUser.role !== "school") return;
+
+  const SchoolProfile = require("../models/SchoolProfile");
+  const SchoolMember = require("../models/SchoolMember");
+  const SchoolGroup = require("../models/SchoolGroup");
+
+  const [ownProfile, member] = await Promise.all([
+    SchoolProfile.findOne({ userId: reqUser.userId }).select("_id groupId"),
+    SchoolMember.findOne({ userId: reqUser.userId, status: "active" }).select(
+      "schoolId role"
+    ),
+  ]);
+
+  let school = ownProfile;
+  let schoolRole = "owner";
+  if (member) {
+    schoolRole = member.role;
+    if (!ownProfile || !ownProfile._id.equals(member.schoolId)) {
+      school = await SchoolProfile.findById(member.schoolId).select(
+        "userId groupId"
+      );
+      if (school) {
+        reqUser.accountUserId = school.userId;
+        reqUser.billingUserId = school.userId;
+      }
+    }
+  }
+
+  let permissions = SchoolMember.getPermissions(schoolRole);
+
+  if (school) {
+    reqUser.schoolId = school._id;
+
+    const group = school.groupId
+      ? await SchoolGroup.findById(school.groupId).select(
+          "ownerUserId adminUserIds"
+        )
+      : null;
+    if (group) {
+      reqUser.groupId = group._id;
+      reqUser.isGroupAdmin = group.isAdmin(reqUser.userId);
+      reqUser.billingUserId = group.ownerUserId;
+
+      // One group subscription: only the group owner manages it
+      permissions = permissions.filter((p) => p !== "subscriptions.manage");
+      if (group.ownerUserId.equals(reqUser.userId)) {
+        permissions.push("subscriptions.manage");
+      }
+    }
+  }
+
+  reqUser.schoolRole = schoolRole;
+  reqUser.permissions = permissions;
+};
+
 // Authenticate JWT token with session tracking
 const authenticateToken = async (req, res, next) => {
   try {
@@ -65,16 +138,8 @@ const authenticateToken = async (req, res, next) => {
       role: user.role,
     };
 
-    // If user is a school, also attach schoolId
-    if (user.role === "school") {
-      const SchoolProfile = require("../models/SchoolProfile");
-      const schoolProfile = await SchoolProfile.findOne({
-        userId: user._id,
-      }).select("_id");
-      if (schoolProfile) {
-        req.user.schoolId = schoolProfile._id;
-      }
-    }
+    // If user is a school, also attach the school and staff role
+    await attachSchoolContext(req.user);
 
     next();
   } catch (error) {
@@ -104,16 +169,8 @@ const optionalAuth = async (req, res, next) => {
           role: user.role,
         };
 
-        // If user is a school, also attach schoolId
-        if (user.role === "school") {
-          const SchoolProfile = require("../models/SchoolProfile");
-          const schoolProfile = await SchoolProfile.findOne({
-            userId: user._id,
-          }).select("_id");
-          if (schoolProfile) {
-            req.user.schoolId = schoolProfile._id;
-          }
-        }
+        // If user is a school, also attach the school and staff role
+        await attachSchoolContext(req.user);
       }
     }
 
@@ -142,6 +199,29 @@ const authorizeRoles = (roles) => {
   };
 };
 
+// Require a school staff permission (see SchoolMember ROLE_PERMISSIONS).
+// Other roles pass through; combine with authorizeRoles to restrict them.
+const requireSchoolPermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return unauthorizedResponse(res, "Authentication required");
+    }
+
+    if (req.user.role !== "school") {
+      return next();
+    }
+
+    if (!(req.user.permissions || []).includes(permission)) {
+      return forbiddenResponse(
+        res,
+        "Your school role does not allow this action"
+      );
+    }
+
+    next();
+  };
+};
+
 // Require email verification
 const requireEmailVerification = async (req, res, next) => {
   try {
@@ -274,6 +354,7 @@ module.exports = {
   requireProfileCompletion,
   checkUserStatus,
   requireKYCApproval,
+  requireSchoolPermission,
   validateSession,
   INACTIVITY_TIMEOUT_MS,
 };
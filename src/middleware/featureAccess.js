@@ -55,7 +55,7 @@ const requireActiveSubscription = () => {
       }
 
       // Get user's active subscription
-      const subscription = await UserSubscription.findActiveByUser(req.user.userId);
+      const subscription = await UserSubscription.findActiveByUser(req.user.billingUserId);
 
       if (!subscription) {
         return forbiddenResponse(res, "Active subscription required", {
@@ -129,7 +129,7 @@ const requireFeature = (featureKey) => {
       }
 
       // Get user's active subscription
-      const subscription = await UserSubscription.findActiveByUser(req.user.userId);
+      const subscription = await UserSubscription.findActiveByUser(req.user.billingUserId);
 
       if (!subscription) {
         return forbiddenResponse(res, "Active subscription required", {
@@ -215,7 +215,7 @@ const requireFeatureWithLimit = (featureKey, usageKey) => {
       }
 
       // Get user's active subscription
-      const subscription = await UserSubscription.findActiveByUser(req.user.userId);
+      const subscription = await UserSubscription.findActiveByUser(req.user.billingUserId);
 
       if (!subscription) {
         return forbiddenResponse(res, "Active subscription required", {
@@ -247,7 +247,7 @@ const requireFeatureWithLimit = (featureKey, usageKey) => {
       }
 
       // Check usage limit
-      const usageCheck = await UserSubscription.checkUsageLimit(req.user.userId, usageKey);
+      const usageCheck = await UserSubscription.checkUsageLimit(req.user.billingUserId, usageKey);
 
       if (!usageCheck.withinLimit) {
         return forbiddenResponse(res, "Usage limit reached", {
@@ -294,7 +294,7 @@ const attachSubscriptionInfo = () => {
       }
 
       // Try to get subscription info
-      const subscription = await UserSubscription.findActiveByUser(req.user.userId);
+      const subscription = await UserSubscription.findActiveByUser(req.user.billingUserId);
 
       if (subscription && !subscription.isExpired) {
         req.subscription = subscription;
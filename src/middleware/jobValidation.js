@@ -1,4 +1,327 @@
 const Joi = require("joi");
+const Job = require("../models/Job");
+const { CV_LAYOUTS, CV_HIDEABLE_FIELDS } = require("../utils/cvPdf");
+
+// Filter fields accepted by job search; shared with saved searches
+const jobSearchFilterFields = {
+  q: Joi.string().min(1).max(200).optional().messages({
+    "string.min": "Search query must be at least 1 character long",
+    "string.max": "Search query cannot exceed 200 characters",
+  }),
+  location: Joi.string().min(1).max(200).optional().messages({
+    "string.min": "Location must be at least 1 character long",
+    "string.max": "Location cannot exceed 200 characters",
+  }),
+  country: Joi.string().min(2).max(100).optional().messages({
+    "string.min": "Country must be at least 2 characters long",
+    "string.max": "Country cannot exceed 100 characters",
+  }),
+  city: Joi.string().min(2).max(100).optional().messages({
+    "string.min": "City must be at least 2 characters long",
+    "string.max": "City cannot exceed 100 characters",
+  }),
+  salaryMin: Joi.number().positive().optional().messages({
+    "number.base": "Minimum salary must be a number",
+    "number.positive": "Minimum salary must be positive",
+  }),
+  salaryMax: Joi.number().positive().optional().messages({
+    "number.base": "Maximum salary must be a number",
+    "number.positive": "Maximum salary must be positive",
+  }),
+  currency: Joi.string().length(3).optional().messages({
+    "string.length": "Currency must be exactly 3 characters",
+  }),
+  educationLevel: Joi.string()
+    .valid(
+      "early_years",
+      "primary",
+      "secondary",
+      "high_school",
+      "foundation",
+      "higher_education"
+    )
+    .optional()
+    .messages({
+      "any.only":
+        "Education level must be one of: early_years, primary, secondary, high_school, foundation, higher_education",
+    }),
+  subjects: Joi.array()
+    .items(Joi.string().min(1).max(100))
+    .optional()
+    .messages({
+      "array.max": "Cannot exceed 10 subjects",
+    }),
+  jobType: Joi.string()
+    .valid("full_time", "part_time", "contract", "substitute")
+    .optional()
+    .messages({
+      "any.only":
+        "Job type must be one of: full_time, part_time, contract, substitute",
+    }),
+  visaSponsorship: Joi.boolean().optional().messages({
+    "boolean.base": "Visa sponsorship must be a boolean",
+  }),
+  quickApply: Joi.boolean().optional().messages({
+    "boolean.base": "Quick apply must be a boolean",
+  }),
+  isUrgent: Joi.boolean().optional().messages({
+    "boolean.base": "Urgent flag must be a boolean",
+  }),
+  isFeatured: Joi.boolean().optional().messages({
+    "boolean.base": "Featured flag must be a boolean",
+  }),
+  postedWithin: Joi.number().min(1).max(365).optional().messages({
+    "number.base": "Posted within must be a number",
+    "number.min": "Posted within must be at least 1 day",
+    "number.max": "Posted within cannot exceed 365 days",
+  }),
+  deadlineWithin: Joi.number().min(1).max(365).optional().messages({
+    "number.base": "Deadline within must be a number",
+    "number.min": "Deadline within must be at least 1 day",
+    "number.max": "Deadline within cannot exceed 365 days",
+  }),
+};
+
+// Saved search filters: at least one filter, with a consistent salary range
+const savedSearchFilters = Joi.object(jobSearchFilterFields)
+  .min(1)
+  .custom((value, helpers) => {
+    if (
+      value.salaryMin &&
+      value.salaryMax &&
+      value.salaryMin > value.salaryMax
+    ) {
+      return helpers.error("any.invalid", {
+        message: "Maximum salary must be greater than minimum salary",
+      });
+    }
+    return value;
+  })
+  .messages({
+    "object.min": "At least one search filter is required",
+  });
+
+// Accepts IANA timezone names such as "Europe/London"
+const validateTimezone = (value, helpers) => {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.error("any.invalid");
+  }
+};
+
+// Interview details shared by schedule and update
+const interviewDetailFields = {
+  title: Joi.string().max(200).allow("").empty("").optional().messages({
+    "string.max": "Title cannot exceed 200 characters",
+  }),
+  type: Joi.string().valid("in_person", "video", "phone").optional().messages({
+    "any.only": "Interview type must be one of: in_person, video, phone",
+  }),
+  durationMinutes: Joi.number().integer().min(15).max(480).optional().messages({
+    "number.min": "Duration must be at least 15 minutes",
+    "number.max": "Duration cannot exceed 480 minutes",
+  }),
+  timezone: Joi.string().custom(validateTimezone).optional().messages({
+    "any.invalid":
+      "Timezone must be a valid IANA timezone (e.g. Europe/London)",
+  }),
+  location: Joi.string().max(500).allow("").empty("").optional().messages({
+    "string.max": "Location cannot exceed 500 characters",
+  }),
+  meetingUrl: Joi.string().uri().allow("").empty("").optional().messages({
+    "string.uri": "Meeting URL must be a valid URL",
+  }),
+  panel: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().max(100).required(),
+        email: Joi.string().email().optional(),
+        role: Joi.string().max(100).allow("").empty("").optional(),
+      })
+    )
+    .max(10)
+    .optional()
+    .messages({
+      "array.max": "Interview panel cannot exceed 10 members",
+    }),
+  instructions: Joi.string().max(2000).allow("").empty("").optional().messages({
+    "string.max": "Instructions cannot exceed 2000 characters",
+  }),
+};
+
+// Ordered hiring pipeline stages shared by create and update
+const pipelineStagesField = Joi.array()
+  .items(
+    Joi.object({
+      key: Joi.string()
+        .trim()
+        .lowercase()
+        .pattern(/^[a-z0-9_]+$/)
+        .max(50)
+        .required()
+        .messages({
+          "string.pattern.base":
+            "Stage key may only contain letters, numbers and underscores",
+          "any.required": "Stage key is required",
+        }),
+      name: Joi.string().trim().min(1).max(100).required().messages({
+        "any.required": "Stage name is required",
+      }),
+      description: Joi.string().max(500).allow("").empty("").optional(),
+      status: Joi.string()
+        .valid(
+          "pending",
+          "reviewing",
+          "shortlisted",
+          "interviewed",
+          "accepted",
+          "rejected"
+        )
+        .required()
+        .messages({
+          "any.only":
+            "Stage status must be one of: pending, reviewing, shortlisted, interviewed, accepted, rejected",
+          "any.required": "Stage status is required",
+        }),
+      allowedTransitions: Joi.array()
+        .items(Joi.string().trim().lowercase().max(50))
+        .optional(),
+      isTerminal: Joi.boolean().optional(),
+      color: Joi.string()
+        .pattern(/^#[0-9a-fA-F]{6}$/)
+        .optional()
+        .messages({
+          "string.pattern.base": "Stage color must be a hex color like #2196f3",
+        }),
+    })
+  )
+  .min(1)
+  .max(20)
+  .unique("key")
+  .messages({
+    "array.min": "A pipeline must have at least one stage",
+    "array.max": "A pipeline cannot have more than 20 stages",
+    "array.unique": "Stage keys must be unique",
+  });
+
+// Typed screening questions shared by create and update
+const screeningQuestionsField = Joi.array()
+  .items(
+    Joi.object({
+      key: Joi.string()
+        .trim()
+        .lowercase()
+        .pattern(/^[a-z0-9_]+$/)
+        .max(50)
+        .optional()
+        .messages({
+          "string.pattern.base":
+            "Question key may only contain letters, numbers and underscores",
+        }),
+      question: Joi.string().trim().min(1).max(500).required().messages({
+        "any.required": "Question text is required",
+        "string.max": "Question cannot exceed 500 characters",
+      }),
+      type: Joi.string()
+        .valid("yes_no", "multiple_choice", "numeric", "text")
+        .default("text")
+        .messages({
+          "any.only":
+            "Question type must be one of: yes_no, multiple_choice, numeric, text",
+        }),
+      options: Joi.when("type", {
+        is: "multiple_choice",
+        then: Joi.array()
+          .items(Joi.string().trim().min(1).max(200))
+          .min(2)
+          .max(20)
+          .unique()
+          .required()
+          .messages({
+            "array.min": "Multiple choice questions need at least 2 options",
+            "any.required": "Multiple choice questions need options",
+          }),
+        otherwise: Joi.forbidden(),
+      }),
+      required: Joi.boolean().default(false),
+      weight: Joi.number().min(0).max(100).default(0).messages({
+        "number.max": "Question weight cannot exceed 100",
+      }),
+      idealAnswers: Joi.array().items(Joi.string().max(200)).optional(),
+      idealMin: Joi.number().optional(),
+      idealMax: Joi.number().optional(),
+      knockout: Joi.object({
+        action: Joi.string().valid("none", "reject", "flag").default("none"),
+        answers: Joi.array().items(Joi.string().max(200)).optional(),
+        min: Joi.number().optional(),
+        max: Joi.number().optional(),
+      }).optional(),
+    })
+  )
+  .max(20)
+  .unique("key", { ignoreUndefined: true })
+  .messages({
+    "array.max": "Cannot exceed 20 screening questions",
+    "array.unique": "Screening question keys must be unique",
+  });
+
+// Build the answer schema for a job's screening questions
+const buildScreeningAnswersSchema = (questions = []) =>
+  Joi.object(
+    Object.fromEntries(
+      questions.map((question) => {
+        let answer;
+        if (question.type === "yes_no") {
+          // Accept booleans and store "yes"/"no"
+          const message = `"${question.question}" must be answered yes or no`;
+          answer = Joi.alternatives()
+            .try(
+              Joi.boolean()
+                .strict()
+                .custom((value) => (value ? "yes" : "no")),
+              Joi.string().lowercase().valid("yes", "no")
+            )
+            .messages({
+              "alternatives.types": message,
+              "alternatives.match": message,
+              "any.only": message,
+            });
+        } else if (question.type === "multiple_choice") {
+          answer = Joi.string()
+            .valid(...question.options)
+            .messages({
+              "any.only": `"${question.question}" must be one of: ${question.options.join(", ")}`,
+            });
+        } else if (question.type === "numeric") {
+          answer = Joi.number().messages({
+            "number.base": `"${question.question}" must be a number`,
+          });
+        } else {
+          answer = Joi.string()
+            .trim()
+            .max(2000)
+            .allow("")
+            .messages({
+              "string.max": `"${question.question}" cannot exceed 2000 characters`,
+            });
+        }
+
+        if (question.required) {
+          answer = answer
+            .required()
+            .invalid("")
+            .messages({
+              "any.required": `"${question.question}" is required`,
+              "any.invalid": `"${question.question}" is required`,
+            });
+        }
+
+        return [question.key, answer];
+      })
+    )
+  );
 
 // Validation schemas for job operations
 const jobValidationSchemas = {
@@ -122,6 +445,26 @@ const jobValidationSchemas = {
     quickApply: Joi.boolean().default(false).messages({
       "boolean.base": "Quick apply must be a boolean",
     }),
+    languagesRequired: Joi.array()
+      .items(Joi.string().min(1).max(50))
+      .max(10)
+      .optional()
+      .messages({
+        "array.max": "Cannot exceed 10 required languages",
+      }),
+    positionsAvailable: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(1)
+      .messages({
+        "number.base": "Positions available must be a number",
+        "number.min": "Positions available must be at least 1",
+        "number.max": "Positions available cannot exceed 100",
+      }),
+    autoCloseWhenFilled: Joi.boolean().default(false).messages({
+      "boolean.base": "Auto close when filled must be a boolean",
+    }),
     externalLink: Joi.string().uri().allow("").empty("").optional().messages({
       "string.uri": "External link must be a valid URL",
     }),
@@ -133,13 +476,7 @@ const jobValidationSchemas = {
       "string.email": "Please provide a valid email address",
       "any.required": "Applicant email is required",
     }),
-    screeningQuestions: Joi.array()
-      .items(Joi.string().min(1).max(200))
-      .max(10)
-      .optional()
-      .messages({
-        "array.max": "Cannot exceed 10 screening questions",
-      }),
+    screeningQuestions: screeningQuestionsField.optional(),
     tags: Joi.array()
       .items(Joi.string().min(1).max(50))
       .max(10)
@@ -272,6 +609,26 @@ const jobValidationSchemas = {
     quickApply: Joi.boolean().optional().messages({
       "boolean.base": "Quick apply must be a boolean",
     }),
+    languagesRequired: Joi.array()
+      .items(Joi.string().min(1).max(50))
+      .max(10)
+      .optional()
+      .messages({
+        "array.max": "Cannot exceed 10 required languages",
+      }),
+    positionsAvailable: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .optional()
+      .messages({
+        "number.base": "Positions available must be a number",
+        "number.min": "Positions available must be at least 1",
+        "number.max": "Positions available cannot exceed 100",
+      }),
+    autoCloseWhenFilled: Joi.boolean().optional().messages({
+      "boolean.base": "Auto close when filled must be a boolean",
+    }),
     externalLink: Joi.string().uri().allow("").empty("").optional().messages({
       "string.uri": "External link must be a valid URL",
     }),
@@ -281,13 +638,7 @@ const jobValidationSchemas = {
     applicantEmail: Joi.string().email().optional().messages({
       "string.email": "Please provide a valid email address",
     }),
-    screeningQuestions: Joi.array()
-      .items(Joi.string().min(1).max(200))
-      .max(10)
-      .optional()
-      .messages({
-        "array.max": "Cannot exceed 10 screening questions",
-      }),
+    screeningQuestions: screeningQuestionsField.optional(),
     tags: Joi.array()
       .items(Joi.string().min(1).max(50))
       .max(10)
@@ -317,82 +668,7 @@ const jobValidationSchemas = {
 
   // Job search schema
   searchJobs: Joi.object({
-    q: Joi.string().min(1).max(200).optional().messages({
-      "string.min": "Search query must be at least 1 character long",
-      "string.max": "Search query cannot exceed 200 characters",
-    }),
-    location: Joi.string().min(1).max(200).optional().messages({
-      "string.min": "Location must be at least 1 character long",
-      "string.max": "Location cannot exceed 200 characters",
-    }),
-    country: Joi.string().min(2).max(100).optional().messages({
-      "string.min": "Country must be at least 2 characters long",
-      "string.max": "Country cannot exceed 100 characters",
-    }),
-    city: Joi.string().min(2).max(100).optional().messages({
-      "string.min": "City must be at least 2 characters long",
-      "string.max": "City cannot exceed 100 characters",
-    }),
-    salaryMin: Joi.number().positive().optional().messages({
-      "number.base": "Minimum salary must be a number",
-      "number.positive": "Minimum salary must be positive",
-    }),
-    salaryMax: Joi.number().positive().optional().messages({
-      "number.base": "Maximum salary must be a number",
-      "number.positive": "Maximum salary must be positive",
-    }),
-    currency: Joi.string().length(3).optional().messages({
-      "string.length": "Currency must be exactly 3 characters",
-    }),
-    educationLevel: Joi.string()
-      .valid(
-        "early_years",
-        "primary",
-        "secondary",
-        "high_school",
-        "foundation",
-        "higher_education"
-      )
-      .optional()
-      .messages({
-        "any.only":
-          "Education level must be one of: early_years, primary, secondary, high_school, foundation, higher_education",
-      }),
-    subjects: Joi.array()
-      .items(Joi.string().min(1).max(100))
-      .optional()
-      .messages({
-        "array.max": "Cannot exceed 10 subjects",
-      }),
-    jobType: Joi.string()
-      .valid("full_time", "part_time", "contract", "substitute")
-      .optional()
-      .messages({
-        "any.only":
-          "Job type must be one of: full_time, part_time, contract, substitute",
-      }),
-    visaSponsorship: Joi.boolean().optional().messages({
-      "boolean.base": "Visa sponsorship must be a boolean",
-    }),
-    quickApply: Joi.boolean().optional().messages({
-      "boolean.base": "Quick apply must be a boolean",
-    }),
-    isUrgent: Joi.boolean().optional().messages({
-      "boolean.base": "Urgent flag must be a boolean",
-    }),
-    isFeatured: Joi.boolean().optional().messages({
-      "boolean.base": "Featured flag must be a boolean",
-    }),
-    postedWithin: Joi.number().min(1).max(365).optional().messages({
-      "number.base": "Posted within must be a number",
-      "number.min": "Posted within must be at least 1 day",
-      "number.max": "Posted within cannot exceed 365 days",
-    }),
-    deadlineWithin: Joi.number().min(1).max(365).optional().messages({
-      "number.base": "Deadline within must be a number",
-      "number.min": "Deadline within must be at least 1 day",
-      "number.max": "Deadline within cannot exceed 365 days",
-    }),
+    ...jobSearchFilterFields,
     page: Joi.number().integer().min(1).default(1).optional().messages({
       "number.base": "Page must be a number",
       "number.integer": "Page must be an integer",
@@ -508,17 +784,32 @@ const jobValidationSchemas = {
         "string.max": "Additional comments cannot exceed 500 characters",
       }),
 
-    screeningAnswers: Joi.object()
-      .pattern(/^.+$/, Joi.string().min(1).max(500))
-      .optional()
-      .messages({
-        "object.pattern": "Screening answers must be valid key-value pairs",
-      }),
+    // Checked against the job's questions by validateScreeningAnswers
+    screeningAnswers: Joi.object().unknown(true).optional(),
 
     resumeUrl: Joi.string().uri().optional().messages({
       "string.uri": "Resume URL must be a valid URL",
     }),
 
+    // Generate a CV snapshot from the profile and attach it as the resume
+    generatedCv: Joi.object({
+      layout: Joi.string()
+        .valid(...CV_LAYOUTS)
+        .default("classic")
+        .messages({
+          "any.only": `CV layout must be one of: ${CV_LAYOUTS.join(", ")}`,
+        }),
+      hide: Joi.array()
+        .items(Joi.string().valid(...CV_HIDEABLE_FIELDS))
+        .unique()
+        .optional()
+        .messages({
+          "any.only": `Hidden CV fields must be from: ${CV_HIDEABLE_FIELDS.join(
+            ", "
+          )}`,
+        }),
+    }).optional(),
+
     documents: Joi.array()
       .items(Joi.string().uri())
       .max(5)
@@ -526,7 +817,18 @@ const jobValidationSchemas = {
       .messages({
         "array.max": "Cannot exceed 5 documents",
       }),
-  }),
+
+    // UTM parameters of the link the teacher followed (careers pages tag theirs)
+    source: Joi.object({
+      utmSource: Joi.string().trim().max(100).optional(),
+      utmMedium: Joi.string().trim().max(100).optional(),
+      utmCampaign: Joi.string().trim().max(100).optional(),
+    }).optional(),
+  })
+    .oxor("resumeUrl", "generatedCv")
+    .messages({
+      "object.oxor": "Provide either a resume URL or a generated CV, not both",
+    }),
 
   // Update application status schema
   updateApplicationStatus: Joi.object({
@@ -617,6 +919,326 @@ const jobValidationSchemas = {
       }),
   }),
 
+  // Saved search schema
+  createSavedSearch: Joi.object({
+    name: Joi.string().min(1).max(100).required().messages({
+      "string.max": "Saved search name cannot exceed 100 characters",
+      "any.required": "Saved search name is required",
+    }),
+    filters: savedSearchFilters.required().messages({
+      "any.required": "Search filters are required",
+    }),
+    alertFrequency: Joi.string()
+      .valid("instant", "daily", "weekly", "none")
+      .default("daily")
+      .messages({
+        "any.only":
+          "Alert frequency must be one of: instant, daily, weekly, none",
+      }),
+    emailAlerts: Joi.boolean().default(true).messages({
+      "boolean.base": "Email alerts must be a boolean",
+    }),
+  }),
+
+  // Update saved search schema
+  updateSavedSearch: Joi.object({
+    name: Joi.string().min(1).max(100).optional().messages({
+      "string.max": "Saved search name cannot exceed 100 characters",
+    }),
+    filters: savedSearchFilters.optional(),
+    alertFrequency: Joi.string()
+      .valid("instant", "daily", "weekly", "none")
+      .optional()
+      .messages({
+        "any.only":
+          "Alert frequency must be one of: instant, daily, weekly, none",
+      }),
+    emailAlerts: Joi.boolean().optional().messages({
+      "boolean.base": "Email alerts must be a boolean",
+    }),
+    isActive: Joi.boolean().optional().messages({
+      "boolean.base": "isActive must be a boolean",
+    }),
+  }),
+
+  // Schedule interview schema
+  scheduleInterview: Joi.object({
+    ...interviewDetailFields,
+    scheduledAt: Joi.date().greater("now").required().messages({
+      "date.greater": "Interview time must be in the future",
+      "any.required": "Interview time is required",
+    }),
+    round: Joi.number().integer().min(1).max(20).optional().messages({
+      "number.min": "Round must be at least 1",
+    }),
+  }),
+
+  // Update or reschedule interview schema
+  updateInterview: Joi.object({
+    ...interviewDetailFields,
+    scheduledAt: Joi.date().greater("now").optional().messages({
+      "date.greater": "Interview time must be in the future",
+    }),
+    note: Joi.string().max(1000).allow("").empty("").optional().messages({
+      "string.max": "Note cannot exceed 1000 characters",
+    }),
+  })
+    .min(1)
+    .messages({
+      "object.min": "At least one field must be provided",
+    }),
+
+  // Cancel interview schema
+  cancelInterview: Joi.object({
+    reason: Joi.string().max(1000).allow("").empty("").optional().messages({
+      "string.max": "Reason cannot exceed 1000 characters",
+    }),
+  }),
+
+  // Complete interview schema
+  completeInterview: Joi.object({
+    feedback: Joi.string().max(2000).allow("").empty("").optional().messages({
+      "string.max": "Feedback cannot exceed 2000 characters",
+    }),
+  }),
+
+  // Teacher response to interview schema
+  respondToInterview: Joi.object({
+    action: Joi.string()
+      .valid("accept", "decline", "reschedule")
+      .required()
+      .messages({
+        "any.only": "Action must be one of: accept, decline, reschedule",
+        "any.required": "Action is required",
+      }),
+    note: Joi.string().max(1000).allow("").empty("").optional().messages({
+      "string.max": "Note cannot exceed 1000 characters",
+    }),
+    proposedSlots: Joi.when("action", {
+      is: "reschedule",
+      then: Joi.array()
+        .items(
+          Joi.object({
+            startsAt: Joi.date().greater("now").required(),
+            note: Joi.string().max(500).allow("").empty("").optional(),
+          })
+        )
+        .min(1)
+        .max(5)
+        .required(),
+      otherwise: Joi.forbidden(),
+    }).messages({
+      "array.min": "Propose at least one alternative time",
+      "array.max": "Cannot propose more than 5 alternative times",
+      "any.required": "Proposed slots are required when asking to reschedule",
+      "any.unknown":
+        "Proposed slots are only allowed when asking to reschedule",
+      "date.greater": "Proposed times must be in the future",
+    }),
+  }),
+
+  // Hiring pipeline schemas (school only)
+  createPipeline: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "string.empty": "Pipeline name is required",
+      "string.max": "Pipeline name cannot exceed 100 characters",
+      "any.required": "Pipeline name is required",
+    }),
+    jobId: Joi.string().hex().length(24).allow(null).optional().messages({
+      "string.hex": "Job ID must be a valid ID",
+      "string.length": "Job ID must be a valid ID",
+    }),
+    stages: pipelineStagesField.required(),
+  }),
+
+  updatePipeline: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional().messages({
+      "string.empty": "Pipeline name cannot be empty",
+      "string.max": "Pipeline name cannot exceed 100 characters",
+    }),
+    stages: pipelineStagesField.optional(),
+  })
+    .min(1)
+    .messages({
+      "object.min": "At least one field must be provided",
+    }),
+
+  // Move application to a pipeline stage schema
+  moveApplicationStage: Joi.object({
+    stage: Joi.string().trim().lowercase().max(50).required().messages({
+      "string.empty": "Stage is required",
+      "any.required": "Stage is required",
+    }),
+    notes: Joi.string().max(1000).allow("").empty("").optional().messages({
+      "string.max": "Notes cannot exceed 1000 characters",
+    }),
+    rejectionReason: Joi.string()
+      .max(500)
+      .allow("")
+      .empty("")
+      .optional()
+      .messages({
+        "string.max": "Rejection reason cannot exceed 500 characters",
+      }),
+  }),
+
+  // Application note schema (school only)
+  addApplicationNote: Joi.object({
+    note: Joi.string().trim().min(1).max(2000).required().messages({
+      "string.empty": "Note is required",
+      "string.max": "Note cannot exceed 2000 characters",
+      "any.required": "Note is required",
+    }),
+  }),
+
+  // Additional application documents schema (teacher only)
+  addApplicationDocuments: Joi.object({
+    documents: Joi.array()
+      .items(Joi.string().uri({ scheme: ["http", "https"] }))
+      .min(1)
+      .max(5)
+      .required()
+      .messages({
+        "array.min": "At least one document is required",
+        "array.max": "Cannot add more than 5 documents at once",
+        "string.uri": "Documents must be valid URLs",
+        "any.required": "Documents are required",
+      }),
+  }),
+
+  // Offer letter template schema (school only)
+  upsertOfferTemplate: Joi.object({
+    body: Joi.string().trim().min(1).max(10000).required().messages({
+      "string.empty": "Template body is required",
+      "string.max": "Template body cannot exceed 10000 characters",
+      "any.required": "Template body is required",
+    }),
+    closing: Joi.string().max(1000).allow("").optional(),
+    signatoryName: Joi.string().max(100).allow("").optional(),
+    signatoryTitle: Joi.string().max(100).allow("").optional(),
+    defaultBenefits: Joi.array()
+      .items(Joi.string().trim().max(200))
+      .max(20)
+      .optional(),
+    defaultHousing: Joi.string().max(1000).allow("").optional(),
+    defaultContractLength: Joi.string().max(100).allow("").optional(),
+  }),
+
+  // Create offer schema (school only)
+  createOffer: Joi.object({
+    salary: Joi.object({
+      amount: Joi.number().min(0).required().messages({
+        "number.min": "Salary cannot be negative",
+        "any.required": "Salary amount is required",
+      }),
+      currency: Joi.string().length(3).uppercase().optional(),
+      period: Joi.string()
+        .valid("annual", "monthly", "hourly")
+        .default("annual"),
+    })
+      .required()
+      .messages({
+        "any.required": "Salary is required",
+      }),
+    startDate: Joi.date().greater("now").required().messages({
+      "date.greater": "Start date must be in the future",
+      "any.required": "Start date is required",
+    }),
+    contractLength: Joi.string().max(100).allow("").empty("").optional(),
+    benefits: Joi.array()
+      .items(Joi.string().trim().max(200))
+      .max(20)
+      .optional(),
+    housing: Joi.string().max(1000).allow("").optional(),
+    additionalTerms: Joi.string().max(5000).allow("").empty("").optional(),
+    expiresAt: Joi.date().greater("now").optional().messages({
+      "date.greater": "Offer expiry must be in the future",
+    }),
+  }),
+
+  // Teacher response to offer schema
+  respondToOffer: Joi.object({
+    action: Joi.string().valid("accept", "decline").required().messages({
+      "any.only": "Action must be one of: accept, decline",
+      "any.required": "Action is required",
+    }),
+    typedName: Joi.string().trim().min(1).max(200).required().messages({
+      "string.empty": "Type your full name to sign",
+      "any.required": "Type your full name to sign",
+    }),
+    reason: Joi.string().max(1000).allow("").empty("").optional().messages({
+      "string.max": "Reason cannot exceed 1000 characters",
+    }),
+  }),
+
+  // Withdraw offer schema (school only)
+  withdrawOffer: Joi.object({
+    reason: Joi.string().max(1000).allow("").empty("").optional().messages({
+      "string.max": "Reason cannot exceed 1000 characters",
+    }),
+  }),
+
+  // Application timeline filter schema (query)
+  applicationTimelineQuery: Joi.object({
+    actorRole: Joi.string()
+      .valid("teacher", "school", "admin", "system")
+      .optional()
+      .messages({
+        "any.only": "Actor role must be one of: teacher, school, admin, system",
+      }),
+    actorId: Joi.string().hex().length(24).optional().messages({
+      "string.hex": "Actor ID must be a valid ID",
+      "string.length": "Actor ID must be a valid ID",
+    }),
+    type: Joi.string()
+      .valid(
+        "status_change",
+        "note",
+        "document",
+        "interview",
+        "message",
+        "offer",
+        "reference"
+      )
+      .optional()
+      .messages({
+        "any.only":
+          "Type must be one of: status_change, note, document, interview, message, offer, reference",
+      }),
+  }),
+
+  // Job applications list schema (query)
+  jobApplicationsQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    status: Joi.string()
+      .valid(
+        "all",
+        "pending",
+        "reviewing",
+        "shortlisted",
+        "interviewed",
+        "accepted",
+        "rejected",
+        "withdrawn"
+      )
+      .default("all"),
+    screeningOutcome: Joi.string()
+      .valid("passed", "flagged", "knocked_out")
+      .optional()
+      .messages({
+        "any.only":
+          "Screening outcome must be one of: passed, flagged, knocked_out",
+      }),
+    sortBy: Joi.string()
+      .valid("createdAt", "screeningScore")
+      .default("createdAt")
+      .messages({
+        "any.only": "Sort by must be one of: createdAt, screeningScore",
+      }),
+    sortOrder: Joi.string().valid("asc", "desc").default("desc"),
+  }),
+
   // Pagination schema
   pagination: Joi.object({
     page: Joi.number().integer().min(1).default(1).optional().messages({
@@ -639,6 +1261,20 @@ const jobValidationSchemas = {
   }),
 };
 
+// Cross-campus posting for school groups: a createJob payload plus campuses
+jobValidationSchemas.createGroupJob = jobValidationSchemas.createJob.keys({
+  campusIds: Joi.array()
+    .items(Joi.string().hex().length(24))
+    .min(1)
+    .max(50)
+    .unique()
+    .required()
+    .messages({
+      "array.min": "Select at least one campus",
+      "any.required": "campusIds is required",
+    }),
+});
+
 // Validation middleware factory for jobs
 const validateJob = (schemaName) => {
   return (req, res, next) => {
@@ -703,8 +1339,41 @@ const validateJobQuery = (schemaName) => {
   };
 };
 
+// Middleware to validate screening answers against the job's questions
+const validateScreeningAnswers = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.jobId).select(
+      "screeningQuestions"
+    );
+
+    // Unknown jobs are reported by the controller
+    if (!job) return next();
+
+    const schema = buildScreeningAnswersSchema(job.screeningQuestions);
+    const { error, value } = schema.validate(req.body.screeningAnswers || {}, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errorMessages = error.details.map((detail) => detail.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errorMessages,
+      });
+    }
+
+    req.body.screeningAnswers = value;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   validateJob,
   validateJobQuery,
+  validateScreeningAnswers,
   jobValidationSchemas,
 };
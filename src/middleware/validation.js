@@ -1,5 +1,69 @@
 const Joi = require("joi");
 const mongoose = require("mongoose");
+const ReferenceRequest = require("../models/ReferenceRequest");
+const SchoolMember = require("../models/SchoolMember");
+const SchoolProfile = require("../models/SchoolProfile");
+const ResourceBundle = require("../models/ResourceBundle");
+const { isCloudinaryFileUrl } = require("../utils/remoteFile");
+
+// Resource files are fetched by the server, so only accept uploads to this
+// account's Cloudinary cloud
+const cloudinaryFileUrl = Joi.string()
+  .uri({ scheme: ["https"] })
+  .custom((value, helpers) =>
+    isCloudinaryFileUrl(value) ? value : helpers.error("any.invalid")
+  )
+  .messages({ "any.invalid": "File URL must be a Cloudinary upload" });
+
+// Filter fields accepted by talent pool search; shared with saved searches
+const talentPoolFilterFields = {
+  q: Joi.string().trim().min(1).max(200).optional(),
+  subject: Joi.string().trim().max(100).optional(),
+  country: Joi.string().trim().max(100).optional(),
+  city: Joi.string().trim().max(100).optional(),
+  nationality: Joi.string().trim().max(100).optional(),
+  languages: Joi.array().items(Joi.string().trim().max(50)).max(10).optional(),
+  qualification: Joi.array()
+    .items(
+      Joi.string().valid(
+        "Bachelor",
+        "Master",
+        "PhD",
+        "Diploma",
+        "Certificate",
+        "Other"
+      )
+    )
+    .optional(),
+  minExperience: Joi.number().integer().min(0).max(50).optional(),
+  maxExperience: Joi.number()
+    .integer()
+    .min(0)
+    .max(50)
+    .optional()
+    .when("minExperience", {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref("minExperience")),
+    })
+    .messages({
+      "number.min": "Maximum experience must be at least the minimum",
+    }),
+  availabilityStatus: Joi.array()
+    .items(Joi.string().valid("available", "open_to_offers", "not_looking"))
+    .optional(),
+  verifiedCredentials: Joi.boolean().optional(),
+};
+
+const talentPoolAlertFrequency = Joi.string()
+  .valid("instant", "daily", "weekly", "none")
+  .messages({
+    "any.only": "Alert frequency must be one of: instant, daily, weekly, none",
+  });
+
+// Staff roles a school can assign; ownership only moves by transfer
+const assignableSchoolStaffRole = Joi.string().valid(
+  ...SchoolMember.ROLES.filter((role) => role !== "owner")
+);
 
 // Validation schemas
 const validationSchemas = {
@@ -324,6 +388,16 @@ const validationSchemas = {
     additionalQualifications: Joi.array()
       .items(Joi.string().max(200))
       .optional(),
+    requiresVisaSponsorship: Joi.boolean().optional(),
+    expectedSalary: Joi.object({
+      min: Joi.number().min(0).required(),
+      currency: Joi.string().length(3).uppercase().required(),
+    })
+      .optional()
+      .messages({
+        "number.min": "Expected salary cannot be negative",
+        "string.length": "Currency must be a 3-letter code",
+      }),
   }),
 
   // School profile validation
@@ -448,6 +522,549 @@ const validationSchemas = {
       "any.required": "About school is required",
     }),
   }),
+
+  // Message text is optional when files are attached (multipart form)
+  sendMessage: Joi.object({
+    body: Joi.string().trim().max(5000).allow("").optional().messages({
+      "string.max": "Message cannot exceed 5000 characters",
+    }),
+  }),
+
+  // School request for references (defaults to all of the teacher's referees)
+  requestReferences: Joi.object({
+    refereeIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .max(10)
+      .optional()
+      .messages({
+        "string.length": "Invalid referee ID",
+        "array.max": "Cannot request more than 10 references at once",
+      }),
+    message: Joi.string().trim().max(1000).allow("").empty("").optional(),
+  }),
+
+  // Teacher consent to contact a referee
+  referenceConsent: Joi.object({
+    consent: Joi.boolean().required().messages({
+      "any.required": "Consent decision is required",
+    }),
+  }),
+
+  // Referee's reference form (public, tokenised link)
+  submitReference: Joi.object({
+    refereeName: Joi.string().trim().min(2).max(200).required().messages({
+      "any.required": "Your name is required",
+    }),
+    refereePosition: Joi.string().trim().max(200).required().messages({
+      "any.required": "Your position is required",
+    }),
+    capacityKnown: Joi.string().trim().max(500).required().messages({
+      "any.required": "Please state in what capacity you know the candidate",
+    }),
+    employedFrom: Joi.date().optional(),
+    employedTo: Joi.date().min(Joi.ref("employedFrom")).optional().messages({
+      "date.min": "Employment end date must be after the start date",
+    }),
+    safeguarding: Joi.object(
+      Object.fromEntries(
+        ReferenceRequest.SAFEGUARDING_QUESTIONS.map(({ key }) => [
+          key,
+          Joi.object({
+            answer: Joi.string().valid("yes", "no").required(),
+            details: Joi.string()
+              .trim()
+              .max(2000)
+              .allow("")
+              .empty("")
+              .optional(),
+          }).required(),
+        ])
+      )
+    )
+      .required()
+      .messages({
+        "any.required": "All safeguarding questions must be answered",
+      }),
+    ratings: Joi.object(
+      Object.fromEntries(
+        ReferenceRequest.RATING_CRITERIA.map(({ key }) => [
+          key,
+          Joi.number().integer().min(1).max(5).optional(),
+        ])
+      )
+    )
+      .required()
+      .messages({
+        "number.min": "Ratings must be between 1 and 5",
+        "number.max": "Ratings must be between 1 and 5",
+      }),
+    strengths: Joi.string().trim().max(3000).required().messages({
+      "any.required": "Please describe the candidate's strengths",
+    }),
+    areasForDevelopment: Joi.string()
+      .trim()
+      .max(3000)
+      .allow("")
+      .empty("")
+      .optional(),
+    additionalComments: Joi.string()
+      .trim()
+      .max(3000)
+      .allow("")
+      .empty("")
+      .optional(),
+    declaration: Joi.boolean().valid(true).required().messages({
+      "any.only": "You must confirm the declaration",
+      "any.required": "You must confirm the declaration",
+    }),
+  }),
+  // Reviewed CV import draft; source lines and hints are stripped
+  confirmCvImport: Joi.object({
+    employment: Joi.array()
+      .items(
+        Joi.object({
+          jobTitle: Joi.string().trim().max(200).allow(""),
+          employer: Joi.string().trim().max(200).allow(""),
+          location: Joi.string().trim().max(200).allow(""),
+          startDate: Joi.date().allow(null),
+          endDate: Joi.date().allow(null),
+          isCurrent: Joi.boolean(),
+          responsibilities: Joi.array().items(Joi.string().max(1000)).max(30),
+        })
+      )
+      .max(30),
+    education: Joi.array()
+      .items(
+        Joi.object({
+          educationType: Joi.string().valid("University", "School", "Other"),
+          degree: Joi.string().trim().max(200).allow(""),
+          institution: Joi.string().trim().max(200).allow(""),
+          fieldOfStudy: Joi.string().trim().max(200).allow(""),
+          gpa: Joi.string().trim().max(20).allow(""),
+          startDate: Joi.date().allow(null),
+          endDate: Joi.date().allow(null),
+          thesisTitle: Joi.string().trim().max(300).allow(""),
+          honorsAwards: Joi.array().items(Joi.string().max(300)).max(20),
+        })
+      )
+      .max(20),
+    qualifications: Joi.array()
+      .items(
+        Joi.object({
+          title: Joi.string().trim().max(200).allow(""),
+          issuingInstitution: Joi.string().trim().max(200).allow(""),
+          subjectArea: Joi.string().trim().max(200).allow(""),
+          certificationId: Joi.string().trim().max(100).allow(""),
+          issueDate: Joi.date().allow(null),
+          expiryDate: Joi.date().allow(null),
+          ageRanges: Joi.array().items(Joi.string().max(20)).max(10),
+          description: Joi.string().max(2000).allow(""),
+        })
+      )
+      .max(20),
+    certifications: Joi.array()
+      .items(
+        Joi.object({
+          certificationName: Joi.string().trim().max(200).allow(""),
+          issuingOrganization: Joi.string().trim().max(200).allow(""),
+          issueDate: Joi.date().allow(null),
+          expiryDate: Joi.date().allow(null),
+          credentialId: Joi.string().trim().max(100).allow(""),
+          credentialUrl: Joi.string().uri().allow(""),
+          description: Joi.string().max(2000).allow(""),
+        })
+      )
+      .max(30),
+  })
+    .or("employment", "education", "qualifications", "certifications")
+    .messages({
+      "object.missing": "The draft has no entries to save",
+    }),
+
+  // Credential submitted for verification (multipart form with evidence)
+  submitCredentialVerification: Joi.object({
+    credentialType: Joi.string()
+      .valid("certification", "qualification")
+      .required()
+      .messages({
+        "any.only": "Credential type must be certification or qualification",
+        "any.required": "Credential type is required",
+      }),
+    credentialId: Joi.string().hex().length(24).required().messages({
+      "string.length": "Invalid credential ID",
+      "any.required": "Credential ID is required",
+    }),
+    note: Joi.string().trim().max(1000).allow("").empty("").optional(),
+  }),
+
+  // Teacher's answer to an information request
+  credentialVerificationInfo: Joi.object({
+    note: Joi.string().trim().max(1000).allow("").empty("").optional(),
+  }),
+
+  // Admin review; the comment is required to reject or request information
+  reviewCredentialVerification: Joi.object({
+    comment: Joi.string().trim().max(1000).allow("").empty("").optional(),
+  }),
+
+  // School's saved talent pool search
+  createTalentPoolSavedSearch: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "string.max": "Saved search name cannot exceed 100 characters",
+      "any.required": "Saved search name is required",
+    }),
+    filters: Joi.object(talentPoolFilterFields).min(1).required().messages({
+      "object.min": "At least one search filter is required",
+      "any.required": "Search filters are required",
+    }),
+    alertFrequency: talentPoolAlertFrequency.default("daily"),
+  }),
+
+  updateTalentPoolSavedSearch: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional().messages({
+      "string.max": "Saved search name cannot exceed 100 characters",
+    }),
+    filters: Joi.object(talentPoolFilterFields).min(1).optional().messages({
+      "object.min": "At least one search filter is required",
+    }),
+    alertFrequency: talentPoolAlertFrequency.optional(),
+    isActive: Joi.boolean().optional(),
+  }),
+
+  // Talent pool shortlist collaboration
+  saveTeacher: Joi.object({
+    teacherProfileId: Joi.string().hex().length(24).required().messages({
+      "string.length": "Invalid teacher profile ID",
+      "any.required": "teacherProfileId is required",
+    }),
+    notes: Joi.string().max(500).allow("").optional(),
+    shortlistId: Joi.string().hex().length(24).optional(),
+    tags: Joi.array().items(Joi.string().trim().max(30)).max(20).optional(),
+  }),
+
+  shortlistTags: Joi.object({
+    tags: Joi.array()
+      .items(Joi.string().trim().max(30))
+      .max(20)
+      .required()
+      .messages({
+        "array.max": "A teacher can have at most 20 tags",
+        "any.required": "Tags are required",
+      }),
+  }),
+
+  shortlistNote: Joi.object({
+    body: Joi.string().trim().min(1).max(2000).required().messages({
+      "any.required": "Note text is required",
+    }),
+    visibility: Joi.string().valid("private", "shared").default("shared"),
+  }),
+
+  updateShortlistNote: Joi.object({
+    body: Joi.string().trim().min(1).max(2000).optional(),
+    visibility: Joi.string().valid("private", "shared").optional(),
+  }).min(1),
+
+  shortlistRating: Joi.object({
+    rating: Joi.number().integer().min(1).max(5).required().messages({
+      "number.min": "Rating must be between 1 and 5",
+      "number.max": "Rating must be between 1 and 5",
+      "any.required": "Rating is required",
+    }),
+  }),
+
+  shortlistInvite: Joi.object({
+    jobId: Joi.string().hex().length(24).optional(),
+    shortlistId: Joi.string().hex().length(24).optional(),
+    message: Joi.string().trim().max(1000).allow("").empty("").optional(),
+  }),
+
+  createShortlist: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "any.required": "Shortlist name is required",
+    }),
+    description: Joi.string().trim().max(500).allow("").optional(),
+    jobId: Joi.string().hex().length(24).allow(null).optional(),
+  }),
+
+  updateShortlist: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().trim().max(500).allow("").optional(),
+    jobId: Joi.string().hex().length(24).allow(null).optional(),
+  }).min(1),
+
+  addToShortlist: Joi.object({
+    teacherProfileId: Joi.string().hex().length(24).required().messages({
+      "string.length": "Invalid teacher profile ID",
+      "any.required": "teacherProfileId is required",
+    }),
+  }),
+
+  // School staff management
+  inviteSchoolStaff: Joi.object({
+    email: Joi.string().email().required().messages({
+      "string.email": "Please provide a valid email address",
+      "any.required": "Email is required",
+    }),
+    role: assignableSchoolStaffRole.required(),
+  }),
+
+  updateSchoolStaffRole: Joi.object({
+    role: assignableSchoolStaffRole.required(),
+  }),
+
+  acceptSchoolStaffInvitation: Joi.object({
+    token: Joi.string().trim().required().messages({
+      "any.required": "Invitation token is required",
+    }),
+  }),
+
+  transferSchoolOwnership: Joi.object({
+    memberId: Joi.string().hex().length(24).required().messages({
+      "string.length": "Invalid member ID",
+      "any.required": "memberId is required",
+    }),
+    newRole: assignableSchoolStaffRole.default("recruiter"),
+  }),
+
+  // School groups (multi-campus)
+  createSchoolGroup: Joi.object({
+    name: Joi.string().trim().min(2).max(150).required().messages({
+      "any.required": "Group name is required",
+    }),
+    description: Joi.string().trim().max(2000).allow("").optional(),
+    sharedTalentPool: Joi.boolean().optional(),
+  }),
+
+  updateSchoolGroup: Joi.object({
+    name: Joi.string().trim().min(2).max(150).optional(),
+    description: Joi.string().trim().max(2000).allow("").optional(),
+    sharedTalentPool: Joi.boolean().optional(),
+  }).min(1),
+
+  addSchoolGroupAdmin: Joi.object({
+    email: Joi.string().email().required().messages({
+      "string.email": "Please provide a valid email address",
+      "any.required": "Email is required",
+    }),
+  }),
+
+  requestSchoolGroupCampus: Joi.object({
+    schoolId: Joi.string().hex().length(24).required().messages({
+      "string.length": "Invalid school ID",
+      "any.required": "schoolId is required",
+    }),
+  }),
+
+  // Careers page schemas
+  updateCareerPageSlug: Joi.object({
+    slug: Joi.string()
+      .trim()
+      .lowercase()
+      .min(3)
+      .max(60)
+      .pattern(SchoolProfile.SLUG_PATTERN)
+      .invalid(...SchoolProfile.RESERVED_SLUGS)
+      .required()
+      .messages({
+        "string.min": "Careers page address must be at least 3 characters",
+        "string.max": "Careers page address cannot exceed 60 characters",
+        "string.pattern.base":
+          "Careers page address may only contain lowercase letters, numbers and single hyphens",
+        "any.invalid": "This careers page address is reserved",
+        "any.required": "slug is required",
+      }),
+  }),
+
+  // Resource bundle schemas
+  createResourceBundle: Joi.object({
+    title: Joi.string().trim().min(3).max(150).required(),
+    description: Joi.string().trim().max(2000).allow("").optional(),
+    coverPhoto: Joi.string().uri().allow(null, "").optional(),
+    resourceIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .unique()
+      .min(ResourceBundle.MIN_RESOURCES)
+      .max(ResourceBundle.MAX_RESOURCES)
+      .required()
+      .messages({
+        "array.min": `A bundle needs at least ${ResourceBundle.MIN_RESOURCES} resources`,
+        "array.max": `A bundle can contain at most ${ResourceBundle.MAX_RESOURCES} resources`,
+        "array.unique": "A resource can only be added to a bundle once",
+      }),
+    price: Joi.number().positive().precision(2).required(),
+    currency: Joi.string().valid("USD", "EUR", "GBP", "PKR").required(),
+  }),
+
+  updateResourceBundle: Joi.object({
+    title: Joi.string().trim().min(3).max(150).optional(),
+    description: Joi.string().trim().max(2000).allow("").optional(),
+    coverPhoto: Joi.string().uri().allow(null, "").optional(),
+    resourceIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .unique()
+      .min(ResourceBundle.MIN_RESOURCES)
+      .max(ResourceBundle.MAX_RESOURCES)
+      .optional()
+      .messages({
+        "array.min": `A bundle needs at least ${ResourceBundle.MIN_RESOURCES} resources`,
+        "array.max": `A bundle can contain at most ${ResourceBundle.MAX_RESOURCES} resources`,
+        "array.unique": "A resource can only be added to a bundle once",
+      }),
+    price: Joi.number().positive().precision(2).optional(),
+    currency: Joi.string().valid("USD", "EUR", "GBP", "PKR").optional(),
+    status: Joi.string().valid("active", "inactive").optional(),
+  })
+    .min(1)
+    .messages({ "object.min": "Nothing to update" }),
+
+  // Coupon and promotion schemas
+  createCoupon: Joi.object({
+    code: Joi.string()
+      .trim()
+      .uppercase()
+      .min(3)
+      .max(30)
+      .pattern(/^[A-Z0-9_-]+$/)
+      .required()
+      .messages({
+        "string.pattern.base":
+          "Coupon codes may only contain letters, numbers, hyphens and underscores",
+      }),
+    description: Joi.string().trim().max(300).allow("").optional(),
+    discountType: Joi.string().valid("percentage", "fixed").required(),
+    value: Joi.number().positive().precision(2).required(),
+    currency: Joi.string().valid("USD", "EUR", "GBP", "PKR").optional(),
+    resources: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .unique()
+      .max(100)
+      .optional(),
+    maxUses: Joi.number().integer().min(1).allow(null).optional(),
+    maxUsesPerBuyer: Joi.number().integer().min(1).optional(),
+    firstPurchaseOnly: Joi.boolean().optional(),
+    startsAt: Joi.date().optional(),
+    expiresAt: Joi.date().greater("now").allow(null).optional(),
+    isActive: Joi.boolean().optional(),
+  }),
+
+  updateCoupon: Joi.object({
+    description: Joi.string().trim().max(300).allow("").optional(),
+    discountType: Joi.string().valid("percentage", "fixed").optional(),
+    value: Joi.number().positive().precision(2).optional(),
+    currency: Joi.string().valid("USD", "EUR", "GBP", "PKR").optional(),
+    resources: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .unique()
+      .max(100)
+      .optional(),
+    maxUses: Joi.number().integer().min(1).allow(null).optional(),
+    maxUsesPerBuyer: Joi.number().integer().min(1).optional(),
+    firstPurchaseOnly: Joi.boolean().optional(),
+    startsAt: Joi.date().optional(),
+    expiresAt: Joi.date().allow(null).optional(),
+    isActive: Joi.boolean().optional(),
+  })
+    .min(1)
+    .messages({ "object.min": "Nothing to update" }),
+
+  setResourcePromotion: Joi.object({
+    percentOff: Joi.number().integer().min(1).max(90).required(),
+    startsAt: Joi.date().optional(),
+    endsAt: Joi.date().greater("now").required(),
+  }),
+
+  purchaseQuote: Joi.object({
+    resourceId: Joi.string().hex().length(24).required(),
+    licenseType: Joi.string()
+      .valid("single", "department", "school")
+      .default("single"),
+    buyerCountry: Joi.string().trim().length(2).uppercase().default("GB"),
+    couponCode: Joi.string().trim().max(30).allow("").optional(),
+  }),
+
+  createResourceVersion: Joi.object({
+    fileUrl: cloudinaryFileUrl.required(),
+    changelog: Joi.string().trim().min(3).max(2000).required(),
+  }),
+
+  reviewResourceVersion: Joi.object({
+    status: Joi.string().valid("approved", "rejected").required(),
+    rejectionReason: Joi.string().trim().max(1000).when("status", {
+      is: "rejected",
+      then: Joi.required(),
+      otherwise: Joi.optional().allow("", null),
+    }),
+  }),
+
+  addResourceFile: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    kind: Joi.string()
+      .valid(
+        "slides",
+        "worksheet",
+        "answer_key",
+        "lesson_plan",
+        "audio",
+        "video",
+        "image",
+        "document",
+        "other"
+      )
+      .default("other"),
+    url: cloudinaryFileUrl.required(),
+    format: Joi.string().trim().lowercase().max(10).optional(),
+    mimeType: Joi.string().trim().max(100).optional(),
+    size: Joi.number().integer().min(0).optional(),
+    order: Joi.number().integer().min(0).optional(),
+  }),
+
+  updateResourceFile: Joi.object({
+    title: Joi.string().trim().min(1).max(200).optional(),
+    kind: Joi.string()
+      .valid(
+        "slides",
+        "worksheet",
+        "answer_key",
+        "lesson_plan",
+        "audio",
+        "video",
+        "image",
+        "document",
+        "other"
+      )
+      .optional(),
+    url: cloudinaryFileUrl.optional(),
+    format: Joi.string().trim().lowercase().max(10).optional(),
+    mimeType: Joi.string().trim().max(100).optional(),
+    size: Joi.number().integer().min(0).optional(),
+    order: Joi.number().integer().min(0).optional(),
+  }).min(1),
+
+  addCartItem: Joi.object({
+    resourceId: Joi.string().hex().length(24).required(),
+    licenseType: Joi.string()
+      .valid("single", "department", "school")
+      .default("single"),
+    schoolDomain: Joi.string().trim().lowercase().max(253).when("licenseType", {
+      is: "single",
+      then: Joi.optional().allow("", null),
+      otherwise: Joi.required(),
+    }),
+    institutionName: Joi.string().trim().max(200).allow("", null).optional(),
+  }),
+
+  updateCartItem: Joi.object({
+    licenseType: Joi.string().valid("single", "department", "school"),
+    schoolDomain: Joi.string().trim().lowercase().max(253).allow("", null),
+    institutionName: Joi.string().trim().max(200).allow("", null),
+  }).min(1),
+
+  cartCheckout: Joi.object({
+    buyerCountry: Joi.string().trim().length(2).uppercase().default("GB"),
+    couponCode: Joi.string().trim().max(30).allow("").optional(),
+    currency: Joi.string().valid("USD", "EUR", "GBP", "PKR").optional(),
+  }),
 };
 
 // Validation middleware factory
@@ -0,0 +1,179 @@
+const mongoose = require("mongoose");
+
+/**
+ * ApplicationEvent Model
+ * Append-only audit log for job applications. Every status change, note,
+ * document, interview change, message, offer and reference request is
+ * recorded with its actor, the previous and new state, and the reason. The application timeline is read
+ * from this collection.
+ *
+ * Events are never updated or deleted. The only exception is GDPR erasure,
+ * which anonymizes the actor through `anonymizeActor`.
+ */
+const applicationEventSchema = new mongoose.Schema(
+  {
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JobApplication",
+      required: true,
+    },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+    },
+    type: {
+      type: String,
+      enum: [
+        "status_change",
+        "note",
+        "document",
+        "interview",
+        "message",
+        "offer",
+        "reference",
+      ],
+      required: true,
+    },
+    // What happened within the type (e.g. 'submitted', 'withdrawn', 'rescheduled')
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    actor: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      role: {
+        type: String,
+        enum: ["teacher", "school", "admin", "system"],
+        required: true,
+      },
+    },
+    fromState: {
+      type: String,
+      default: null,
+    },
+    toState: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      maxlength: 2000,
+    },
+    // 'school' events (e.g. internal notes) are hidden from the teacher
+    visibility: {
+      type: String,
+      enum: ["all", "school"],
+      default: "all",
+    },
+    // Extra context (e.g. { interviewId }, { documentUrl }, { bulk: true })
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+applicationEventSchema.index({ applicationId: 1, createdAt: 1 });
+applicationEventSchema.index({ applicationId: 1, "actor.role": 1 });
+applicationEventSchema.index({ "actor.userId": 1, createdAt: -1 });
+
+// Reject in-place changes so the log stays append-only
+applicationEventSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Application events are append-only"));
+  }
+  next();
+});
+
+const blockMutation = function (next) {
+  if (this.getOptions().gdprErasure) return next();
+  next(new Error("Application events are append-only"));
+};
+
+applicationEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  blockMutation
+);
+
+/**
+ * Append an event
+ *
+ * @param {Object} data - { applicationId, jobId, type, action, actor, fromState, toState, reason, visibility, metadata }
+ * @returns {Promise<Object>} - Created event
+ */
+applicationEventSchema.statics.record = async function (data) {
+  return this.create(data);
+};
+
+/**
+ * Append an event without failing the caller.
+ * Used where the audited action has already happened.
+ *
+ * @param {Object} data - Same as record
+ * @returns {Promise<Object|null>} - Created event, or null on failure
+ */
+applicationEventSchema.statics.recordSafely = async function (data) {
+  try {
+    return await this.create(data);
+  } catch (error) {
+    console.error(
+      `[ApplicationEvent] Failed to record ${data.type}/${data.action} for application ${data.applicationId}:`,
+      error.message
+    );
+    return null;
+  }
+};
+
+/**
+ * Get events for an application, oldest first
+ *
+ * @param {string} applicationId - Application ID
+ * @param {Object} filters - { actorRole, actorId, type, includeSchoolOnly }
+ * @returns {Promise<Array>}
+ */
+applicationEventSchema.statics.getTimeline = async function (
+  applicationId,
+  filters = {}
+) {
+  const query = { applicationId };
+
+  if (filters.actorRole) query["actor.role"] = filters.actorRole;
+  if (filters.actorId) query["actor.userId"] = filters.actorId;
+  if (filters.type) query.type = filters.type;
+  if (!filters.includeSchoolOnly) query.visibility = "all";
+
+  return this.find(query).sort({ createdAt: 1 }).lean();
+};
+
+/**
+ * Remove the actor reference of an erased user (GDPR Article 17)
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Update result
+ */
+applicationEventSchema.statics.anonymizeActor = async function (userId) {
+  return this.updateMany(
+    { "actor.userId": userId },
+    { $set: { "actor.userId": null } },
+    { gdprErasure: true }
+  );
+};
+
+module.exports = mongoose.model("ApplicationEvent", applicationEventSchema);
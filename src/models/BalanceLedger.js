@@ -127,7 +127,7 @@ balanceLedgerSchema.statics.createEntry = async function (data) {
 
   // Calculate new balance
   let balanceChange = data.amount;
-  if (data.type === "debit" || data.type === "fee") {
+  if (["debit", "fee", "refund"].includes(data.type)) {
     balanceChange = -Math.abs(data.amount);
   }
 
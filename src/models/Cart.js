@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+/**
+ * Cart Model
+ * A buyer's persistent marketplace cart. Holds one line per resource with
+ * the license to buy it under; prices are worked out when the cart is read
+ * or checked out, so sales and coupons always reflect the current state.
+ */
+const cartItemSchema = new mongoose.Schema(
+  {
+    resource: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resource",
+      required: true,
+    },
+    licenseType: {
+      type: String,
+      enum: ["single", "department", "school"],
+      default: "single",
+    },
+    // Department/school licenses only
+    schoolDomain: {
+      type: String,
+      default: null,
+    },
+    institutionName: {
+      type: String,
+      default: null,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const cartSchema = new mongoose.Schema(
+  {
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    items: [cartItemSchema],
+  },
+  { timestamps: true }
+);
+
+cartSchema.statics.MAX_ITEMS = 50;
+
+/**
+ * Get a buyer's cart, creating an empty one on first use
+ */
+cartSchema.statics.getOrCreate = async function (buyerId) {
+  return this.findOneAndUpdate(
+    { buyer: buyerId },
+    { $setOnInsert: { buyer: buyerId, items: [] } },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.model("Cart", cartSchema);
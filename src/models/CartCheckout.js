@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+
+/**
+ * CartCheckout Model
+ * Snapshot of the cart lines and prices sent to one Stripe checkout session.
+ * Stripe metadata is too small to carry a whole cart, so the session only
+ * references this document and the webhook fulfils the lines recorded here.
+ *
+ * Status flow: pending → processing (one request is recording the sales)
+ * → completed. A fulfilment that stalls in processing can be claimed again
+ * after FULFILMENT_TIMEOUT_MS.
+ */
+const FULFILMENT_TIMEOUT_MS = 10 * 60 * 1000;
+
+const cartCheckoutSchema = new mongoose.Schema(
+  {
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    buyerEmail: String,
+    buyerCountry: {
+      type: String,
+      default: "GB",
+    },
+    stripeSessionId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    // All amounts in smallest currency unit
+    items: [
+      {
+        resource: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Resource",
+          required: true,
+        },
+        seller: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        title: String,
+        licenseType: {
+          type: String,
+          enum: ["single", "department", "school"],
+          default: "single",
+        },
+        schoolDomain: String,
+        institutionName: String,
+        listPrice: Number,
+        price: {
+          type: Number,
+          required: true,
+        },
+        // Same shape as Sale.discount
+        discount: {
+          listPrice: Number,
+          amount: { type: Number, default: 0 },
+          couponId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Coupon",
+            default: null,
+          },
+          couponCode: String,
+          sources: [String],
+          description: String,
+        },
+      },
+    ],
+    total: {
+      type: Number,
+      required: true,
+    },
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed"],
+      default: "pending",
+    },
+    processingAt: Date,
+    sales: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Sale",
+      },
+    ],
+    completedAt: Date,
+    // Set once the invoice and seller notifications have gone out
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Static method to claim a checkout for fulfilment, so only one request
+// (webhook or success page) records its sales at a time
+cartCheckoutSchema.statics.claimForFulfilment = function (checkoutId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: checkoutId,
+      $or: [
+        { status: "pending" },
+        {
+          status: "processing",
+          processingAt: { $lt: new Date(now - FULFILMENT_TIMEOUT_MS) },
+        },
+      ],
+    },
+    { $set: { status: "processing", processingAt: now } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model("CartCheckout", cartCheckoutSchema);
@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+/**
+ * Conversation Model
+ * A message thread between a school and a teacher, tied either to a job
+ * application or to a talent-pool invitation (`inviteToApply`). Both
+ * profile ids and user ids are stored: profiles for access checks, users
+ * for Socket.IO rooms and email delivery.
+ */
+const conversationSchema = new mongoose.Schema(
+  {
+    context: {
+      type: String,
+      enum: ["application", "invite"],
+      required: true,
+    },
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JobApplication",
+      default: null,
+    },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      default: null,
+    },
+    schoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SchoolProfile",
+      required: true,
+    },
+    schoolUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TeacherProfile",
+      required: true,
+    },
+    teacherUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    subject: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    lastMessageAt: {
+      type: Date,
+    },
+    lastMessagePreview: {
+      type: String,
+      maxlength: 200,
+    },
+    // Unread message count per side
+    unreadCount: {
+      school: { type: Number, default: 0, min: 0 },
+      teacher: { type: Number, default: 0, min: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One thread per application
+conversationSchema.index(
+  { applicationId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { applicationId: { $type: "objectId" } },
+  }
+);
+conversationSchema.index({ schoolId: 1, lastMessageAt: -1 });
+conversationSchema.index({ teacherId: 1, lastMessageAt: -1 });
+conversationSchema.index({ schoolId: 1, teacherId: 1, context: 1 });
+
+// Method to get the participant role of an authenticated user
+// (req.user: { userId, role, schoolId }); null when not a participant
+conversationSchema.methods.getRole = function (user) {
+  if (
+    user.role === "school" &&
+    user.schoolId &&
+    this.schoolId.toString() === user.schoolId.toString()
+  ) {
+    return "school";
+  }
+  if (
+    user.role === "teacher" &&
+    this.teacherUserId.toString() === user.userId.toString()
+  ) {
+    return "teacher";
+  }
+  return null;
+};
+
+// Method to get the user id of the other participant
+conversationSchema.methods.getRecipientUserId = function (senderRole) {
+  return senderRole === "school" ? this.teacherUserId : this.schoolUserId;
+};
+
+module.exports = mongoose.model("Conversation", conversationSchema);
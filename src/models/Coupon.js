@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+
+/**
+ * Coupon Model
+ * Discount codes for marketplace resources. Seller coupons apply to the
+ * seller's own resources (all of them, or the listed ones); admin coupons
+ * have no seller and apply to any paid resource.
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      maxlength: 30,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: "",
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: true,
+    },
+    // Percent off (1-100) or a fixed amount in major units of `currency`
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Fixed coupons only apply to resources priced in this currency
+    currency: {
+      type: String,
+      enum: ["USD", "EUR", "GBP", "PKR", null],
+      default: null,
+    },
+    // Null for admin (sitewide) coupons
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Empty = every resource of the seller (or every resource for admin coupons)
+    resources: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Resource",
+      },
+    ],
+    // Total redemptions allowed (null = unlimited)
+    maxUses: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    maxUsesPerBuyer: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    // Only for buyers with no paid marketplace purchases yet
+    firstPurchaseOnly: {
+      type: Boolean,
+      default: false,
+    },
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      role: {
+        type: String,
+        enum: ["teacher", "school", "admin"],
+        required: true,
+      },
+    },
+    isDeleted: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+couponSchema.index({ seller: 1, isDeleted: 1, createdAt: -1 });
+
+/**
+ * Find a coupon by code (case-insensitive)
+ */
+couponSchema.statics.findByCode = function (code) {
+  return this.findOne({
+    code: String(code).trim().toUpperCase(),
+    isDeleted: false,
+  });
+};
+
+/**
+ * Whether the coupon can be redeemed at the given time (ignores per-buyer rules)
+ */
+couponSchema.methods.isRedeemable = function (now = new Date()) {
+  return (
+    this.isActive &&
+    !this.isDeleted &&
+    (!this.startsAt || this.startsAt <= now) &&
+    (!this.expiresAt || this.expiresAt > now) &&
+    (this.maxUses === null || this.usedCount < this.maxUses)
+  );
+};
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+/**
+ * CouponReservation Model
+ * One coupon use held for a Stripe checkout session. The use is added to
+ * Coupon.usedCount when the session is created, so concurrent checkouts
+ * cannot take a coupon past maxUses, and given back if the session expires
+ * unpaid.
+ *
+ * Status flow: reserved → redeemed (payment completed)
+ *              reserved → released (session expired)
+ */
+const couponReservationSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+      index: true,
+    },
+    stripeSessionId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["reserved", "redeemed", "released"],
+      default: "reserved",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("CouponReservation", couponReservationSchema);
@@ -0,0 +1,166 @@
+const mongoose = require("mongoose");
+
+/**
+ * CredentialVerification Model
+ * A teacher's request to have a self-declared certification or
+ * qualification verified. The teacher uploads evidence and admins work
+ * through the review queue.
+ *
+ * Status flow:
+ * pending → verified → expired (when the credential's expiry date passes)
+ *         → rejected
+ *         → more_info_requested → (teacher adds evidence) → pending
+ * Open and verified requests → cancelled (the teacher edited or deleted
+ * the credential)
+ */
+const OPEN_STATUSES = ["pending", "more_info_requested"];
+
+const evidenceSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    publicId: { type: String },
+    resourceType: { type: String },
+    fileName: { type: String },
+    mimeType: { type: String },
+    size: { type: Number },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const credentialVerificationSchema = new mongoose.Schema(
+  {
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TeacherProfile",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    credentialType: {
+      type: String,
+      enum: ["certification", "qualification"],
+      required: true,
+    },
+    credentialId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Snapshot of the credential as submitted, for the reviewer
+    credential: {
+      name: { type: String },
+      issuer: { type: String },
+      reference: { type: String },
+      issueDate: { type: Date },
+      expiryDate: { type: Date },
+    },
+    evidence: {
+      type: [evidenceSchema],
+      validate: {
+        validator: (v) => v.length > 0 && v.length <= 10,
+        message: "Between 1 and 10 evidence files are required",
+      },
+    },
+    status: {
+      type: String,
+      enum: [...OPEN_STATUSES, "verified", "rejected", "expired", "cancelled"],
+      default: "pending",
+      index: true,
+    },
+    teacherNote: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    // Admin comment (required for rejection and information requests)
+    adminComment: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: { type: Date, default: null },
+    verifiedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    history: [
+      {
+        _id: false,
+        action: {
+          type: String,
+          enum: [
+            "submitted",
+            "information_added",
+            "approved",
+            "rejected",
+            "more_info_requested",
+            "expired",
+            "cancelled",
+          ],
+          required: true,
+        },
+        comment: { type: String },
+        actorId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+credentialVerificationSchema.index({ status: 1, createdAt: 1 });
+credentialVerificationSchema.index({ teacherId: 1, createdAt: -1 });
+credentialVerificationSchema.index({ status: 1, expiresAt: 1 });
+// One open request per credential
+credentialVerificationSchema.index(
+  { credentialId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: OPEN_STATUSES } },
+  }
+);
+
+credentialVerificationSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+// Static method to cancel open and verified requests after the credential
+// was edited or deleted, so a later expiry run cannot touch it again
+credentialVerificationSchema.statics.cancelForCredential = function (
+  credentialId,
+  comment = "The credential was edited after submission"
+) {
+  return this.updateMany(
+    { credentialId, status: { $in: [...OPEN_STATUSES, "verified"] } },
+    {
+      $set: { status: "cancelled" },
+      $push: {
+        history: { action: "cancelled", comment, at: new Date() },
+      },
+    }
+  );
+};
+
+// Method to record a workflow step
+credentialVerificationSchema.methods.addHistory = function (
+  action,
+  actorId = null,
+  comment = undefined
+) {
+  this.history.push({ action, actorId, comment, at: new Date() });
+};
+
+module.exports = mongoose.model(
+  "CredentialVerification",
+  credentialVerificationSchema
+);
@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+
+/**
+ * CronRun Model
+ * Records each execution of a scheduled background job (start, finish,
+ * outcome and per-run statistics) so admins can inspect run history.
+ *
+ * Auto-cleanup: Runs older than 90 days are automatically deleted via TTL index.
+ */
+const cronRunSchema = new mongoose.Schema(
+  {
+    // Scheduler name (e.g., 'job-lifecycle')
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["running", "success", "failed"],
+      default: "running",
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    // What triggered the run
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    // Counters collected during the run (e.g., { expired: 3, reminded: 5 })
+    stats: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Error message if the run failed
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// TTL index: Auto-delete runs after 90 days
+cronRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+cronRunSchema.index({ name: 1, startedAt: -1 });
+
+/**
+ * Open a new run record
+ *
+ * @param {string} name - Scheduler name
+ * @param {string} trigger - 'schedule' or 'manual'
+ * @returns {Promise<Object>} - Created run
+ */
+cronRunSchema.statics.startRun = async function (name, trigger = "schedule") {
+  return this.create({ name, trigger, startedAt: new Date() });
+};
+
+/**
+ * Mark the run as successfully completed
+ *
+ * @param {Object} stats - Counters collected during the run
+ * @returns {Promise<Object>} - Updated run
+ */
+cronRunSchema.methods.complete = async function (stats = {}) {
+  this.status = "success";
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  this.stats = stats;
+  this.markModified("stats");
+  return this.save();
+};
+
+/**
+ * Mark the run as failed
+ *
+ * @param {string} errorMessage - Error message
+ * @param {Object} stats - Counters collected before the failure
+ * @returns {Promise<Object>} - Updated run
+ */
+cronRunSchema.methods.fail = async function (errorMessage, stats = {}) {
+  this.status = "failed";
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  this.error = errorMessage;
+  this.stats = stats;
+  this.markModified("stats");
+  return this.save();
+};
+
+/**
+ * Get run history, newest first
+ *
+ * @param {Object} filters - { name, status }
+ * @param {Object} pagination - { page, limit }
+ * @returns {Promise<{runs: Array, total: number}>}
+ */
+cronRunSchema.statics.getHistory = async function (filters = {}, pagination = {}) {
+  const { page = 1, limit = 20 } = pagination;
+  const query = {};
+
+  if (filters.name) query.name = filters.name;
+  if (filters.status) query.status = filters.status;
+
+  const [runs, total] = await Promise.all([
+    this.find(query)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(query),
+  ]);
+
+  return { runs, total };
+};
+
+const CronRun = mongoose.model("CronRun", cronRunSchema);
+
+module.exports = CronRun;
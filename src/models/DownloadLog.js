@@ -44,6 +44,21 @@ const downloadLogSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    // Resource version that was downloaded
+    version: {
+      type: Number,
+      required: false,
+    },
+    // Attached file that was downloaded (null for the main file)
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Downloaded as part of the resource's zip archive
+    archive: {
+      type: Boolean,
+      default: false,
+    },
     // File size in bytes
     fileSize: {
       type: Number,
@@ -252,6 +267,34 @@ downloadLogSchema.statics.getCountryBreakdown = async function (resourceId) {
   return result;
 };
 
+/**
+ * Static method to get download counts per file of a resource
+ * (null = the main file)
+ */
+downloadLogSchema.statics.getFileBreakdown = async function (resourceId) {
+  const result = await this.aggregate([
+    {
+      $match: {
+        resource: new mongoose.Types.ObjectId(resourceId),
+        status: "completed",
+      },
+    },
+    {
+      $group: {
+        _id: "$file",
+        count: { $sum: 1 },
+        archiveCount: { $sum: { $cond: ["$archive", 1, 0] } },
+      },
+    },
+  ]);
+
+  return result.map((item) => ({
+    fileId: item._id,
+    downloads: item.count,
+    archiveDownloads: item.archiveCount,
+  }));
+};
+
 /**
  * Instance method to log a download
  */
@@ -305,6 +348,9 @@ downloadLogSchema.statics.logDownload = async function (data) {
     sale: data.saleId || null,
     downloadType: data.downloadType,
     fileName: data.fileName,
+    version: data.version,
+    file: data.fileId || null,
+    archive: Boolean(data.archive),
     fileSize: data.fileSize,
     clientInfo: {
       ipAddress: data.ipAddress,
@@ -0,0 +1,172 @@
+const mongoose = require("mongoose");
+
+/**
+ * HiringPipeline Model
+ * Ordered hiring stages defined by a school, either as the school default
+ * (jobId null) or for a single job. Each stage maps onto one of the fixed
+ * JobApplication statuses so existing status routes, stats and emails keep
+ * working while schools track their own steps (reference check, demo
+ * lesson, visa processing, ...).
+ */
+
+// JobApplication statuses a stage can map onto ("withdrawn" is teacher-only)
+const STAGE_STATUSES = [
+  "pending",
+  "reviewing",
+  "shortlisted",
+  "interviewed",
+  "accepted",
+  "rejected",
+];
+
+const pipelineStageSchema = new mongoose.Schema(
+  {
+    // Stable identifier stored on applications (e.g. 'reference_check')
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9_]+$/,
+      maxlength: 50,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    status: {
+      type: String,
+      enum: STAGE_STATUSES,
+      required: true,
+    },
+    // Stage keys an application may move to; empty allows any stage
+    allowedTransitions: {
+      type: [String],
+      default: [],
+    },
+    // Terminal stages only allow the transitions listed explicitly
+    isTerminal: {
+      type: Boolean,
+      default: false,
+    },
+    color: {
+      type: String,
+      trim: true,
+      match: /^#[0-9a-fA-F]{6}$/,
+    },
+  },
+  { _id: false }
+);
+
+const hiringPipelineSchema = new mongoose.Schema(
+  {
+    schoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SchoolProfile",
+      required: true,
+    },
+    // Set for a job-specific pipeline, null for the school default
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      default: null,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Ordered; the first stage receives new applications
+    stages: {
+      type: [pipelineStageSchema],
+      validate: {
+        validator: function (stages) {
+          return stages.length > 0 && stages.length <= 20;
+        },
+        message: "A pipeline must have between 1 and 20 stages",
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One default pipeline per school and one pipeline per job
+hiringPipelineSchema.index({ schoolId: 1, jobId: 1 }, { unique: true });
+
+hiringPipelineSchema.statics.STAGE_STATUSES = STAGE_STATUSES;
+
+// Built-in pipeline used until a school defines its own
+hiringPipelineSchema.statics.DEFAULT_STAGES = [
+  { key: "pending", name: "Applied", status: "pending" },
+  { key: "reviewing", name: "Reviewing", status: "reviewing" },
+  { key: "shortlisted", name: "Shortlisted", status: "shortlisted" },
+  { key: "interviewed", name: "Interviewed", status: "interviewed" },
+  { key: "accepted", name: "Hired", status: "accepted" },
+  { key: "rejected", name: "Rejected", status: "rejected" },
+].map((stage) => ({ ...stage, allowedTransitions: [], isTerminal: false }));
+
+// Check stage keys are unique, transitions point at existing stages and
+// the first stage takes new (pending) applications
+hiringPipelineSchema.pre("validate", function (next) {
+  const keys = this.stages.map((stage) => stage.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    return next(new Error(`Duplicate stage key: ${duplicate}`));
+  }
+
+  for (const stage of this.stages) {
+    const unknown = stage.allowedTransitions.find((key) => !keys.includes(key));
+    if (unknown) {
+      return next(
+        new Error(
+          `Stage "${stage.key}" allows a transition to unknown stage "${unknown}"`
+        )
+      );
+    }
+  }
+
+  if (this.stages.length && this.stages[0].status !== "pending") {
+    return next(new Error('The first stage must map to the "pending" status'));
+  }
+
+  next();
+});
+
+// Method to get a stage by key
+hiringPipelineSchema.methods.getStage = function (key) {
+  return this.stages.find((stage) => stage.key === key) || null;
+};
+
+// Method to get the first stage mapped onto a status
+hiringPipelineSchema.methods.getStageForStatus = function (status) {
+  return this.stages.find((stage) => stage.status === status) || null;
+};
+
+// Method to check whether an application may move between two stages
+hiringPipelineSchema.methods.canTransition = function (fromKey, toKey) {
+  if (fromKey === toKey) return true;
+
+  const from = this.getStage(fromKey);
+  if (!from) return true; // Unassigned applications can enter any stage
+
+  if (from.allowedTransitions.length) {
+    return from.allowedTransitions.includes(toKey);
+  }
+  return !from.isTerminal;
+};
+
+module.exports = mongoose.model("HiringPipeline", hiringPipelineSchema);
@@ -0,0 +1,229 @@
+const mongoose = require("mongoose");
+
+/**
+ * Interview Model
+ * One interview round for a job application. Schools schedule, reschedule,
+ * cancel and complete rounds; teachers accept, decline or request a new
+ * time by proposing slots. Every change is appended to `history` and
+ * recorded as an ApplicationEvent for the application timeline.
+ */
+const panelMemberSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    email: { type: String, trim: true, lowercase: true, maxlength: 255 },
+    role: { type: String, trim: true, maxlength: 100 },
+  },
+  { _id: false }
+);
+
+const proposedSlotSchema = new mongoose.Schema(
+  {
+    startsAt: { type: Date, required: true },
+    note: { type: String, trim: true, maxlength: 500 },
+  },
+  { _id: false }
+);
+
+const historyEntrySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: [
+        "scheduled",
+        "rescheduled",
+        "updated",
+        "accepted",
+        "declined",
+        "reschedule_requested",
+        "cancelled",
+        "completed",
+      ],
+      required: true,
+    },
+    actor: {
+      type: String,
+      enum: ["school", "teacher"],
+      required: true,
+    },
+    scheduledAt: { type: Date },
+    note: { type: String, maxlength: 1000 },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const interviewSchema = new mongoose.Schema(
+  {
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JobApplication",
+      required: true,
+    },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+    schoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SchoolProfile",
+      required: true,
+    },
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TeacherProfile",
+      required: true,
+    },
+    round: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    type: {
+      type: String,
+      enum: ["in_person", "video", "phone"],
+      default: "video",
+    },
+    scheduledAt: {
+      type: Date,
+      required: true,
+    },
+    durationMinutes: {
+      type: Number,
+      default: 60,
+      min: 15,
+      max: 480,
+    },
+    // IANA timezone the school scheduled in (e.g. 'Asia/Dubai')
+    timezone: {
+      type: String,
+      default: "UTC",
+      trim: true,
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    meetingUrl: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function (v) {
+          if (!v) return true;
+          return /^https?:\/\/.+/.test(v);
+        },
+        message: "Meeting URL must be a valid URL",
+      },
+    },
+    panel: {
+      type: [panelMemberSchema],
+      default: [],
+    },
+    // Message shown to the candidate
+    instructions: {
+      type: String,
+      maxlength: 2000,
+    },
+    status: {
+      type: String,
+      enum: [
+        "scheduled",
+        "accepted",
+        "declined",
+        "reschedule_requested",
+        "cancelled",
+        "completed",
+      ],
+      default: "scheduled",
+    },
+    // Slots proposed by the teacher when requesting a new time
+    proposedSlots: {
+      type: [proposedSlotSchema],
+      default: [],
+    },
+    teacherResponseNote: {
+      type: String,
+      maxlength: 1000,
+    },
+    respondedAt: {
+      type: Date,
+    },
+    // Internal school feedback, never shown to the teacher
+    feedback: {
+      type: String,
+      maxlength: 2000,
+    },
+    // iCalendar SEQUENCE, incremented whenever the invite changes
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+    history: {
+      type: [historyEntrySchema],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+interviewSchema.index({ applicationId: 1, round: 1 });
+interviewSchema.index({ schoolId: 1, scheduledAt: 1 });
+interviewSchema.index({ teacherId: 1, scheduledAt: 1 });
+
+// Statuses in which the interview can still change
+interviewSchema.statics.OPEN_STATUSES = [
+  "scheduled",
+  "accepted",
+  "reschedule_requested",
+];
+
+// Virtual for the stable calendar UID used in .ics invites
+interviewSchema.virtual("calendarUid").get(function () {
+  return `interview-${this._id}@educateglobalhub.com`;
+});
+
+// Virtual for the end time
+interviewSchema.virtual("endsAt").get(function () {
+  if (!this.scheduledAt) return null;
+  return new Date(
+    this.scheduledAt.getTime() + (this.durationMinutes || 60) * 60 * 1000
+  );
+});
+
+// Method to append a history entry
+interviewSchema.methods.addHistory = function (action, actor, note = "") {
+  this.history.push({
+    action,
+    actor,
+    note,
+    scheduledAt: this.scheduledAt,
+    at: new Date(),
+  });
+};
+
+// Method to check whether the interview can still change
+interviewSchema.methods.isOpen = function () {
+  return this.constructor.OPEN_STATUSES.includes(this.status);
+};
+
+// Method to sanitize interview data for the teacher
+interviewSchema.methods.toTeacherObject = function () {
+  const interview = this.toObject({ virtuals: true });
+  delete interview.feedback;
+  delete interview.createdBy;
+  return interview;
+};
+
+module.exports = mongoose.model("Interview", interviewSchema);
@@ -8,12 +8,21 @@ const invoiceSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
-    // Related sale
+    // Related sale (single-resource invoices)
     sale: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Sale",
-      required: true,
+      required: function () {
+        return !this.lineItems?.length;
+      },
     },
+    // Related sales (consolidated cart checkout invoices)
+    sales: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Sale",
+      },
+    ],
     // Buyer information
     buyer: {
       userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
@@ -33,10 +42,21 @@ const invoiceSchema = new mongoose.Schema(
       vatNumber: String,
       vatNumberValidated: { type: Boolean, default: false },
     },
-    // Seller information
+    // Seller information (per line on consolidated invoices)
     seller: {
-      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-      name: { type: String, required: true },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: function () {
+          return !this.lineItems?.length;
+        },
+      },
+      name: {
+        type: String,
+        required: function () {
+          return !this.lineItems?.length;
+        },
+      },
       email: String,
     },
     // Platform information (for VAT purposes)
@@ -45,17 +65,53 @@ const invoiceSchema = new mongoose.Schema(
       address: String,
       vatNumber: String,
     },
-    // Resource details
+    // Resource details (per line on consolidated invoices)
     resource: {
-      resourceId: { type: mongoose.Schema.Types.ObjectId, ref: "Resource", required: true },
-      title: { type: String, required: true },
+      resourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Resource",
+        required: function () {
+          return !this.lineItems?.length;
+        },
+      },
+      title: {
+        type: String,
+        required: function () {
+          return !this.lineItems?.length;
+        },
+      },
       type: String,
     },
+    // One line per sale on consolidated invoices. Amounts in cents/pence;
+    // pricing below holds the totals.
+    lineItems: [
+      {
+        sale: { type: mongoose.Schema.Types.ObjectId, ref: "Sale" },
+        resourceId: { type: mongoose.Schema.Types.ObjectId, ref: "Resource" },
+        title: String,
+        type: { type: String },
+        licenseType: String,
+        seller: {
+          userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          name: String,
+        },
+        subtotal: Number,
+        listPrice: Number,
+        discountAmount: { type: Number, default: 0 },
+        discountDescription: String,
+        vatAmount: { type: Number, default: 0 },
+        total: Number,
+      },
+    ],
     // Pricing breakdown
     pricing: {
       currency: { type: String, required: true },
       // All amounts in cents/pence
       subtotal: { type: Number, required: true, comment: "Price before VAT" },
+      // Promotions: the list price and how much was taken off it
+      listPrice: Number,
+      discountAmount: { type: Number, default: 0 },
+      discountDescription: String,
       vatRate: { type: Number, default: 0 },
       vatAmount: { type: Number, default: 0 },
       total: { type: Number, required: true },
@@ -93,6 +149,7 @@ const invoiceSchema = new mongoose.Schema(
 // Indexes
 invoiceSchema.index({ invoiceNumber: 1 });
 invoiceSchema.index({ sale: 1 });
+invoiceSchema.index({ sales: 1 });
 invoiceSchema.index({ "buyer.userId": 1 });
 invoiceSchema.index({ "buyer.email": 1 });
 invoiceSchema.index({ "seller.userId": 1 });
@@ -185,6 +242,9 @@ invoiceSchema.statics.createFromSale = async function (saleId, buyerDetails = {}
     pricing: {
       currency: sale.currency,
       subtotal: sale.price - (sale.vatAmount || 0),
+      listPrice: sale.discount?.amount ? sale.discount.listPrice : sale.price,
+      discountAmount: sale.discount?.amount || 0,
+      discountDescription: sale.discount?.description,
       vatRate: sale.vatAmount > 0 ? (sale.vatAmount / (sale.price - sale.vatAmount)) : 0,
       vatAmount: sale.vatAmount || 0,
       total: sale.price,
@@ -199,6 +259,115 @@ invoiceSchema.statics.createFromSale = async function (saleId, buyerDetails = {}
   return invoice;
 };
 
+// Static method to create one consolidated invoice for the sales of a
+// multi-resource checkout (all in the same currency)
+invoiceSchema.statics.createFromSales = async function (
+  saleIds,
+  buyerDetails = {}
+) {
+  const Sale = require("./Sale");
+  const PlatformSettings = require("./PlatformSettings");
+
+  const sales = await Sale.find({ _id: { $in: saleIds } })
+    .populate("seller", "firstName lastName email")
+    .populate("buyer", "firstName lastName email")
+    .populate("resource", "title type");
+
+  if (!sales.length) {
+    throw new Error("Sales not found");
+  }
+
+  // Check if invoice already exists
+  const existingInvoice = await this.findOne({ sales: { $in: saleIds } });
+  if (existingInvoice) {
+    return existingInvoice;
+  }
+
+  const settings = await PlatformSettings.getSettings();
+  const invoiceNumber = await this.generateInvoiceNumber(
+    settings.vat.invoiceSettings.invoicePrefix
+  );
+
+  const lineItems = sales.map((sale) => ({
+    sale: sale._id,
+    resourceId: sale.resource?._id,
+    title: sale.resource?.title || "Resource",
+    type: sale.resource?.type,
+    licenseType: sale.license,
+    seller: {
+      userId: sale.seller?._id,
+      name: sale.seller
+        ? `${sale.seller.firstName} ${sale.seller.lastName}`
+        : undefined,
+    },
+    subtotal: sale.price - (sale.vatAmount || 0),
+    listPrice: sale.discount?.amount ? sale.discount.listPrice : sale.price,
+    discountAmount: sale.discount?.amount || 0,
+    discountDescription: sale.discount?.description,
+    vatAmount: sale.vatAmount || 0,
+    total: sale.price,
+  }));
+  const sum = (field) =>
+    lineItems.reduce((total, item) => total + (item[field] || 0), 0);
+
+  const total = sum("total");
+  const vatAmount = sum("vatAmount");
+  const subtotal = total - vatAmount;
+
+  // Determine VAT exemption reason
+  let vatExemptReason = null;
+  if (!vatAmount) {
+    if (buyerDetails.isBusinessBuyer && buyerDetails.vatNumber) {
+      vatExemptReason = "B2B Reverse Charge - VAT to be accounted for by recipient";
+    } else {
+      vatExemptReason = "Non-VAT applicable region";
+    }
+  }
+
+  const [first] = sales;
+  const invoice = await this.create({
+    invoiceNumber,
+    sales: sales.map((sale) => sale._id),
+    lineItems,
+    buyer: {
+      userId: first.buyer?._id,
+      name: buyerDetails.name ||
+        (first.buyer ? `${first.buyer.firstName} ${first.buyer.lastName}` : "Guest"),
+      email: buyerDetails.email || first.buyerEmail || first.buyer?.email,
+      address: buyerDetails.address || {
+        country: first.buyerCountry || "GB",
+      },
+      isBusinessBuyer: buyerDetails.isBusinessBuyer || false,
+      companyName: buyerDetails.companyName,
+      vatNumber: buyerDetails.vatNumber,
+      vatNumberValidated: buyerDetails.vatNumberValidated || false,
+    },
+    platform: {
+      name: settings.vat.invoiceSettings.companyName,
+      address: settings.vat.invoiceSettings.companyAddress,
+      vatNumber: settings.vat.invoiceSettings.vatNumber,
+    },
+    pricing: {
+      currency: first.currency,
+      subtotal,
+      listPrice: sum("listPrice"),
+      discountAmount: sum("discountAmount"),
+      vatRate: vatAmount > 0 ? vatAmount / subtotal : 0,
+      vatAmount,
+      total,
+      vatApplied: vatAmount > 0,
+      vatReverseCharge: Boolean(
+        buyerDetails.isBusinessBuyer && buyerDetails.vatNumber && vatAmount === 0
+      ),
+      vatExemptReason,
+    },
+    status: "paid",
+    paidDate: first.saleDate,
+  });
+
+  return invoice;
+};
+
 // Instance method to format for display
 invoiceSchema.methods.getFormattedData = function () {
   const formatAmount = (amount, currency) => {
@@ -221,9 +390,34 @@ invoiceSchema.methods.getFormattedData = function () {
     seller: this.seller,
     platform: this.platform,
     resource: this.resource,
+    lineItems: (this.lineItems || []).map((item) => ({
+      title: item.title,
+      type: item.type,
+      licenseType: item.licenseType,
+      seller: item.seller?.name,
+      subtotal: formatAmount(item.subtotal, this.pricing.currency),
+      listPrice: formatAmount(
+        item.listPrice ?? item.total,
+        this.pricing.currency
+      ),
+      discountAmount: item.discountAmount
+        ? formatAmount(item.discountAmount, this.pricing.currency)
+        : null,
+      discountDescription: item.discountDescription,
+      vatAmount: formatAmount(item.vatAmount, this.pricing.currency),
+      total: formatAmount(item.total, this.pricing.currency),
+    })),
     pricing: {
       currency: this.pricing.currency,
       subtotal: formatAmount(this.pricing.subtotal, this.pricing.currency),
+      listPrice: formatAmount(
+        this.pricing.listPrice ?? this.pricing.total,
+        this.pricing.currency
+      ),
+      discountAmount: this.pricing.discountAmount
+        ? formatAmount(this.pricing.discountAmount, this.pricing.currency)
+        : null,
+      discountDescription: this.pricing.discountDescription,
       vatRate: `${(this.pricing.vatRate * 100).toFixed(0)}%`,
       vatAmount: formatAmount(this.pricing.vatAmount, this.pricing.currency),
       total: formatAmount(this.pricing.total, this.pricing.currency),
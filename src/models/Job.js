@@ -1,5 +1,75 @@
 const mongoose = require("mongoose");
 
+const SCREENING_QUESTION_TYPES = [
+  "yes_no",
+  "multiple_choice",
+  "numeric",
+  "text",
+];
+
+/**
+ * Screening question asked when applying. Answers are keyed by `key`.
+ * Choice and numeric questions can be scored (`weight` is earned when the
+ * answer is one of `idealAnswers` or within `idealMin`/`idealMax`) and can
+ * knock an applicant out (`knockout.answers` or outside
+ * `knockout.min`/`knockout.max`), either rejecting or flagging them.
+ */
+const screeningQuestionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      trim: true,
+      match: /^[a-z0-9_]+$/,
+      maxlength: 50,
+    },
+    question: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+    },
+    type: {
+      type: String,
+      enum: SCREENING_QUESTION_TYPES,
+      default: "text",
+    },
+    options: {
+      type: [String],
+      default: [],
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    weight: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    idealAnswers: {
+      type: [String],
+      default: [],
+    },
+    idealMin: { type: Number },
+    idealMax: { type: Number },
+    knockout: {
+      action: {
+        type: String,
+        enum: ["none", "reject", "flag"],
+        default: "none",
+      },
+      answers: {
+        type: [String],
+        default: [],
+      },
+      min: { type: Number },
+      max: { type: Number },
+    },
+  },
+  { _id: false }
+);
+
 const jobSchema = new mongoose.Schema(
   {
     schoolId: {
@@ -144,6 +214,27 @@ const jobSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    languagesRequired: {
+      type: [String],
+      default: [],
+    },
+    positionsAvailable: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 100,
+    },
+    // Positions taken by accepted offers
+    positionsFilled: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Close the job automatically once accepted applications fill all positions
+    autoCloseWhenFilled: {
+      type: Boolean,
+      default: false,
+    },
     externalLink: {
       type: String,
       trim: true,
@@ -179,7 +270,7 @@ const jobSchema = new mongoose.Schema(
       },
     },
     screeningQuestions: {
-      type: [String],
+      type: [screeningQuestionSchema],
       default: [],
     },
     status: {
@@ -248,6 +339,15 @@ const jobSchema = new mongoose.Schema(
     closedAt: {
       type: Date,
     },
+    // Set by the lifecycle scheduler so the deadline reminder is sent only once
+    deadlineReminderSentAt: {
+      type: Date,
+    },
+    // Shared by the copies of a job posted to several campuses of a group
+    groupPostingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -256,6 +356,7 @@ const jobSchema = new mongoose.Schema(
 
 // Indexes for better query performance
 jobSchema.index({ schoolId: 1, status: 1 });
+jobSchema.index({ groupPostingId: 1 }, { sparse: true });
 jobSchema.index({ status: 1, publishedAt: -1 });
 jobSchema.index({ country: 1, city: 1 });
 jobSchema.index({ organization: 1 });
@@ -278,6 +379,14 @@ jobSchema.index({
   positionSubcategory: "text",
 });
 
+// Virtual for positions still open
+jobSchema.virtual("openPositions").get(function () {
+  return Math.max(
+    (this.positionsAvailable || 1) - (this.positionsFilled || 0),
+    0
+  );
+});
+
 // Virtual for salary range display
 jobSchema.virtual("salaryRange").get(function () {
   if (!this.salaryDisclose) {
@@ -309,6 +418,61 @@ jobSchema.virtual("isExpired").get(function () {
   return new Date() > this.applicationDeadline;
 });
 
+// Jobs created before typed questions stored plain question strings
+jobSchema.pre("init", function (data) {
+  if (data && Array.isArray(data.screeningQuestions)) {
+    data.screeningQuestions = this.constructor.normalizeScreeningQuestions(
+      data.screeningQuestions
+    );
+  }
+});
+
+// Assign question keys and check choice answers against the options
+jobSchema.pre("validate", function (next) {
+  const keys = new Set();
+
+  for (const [index, question] of this.screeningQuestions.entries()) {
+    const path = `screeningQuestions.${index}`;
+
+    if (!question.key) question.key = `q${index + 1}`;
+    if (keys.has(question.key)) {
+      this.invalidate(
+        `${path}.key`,
+        `Duplicate screening question key: ${question.key}`,
+        question.key
+      );
+    }
+    keys.add(question.key);
+
+    if (question.type === "multiple_choice" && question.options.length < 2) {
+      this.invalidate(
+        `${path}.options`,
+        `Screening question "${question.question}" needs at least two options`,
+        question.options
+      );
+    }
+
+    const choices = this.constructor.getScreeningChoices(question);
+    if (choices) {
+      const invalid = [
+        ...question.idealAnswers,
+        ...question.knockout.answers,
+      ].filter((answer) => !choices.includes(answer));
+      if (invalid.length) {
+        this.invalidate(
+          `${path}.idealAnswers`,
+          `Screening question "${
+            question.question
+          }" has answers that are not options: ${invalid.join(", ")}`,
+          invalid
+        );
+      }
+    }
+  }
+
+  next();
+});
+
 // Pre-save middleware to handle status changes
 jobSchema.pre("save", function (next) {
   // Auto-set expiresAt when publishing
@@ -389,6 +553,33 @@ jobSchema.methods.isAcceptingApplications = function () {
   return this.status === "published" && this.applicationDeadline > new Date();
 };
 
+// Static method to convert legacy string questions to typed questions
+jobSchema.statics.normalizeScreeningQuestions = function (questions = []) {
+  return questions.map((question, index) =>
+    typeof question === "string"
+      ? { key: `q${index + 1}`, question, type: "text", required: false }
+      : question
+  );
+};
+
+// Static method to get the valid answers of a choice question (null otherwise)
+jobSchema.statics.getScreeningChoices = function (question) {
+  if (question.type === "yes_no") return ["yes", "no"];
+  if (question.type === "multiple_choice") return question.options;
+  return null;
+};
+
+// Static method to hide scoring and knockout rules from applicants
+jobSchema.statics.toApplicantScreeningQuestions = function (questions = []) {
+  return this.normalizeScreeningQuestions(questions).map((question) => ({
+    key: question.key,
+    question: question.question,
+    type: question.type || "text",
+    options: question.options || [],
+    required: !!question.required,
+  }));
+};
+
 // Static method to find published jobs
 jobSchema.statics.findPublished = function () {
   return this.find({
@@ -398,13 +589,32 @@ jobSchema.statics.findPublished = function () {
   });
 };
 
-// Static method to find expired jobs
+// Static method to find published jobs past their deadline or expiry date
 jobSchema.statics.findExpired = function () {
+  const now = new Date();
   return this.find({
-    applicationDeadline: { $lte: new Date() },
     status: { $in: ["published"] },
     deletedAt: { $exists: false },
+    $or: [
+      { applicationDeadline: { $lte: now } },
+      { expiresAt: { $lte: now } },
+    ],
   });
 };
 
+// Static method to move a published job to expired or closed.
+// Uses updateOne (not save) because validation rejects past deadlines;
+// resolves false if another process already changed the job.
+jobSchema.statics.closePublished = async function (jobId, status, reason) {
+  const now = new Date();
+  const result = await this.updateOne(
+    { _id: jobId, status: "published" },
+    {
+      $set: { status, closedAt: now },
+      $push: { statusHistory: { status, reason, changedAt: now } },
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
 module.exports = mongoose.model("Job", jobSchema);
@@ -1,5 +1,15 @@
 const mongoose = require("mongoose");
 
+// Where an application came from; careers page and job feed links tag their
+// UTM medium with the channel name
+const SOURCE_CHANNELS = [
+  "direct",
+  "careers_page",
+  "careers_widget",
+  "job_feed",
+  "other",
+];
+
 const jobApplicationSchema = new mongoose.Schema(
   {
     jobId: {
@@ -47,11 +57,38 @@ const jobApplicationSchema = new mongoose.Schema(
       type: String,
       maxlength: 500,
     },
+    // Answers keyed by the job's screening question keys
     screeningAnswers: {
       type: Map,
-      of: String,
+      of: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    // Result of evaluating the answers against the job's screening questions
+    screening: {
+      score: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null,
+      },
+      earnedWeight: { type: Number, default: 0 },
+      totalWeight: { type: Number, default: 0 },
+      outcome: {
+        type: String,
+        enum: ["passed", "flagged", "knocked_out", null],
+        default: null,
+      },
+      knockouts: [
+        {
+          _id: false,
+          questionKey: String,
+          question: String,
+          answer: mongoose.Schema.Types.Mixed,
+          action: { type: String, enum: ["reject", "flag"] },
+        },
+      ],
+      evaluatedAt: Date,
+    },
     status: {
       type: String,
       enum: [
@@ -65,6 +102,16 @@ const jobApplicationSchema = new mongoose.Schema(
       ],
       default: "pending",
     },
+    // Key of the current stage in the school's hiring pipeline.
+    // `status` is kept in sync with the stage's mapped status.
+    stage: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    stageEnteredAt: {
+      type: Date,
+    },
     resumeUrl: {
       type: String,
       validate: {
@@ -75,6 +122,16 @@ const jobApplicationSchema = new mongoose.Schema(
         message: "Resume URL must be a valid URL",
       },
     },
+    // Set when the resume is a CV generated from the teacher's profile
+    generatedCv: {
+      type: {
+        publicId: { type: String },
+        layout: { type: String },
+        hiddenFields: { type: [String], default: undefined },
+        generatedAt: { type: Date },
+      },
+      default: undefined,
+    },
     documents: {
       type: [String],
       default: [],
@@ -118,6 +175,35 @@ const jobApplicationSchema = new mongoose.Schema(
       type: String,
       maxlength: 500,
     },
+    // Set when the teacher accepts an offer; locked applications can no
+    // longer change status, stage or documents
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedOfferId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Offer",
+      default: null,
+    },
+    // Completed references; confidential to the school
+    references: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ReferenceRequest",
+      },
+    ],
+    // Attribution for job analytics
+    source: {
+      channel: {
+        type: String,
+        enum: SOURCE_CHANNELS,
+        default: "direct",
+      },
+      utmSource: { type: String, trim: true, maxlength: 100 },
+      utmMedium: { type: String, trim: true, maxlength: 100 },
+      utmCampaign: { type: String, trim: true, maxlength: 100 },
+    },
   },
   {
     timestamps: true,
@@ -126,6 +212,8 @@ const jobApplicationSchema = new mongoose.Schema(
 
 // Indexes for better query performance
 jobApplicationSchema.index({ jobId: 1, status: 1 });
+jobApplicationSchema.index({ jobId: 1, stage: 1 });
+jobApplicationSchema.index({ jobId: 1, "screening.score": -1 });
 jobApplicationSchema.index({ teacherId: 1, status: 1 });
 jobApplicationSchema.index({ status: 1, createdAt: -1 });
 jobApplicationSchema.index({ jobId: 1, teacherId: 1 }, { unique: true });
@@ -234,6 +322,14 @@ jobApplicationSchema.methods.accept = async function (
   return this.save();
 };
 
+// Method to accept the application through a signed offer and lock it
+jobApplicationSchema.methods.lockWithOffer = async function (offerId) {
+  this.status = "accepted";
+  this.acceptedOfferId = offerId;
+  this.lockedAt = new Date();
+  return this.save();
+};
+
 // Method to sanitize application data for public viewing
 jobApplicationSchema.methods.toPublicObject = function () {
   const application = this.toObject();
@@ -252,6 +348,26 @@ jobApplicationSchema.methods.toPublicObject = function () {
   return application;
 };
 
+jobApplicationSchema.statics.SOURCE_CHANNELS = SOURCE_CHANNELS;
+
+/**
+ * Build the source of an application from the UTM parameters of the link
+ * the teacher followed
+ * @param {Object} utm - { utmSource, utmMedium, utmCampaign }
+ */
+jobApplicationSchema.statics.buildSource = function (utm = {}) {
+  const { utmSource, utmMedium, utmCampaign } = utm;
+
+  let channel = "direct";
+  if (utmMedium && SOURCE_CHANNELS.includes(utmMedium)) {
+    channel = utmMedium;
+  } else if (utmSource || utmMedium || utmCampaign) {
+    channel = "other";
+  }
+
+  return { channel, utmSource, utmMedium, utmCampaign };
+};
+
 // Static method to find pending applications
 jobApplicationSchema.statics.findPending = function () {
   return this.find({ status: "pending" });
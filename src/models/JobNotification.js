@@ -27,6 +27,23 @@ const jobNotificationSchema = new mongoose.Schema(
         "application_accepted",
         "application_rejected",
         "application_withdrawn",
+        "interview_scheduled",
+        "interview_updated",
+        "interview_cancelled",
+        "interview_response",
+        "offer_sent",
+        "offer_accepted",
+        "offer_declined",
+        "offer_withdrawn",
+        "reference_consent_requested",
+        "reference_consent_declined",
+        "reference_completed",
+        "credential_verified",
+        "credential_rejected",
+        "credential_info_requested",
+        "credential_expired",
+        "talent_pool_match",
+        "school_group_request",
         "reminder_apply",
         "deadline_approaching",
         "new_candidate",
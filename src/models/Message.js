@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+/**
+ * Message Model
+ * A single message in a Conversation. Attachments are uploaded to
+ * Cloudinary; `readAt` is the read receipt set when the recipient opens
+ * the conversation.
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    publicId: { type: String },
+    resourceType: { type: String },
+    fileName: { type: String, trim: true, maxlength: 255 },
+    mimeType: { type: String },
+    size: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    senderRole: {
+      type: String,
+      enum: ["school", "teacher"],
+      required: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+      default: "",
+    },
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+messageSchema.index({ conversationId: 1, senderRole: 1, readAt: 1 });
+
+// A message needs text or at least one attachment
+messageSchema.pre("validate", function (next) {
+  if (!this.body && this.attachments.length === 0) {
+    return next(new Error("Message must have text or an attachment"));
+  }
+  next();
+});
+
+module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+
+/**
+ * Offer Model
+ * An offer of employment for a job application. The letter text is
+ * rendered from the school's OfferTemplate when the offer is created and
+ * kept as a snapshot, so later template edits do not change sent offers.
+ * The teacher accepts or declines with a typed-name signature; the IP
+ * address, user agent and time are recorded with it.
+ */
+const signatureSchema = new mongoose.Schema(
+  {
+    typedName: { type: String, trim: true, maxlength: 200 },
+    ipAddress: { type: String },
+    userAgent: { type: String, maxlength: 500 },
+    signedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const offerSchema = new mongoose.Schema(
+  {
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JobApplication",
+      required: true,
+    },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+    schoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SchoolProfile",
+      required: true,
+    },
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TeacherProfile",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["sent", "accepted", "declined", "withdrawn", "expired"],
+      default: "sent",
+    },
+    salary: {
+      amount: { type: Number, required: true, min: 0 },
+      currency: { type: String, default: "USD", length: 3 },
+      period: {
+        type: String,
+        enum: ["annual", "monthly", "hourly"],
+        default: "annual",
+      },
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    contractLength: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    benefits: {
+      type: [String],
+      default: [],
+    },
+    housing: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    additionalTerms: {
+      type: String,
+      maxlength: 5000,
+    },
+    // Letter snapshot rendered from the school's template
+    letterBody: {
+      type: String,
+      required: true,
+    },
+    closing: { type: String },
+    signatoryName: { type: String },
+    signatoryTitle: { type: String },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    viewedAt: {
+      type: Date,
+    },
+    respondedAt: {
+      type: Date,
+    },
+    // Typed-name signature of the teacher's accept/decline response
+    signature: {
+      type: signatureSchema,
+      default: undefined,
+    },
+    declineReason: {
+      type: String,
+      maxlength: 1000,
+    },
+    withdrawnReason: {
+      type: String,
+      maxlength: 1000,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+offerSchema.index({ applicationId: 1, createdAt: -1 });
+offerSchema.index({ teacherId: 1, status: 1 });
+// Only one open offer per application
+offerSchema.index(
+  { applicationId: 1 },
+  { unique: true, partialFilterExpression: { status: "sent" } }
+);
+
+// Method to check whether the offer has passed its expiry date
+offerSchema.methods.isExpired = function () {
+  return this.status === "sent" && this.expiresAt < new Date();
+};
+
+module.exports = mongoose.model("Offer", offerSchema);
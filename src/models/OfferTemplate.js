@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+/**
+ * OfferTemplate Model
+ * A school's offer letter template. `body` may use the placeholders
+ * {{teacherName}}, {{jobTitle}}, {{schoolName}}, {{salary}}, {{startDate}},
+ * {{contractLength}}, {{benefits}}, {{housing}} and {{expiresAt}}, which are
+ * filled in when an offer is created. Schools without a template use
+ * DEFAULT_BODY.
+ */
+const offerTemplateSchema = new mongoose.Schema(
+  {
+    schoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SchoolProfile",
+      required: true,
+      unique: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      maxlength: 10000,
+    },
+    closing: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    signatoryName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    signatoryTitle: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    // Defaults prefilled on new offers
+    defaultBenefits: {
+      type: [String],
+      default: [],
+    },
+    defaultHousing: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    defaultContractLength: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+offerTemplateSchema.statics.PLACEHOLDERS = [
+  "teacherName",
+  "jobTitle",
+  "schoolName",
+  "salary",
+  "startDate",
+  "contractLength",
+  "benefits",
+  "housing",
+  "expiresAt",
+];
+
+offerTemplateSchema.statics.DEFAULT_BODY = [
+  "Dear {{teacherName}},",
+  "",
+  "We are delighted to offer you the position of {{jobTitle}} at {{schoolName}}.",
+  "",
+  "Salary: {{salary}}",
+  "Start date: {{startDate}}",
+  "Contract length: {{contractLength}}",
+  "Benefits: {{benefits}}",
+  "Housing: {{housing}}",
+  "",
+  "This offer is valid until {{expiresAt}}. Please review the terms and accept or decline the offer through Educate Global Hub.",
+].join("\n");
+
+// Method to fill in the placeholders of the body
+offerTemplateSchema.methods.render = function (values) {
+  return this.constructor.PLACEHOLDERS.reduce(
+    (body, key) =>
+      body.replace(new RegExp(`{{${key}}}`, "g"), values[key] || "-"),
+    this.body
+  );
+};
+
+module.exports = mongoose.model("OfferTemplate", offerTemplateSchema);
@@ -153,6 +153,18 @@ const platformSettingsSchema = new mongoose.Schema(
       USD: { type: Number, default: 6500, comment: "Amount in cents ($65)" },
       EUR: { type: Number, default: 6000, comment: "Amount in cents (€60)" },
     },
+    // Sitewide promotional campaigns (percentage off every paid resource)
+    promotions: {
+      campaigns: [
+        {
+          name: { type: String, required: true, trim: true },
+          percentOff: { type: Number, required: true, min: 1, max: 90 },
+          startsAt: { type: Date, required: true },
+          endsAt: { type: Date, required: true },
+          isActive: { type: Boolean, default: true },
+        },
+      ],
+    },
     // General platform settings
     general: {
       platformName: { type: String, default: "Educate Link" },
@@ -223,6 +235,10 @@ platformSettingsSchema.statics.updateSettings = async function (
     Object.assign(settings.general, updates.general);
   }
 
+  if (updates.promotions?.campaigns) {
+    settings.promotions.campaigns = updates.promotions.campaigns;
+  }
+
   settings.lastUpdatedBy = adminId;
   return settings.save();
 };
@@ -278,6 +294,24 @@ platformSettingsSchema.statics.calculateTierFromSales = async function (
   }
 };
 
+// Static method to get the running campaign with the largest discount
+platformSettingsSchema.statics.getActiveCampaign = async function (
+  now = new Date()
+) {
+  const settings = await this.getSettings();
+
+  return (settings.promotions?.campaigns || [])
+    .filter(
+      (campaign) =>
+        campaign.isActive && campaign.startsAt <= now && campaign.endsAt > now
+    )
+    .reduce(
+      (best, campaign) =>
+        !best || campaign.percentOff > best.percentOff ? campaign : best,
+      null
+    );
+};
+
 const PlatformSettings = mongoose.model(
   "PlatformSettings",
   platformSettingsSchema
@@ -0,0 +1,207 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+/**
+ * ReferenceRequest Model
+ * A school's request for a reference from one of the teacher's referees,
+ * for a specific application. The teacher must consent before the referee
+ * is emailed a tokenised link to the reference form; the form needs no
+ * login. Only a SHA-256 hash of the token is stored.
+ *
+ * The completed reference is confidential to the school: the teacher can
+ * see the request status but never the response.
+ */
+const SAFEGUARDING_QUESTIONS = [
+  {
+    key: "suitable_with_children",
+    question:
+      "Are you completely satisfied that the candidate is suitable to work with children?",
+  },
+  {
+    key: "disciplinary_action",
+    question:
+      "Has the candidate been the subject of any disciplinary action, including warnings that have expired?",
+  },
+  {
+    key: "safeguarding_concerns",
+    question:
+      "Are you aware of any allegations or concerns about the candidate's conduct towards children?",
+  },
+  {
+    key: "would_reemploy",
+    question: "Would you re-employ the candidate?",
+  },
+];
+
+// Answers to these questions that need the referee to give details
+const SAFEGUARDING_CONCERN_ANSWERS = {
+  suitable_with_children: "no",
+  disciplinary_action: "yes",
+  safeguarding_concerns: "yes",
+  would_reemploy: "no",
+};
+
+const RATING_CRITERIA = [
+  { key: "subject_knowledge", label: "Subject knowledge" },
+  { key: "classroom_management", label: "Classroom management" },
+  { key: "planning_and_assessment", label: "Planning and assessment" },
+  { key: "communication", label: "Communication" },
+  { key: "teamwork", label: "Teamwork" },
+  { key: "reliability", label: "Reliability and punctuality" },
+];
+
+const referenceResponseSchema = new mongoose.Schema(
+  {
+    refereeName: { type: String, trim: true, maxlength: 200 },
+    refereePosition: { type: String, trim: true, maxlength: 200 },
+    capacityKnown: { type: String, trim: true, maxlength: 500 },
+    employedFrom: { type: Date },
+    employedTo: { type: Date },
+    safeguarding: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        question: { type: String },
+        answer: { type: String, enum: ["yes", "no"], required: true },
+        details: { type: String, maxlength: 2000 },
+      },
+    ],
+    // 1-5 rating per RATING_CRITERIA key
+    ratings: {
+      type: Map,
+      of: { type: Number, min: 1, max: 5 },
+      default: {},
+    },
+    strengths: { type: String, maxlength: 3000 },
+    areasForDevelopment: { type: String, maxlength: 3000 },
+    additionalComments: { type: String, maxlength: 3000 },
+    hasConcerns: { type: Boolean, default: false },
+    declaration: { type: Boolean, required: true },
+    submittedAt: { type: Date },
+    ipAddress: { type: String },
+  },
+  { _id: false }
+);
+
+const referenceRequestSchema = new mongoose.Schema(
+  {
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JobApplication",
+      required: true,
+    },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+    schoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SchoolProfile",
+      required: true,
+    },
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TeacherProfile",
+      required: true,
+    },
+    refereeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TeacherReferee",
+      required: true,
+    },
+    // Snapshot of the referee at request time
+    referee: {
+      fullName: { type: String, required: true },
+      email: { type: String, required: true, lowercase: true, trim: true },
+      position: { type: String },
+      organization: { type: String },
+      relationship: { type: String },
+    },
+    status: {
+      type: String,
+      enum: [
+        "awaiting_consent",
+        "consent_declined",
+        "sent",
+        "completed",
+        "expired",
+        "cancelled",
+      ],
+      default: "awaiting_consent",
+    },
+    message: {
+      type: String,
+      maxlength: 1000,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    consentedAt: { type: Date },
+    consentDeclinedAt: { type: Date },
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    tokenExpiresAt: { type: Date },
+    sentAt: { type: Date },
+    completedAt: { type: Date },
+    cancelledAt: { type: Date },
+    response: {
+      type: referenceResponseSchema,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+referenceRequestSchema.index({ applicationId: 1, createdAt: -1 });
+referenceRequestSchema.index({ teacherId: 1, status: 1 });
+referenceRequestSchema.index({ tokenHash: 1 }, { sparse: true });
+// One open request per referee and application
+referenceRequestSchema.index(
+  { applicationId: 1, refereeId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: { $in: ["awaiting_consent", "sent", "completed"] },
+    },
+  }
+);
+
+referenceRequestSchema.statics.SAFEGUARDING_QUESTIONS = SAFEGUARDING_QUESTIONS;
+referenceRequestSchema.statics.SAFEGUARDING_CONCERN_ANSWERS =
+  SAFEGUARDING_CONCERN_ANSWERS;
+referenceRequestSchema.statics.RATING_CRITERIA = RATING_CRITERIA;
+
+// Static method to hash a form token for lookup
+referenceRequestSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+// Static method to find the open request for a form token
+referenceRequestSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: this.hashToken(token) }).select(
+    "+tokenHash"
+  );
+};
+
+// Method to issue a new form token; returns the raw token for the email link
+referenceRequestSchema.methods.issueToken = function (validityDays) {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.tokenHash = this.constructor.hashToken(token);
+  this.tokenExpiresAt = new Date(
+    Date.now() + validityDays * 24 * 60 * 60 * 1000
+  );
+  return token;
+};
+
+// Method to check whether the form link has expired
+referenceRequestSchema.methods.isTokenExpired = function () {
+  return !this.tokenExpiresAt || this.tokenExpiresAt < new Date();
+};
+
+module.exports = mongoose.model("ReferenceRequest", referenceRequestSchema);
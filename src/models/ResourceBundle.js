@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+/**
+ * ResourceBundle Model
+ * A seller's group of approved paid resources sold together at a
+ * discounted price. A bundle purchase gives the buyer a ResourcePurchase
+ * and a Sale for every resource in the bundle.
+ */
+const resourceBundleSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 150,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      default: "",
+    },
+    // Falls back to the first resource's cover photo
+    coverPhoto: {
+      type: String,
+      default: null,
+    },
+    resources: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Resource",
+        },
+      ],
+      required: true,
+    },
+    // Bundle price in major units (like Resource.price)
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      enum: ["USD", "EUR", "GBP", "PKR"],
+      required: true,
+    },
+    createdBy: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      role: {
+        type: String,
+        enum: ["teacher", "school", "admin"],
+        required: true,
+      },
+    },
+    status: {
+      type: String,
+      enum: ["active", "inactive"],
+      default: "active",
+    },
+    salesCount: {
+      type: Number,
+      default: 0,
+    },
+    isDeleted: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+resourceBundleSchema.index({ "createdBy.userId": 1, isDeleted: 1 });
+resourceBundleSchema.index({ resources: 1 });
+resourceBundleSchema.index({ status: 1, isDeleted: 1 });
+
+// Resource limits per bundle (the resource IDs travel in Stripe metadata,
+// which caps values at 500 characters)
+resourceBundleSchema.statics.MIN_RESOURCES = 2;
+resourceBundleSchema.statics.MAX_RESOURCES = 20;
+
+module.exports = mongoose.model("ResourceBundle", resourceBundleSchema);
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+/**
+ * ResourceVersion Model
+ * One file release of a resource. Versions are moderated like resources
+ * (pending → approved/rejected); approving a version makes its file the
+ * resource's mainFile. Earlier approved versions stay downloadable.
+ */
+const resourceVersionSchema = new mongoose.Schema(
+  {
+    resource: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resource",
+      required: true,
+    },
+    // 1, 2, 3... per resource
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Direct Cloudinary URL from the frontend upload
+    file: {
+      type: String,
+      required: true,
+    },
+    changelog: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      default: null,
+    },
+    // Past purchasers told about this version when it was approved
+    buyersNotified: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+resourceVersionSchema.index({ resource: 1, version: -1 }, { unique: true });
+resourceVersionSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("ResourceVersion", resourceVersionSchema);
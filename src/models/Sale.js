@@ -65,7 +65,7 @@ const saleSchema = new mongoose.Schema(
     },
     license: {
       type: String,
-      enum: ["single", "school", "bundle"],
+      enum: ["single", "department", "school", "bundle"],
       default: "single",
     },
     status: {
@@ -108,6 +108,34 @@ const saleSchema = new mongoose.Schema(
       createdAt: Date,
       resolvedAt: Date,
     },
+    // Promotion applied at checkout. price and the royalty fields above
+    // are based on the discounted amount actually charged.
+    discount: {
+      listPrice: Number, // Before discounts, in smallest unit
+      amount: { type: Number, default: 0 },
+      couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+        default: null,
+      },
+      couponCode: String,
+      sources: [String], // seller_sale, campaign, coupon
+      description: String,
+    },
+    // Bundle and cart purchases record one sale per resource. The Stripe IDs
+    // above are unique per sale, so the shared checkout is kept here instead.
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ResourceBundle",
+      default: null,
+    },
+    checkoutPayment: {
+      stripeSessionId: String,
+      stripePaymentIntentId: String,
+      // Set on the payment's first sale once the invoice and seller
+      // notifications have gone out
+      notifiedAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -118,6 +146,17 @@ const saleSchema = new mongoose.Schema(
 saleSchema.index({ seller: 1, saleDate: -1 });
 saleSchema.index({ seller: 1, status: 1 });
 saleSchema.index({ resource: 1, saleDate: -1 });
+saleSchema.index(
+  { "checkoutPayment.stripeSessionId": 1, resource: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      "checkoutPayment.stripeSessionId": { $exists: true },
+    },
+  }
+);
+saleSchema.index({ "checkoutPayment.stripePaymentIntentId": 1 });
+saleSchema.index({ "discount.couponId": 1, buyer: 1 });
 
 // Virtual for resource details
 saleSchema.virtual("resourceDetails", {
@@ -32,6 +32,20 @@ const savedJobSchema = new mongoose.Schema(
         message: "Reminder date must be in the future",
       },
     },
+    // Set by the reminder dispatcher once the reminder has been handled
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    reminderOutcome: {
+      type: String,
+      enum: [
+        "sent",
+        "skipped_job_closed",
+        "skipped_already_applied",
+        "skipped_no_teacher",
+      ],
+    },
     isApplied: {
       type: Boolean,
       default: false,
@@ -58,6 +72,7 @@ savedJobSchema.index({ teacherId: 1, savedAt: -1 });
 savedJobSchema.index({ teacherId: 1, priority: 1 });
 savedJobSchema.index({ teacherId: 1, isApplied: 1 });
 savedJobSchema.index({ reminderDate: 1 });
+savedJobSchema.index({ reminderSentAt: 1, reminderDate: 1 });
 
 // Virtual for days since saved
 savedJobSchema.virtual("daysSinceSaved").get(function () {
@@ -77,6 +92,12 @@ savedJobSchema.pre("save", function (next) {
   if (this.isModified("isApplied") && this.isApplied && !this.appliedAt) {
     this.appliedAt = new Date();
   }
+
+  // A new reminder date re-arms the dispatcher
+  if (this.isModified("reminderDate")) {
+    this.reminderSentAt = null;
+    this.reminderOutcome = undefined;
+  }
   next();
 });
 
@@ -159,6 +180,17 @@ savedJobSchema.statics.findOverdueReminders = function () {
     .populate("jobId", "title applicationDeadline");
 };
 
+// Static method to find reminders that are due and not yet dispatched
+savedJobSchema.statics.findDueReminders = function (limit = 500) {
+  return this.find({
+    reminderDate: { $lte: new Date() },
+    reminderSentAt: null,
+  })
+    .sort({ reminderDate: 1 })
+    .limit(limit)
+    .populate("jobId", "title status applicationDeadline deletedAt");
+};
+
 // Static method to find jobs to apply for (high priority, not applied)
 savedJobSchema.statics.findJobsToApply = function (teacherId) {
   return this.find({
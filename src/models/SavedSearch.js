@@ -0,0 +1,173 @@
+const mongoose = require("mongoose");
+
+/**
+ * SavedSearch Model
+ * A teacher's named /jobs/search filter set with alert preferences.
+ * `filters` mirrors the filter object accepted by JobService.searchJobs.
+ */
+const savedSearchFiltersSchema = new mongoose.Schema(
+  {
+    q: { type: String, trim: true, maxlength: 200 },
+    location: { type: String, trim: true, maxlength: 200 },
+    country: { type: String, trim: true, maxlength: 100 },
+    city: { type: String, trim: true, maxlength: 100 },
+    salaryMin: { type: Number, min: 0 },
+    salaryMax: { type: Number, min: 0 },
+    currency: { type: String, length: 3 },
+    educationLevel: {
+      type: String,
+      enum: [
+        "early_years",
+        "primary",
+        "secondary",
+        "high_school",
+        "foundation",
+        "higher_education",
+      ],
+    },
+    subjects: { type: [String], default: undefined },
+    jobType: {
+      type: String,
+      enum: ["full_time", "part_time", "contract", "substitute"],
+    },
+    visaSponsorship: { type: Boolean },
+    quickApply: { type: Boolean },
+    isUrgent: { type: Boolean },
+    isFeatured: { type: Boolean },
+    postedWithin: { type: Number, min: 1, max: 365 },
+    deadlineWithin: { type: Number, min: 1, max: 365 },
+  },
+  { _id: false }
+);
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TeacherProfile",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    filters: {
+      type: savedSearchFiltersSchema,
+      required: true,
+    },
+    alertFrequency: {
+      type: String,
+      enum: ["instant", "daily", "weekly", "none"],
+      default: "daily",
+    },
+    emailAlerts: {
+      type: Boolean,
+      default: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastAlertedAt: {
+      type: Date,
+      default: null,
+    },
+    // Jobs already sent in an alert, so each job is only announced once
+    alertedJobIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: "Job",
+      default: [],
+    },
+    totalAlertsSent: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+savedSearchSchema.index({ teacherId: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1, alertFrequency: 1 });
+savedSearchSchema.index({
+  alertFrequency: 1,
+  isActive: 1,
+  "filters.educationLevel": 1,
+  "filters.jobType": 1,
+});
+savedSearchSchema.index({ teacherId: 1, name: 1 }, { unique: true });
+
+// Maximum number of saved searches per teacher
+savedSearchSchema.statics.MAX_PER_TEACHER = 20;
+
+// Maximum number of alerted job ids retained per saved search
+savedSearchSchema.statics.MAX_ALERTED_JOB_IDS = 500;
+
+// Method to return filters as a plain object without empty values
+savedSearchSchema.methods.getFilterObject = function () {
+  const filters = this.filters ? this.filters.toObject() : {};
+
+  Object.keys(filters).forEach((key) => {
+    if (
+      filters[key] === undefined ||
+      filters[key] === null ||
+      (Array.isArray(filters[key]) && filters[key].length === 0)
+    ) {
+      delete filters[key];
+    }
+  });
+
+  return filters;
+};
+
+// Method to record that an alert containing the given jobs was sent
+savedSearchSchema.methods.recordAlert = async function (jobIds) {
+  const maxIds = this.constructor.MAX_ALERTED_JOB_IDS;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { lastAlertedAt: new Date() },
+      $inc: { totalAlertsSent: 1 },
+      $push: { alertedJobIds: { $each: jobIds, $slice: -maxIds } },
+    }
+  );
+};
+
+// Static method to narrow active instant searches down to those a newly
+// published job could match. Only exact-match filters are checked here, so
+// the result is a superset; callers still run the full search query.
+savedSearchSchema.statics.findInstantCandidates = function (job) {
+  const anyOrEqual = (value) => ({ $in: [null, value] });
+
+  return this.find({
+    isActive: true,
+    alertFrequency: "instant",
+    alertedJobIds: { $ne: job._id },
+    "filters.educationLevel": anyOrEqual(job.educationLevel),
+    "filters.jobType": anyOrEqual(job.jobType),
+    "filters.visaSponsorship": anyOrEqual(Boolean(job.visaSponsorship)),
+    "filters.quickApply": anyOrEqual(Boolean(job.quickApply)),
+    "filters.isUrgent": anyOrEqual(Boolean(job.isUrgent)),
+    "filters.isFeatured": anyOrEqual(Boolean(job.isFeatured)),
+    $or: [
+      { "filters.subjects": { $exists: false } },
+      { "filters.subjects": { $size: 0 } },
+      { "filters.subjects": { $in: job.subjects || [] } },
+    ],
+  }).select("-alertedJobIds");
+};
+
+// Static method to find active saved searches due for a given frequency
+savedSearchSchema.statics.findActiveByFrequency = function (frequency) {
+  return this.find({ isActive: true, alertFrequency: frequency });
+};
+
+module.exports = mongoose.model("SavedSearch", savedSearchSchema);
@@ -1,10 +1,39 @@
 const mongoose = require("mongoose");
 
+/**
+ * SavedTeacher Model
+ * A talent pool teacher saved by a school. Staff collaborate on the entry:
+ * it can sit in several named shortlists, carries tags, private or shared
+ * reviewer notes and one 1-5 rating per reviewer.
+ */
+const reviewerNoteSchema = new mongoose.Schema(
+  {
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    // Private notes are only visible to their author
+    visibility: {
+      type: String,
+      enum: ["private", "shared"],
+      default: "shared",
+    },
+  },
+  { timestamps: true }
+);
+
 const savedTeacherSchema = new mongoose.Schema(
   {
     schoolId: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
+      ref: "SchoolProfile",
       required: true,
     },
     teacherProfileId: {
@@ -12,6 +41,11 @@ const savedTeacherSchema = new mongoose.Schema(
       ref: "TeacherProfile",
       required: true,
     },
+    savedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     notes: {
       type: String,
       maxlength: 500,
@@ -21,6 +55,47 @@ const savedTeacherSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Named shortlists (folders) this teacher belongs to
+    shortlistIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: "Shortlist",
+      default: [],
+    },
+    tags: {
+      type: [{ type: String, trim: true, lowercase: true, maxlength: 30 }],
+      default: [],
+    },
+    reviewerNotes: {
+      type: [reviewerNoteSchema],
+      default: [],
+    },
+    ratings: {
+      type: [
+        {
+          _id: false,
+          reviewerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+          },
+          rating: { type: Number, required: true, min: 1, max: 5 },
+          ratedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    // Jobs the teacher was invited to apply for from the shortlist
+    invitations: {
+      type: [
+        {
+          _id: false,
+          jobId: { type: mongoose.Schema.Types.ObjectId, ref: "Job" },
+          invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          invitedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -35,6 +110,11 @@ savedTeacherSchema.index(
 
 // Index for listing saved teachers by school
 savedTeacherSchema.index({ schoolId: 1, savedAt: -1 });
+savedTeacherSchema.index({ schoolId: 1, shortlistIds: 1 });
+savedTeacherSchema.index({ schoolId: 1, tags: 1 });
+
+// Maximum number of tags per saved teacher
+savedTeacherSchema.statics.MAX_TAGS = 20;
 
 // Static method to find saved teachers by school
 savedTeacherSchema.statics.findBySchool = function (schoolId) {
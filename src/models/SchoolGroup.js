@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+/**
+ * SchoolGroup Model
+ * A school group that owns several campuses (SchoolProfiles, linked through
+ * SchoolProfile.groupId). The owner's subscription covers every campus.
+ *
+ * Campus flow: a group admin requests a campus (campusRequests), the campus
+ * owner accepts or declines; campuses can leave at any time.
+ */
+const campusRequestSchema = new mongoose.Schema(
+  {
+    schoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SchoolProfile",
+      required: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const schoolGroupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 150,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      default: "",
+    },
+    // Holds the group subscription
+    ownerUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Campus staff who manage the group alongside the owner
+    adminUserIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: "User",
+      default: [],
+    },
+    // Campuses see each other's shortlisted teachers
+    sharedTalentPool: {
+      type: Boolean,
+      default: true,
+    },
+    campusRequests: {
+      type: [campusRequestSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+schoolGroupSchema.index({ ownerUserId: 1 });
+schoolGroupSchema.index({ adminUserIds: 1 });
+schoolGroupSchema.index({ "campusRequests.schoolId": 1 });
+
+// Maximum number of campuses per group
+schoolGroupSchema.statics.MAX_CAMPUSES = 50;
+
+// Method to check whether a user manages the group
+schoolGroupSchema.methods.isAdmin = function (userId) {
+  if (!userId) return false;
+  return (
+    this.ownerUserId.toString() === userId.toString() ||
+    this.adminUserIds.some((id) => id.toString() === userId.toString())
+  );
+};
+
+module.exports = mongoose.model("SchoolGroup", schoolGroupSchema);
@@ -0,0 +1,152 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+/**
+ * SchoolMember Model
+ * A staff member of a school organisation and their role. The school's
+ * primary account (SchoolProfile.userId) holds billing and is the owner
+ * until ownership is transferred; every other staff member joins through an
+ * emailed invitation.
+ *
+ * Status flow:
+ * invited → active (invitation accepted)
+ *         → revoked (invitation withdrawn or expired)
+ * active → removed
+ */
+const ROLE_PERMISSIONS = {
+  owner: [
+    "jobs.view",
+    "jobs.manage",
+    "applications.view",
+    "applications.manage",
+    "interviews.manage",
+    "talent_pool.view",
+    "talent_pool.manage",
+    "ads.manage",
+    "subscriptions.manage",
+    "staff.manage",
+  ],
+  recruiter: [
+    "jobs.view",
+    "jobs.manage",
+    "applications.view",
+    "applications.manage",
+    "interviews.manage",
+    "talent_pool.view",
+    "talent_pool.manage",
+  ],
+  interviewer: [
+    "jobs.view",
+    "applications.view",
+    "interviews.manage",
+    "talent_pool.view",
+  ],
+  finance: ["jobs.view", "ads.manage", "subscriptions.manage"],
+  read_only: ["jobs.view", "applications.view", "talent_pool.view"],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const schoolMemberSchema = new mongoose.Schema(
+  {
+    schoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SchoolProfile",
+      required: true,
+    },
+    // Set once the invitation is accepted
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["invited", "active", "revoked", "removed"],
+      default: "invited",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    tokenExpiresAt: { type: Date },
+    invitedAt: { type: Date },
+    joinedAt: { type: Date },
+    removedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+schoolMemberSchema.index({ schoolId: 1, status: 1 });
+schoolMemberSchema.index({ tokenHash: 1 }, { sparse: true });
+// A user belongs to one school at a time
+schoolMemberSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+// One open invitation or membership per email and school
+schoolMemberSchema.index(
+  { schoolId: 1, email: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ["invited", "active"] } },
+  }
+);
+// Exactly one owner per school
+schoolMemberSchema.index(
+  { schoolId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { role: "owner", status: "active" },
+  }
+);
+
+schoolMemberSchema.statics.ROLES = ROLES;
+schoolMemberSchema.statics.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+// Static method to list the permissions granted by a role
+schoolMemberSchema.statics.getPermissions = function (role) {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+// Static method to hash an invitation token for lookup
+schoolMemberSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+// Static method to find the invitation for a token
+schoolMemberSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: this.hashToken(token) }).select(
+    "+tokenHash"
+  );
+};
+
+// Method to issue a new invitation token; returns the raw token for the email link
+schoolMemberSchema.methods.issueToken = function (validityDays) {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.tokenHash = this.constructor.hashToken(token);
+  this.tokenExpiresAt = new Date(
+    Date.now() + validityDays * 24 * 60 * 60 * 1000
+  );
+  return token;
+};
+
+module.exports = mongoose.model("SchoolMember", schoolMemberSchema);
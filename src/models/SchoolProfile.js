@@ -150,6 +150,23 @@ const schoolProfileSchema = new mongoose.Schema(
     },
     mission: { type: String, trim: true, maxlength: 2000 },
     vision: { type: String, trim: true, maxlength: 2000 },
+
+    // Public careers page address (/careers/:slug)
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+      lowercase: true,
+      trim: true,
+      maxlength: 60,
+    },
+
+    // School group this campus belongs to
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SchoolGroup",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -162,6 +179,7 @@ schoolProfileSchema.index({ country: 1 });
 schoolProfileSchema.index({ city: 1 });
 schoolProfileSchema.index({ schoolType: 1 });
 schoolProfileSchema.index({ curriculum: 1 });
+schoolProfileSchema.index({ groupId: 1 });
 
 // Virtual populate for user data
 schoolProfileSchema.virtual("user", {
@@ -195,8 +213,73 @@ schoolProfileSchema.pre("save", function (next) {
   next();
 });
 
+// Pre-save middleware to give every school a careers page slug
+schoolProfileSchema.pre("save", async function (next) {
+  try {
+    if (!this.slug) {
+      this.slug = await this.constructor.generateUniqueSlug(
+        this.schoolName,
+        this._id
+      );
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 schoolProfileSchema.index({ schoolName: "text", aboutSchool: "text" });
 
+// Pattern for careers page slugs
+schoolProfileSchema.statics.SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Slugs that clash with careers routes
+schoolProfileSchema.statics.RESERVED_SLUGS = ["mine"];
+
+/**
+ * Turn a school name into a URL-friendly slug
+ * @param {string} name - School name
+ */
+schoolProfileSchema.statics.slugify = function (name = "") {
+  return name
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50)
+    .replace(/-+$/, "");
+};
+
+/**
+ * Slug for a school name that no other school uses ("name", "name-2", ...)
+ * @param {string} name - School name
+ * @param {ObjectId} excludeId - School that may already hold the slug
+ */
+schoolProfileSchema.statics.generateUniqueSlug = async function (
+  name,
+  excludeId = null
+) {
+  const base = this.slugify(name) || "school";
+  const filter = excludeId ? { _id: { $ne: excludeId } } : {};
+
+  for (let suffix = 1; ; suffix++) {
+    const slug = suffix === 1 ? base : `${base}-${suffix}`;
+    const taken =
+      this.RESERVED_SLUGS.includes(slug) ||
+      (await this.exists({ ...filter, slug }));
+    if (!taken) return slug;
+  }
+};
+
+/**
+ * Find a school by careers page slug
+ * @param {string} slug - Careers page slug
+ */
+schoolProfileSchema.statics.findBySlug = function (slug) {
+  return this.findOne({ slug: slug.toLowerCase() });
+};
+
 const REQUIRED = [
   "schoolName",
   "schoolEmail",
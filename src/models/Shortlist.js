@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+/**
+ * Shortlist Model
+ * A named folder of saved talent pool teachers shared by a school's staff,
+ * for example one per vacancy. Membership is stored on SavedTeacher.
+ */
+const shortlistSchema = new mongoose.Schema(
+  {
+    schoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SchoolProfile",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+    // Vacancy the shortlist is for, used as the default invite target
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shortlistSchema.index({ schoolId: 1, name: 1 }, { unique: true });
+
+// Maximum number of shortlists per school
+shortlistSchema.statics.MAX_PER_SCHOOL = 100;
+
+module.exports = mongoose.model("Shortlist", shortlistSchema);
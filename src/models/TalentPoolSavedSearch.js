@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+
+/**
+ * TalentPoolSavedSearch Model
+ * A school's named talent pool filter set with alert preferences.
+ * `filters` mirrors the filter object accepted by
+ * TalentPoolSearchService.buildSearchQuery.
+ */
+const talentPoolFiltersSchema = new mongoose.Schema(
+  {
+    q: { type: String, trim: true, maxlength: 200 },
+    subject: { type: String, trim: true, maxlength: 100 },
+    country: { type: String, trim: true, maxlength: 100 },
+    city: { type: String, trim: true, maxlength: 100 },
+    nationality: { type: String, trim: true, maxlength: 100 },
+    languages: { type: [String], default: undefined },
+    qualification: {
+      type: [String],
+      enum: ["Bachelor", "Master", "PhD", "Diploma", "Certificate", "Other"],
+      default: undefined,
+    },
+    minExperience: { type: Number, min: 0, max: 50 },
+    maxExperience: { type: Number, min: 0, max: 50 },
+    availabilityStatus: {
+      type: [String],
+      enum: ["available", "open_to_offers", "not_looking"],
+      default: undefined,
+    },
+    verifiedCredentials: { type: Boolean },
+  },
+  { _id: false }
+);
+
+const talentPoolSavedSearchSchema = new mongoose.Schema(
+  {
+    schoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SchoolProfile",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    filters: {
+      type: talentPoolFiltersSchema,
+      required: true,
+    },
+    alertFrequency: {
+      type: String,
+      enum: ["instant", "daily", "weekly", "none"],
+      default: "daily",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastAlertedAt: {
+      type: Date,
+      default: null,
+    },
+    // Teachers already sent in an alert, so each teacher is only announced once
+    alertedTeacherIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: "TeacherProfile",
+      default: [],
+    },
+    totalAlertsSent: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+talentPoolSavedSearchSchema.index({ schoolId: 1, createdAt: -1 });
+talentPoolSavedSearchSchema.index({ isActive: 1, alertFrequency: 1 });
+talentPoolSavedSearchSchema.index({ schoolId: 1, name: 1 }, { unique: true });
+
+// Maximum number of saved searches per school
+talentPoolSavedSearchSchema.statics.MAX_PER_SCHOOL = 20;
+
+// Maximum number of alerted teacher ids retained per saved search
+talentPoolSavedSearchSchema.statics.MAX_ALERTED_TEACHER_IDS = 1000;
+
+// Method to return filters as a plain object without empty values
+talentPoolSavedSearchSchema.methods.getFilterObject = function () {
+  const filters = this.filters ? this.filters.toObject() : {};
+
+  Object.keys(filters).forEach((key) => {
+    if (
+      filters[key] === undefined ||
+      filters[key] === null ||
+      (Array.isArray(filters[key]) && filters[key].length === 0)
+    ) {
+      delete filters[key];
+    }
+  });
+
+  return filters;
+};
+
+// Method to record that an alert containing the given teachers was sent
+talentPoolSavedSearchSchema.methods.recordAlert = async function (teacherIds) {
+  const maxIds = this.constructor.MAX_ALERTED_TEACHER_IDS;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { lastAlertedAt: new Date() },
+      $inc: { totalAlertsSent: 1 },
+      $push: { alertedTeacherIds: { $each: teacherIds, $slice: -maxIds } },
+    }
+  );
+};
+
+// Static method to find active saved searches due for a given frequency
+talentPoolSavedSearchSchema.statics.findActiveByFrequency = function (
+  frequency
+) {
+  return this.find({ isActive: true, alertFrequency: frequency });
+};
+
+module.exports = mongoose.model(
+  "TalentPoolSavedSearch",
+  talentPoolSavedSearchSchema
+);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const credentialVerificationPlugin = require("./plugins/credentialVerification");
 
 const TeacherCertificationSchema = new mongoose.Schema(
   {
@@ -21,6 +22,16 @@ const TeacherCertificationSchema = new mongoose.Schema(
 
 TeacherCertificationSchema.index({ teacherId: 1, issueDate: -1 });
 
+TeacherCertificationSchema.plugin(credentialVerificationPlugin, {
+  fields: [
+    "certificationName",
+    "issuingOrganization",
+    "issueDate",
+    "expiryDate",
+    "credentialId",
+  ],
+});
+
 module.exports = mongoose.model(
   "TeacherCertification",
   TeacherCertificationSchema
@@ -24,4 +24,49 @@ const TeacherEmploymentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Longest employment text kept on the profile for talent pool search
+const MAX_SEARCH_TEXT_LENGTH = 20000;
+
+// Static method to copy a teacher's employment history onto the profile,
+// where the talent pool text index can reach it
+TeacherEmploymentSchema.statics.syncSearchText = async function (teacherId) {
+  const entries = await this.find({ teacherId })
+    .select("jobTitle employer location responsibilities")
+    .lean();
+
+  const text = entries
+    .map((e) =>
+      [e.jobTitle, e.employer, e.location, ...(e.responsibilities || [])]
+        .filter(Boolean)
+        .join(" ")
+    )
+    .join("\n")
+    .slice(0, MAX_SEARCH_TEXT_LENGTH);
+
+  await mongoose
+    .model("TeacherProfile")
+    .updateOne({ _id: teacherId }, { $set: { employmentSearchText: text } });
+};
+
+const syncAfterChange = (doc) => {
+  if (!doc || !doc.teacherId) return;
+  doc.constructor
+    .syncSearchText(doc.teacherId)
+    .catch((error) =>
+      console.error("Employment search text sync failed:", error.message)
+    );
+};
+
+TeacherEmploymentSchema.post("save", syncAfterChange);
+TeacherEmploymentSchema.post("findOneAndUpdate", syncAfterChange);
+TeacherEmploymentSchema.post("findOneAndDelete", syncAfterChange);
+TeacherEmploymentSchema.post("insertMany", function (docs) {
+  const teacherIds = new Set(docs.map((doc) => doc.teacherId.toString()));
+  teacherIds.forEach((teacherId) =>
+    this.syncSearchText(teacherId).catch((error) =>
+      console.error("Employment search text sync failed:", error.message)
+    )
+  );
+});
+
 module.exports = mongoose.model("TeacherEmployment", TeacherEmploymentSchema);
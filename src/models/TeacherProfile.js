@@ -136,6 +136,14 @@ const teacherProfileSchema = new mongoose.Schema(
     isProfileComplete: { type: Boolean, default: false },
     profileCompletion: { type: Number, default: 0 },
 
+    // ---- Job Preferences ----
+    // Left unset when unknown; recommendation scoring treats that as neutral
+    requiresVisaSponsorship: { type: Boolean },
+    expectedSalary: {
+      min: { type: Number, min: 0 },
+      currency: { type: String, uppercase: true, trim: true },
+    },
+
     // ---- Talent Pool ----
     talentPoolOptedIn: { type: Boolean, default: false },
     availabilityStatus: {
@@ -143,6 +151,15 @@ const teacherProfileSchema = new mongoose.Schema(
       enum: ["available", "open_to_offers", "not_looking"],
       default: "not_looking",
     },
+
+    // ---- Credential Verification ----
+    // Verified certifications and qualifications, kept in sync by the
+    // verification workflow for search filters
+    verifiedCredentialCount: { type: Number, default: 0, min: 0 },
+
+    // ---- Talent Pool Search ----
+    // Employment history text, kept in sync by TeacherEmployment
+    employmentSearchText: { type: String, default: "", select: false },
   },
   { timestamps: true }
 );
@@ -154,6 +171,25 @@ teacherProfileSchema.index({ city: 1 });
 teacherProfileSchema.index({ subject: 1 });
 teacherProfileSchema.index({ qualification: 1 });
 teacherProfileSchema.index({ talentPoolOptedIn: 1, availabilityStatus: 1 });
+teacherProfileSchema.index({ verifiedCredentialCount: 1 });
+// Talent pool full-text search
+teacherProfileSchema.index(
+  {
+    professionalBio: "text",
+    keyAchievements: "text",
+    employmentSearchText: "text",
+    subject: "text",
+  },
+  {
+    name: "talent_pool_text",
+    weights: {
+      subject: 5,
+      keyAchievements: 3,
+      professionalBio: 2,
+      employmentSearchText: 1,
+    },
+  }
+);
 
 // Virtual populate for user data
 teacherProfileSchema.virtual("user", {
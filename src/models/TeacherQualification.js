@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const credentialVerificationPlugin = require("./plugins/credentialVerification");
 
 const TeacherQualificationSchema = new mongoose.Schema(
   {
@@ -20,6 +21,16 @@ const TeacherQualificationSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+TeacherQualificationSchema.plugin(credentialVerificationPlugin, {
+  fields: [
+    "title",
+    "issuingInstitution",
+    "certificationId",
+    "issueDate",
+    "expiryDate",
+  ],
+});
+
 module.exports = mongoose.model(
   "TeacherQualification",
   TeacherQualificationSchema
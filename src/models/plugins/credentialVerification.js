@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+const CredentialVerification = require("../CredentialVerification");
+
+const VERIFICATION_STATUSES = [
+  "unverified",
+  "pending",
+  "more_info_requested",
+  "verified",
+  "rejected",
+  "expired",
+];
+
+/**
+ * Credential verification plugin
+ * Adds the `verification` badge to a self-declared credential (certification
+ * or qualification). The badge is only written by the admin verification
+ * workflow, which passes the `verificationUpdate` option (or sets
+ * `$locals.verificationUpdate` on a document). Any other write that tries to
+ * set it is ignored. Editing one of the verified fields resets the badge, and
+ * editing or deleting the credential cancels its open or verified request and
+ * recounts the teacher's verified credentials.
+ *
+ * @param {mongoose.Schema} schema - Credential schema
+ * @param {Object} options
+ * @param {string[]} options.fields - Fields an admin verifies against the evidence
+ */
+const credentialVerificationPlugin = (schema, { fields }) => {
+  schema.add({
+    verification: {
+      status: {
+        type: String,
+        enum: VERIFICATION_STATUSES,
+        default: "unverified",
+      },
+      verifiedAt: { type: Date, default: null },
+      // Follows the credential's own expiry date
+      expiresAt: { type: Date, default: null },
+      requestId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CredentialVerification",
+        default: null,
+      },
+    },
+  });
+
+  schema.index({ teacherId: 1, "verification.status": 1 });
+
+  const releaseVerification = async (doc, comment) => {
+    try {
+      await CredentialVerification.cancelForCredential(doc._id, comment);
+      // Required lazily: the service loads the credential models
+      const CredentialVerificationService = require(
+        "../../services/credentialVerificationService"
+      );
+      await CredentialVerificationService.refreshVerifiedCount(doc.teacherId);
+    } catch (error) {
+      console.error(
+        "Failed to release credential verification:",
+        error.message
+      );
+    }
+  };
+
+  schema.pre("save", function (next) {
+    if (this.$locals.verificationUpdate) return next();
+
+    if (this.isNew) {
+      this.verification = { status: "unverified" };
+    } else if (this.isModified("verification")) {
+      // Reject direct writes to the badge
+      this.invalidate("verification", "Verification status is read-only");
+    } else if (
+      this.verification.status !== "unverified" &&
+      fields.some((field) => this.isModified(field))
+    ) {
+      this.$locals.verificationReset = true;
+      this.verification = { status: "unverified" };
+    }
+    next();
+  });
+
+  schema.post("save", function (doc) {
+    if (doc.$locals.verificationReset) {
+      doc.$locals.verificationReset = false;
+      return releaseVerification(doc);
+    }
+  });
+
+  schema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function (next) {
+    if (this.getOptions().verificationUpdate) return next();
+
+    const update = this.getUpdate() || {};
+    const isVerificationPath = (path) =>
+      path === "verification" || path.startsWith("verification.");
+
+    // Strip the badge from both top-level and operator updates
+    [update, ...Object.values(update)].forEach((target) => {
+      if (!target || typeof target !== "object") return;
+      Object.keys(target)
+        .filter(isVerificationPath)
+        .forEach((path) => delete target[path]);
+    });
+
+    const touched = [
+      ...Object.keys(update),
+      ...Object.keys(update.$set || {}),
+      ...Object.keys(update.$unset || {}),
+    ];
+    if (fields.some((field) => touched.includes(field))) {
+      update.$set = {
+        ...(update.$set || {}),
+        verification: { status: "unverified" },
+      };
+      this._verificationReset = true;
+    }
+
+    this.setUpdate(update);
+    next();
+  });
+
+  schema.post("findOneAndUpdate", function (doc) {
+    if (this._verificationReset && doc) {
+      return releaseVerification(doc);
+    }
+  });
+
+  schema.post("findOneAndDelete", function (doc) {
+    if (doc && doc.verification && doc.verification.status !== "unverified") {
+      return releaseVerification(doc, "The credential was deleted");
+    }
+  });
+};
+
+module.exports = credentialVerificationPlugin;
+module.exports.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
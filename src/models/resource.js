@@ -1,5 +1,65 @@
 const mongoose = require("mongoose");
 
+// Watermarked page images rendered from a PDF, shown before purchase
+const previewSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["none", "processing", "ready", "failed"],
+      default: "none",
+    },
+    // File the pages were rendered from
+    sourceUrl: { type: String, default: null },
+    // Authenticated Cloudinary copy the page URLs are signed against
+    publicId: { type: String, default: null },
+    pageCount: { type: Number, default: null },
+    pages: [String],
+    error: { type: String, default: null },
+    generatedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+// Additional file attached to a resource (slides, worksheet, answer key...)
+const resourceFileSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    kind: {
+      type: String,
+      enum: [
+        "slides",
+        "worksheet",
+        "answer_key",
+        "lesson_plan",
+        "audio",
+        "video",
+        "image",
+        "document",
+        "other",
+      ],
+      default: "other",
+    },
+    // Direct Cloudinary URL from the frontend upload
+    url: { type: String, required: true },
+    // File extension, e.g. "pdf" or "mp3"
+    format: { type: String, lowercase: true, trim: true, default: null },
+    mimeType: { type: String, default: null },
+    // Size in bytes
+    size: { type: Number, min: 0, default: null },
+    order: { type: Number, default: 0 },
+    // New and replaced files are held back from buyers until an admin
+    // approves the resource again
+    status: {
+      type: String,
+      enum: ["pending", "approved"],
+      default: "pending",
+    },
+    preview: { type: previewSchema, default: () => ({}) },
+    downloadCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
 const resourceSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
@@ -201,6 +261,13 @@ const resourceSchema = new mongoose.Schema(
       },
     },
 
+    // Time-boxed sale set by the seller
+    promotion: {
+      percentOff: { type: Number, min: 1, max: 90, default: null },
+      startsAt: { type: Date, default: null },
+      endsAt: { type: Date, default: null },
+    },
+
     publishing: {
       type: String,
       enum: ["public", "private", "school only", "unlisted"],
@@ -226,10 +293,21 @@ const resourceSchema = new mongoose.Schema(
       required: true,
     },
     previewImages: [String],
+    // File of the current approved version (see ResourceVersion)
     mainFile: {
       type: String,
       required: true,
     },
+    currentVersion: {
+      type: Number,
+      default: 1,
+    },
+    mainFilePreview: {
+      type: previewSchema,
+      default: () => ({}),
+    },
+    // Additional files, downloaded individually or together as a zip
+    files: [resourceFileSchema],
 
     status: {
       type: String,
@@ -252,4 +330,7 @@ resourceSchema.index({ "createdBy.userId": 1 });
 resourceSchema.index({ status: 1 });
 resourceSchema.index({ type: 1 });
 
+resourceSchema.statics.FILE_KINDS = resourceFileSchema.path("kind").enumValues;
+resourceSchema.statics.MAX_FILES = 20;
+
 module.exports = mongoose.model("Resource", resourceSchema);
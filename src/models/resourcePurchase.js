@@ -76,6 +76,13 @@ const resourcePurchaseSchema = new mongoose.Schema(
       paymentMethod: String,
     },
 
+    // Set when the resource was bought as part of a bundle
+    bundleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ResourceBundle",
+      default: null,
+    },
+
     // Pricing breakdown
     priceBreakdown: {
       basePrice: Number,
@@ -91,6 +98,13 @@ const resourcePurchaseSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// License types with their price multipliers and seat limits
+resourcePurchaseSchema.statics.LICENSE_TYPES = {
+  single: { multiplier: 1, maxUsers: 1, name: "Single Teacher License" },
+  department: { multiplier: 2.5, maxUsers: 10, name: "Department License" },
+  school: { multiplier: 5, maxUsers: 50, name: "School-wide License" },
+};
+
 // Indexes for efficient queries
 resourcePurchaseSchema.index({ resourceId: 1, buyerId: 1 });
 resourcePurchaseSchema.index({ buyerId: 1, status: 1 });
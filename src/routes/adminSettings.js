@@ -49,6 +49,9 @@ router.put("/vat", adminSettingsController.updateVatSettings);
 // Update minimum payout thresholds
 router.put("/minimum-payout", adminSettingsController.updateMinimumPayout);
 
+// Update sitewide promotional campaigns
+router.put("/promotions", adminSettingsController.updatePromotionSettings);
+
 // Update all settings at once
 router.put("/all", adminSettingsController.updateAllSettings);
 
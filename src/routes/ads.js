@@ -2,7 +2,11 @@ const express = require("express");
 const multer = require("multer");
 const router = express.Router();
 const adController = require("../controllers/adController");
-const { authenticateToken, authorizeRoles } = require("../middleware/auth");
+const {
+  authenticateToken,
+  authorizeRoles,
+  requireSchoolPermission,
+} = require("../middleware/auth");
 
 /**
  * Ad Routes
@@ -54,17 +58,24 @@ router.get("/banners/active", adController.getActiveBanners);
 router.post(
   "/requests",
   authenticateToken,
+  requireSchoolPermission("ads.manage"),
   bannerUpload.single("banner"),
   adController.createAdRequest
 );
 
 // GET /api/v1/ads/requests/my - Get current school's ad requests
-router.get("/requests/my", authenticateToken, adController.getMyAdRequests);
+router.get(
+  "/requests/my",
+  authenticateToken,
+  requireSchoolPermission("ads.manage"),
+  adController.getMyAdRequests
+);
 
 // PATCH /api/v1/ads/requests/:id/cancel - Cancel a pending ad request
 router.patch(
   "/requests/:id/cancel",
   authenticateToken,
+  requireSchoolPermission("ads.manage"),
   adController.cancelAdRequest
 );
 
@@ -72,6 +83,7 @@ router.patch(
 router.post(
   "/requests/:id/resubmit",
   authenticateToken,
+  requireSchoolPermission("ads.manage"),
   bannerUpload.single("banner"),
   adController.resubmitAdRequest
 );
@@ -80,6 +92,7 @@ router.post(
 router.post(
   "/requests/:id/checkout",
   authenticateToken,
+  requireSchoolPermission("ads.manage"),
   adController.createAdCheckout
 );
 
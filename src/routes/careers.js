@@ -0,0 +1,66 @@
+const express = require("express");
+const cors = require("cors");
+const router = express.Router();
+const CareerPageController = require("../controllers/careerPageController");
+const { validate } = require("../middleware/validation");
+const {
+  authenticateToken: authenticate,
+  authorizeRoles: authorize,
+  requireSchoolPermission,
+} = require("../middleware/auth");
+
+/**
+ * Careers Routes
+ * Every school has a public careers page (by slug) listing its open jobs,
+ * programs, media and mission. Schools embed the widget on their own
+ * website; apply links carry UTM tags so applications are attributed to
+ * the careers page in job analytics.
+ *
+ * Base path: /api/v1/careers
+ */
+
+// Widget assets are loaded from schools' own websites
+const allowEmbedding = [
+  cors({ origin: "*" }),
+  (req, res, next) => {
+    res.set("Cross-Origin-Resource-Policy", "cross-origin");
+    next();
+  },
+];
+
+// GET /api/v1/careers/mine - Careers page links and embed code
+router.get(
+  "/mine",
+  authenticate,
+  authorize(["school"]),
+  CareerPageController.getMyCareersPage
+);
+
+// PATCH /api/v1/careers/mine/slug - Change the careers page address
+router.patch(
+  "/mine/slug",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("staff.manage"),
+  validate("updateCareerPageSlug"),
+  CareerPageController.updateSlug
+);
+
+// GET /api/v1/careers/:slug/jobs.json - Open jobs feed for the widget (public)
+router.get(
+  "/:slug/jobs.json",
+  allowEmbedding,
+  CareerPageController.getWidgetFeed
+);
+
+// GET /api/v1/careers/:slug/widget.js - Embeddable widget script (public)
+router.get(
+  "/:slug/widget.js",
+  allowEmbedding,
+  CareerPageController.getWidgetScript
+);
+
+// GET /api/v1/careers/:slug - Careers page (public)
+router.get("/:slug", CareerPageController.getCareersPage);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require("express");
+const {
+  createCoupon,
+  getMyCoupons,
+  updateCoupon,
+  deleteCoupon,
+} = require("../controllers/couponController");
+const { authenticateToken, authorizeRoles } = require("../middleware/auth");
+const { requireFeature } = require("../middleware/featureAccess");
+const { validate } = require("../middleware/validation");
+const router = express.Router();
+
+/**
+ * Coupon Routes
+ * Sellers manage coupons for their own resources; admins manage sitewide
+ * coupons. Buyers enter codes when purchasing (POST /sales/purchase).
+ */
+
+router.use(authenticateToken);
+router.use(authorizeRoles(["teacher", "school", "admin"]));
+
+router.get("/", getMyCoupons);
+
+router.post(
+  "/",
+  requireFeature("resource_upload"),
+  validate("createCoupon"),
+  createCoupon
+);
+
+router.put("/:couponId", validate("updateCoupon"), updateCoupon);
+
+router.delete("/:couponId", deleteCoupon);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const CredentialVerificationController = require("../controllers/credentialVerificationController");
+const { validate } = require("../middleware/validation");
+const {
+  authenticateToken: authenticate,
+  authorizeRoles: authorize,
+} = require("../middleware/auth");
+
+/**
+ * Credential Verification Routes
+ * Teachers submit certifications and qualifications with evidence; admins
+ * approve, reject or ask for more information from a review queue.
+ *
+ * Base path: /api/v1/credential-verifications
+ */
+
+// Configure multer for evidence documents (PDF and images, max 10MB each)
+const evidenceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 5,
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      "image/jpeg",
+      "image/png",
+      "image/webp",
+      "application/pdf",
+    ];
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(
+        new Error("File type not allowed. Allowed types: PDF, JPEG, PNG, WEBP"),
+        false
+      );
+    }
+  },
+});
+
+// ==========================================
+// Teacher routes
+// ==========================================
+
+// POST /api/v1/credential-verifications - Submit a credential with evidence
+router.post(
+  "/",
+  authenticate,
+  authorize(["teacher"]),
+  evidenceUpload.array("evidence", 5),
+  validate("submitCredentialVerification"),
+  CredentialVerificationController.submit
+);
+
+// GET /api/v1/credential-verifications/my - Teacher's verification requests
+router.get(
+  "/my",
+  authenticate,
+  authorize(["teacher"]),
+  CredentialVerificationController.getMyVerifications
+);
+
+// POST /api/v1/credential-verifications/:id/information - Answer an information request
+router.post(
+  "/:id/information",
+  authenticate,
+  authorize(["teacher"]),
+  evidenceUpload.array("evidence", 5),
+  validate("credentialVerificationInfo"),
+  CredentialVerificationController.addInformation
+);
+
+// ==========================================
+// Admin routes
+// ==========================================
+
+// GET /api/v1/credential-verifications/admin/queue - Review queue (oldest first)
+router.get(
+  "/admin/queue",
+  authenticate,
+  authorize(["admin"]),
+  CredentialVerificationController.getQueue
+);
+
+// GET /api/v1/credential-verifications/admin/:id - Request with evidence and credential
+router.get(
+  "/admin/:id",
+  authenticate,
+  authorize(["admin"]),
+  CredentialVerificationController.getRequest
+);
+
+// PATCH /api/v1/credential-verifications/admin/:id/approve - Verify the credential
+router.patch(
+  "/admin/:id/approve",
+  authenticate,
+  authorize(["admin"]),
+  validate("reviewCredentialVerification"),
+  CredentialVerificationController.review("approve")
+);
+
+// PATCH /api/v1/credential-verifications/admin/:id/reject - Reject (comment required)
+router.patch(
+  "/admin/:id/reject",
+  authenticate,
+  authorize(["admin"]),
+  validate("reviewCredentialVerification"),
+  CredentialVerificationController.review("reject")
+);
+
+// PATCH /api/v1/credential-verifications/admin/:id/request-info - Ask for more information (comment required)
+router.patch(
+  "/admin/:id/request-info",
+  authenticate,
+  authorize(["admin"]),
+  validate("reviewCredentialVerification"),
+  CredentialVerificationController.review("request_info")
+);
+
+module.exports = router;
@@ -25,4 +25,18 @@ router.get(
   healthController.getDataConsistency
 );
 
+router.get(
+  "/cron-runs",
+  authenticateToken,
+  authorizeRoles(["admin"]),
+  healthController.getCronRunHistory
+);
+
+router.post(
+  "/job-lifecycle/run",
+  authenticateToken,
+  authorizeRoles(["admin"]),
+  healthController.triggerJobLifecycleRun
+);
+
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const JobFeedController = require("../controllers/jobFeedController");
+
+/**
+ * Job Feed Routes
+ * Public syndication feeds of published jobs for job boards and
+ * aggregators. Feeds accept ?country=, ?category= (position category) and
+ * ?school= (careers page slug or school ID) and are cached for 15 minutes.
+ * Undisclosed salaries are never included.
+ *
+ * Base path: /api/v1/job-feeds
+ */
+
+// GET /api/v1/job-feeds/indeed.xml - Indeed-style XML feed
+router.get("/indeed.xml", JobFeedController.getIndeedFeed);
+
+// GET /api/v1/job-feeds/rss.xml - RSS 2.0 feed
+router.get("/rss.xml", JobFeedController.getRssFeed);
+
+// GET /api/v1/job-feeds/jobs/:jobId/json-ld - schema.org JobPosting for a job page
+router.get("/jobs/:jobId/json-ld", JobFeedController.getJobPosting);
+
+module.exports = router;
@@ -3,14 +3,20 @@ const router = express.Router();
 const JobController = require("../controllers/jobController");
 const ApplicationController = require("../controllers/applicationController");
 const SavedJobController = require("../controllers/savedJobController");
+const SavedSearchController = require("../controllers/savedSearchController");
+const InterviewController = require("../controllers/interviewController");
+const PipelineController = require("../controllers/pipelineController");
+const OfferController = require("../controllers/offerController");
 const {
   validateJob,
   validateJobQuery,
+  validateScreeningAnswers,
 } = require("../middleware/jobValidation");
 const {
   authenticateToken: authenticate,
   authorizeRoles: authorize,
   optionalAuth,
+  requireSchoolPermission,
 } = require("../middleware/auth");
 
 // Job Management Routes (School only)
@@ -18,6 +24,7 @@ router.post(
   "/",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("jobs.manage"),
   validateJob("createJob"),
   JobController.createJob
 );
@@ -26,6 +33,7 @@ router.get(
   "/school/:schoolId",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("jobs.view"),
   validateJobQuery("pagination"),
   JobController.getJobsBySchool
 );
@@ -34,6 +42,7 @@ router.put(
   "/:jobId",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("jobs.manage"),
   validateJob("updateJob"),
   JobController.updateJob
 );
@@ -42,6 +51,7 @@ router.delete(
   "/:jobId",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("jobs.manage"),
   JobController.deleteJob
 );
 
@@ -49,6 +59,7 @@ router.patch(
   "/:jobId/status",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("jobs.manage"),
   validateJob("updateJobStatus"),
   JobController.updateJobStatus
 );
@@ -57,6 +68,7 @@ router.patch(
   "/:jobId/flags",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("jobs.manage"),
   validateJob("updateJobFlags"),
   JobController.updateJobFlags
 );
@@ -78,6 +90,7 @@ router.get(
   "/applications/overdue",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("applications.view"),
   ApplicationController.getOverdueApplications
 );
 
@@ -85,6 +98,7 @@ router.get(
   "/applications/school/all",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("applications.view"),
   ApplicationController.getAllApplicationsBySchool
 );
 
@@ -92,6 +106,7 @@ router.get(
   "/applications/school/job/:jobId",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("applications.view"),
   ApplicationController.getApplicationsByJobForSchool
 );
 
@@ -106,6 +121,7 @@ router.patch(
   "/applications/bulk/status",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("applications.manage"),
   ApplicationController.bulkUpdateApplicationStatuses
 );
 
@@ -114,7 +130,8 @@ router.get(
   "/:jobId/applications",
   authenticate,
   authorize(["school"]),
-  validateJobQuery("pagination"),
+  requireSchoolPermission("applications.view"),
+  validateJobQuery("jobApplicationsQuery"),
   JobController.getJobApplications
 );
 
@@ -122,16 +139,34 @@ router.get(
   "/:jobId/analytics",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("jobs.view"),
   JobController.getJobAnalytics
 );
 
+router.get(
+  "/:jobId/ranked-candidates",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("applications.view"),
+  JobController.getRankedCandidates
+);
+
 router.get(
   "/:jobId/export",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("jobs.view"),
   JobController.exportJobs
 );
 
+router.get(
+  "/:jobId/pipeline",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("applications.view"),
+  PipelineController.getPipelineBoard
+);
+
 // Job Search & Viewing Routes (Public)
 router.get("/search", validateJobQuery("searchJobs"), JobController.searchJobs);
 
@@ -180,6 +215,145 @@ router.delete(
   SavedJobController.removeSavedJob
 );
 
+// Saved Search Routes (Teacher only) - Must come BEFORE /:jobId route
+router.get(
+  "/saved-searches",
+  authenticate,
+  authorize(["teacher"]),
+  SavedSearchController.getSavedSearches
+);
+
+router.post(
+  "/saved-searches",
+  authenticate,
+  authorize(["teacher"]),
+  validateJob("createSavedSearch"),
+  SavedSearchController.createSavedSearch
+);
+
+router.get(
+  "/saved-searches/:savedSearchId",
+  authenticate,
+  authorize(["teacher"]),
+  SavedSearchController.getSavedSearchById
+);
+
+router.get(
+  "/saved-searches/:savedSearchId/results",
+  authenticate,
+  authorize(["teacher"]),
+  SavedSearchController.runSavedSearch
+);
+
+router.put(
+  "/saved-searches/:savedSearchId",
+  authenticate,
+  authorize(["teacher"]),
+  validateJob("updateSavedSearch"),
+  SavedSearchController.updateSavedSearch
+);
+
+router.delete(
+  "/saved-searches/:savedSearchId",
+  authenticate,
+  authorize(["teacher"]),
+  SavedSearchController.deleteSavedSearch
+);
+
+// Hiring Pipeline Routes (School only) - Must come BEFORE /:jobId route
+router.get(
+  "/pipelines",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("jobs.view"),
+  PipelineController.getPipelines
+);
+
+router.post(
+  "/pipelines",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("jobs.manage"),
+  validateJob("createPipeline"),
+  PipelineController.createPipeline
+);
+
+router.get(
+  "/pipelines/:pipelineId",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("jobs.view"),
+  PipelineController.getPipelineById
+);
+
+router.put(
+  "/pipelines/:pipelineId",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("jobs.manage"),
+  validateJob("updatePipeline"),
+  PipelineController.updatePipeline
+);
+
+router.delete(
+  "/pipelines/:pipelineId",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("jobs.manage"),
+  PipelineController.deletePipeline
+);
+
+// Offer Letter Routes - Must come BEFORE /:jobId route
+router.get(
+  "/offer-template",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("jobs.view"),
+  OfferController.getTemplate
+);
+
+router.put(
+  "/offer-template",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("jobs.manage"),
+  validateJob("upsertOfferTemplate"),
+  OfferController.upsertTemplate
+);
+
+router.get(
+  "/offers/:offerId",
+  authenticate,
+  authorize(["school", "teacher"]),
+  requireSchoolPermission("applications.view"),
+  OfferController.getOffer
+);
+
+router.get(
+  "/offers/:offerId/pdf",
+  authenticate,
+  authorize(["school", "teacher"]),
+  requireSchoolPermission("applications.view"),
+  OfferController.downloadOfferLetter
+);
+
+router.post(
+  "/offers/:offerId/respond",
+  authenticate,
+  authorize(["teacher"]),
+  validateJob("respondToOffer"),
+  OfferController.respondToOffer
+);
+
+router.post(
+  "/offers/:offerId/withdraw",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("applications.manage"),
+  validateJob("withdrawOffer"),
+  OfferController.withdrawOffer
+);
+
 // Public Job Detail Route - Must be after other specific routes
 // Optional authentication for enhanced features (saved status, application status)
 router.get("/:jobId", optionalAuth, JobController.getJobById);
@@ -213,6 +387,7 @@ router.get(
   "/dashboard/school/:schoolId",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("jobs.view"),
   JobController.getSchoolDashboardStats
 );
 
@@ -220,6 +395,7 @@ router.get(
   "/dashboard/stats",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("jobs.view"),
   JobController.getJobStatistics
 );
 
@@ -228,6 +404,7 @@ router.patch(
   "/bulk/status",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("jobs.manage"),
   validateJob("updateJobStatus"),
   JobController.bulkUpdateJobStatuses
 );
@@ -238,12 +415,14 @@ router.post(
   authenticate,
   authorize(["teacher"]),
   validateJob("createApplication"),
+  validateScreeningAnswers,
   ApplicationController.submitApplication
 );
 
 router.get(
   "/applications/:applicationId",
   authenticate,
+  requireSchoolPermission("applications.view"),
   ApplicationController.getApplicationById
 );
 
@@ -251,6 +430,7 @@ router.patch(
   "/applications/:applicationId/status",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("applications.manage"),
   validateJob("updateApplicationStatus"),
   ApplicationController.updateApplicationStatus
 );
@@ -266,6 +446,7 @@ router.get(
   "/applications/teacher/:teacherId",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("applications.view"),
   ApplicationController.getApplicationsByTeacher
 );
 
@@ -274,13 +455,92 @@ router.post(
   "/applications/:applicationId/interview",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("interviews.manage"),
   ApplicationController.scheduleInterview
 );
 
+// Structured interview rounds
+router.get(
+  "/applications/:applicationId/interviews",
+  authenticate,
+  authorize(["school", "teacher"]),
+  InterviewController.getInterviews
+);
+
+router.post(
+  "/applications/:applicationId/interviews",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("interviews.manage"),
+  validateJob("scheduleInterview"),
+  InterviewController.scheduleInterview
+);
+
+router.patch(
+  "/applications/:applicationId/interviews/:interviewId",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("interviews.manage"),
+  validateJob("updateInterview"),
+  InterviewController.updateInterview
+);
+
+router.post(
+  "/applications/:applicationId/interviews/:interviewId/cancel",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("interviews.manage"),
+  validateJob("cancelInterview"),
+  InterviewController.cancelInterview
+);
+
+router.post(
+  "/applications/:applicationId/interviews/:interviewId/complete",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("interviews.manage"),
+  validateJob("completeInterview"),
+  InterviewController.completeInterview
+);
+
+router.post(
+  "/applications/:applicationId/interviews/:interviewId/respond",
+  authenticate,
+  authorize(["teacher"]),
+  validateJob("respondToInterview"),
+  InterviewController.respondToInterview
+);
+
+router.patch(
+  "/applications/:applicationId/stage",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("applications.manage"),
+  validateJob("moveApplicationStage"),
+  ApplicationController.moveApplicationStage
+);
+
+router.get(
+  "/applications/:applicationId/offers",
+  authenticate,
+  authorize(["school", "teacher"]),
+  OfferController.getApplicationOffers
+);
+
+router.post(
+  "/applications/:applicationId/offers",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("applications.manage"),
+  validateJob("createOffer"),
+  OfferController.createOffer
+);
+
 router.post(
   "/applications/:applicationId/accept",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("applications.manage"),
   ApplicationController.acceptApplication
 );
 
@@ -288,6 +548,7 @@ router.post(
   "/applications/:applicationId/reject",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("applications.manage"),
   ApplicationController.rejectApplication
 );
 
@@ -295,6 +556,7 @@ router.post(
   "/applications/:applicationId/shortlist",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("applications.manage"),
   ApplicationController.shortlistApplication
 );
 
@@ -302,19 +564,40 @@ router.post(
   "/applications/:applicationId/reviewing",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("applications.manage"),
   ApplicationController.moveToReviewing
 );
 
 router.get(
   "/applications/:applicationId/timeline",
   authenticate,
+  requireSchoolPermission("applications.view"),
+  validateJobQuery("applicationTimelineQuery"),
   ApplicationController.getApplicationTimeline
 );
 
+router.post(
+  "/applications/:applicationId/notes",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("interviews.manage"),
+  validateJob("addApplicationNote"),
+  ApplicationController.addApplicationNote
+);
+
+router.post(
+  "/applications/:applicationId/documents",
+  authenticate,
+  authorize(["teacher"]),
+  validateJob("addApplicationDocuments"),
+  ApplicationController.addApplicationDocuments
+);
+
 router.get(
   "/applications/:jobId/export",
   authenticate,
   authorize(["school"]),
+  requireSchoolPermission("applications.view"),
   ApplicationController.exportApplications
 );
 
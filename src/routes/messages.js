@@ -0,0 +1,91 @@
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const MessageController = require("../controllers/messageController");
+const { validate } = require("../middleware/validation");
+const {
+  authenticateToken: authenticate,
+  authorizeRoles: authorize,
+  requireSchoolPermission,
+} = require("../middleware/auth");
+
+/**
+ * Messaging Routes
+ * Conversations between schools and teachers about an application or a
+ * talent-pool invitation. New messages and read receipts are also pushed
+ * over Socket.IO (`message:new`, `message:sent`, `message:read`).
+ *
+ * Base path: /api/v1/messages
+ */
+
+// Configure multer for message attachments (documents and images, max 10MB each)
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 5,
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      "image/jpeg",
+      "image/png",
+      "image/gif",
+      "image/webp",
+      "application/pdf",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ];
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(
+        new Error(
+          "File type not allowed. Allowed types: PDF, DOC, DOCX, images"
+        ),
+        false
+      );
+    }
+  },
+});
+
+// School staff need to be able to act on applications to message candidates
+router.use(
+  authenticate,
+  authorize(["school", "teacher"]),
+  requireSchoolPermission("applications.manage")
+);
+
+// GET /api/v1/messages/conversations - List conversations
+router.get("/conversations", MessageController.getConversations);
+
+// GET /api/v1/messages/unread-count - Total unread messages
+router.get("/unread-count", MessageController.getUnreadCount);
+
+// GET /api/v1/messages/applications/:applicationId - Open an application thread
+router.get(
+  "/applications/:applicationId",
+  MessageController.getApplicationConversation
+);
+
+// GET /api/v1/messages/conversations/:conversationId/messages - Get messages
+router.get(
+  "/conversations/:conversationId/messages",
+  MessageController.getMessages
+);
+
+// POST /api/v1/messages/conversations/:conversationId/messages - Send a message
+router.post(
+  "/conversations/:conversationId/messages",
+  attachmentUpload.array("attachments", 5),
+  validate("sendMessage"),
+  MessageController.sendMessage
+);
+
+// POST /api/v1/messages/conversations/:conversationId/read - Mark as read
+router.post(
+  "/conversations/:conversationId/read",
+  MessageController.markAsRead
+);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const router = express.Router();
+const ReferenceController = require("../controllers/referenceController");
+const { validate } = require("../middleware/validation");
+const {
+  authenticateToken: authenticate,
+  authorizeRoles: authorize,
+  requireSchoolPermission,
+} = require("../middleware/auth");
+
+/**
+ * Reference Request Routes
+ * Schools request references for an application, the teacher consents per
+ * referee, and each referee completes a structured form through a
+ * tokenised link that needs no login.
+ *
+ * Base path: /api/v1/references
+ */
+
+// Rate limiting for the public reference form
+const formLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many requests, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// GET /api/v1/references/form/:token - Reference form for a referee (public)
+router.get("/form/:token", formLimiter, ReferenceController.getForm);
+
+// POST /api/v1/references/form/:token - Submit the reference (public)
+router.post(
+  "/form/:token",
+  formLimiter,
+  validate("submitReference"),
+  ReferenceController.submitForm
+);
+
+// GET /api/v1/references/applications/:applicationId - Requests for an application
+router.get(
+  "/applications/:applicationId",
+  authenticate,
+  authorize(["school", "teacher"]),
+  requireSchoolPermission("applications.view"),
+  ReferenceController.getApplicationReferences
+);
+
+// POST /api/v1/references/applications/:applicationId - Request references
+router.post(
+  "/applications/:applicationId",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("applications.manage"),
+  validate("requestReferences"),
+  ReferenceController.requestReferences
+);
+
+// GET /api/v1/references/:referenceId - Completed reference (school only)
+router.get(
+  "/:referenceId",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("applications.view"),
+  ReferenceController.getReference
+);
+
+// POST /api/v1/references/:referenceId/consent - Teacher consent
+router.post(
+  "/:referenceId/consent",
+  authenticate,
+  authorize(["teacher"]),
+  validate("referenceConsent"),
+  ReferenceController.respondToConsent
+);
+
+// POST /api/v1/references/:referenceId/cancel - Cancel an open request
+router.post(
+  "/:referenceId/cancel",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("applications.manage"),
+  ReferenceController.cancelReference
+);
+
+module.exports = router;
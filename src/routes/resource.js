@@ -9,9 +9,37 @@ const {
   getAllResourcesMainPage,
   getResourceById,
   getResourceByIdAdmin,
+  setResourcePromotion,
+  endResourcePromotion,
 } = require("../controllers/resourceController");
-const { authenticateToken, authorizeRoles } = require("../middleware/auth");
+const {
+  createBundle,
+  updateBundle,
+  deleteBundle,
+  getMyBundles,
+  searchBundles,
+  getBundleById,
+} = require("../controllers/resourceBundleController");
+const {
+  createResourceVersion,
+  getResourceVersions,
+  getPendingVersions,
+  reviewResourceVersion,
+} = require("../controllers/resourceVersionController");
+const {
+  getResourceFiles,
+  addResourceFile,
+  updateResourceFile,
+  removeResourceFile,
+  refreshResourcePreviews,
+} = require("../controllers/resourceFileController");
+const {
+  authenticateToken,
+  optionalAuth,
+  authorizeRoles,
+} = require("../middleware/auth");
 const { requireFeature } = require("../middleware/featureAccess");
+const { validate } = require("../middleware/validation");
 const router = express.Router();
 
 //  Create Resource (requires resource_upload feature)
@@ -60,4 +88,106 @@ router.get(
   getResourceByIdAdmin
 ); // adding comment to push
 
+// Time-boxed sale on a resource (seller)
+router.put(
+  "/promotion/:resourceId",
+  authenticateToken,
+  requireFeature("resource_upload"),
+  validate("setResourcePromotion"),
+  setResourcePromotion
+);
+
+router.delete(
+  "/promotion/:resourceId",
+  authenticateToken,
+  endResourcePromotion
+);
+
+// Resource versions: sellers submit new files, admins review them
+router.get(
+  "/versions/pending",
+  authenticateToken,
+  authorizeRoles(["admin"]),
+  getPendingVersions
+);
+
+router.post(
+  "/:resourceId/versions",
+  authenticateToken,
+  requireFeature("resource_upload"),
+  validate("createResourceVersion"),
+  createResourceVersion
+);
+
+// Sellers and admins see every version, others only approved ones
+router.get("/:resourceId/versions", optionalAuth, getResourceVersions);
+
+router.patch(
+  "/:resourceId/versions/:versionId/status",
+  authenticateToken,
+  authorizeRoles(["admin"]),
+  validate("reviewResourceVersion"),
+  reviewResourceVersion
+);
+
+// Attached files (slides, worksheets, answer keys, audio...)
+// Sellers and admins also get file URLs; buyers use the download endpoints
+router.get("/:resourceId/files", optionalAuth, getResourceFiles);
+
+router.post(
+  "/:resourceId/files",
+  authenticateToken,
+  requireFeature("resource_upload"),
+  validate("addResourceFile"),
+  addResourceFile
+);
+
+router.patch(
+  "/:resourceId/files/:fileId",
+  authenticateToken,
+  requireFeature("resource_upload"),
+  validate("updateResourceFile"),
+  updateResourceFile
+);
+
+router.delete(
+  "/:resourceId/files/:fileId",
+  authenticateToken,
+  removeResourceFile
+);
+
+// Re-render the watermarked PDF preview pages
+router.post(
+  "/:resourceId/previews",
+  authenticateToken,
+  refreshResourcePreviews
+);
+
+// Resource bundles (requires resource_upload feature to sell)
+router.post(
+  "/bundles",
+  authenticateToken,
+  requireFeature("resource_upload"),
+  validate("createResourceBundle"),
+  createBundle
+);
+
+router.get("/bundles/mine", authenticateToken, getMyBundles);
+
+// Public bundle search (bundles are kept out of the resource search results)
+router.get("/bundles/search", searchBundles);
+
+router.put(
+  "/bundles/:bundleId",
+  authenticateToken,
+  requireFeature("resource_upload"),
+  validate("updateResourceBundle"),
+  updateBundle
+);
+
+router.delete("/bundles/:bundleId", authenticateToken, deleteBundle);
+
+// Public bundle page (sellers also see their unavailable bundles)
+router.get("/bundles/:bundleId", optionalAuth, getBundleById);
+
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const {
   purchaseResource,
+  getPurchaseQuote,
   getMySales,
   getMyPurchases,
   getPurchaseBySession,
@@ -9,10 +10,20 @@ const {
   refundSale,
   secureDownload,
   proxyDownload,
+  downloadAllFiles,
   getResourceDownloads,
   getMyDownloads,
 } = require("../controllers/salesController");
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkoutCart,
+} = require("../controllers/cartController");
 const { authenticateToken, optionalAuth, authorizeRoles } = require("../middleware/auth");
+const { validate } = require("../middleware/validation");
 const router = express.Router();
 
 /**
@@ -24,6 +35,17 @@ const router = express.Router();
 // Purchase a resource (Buyer)
 router.post("/purchase", authenticateToken, purchaseResource);
 
+// Price a resource with discounts and an optional coupon before checkout (Buyer)
+router.post("/quote", authenticateToken, validate("purchaseQuote"), getPurchaseQuote);
+
+// Shopping cart (Buyer): one checkout session for several resources
+router.get("/cart", authenticateToken, getCart);
+router.delete("/cart", authenticateToken, clearCart);
+router.post("/cart/items", authenticateToken, validate("addCartItem"), addCartItem);
+router.patch("/cart/items/:resourceId", authenticateToken, validate("updateCartItem"), updateCartItem);
+router.delete("/cart/items/:resourceId", authenticateToken, removeCartItem);
+router.post("/cart/checkout", authenticateToken, validate("cartCheckout"), checkoutCart);
+
 // Get my sales history (Seller)
 router.get("/my-sales", authenticateToken, getMySales);
 
@@ -57,6 +79,9 @@ router.get("/download/:resourceId", optionalAuth, secureDownload);
 // Enhancement: Added file proxy for reliable downloads
 router.get("/download/:resourceId/file", optionalAuth, proxyDownload);
 
+// Zip of the main file and every attached file (same access rules as above)
+router.get("/download/:resourceId/zip", optionalAuth, downloadAllFiles);
+
 // Refund a sale (Admin only)
 router.post(
   "/refund/:saleId",
@@ -0,0 +1,109 @@
+const express = require("express");
+const router = express.Router();
+const SchoolGroupController = require("../controllers/schoolGroupController");
+const { validate } = require("../middleware/validation");
+const { validateJob } = require("../middleware/jobValidation");
+const {
+  authenticateToken: authenticate,
+  authorizeRoles: authorize,
+  requireSchoolPermission,
+} = require("../middleware/auth");
+
+/**
+ * School Group Routes
+ * A school group owns several campuses (SchoolProfiles). Group admins see a
+ * dashboard across campuses and post jobs to several campuses at once; the
+ * group owner's subscription covers every campus.
+ *
+ * Base path: /api/v1/school-groups
+ */
+
+// All group routes require an authenticated school user
+router.use(authenticate);
+router.use(authorize(["school"]));
+
+// POST /api/v1/school-groups - Create a group with the caller's school
+router.post(
+  "/",
+  requireSchoolPermission("staff.manage"),
+  validate("createSchoolGroup"),
+  SchoolGroupController.createGroup
+);
+
+// GET /api/v1/school-groups/mine - Group of the caller's school
+router.get("/mine", SchoolGroupController.getMyGroup);
+
+// GET /api/v1/school-groups/campus-requests - Groups inviting the caller's school
+router.get(
+  "/campus-requests",
+  requireSchoolPermission("staff.manage"),
+  SchoolGroupController.getCampusRequests
+);
+
+// POST /api/v1/school-groups/campus-requests/:groupId/accept - Join a group
+router.post(
+  "/campus-requests/:groupId/accept",
+  requireSchoolPermission("staff.manage"),
+  SchoolGroupController.acceptCampusRequest
+);
+
+// POST /api/v1/school-groups/campus-requests/:groupId/decline - Decline an invitation
+router.post(
+  "/campus-requests/:groupId/decline",
+  requireSchoolPermission("staff.manage"),
+  SchoolGroupController.declineCampusRequest
+);
+
+// PATCH /api/v1/school-groups/:groupId - Update the group
+router.patch(
+  "/:groupId",
+  validate("updateSchoolGroup"),
+  SchoolGroupController.updateGroup
+);
+
+// DELETE /api/v1/school-groups/:groupId - Dissolve the group (owner)
+router.delete("/:groupId", SchoolGroupController.deleteGroup);
+
+// POST /api/v1/school-groups/:groupId/admins - Add a group admin (owner)
+router.post(
+  "/:groupId/admins",
+  validate("addSchoolGroupAdmin"),
+  SchoolGroupController.addAdmin
+);
+
+// DELETE /api/v1/school-groups/:groupId/admins/:userId - Remove a group admin
+router.delete("/:groupId/admins/:userId", SchoolGroupController.removeAdmin);
+
+// POST /api/v1/school-groups/:groupId/campus-requests - Invite a school as a campus
+router.post(
+  "/:groupId/campus-requests",
+  validate("requestSchoolGroupCampus"),
+  SchoolGroupController.requestCampus
+);
+
+// DELETE /api/v1/school-groups/:groupId/campus-requests/:schoolId - Withdraw an invitation
+router.delete(
+  "/:groupId/campus-requests/:schoolId",
+  SchoolGroupController.cancelCampusRequest
+);
+
+// DELETE /api/v1/school-groups/:groupId/campuses/:schoolId - Remove or leave a campus
+router.delete(
+  "/:groupId/campuses/:schoolId",
+  SchoolGroupController.removeCampus
+);
+
+// GET /api/v1/school-groups/:groupId/dashboard - Metrics across campuses
+router.get("/:groupId/dashboard", SchoolGroupController.getDashboard);
+
+// GET /api/v1/school-groups/:groupId/jobs - Jobs across campuses
+router.get("/:groupId/jobs", SchoolGroupController.getJobs);
+
+// POST /api/v1/school-groups/:groupId/jobs - Post a job to several campuses
+router.post(
+  "/:groupId/jobs",
+  validateJob("createGroupJob"),
+  SchoolGroupController.postJob
+);
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const router = express.Router();
+const SchoolStaffController = require("../controllers/schoolStaffController");
+const { validate } = require("../middleware/validation");
+const {
+  authenticateToken: authenticate,
+  authorizeRoles: authorize,
+  requireSchoolPermission,
+} = require("../middleware/auth");
+
+/**
+ * School Staff Routes
+ * Schools invite colleagues by email and give each one a role (recruiter,
+ * interviewer, finance, read-only) that decides what they can do. The
+ * owner can hand ownership to another member.
+ *
+ * Base path: /api/v1/school-staff
+ */
+
+// Rate limiting for the public invitation preview
+const invitationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many requests, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// GET /api/v1/school-staff/invitations/token/:token - Invitation preview (public)
+router.get(
+  "/invitations/token/:token",
+  invitationLimiter,
+  SchoolStaffController.getInvitation
+);
+
+// POST /api/v1/school-staff/invitations/accept - Accept an invitation
+router.post(
+  "/invitations/accept",
+  authenticate,
+  authorize(["school"]),
+  validate("acceptSchoolStaffInvitation"),
+  SchoolStaffController.acceptInvitation
+);
+
+// GET /api/v1/school-staff - Staff and open invitations
+router.get(
+  "/",
+  authenticate,
+  authorize(["school"]),
+  SchoolStaffController.getStaff
+);
+
+// GET /api/v1/school-staff/me - The caller's role and permissions
+router.get(
+  "/me",
+  authenticate,
+  authorize(["school"]),
+  SchoolStaffController.getMyAccess
+);
+
+// POST /api/v1/school-staff/leave - Leave the school
+router.post(
+  "/leave",
+  authenticate,
+  authorize(["school"]),
+  SchoolStaffController.leaveSchool
+);
+
+// POST /api/v1/school-staff/transfer-ownership - Hand ownership to a member
+router.post(
+  "/transfer-ownership",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("staff.manage"),
+  validate("transferSchoolOwnership"),
+  SchoolStaffController.transferOwnership
+);
+
+// POST /api/v1/school-staff/invitations - Invite a staff member
+router.post(
+  "/invitations",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("staff.manage"),
+  validate("inviteSchoolStaff"),
+  SchoolStaffController.inviteMember
+);
+
+// POST /api/v1/school-staff/invitations/:memberId/resend - Resend an invitation
+router.post(
+  "/invitations/:memberId/resend",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("staff.manage"),
+  SchoolStaffController.resendInvitation
+);
+
+// DELETE /api/v1/school-staff/invitations/:memberId - Revoke an invitation
+router.delete(
+  "/invitations/:memberId",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("staff.manage"),
+  SchoolStaffController.revokeInvitation
+);
+
+// PATCH /api/v1/school-staff/:memberId/role - Change a member's role
+router.patch(
+  "/:memberId/role",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("staff.manage"),
+  validate("updateSchoolStaffRole"),
+  SchoolStaffController.updateMemberRole
+);
+
+// DELETE /api/v1/school-staff/:memberId - Remove a member
+router.delete(
+  "/:memberId",
+  authenticate,
+  authorize(["school"]),
+  requireSchoolPermission("staff.manage"),
+  SchoolStaffController.removeMember
+);
+
+module.exports = router;
@@ -1,8 +1,15 @@
 const express = require("express");
 const router = express.Router();
-const { authenticateToken, optionalAuth } = require("../middleware/auth");
+const {
+  authenticateToken,
+  optionalAuth,
+  requireSchoolPermission,
+} = require("../middleware/auth");
 const subscriptionController = require("../controllers/subscriptionController");
 
+// School staff share the school's subscription; only billing roles manage it
+const canManageBilling = requireSchoolPermission("subscriptions.manage");
+
 /**
  * Subscription Routes
  * Handles subscription checkout, management, and status
@@ -14,7 +21,7 @@ router.get("/plans/all", subscriptionController.getAllPlans);
 
 // Protected routes (require authentication)
 // POST /api/v1/subscriptions/create-checkout - Create checkout session
-router.post("/create-checkout", authenticateToken, subscriptionController.createCheckout);
+router.post("/create-checkout", authenticateToken, canManageBilling, subscriptionController.createCheckout);
 
 // GET /api/v1/subscriptions/plans - Get plans for user's role
 router.get("/plans", authenticateToken, subscriptionController.getPlans);
@@ -23,13 +30,13 @@ router.get("/plans", authenticateToken, subscriptionController.getPlans);
 router.get("/my-subscription", authenticateToken, subscriptionController.getMySubscription);
 
 // GET /api/v1/subscriptions/history - Get subscription history
-router.get("/history", authenticateToken, subscriptionController.getSubscriptionHistory);
+router.get("/history", authenticateToken, canManageBilling, subscriptionController.getSubscriptionHistory);
 
 // POST /api/v1/subscriptions/cancel - Cancel subscription
-router.post("/cancel", authenticateToken, subscriptionController.cancelSubscription);
+router.post("/cancel", authenticateToken, canManageBilling, subscriptionController.cancelSubscription);
 
 // POST /api/v1/subscriptions/reactivate - Reactivate cancelled subscription
-router.post("/reactivate", authenticateToken, subscriptionController.reactivateSubscription);
+router.post("/reactivate", authenticateToken, canManageBilling, subscriptionController.reactivateSubscription);
 
 // GET /api/v1/subscriptions/check-feature/:featureKey - Check feature access
 router.get(
@@ -39,15 +46,15 @@ router.get(
 );
 
 // POST /api/v1/subscriptions/preview-change - Preview plan change proration
-router.post("/preview-change", authenticateToken, subscriptionController.previewChange);
+router.post("/preview-change", authenticateToken, canManageBilling, subscriptionController.previewChange);
 
 // POST /api/v1/subscriptions/change-plan - Change subscription plan
-router.post("/change-plan", authenticateToken, subscriptionController.changePlan);
+router.post("/change-plan", authenticateToken, canManageBilling, subscriptionController.changePlan);
 
 // POST /api/v1/subscriptions/billing-portal - Get Stripe billing portal URL
-router.post("/billing-portal", authenticateToken, subscriptionController.getBillingPortal);
+router.post("/billing-portal", authenticateToken, canManageBilling, subscriptionController.getBillingPortal);
 
 // GET /api/v1/subscriptions/invoices - Get billing/invoice history
-router.get("/invoices", authenticateToken, subscriptionController.getInvoices);
+router.get("/invoices", authenticateToken, canManageBilling, subscriptionController.getInvoices);
 
 module.exports = router;
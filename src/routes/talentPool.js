@@ -1,6 +1,10 @@
 const express = require("express");
 const router = express.Router();
-const { authenticateToken } = require("../middleware/auth");
+const {
+  authenticateToken,
+  requireSchoolPermission,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validation");
 const {
   optIn,
   optOut,
@@ -11,8 +15,31 @@ const {
   saveTeacher,
   unsaveTeacher,
   getSavedTeachers,
+  setTeacherTags,
+  addTeacherNote,
+  updateTeacherNote,
+  deleteTeacherNote,
+  rateTeacher,
+  removeTeacherRating,
+  inviteSavedTeacher,
+  getGroupSavedTeachers,
+  getShortlists,
+  createShortlist,
+  updateShortlist,
+  deleteShortlist,
+  addToShortlist,
+  removeFromShortlist,
+  createSavedSearch,
+  getSavedSearches,
+  runSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
 } = require("../controllers/talentPoolController");
 
+// Staff role checks for school users (teachers pass through)
+const canViewTalentPool = requireSchoolPermission("talent_pool.view");
+const canManageTalentPool = requireSchoolPermission("talent_pool.manage");
+
 // Consent management
 router.post("/opt-in", authenticateToken, optIn);
 router.post("/opt-out", authenticateToken, optOut);
@@ -22,14 +49,119 @@ router.get("/consent-status", authenticateToken, getConsentStatus);
 router.patch("/availability", authenticateToken, updateAvailability);
 
 // Search
-router.get("/search", authenticateToken, searchTalentPool);
+router.get("/search", authenticateToken, canViewTalentPool, searchTalentPool);
+
+// Saved searches with alerts for new matching teachers
+router.post(
+  "/saved-searches",
+  authenticateToken,
+  canManageTalentPool,
+  validate("createTalentPoolSavedSearch"),
+  createSavedSearch
+);
+router.get("/saved-searches", authenticateToken, canViewTalentPool, getSavedSearches);
+router.get(
+  "/saved-searches/:savedSearchId/results",
+  authenticateToken,
+  canViewTalentPool,
+  runSavedSearch
+);
+router.put(
+  "/saved-searches/:savedSearchId",
+  authenticateToken,
+  canManageTalentPool,
+  validate("updateTalentPoolSavedSearch"),
+  updateSavedSearch
+);
+router.delete("/saved-searches/:savedSearchId", authenticateToken, canManageTalentPool, deleteSavedSearch);
 
 // Invite
-router.post("/invite", authenticateToken, inviteToApply);
+router.post("/invite", authenticateToken, canManageTalentPool, inviteToApply);
 
 // Shortlist
-router.post("/shortlist", authenticateToken, saveTeacher);
-router.delete("/shortlist/:teacherProfileId", authenticateToken, unsaveTeacher);
-router.get("/shortlist", authenticateToken, getSavedTeachers);
+router.post("/shortlist", authenticateToken, canManageTalentPool, validate("saveTeacher"), saveTeacher);
+router.delete("/shortlist/:teacherProfileId", authenticateToken, canManageTalentPool, unsaveTeacher);
+router.get("/shortlist", authenticateToken, canViewTalentPool, getSavedTeachers);
+router.get("/shortlist/group", authenticateToken, canViewTalentPool, getGroupSavedTeachers);
+
+// Shortlist collaboration: tags, notes, ratings and invites per saved teacher
+router.put(
+  "/shortlist/:teacherProfileId/tags",
+  authenticateToken,
+  canManageTalentPool,
+  validate("shortlistTags"),
+  setTeacherTags
+);
+router.post(
+  "/shortlist/:teacherProfileId/notes",
+  authenticateToken,
+  canManageTalentPool,
+  validate("shortlistNote"),
+  addTeacherNote
+);
+router.patch(
+  "/shortlist/:teacherProfileId/notes/:noteId",
+  authenticateToken,
+  canManageTalentPool,
+  validate("updateShortlistNote"),
+  updateTeacherNote
+);
+router.delete(
+  "/shortlist/:teacherProfileId/notes/:noteId",
+  authenticateToken,
+  canManageTalentPool,
+  deleteTeacherNote
+);
+router.put(
+  "/shortlist/:teacherProfileId/rating",
+  authenticateToken,
+  canManageTalentPool,
+  validate("shortlistRating"),
+  rateTeacher
+);
+router.delete(
+  "/shortlist/:teacherProfileId/rating",
+  authenticateToken,
+  canManageTalentPool,
+  removeTeacherRating
+);
+router.post(
+  "/shortlist/:teacherProfileId/invite",
+  authenticateToken,
+  canManageTalentPool,
+  validate("shortlistInvite"),
+  inviteSavedTeacher
+);
+
+// Named shortlists (folders), e.g. one per vacancy
+router.get("/shortlists", authenticateToken, canViewTalentPool, getShortlists);
+router.post(
+  "/shortlists",
+  authenticateToken,
+  canManageTalentPool,
+  validate("createShortlist"),
+  createShortlist
+);
+router.patch(
+  "/shortlists/:shortlistId",
+  authenticateToken,
+  canManageTalentPool,
+  validate("updateShortlist"),
+  updateShortlist
+);
+router.delete("/shortlists/:shortlistId", authenticateToken, canManageTalentPool, deleteShortlist);
+router.post(
+  "/shortlists/:shortlistId/teachers",
+  authenticateToken,
+  canManageTalentPool,
+  validate("addToShortlist"),
+  addToShortlist
+);
+router.delete(
+  "/shortlists/:shortlistId/teachers/:teacherProfileId",
+  authenticateToken,
+  canManageTalentPool,
+  removeFromShortlist
+);
 
 module.exports = router;
@@ -1,4 +1,5 @@
 const express = require("express");
+const multer = require("multer");
 const router = express.Router();
 const { authenticateToken } = require("../middleware/auth");
 const { validate } = require("../middleware/validation");
@@ -41,8 +42,36 @@ const {
   getActivities,
   updateActivity,
   deleteActivity,
+  downloadCv,
+  importCv,
+  confirmCvImport,
 } = require("../controllers/teacherProfileController");
 
+// Configure multer for CV imports (PDF, DOCX or plain text, max 5MB)
+const cvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      "application/pdf",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "text/plain",
+    ];
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(
+        new Error("File type not allowed. Allowed types: PDF, DOCX, TXT"),
+        false
+      );
+    }
+  },
+});
+
 // Create or update teacher profile (requires authentication)
 router.post(
   "/",
@@ -57,15 +86,32 @@ router.patch("/updateTeacherProfile", authenticateToken, updateTeacherProfile);
 // Get current user's teacher profile (requires authentication)
 router.get("/me", authenticateToken, getTeacherProfile);
 
+// Search teachers (public route; registered before /:teacherId so it is reachable)
+router.get("/search", searchTeachers);
+
 // Get teacher profile by ID (public route)
 router.get("/:teacherId", getTeacherProfileById);
 
-// Search teachers (public route)
-router.get("/search", searchTeachers);
-
 // Get recommended jobs for teacher (requires authentication)
 router.get("/me/recommended-jobs", authenticateToken, getRecommendedJobs);
 
+// Download the teacher's profile as a PDF CV
+router.get("/me/cv", authenticateToken, downloadCv);
+
+// Import a CV: parse it into a draft, then confirm the reviewed draft
+router.post(
+  "/me/cv-import",
+  authenticateToken,
+  cvUpload.single("cv"),
+  importCv
+);
+router.post(
+  "/me/cv-import/confirm",
+  authenticateToken,
+  validate("confirmCvImport"),
+  confirmCvImport
+);
+
 router.post("/me/employment", authenticateToken, addEmployment);
 router.put("/me/employment/:employmentId", authenticateToken, updateEmployment);
 router.delete(
@@ -43,9 +43,22 @@ const adminSubscriptionRoutes = require("./routes/adminSubscriptions");
 const adRoutes = require("./routes/ads");
 const talentPoolRoutes = require("./routes/talentPool");
 const healthRoutes = require("./routes/health");
+const messageRoutes = require("./routes/messages");
+const referenceRoutes = require("./routes/references");
+const credentialVerificationRoutes = require("./routes/credentialVerifications");
+const schoolStaffRoutes = require("./routes/schoolStaff");
+const schoolGroupRoutes = require("./routes/schoolGroups");
+const careerRoutes = require("./routes/careers");
+const jobFeedRoutes = require("./routes/jobFeeds");
+const couponRoutes = require("./routes/coupons");
 const { applyMiddlewares, applyErrorMiddlewares } = require("./middleware");
 const { startAdCron, stopAdCron } = require("./services/adCronService");
 const { startConsentRenewalCron, stopConsentRenewalCron } = require("./services/consentRenewalService");
+const { startJobLifecycleCron, stopJobLifecycleCron } = require("./services/jobLifecycleService");
+const { startSavedJobReminderCron, stopSavedJobReminderCron } = require("./services/savedJobReminderService");
+const { startSavedSearchAlertCron, stopSavedSearchAlertCron } = require("./services/savedSearchAlertService");
+const { startCredentialExpiryCron, stopCredentialExpiryCron } = require("./services/credentialExpiryService");
+const { startTalentPoolAlertCron, stopTalentPoolAlertCron } = require("./services/talentPoolAlertService");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -192,6 +205,14 @@ app.use(`/api/${apiVersion}/admin/subscriptions`, adminSubscriptionRoutes);
 app.use(`/api/${apiVersion}/ads`, adRoutes);
 app.use(`/api/${apiVersion}/talent-pool`, talentPoolRoutes);
 app.use(`/api/${apiVersion}/admin/system`, healthRoutes);
+app.use(`/api/${apiVersion}/messages`, messageRoutes);
+app.use(`/api/${apiVersion}/references`, referenceRoutes);
+app.use(`/api/${apiVersion}/credential-verifications`, credentialVerificationRoutes);
+app.use(`/api/${apiVersion}/school-staff`, schoolStaffRoutes);
+app.use(`/api/${apiVersion}/school-groups`, schoolGroupRoutes);
+app.use(`/api/${apiVersion}/careers`, careerRoutes);
+app.use(`/api/${apiVersion}/job-feeds`, jobFeedRoutes);
+app.use(`/api/${apiVersion}/coupons`, couponRoutes);
 
 const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
@@ -203,6 +224,17 @@ const server = app.listen(PORT, () => {
 
   // Start consent renewal cron job
   startConsentRenewalCron();
+
+  // Start job lifecycle cron job (expiry, deadline reminders, auto-close)
+  startJobLifecycleCron();
+
+  // Start saved job reminder dispatcher
+  startSavedJobReminderCron();
+  startSavedSearchAlertCron();
+
+  // Start credential verification expiry job
+  startCredentialExpiryCron();
+  startTalentPoolAlertCron();
 });
 
 const io = socketIo(server, {
@@ -287,6 +319,11 @@ process.on("SIGTERM", () => {
   console.log("SIGTERM received, shutting down gracefully");
   stopAdCron();
   stopConsentRenewalCron();
+  stopJobLifecycleCron();
+  stopSavedJobReminderCron();
+  stopSavedSearchAlertCron();
+  stopCredentialExpiryCron();
+  stopTalentPoolAlertCron();
   process.exit(0);
 });
 
@@ -294,6 +331,11 @@ process.on("SIGINT", () => {
   console.log("SIGINT received, shutting down gracefully");
   stopAdCron();
   stopConsentRenewalCron();
+  stopJobLifecycleCron();
+  stopSavedJobReminderCron();
+  stopSavedSearchAlertCron();
+  stopCredentialExpiryCron();
+  stopTalentPoolAlertCron();
   process.exit(0);
 });
 
@@ -3,6 +3,11 @@ const JobApplication = require("../models/JobApplication");
 const Job = require("../models/Job");
 const SavedJob = require("../models/SavedJob");
 const JobNotification = require("../models/JobNotification");
+const ApplicationEvent = require("../models/ApplicationEvent");
+const TeacherProfile = require("../models/TeacherProfile");
+const PipelineService = require("./pipelineService");
+const ScreeningService = require("./screeningService");
+const CvService = require("./cvService");
 const {
   sendApplicationConfirmationEmail,
   sendNewApplicationNotificationEmail,
@@ -12,7 +17,12 @@ class ApplicationService {
   /**
    * Submit a job application
    */
-  static async submitApplication(jobId, teacherId, applicationData) {
+  static async submitApplication(
+    jobId,
+    teacherId,
+    applicationData,
+    actor = {}
+  ) {
     try {
       // Check if job exists and is active
       const job = await Job.findById(jobId);
@@ -71,8 +81,81 @@ class ApplicationService {
         );
       }
 
+      // Attribute the application to the link the teacher followed
+      applicationFields.source = JobApplication.buildSource(
+        applicationFields.source
+      );
+
+      // New applications enter the first stage of the job's pipeline
+      const pipeline = await PipelineService.getPipelineForJob(job);
+      applicationFields.stage = pipeline.stages[0].key;
+      applicationFields.stageEnteredAt = new Date();
+
+      applicationFields.screening = ScreeningService.evaluate(
+        job.screeningQuestions,
+        applicationFields.screeningAnswers
+      );
+
+      // Attach a freshly generated CV snapshot as the resume. It is uploaded
+      // last so a failed save is the only step that can orphan it
+      let snapshot = null;
+      if (applicationFields.generatedCv) {
+        const teacherProfile = await TeacherProfile.findById(teacherId);
+        if (!teacherProfile) {
+          throw new Error("Teacher profile not found");
+        }
+
+        snapshot = await CvService.createSnapshot(
+          teacherProfile,
+          applicationFields.generatedCv
+        );
+        applicationFields.resumeUrl = snapshot.url;
+        applicationFields.generatedCv = {
+          publicId: snapshot.publicId,
+          layout: snapshot.layout,
+          hiddenFields: snapshot.hiddenFields,
+          generatedAt: snapshot.generatedAt,
+        };
+      }
+
       const application = new JobApplication(applicationFields);
-      await application.save();
+      try {
+        await application.save();
+      } catch (saveError) {
+        if (snapshot) await CvService.deleteSnapshot(snapshot.publicId);
+        throw saveError;
+      }
+
+      await ApplicationEvent.recordSafely({
+        applicationId: application._id,
+        jobId,
+        type: "status_change",
+        action: "submitted",
+        actor: { userId: actor.userId, role: "teacher" },
+        fromState: null,
+        toState: application.status,
+        metadata: { toStage: application.stage },
+      });
+
+      await this.applyScreeningOutcome(application, job, pipeline);
+
+      const attachedDocuments = [
+        application.resumeUrl,
+        ...(application.documents || []),
+      ].filter(Boolean);
+      for (const documentUrl of attachedDocuments) {
+        await ApplicationEvent.recordSafely({
+          applicationId: application._id,
+          jobId,
+          type: "document",
+          action: "uploaded",
+          actor: { userId: actor.userId, role: "teacher" },
+          metadata: {
+            documentUrl,
+            isResume: documentUrl === application.resumeUrl,
+          },
+        });
+      }
 
       // Increment job applicants count
       await job.incrementApplicants();
@@ -115,12 +198,13 @@ class ApplicationService {
 
       // Populate job and teacher data for emails
       const populatedJob = await Job.findById(jobId)
-        .populate("schoolId", "schoolName")
+        .populate("schoolId", "schoolName schoolEmail")
         .lean();
 
-      const populatedTeacher = await require("../models/TeacherProfile")
-        .findById(teacherId)
-        .select("firstName lastName email country city experience subjects")
+      const populatedTeacher = await TeacherProfile.findById(teacherId)
+        .select(
+          "firstName lastName email country city yearsOfTeachingExperience subject"
+        )
         .lean();
 
       // Send email notifications
@@ -172,12 +256,25 @@ class ApplicationService {
   }
 
   /**
-   * Update application status
+   * Update application status or pipeline stage.
+   * `updateData.stage` moves to a stage of the job's pipeline; a bare
+   * `status` moves to the pipeline stage mapped onto that status.
    */
-  static async updateApplicationStatus(applicationId, schoolId, updateData) {
+  static async updateApplicationStatus(
+    applicationId,
+    schoolId,
+    updateData,
+    actor = {}
+  ) {
     try {
-      const { status, notes, rejectionReason, interviewDate, interviewNotes } =
-        updateData;
+      const {
+        status,
+        stage,
+        notes,
+        rejectionReason,
+        interviewDate,
+        interviewNotes,
+      } = updateData;
 
       // Get application and verify school ownership
       const application = await this.getApplicationById(applicationId, {
@@ -186,16 +283,49 @@ class ApplicationService {
 
       if (
         !application.jobId ||
-        application.jobId.schoolId.toString() !== schoolId
+        !schoolId ||
+        application.jobId.schoolId.toString() !== schoolId.toString()
       ) {
         throw new Error("Access denied to this application");
       }
 
+      if (application.lockedAt) {
+        throw new Error("Application is locked after the offer was accepted");
+      }
+
       const oldStatus = application.status;
+      let fromStage = null;
+      let targetStage = null;
+
+      if (status || stage) {
+        if (oldStatus === "withdrawn") {
+          throw new Error("Cannot move a withdrawn application");
+        }
+
+        const pipeline = await PipelineService.getPipelineForJob(
+          application.jobId
+        );
+        fromStage = PipelineService.resolveCurrentStage(pipeline, application);
+        targetStage = PipelineService.resolveTargetStage(pipeline, fromStage, {
+          stage,
+          status,
+        });
+      }
+
+      const newStatus = targetStage ? targetStage.status : undefined;
+      const stageChanged =
+        targetStage && (!fromStage || fromStage.key !== targetStage.key);
+
+      if (targetStage) {
+        application.stage = targetStage.key;
+        if (stageChanged || !application.stageEnteredAt) {
+          application.stageEnteredAt = new Date();
+        }
+      }
 
       // Update application
-      if (status) {
-        await application.updateStatus(status, notes);
+      if (newStatus) {
+        await application.updateStatus(newStatus, notes, actor.userId);
       }
 
       if (rejectionReason) {
@@ -212,16 +342,41 @@ class ApplicationService {
 
       await application.save();
 
+      if (targetStage) {
+        // Moves between stages of the same status are internal to the school
+        const statusChanged = newStatus !== oldStatus;
+        let action = "status_confirmed";
+        if (statusChanged) action = "status_changed";
+        else if (stageChanged) action = "stage_changed";
+
+        await ApplicationEvent.recordSafely({
+          applicationId: application._id,
+          jobId: application.jobId._id,
+          type: "status_change",
+          action,
+          actor: { userId: actor.userId, role: actor.role || "school" },
+          fromState: oldStatus,
+          toState: newStatus,
+          reason: rejectionReason || notes,
+          visibility: statusChanged ? "all" : "school",
+          metadata: {
+            fromStage: fromStage ? fromStage.key : null,
+            fromStageName: fromStage ? fromStage.name : null,
+            toStage: targetStage.key,
+            toStageName: targetStage.name,
+            ...(interviewDate ? { interviewDate } : {}),
+            ...(actor.bulk ? { bulk: true } : {}),
+          },
+        });
+      }
+
       // Create notifications based on status change
       await this.createStatusChangeNotifications(
         application,
         oldStatus,
-        status
+        newStatus
       );
 
-      // Send email notifications
-      await this.sendStatusChangeEmails(application, oldStatus, status);
-
       return application;
     } catch (error) {
       throw new Error(`Failed to update application status: ${error.message}`);
@@ -231,7 +386,12 @@ class ApplicationService {
   /**
    * Withdraw application
    */
-  static async withdrawApplication(applicationId, teacherId, reason = "") {
+  static async withdrawApplication(
+    applicationId,
+    teacherId,
+    reason = "",
+    actor = {}
+  ) {
     try {
       const application = await JobApplication.findOne({
         _id: applicationId,
@@ -250,9 +410,22 @@ class ApplicationService {
         throw new Error("Cannot withdraw accepted application");
       }
 
+      const oldStatus = application.status;
+
       // Withdraw application
       await application.withdraw(reason);
 
+      await ApplicationEvent.recordSafely({
+        applicationId: application._id,
+        jobId: application.jobId,
+        type: "status_change",
+        action: "withdrawn",
+        actor: { userId: actor.userId, role: "teacher" },
+        fromState: oldStatus,
+        toState: "withdrawn",
+        reason,
+      });
+
       // Decrement job applicants count
       const job = await Job.findById(application.jobId);
       if (job) {
@@ -278,6 +451,522 @@ class ApplicationService {
     }
   }
 
+  /**
+   * Update the status of several applications at once.
+   * Each application is updated (and audited) individually so one failure
+   * does not block the rest.
+   */
+  static async bulkUpdateApplicationStatuses(
+    applicationIds,
+    schoolId,
+    updateData,
+    actor = {}
+  ) {
+    if (!updateData.status && !updateData.stage) {
+      throw new Error("Status or stage is required");
+    }
+    if (applicationIds.length > 100) {
+      throw new Error("Cannot update more than 100 applications at once");
+    }
+
+    const results = [];
+    for (const applicationId of applicationIds) {
+      try {
+        const application = await this.updateApplicationStatus(
+          applicationId,
+          schoolId,
+          updateData,
+          { ...actor, bulk: true }
+        );
+        results.push({
+          applicationId,
+          success: true,
+          status: application.status,
+        });
+      } catch (error) {
+        results.push({ applicationId, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Notify the teacher in-app about a status change
+   */
+  static async createStatusChangeNotifications(
+    application,
+    oldStatus,
+    newStatus
+  ) {
+    if (!newStatus || newStatus === oldStatus) return;
+
+    // "reviewing" is announced as "application_reviewed"
+    const type =
+      newStatus === "reviewing"
+        ? "application_reviewed"
+        : `application_${newStatus}`;
+    if (!JobNotification.schema.path("type").enumValues.includes(type)) return;
+
+    try {
+      const teacher = await TeacherProfile.findById(application.teacherId)
+        .select("userId")
+        .lean();
+      if (!teacher) return;
+
+      const NotificationService = require("./notificationService");
+      const jobTitle = application.jobId.title;
+      const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+
+      await JobNotification.createNotification({
+        userId: teacher.userId,
+        jobId: application.jobId._id,
+        type,
+        title: NotificationService.getDefaultTitle(type),
+        message: NotificationService.getDefaultMessage(type, { jobTitle }),
+        category: "application",
+        priority: ["accepted", "rejected"].includes(newStatus)
+          ? "high"
+          : "medium",
+        actionRequired: false,
+        actionUrl: `${frontendUrl}/dashboard/teacher/applications/${application._id}`,
+        actionText: "View Application",
+        metadata: { applicationId: application._id.toString() },
+      });
+    } catch (error) {
+      console.log("Notification creation failed:", error.message);
+      // Don't fail the status update if notification fails
+    }
+  }
+
+  /**
+   * Act on knockout answers: auto-reject the application or flag it for
+   * the school. Scores and knockouts stay internal to the school.
+   */
+  static async applyScreeningOutcome(application, job, pipeline) {
+    const { outcome, knockouts } = application.screening || {};
+    if (!["knocked_out", "flagged"].includes(outcome)) return;
+
+    const questions = knockouts.map((knockout) => knockout.question);
+
+    if (outcome === "flagged") {
+      await ApplicationEvent.recordSafely({
+        applicationId: application._id,
+        jobId: job._id,
+        type: "note",
+        action: "screening_flagged",
+        actor: { role: "system" },
+        reason: `Flagged by screening questions: ${questions.join("; ")}`,
+        visibility: "school",
+        metadata: { knockouts },
+      });
+      return;
+    }
+
+    const oldStatus = application.status;
+    const fromStage = pipeline.getStage(application.stage);
+    const rejectedStage = pipeline.getStageForStatus("rejected");
+
+    application.status = "rejected";
+    application.rejectionReason = "Did not meet the screening requirements";
+    application.reviewedAt = new Date();
+    if (rejectedStage) {
+      application.stage = rejectedStage.key;
+      application.stageEnteredAt = new Date();
+    }
+    await application.save();
+
+    await ApplicationEvent.recordSafely({
+      applicationId: application._id,
+      jobId: job._id,
+      type: "status_change",
+      action: "auto_rejected",
+      actor: { role: "system" },
+      fromState: oldStatus,
+      toState: "rejected",
+      reason: application.rejectionReason,
+      metadata: {
+        fromStage: fromStage ? fromStage.key : null,
+        toStage: rejectedStage ? rejectedStage.key : null,
+        fromStageName: fromStage ? fromStage.name : null,
+        toStageName: rejectedStage ? rejectedStage.name : null,
+        knockouts,
+      },
+    });
+
+    await this.createStatusChangeNotifications(
+      { _id: application._id, teacherId: application.teacherId, jobId: job },
+      oldStatus,
+      "rejected"
+    );
+  }
+
+  /**
+   * Send the confirmation email to the teacher and the new application email to the school
+   */
+  static async sendApplicationEmails(application, job, teacher) {
+    if (!job || !teacher) return;
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const school = job.schoolId || {};
+    const applicationDate = new Date(application.createdAt).toDateString();
+
+    try {
+      if (teacher.email) {
+        await sendApplicationConfirmationEmail(teacher.email, {
+          jobTitle: job.title,
+          schoolName: school.schoolName || job.organization,
+          city: job.city,
+          country: job.country,
+          educationLevel: job.educationLevel,
+          jobType: job.jobType,
+          positionCategory: job.positionCategory,
+          applicationId: application._id.toString(),
+          applicationDate,
+          dashboardUrl: `${frontendUrl}/dashboard/teacher/applications`,
+        });
+      }
+
+      if (school.schoolEmail) {
+        await sendNewApplicationNotificationEmail(school.schoolEmail, {
+          jobTitle: job.title,
+          organization: job.organization,
+          city: job.city,
+          country: job.country,
+          teacherName: `${teacher.firstName} ${teacher.lastName}`,
+          teacherEmail: teacher.email,
+          teacherCity: teacher.city,
+          teacherCountry: teacher.country,
+          teacherExperience: String(teacher.yearsOfTeachingExperience ?? ""),
+          teacherSubjects: teacher.subject,
+          applicationId: application._id.toString(),
+          applicationDate,
+          dashboardUrl: `${frontendUrl}/dashboard/school/jobs/${job._id}`,
+        });
+      }
+    } catch (error) {
+      console.error("Application email failed:", error.message);
+      // Don't fail the application if emails fail
+    }
+  }
+
+  /**
+   * Add an internal school note to an application
+   */
+  static async addApplicationNote(applicationId, schoolId, note, actor = {}) {
+    try {
+      const application = await this.getApplicationById(applicationId, {
+        populateJob: true,
+      });
+
+      if (
+        !application.jobId ||
+        !schoolId ||
+        application.jobId.schoolId.toString() !== schoolId.toString()
+      ) {
+        throw new Error("Access denied to this application");
+      }
+
+      return await ApplicationEvent.record({
+        applicationId: application._id,
+        jobId: application.jobId._id,
+        type: "note",
+        action: "added",
+        actor: { userId: actor.userId, role: "school" },
+        reason: note,
+        visibility: "school",
+      });
+    } catch (error) {
+      throw new Error(`Failed to add note: ${error.message}`);
+    }
+  }
+
+  /**
+   * Attach additional documents to an open application (teacher)
+   */
+  static async addApplicationDocuments(
+    applicationId,
+    teacherId,
+    documents,
+    actor = {}
+  ) {
+    try {
+      const application = await JobApplication.findOne({
+        _id: applicationId,
+        teacherId,
+      });
+
+      if (!application) {
+        throw new Error("Application not found or access denied");
+      }
+
+      if (["withdrawn", "rejected", "accepted"].includes(application.status)) {
+        throw new Error(
+          `Cannot add documents to a ${application.status} application`
+        );
+      }
+
+      const newDocuments = documents.filter(
+        (url) => !application.documents.includes(url)
+      );
+      application.documents.push(...newDocuments);
+      await application.save();
+
+      for (const documentUrl of newDocuments) {
+        await ApplicationEvent.recordSafely({
+          applicationId: application._id,
+          jobId: application.jobId,
+          type: "document",
+          action: "uploaded",
+          actor: { userId: actor.userId, role: "teacher" },
+          metadata: { documentUrl, isResume: false },
+        });
+      }
+
+      return application;
+    } catch (error) {
+      throw new Error(`Failed to add documents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the application timeline from the event log.
+   * Schools see internal notes and may filter by actor or event type;
+   * teachers only see events visible to them.
+   *
+   * @param {string} applicationId - Application ID
+   * @param {Object} user - req.user ({ userId, role, schoolId })
+   * @param {Object} filters - { actorRole, actorId, type } (schools only)
+   */
+  static async getApplicationTimeline(applicationId, user, filters = {}) {
+    try {
+      const application = await this.getApplicationById(applicationId, {
+        populateJob: true,
+      });
+
+      const isSchool = user.role === "school";
+      if (user.role === "teacher") {
+        const teacherProfile = await TeacherProfile.findOne({
+          userId: user.userId,
+        }).select("_id");
+        if (
+          !teacherProfile ||
+          application.teacherId.toString() !== teacherProfile._id.toString()
+        ) {
+          throw new Error("Access denied to this application");
+        }
+      } else if (isSchool) {
+        if (
+          !application.jobId ||
+          !user.schoolId ||
+          application.jobId.schoolId.toString() !== user.schoolId.toString()
+        ) {
+          throw new Error("Access denied to this application");
+        }
+      } else if (user.role !== "admin") {
+        throw new Error("Access denied to this application");
+      }
+
+      const canFilter = isSchool || user.role === "admin";
+      const eventFilters = canFilter
+        ? {
+            actorRole: filters.actorRole,
+            actorId: filters.actorId,
+            type: filters.type,
+            includeSchoolOnly: true,
+          }
+        : {};
+
+      const events = await ApplicationEvent.getTimeline(
+        application._id,
+        eventFilters
+      );
+
+      const timeline = events.map((event) => {
+        const metadata = { ...event.metadata };
+        if (!canFilter) {
+          // Pipeline stages and screening rules are internal to the school
+          [
+            "fromStage",
+            "fromStageName",
+            "toStage",
+            "toStageName",
+            "knockouts",
+          ].forEach((key) => delete metadata[key]);
+        }
+
+        return {
+          id: event._id,
+          date: event.createdAt,
+          action: this.getEventLabel(event),
+          event: event.action,
+          type: event.type,
+          description: this.describeEvent(event, { showStages: canFilter }),
+          status: "completed",
+          actor: event.actor,
+          fromState: event.fromState,
+          toState: event.toState,
+          reason: event.reason,
+          visibility: event.visibility,
+          metadata,
+        };
+      });
+
+      // Applications created before the event log only have timestamps
+      const isFiltered = Boolean(
+        eventFilters.actorRole || eventFilters.actorId || eventFilters.type
+      );
+      const hasSubmission = events.some(
+        (event) =>
+          event.type === "status_change" && event.action === "submitted"
+      );
+      if (!hasSubmission && !isFiltered) {
+        const hasInterviewEvents = events.some(
+          (event) => event.type === "interview"
+        );
+        timeline.push(
+          ...this.buildLegacyTimeline(application, { hasInterviewEvents })
+        );
+        timeline.sort((a, b) => new Date(a.date) - new Date(b.date));
+      }
+
+      return timeline;
+    } catch (error) {
+      throw new Error(`Failed to get application timeline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Short label for an application event
+   */
+  static getEventLabel(event) {
+    const titleCase = (value) =>
+      value
+        .split("_")
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(" ");
+
+    switch (event.type) {
+      case "status_change":
+        if (event.action === "submitted") return "Application Submitted";
+        if (event.action === "withdrawn") return "Application Withdrawn";
+        if (event.action === "stage_changed") return "Stage Changed";
+        return "Status Changed";
+      case "note":
+        if (event.action === "interview_feedback") return "Interview Feedback";
+        if (event.action === "screening_flagged") return "Screening Flag";
+        return "Note Added";
+      case "document":
+        return "Document Uploaded";
+      case "interview":
+        return `Interview ${titleCase(event.action)}`;
+      case "message":
+        return "Message Sent";
+      case "offer":
+        return `Offer ${titleCase(event.action)}`;
+      case "reference":
+        return `Reference ${titleCase(event.action)}`;
+      default:
+        return titleCase(event.action);
+    }
+  }
+
+  /**
+   * Human-readable description of an application event
+   * @param {Object} event - Application event
+   * @param {Object} options - { showStages } use pipeline stage names (school view)
+   */
+  static describeEvent(event, { showStages = false } = {}) {
+    const by =
+      event.actor.role === "system"
+        ? "automatically"
+        : `by ${event.actor.role}`;
+
+    switch (event.type) {
+      case "status_change":
+        if (event.action === "submitted") return "Application was submitted";
+        if (event.action === "withdrawn") {
+          return event.reason || "Application was withdrawn";
+        }
+        if (showStages && event.metadata?.toStageName) {
+          const from = event.metadata.fromStageName || event.fromState;
+          return `Moved from ${from} to ${event.metadata.toStageName} ${by}`;
+        }
+        return `Status changed from ${event.fromState} to ${event.toState} ${by}`;
+      case "note":
+        return event.reason;
+      case "document":
+        return `Document uploaded ${by}`;
+      case "interview": {
+        const round =
+          event.metadata?.title || `Round ${event.metadata?.round || 1}`;
+        return `${round} ${event.action.replace(/_/g, " ")} ${by}`;
+      }
+      case "message":
+        return `Message sent ${by}`;
+      case "offer":
+        return `Offer ${event.action} ${by}`;
+      case "reference": {
+        const referees =
+          event.metadata?.referee ||
+          (event.metadata?.referees || []).join(", ") ||
+          "referee";
+        return `Reference ${event.action.replace(/_/g, " ")} (${referees}) ${by}`;
+      }
+      default:
+        return event.action;
+    }
+  }
+
+  /**
+   * Timeline entries derived from JobApplication timestamps, for
+   * applications that predate the event log
+   */
+  static buildLegacyTimeline(application, { hasInterviewEvents = false } = {}) {
+    const entries = [
+      {
+        date: application.createdAt,
+        action: "Application Submitted",
+        description: "Application was submitted",
+        status: "completed",
+        legacy: true,
+      },
+    ];
+
+    if (application.reviewedAt) {
+      entries.push({
+        date: application.reviewedAt,
+        action: "Application Reviewed",
+        description: `Status changed to ${application.status}`,
+        status: "completed",
+        legacy: true,
+      });
+    }
+
+    // Single-date interviews predate structured interview rounds
+    if (application.interviewDate && !hasInterviewEvents) {
+      entries.push({
+        date: application.interviewDate,
+        action: "Interview Scheduled",
+        description: application.interviewNotes || "Interview scheduled",
+        status: "completed",
+        legacy: true,
+      });
+    }
+
+    if (application.withdrawnAt) {
+      entries.push({
+        date: application.withdrawnAt,
+        action: "Application Withdrawn",
+        description: application.withdrawnReason || "Application was withdrawn",
+        status: "completed",
+        legacy: true,
+      });
+    }
+
+    return entries;
+  }
+
   /**
    * Get applications for a specific job
    */
@@ -294,8 +983,10 @@ class ApplicationService {
         throw new Error("Job not found or access denied");
       }
 
-      const { page = 1, limit = 10, status } = pagination;
+      const { page = 1, limit = 10 } = pagination;
       const skip = (page - 1) * limit;
+      const status = filters.status || pagination.status;
+      const { screeningOutcome, sortBy, sortOrder } = filters;
 
       const query = { jobId };
 
@@ -303,13 +994,23 @@ class ApplicationService {
         query.status = status;
       }
 
+      if (screeningOutcome) {
+        query["screening.outcome"] = screeningOutcome;
+      }
+
+      const direction = sortOrder === "asc" ? 1 : -1;
+      const sort =
+        sortBy === "screeningScore"
+          ? { "screening.score": direction, createdAt: -1 }
+          : { createdAt: direction };
+
       const [applications, total] = await Promise.all([
         JobApplication.find(query)
           .populate(
             "teacherId",
             "firstName lastName email phoneNumber country city"
           )
-          .sort({ createdAt: -1 })
+          .sort(sort)
           .skip(skip)
           .limit(limit)
           .lean(),
@@ -975,6 +1676,12 @@ class ApplicationService {
       delete sanitized.jobId.schoolId;
     }
 
+    // Pipeline stages and screening results are internal to the school
+    delete sanitized.stage;
+    delete sanitized.stageEnteredAt;
+    delete sanitized.screening;
+    delete sanitized.references;
+
     return sanitized;
   }
 
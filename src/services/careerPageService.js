@@ -0,0 +1,244 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Job = require("../models/Job");
+const SchoolProfile = require("../models/SchoolProfile");
+const SchoolProgram = require("../models/SchoolProgram");
+const SchoolMedia = require("../models/SchoolMedia");
+const JobService = require("./jobService");
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+const httpError = (message, status) =>
+  Object.assign(new Error(message), { status });
+
+// UTM campaign of every careers page apply link
+const UTM_CAMPAIGN = "school_careers";
+
+// Maximum number of jobs in the widget feed
+const WIDGET_MAX_JOBS = 50;
+
+const WIDGET_SCRIPT_PATH = path.join(
+  __dirname,
+  "..",
+  "templates",
+  "widgets",
+  "careers-widget.js"
+);
+
+let widgetScript = null;
+
+class CareerPageService {
+  /**
+   * Find a school by careers page slug
+   */
+  static async getSchoolBySlug(slug) {
+    const school = await SchoolProfile.findBySlug(slug);
+    if (!school) {
+      throw httpError("Careers page not found", 404);
+    }
+    return school;
+  }
+
+  /**
+   * Give a school created before careers pages its slug
+   */
+  static async ensureSlug(school) {
+    if (school.slug) return school.slug;
+
+    const slug = await SchoolProfile.generateUniqueSlug(
+      school.schoolName,
+      school._id
+    );
+    await SchoolProfile.updateOne({ _id: school._id }, { $set: { slug } });
+    school.slug = slug;
+    return slug;
+  }
+
+  /**
+   * Frontend URL of a school's careers page
+   */
+  static careersPageUrl(slug) {
+    return `${frontendUrl()}/careers/${slug}`;
+  }
+
+  /**
+   * Apply link tagged so the application is attributed to the careers page
+   * @param {Object} job - Job
+   * @param {string} slug - School slug (utm_source)
+   * @param {string} channel - "careers_page" or "careers_widget" (utm_medium)
+   */
+  static applyUrl(job, slug, channel) {
+    const params = new URLSearchParams({
+      utm_source: slug,
+      utm_medium: channel,
+      utm_campaign: UTM_CAMPAIGN,
+    });
+    return `${frontendUrl()}/dashboard/teacher/jobs/${job._id}?${params}`;
+  }
+
+  /**
+   * Published jobs of a school that still accept applications
+   */
+  static getOpenJobs(schoolId, limit = 0) {
+    return Job.find({
+      schoolId,
+      status: "published",
+      applicationDeadline: { $gt: new Date() },
+      deletedAt: { $exists: false },
+    })
+      .sort({ isFeatured: -1, isUrgent: -1, publishedAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Public school details shown on the careers page
+   */
+  static formatSchool(school) {
+    return {
+      name: school.schoolName,
+      slug: school.slug,
+      country: school.country,
+      city: school.city,
+      schoolType: school.schoolType,
+      schoolSize: school.schoolSize,
+      genderType: school.genderType,
+      curriculum: school.curriculum,
+      ageGroup: school.ageGroup,
+      establishedYear: school.establishedYear,
+      website: school.schoolWebsite,
+      about: school.aboutSchool,
+      mission: school.mission,
+      vision: school.vision,
+    };
+  }
+
+  /**
+   * Public careers page: school, programs, media and open jobs
+   * @param {string} slug - Careers page slug
+   */
+  static async getCareersPage(slug) {
+    const school = await this.getSchoolBySlug(slug);
+
+    const [programs, media, jobs] = await Promise.all([
+      SchoolProgram.find({ schoolId: school._id, isActive: true })
+        .select(
+          "programName educationLevel curriculum ageRange programDuration coreSubjects description admissionRequirements programFees"
+        )
+        .sort({ createdAt: -1 })
+        .lean(),
+      SchoolMedia.find({
+        schoolId: school._id,
+        mediaType: { $in: ["image", "video"] },
+      })
+        .select("url mediaType caption")
+        .sort({ createdAt: -1 })
+        .lean(),
+      this.getOpenJobs(school._id),
+    ]);
+
+    return {
+      school: this.formatSchool(school),
+      programs,
+      media,
+      jobs: jobs.map((job) => ({
+        ...JobService.sanitizeJobForPublic(job),
+        applyUrl: this.applyUrl(job, school.slug, "careers_page"),
+      })),
+      careersPageUrl: this.careersPageUrl(school.slug),
+    };
+  }
+
+  /**
+   * Open jobs feed for the embeddable widget
+   * @param {string} slug - Careers page slug
+   * @param {Object} options - { limit }
+   */
+  static async getWidgetFeed(slug, { limit } = {}) {
+    const school = await this.getSchoolBySlug(slug);
+    const max = Math.min(parseInt(limit) || WIDGET_MAX_JOBS, WIDGET_MAX_JOBS);
+    const jobs = await this.getOpenJobs(school._id, max);
+
+    return {
+      school: {
+        name: school.schoolName,
+        slug: school.slug,
+        careersPageUrl: this.careersPageUrl(school.slug),
+      },
+      jobs: jobs.map((job) => ({
+        _id: job._id,
+        title: job.title,
+        positionCategory: job.positionCategory,
+        educationLevel: job.educationLevel,
+        jobType: job.jobType,
+        country: job.country,
+        city: job.city,
+        salaryRange: JobService.calculateSalaryRange(job),
+        applicationDeadline: job.applicationDeadline,
+        isUrgent: job.isUrgent,
+        isFeatured: job.isFeatured,
+        applyUrl: this.applyUrl(job, school.slug, "careers_widget"),
+      })),
+    };
+  }
+
+  /**
+   * Script that renders the widget feed on a school's website
+   */
+  static async getWidgetScript() {
+    if (!widgetScript) {
+      widgetScript = await fs.readFile(WIDGET_SCRIPT_PATH, "utf8");
+    }
+    return widgetScript;
+  }
+
+  /**
+   * Careers page links and embed code for the caller's school
+   * @param {Object} user - req.user
+   * @param {string} apiBaseUrl - Base URL of the careers API
+   */
+  static async getMyCareersPage(user, apiBaseUrl) {
+    const school = await SchoolProfile.findById(user.schoolId);
+    if (!school) {
+      throw httpError("School profile not found", 404);
+    }
+
+    const slug = await this.ensureSlug(school);
+    const widgetScriptUrl = `${apiBaseUrl}/${slug}/widget.js`;
+
+    return {
+      slug,
+      careersPageUrl: this.careersPageUrl(slug),
+      jobsFeedUrl: `${apiBaseUrl}/${slug}/jobs.json`,
+      widgetScriptUrl,
+      embedCode: `<div id="egh-careers"></div>\n<script src="${widgetScriptUrl}" data-target="egh-careers" async></script>`,
+    };
+  }
+
+  /**
+   * Change the caller's school careers page address
+   * @param {Object} user - req.user
+   * @param {string} slug - New slug
+   * @param {string} apiBaseUrl - Base URL of the careers API
+   */
+  static async updateSlug(user, slug, apiBaseUrl) {
+    const school = await SchoolProfile.findById(user.schoolId);
+    if (!school) {
+      throw httpError("School profile not found", 404);
+    }
+
+    const taken = await SchoolProfile.exists({
+      slug,
+      _id: { $ne: school._id },
+    });
+    if (taken) {
+      throw httpError("This careers page address is already taken", 409);
+    }
+
+    await SchoolProfile.updateOne({ _id: school._id }, { $set: { slug } });
+
+    return this.getMyCareersPage(user, apiBaseUrl);
+  }
+}
+
+module.exports = CareerPageService;
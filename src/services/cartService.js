@@ -0,0 +1,934 @@
+const Cart = require("../models/Cart");
+const CartCheckout = require("../models/CartCheckout");
+const Coupon = require("../models/Coupon");
+const Resource = require("../models/resource");
+const ResourcePurchase = require("../models/resourcePurchase");
+const Sale = require("../models/Sale");
+const SellerTier = require("../models/SellerTier");
+const BalanceLedger = require("../models/BalanceLedger");
+const PlatformSettings = require("../models/PlatformSettings");
+const JobNotification = require("../models/JobNotification");
+const User = require("../models/User");
+const emailService = require("../config/email");
+const invoiceService = require("./invoiceService");
+const PromotionService = require("./promotionService");
+const { createCheckoutSession } = require("../config/stripe");
+const {
+  calculateRoyalty,
+  splitRoyalty,
+  fromSmallestUnit,
+  formatCurrency,
+} = require("../utils/royaltyCalculator");
+
+const httpError = (message, status) =>
+  Object.assign(new Error(message), { status });
+
+const RESOURCE_FIELDS =
+  "title type subject ageRange coverPhoto price currency isFree status isDeleted createdBy promotion";
+
+const LICENSE_TYPES = ResourcePurchase.LICENSE_TYPES;
+
+class CartService {
+  /**
+   * Get the buyer's cart with its resources populated
+   */
+  static async loadCart(buyerId) {
+    const cart = await Cart.getOrCreate(buyerId);
+    await cart.populate("items.resource", RESOURCE_FIELDS);
+    return cart;
+  }
+
+  /**
+   * Why a resource cannot be bought by this buyer right now
+   * @returns {string|null} - null when it can be bought
+   */
+  static getUnavailableReason(resource, buyerId) {
+    if (!resource || resource.isDeleted) {
+      return "This resource has been removed";
+    }
+    if (resource.status !== "approved") {
+      return "This resource is not available for purchase";
+    }
+    if (resource.isFree || !resource.price) {
+      return "This resource is free and can be downloaded directly";
+    }
+    if (resource.createdBy.userId.toString() === buyerId.toString()) {
+      return "You cannot purchase your own resource";
+    }
+    return null;
+  }
+
+  /**
+   * Find an existing entitlement that makes a cart line unnecessary: the
+   * buyer's own purchase for single licenses, or a department/school license
+   * for the same domain
+   */
+  static findExistingLicense(item, buyerId) {
+    const query = {
+      resourceId: item.resource._id || item.resource,
+      status: "completed",
+    };
+
+    if (item.licenseType === "single") {
+      query.buyerId = buyerId;
+    } else {
+      query["license.schoolDomain"] = item.schoolDomain;
+      query["license.type"] = { $in: ["department", "school"] };
+    }
+
+    return ResourcePurchase.findOne(query);
+  }
+
+  /**
+   * Check the license options of a cart line
+   */
+  static checkLicense({ licenseType = "single", schoolDomain }) {
+    if (!LICENSE_TYPES[licenseType]) {
+      throw httpError("Invalid license type", 400);
+    }
+    if (licenseType !== "single" && !schoolDomain) {
+      throw httpError(
+        "School domain is required for department/school licenses",
+        400
+      );
+    }
+  }
+
+  /**
+   * Price cart lines with seller sales, the sitewide campaign and an
+   * optional coupon. Percentage coupons apply to every eligible line; fixed
+   * amount coupons to the most expensive eligible line only.
+   * @param {Array} items - Cart items with populated resources
+   * @returns {Promise<Object>} - { lines, coupon } with amounts in smallest unit
+   */
+  static async priceItems(items, { buyerId, buyerCountry, couponCode }) {
+    const campaign = await PlatformSettings.getActiveCampaign();
+
+    let coupon = null;
+    let couponItems = [];
+    if (couponCode) {
+      coupon = await Coupon.findByCode(couponCode);
+      if (!coupon || !coupon.isRedeemable()) {
+        throw httpError("Invalid or expired coupon code", 400);
+      }
+
+      const eligible = items.filter(
+        (item) => !PromotionService.getCouponMismatch(coupon, item.resource)
+      );
+      if (!eligible.length) {
+        throw httpError(
+          "This coupon does not apply to any item in your cart",
+          400
+        );
+      }
+      await PromotionService.validateCoupon(
+        coupon,
+        eligible[0].resource,
+        buyerId
+      );
+
+      couponItems =
+        coupon.discountType === "percentage"
+          ? eligible
+          : [
+              eligible.reduce((best, item) =>
+                item.resource.price *
+                  LICENSE_TYPES[item.licenseType].multiplier >
+                best.resource.price * LICENSE_TYPES[best.licenseType].multiplier
+                  ? item
+                  : best
+              ),
+            ];
+    }
+
+    const lines = [];
+    for (const item of items) {
+      const pricing = await PromotionService.priceResource({
+        resource: item.resource,
+        multiplier: LICENSE_TYPES[item.licenseType].multiplier,
+        buyerId,
+        buyerCountry,
+        coupon: couponItems.includes(item) ? coupon : null,
+        campaign,
+      });
+      lines.push({ item, pricing });
+    }
+
+    return { lines, coupon };
+  }
+
+  /**
+   * Per-currency totals for priced lines (Stripe charges one currency per
+   * checkout, so totals are never summed across currencies)
+   */
+  static getTotals(lines) {
+    const totals = {};
+    for (const { pricing } of lines) {
+      if (!totals[pricing.currency]) {
+        totals[pricing.currency] = {
+          currency: pricing.currency,
+          itemCount: 0,
+          listPrice: 0,
+          discountAmount: 0,
+          total: 0,
+          vatAmount: 0,
+        };
+      }
+      const total = totals[pricing.currency];
+      total.itemCount += 1;
+      total.listPrice += pricing.listPrice;
+      total.discountAmount += pricing.discountAmount;
+      total.total += pricing.finalPrice;
+      total.vatAmount += pricing.vat.amount;
+    }
+
+    return Object.values(totals).map((total) => ({
+      currency: total.currency,
+      itemCount: total.itemCount,
+      listPrice: fromSmallestUnit(total.listPrice, total.currency),
+      discountAmount: fromSmallestUnit(total.discountAmount, total.currency),
+      vatAmount: fromSmallestUnit(total.vatAmount, total.currency),
+      total: fromSmallestUnit(total.total, total.currency),
+    }));
+  }
+
+  static formatLine(item, pricing, unavailableReason = null) {
+    const resource = item.resource;
+    const currency = resource?.currency;
+
+    return {
+      resourceId: resource?._id,
+      title: resource?.title,
+      type: resource?.type,
+      subject: resource?.subject,
+      coverPhoto: resource?.coverPhoto,
+      sellerId: resource?.createdBy?.userId,
+      licenseType: item.licenseType,
+      licenseName: LICENSE_TYPES[item.licenseType].name,
+      maxUsers: LICENSE_TYPES[item.licenseType].maxUsers,
+      schoolDomain: item.schoolDomain,
+      institutionName: item.institutionName,
+      addedAt: item.addedAt,
+      currency,
+      available: !unavailableReason,
+      unavailableReason,
+      ...(pricing && {
+        listPrice: fromSmallestUnit(pricing.listPrice, currency),
+        price: fromSmallestUnit(pricing.finalPrice, currency),
+        discounts: pricing.discounts.map((discount) => ({
+          ...discount,
+          amount: fromSmallestUnit(discount.amount, currency),
+        })),
+      }),
+    };
+  }
+
+  /**
+   * Split cart items into ones that can be checked out and ones that
+   * cannot (removed, unapproved, own or already licensed resources)
+   */
+  static async checkItems(items, buyerId) {
+    const available = [];
+    const unavailable = [];
+
+    for (const item of items) {
+      let reason = this.getUnavailableReason(item.resource, buyerId);
+      if (!reason && (await this.findExistingLicense(item, buyerId))) {
+        reason =
+          item.licenseType === "single"
+            ? "You have already purchased this resource"
+            : "A license already exists for this school/domain";
+      }
+
+      if (reason) {
+        unavailable.push({ item, reason });
+      } else {
+        available.push(item);
+      }
+    }
+
+    return { available, unavailable };
+  }
+
+  /**
+   * Get the buyer's cart, priced for their country and an optional coupon
+   * @param {Object} user - Authenticated user
+   * @param {Object} options - { buyerCountry, couponCode }
+   */
+  static async getCart(user, { buyerCountry = "GB", couponCode } = {}) {
+    const cart = await this.loadCart(user.userId);
+    const { available, unavailable } = await this.checkItems(
+      cart.items,
+      user.userId
+    );
+    const { lines, coupon } = await this.priceItems(available, {
+      buyerId: user.userId,
+      buyerCountry,
+      couponCode,
+    });
+
+    const pricingByItem = new Map(
+      lines.map(({ item, pricing }) => [item, pricing])
+    );
+    const reasonByItem = new Map(
+      unavailable.map(({ item, reason }) => [item, reason])
+    );
+
+    return {
+      items: cart.items.map((item) =>
+        this.formatLine(item, pricingByItem.get(item), reasonByItem.get(item))
+      ),
+      itemCount: cart.items.length,
+      totals: this.getTotals(lines),
+      coupon: coupon && { id: coupon._id, code: coupon.code },
+      updatedAt: cart.updatedAt,
+    };
+  }
+
+  /**
+   * Add a resource to the cart. Adding a resource that is already in the
+   * cart replaces its license options.
+   */
+  static async addItem(user, data) {
+    const { resourceId, licenseType = "single" } = data;
+    this.checkLicense({ licenseType, schoolDomain: data.schoolDomain });
+
+    const resource =
+      await Resource.findById(resourceId).select(RESOURCE_FIELDS);
+    if (!resource || resource.isDeleted) {
+      throw httpError("Resource not found", 404);
+    }
+    const reason = this.getUnavailableReason(resource, user.userId);
+    if (reason) {
+      throw httpError(reason, 400);
+    }
+
+    const item = {
+      resource: resource._id,
+      licenseType,
+      schoolDomain: licenseType === "single" ? null : data.schoolDomain,
+      institutionName: licenseType === "single" ? null : data.institutionName,
+    };
+    if (await this.findExistingLicense(item, user.userId)) {
+      throw httpError(
+        licenseType === "single"
+          ? "You have already purchased this resource"
+          : "A license already exists for this school/domain",
+        400
+      );
+    }
+
+    const cart = await Cart.getOrCreate(user.userId);
+    const existing = cart.items.find(
+      (line) => line.resource.toString() === resource._id.toString()
+    );
+    if (existing) {
+      Object.assign(existing, item);
+    } else {
+      if (cart.items.length >= Cart.MAX_ITEMS) {
+        throw httpError(
+          `Your cart can hold up to ${Cart.MAX_ITEMS} resources`,
+          400
+        );
+      }
+      cart.items.push(item);
+    }
+    await cart.save();
+
+    return this.getCart(user);
+  }
+
+  /**
+   * Change the license of a resource in the cart
+   */
+  static async updateItem(user, resourceId, data) {
+    const cart = await Cart.getOrCreate(user.userId);
+    const item = cart.items.find(
+      (line) => line.resource.toString() === resourceId
+    );
+    if (!item) {
+      throw httpError("Resource is not in your cart", 404);
+    }
+
+    const licenseType = data.licenseType || item.licenseType;
+    const schoolDomain =
+      licenseType === "single"
+        ? null
+        : data.schoolDomain !== undefined
+          ? data.schoolDomain
+          : item.schoolDomain;
+    this.checkLicense({ licenseType, schoolDomain });
+
+    const updated = {
+      resource: item.resource,
+      licenseType,
+      schoolDomain,
+      institutionName:
+        licenseType === "single"
+          ? null
+          : data.institutionName !== undefined
+            ? data.institutionName
+            : item.institutionName,
+    };
+    if (await this.findExistingLicense(updated, user.userId)) {
+      throw httpError(
+        licenseType === "single"
+          ? "You have already purchased this resource"
+          : "A license already exists for this school/domain",
+        400
+      );
+    }
+
+    Object.assign(item, updated);
+    await cart.save();
+
+    return this.getCart(user);
+  }
+
+  static async removeItem(user, resourceId) {
+    const cart = await Cart.findOneAndUpdate(
+      { buyer: user.userId, "items.resource": resourceId },
+      { $pull: { items: { resource: resourceId } } }
+    );
+    if (!cart) {
+      throw httpError("Resource is not in your cart", 404);
+    }
+
+    return this.getCart(user);
+  }
+
+  static async clearCart(user) {
+    await Cart.updateOne({ buyer: user.userId }, { $set: { items: [] } });
+  }
+
+  /**
+   * Create one Stripe checkout session for every cart line in a currency
+   * @param {Object} user - Authenticated user
+   * @param {Object} options - { buyerCountry, couponCode, currency }
+   * @returns {Promise<Object>} - Checkout URL and priced lines
+   */
+  static async createCheckout(
+    user,
+    { buyerCountry = "GB", couponCode, currency }
+  ) {
+    const cart = await this.loadCart(user.userId);
+    if (!cart.items.length) {
+      throw httpError("Your cart is empty", 400);
+    }
+
+    // A checkout session charges a single currency
+    const currencies = [
+      ...new Set(
+        cart.items.map((item) => item.resource?.currency).filter(Boolean)
+      ),
+    ];
+    if (!currency) {
+      if (currencies.length > 1) {
+        throw httpError(
+          `Your cart has resources priced in ${currencies.join(", ")}. Choose a currency to check out; the other items stay in your cart.`,
+          400
+        );
+      }
+      currency = currencies[0];
+    }
+    const items = cart.items.filter(
+      (item) => item.resource?.currency === currency
+    );
+    if (!items.length) {
+      throw httpError(`Your cart has no resources priced in ${currency}`, 400);
+    }
+
+    const { unavailable } = await this.checkItems(items, user.userId);
+    if (unavailable.length) {
+      const [{ item, reason }] = unavailable;
+      throw httpError(
+        `"${item.resource?.title || "A resource"}" cannot be purchased: ${reason}. Remove it from your cart to continue.`,
+        400
+      );
+    }
+
+    const { lines, coupon } = await this.priceItems(items, {
+      buyerId: user.userId,
+      buyerCountry,
+      couponCode,
+    });
+    const total = lines.reduce(
+      (sum, { pricing }) => sum + pricing.finalPrice,
+      0
+    );
+
+    const checkout = await CartCheckout.create({
+      buyer: user.userId,
+      buyerEmail: user.email,
+      buyerCountry,
+      currency,
+      coupon: coupon?._id || null,
+      total,
+      items: lines.map(({ item, pricing }) => ({
+        resource: item.resource._id,
+        seller: item.resource.createdBy.userId,
+        title: item.resource.title,
+        licenseType: item.licenseType,
+        schoolDomain: item.schoolDomain,
+        institutionName: item.institutionName,
+        listPrice: pricing.listPrice,
+        price: pricing.finalPrice,
+        discount: PromotionService.toSaleDiscount(pricing),
+      })),
+    });
+
+    const APP_URL = process.env.APP_URL || "http://localhost:5173";
+
+    // The coupon use is reserved with the session so concurrent checkouts
+    // cannot take it past maxUses
+    const checkoutSession = await PromotionService.withCouponReservation(
+      coupon?._id,
+      () =>
+        createCheckoutSession({
+          currency,
+          lineItems: lines.map(({ item, pricing }) => ({
+            name: `${item.resource.title} (${LICENSE_TYPES[item.licenseType].name})`,
+            description: pricing.discountAmount
+              ? PromotionService.describeDiscounts(pricing.discounts)
+              : "Digital educational resource",
+            amount: pricing.finalPrice,
+          })),
+          buyerEmail: user.email,
+          successUrl: `${APP_URL}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+          cancelUrl: `${APP_URL}/cart?payment=cancelled`,
+          metadata: {
+            type: "cart_checkout",
+            cartCheckoutId: checkout._id.toString(),
+            buyerId: user.userId.toString(),
+            buyerEmail: user.email,
+            buyerCountry,
+            itemCount: lines.length,
+            ...(coupon && {
+              couponId: coupon._id.toString(),
+              couponCode: coupon.code,
+            }),
+          },
+        })
+    );
+
+    checkout.stripeSessionId = checkoutSession.id;
+    await checkout.save();
+
+    return {
+      checkoutUrl: checkoutSession.url,
+      sessionId: checkoutSession.id,
+      currency,
+      items: lines.map(({ item, pricing }) => this.formatLine(item, pricing)),
+      totals: this.getTotals(lines)[0],
+      coupon: coupon && { id: coupon._id, code: coupon.code },
+    };
+  }
+
+  /**
+   * Record a paid cart checkout: one Sale, ResourcePurchase and ledger
+   * credit per line. Each seller's lines share one royalty calculation,
+   * split by line price, so the small-transaction fee is charged once per
+   * seller rather than once per line.
+   *
+   * The checkout is claimed before anything is written, and every step
+   * skips what an earlier, failed attempt already recorded, so a retry
+   * completes a partial fulfilment.
+   * @param {Object} session - Stripe checkout session
+   * @returns {Promise<Object>} - { checkout, sales, created, inProgress }
+   */
+  static async fulfillCheckout(session) {
+    const { cartCheckoutId, buyerCountry = "GB" } = session.metadata;
+
+    const checkout = await CartCheckout.claimForFulfilment(cartCheckoutId);
+    if (!checkout) {
+      const existing = await CartCheckout.findById(cartCheckoutId);
+      if (!existing) {
+        throw new Error(`Cart checkout not found: ${cartCheckoutId}`);
+      }
+      // Completed, or another request is recording it right now
+      const sales =
+        existing.status === "completed"
+          ? await Sale.find({ _id: { $in: existing.sales } })
+          : [];
+      return {
+        checkout: existing,
+        sales,
+        created: false,
+        inProgress: existing.status !== "completed",
+      };
+    }
+
+    const currency = checkout.currency;
+    const buyerEmail = checkout.buyerEmail || session.customer_email;
+    const payment = {
+      stripeSessionId: session.id,
+      stripePaymentIntentId: session.payment_intent,
+    };
+
+    const itemsBySeller = new Map();
+    for (const item of checkout.items) {
+      const sellerId = item.seller.toString();
+      if (!itemsBySeller.has(sellerId)) itemsBySeller.set(sellerId, []);
+      itemsBySeller.get(sellerId).push(item);
+    }
+
+    const tiers = new Map();
+    const shares = new Map();
+    for (const [sellerId, items] of itemsBySeller) {
+      const tier = await SellerTier.getOrCreateTier(sellerId);
+      tiers.set(sellerId, tier);
+
+      const royalty = calculateRoyalty(
+        items.reduce((sum, item) => sum + item.price, 0),
+        currency,
+        buyerCountry,
+        tier.royaltyRate,
+        tier.currentTier
+      );
+      const itemShares = splitRoyalty(
+        royalty,
+        items.map((item) => item.price)
+      );
+      items.forEach((item, index) => shares.set(item, itemShares[index]));
+    }
+
+    // Sales recorded by an earlier attempt are kept, missing ones added
+    const recorded = await Sale.find({
+      "checkoutPayment.stripeSessionId": session.id,
+    });
+    const salesByResource = new Map(
+      recorded.map((sale) => [sale.resource.toString(), sale])
+    );
+    const missing = checkout.items.filter(
+      (item) => !salesByResource.has(item.resource.toString())
+    );
+    if (missing.length) {
+      const inserted = await Sale.insertMany(
+        missing.map((item) => {
+          const share = shares.get(item);
+          return {
+            resource: item.resource,
+            seller: item.seller,
+            buyer: checkout.buyer,
+            price: share.originalPrice,
+            currency,
+            vatAmount: share.vatAmount,
+            transactionFee: share.transactionFee,
+            platformCommission: share.platformCommission,
+            sellerEarnings: share.sellerEarnings,
+            royaltyRate: share.royaltyRate,
+            sellerTier: share.sellerTier,
+            status: "completed",
+            license: item.licenseType,
+            checkoutPayment: payment,
+            buyerEmail,
+            buyerCountry,
+            discount: item.discount?.amount ? item.discount : undefined,
+          };
+        })
+      );
+      inserted.forEach((sale) =>
+        salesByResource.set(sale.resource.toString(), sale)
+      );
+    }
+    const sales = checkout.items.map((item) =>
+      salesByResource.get(item.resource.toString())
+    );
+
+    for (const [index, item] of checkout.items.entries()) {
+      const sale = sales[index];
+      const license = LICENSE_TYPES[item.licenseType];
+
+      const hasPurchase = await ResourcePurchase.exists({
+        resourceId: item.resource,
+        buyerId: checkout.buyer,
+        "paymentDetails.stripeSessionId": session.id,
+      });
+      if (!hasPurchase) {
+        await ResourcePurchase.create({
+          resourceId: item.resource,
+          buyerId: checkout.buyer,
+          pricePaid: sale.price,
+          currency,
+          status: "completed",
+          license: {
+            type: item.licenseType,
+            maxUsers: license.maxUsers,
+            schoolDomain: item.schoolDomain || null,
+            institutionName: item.institutionName || null,
+          },
+          paymentDetails: payment,
+          priceBreakdown: {
+            basePrice: item.listPrice,
+            licenseMultiplier: license.multiplier,
+            vatAmount: sale.vatAmount,
+            platformFee: sale.platformCommission,
+            sellerEarnings: sale.sellerEarnings,
+          },
+        });
+      }
+
+      const hasCredit = await BalanceLedger.exists({
+        type: "credit",
+        referenceType: "sale",
+        referenceId: sale._id,
+      });
+      if (!hasCredit) {
+        await BalanceLedger.createEntry({
+          seller: item.seller,
+          type: "credit",
+          amount: sale.sellerEarnings,
+          currency,
+          referenceType: "sale",
+          referenceId: sale._id,
+          referenceModel: "Sale",
+          description: `Sale of "${item.title}"${sale.discount?.amount ? ` (${sale.discount.description})` : ""}`,
+          metadata: {
+            resourceId: item.resource.toString(),
+            resourceTitle: item.title,
+            licenseType: item.licenseType,
+            buyerId: checkout.buyer.toString(),
+            buyerEmail,
+            checkoutSessionId: session.id,
+            cartCheckoutId: checkout._id.toString(),
+            ...(sale.discount?.amount && {
+              listPrice: sale.discount.listPrice,
+              discountAmount: sale.discount.amount,
+              couponCode: sale.discount.couponCode,
+            }),
+          },
+        });
+      }
+    }
+
+    // Entitlements and earnings are in place; release the claim. Only the
+    // request holding it goes on to update stats, so they count once.
+    const completed = await CartCheckout.findOneAndUpdate(
+      {
+        _id: checkout._id,
+        status: "processing",
+        processingAt: checkout.processingAt,
+      },
+      {
+        $set: {
+          status: "completed",
+          sales: sales.map((sale) => sale._id),
+          completedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!completed) {
+      return { checkout, sales, created: false, inProgress: false };
+    }
+
+    // Update each seller's tier and lifetime stats once
+    for (const [sellerId, items] of itemsBySeller) {
+      const tier = tiers.get(sellerId);
+      const salesData = await Sale.calculateSellerSales(sellerId, 12);
+      await tier.updateTier(salesData.totalSales);
+      items.forEach((item) => {
+        const share = shares.get(item);
+        tier.lifetimeSales += share.netPrice;
+        tier.lifetimeEarnings += share.sellerEarnings;
+      });
+      tier.lifetimeSalesCount += items.length;
+      await tier.save();
+    }
+
+    // The coupon counts once per checkout, however many lines it discounted
+    if (checkout.coupon) {
+      await PromotionService.recordRedemption(
+        checkout.coupon,
+        checkout.stripeSessionId
+      );
+    }
+
+    await Cart.updateOne(
+      { buyer: checkout.buyer },
+      {
+        $pull: {
+          items: {
+            resource: { $in: checkout.items.map((item) => item.resource) },
+          },
+        },
+      }
+    );
+
+    return { checkout: completed, sales, created: true, inProgress: false };
+  }
+
+  /**
+   * Send the buyer one consolidated invoice for a completed checkout and
+   * notify each seller once. Runs once per checkout, from whichever of the
+   * webhook and the success page recorded the sales.
+   * @param {Object} checkout - Completed cart checkout
+   * @param {Object} options - { io } Socket.io server for the admin dashboard
+   * @returns {Promise<boolean>} - Whether this call sent the notifications
+   */
+  static async notifyCheckout(checkout, { io } = {}) {
+    const claimed = await CartCheckout.findOneAndUpdate(
+      { _id: checkout._id, status: "completed", notifiedAt: null },
+      { $set: { notifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) return false;
+
+    const sales = await Sale.find({ _id: { $in: claimed.sales } });
+    const titles = new Map(
+      claimed.items.map((item) => [item.resource.toString(), item.title])
+    );
+    const currency = claimed.currency;
+
+    // Emit revenue event for admin financial dashboard
+    if (io) {
+      io.to("admin:financial").emit("revenue:payment", {
+        type: "sale",
+        amount: sales.reduce((sum, sale) => sum + sale.platformCommission, 0),
+        currency: "GBP",
+        description: `Cart checkout: ${sales.length} resources`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // One invoice for the whole checkout
+    try {
+      const settings = await PlatformSettings.getSettings();
+      if (settings.vat.invoiceSettings.autoGenerate) {
+        await invoiceService.generateCheckoutInvoice(
+          sales.map((sale) => sale._id)
+        );
+      }
+    } catch (error) {
+      console.error("Failed to generate cart invoice:", error);
+    }
+
+    const sellers = new Map();
+    for (const sale of sales) {
+      const sellerId = sale.seller.toString();
+      if (!sellers.has(sellerId)) {
+        sellers.set(sellerId, { sales: [], titles: [], earnings: 0 });
+      }
+      const seller = sellers.get(sellerId);
+      seller.sales.push(sale);
+      seller.titles.push(titles.get(sale.resource.toString()));
+      seller.earnings += sale.sellerEarnings;
+    }
+
+    for (const [
+      sellerId,
+      { sales: sellerSales, titles: sold, earnings },
+    ] of sellers) {
+      const resourceTitle =
+        sold.length === 1 ? sold[0] : `${sold.length} resources`;
+      const amount = formatCurrency(earnings, currency);
+
+      try {
+        const seller = await User.findById(sellerId);
+        if (seller && seller.email) {
+          await emailService.sendSaleNotification(
+            seller.email,
+            seller.firstName,
+            {
+              resourceTitle: sold.join(", "),
+              amount,
+              buyer: claimed.buyerEmail,
+            }
+          );
+        }
+      } catch (error) {
+        console.error("Failed to send cart sale notification email:", error);
+      }
+
+      try {
+        await JobNotification.createNotification({
+          userId: sellerId,
+          type: "system_alert",
+          category: "system",
+          priority: "high",
+          title: sold.length === 1 ? "Resource Sold!" : "Resources Sold!",
+          message: `Your ${sold.length === 1 ? `resource "${resourceTitle}" was` : `${resourceTitle} were`} purchased for ${amount}`,
+          actionUrl: "/teacher/resources",
+          actionText: "View Resources",
+          metadata: {
+            saleIds: sellerSales.map((sale) => sale._id.toString()),
+            resourceIds: sellerSales.map((sale) => sale.resource.toString()),
+            resourceTitles: sold,
+            amount: earnings,
+            currency,
+          },
+        });
+      } catch (error) {
+        console.error("Failed to create cart sale notification:", error);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Mark one cart sale as refunded, reverse the seller's earnings and
+   * revoke the license bought with it
+   */
+  static async refundSale(sale, reason) {
+    sale.status = "refunded";
+    sale.refundedAt = new Date();
+    sale.refundReason = reason;
+    await sale.save();
+
+    await BalanceLedger.createEntry({
+      seller: sale.seller,
+      type: "refund",
+      amount: sale.sellerEarnings,
+      currency: sale.currency,
+      referenceType: "refund",
+      referenceId: sale._id,
+      referenceModel: "Sale",
+      description: "Refund for cart sale",
+      metadata: {
+        originalSaleId: sale._id,
+        stripePaymentIntentId: sale.checkoutPayment.stripePaymentIntentId,
+      },
+    });
+
+    await ResourcePurchase.updateOne(
+      {
+        resourceId: sale.resource,
+        buyerId: sale.buyer,
+        "paymentDetails.stripePaymentIntentId":
+          sale.checkoutPayment.stripePaymentIntentId,
+      },
+      { $set: { status: "refunded" } }
+    );
+
+    const sellerTier = await SellerTier.findOne({ seller: sale.seller });
+    if (sellerTier) {
+      const salesData = await Sale.calculateSellerSales(sale.seller, 12);
+      await sellerTier.updateTier(salesData.totalSales);
+    }
+
+    return sale;
+  }
+
+  /**
+   * Refund every sale of a cart payment that is not refunded yet
+   * @param {string} paymentIntentId - Stripe payment intent of the checkout
+   * @param {string} reason - Refund reason
+   * @returns {Promise<Array>} - Sales refunded by this call
+   */
+  static async refundPayment(paymentIntentId, reason) {
+    const sales = await Sale.find({
+      "checkoutPayment.stripePaymentIntentId": paymentIntentId,
+      bundle: null,
+      status: { $ne: "refunded" },
+    });
+
+    for (const sale of sales) {
+      await this.refundSale(sale, reason);
+    }
+
+    return sales;
+  }
+}
+
+module.exports = CartService;
@@ -0,0 +1,28 @@
+const CredentialVerificationService = require("./credentialVerificationService");
+const { createCronJob } = require("../utils/cronJob");
+
+const CRON_NAME = "credential-expiry";
+
+/**
+ * Expire credential verifications whose credential has passed its expiry
+ * date, recorded as a CronRun. Runs daily at 2:30 AM.
+ */
+const credentialExpiryCron = createCronJob({
+  name: CRON_NAME,
+  schedule: "30 2 * * *",
+  label: "Credential expiry",
+  frequency: "runs daily at 2:30 AM",
+  logPrefix: "[CredentialExpiry]",
+  task: async (stats) => {
+    stats.expired = await CredentialVerificationService.expireVerifications();
+  },
+  summarize: (stats) =>
+    stats.expired > 0 ? `Expired ${stats.expired} verification(s)` : null,
+});
+
+module.exports = {
+  CRON_NAME,
+  startCredentialExpiryCron: credentialExpiryCron.start,
+  stopCredentialExpiryCron: credentialExpiryCron.stop,
+  runCredentialExpiry: credentialExpiryCron.run,
+};
@@ -0,0 +1,422 @@
+const CredentialVerification = require("../models/CredentialVerification");
+const TeacherCertification = require("../models/TeacherCertification");
+const TeacherQualification = require("../models/TeacherQualification");
+const TeacherProfile = require("../models/TeacherProfile");
+const JobNotification = require("../models/JobNotification");
+const { uploadToCloudinary } = require("../utils/cloudinary");
+const { getTeacherProfileForUser } = require("../utils/getTeacherprofile");
+
+const CREDENTIAL_MODELS = {
+  certification: TeacherCertification,
+  qualification: TeacherQualification,
+};
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+class CredentialVerificationService {
+  /**
+   * Snapshot the fields a reviewer checks against the evidence
+   */
+  static snapshotCredential(credentialType, credential) {
+    if (credentialType === "certification") {
+      return {
+        name: credential.certificationName,
+        issuer: credential.issuingOrganization,
+        reference: credential.credentialId,
+        issueDate: credential.issueDate,
+        expiryDate: credential.expiryDate,
+      };
+    }
+
+    return {
+      name: credential.title,
+      issuer: credential.issuingInstitution,
+      reference: credential.certificationId,
+      issueDate: credential.issueDate,
+      expiryDate: credential.expiryDate,
+    };
+  }
+
+  /**
+   * Upload evidence documents through the Cloudinary helper
+   * @param {Array} files - Multer files (memory storage)
+   */
+  static async uploadEvidence(files = []) {
+    return Promise.all(
+      files.map(async (file) => {
+        // Use 'raw' for documents to avoid image transformations
+        const resourceType = file.mimetype.startsWith("image/")
+          ? "image"
+          : "raw";
+        const result = await uploadToCloudinary(file.buffer, {
+          folder: "credential-evidence",
+          resource_type: resourceType,
+          overwrite: false,
+        });
+
+        return {
+          url: result.secure_url,
+          publicId: result.public_id,
+          resourceType: result.resource_type,
+          fileName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+        };
+      })
+    );
+  }
+
+  /**
+   * Write the verification badge onto the credential
+   */
+  static async setCredentialBadge(request, verification) {
+    const Model = CREDENTIAL_MODELS[request.credentialType];
+    await Model.updateOne(
+      { _id: request.credentialId },
+      { $set: { verification } },
+      { verificationUpdate: true }
+    );
+  }
+
+  /**
+   * Recount a teacher's verified credentials for the search filters
+   */
+  static async refreshVerifiedCount(teacherId) {
+    const counts = await Promise.all(
+      Object.values(CREDENTIAL_MODELS).map((Model) =>
+        Model.countDocuments({ teacherId, "verification.status": "verified" })
+      )
+    );
+    const verifiedCredentialCount = counts.reduce((sum, n) => sum + n, 0);
+
+    await TeacherProfile.updateOne(
+      { _id: teacherId },
+      { $set: { verifiedCredentialCount } }
+    );
+    return verifiedCredentialCount;
+  }
+
+  /**
+   * Submit a credential for verification with evidence (teacher)
+   * @param {string} userId - Teacher's user ID
+   * @param {Object} data - { credentialType, credentialId, note }
+   * @param {Array} files - Evidence files (multer)
+   */
+  static async submit(userId, data, files = []) {
+    const { teacherProfile } = await getTeacherProfileForUser(userId);
+    const { credentialType, credentialId, note } = data;
+
+    const Model = CREDENTIAL_MODELS[credentialType];
+    const credential = await Model.findOne({
+      _id: credentialId,
+      teacherId: teacherProfile._id,
+    });
+    if (!credential) {
+      throw new Error("Credential not found");
+    }
+
+    const status = credential.verification && credential.verification.status;
+    if (status === "verified") {
+      throw new Error("This credential is already verified");
+    }
+    if (CredentialVerification.OPEN_STATUSES.includes(status)) {
+      throw new Error("This credential is already awaiting verification");
+    }
+    if (credential.expiryDate && credential.expiryDate < new Date()) {
+      throw new Error("Expired credentials cannot be verified");
+    }
+    if (!files.length) {
+      throw new Error("At least one evidence document is required");
+    }
+
+    const evidence = await this.uploadEvidence(files);
+
+    const request = new CredentialVerification({
+      teacherId: teacherProfile._id,
+      userId,
+      credentialType,
+      credentialId: credential._id,
+      credential: this.snapshotCredential(credentialType, credential),
+      evidence,
+      teacherNote: note,
+    });
+    request.addHistory("submitted", userId, note);
+
+    try {
+      await request.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error("This credential is already awaiting verification");
+      }
+      throw error;
+    }
+
+    await this.setCredentialBadge(request, {
+      status: "pending",
+      requestId: request._id,
+    });
+
+    return request;
+  }
+
+  /**
+   * Add evidence after an admin asked for more information (teacher)
+   */
+  static async addInformation(userId, requestId, note, files = []) {
+    const { teacherProfile } = await getTeacherProfileForUser(userId);
+
+    const request = await CredentialVerification.findOne({
+      _id: requestId,
+      teacherId: teacherProfile._id,
+    });
+    if (!request) {
+      throw new Error("Verification request not found");
+    }
+    if (request.status !== "more_info_requested") {
+      throw new Error("No further information was requested");
+    }
+    if (!files.length && !note) {
+      throw new Error("Add a note or at least one evidence document");
+    }
+
+    if (files.length) {
+      request.evidence.push(...(await this.uploadEvidence(files)));
+    }
+    request.status = "pending";
+    request.addHistory("information_added", userId, note);
+    await request.save();
+
+    await this.setCredentialBadge(request, {
+      status: "pending",
+      requestId: request._id,
+    });
+
+    return request;
+  }
+
+  /**
+   * Get the teacher's verification requests
+   */
+  static async getForTeacher(userId, filters = {}) {
+    const { teacherProfile } = await getTeacherProfileForUser(userId);
+
+    const query = { teacherId: teacherProfile._id };
+    if (filters.status) query.status = filters.status;
+    if (filters.credentialType) query.credentialType = filters.credentialType;
+
+    return CredentialVerification.find(query)
+      .select("-history.actorId -reviewedBy")
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Admin review queue, oldest first
+   */
+  static async getQueue(filters = {}) {
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 100);
+
+    const query = {
+      status: filters.status || { $in: CredentialVerification.OPEN_STATUSES },
+    };
+    if (filters.credentialType) query.credentialType = filters.credentialType;
+
+    const [requests, total, counts] = await Promise.all([
+      CredentialVerification.find(query)
+        .populate("teacherId", "firstName lastName email country")
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CredentialVerification.countDocuments(query),
+      CredentialVerification.aggregate([
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    return {
+      requests,
+      counts: counts.reduce((acc, { _id, count }) => {
+        acc[_id] = count;
+        return acc;
+      }, {}),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get a request with the credential's current data (admin)
+   */
+  static async getRequest(requestId) {
+    const request = await CredentialVerification.findById(requestId)
+      .populate("teacherId", "firstName lastName email country nationality")
+      .populate("reviewedBy", "firstName lastName email")
+      .lean();
+    if (!request) {
+      throw new Error("Verification request not found");
+    }
+
+    const credential = await CREDENTIAL_MODELS[request.credentialType]
+      .findById(request.credentialId)
+      .lean();
+
+    return { request, credential };
+  }
+
+  /**
+   * Approve, reject or ask for more information (admin)
+   * @param {string} requestId - Verification request ID
+   * @param {string} adminId - Reviewing admin's user ID
+   * @param {string} action - approve | reject | request_info
+   * @param {string} comment - Required for reject and request_info
+   */
+  static async review(requestId, adminId, action, comment) {
+    const request = await CredentialVerification.findById(requestId);
+    if (!request) {
+      throw new Error("Verification request not found");
+    }
+    if (request.status !== "pending") {
+      throw new Error(`Cannot review a request that is ${request.status}`);
+    }
+    if (action !== "approve" && !comment) {
+      throw new Error("A comment is required to reject or request information");
+    }
+
+    const credential = await CREDENTIAL_MODELS[request.credentialType].findById(
+      request.credentialId
+    );
+    if (!credential) {
+      throw new Error("The credential no longer exists");
+    }
+
+    const now = new Date();
+    request.adminComment = comment || null;
+    request.reviewedBy = adminId;
+    request.reviewedAt = now;
+
+    if (action === "approve") {
+      if (credential.expiryDate && credential.expiryDate <= now) {
+        throw new Error("The credential has expired and cannot be verified");
+      }
+      request.status = "verified";
+      request.verifiedAt = now;
+      request.expiresAt = credential.expiryDate || null;
+      request.addHistory("approved", adminId, comment);
+    } else if (action === "reject") {
+      request.status = "rejected";
+      request.addHistory("rejected", adminId, comment);
+    } else {
+      request.status = "more_info_requested";
+      request.addHistory("more_info_requested", adminId, comment);
+    }
+
+    await request.save();
+
+    await this.setCredentialBadge(request, {
+      status: request.status,
+      verifiedAt: request.verifiedAt,
+      expiresAt: request.expiresAt,
+      requestId: request._id,
+    });
+    await this.refreshVerifiedCount(request.teacherId);
+    await this.notifyTeacher(request);
+
+    return request;
+  }
+
+  /**
+   * Expire verifications whose credential expiry date has passed
+   * @returns {Promise<number>} - Number of verifications expired
+   */
+  static async expireVerifications() {
+    const now = new Date();
+    const expiring = await CredentialVerification.find({
+      status: "verified",
+      expiresAt: { $ne: null, $lte: now },
+    });
+
+    const teacherIds = new Set();
+    for (const request of expiring) {
+      request.status = "expired";
+      request.addHistory("expired");
+      await request.save();
+
+      await this.setCredentialBadge(request, {
+        status: "expired",
+        verifiedAt: request.verifiedAt,
+        expiresAt: request.expiresAt,
+        requestId: request._id,
+      });
+      teacherIds.add(request.teacherId.toString());
+      await this.notifyTeacher(request);
+    }
+
+    for (const teacherId of teacherIds) {
+      await this.refreshVerifiedCount(teacherId);
+    }
+
+    return expiring.length;
+  }
+
+  /**
+   * Tell the teacher about a review outcome or expiry
+   */
+  static async notifyTeacher(request) {
+    const events = {
+      verified: {
+        type: "credential_verified",
+        title: "Credential Verified",
+        message: `"${request.credential.name}" has been verified.`,
+        priority: "medium",
+      },
+      rejected: {
+        type: "credential_rejected",
+        title: "Credential Not Verified",
+        message: `"${request.credential.name}" could not be verified: ${request.adminComment}`,
+        priority: "high",
+      },
+      more_info_requested: {
+        type: "credential_info_requested",
+        title: "More Information Needed",
+        message: `We need more information to verify "${request.credential.name}": ${request.adminComment}`,
+        priority: "high",
+        actionRequired: true,
+        actionText: "Add Information",
+      },
+      expired: {
+        type: "credential_expired",
+        title: "Credential Verification Expired",
+        message: `The verification of "${request.credential.name}" has expired with the credential. Submit the renewed credential to be verified again.`,
+        priority: "medium",
+      },
+    };
+
+    const event = events[request.status];
+    if (!event) return;
+
+    try {
+      await JobNotification.createNotification({
+        userId: request.userId,
+        category: "system",
+        actionUrl: `${frontendUrl()}/dashboard/teacher/profile`,
+        metadata: {
+          verificationId: request._id.toString(),
+          credentialType: request.credentialType,
+          credentialId: request.credentialId.toString(),
+        },
+        ...event,
+        message: event.message.slice(0, 1000),
+      });
+    } catch (error) {
+      console.error("Credential notification failed:", error.message);
+    }
+  }
+}
+
+module.exports = CredentialVerificationService;
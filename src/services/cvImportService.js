@@ -0,0 +1,189 @@
+const mammoth = require("mammoth");
+// Required from lib/ to skip the package's debug entry point
+const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+const TeacherProfile = require("../models/TeacherProfile");
+const TeacherEmployment = require("../models/TeacherEmployment");
+const TeacherEducation = require("../models/TeacherEducation");
+const TeacherQualification = require("../models/TeacherQualification");
+const TeacherCertification = require("../models/TeacherCertification");
+const { parseCvText } = require("../utils/cvParser");
+const { getTeacherProfileForUser } = require("../utils/getTeacherprofile");
+const { computeProfileCompletion } = require("./profileCompletionService");
+
+const CV_IMPORT_FORMATS = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+  "text/plain": "text",
+};
+
+// Enough for any real CV; keeps parsing cheap on odd uploads
+const MAX_TEXT_LENGTH = 50000;
+
+// Draft sections, the model each is created with and the fields a draft
+// entry needs before it can be confirmed
+const SECTIONS = {
+  employment: {
+    model: TeacherEmployment,
+    required: ["jobTitle", "employer"],
+  },
+  education: {
+    model: TeacherEducation,
+    required: ["degree", "institution"],
+  },
+  qualifications: {
+    model: TeacherQualification,
+    required: ["title"],
+  },
+  certifications: {
+    model: TeacherCertification,
+    required: ["certificationName", "issuingOrganization", "issueDate"],
+  },
+};
+
+class CvImportService {
+  /**
+   * Extract plain text from an uploaded CV
+   * @param {Object} file - Multer file (memory storage)
+   * @returns {Promise<string>}
+   */
+  static async extractText(file) {
+    const format = CV_IMPORT_FORMATS[file.mimetype];
+    if (!format) {
+      throw new Error("CV must be a PDF, DOCX or plain-text file");
+    }
+
+    let text;
+    try {
+      if (format === "pdf") {
+        // Copy into a fresh array: pdf.js reads the whole underlying
+        // ArrayBuffer, which for small uploads is Node's shared buffer pool
+        text = (await pdfParse(new Uint8Array(file.buffer))).text;
+      } else if (format === "docx") {
+        // Raw text puts a blank line after every paragraph
+        text = (
+          await mammoth.extractRawText({ buffer: file.buffer })
+        ).value.replace(/\n\n/g, "\n");
+      } else {
+        text = file.buffer.toString("utf8");
+      }
+    } catch (error) {
+      throw new Error("Could not read the CV file");
+    }
+
+    return text.slice(0, MAX_TEXT_LENGTH);
+  }
+
+  /**
+   * Parse an uploaded CV into a reviewable draft of profile entries.
+   * Nothing is saved; the teacher edits the draft and confirms it.
+   * @param {string} userId - Teacher's user ID
+   * @param {Object} file - Multer file (memory storage)
+   * @returns {Promise<Object>} - { draft, warnings }
+   */
+  static async createDraft(userId, file) {
+    await getTeacherProfileForUser(userId);
+
+    const text = await this.extractText(file);
+    if (!text.trim()) {
+      throw new Error(
+        "No text found in the CV. Scanned documents are not supported"
+      );
+    }
+
+    const draft = parseCvText(text);
+    const warnings = [];
+
+    Object.keys(SECTIONS).forEach((section) => {
+      draft[section] = draft[section].map((entry) => ({
+        ...entry,
+        missingFields: SECTIONS[section].required.filter(
+          (field) => !entry[field]
+        ),
+      }));
+    });
+
+    const total = Object.keys(SECTIONS).reduce(
+      (sum, section) => sum + draft[section].length,
+      0
+    );
+    if (!total) {
+      warnings.push(
+        "No employment, education, qualification or certification sections were recognised"
+      );
+    }
+    Object.keys(SECTIONS).forEach((section) => {
+      const incomplete = draft[section].filter(
+        (entry) => entry.missingFields.length
+      ).length;
+      if (incomplete) {
+        warnings.push(
+          `${incomplete} ${section} ${
+            incomplete === 1 ? "entry is" : "entries are"
+          } missing required fields`
+        );
+      }
+    });
+
+    return { draft, warnings };
+  }
+
+  /**
+   * Create profile entries from a confirmed draft and recalculate
+   * profile completion. Every entry is validated before any is saved.
+   * @param {string} userId - Teacher's user ID
+   * @param {Object} draft - { employment, education, qualifications, certifications }
+   * @returns {Promise<Object>} - { created, profileCompletion }
+   */
+  static async confirmDraft(userId, draft) {
+    const { teacherProfile } = await getTeacherProfileForUser(userId);
+
+    const errors = [];
+    const docsBySection = {};
+
+    for (const [section, { model, required }] of Object.entries(SECTIONS)) {
+      docsBySection[section] = [];
+
+      for (const [index, entry] of (draft[section] || []).entries()) {
+        const missing = required.filter((field) => !entry[field]);
+        if (missing.length) {
+          errors.push(`${section}[${index}]: missing ${missing.join(", ")}`);
+          continue;
+        }
+
+        const doc = new model({ ...entry, teacherId: teacherProfile._id });
+        try {
+          await doc.validate();
+          docsBySection[section].push(doc);
+        } catch (error) {
+          errors.push(`${section}[${index}]: ${error.message}`);
+        }
+      }
+    }
+
+    if (errors.length) {
+      const error = new Error("Some CV entries could not be saved");
+      error.status = 400;
+      error.errors = errors;
+      throw error;
+    }
+
+    const created = {};
+    for (const [section, { model }] of Object.entries(SECTIONS)) {
+      const docs = docsBySection[section];
+      created[section] = docs.length ? await model.insertMany(docs) : [];
+    }
+
+    const completion = await computeProfileCompletion(teacherProfile);
+
+    // Update only the completion fields without triggering full validation
+    await TeacherProfile.findByIdAndUpdate(teacherProfile._id, {
+      profileCompletion: completion,
+      isProfileComplete: completion === 100,
+    });
+
+    return { created, profileCompletion: completion };
+  }
+}
+
+module.exports = CvImportService;
@@ -0,0 +1,311 @@
+const PDFDocument = require("pdfkit");
+const TeacherProfile = require("../models/TeacherProfile");
+const TeacherEmployment = require("../models/TeacherEmployment");
+const TeacherEducation = require("../models/TeacherEducation");
+const TeacherQualification = require("../models/TeacherQualification");
+const TeacherCertification = require("../models/TeacherCertification");
+const TeacherDevelopment = require("../models/TeacherDevelopment");
+const TeacherMembership = require("../models/TeacherMembership");
+const TeacherActivity = require("../models/TeacherActivity");
+const TeacherDependent = require("../models/TeacherDependent");
+const TeacherReferee = require("../models/TeacherReferee");
+const {
+  uploadToCloudinary,
+  deleteFromCloudinary,
+} = require("../utils/cloudinary");
+const {
+  CV_LAYOUTS,
+  CV_HIDEABLE_FIELDS,
+  writeCv,
+  getCvDocumentOptions,
+  formatCvDate,
+  formatCvPeriod,
+} = require("../utils/cvPdf");
+
+const byStartDateDesc = (a, b) =>
+  new Date(b.startDate || 0) - new Date(a.startDate || 0);
+
+class CvService {
+  /**
+   * Normalise CV options from a query string or request body.
+   * `hide` may be an array or a comma-separated list; when omitted every
+   * sensitive field is hidden, and "none" shows them all.
+   * @param {Object} options - { layout, hide }
+   * @returns {{ layout: string, hide: string[] }}
+   */
+  static parseOptions(options = {}) {
+    const layout = options.layout || "classic";
+    if (!CV_LAYOUTS.includes(layout)) {
+      throw new Error(`Layout must be one of: ${CV_LAYOUTS.join(", ")}`);
+    }
+
+    if (options.hide === undefined) {
+      return { layout, hide: [...CV_HIDEABLE_FIELDS] };
+    }
+
+    const hide = (
+      Array.isArray(options.hide)
+        ? options.hide
+        : String(options.hide).split(",")
+    )
+      .map((field) => String(field).trim())
+      .filter((field) => field && field !== "none");
+
+    const unknown = hide.filter((field) => !CV_HIDEABLE_FIELDS.includes(field));
+    if (unknown.length) {
+      throw new Error(
+        `Hidden fields must be from: ${CV_HIDEABLE_FIELDS.join(", ")}`
+      );
+    }
+
+    return { layout, hide: [...new Set(hide)] };
+  }
+
+  /**
+   * Get the teacher profile for a user
+   */
+  static async getProfileForUser(userId) {
+    const teacherProfile = await TeacherProfile.findOne({ userId });
+    if (!teacherProfile) {
+      throw new Error("Teacher profile not found");
+    }
+    return teacherProfile;
+  }
+
+  /**
+   * Gather a teacher's profile sections into CV content for the PDF layouts
+   * @param {Object} teacherProfile - TeacherProfile document
+   * @param {string[]} hide - Fields from CV_HIDEABLE_FIELDS to leave out
+   * @returns {Promise<Object>} - CV content
+   */
+  static async buildCv(teacherProfile, hide = CV_HIDEABLE_FIELDS) {
+    const teacherId = teacherProfile._id;
+    // Activities and dependents have been stored against the user id by the
+    // profile endpoints, so match either id
+    const ownerIds = [teacherProfile._id, teacherProfile.userId];
+    const showDependents = !hide.includes("dependents");
+
+    const [
+      employment,
+      education,
+      qualifications,
+      certifications,
+      development,
+      memberships,
+      activities,
+      dependents,
+      refereeCount,
+    ] = await Promise.all([
+      TeacherEmployment.find({ teacherId }).lean(),
+      TeacherEducation.find({ teacherId }).lean(),
+      TeacherQualification.find({ teacherId }).sort({ issueDate: -1 }).lean(),
+      TeacherCertification.find({ teacherId }).sort({ issueDate: -1 }).lean(),
+      TeacherDevelopment.find({ teacherId })
+        .sort({ completionDate: -1 })
+        .lean(),
+      TeacherMembership.find({ teacherId }).sort({ joinDate: -1 }).lean(),
+      TeacherActivity.find({ teacherId: { $in: ownerIds } }).lean(),
+      showDependents
+        ? TeacherDependent.find({ teacherId: { $in: ownerIds } }).lean()
+        : [],
+      TeacherReferee.countDocuments({ teacherId }),
+    ]);
+
+    const showPassport = !hide.includes("passportNumber");
+
+    const sections = [
+      {
+        heading: "Teaching Experience",
+        entries: employment.sort(byStartDateDesc).map((job) => ({
+          title: job.jobTitle,
+          subtitle: job.employer,
+          period: formatCvPeriod(job.startDate, job.endDate, job.isCurrent),
+          lines: [job.location],
+          bullets: job.responsibilities,
+        })),
+      },
+      {
+        heading: "Education",
+        entries: education.sort(byStartDateDesc).map((item) => ({
+          title: [item.degree, item.fieldOfStudy].filter(Boolean).join(" in "),
+          subtitle: item.institution,
+          period: formatCvPeriod(item.startDate, item.endDate),
+          lines: [
+            item.gpa && `GPA: ${item.gpa}`,
+            item.thesisTitle && `Thesis: ${item.thesisTitle}`,
+          ],
+          bullets: item.honorsAwards,
+        })),
+      },
+      {
+        heading: "Teaching Qualifications",
+        entries: qualifications.map((item) => ({
+          title: item.title,
+          subtitle: item.issuingInstitution,
+          period: formatCvPeriod(item.issueDate, item.expiryDate),
+          lines: [
+            item.subjectArea && `Subject area: ${item.subjectArea}`,
+            item.ageRanges &&
+              item.ageRanges.length &&
+              `Age ranges: ${item.ageRanges.join(", ")}`,
+            item.description,
+          ],
+        })),
+      },
+      {
+        heading: "Certifications",
+        entries: certifications.map((item) => ({
+          title: item.certificationName,
+          subtitle: item.issuingOrganization,
+          period: formatCvPeriod(item.issueDate, item.expiryDate),
+          lines: [
+            item.credentialId && `Credential ID: ${item.credentialId}`,
+            item.description,
+          ],
+        })),
+      },
+      {
+        heading: "Professional Development",
+        entries: development.map((item) => ({
+          title: item.title,
+          subtitle: item.provider,
+          period: formatCvDate(item.completionDate),
+          lines: [[item.type, item.duration].filter(Boolean).join(", ")],
+          bullets: item.skillsGained,
+        })),
+      },
+      {
+        heading: "Professional Memberships",
+        entries: memberships.map((item) => ({
+          title: item.organizationName,
+          subtitle: item.membershipType,
+          period: formatCvPeriod(item.joinDate, item.expiryDate),
+          lines: [item.status && `Status: ${item.status}`],
+        })),
+      },
+      {
+        heading: "Activities",
+        entries: activities.sort(byStartDateDesc).map((item) => ({
+          title: item.activityName,
+          subtitle: [item.role, item.organization].filter(Boolean).join(", "),
+          period: formatCvPeriod(item.startDate, item.endDate, item.isCurrent),
+          lines: [item.description],
+          bullets: item.achievements,
+        })),
+      },
+      {
+        heading: "Accompanying Dependents",
+        entries: dependents.map((item) => ({
+          title: item.fullName,
+          subtitle: item.relationship,
+          lines: [
+            `Age: ${item.age}`,
+            item.nationality && `Nationality: ${item.nationality}`,
+            showPassport &&
+              item.passportNumber &&
+              `Passport: ${item.passportNumber}`,
+          ],
+        })),
+      },
+    ];
+
+    return {
+      fullName: `${teacherProfile.firstName} ${teacherProfile.lastName}`,
+      professionalTitle: teacherProfile.professionalTitle,
+      email: teacherProfile.email,
+      phoneNumber: teacherProfile.phoneNumber,
+      location: [teacherProfile.city, teacherProfile.country]
+        .filter(Boolean)
+        .join(", "),
+      linkedin: teacherProfile.linkedin,
+      personalDetails: [
+        ["Nationality", teacherProfile.nationality],
+        [
+          "Date of birth",
+          !hide.includes("dateOfBirth") &&
+            teacherProfile.dateOfBirth &&
+            new Date(teacherProfile.dateOfBirth).toLocaleDateString("en-GB", {
+              day: "numeric",
+              month: "long",
+              year: "numeric",
+            }),
+        ],
+        ["Passport", showPassport && teacherProfile.passportNumber],
+        [
+          "Teaching experience",
+          `${teacherProfile.yearsOfTeachingExperience} years`,
+        ],
+      ],
+      summary: teacherProfile.professionalBio,
+      achievements: teacherProfile.keyAchievements || [],
+      languages: (teacherProfile.languages || []).map(
+        (item) => `${item.language} (${item.proficiency})`
+      ),
+      sections,
+      refereesAvailable: refereeCount > 0,
+    };
+  }
+
+  /**
+   * Render CV content to a PDF buffer
+   * @param {Object} cv - CV content from buildCv
+   * @param {string} layout - One of CV_LAYOUTS
+   * @returns {Promise<Buffer>}
+   */
+  static renderPdf(cv, layout) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument(getCvDocumentOptions(layout));
+      const chunks = [];
+
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      writeCv(doc, cv, layout);
+      doc.end();
+    });
+  }
+
+  /**
+   * Generate a CV snapshot and upload it so it can be attached to an
+   * application as the resume
+   * @param {Object} teacherProfile - TeacherProfile document
+   * @param {Object} options - { layout, hide }
+   * @returns {Promise<Object>} - { url, publicId, layout, hiddenFields, generatedAt }
+   */
+  static async createSnapshot(teacherProfile, options = {}) {
+    const { layout, hide } = this.parseOptions(options);
+    const cv = await this.buildCv(teacherProfile, hide);
+    const buffer = await this.renderPdf(cv, layout);
+
+    const generatedAt = new Date();
+    const result = await uploadToCloudinary(buffer, {
+      folder: "cvs",
+      public_id: `cv-${teacherProfile._id}-${generatedAt.getTime()}.pdf`,
+      resource_type: "raw",
+      overwrite: false,
+    });
+
+    return {
+      url: result.secure_url,
+      publicId: result.public_id,
+      layout,
+      hiddenFields: hide,
+      generatedAt,
+    };
+  }
+
+  /**
+   * Remove an uploaded CV snapshot that was never attached to an application
+   * @param {string} publicId - Cloudinary public ID of the snapshot
+   */
+  static async deleteSnapshot(publicId) {
+    try {
+      await deleteFromCloudinary(publicId, { resource_type: "raw" });
+    } catch (error) {
+      console.error(`Failed to delete CV snapshot ${publicId}:`, error.message);
+    }
+  }
+}
+
+module.exports = CvService;
@@ -14,6 +14,17 @@ const UserProfile = require("../models/UserProfile");
 const TeacherProfile = require("../models/TeacherProfile");
 const SchoolProfile = require("../models/SchoolProfile");
 const JobApplication = require("../models/JobApplication");
+const Offer = require("../models/Offer");
+const ReferenceRequest = require("../models/ReferenceRequest");
+const CredentialVerification = require("../models/CredentialVerification");
+const TalentPoolSavedSearch = require("../models/TalentPoolSavedSearch");
+const SavedTeacher = require("../models/SavedTeacher");
+const Shortlist = require("../models/Shortlist");
+const SchoolMember = require("../models/SchoolMember");
+const SchoolGroup = require("../models/SchoolGroup");
+const ApplicationEvent = require("../models/ApplicationEvent");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
 const SavedJob = require("../models/SavedJob");
 const Discussion = require("../models/Discussion");
 const Reply = require("../models/Reply");
@@ -65,6 +76,19 @@ const processPendingDeletions = async () => {
  * Delete all user data (GDPR Article 17 - Right to Erasure)
  */
 const deleteUserData = async (userId) => {
+  const teacherConversationIds = await Conversation.find({
+    teacherUserId: userId,
+  }).distinct("_id");
+  const teacherProfileIds = await TeacherProfile.find({ userId }).distinct(
+    "_id"
+  );
+  const schoolProfileIds = await SchoolProfile.find({ userId }).distinct("_id");
+  const ownedSchoolIds = await SchoolMember.find({
+    userId,
+    role: "owner",
+    status: "active",
+  }).distinct("schoolId");
+
   // Delete related data first
   await Promise.all([
     UserProfile.deleteMany({ userId }),
@@ -72,6 +96,18 @@ const deleteUserData = async (userId) => {
     SchoolProfile.deleteMany({ userId }),
     JobApplication.deleteMany({ teacherId: userId }),
     SavedJob.deleteMany({ userId }),
+    TalentPoolSavedSearch.deleteMany({ userId }),
+    // Shortlist entries hold schools' notes about the teacher
+    SavedTeacher.deleteMany({
+      $or: [
+        { teacherProfileId: { $in: teacherProfileIds } },
+        { schoolId: { $in: schoolProfileIds } },
+      ],
+    }),
+    Shortlist.deleteMany({ schoolId: { $in: schoolProfileIds } }),
+    SchoolMember.deleteMany({
+      $or: [{ userId }, { schoolId: { $in: schoolProfileIds } }],
+    }),
     Discussion.deleteMany({ authorId: userId }),
     Reply.deleteMany({ authorId: userId }),
     RefreshToken.deleteMany({ userId }),
@@ -84,8 +120,63 @@ const deleteUserData = async (userId) => {
       { userId },
       { $set: { userId: null, ipAddress: null, userAgent: null } }
     ),
+    // Keep the application audit log but remove the actor reference
+    ApplicationEvent.anonymizeActor(userId),
+    // Erase the user's messages and a teacher's conversations entirely
+    Message.deleteMany({
+      $or: [
+        { senderId: userId },
+        { conversationId: { $in: teacherConversationIds } },
+      ],
+    }),
+    Conversation.deleteMany({ teacherUserId: userId }),
+    // References are about the teacher and are erased with them
+    ReferenceRequest.deleteMany({ teacherId: { $in: teacherProfileIds } }),
+    // Verification evidence is identity data and goes with the teacher
+    CredentialVerification.deleteMany({
+      teacherId: { $in: teacherProfileIds },
+    }),
+    // Keep signed offers as hiring records but drop the signer's network data
+    Offer.updateMany(
+      { teacherId: { $in: teacherProfileIds } },
+      { $set: { "signature.ipAddress": null, "signature.userAgent": null } }
+    ),
   ]);
 
+  // Groups owned by the user are dissolved; campuses become independent
+  const ownedGroupIds = await SchoolGroup.find({
+    ownerUserId: userId,
+  }).distinct("_id");
+  await SchoolProfile.updateMany(
+    { groupId: { $in: ownedGroupIds } },
+    { $set: { groupId: null } }
+  );
+  await Promise.all([
+    SchoolGroup.deleteMany({ _id: { $in: ownedGroupIds } }),
+    SchoolGroup.updateMany(
+      {},
+      {
+        $pull: {
+          adminUserIds: userId,
+          campusRequests: { schoolId: { $in: schoolProfileIds } },
+        },
+      }
+    ),
+  ]);
+
+  // Schools this staff member owned go back to their primary account
+  const ownedSchools = await SchoolProfile.find({
+    _id: { $in: ownedSchoolIds },
+  }).select("userId");
+  await Promise.all(
+    ownedSchools.map((school) =>
+      SchoolMember.updateOne(
+        { schoolId: school._id, userId: school.userId, status: "active" },
+        { $set: { role: "owner" } }
+      )
+    )
+  );
+
   // Finally delete the user
   await User.findByIdAndDelete(userId);
 };
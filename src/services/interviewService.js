@@ -0,0 +1,645 @@
+const Interview = require("../models/Interview");
+const JobApplication = require("../models/JobApplication");
+const JobNotification = require("../models/JobNotification");
+const ApplicationEvent = require("../models/ApplicationEvent");
+const SchoolProfile = require("../models/SchoolProfile");
+const TeacherProfile = require("../models/TeacherProfile");
+const PipelineService = require("./pipelineService");
+const { sendInterviewEmail } = require("../config/email");
+const { buildCalendarEvent } = require("../utils/icsGenerator");
+
+const FORMAT_LABELS = {
+  in_person: "In person",
+  video: "Video call",
+  phone: "Phone call",
+};
+
+// Application statuses that move to "interviewed" once a round is scheduled
+const PRE_INTERVIEW_STATUSES = ["pending", "reviewing", "shortlisted"];
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+/**
+ * Format the interview time in the timezone it was scheduled in
+ */
+const formatWhen = (interview) => {
+  const options = { dateStyle: "full", timeStyle: "short" };
+  try {
+    return `${new Date(interview.scheduledAt).toLocaleString("en-GB", {
+      ...options,
+      timeZone: interview.timezone,
+    })} (${interview.timezone})`;
+  } catch (error) {
+    return `${new Date(interview.scheduledAt).toLocaleString("en-GB", {
+      ...options,
+      timeZone: "UTC",
+    })} (UTC)`;
+  }
+};
+
+class InterviewService {
+  /**
+   * Get an application and verify that the school owns its job
+   */
+  static async getApplicationForSchool(applicationId, schoolId) {
+    const application = await JobApplication.findById(applicationId).populate(
+      "jobId",
+      "title schoolId"
+    );
+
+    if (!application) {
+      throw new Error("Application not found");
+    }
+
+    if (
+      !application.jobId ||
+      !schoolId ||
+      application.jobId.schoolId.toString() !== schoolId.toString()
+    ) {
+      throw new Error("Access denied to this application");
+    }
+
+    return application;
+  }
+
+  /**
+   * Get an application and verify that it belongs to the teacher user
+   */
+  static async getApplicationForTeacher(applicationId, userId) {
+    const teacherProfile = await TeacherProfile.findOne({ userId }).select(
+      "_id"
+    );
+    if (!teacherProfile) {
+      throw new Error("Teacher profile not found");
+    }
+
+    const application = await JobApplication.findOne({
+      _id: applicationId,
+      teacherId: teacherProfile._id,
+    }).populate("jobId", "title schoolId");
+
+    if (!application) {
+      throw new Error("Application not found or access denied");
+    }
+
+    return application;
+  }
+
+  /**
+   * Get an interview that belongs to the application
+   */
+  static async getInterview(applicationId, interviewId) {
+    const interview = await Interview.findOne({
+      _id: interviewId,
+      applicationId,
+    });
+
+    if (!interview) {
+      throw new Error("Interview not found");
+    }
+
+    return interview;
+  }
+
+  /**
+   * Schedule a new interview round
+   */
+  static async scheduleInterview(applicationId, schoolId, userId, data) {
+    try {
+      const application = await this.getApplicationForSchool(
+        applicationId,
+        schoolId
+      );
+
+      if (["withdrawn", "rejected"].includes(application.status)) {
+        throw new Error(
+          `Cannot schedule an interview for a ${application.status} application`
+        );
+      }
+
+      if (application.lockedAt) {
+        throw new Error("Application is locked after the offer was accepted");
+      }
+
+      const round =
+        data.round ||
+        (await Interview.countDocuments({ applicationId: application._id })) +
+          1;
+
+      const interview = new Interview({
+        ...data,
+        round,
+        applicationId: application._id,
+        jobId: application.jobId._id,
+        schoolId: application.jobId.schoolId,
+        teacherId: application.teacherId,
+        createdBy: userId,
+      });
+      interview.addHistory("scheduled", "school", data.instructions);
+      await interview.save();
+
+      await this.recordEvent(interview, "scheduled", {
+        userId,
+        role: "school",
+        note: data.instructions,
+      });
+
+      // Keep the legacy application fields in sync with the latest round.
+      // The application moves to the pipeline's interview stage when the
+      // pipeline has one and allows the move.
+      const previousStatus = application.status;
+      const pipeline = await PipelineService.getPipelineForJob(
+        application.jobId
+      );
+      const fromStage = PipelineService.resolveCurrentStage(
+        pipeline,
+        application
+      );
+      const interviewStage = pipeline.getStageForStatus("interviewed");
+      const moveToInterviewStage =
+        PRE_INTERVIEW_STATUSES.includes(previousStatus) &&
+        interviewStage &&
+        pipeline.canTransition(fromStage && fromStage.key, interviewStage.key);
+
+      if (moveToInterviewStage) {
+        application.status = "interviewed";
+        application.stage = interviewStage.key;
+        application.stageEnteredAt = new Date();
+        application.reviewedBy = userId;
+        application.reviewedAt = new Date();
+      }
+      application.interviewDate = interview.scheduledAt;
+      await application.save();
+
+      if (moveToInterviewStage) {
+        await ApplicationEvent.recordSafely({
+          applicationId: application._id,
+          jobId: application.jobId._id,
+          type: "status_change",
+          action: "status_changed",
+          actor: { userId, role: "school" },
+          fromState: previousStatus,
+          toState: application.status,
+          metadata: {
+            interviewId: interview._id,
+            fromStage: fromStage ? fromStage.key : null,
+            fromStageName: fromStage ? fromStage.name : null,
+            toStage: interviewStage.key,
+            toStageName: interviewStage.name,
+          },
+        });
+      }
+
+      await this.notifyParties(interview, application, "scheduled");
+
+      return interview;
+    } catch (error) {
+      throw new Error(`Failed to schedule interview: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all interview rounds for an application
+   */
+  static async getInterviews(applicationId, user) {
+    try {
+      const isTeacher = user.role === "teacher";
+      const application = isTeacher
+        ? await this.getApplicationForTeacher(applicationId, user.userId)
+        : await this.getApplicationForSchool(applicationId, user.schoolId);
+
+      const interviews = await Interview.find({
+        applicationId: application._id,
+      }).sort({ round: 1, scheduledAt: 1 });
+
+      return interviews.map((interview) =>
+        isTeacher
+          ? interview.toTeacherObject()
+          : interview.toObject({ virtuals: true })
+      );
+    } catch (error) {
+      throw new Error(`Failed to get interviews: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update interview details or move it to a new time (school)
+   */
+  static async updateInterview(
+    applicationId,
+    interviewId,
+    schoolId,
+    userId,
+    data
+  ) {
+    try {
+      const application = await this.getApplicationForSchool(
+        applicationId,
+        schoolId
+      );
+      const interview = await this.getInterview(application._id, interviewId);
+
+      if (!interview.isOpen()) {
+        throw new Error(`Cannot update a ${interview.status} interview`);
+      }
+
+      const { note, ...changes } = data;
+      const previousStatus = interview.status;
+      const rescheduled =
+        changes.scheduledAt &&
+        new Date(changes.scheduledAt).getTime() !==
+          interview.scheduledAt.getTime();
+
+      Object.assign(interview, changes);
+      interview.sequence += 1;
+
+      if (rescheduled) {
+        interview.status = "scheduled";
+        interview.proposedSlots = [];
+        interview.addHistory("rescheduled", "school", note);
+      } else {
+        interview.addHistory("updated", "school", note);
+      }
+      await interview.save();
+
+      await this.recordEvent(
+        interview,
+        rescheduled ? "rescheduled" : "updated",
+        {
+          userId,
+          role: "school",
+          note,
+          fromStatus: previousStatus,
+        }
+      );
+
+      if (rescheduled) {
+        application.interviewDate = interview.scheduledAt;
+        await application.save();
+      }
+
+      await this.notifyParties(interview, application, "updated", note);
+
+      return interview;
+    } catch (error) {
+      throw new Error(`Failed to update interview: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel an interview (school)
+   */
+  static async cancelInterview(
+    applicationId,
+    interviewId,
+    schoolId,
+    userId,
+    reason
+  ) {
+    try {
+      const application = await this.getApplicationForSchool(
+        applicationId,
+        schoolId
+      );
+      const interview = await this.getInterview(application._id, interviewId);
+
+      if (!interview.isOpen() && interview.status !== "declined") {
+        throw new Error(`Cannot cancel a ${interview.status} interview`);
+      }
+
+      const previousStatus = interview.status;
+      interview.status = "cancelled";
+      interview.sequence += 1;
+      interview.addHistory("cancelled", "school", reason);
+      await interview.save();
+
+      await this.recordEvent(interview, "cancelled", {
+        userId,
+        role: "school",
+        note: reason,
+        fromStatus: previousStatus,
+      });
+
+      await this.notifyParties(interview, application, "cancelled", reason);
+
+      return interview;
+    } catch (error) {
+      throw new Error(`Failed to cancel interview: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark an interview as held and record internal feedback (school)
+   */
+  static async completeInterview(
+    applicationId,
+    interviewId,
+    schoolId,
+    userId,
+    feedback
+  ) {
+    try {
+      const application = await this.getApplicationForSchool(
+        applicationId,
+        schoolId
+      );
+      const interview = await this.getInterview(application._id, interviewId);
+
+      if (!interview.isOpen()) {
+        throw new Error(`Cannot complete a ${interview.status} interview`);
+      }
+
+      const previousStatus = interview.status;
+      interview.status = "completed";
+      if (feedback) interview.feedback = feedback;
+      interview.addHistory("completed", "school");
+      await interview.save();
+
+      // Feedback is internal, so only the school sees it in the timeline
+      await this.recordEvent(interview, "completed", {
+        userId,
+        role: "school",
+        fromStatus: previousStatus,
+      });
+      if (feedback) {
+        await ApplicationEvent.recordSafely({
+          applicationId: interview.applicationId,
+          jobId: interview.jobId,
+          type: "note",
+          action: "interview_feedback",
+          actor: { userId, role: "school" },
+          reason: feedback,
+          visibility: "school",
+          metadata: { interviewId: interview._id, round: interview.round },
+        });
+      }
+
+      return interview;
+    } catch (error) {
+      throw new Error(`Failed to complete interview: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accept, decline or ask to reschedule an interview (teacher)
+   */
+  static async respondToInterview(applicationId, interviewId, userId, data) {
+    try {
+      const { action, note, proposedSlots = [] } = data;
+
+      const application = await this.getApplicationForTeacher(
+        applicationId,
+        userId
+      );
+      const interview = await this.getInterview(application._id, interviewId);
+
+      if (!interview.isOpen()) {
+        throw new Error(`Cannot respond to a ${interview.status} interview`);
+      }
+
+      const statusByAction = {
+        accept: "accepted",
+        decline: "declined",
+        reschedule: "reschedule_requested",
+      };
+
+      const previousStatus = interview.status;
+      interview.status = statusByAction[action];
+      interview.teacherResponseNote = note;
+      interview.respondedAt = new Date();
+      interview.proposedSlots = action === "reschedule" ? proposedSlots : [];
+      interview.addHistory(statusByAction[action], "teacher", note);
+      await interview.save();
+
+      await this.recordEvent(interview, statusByAction[action], {
+        userId,
+        role: "teacher",
+        note,
+        fromStatus: previousStatus,
+      });
+
+      await this.notifyParties(interview, application, "response", note);
+
+      return interview.toTeacherObject();
+    } catch (error) {
+      throw new Error(`Failed to respond to interview: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the .ics invite for an interview
+   */
+  static buildCalendarInvite(interview, context, method = "REQUEST") {
+    const { jobTitle, school, teacher } = context;
+    const teacherName = `${teacher.firstName} ${teacher.lastName}`;
+
+    return {
+      method,
+      content: buildCalendarEvent({
+        uid: interview.calendarUid,
+        sequence: interview.sequence,
+        method,
+        start: interview.scheduledAt,
+        durationMinutes: interview.durationMinutes,
+        summary: `Interview: ${jobTitle} (${school.schoolName} / ${teacherName})`,
+        description: [
+          `Round ${interview.round} interview for ${jobTitle}.`,
+          `Format: ${FORMAT_LABELS[interview.type]}`,
+          interview.meetingUrl ? `Join: ${interview.meetingUrl}` : "",
+          interview.instructions || "",
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        location: interview.location || interview.meetingUrl || "",
+        url: interview.meetingUrl,
+        organizer: { name: school.schoolName, email: school.schoolEmail },
+        attendees: [
+          { name: teacherName, email: teacher.email },
+          ...interview.panel,
+        ],
+      }),
+    };
+  }
+
+  /**
+   * Notify both parties about an interview change.
+   * School-side changes go to the teacher in-app and to everyone by email
+   * with a calendar invite; teacher responses go to the school.
+   * Failures are logged and never fail the request.
+   *
+   * @param {string} event - 'scheduled' | 'updated' | 'cancelled' | 'response'
+   */
+  static async notifyParties(interview, application, event, note = "") {
+    try {
+      const [school, teacher] = await Promise.all([
+        SchoolProfile.findById(interview.schoolId)
+          .select("userId schoolName schoolEmail")
+          .lean(),
+        TeacherProfile.findById(interview.teacherId)
+          .select("userId firstName lastName email")
+          .lean(),
+      ]);
+      if (!school || !teacher) return;
+
+      const jobTitle = application.jobId.title;
+      const roundLabel = interview.title || `Round ${interview.round}`;
+      const teacherName = `${teacher.firstName} ${teacher.lastName}`;
+      const teacherUrl = `${frontendUrl()}/dashboard/teacher/applications/${application._id}`;
+      const schoolUrl = `${frontendUrl()}/dashboard/school/applications/${application._id}`;
+
+      const templateData = {
+        jobTitle,
+        roundLabel,
+        schoolName: school.schoolName,
+        when: formatWhen(interview),
+        duration: `${interview.durationMinutes} minutes`,
+        format: FORMAT_LABELS[interview.type],
+        location:
+          interview.location || interview.meetingUrl || "To be confirmed",
+        note: note || interview.instructions || "",
+      };
+
+      if (event === "response") {
+        const responses = {
+          accepted: `${teacherName} accepted the interview.`,
+          declined: `${teacherName} declined the interview.`,
+          reschedule_requested: `${teacherName} asked to reschedule the interview${
+            interview.proposedSlots.length > 0
+              ? ` and proposed ${interview.proposedSlots.length} alternative time(s)`
+              : ""
+          }.`,
+        };
+        const message = responses[interview.status];
+
+        await JobNotification.createNotification({
+          userId: school.userId,
+          jobId: interview.jobId,
+          type: "interview_response",
+          title: "Interview Response",
+          message: `${message} (${jobTitle}, ${roundLabel})`,
+          category: "application",
+          priority: interview.status === "accepted" ? "medium" : "high",
+          actionRequired: interview.status !== "accepted",
+          actionUrl: schoolUrl,
+          actionText: "View Interview",
+          metadata: {
+            applicationId: application._id.toString(),
+            interviewId: interview._id.toString(),
+          },
+        });
+
+        if (school.schoolEmail) {
+          await sendInterviewEmail(school.schoolEmail, "response", {
+            ...templateData,
+            heading: "Interview Response",
+            userName: school.schoolName,
+            message,
+            actionUrl: schoolUrl,
+          });
+        }
+        return;
+      }
+
+      const headings = {
+        scheduled: "Interview Scheduled",
+        updated: "Interview Updated",
+        cancelled: "Interview Cancelled",
+      };
+      const messages = {
+        scheduled: `${school.schoolName} has invited you to an interview for "${jobTitle}".`,
+        updated: `${school.schoolName} has updated your interview for "${jobTitle}".`,
+        cancelled: `${school.schoolName} has cancelled your interview for "${jobTitle}".`,
+      };
+      const invite = this.buildCalendarInvite(
+        interview,
+        { jobTitle, school, teacher },
+        event === "cancelled" ? "CANCEL" : "REQUEST"
+      );
+
+      await JobNotification.createNotification({
+        userId: teacher.userId,
+        jobId: interview.jobId,
+        type: `interview_${event}`,
+        title: headings[event],
+        message: `${messages[event]} ${templateData.when}.`,
+        category: "application",
+        priority: "high",
+        actionRequired: event !== "cancelled",
+        actionUrl: teacherUrl,
+        actionText: "View Interview",
+        metadata: {
+          applicationId: application._id.toString(),
+          interviewId: interview._id.toString(),
+        },
+      });
+
+      const recipients = [
+        { email: teacher.email, name: teacher.firstName, url: teacherUrl },
+        { email: school.schoolEmail, name: school.schoolName, url: schoolUrl },
+        ...interview.panel.map((member) => ({
+          email: member.email,
+          name: member.name,
+          url: schoolUrl,
+        })),
+      ].filter((recipient) => recipient.email);
+
+      for (const recipient of recipients) {
+        const result = await sendInterviewEmail(
+          recipient.email,
+          event,
+          {
+            ...templateData,
+            heading: headings[event],
+            userName: recipient.name,
+            message:
+              recipient.email === teacher.email
+                ? messages[event]
+                : `${headings[event]}: ${teacherName} for "${jobTitle}".`,
+            actionUrl: recipient.url,
+          },
+          invite
+        );
+        if (!result.success) {
+          console.error(
+            `[Interview] Email to ${recipient.email} failed:`,
+            result.error
+          );
+        }
+      }
+    } catch (error) {
+      console.error(
+        `[Interview] Failed to notify parties for interview ${interview._id}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Append an interview change to the application event log
+   * @param {Object} interview - Saved interview
+   * @param {string} action - History action (e.g. 'scheduled', 'declined')
+   * @param {Object} options - { userId, role, note, fromStatus }
+   */
+  static async recordEvent(interview, action, options = {}) {
+    const { userId, role, note, fromStatus = null } = options;
+
+    return ApplicationEvent.recordSafely({
+      applicationId: interview.applicationId,
+      jobId: interview.jobId,
+      type: "interview",
+      action,
+      actor: { userId, role },
+      fromState: fromStatus,
+      toState: interview.status,
+      reason: note,
+      metadata: {
+        interviewId: interview._id,
+        round: interview.round,
+        title: interview.title,
+        scheduledAt: interview.scheduledAt,
+      },
+    });
+  }
+}
+
+module.exports = InterviewService;
@@ -65,6 +65,61 @@ async function generateInvoice(saleId, buyerDetails = {}) {
   }
 }
 
+/**
+ * Generate one consolidated invoice for the sales of a cart checkout
+ * @param {Array<string>} saleIds - Sale IDs from the same checkout
+ * @param {object} buyerDetails - Additional buyer details
+ * @returns {Promise<object>} Created invoice
+ */
+async function generateCheckoutInvoice(saleIds, buyerDetails = {}) {
+  try {
+    const sale = await Sale.findById(saleIds[0]).populate(
+      "buyer",
+      "firstName lastName email role"
+    );
+
+    if (!sale) {
+      throw new Error("Sale not found");
+    }
+
+    // Check if invoice already exists
+    let invoice = await Invoice.findOne({ sales: { $in: saleIds } });
+    if (invoice) {
+      return invoice;
+    }
+
+    // Determine if buyer is B2B (School) or B2C (Teacher)
+    const buyer = await User.findById(sale.buyer?._id).populate("schoolProfile");
+    const isBusinessBuyer = buyer?.role === "school" || buyer?.role === "recruiter" || buyer?.role === "supplier";
+
+    // Merge buyer details
+    const finalBuyerDetails = {
+      name: buyerDetails.name ||
+        (sale.buyer ? `${sale.buyer.firstName} ${sale.buyer.lastName}` : "Guest"),
+      email: buyerDetails.email || sale.buyerEmail || sale.buyer?.email,
+      address: buyerDetails.address || { country: sale.buyerCountry || "GB" },
+      isBusinessBuyer: buyerDetails.isBusinessBuyer ?? isBusinessBuyer,
+      companyName: buyerDetails.companyName || buyer?.schoolProfile?.schoolName,
+      vatNumber: buyerDetails.vatNumber || buyer?.schoolProfile?.vatNumber,
+      vatNumberValidated: buyerDetails.vatNumberValidated || false,
+    };
+
+    // Create invoice
+    invoice = await Invoice.createFromSales(saleIds, finalBuyerDetails);
+
+    // Send invoice email
+    const settings = await PlatformSettings.getSettings();
+    if (settings.vat.invoiceSettings.sendToEmail) {
+      await sendInvoiceEmail(invoice);
+    }
+
+    return invoice;
+  } catch (error) {
+    console.error("Error generating checkout invoice:", error);
+    throw error;
+  }
+}
+
 /**
  * Send invoice email to buyer
  * @param {object} invoice - Invoice document
@@ -195,13 +250,27 @@ function generateInvoiceEmailHTML(invoice, settings) {
           </tr>
         </thead>
         <tbody>
+          ${invoice.lineItems.length ? invoice.lineItems.map((item) => `
+          <tr>
+            <td>
+              <strong>${item.title}</strong>
+              ${item.type ? `<br><small style="color: #666;">Type: ${item.type}</small>` : ""}
+              ${item.licenseType ? `<br><small style="color: #666;">License: ${item.licenseType}</small>` : ""}
+              ${item.seller ? `<br><small style="color: #666;">Sold by ${item.seller}</small>` : ""}
+              ${item.discountAmount ? `<br><small style="color: #666;">List price ${item.listPrice}, discount ${item.discountAmount}${item.discountDescription ? ` (${item.discountDescription})` : ""}</small>` : ""}
+            </td>
+            <td style="text-align: right;">${item.subtotal}</td>
+          </tr>
+          `).join("") : `
           <tr>
             <td>
               <strong>${invoice.resource.title}</strong>
               ${invoice.resource.type ? `<br><small style="color: #666;">Type: ${invoice.resource.type}</small>` : ""}
+              ${invoice.pricing.discountAmount ? `<br><small style="color: #666;">List price ${invoice.pricing.listPrice}, discount ${invoice.pricing.discountAmount}${invoice.pricing.discountDescription ? ` (${invoice.pricing.discountDescription})` : ""}</small>` : ""}
             </td>
             <td style="text-align: right;">${invoice.pricing.subtotal}</td>
           </tr>
+          `}
           ${invoice.pricing.vatApplied ? `
           <tr>
             <td>VAT (${invoice.pricing.vatRate})</td>
@@ -290,6 +359,7 @@ async function resendInvoiceEmail(invoiceId) {
 
 module.exports = {
   generateInvoice,
+  generateCheckoutInvoice,
   sendInvoiceEmail,
   getUserInvoices,
   resendInvoiceEmail,
@@ -0,0 +1,233 @@
+const mongoose = require("mongoose");
+const Job = require("../models/Job");
+const SchoolProfile = require("../models/SchoolProfile");
+const JobService = require("./jobService");
+const {
+  buildIndeedFeed,
+  buildRssFeed,
+  buildJobPosting,
+} = require("../utils/jobFeedGenerator");
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+const httpError = (message, status) =>
+  Object.assign(new Error(message), { status });
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Built feeds are served from memory for this long; job changes show up
+// once the entry expires
+const FEED_CACHE_TTL_MS = 15 * 60 * 1000;
+const FEED_CACHE_MAX_ENTRIES = 200;
+
+// Maximum number of jobs per feed
+const FEED_MAX_JOBS = 1000;
+
+const FILTER_FIELDS = ["country", "category", "school"];
+
+const feedCache = new Map();
+
+class JobFeedService {
+  /**
+   * Keep the supported filters (country, category, school slug or ID)
+   */
+  static normalizeFilters(query = {}) {
+    return FILTER_FIELDS.reduce((filters, field) => {
+      const value = query[field];
+      if (typeof value === "string" && value.trim()) {
+        filters[field] = value.trim().slice(0, 100);
+      }
+      return filters;
+    }, {});
+  }
+
+  /**
+   * Query for published jobs still accepting applications
+   */
+  static async buildQuery({ country, category, school } = {}) {
+    const query = {
+      status: "published",
+      applicationDeadline: { $gt: new Date() },
+      deletedAt: { $exists: false },
+    };
+
+    if (country) {
+      query.country = { $regex: `^${escapeRegex(country)}$`, $options: "i" };
+    }
+    if (category) {
+      query.positionCategory = {
+        $regex: `^${escapeRegex(category)}$`,
+        $options: "i",
+      };
+    }
+    if (school) {
+      const slug = school.toLowerCase();
+      const profile = await SchoolProfile.findOne(
+        /^[a-f0-9]{24}$/i.test(school)
+          ? { $or: [{ _id: school }, { slug }] }
+          : { slug }
+      ).select("_id");
+      // Unknown schools give an empty feed
+      query.schoolId = profile ? profile._id : null;
+    }
+
+    return query;
+  }
+
+  /**
+   * Frontend job page, tagged with UTM parameters when a feed source is given
+   */
+  static jobUrl(job, source) {
+    const url = `${frontendUrl()}/dashboard/teacher/jobs/${job._id}`;
+    if (!source) return url;
+
+    const params = new URLSearchParams({
+      utm_source: source,
+      utm_medium: "job_feed",
+      utm_campaign: "syndication",
+    });
+    return `${url}?${params}`;
+  }
+
+  /**
+   * Map a job (with populated school) to the fields the feed builders use.
+   * Salaries are only included when the school discloses them.
+   */
+  static toFeedJob(job, source) {
+    const school = job.schoolId || {};
+    const salaryShown = !!(
+      job.salaryDisclose &&
+      (job.salaryMin || job.salaryMax)
+    );
+
+    return {
+      id: job._id.toString(),
+      title: job.title,
+      description: job.description,
+      url: this.jobUrl(job, source),
+      company: school.schoolName || job.organization,
+      companyUrl: school.schoolWebsite || undefined,
+      city: job.city,
+      country: job.country,
+      category: job.positionCategory,
+      jobType: job.jobType,
+      qualification: job.qualification,
+      minExperience: job.minExperience,
+      salary: salaryShown
+        ? {
+            min: job.salaryMin,
+            max: job.salaryMax,
+            currency: job.currency || "USD",
+          }
+        : null,
+      salaryText: salaryShown ? JobService.calculateSalaryRange(job) : null,
+      datePosted: job.publishedAt || job.createdAt,
+      validThrough: job.applicationDeadline,
+    };
+  }
+
+  /**
+   * Feed jobs matching the filters, newest first
+   */
+  static async getFeedJobs(filters, source) {
+    const query = await this.buildQuery(filters);
+    const jobs = await Job.find(query)
+      .populate("schoolId", "schoolName schoolWebsite")
+      .sort({ publishedAt: -1 })
+      .limit(FEED_MAX_JOBS)
+      .lean();
+
+    return jobs.map((job) => this.toFeedJob(job, source));
+  }
+
+  /**
+   * Serve a feed from the cache, building it when missing or expired
+   * @param {string} format - Feed format (cache namespace)
+   * @param {Object} query - Request query
+   * @param {Function} build - async (filters) => feed content
+   */
+  static async getCachedFeed(format, query, build) {
+    const filters = this.normalizeFilters(query);
+    const key = `${format}:${JSON.stringify(filters)}`;
+
+    const cached = feedCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.content;
+    }
+
+    const content = await build(filters);
+
+    feedCache.delete(key);
+    if (feedCache.size >= FEED_CACHE_MAX_ENTRIES) {
+      // Drop the oldest entry
+      feedCache.delete(feedCache.keys().next().value);
+    }
+    feedCache.set(key, { content, expiresAt: Date.now() + FEED_CACHE_TTL_MS });
+
+    return content;
+  }
+
+  /**
+   * Empty the feed cache
+   */
+  static clearCache() {
+    feedCache.clear();
+  }
+
+  /**
+   * Indeed-style XML feed
+   * @param {Object} query - { country, category, school }
+   */
+  static getIndeedFeed(query) {
+    return this.getCachedFeed("indeed", query, async (filters) =>
+      buildIndeedFeed(await this.getFeedJobs(filters, "indeed"), {
+        publisherUrl: frontendUrl(),
+      })
+    );
+  }
+
+  /**
+   * RSS 2.0 feed
+   * @param {Object} query - { country, category, school }
+   */
+  static getRssFeed(query) {
+    return this.getCachedFeed("rss", query, async (filters) => {
+      const scope = [
+        filters.category,
+        filters.country && `in ${filters.country}`,
+      ]
+        .filter(Boolean)
+        .join(" ");
+
+      return buildRssFeed(await this.getFeedJobs(filters, "rss"), {
+        title: `Educate Global Hub jobs${scope ? ` - ${scope}` : ""}`,
+        link: `${frontendUrl()}/dashboard/teacher/jobs`,
+        description: "Published vacancies from schools on Educate Global Hub",
+      });
+    });
+  }
+
+  /**
+   * schema.org JobPosting JSON-LD for a job detail page
+   * @param {string} jobId - Job ID
+   */
+  static async getJobPosting(jobId) {
+    if (!mongoose.isValidObjectId(jobId)) {
+      throw httpError("Job not found", 404);
+    }
+
+    const job = await Job.findOne({
+      ...(await this.buildQuery()),
+      _id: jobId,
+    })
+      .populate("schoolId", "schoolName schoolWebsite")
+      .lean();
+    if (!job) {
+      throw httpError("Job not found", 404);
+    }
+
+    return buildJobPosting(this.toFeedJob(job));
+  }
+}
+
+module.exports = JobFeedService;
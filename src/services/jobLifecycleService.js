@@ -0,0 +1,226 @@
+const Job = require("../models/Job");
+const JobApplication = require("../models/JobApplication");
+const SchoolProfile = require("../models/SchoolProfile");
+const TeacherProfile = require("../models/TeacherProfile");
+const JobNotification = require("../models/JobNotification");
+const JobService = require("./jobService");
+const { createCronJob } = require("../utils/cronJob");
+
+const CRON_NAME = "job-lifecycle";
+
+// How many days before the deadline schools and savers are reminded
+const DEADLINE_REMINDER_DAYS =
+  parseInt(process.env.JOB_DEADLINE_REMINDER_DAYS, 10) || 3;
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+/**
+ * Resolve the User id that owns a job's school profile
+ */
+const getSchoolUserId = async (schoolId) => {
+  const schoolProfile = await SchoolProfile.findById(schoolId)
+    .select("userId")
+    .lean();
+  return schoolProfile ? schoolProfile.userId : null;
+};
+
+/**
+ * Create the same notification for several users.
+ * Failures are logged and never abort the lifecycle run.
+ */
+const notifyUsers = async (userIds, job, data) => {
+  if (userIds.length === 0) return 0;
+
+  try {
+    await JobNotification.createBulkNotifications(
+      userIds.map((userId) => ({
+        userId,
+        jobId: job._id,
+        priority: "medium",
+        actionRequired: false,
+        ...data,
+      }))
+    );
+    return userIds.length;
+  } catch (error) {
+    console.error(
+      `[JobLifecycle] Failed to send ${data.type} notifications for job ${job._id}:`,
+      error.message
+    );
+    return 0;
+  }
+};
+
+/**
+ * Notify schools and savers of jobs whose deadline falls within the reminder window
+ */
+const sendDeadlineReminders = async () => {
+  const now = new Date();
+  const windowEnd = new Date(
+    now.getTime() + DEADLINE_REMINDER_DAYS * 24 * 60 * 60 * 1000
+  );
+  const stats = { reminded: 0, notified: 0 };
+
+  const upcomingJobs = await Job.find({
+    status: "published",
+    deletedAt: { $exists: false },
+    applicationDeadline: { $gt: now, $lte: windowEnd },
+    deadlineReminderSentAt: { $exists: false },
+  })
+    .select("_id title schoolId applicationDeadline applicantsCount")
+    .lean();
+
+  for (const job of upcomingJobs) {
+    // Claim the reminder first so overlapping runs never send it twice
+    const claim = await Job.updateOne(
+      { _id: job._id, deadlineReminderSentAt: { $exists: false } },
+      { $set: { deadlineReminderSentAt: now } }
+    );
+    if (claim.modifiedCount === 0) continue;
+    stats.reminded++;
+
+    const daysLeft = Math.max(
+      1,
+      Math.ceil((job.applicationDeadline - now) / (1000 * 60 * 60 * 24))
+    );
+    const dayLabel = daysLeft === 1 ? "1 day" : `${daysLeft} days`;
+
+    const schoolUserId = await getSchoolUserId(job.schoolId);
+    if (schoolUserId) {
+      stats.notified += await notifyUsers([schoolUserId], job, {
+        type: "deadline_approaching",
+        title: "Application Deadline Approaching",
+        message: `Applications for "${job.title}" close in ${dayLabel}. You have received ${job.applicantsCount || 0} application(s) so far.`,
+        category: "reminder",
+        actionUrl: `${frontendUrl()}/dashboard/school/jobs/${job._id}`,
+        actionText: "Review Applications",
+        metadata: { daysLeft },
+      });
+    }
+
+    const saverUserIds = await JobService.getSaverUserIds(job._id);
+    stats.notified += await notifyUsers(saverUserIds, job, {
+      type: "deadline_approaching",
+      title: "Application Deadline Approaching",
+      message: `Applications for "${job.title}" close in ${dayLabel}. Don't miss your chance to apply.`,
+      category: "reminder",
+      priority: "high",
+      actionRequired: true,
+      actionUrl: `${frontendUrl()}/dashboard/teacher/jobs/${job._id}`,
+      actionText: "Apply Now",
+      metadata: { daysLeft },
+    });
+  }
+
+  return stats;
+};
+
+/**
+ * Close jobs that opted into autoCloseWhenFilled once accepted
+ * applications cover all of their positions
+ */
+const autoCloseFilledJobs = async () => {
+  const stats = { closed: 0, notified: 0 };
+
+  const candidateJobs = await Job.find({
+    status: "published",
+    autoCloseWhenFilled: true,
+    deletedAt: { $exists: false },
+  })
+    .select("_id title schoolId positionsAvailable")
+    .lean();
+
+  if (candidateJobs.length === 0) return stats;
+
+  const acceptedCounts = await JobApplication.aggregate([
+    {
+      $match: {
+        jobId: { $in: candidateJobs.map((job) => job._id) },
+        status: "accepted",
+      },
+    },
+    { $group: { _id: "$jobId", count: { $sum: 1 } } },
+  ]);
+  const acceptedByJob = new Map(
+    acceptedCounts.map((entry) => [entry._id.toString(), entry.count])
+  );
+
+  for (const job of candidateJobs) {
+    const accepted = acceptedByJob.get(job._id.toString()) || 0;
+    if (accepted < (job.positionsAvailable || 1)) continue;
+
+    const changed = await Job.closePublished(
+      job._id,
+      "closed",
+      "All positions filled"
+    );
+    if (!changed) continue;
+    stats.closed++;
+
+    const schoolUserId = await getSchoolUserId(job.schoolId);
+    if (schoolUserId) {
+      stats.notified += await notifyUsers([schoolUserId], job, {
+        type: "job_closed",
+        title: "Job Closed - Positions Filled",
+        message: `Your job "${job.title}" was closed automatically because all ${job.positionsAvailable || 1} position(s) have been filled.`,
+        category: "job",
+        actionUrl: `${frontendUrl()}/dashboard/school/jobs/${job._id}`,
+        actionText: "View Job",
+      });
+    }
+
+    // Let applicants still in the pipeline know the vacancy is filled
+    const openApplicantIds = await JobApplication.find({
+      jobId: job._id,
+      status: { $in: ["pending", "reviewing", "shortlisted", "interviewed"] },
+    }).distinct("teacherId");
+    const applicants = await TeacherProfile.find({
+      _id: { $in: openApplicantIds },
+    })
+      .select("userId")
+      .lean();
+
+    stats.notified += await notifyUsers(
+      applicants.map((t) => t.userId).filter(Boolean),
+      job,
+      {
+        type: "job_closed",
+        title: "Job Closed",
+        message: `The job "${job.title}" has been filled and is no longer accepting applications.`,
+        category: "application",
+        actionUrl: `${frontendUrl()}/dashboard/teacher/applications`,
+        actionText: "View Applications",
+      }
+    );
+  }
+
+  return stats;
+};
+
+/**
+ * Run every lifecycle step, recorded as a CronRun.
+ * Runs every hour at minute 15 (offset from the ad cron).
+ */
+const jobLifecycleCron = createCronJob({
+  name: CRON_NAME,
+  schedule: "15 * * * *",
+  label: "Job lifecycle",
+  frequency: "runs every hour",
+  logPrefix: "[JobLifecycle]",
+  task: async (stats) => {
+    stats.expiry = await JobService.expireExpiredJobs();
+    stats.deadlineReminders = await sendDeadlineReminders();
+    stats.autoClose = await autoCloseFilledJobs();
+  },
+  summarize: (stats) =>
+    stats.expiry.expiredCount > 0 || stats.autoClose.closed > 0
+      ? `Expired ${stats.expiry.expiredCount} job(s), auto-closed ${stats.autoClose.closed} job(s)`
+      : null,
+});
+
+module.exports = {
+  CRON_NAME,
+  startJobLifecycleCron: jobLifecycleCron.start,
+  stopJobLifecycleCron: jobLifecycleCron.stop,
+  runLifecycleCheck: jobLifecycleCron.run,
+};
@@ -1,11 +1,454 @@
 const Job = require("../models/Job");
+const JobApplication = require("../models/JobApplication");
+const SavedJob = require("../models/SavedJob");
+const SchoolProfile = require("../models/SchoolProfile");
 const TeacherProfile = require("../models/TeacherProfile");
+const TeacherEmployment = require("../models/TeacherEmployment");
+const TeacherEducation = require("../models/TeacherEducation");
+const ConsentRecord = require("../models/ConsentRecord");
+
+/**
+ * Weight of each criterion in the 0-100 match score (weights sum to 100)
+ */
+const SCORE_WEIGHTS = {
+  subjects: 25,
+  experience: 15,
+  education: 15,
+  languages: 10,
+  visa: 10,
+  salary: 10,
+  location: 10,
+  history: 5,
+};
+
+const CRITERION_LABELS = {
+  subjects: "Subject overlap",
+  experience: "Teaching experience",
+  education: "Qualifications",
+  languages: "Languages",
+  visa: "Visa sponsorship",
+  salary: "Salary expectations",
+  location: "Location",
+  history: "Past applications and saved jobs",
+};
+
+// Share of a criterion's weight awarded when there is not enough data to judge it
+const NEUTRAL_RATIO = 0.5;
+
+// Maximum number of active jobs scored per recommendation request
+const CANDIDATE_JOB_LIMIT = 300;
+
+// Maximum number of talent pool teachers scored per ranking request
+const CANDIDATE_TEACHER_LIMIT = 500;
+
+const QUALIFICATION_LABELS = [
+  null,
+  "Certificate",
+  "Diploma",
+  "Bachelor",
+  "Master",
+  "PhD",
+];
+
+const PROFICIENCY_RATIOS = {
+  Native: 1,
+  Fluent: 1,
+  Advanced: 1,
+  Intermediate: 0.75,
+  Beginner: 0.25,
+};
+
+const JOB_FIELDS =
+  "_id title organization description requirements benefits subjects educationLevel positionCategory positionSubcategory country city salaryMin salaryMax currency salaryDisclose minExperience qualification jobType visaSponsorship quickApply languagesRequired applicationDeadline screeningQuestions tags isUrgent isFeatured publishedAt schoolId";
+
+const TEACHER_FIELDS =
+  "_id userId firstName lastName subject qualification pgce yearsOfTeachingExperience languages city country requiresVisaSponsorship expectedSalary availabilityStatus";
+
+const normalize = (value) => String(value || "").trim().toLowerCase();
+
+/**
+ * Map a free-text qualification (e.g. "Master's in Education") to a rank
+ * from 1 (Certificate) to 5 (PhD); 0 when it cannot be recognised
+ */
+const getQualificationRank = (value) => {
+  const text = normalize(value);
+  if (!text) return 0;
+  if (/ph\.?d|doctor/.test(text)) return 5;
+  if (/master|\bm\.?(ed|sc|a)\b|mba/.test(text)) return 4;
+  if (/bachelor|degree|\bb\.?(ed|sc|a)\b/.test(text)) return 3;
+  if (/diploma|pgce/.test(text)) return 2;
+  if (/certificate/.test(text)) return 1;
+  return 0;
+};
+
+/**
+ * Whether two subject names refer to the same subject
+ * (e.g. "Math" and "Mathematics")
+ */
+const subjectsMatch = (a, b) =>
+  a === b || (a.length >= 4 && b.length >= 4 && (a.includes(b) || b.includes(a)));
+
+/**
+ * Total years covered by employment history entries
+ */
+const getEmploymentYears = (employment) => {
+  const totalMs = employment.reduce((sum, entry) => {
+    if (!entry.startDate) return sum;
+    const end = entry.isCurrent || !entry.endDate ? new Date() : entry.endDate;
+    return sum + Math.max(0, new Date(end) - new Date(entry.startDate));
+  }, 0);
+  return totalMs / (365.25 * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Collect everything the scorer needs to know about a teacher
+ */
+const buildTeacherContext = (
+  teacher,
+  { employment = [], education = [], appliedJobs = [], savedJobs = [] } = {}
+) => {
+  const historyText = [
+    ...employment.flatMap((e) => [e.jobTitle, ...(e.responsibilities || [])]),
+    ...education.flatMap((e) => [e.degree, e.fieldOfStudy]),
+  ]
+    .map(normalize)
+    .filter(Boolean)
+    .join(" | ");
+
+  const qualificationRank = Math.max(
+    getQualificationRank(teacher.qualification),
+    ...education.map((e) => getQualificationRank(e.degree)),
+    teacher.pgce ? 2 : 0
+  );
+
+  const pastJobs = [...appliedJobs, ...savedJobs].filter(Boolean);
+
+  return {
+    teacher,
+    subjects: [normalize(teacher.subject)].filter(Boolean),
+    historyText,
+    yearsExperience:
+      Math.round(
+        Math.max(
+          teacher.yearsOfTeachingExperience || 0,
+          getEmploymentYears(employment)
+        ) * 10
+      ) / 10,
+    qualificationRank,
+    languages: new Map(
+      (teacher.languages || []).map((l) => [
+        normalize(l.language),
+        l.isNative ? "Native" : l.proficiency,
+      ])
+    ),
+    requiresVisaSponsorship: teacher.requiresVisaSponsorship,
+    expectedSalary: teacher.expectedSalary,
+    country: normalize(teacher.country),
+    city: normalize(teacher.city),
+    appliedJobIds: appliedJobs.filter(Boolean).map((job) => job._id),
+    history: {
+      count: pastJobs.length,
+      subjects: new Set(pastJobs.flatMap((job) => (job.subjects || []).map(normalize))),
+      countries: new Set(pastJobs.map((job) => normalize(job.country))),
+      educationLevels: new Set(pastJobs.map((job) => job.educationLevel)),
+    },
+  };
+};
+
+/**
+ * Load scoring contexts for several teachers with one query per collection
+ * @param {Array} teachers - Lean TeacherProfile documents
+ * @returns {Array} Contexts in the same order as teachers
+ */
+const loadTeacherContexts = async (teachers) => {
+  if (teachers.length === 0) return [];
+
+  const teacherIds = teachers.map((t) => t._id);
+  const userIds = teachers.map((t) => t.userId).filter(Boolean);
+  const pastJobFields = "subjects country educationLevel";
+
+  const [employment, education, applications, savedJobs] = await Promise.all([
+    TeacherEmployment.find({ teacherId: { $in: teacherIds } })
+      .select("teacherId jobTitle responsibilities startDate endDate isCurrent")
+      .lean(),
+    TeacherEducation.find({ teacherId: { $in: teacherIds } })
+      .select("teacherId degree fieldOfStudy")
+      .lean(),
+    JobApplication.find({ teacherId: { $in: teacherIds } })
+      .select("teacherId jobId")
+      .populate("jobId", pastJobFields)
+      .lean(),
+    // SavedJob.teacherId may hold either the TeacherProfile id or the User id
+    SavedJob.find({ teacherId: { $in: [...teacherIds, ...userIds] } })
+      .select("teacherId jobId")
+      .populate("jobId", pastJobFields)
+      .lean(),
+  ]);
+
+  const profileIdByRef = new Map();
+  teachers.forEach((t) => {
+    profileIdByRef.set(t._id.toString(), t._id.toString());
+    if (t.userId) profileIdByRef.set(t.userId.toString(), t._id.toString());
+  });
+
+  const groupBy = (docs, pick = (doc) => doc) => {
+    const groups = new Map();
+    docs.forEach((doc) => {
+      const key = profileIdByRef.get(doc.teacherId.toString());
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(pick(doc));
+    });
+    return groups;
+  };
+
+  const employmentByTeacher = groupBy(employment);
+  const educationByTeacher = groupBy(education);
+  const appliedByTeacher = groupBy(applications, (doc) => doc.jobId);
+  const savedByTeacher = groupBy(savedJobs, (doc) => doc.jobId);
+
+  return teachers.map((teacher) => {
+    const key = teacher._id.toString();
+    return buildTeacherContext(teacher, {
+      employment: employmentByTeacher.get(key),
+      education: educationByTeacher.get(key),
+      appliedJobs: appliedByTeacher.get(key),
+      savedJobs: savedByTeacher.get(key),
+    });
+  });
+};
+
+// ---- Criterion scorers: each returns { ratio: 0..1, reason } ----
+
+const scoreSubjects = (job, ctx) => {
+  const jobSubjects = (job.subjects || []).filter((s) => normalize(s));
+  if (jobSubjects.length === 0) {
+    return { ratio: NEUTRAL_RATIO, reason: "Job does not list subjects" };
+  }
+
+  const direct = jobSubjects.filter((s) =>
+    ctx.subjects.some((t) => subjectsMatch(normalize(s), t))
+  );
+  if (direct.length > 0) {
+    return { ratio: 1, reason: `Teaches ${direct.join(", ")}` };
+  }
+
+  const fromHistory = jobSubjects.filter(
+    (s) => ctx.historyText && ctx.historyText.includes(normalize(s))
+  );
+  if (fromHistory.length > 0) {
+    return {
+      ratio: 0.5 + 0.3 * (fromHistory.length / jobSubjects.length),
+      reason: `Employment or education history covers ${fromHistory.join(", ")}`,
+    };
+  }
+
+  return { ratio: 0, reason: `No overlap with ${jobSubjects.join(", ")}` };
+};
+
+const scoreExperience = (job, ctx) => {
+  const required = job.minExperience || 0;
+  const years = ctx.yearsExperience;
+
+  if (!required) {
+    return { ratio: 1, reason: "No minimum experience required" };
+  }
+  if (years >= required) {
+    return {
+      ratio: 1,
+      reason: `${years} years of experience (${required} required)`,
+    };
+  }
+  return {
+    ratio: years / required,
+    reason: `${years} of ${required} required years of experience`,
+  };
+};
+
+const scoreEducation = (job, ctx) => {
+  const requiredRank = getQualificationRank(job.qualification);
+  const teacherRank = ctx.qualificationRank;
+
+  if (!requiredRank) {
+    return {
+      ratio: NEUTRAL_RATIO,
+      reason: "Qualification requirement could not be compared",
+    };
+  }
+  if (!teacherRank) {
+    return { ratio: NEUTRAL_RATIO, reason: "Qualifications unknown" };
+  }
+
+  const held = QUALIFICATION_LABELS[teacherRank];
+  const required = QUALIFICATION_LABELS[requiredRank];
+  if (teacherRank >= requiredRank) {
+    return { ratio: 1, reason: `Holds ${held} (${required} required)` };
+  }
+  return {
+    ratio: teacherRank === requiredRank - 1 ? 0.5 : 0,
+    reason: `Holds ${held}, below the required ${required}`,
+  };
+};
+
+const scoreLanguages = (job, ctx) => {
+  const required = (job.languagesRequired || []).filter((l) => normalize(l));
+  if (required.length === 0) {
+    return { ratio: 1, reason: "No language requirements" };
+  }
+
+  let total = 0;
+  const missing = [];
+  required.forEach((language) => {
+    const proficiency = ctx.languages.get(normalize(language));
+    if (!proficiency) {
+      missing.push(language);
+      return;
+    }
+    total += PROFICIENCY_RATIOS[proficiency] ?? 1;
+  });
+
+  return {
+    ratio: total / required.length,
+    reason:
+      missing.length > 0
+        ? `Does not list ${missing.join(", ")}`
+        : `Speaks ${required.join(", ")}`,
+  };
+};
+
+const scoreVisa = (job, ctx) => {
+  if (ctx.requiresVisaSponsorship === false) {
+    return { ratio: 1, reason: "No visa sponsorship needed" };
+  }
+  if (job.visaSponsorship) {
+    return { ratio: 1, reason: "Visa sponsorship offered" };
+  }
+  if (ctx.requiresVisaSponsorship === true) {
+    return { ratio: 0, reason: "Needs visa sponsorship, which is not offered" };
+  }
+  return { ratio: NEUTRAL_RATIO, reason: "Visa needs unknown" };
+};
+
+const scoreSalary = (job, ctx) => {
+  const expected = ctx.expectedSalary;
+  if (!expected || !expected.min) {
+    return { ratio: NEUTRAL_RATIO, reason: "No salary expectation set" };
+  }
+
+  const top = job.salaryMax || job.salaryMin;
+  if (!job.salaryDisclose || !top) {
+    return { ratio: NEUTRAL_RATIO, reason: "Salary not disclosed" };
+  }
+  if (expected.currency && job.currency && expected.currency !== job.currency) {
+    return {
+      ratio: NEUTRAL_RATIO,
+      reason: `Salary is in ${job.currency}, expectation is in ${expected.currency}`,
+    };
+  }
+
+  if (top >= expected.min) {
+    return {
+      ratio: 1,
+      reason: `Pays up to ${top} ${job.currency} (expects ${expected.min})`,
+    };
+  }
+  // Lose the whole weight once the offer is 50% below the expectation
+  return {
+    ratio: Math.max(0, 1 - ((expected.min - top) / expected.min) * 2),
+    reason: `Pays up to ${top} ${job.currency}, below the expected ${expected.min}`,
+  };
+};
+
+const scoreLocation = (job, ctx) => {
+  if (!ctx.country) {
+    return { ratio: NEUTRAL_RATIO, reason: "Location unknown" };
+  }
+  if (ctx.country !== normalize(job.country)) {
+    return { ratio: 0, reason: `Job is in ${job.country}` };
+  }
+  if (ctx.city && ctx.city === normalize(job.city)) {
+    return { ratio: 1, reason: `Same city (${job.city})` };
+  }
+  return { ratio: 0.7, reason: `Same country (${job.country})` };
+};
+
+const scoreHistory = (job, ctx) => {
+  const { history } = ctx;
+  if (history.count === 0) {
+    return {
+      ratio: NEUTRAL_RATIO,
+      reason: "No past applications or saved jobs",
+    };
+  }
+
+  let ratio = 0;
+  const similar = [];
+  if ((job.subjects || []).some((s) => history.subjects.has(normalize(s)))) {
+    ratio += 0.4;
+    similar.push("subject");
+  }
+  if (history.countries.has(normalize(job.country))) {
+    ratio += 0.3;
+    similar.push("country");
+  }
+  if (job.educationLevel && history.educationLevels.has(job.educationLevel)) {
+    ratio += 0.3;
+    similar.push("education level");
+  }
+
+  return {
+    ratio,
+    reason:
+      similar.length > 0
+        ? `Same ${similar.join(", ")} as past applications and saved jobs`
+        : "Unlike past applications and saved jobs",
+  };
+};
+
+const SCORERS = {
+  subjects: scoreSubjects,
+  experience: scoreExperience,
+  education: scoreEducation,
+  languages: scoreLanguages,
+  visa: scoreVisa,
+  salary: scoreSalary,
+  location: scoreLocation,
+  history: scoreHistory,
+};
+
+/**
+ * Score how well a job fits a teacher
+ * @param {Object} job - Lean job document
+ * @param {Object} ctx - Teacher context from loadTeacherContexts
+ * @returns {Object} { matchScore: 0-100, matchBreakdown: [{ criterion, label, weight, score, reason }] }
+ */
+const scoreMatch = (job, ctx) => {
+  const matchBreakdown = Object.entries(SCORE_WEIGHTS).map(
+    ([criterion, weight]) => {
+      const { ratio, reason } = SCORERS[criterion](job, ctx);
+      const clamped = Math.min(1, Math.max(0, ratio));
+      return {
+        criterion,
+        label: CRITERION_LABELS[criterion],
+        weight,
+        score: Math.round(weight * clamped * 10) / 10,
+        reason,
+      };
+    }
+  );
+
+  const matchScore = Math.round(
+    matchBreakdown.reduce((sum, entry) => sum + entry.score, 0)
+  );
+
+  return { matchScore, matchBreakdown };
+};
 
 /**
  * Get recommended jobs for a teacher based on their profile
  * @param {string} teacherId - The teacher's user ID
  * @param {number} limit - Number of jobs to return (default: 5)
- * @returns {Array} Array of recommended jobs
+ * @returns {Array} Array of recommended jobs with matchScore and matchBreakdown
  */
 const getRecommendedJobsForTeacher = async (teacherId, limit = 5) => {
   try {
@@ -15,209 +458,158 @@ const getRecommendedJobsForTeacher = async (teacherId, limit = 5) => {
     }
 
     // Get teacher profile
-    const teacherProfile = await TeacherProfile.findOne({ userId: teacherId });
+    const teacherProfile = await TeacherProfile.findOne({ userId: teacherId })
+      .select(TEACHER_FIELDS)
+      .lean();
     if (!teacherProfile) {
       throw new Error("Teacher profile not found");
     }
 
-    // Build query for job recommendations
-    const query = {
+    const [context] = await loadTeacherContexts([teacherProfile]);
+
+    // Score the most recent active jobs the teacher has not applied to yet
+    const jobs = await Job.find({
       status: "published",
       applicationDeadline: { $gt: new Date() }, // Only active jobs
-    };
+      _id: { $nin: context.appliedJobIds },
+    })
+      .select(JOB_FIELDS)
+      .sort({ publishedAt: -1 })
+      .limit(CANDIDATE_JOB_LIMIT)
+      .lean();
 
-    // Create an array to store different matching criteria
-    const matchingCriteria = [];
+    const ranked = jobs
+      .map((job) => ({ ...job, ...scoreMatch(job, context) }))
+      // Sort by match score, then featured/urgent, then recency
+      .sort(
+        (a, b) =>
+          b.matchScore - a.matchScore ||
+          Number(!!b.isFeatured) - Number(!!a.isFeatured) ||
+          Number(!!b.isUrgent) - Number(!!a.isUrgent) ||
+          new Date(b.publishedAt) - new Date(a.publishedAt)
+      )
+      .slice(0, limit);
 
-    // 1. Subject match (highest priority)
-    if (teacherProfile.subject && teacherProfile.subject.trim()) {
-      matchingCriteria.push({
-        subjects: { $in: [teacherProfile.subject.trim()] },
-      });
-    }
+    // Attach school information
+    const schools = await SchoolProfile.find({
+      _id: { $in: ranked.map((job) => job.schoolId) },
+    })
+      .select("schoolName schoolWebsite")
+      .lean();
+    const schoolById = new Map(schools.map((s) => [s._id.toString(), s]));
 
-    // 2. Location match (country and city)
-    if (teacherProfile.country && teacherProfile.country.trim()) {
-      matchingCriteria.push({
-        country: teacherProfile.country.trim(),
-      });
-    }
+    return ranked.map(({ schoolId, ...job }) => {
+      const school = schoolId && schoolById.get(schoolId.toString());
+      return {
+        ...job,
+        screeningQuestions: Job.toApplicantScreeningQuestions(
+          job.screeningQuestions
+        ),
+        school: school
+          ? { name: school.schoolName, website: school.schoolWebsite }
+          : undefined,
+      };
+    });
+  } catch (error) {
+    console.error("Error in getRecommendedJobsForTeacher:", error);
+    throw error;
+  }
+};
 
-    if (teacherProfile.city && teacherProfile.city.trim()) {
-      matchingCriteria.push({
-        city: teacherProfile.city.trim(),
-      });
-    }
+/**
+ * Rank candidates for a job using the same scoring as teacher recommendations
+ * @param {string} jobId - The job ID
+ * @param {string} schoolId - The school profile ID that must own the job
+ * @param {Object} options - { source: 'applicants' | 'talent_pool', limit }
+ * @returns {Object} { job, source, total, candidates }
+ */
+const getRankedCandidatesForJob = async (
+  jobId,
+  schoolId,
+  { source = "applicants", limit = 20 } = {}
+) => {
+  const job = await Job.findOne({ _id: jobId, schoolId })
+    .select(JOB_FIELDS)
+    .lean();
+  if (!job) {
+    throw new Error("Job not found or access denied");
+  }
 
-    // 3. Qualification match
-    if (teacherProfile.qualification && teacherProfile.qualification.trim()) {
-      matchingCriteria.push({
-        qualification: teacherProfile.qualification.trim(),
-      });
-    }
+  let teachers;
+  const applicationByTeacher = new Map();
 
-    // 4. Experience level match
-    if (
-      teacherProfile.yearsOfTeachingExperience &&
-      teacherProfile.yearsOfTeachingExperience >= 0
-    ) {
-      const experience = teacherProfile.yearsOfTeachingExperience;
-      matchingCriteria.push({
-        $or: [
-          { minExperience: { $lte: experience } },
-          { minExperience: { $exists: false } },
-        ],
-      });
-    }
+  if (source === "talent_pool") {
+    // Only teachers with active talent pool consent may be surfaced
+    const consentedUserIds = await ConsentRecord.find({
+      consentType: "talent_pool",
+      action: "granted",
+      isActive: true,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    }).distinct("userId");
 
-    // If we have matching criteria, use them in the query
-    if (matchingCriteria.length > 0) {
-      query.$or = matchingCriteria;
-    }
+    teachers = await TeacherProfile.find({
+      userId: { $in: consentedUserIds },
+      talentPoolOptedIn: true,
+      availabilityStatus: { $in: ["available", "open_to_offers"] },
+    })
+      .select(TEACHER_FIELDS)
+      // Most complete, most recently updated profiles first so the same
+      // candidates are scored on every request
+      .sort({ profileCompletion: -1, updatedAt: -1, _id: 1 })
+      .limit(CANDIDATE_TEACHER_LIMIT)
+      .lean();
+  } else {
+    const applications = await JobApplication.find({
+      jobId,
+      status: { $ne: "withdrawn" },
+    })
+      .select("_id teacherId status createdAt")
+      .lean();
+    applications.forEach((application) =>
+      applicationByTeacher.set(application.teacherId.toString(), application)
+    );
 
-    // Get recommended jobs with scoring
-    const recommendedJobs = await Job.aggregate([
-      { $match: query },
-      {
-        $addFields: {
-          matchScore: {
-            $sum: [
-              // Subject match (highest weight: 10)
-              {
-                $cond: {
-                  if: { $in: [teacherProfile.subject?.trim(), "$subjects"] },
-                  then: 10,
-                  else: 0,
-                },
-              },
-              // Country match (weight: 5)
-              {
-                $cond: {
-                  if: { $eq: [teacherProfile.country?.trim(), "$country"] },
-                  then: 5,
-                  else: 0,
-                },
-              },
-              // City match (weight: 3)
-              {
-                $cond: {
-                  if: { $eq: [teacherProfile.city?.trim(), "$city"] },
-                  then: 3,
-                  else: 0,
-                },
-              },
-              // Qualification match (weight: 4)
-              {
-                $cond: {
-                  if: {
-                    $eq: [
-                      teacherProfile.qualification?.trim(),
-                      "$qualification",
-                    ],
-                  },
-                  then: 4,
-                  else: 0,
-                },
-              },
-              // Experience match (weight: 2)
-              {
-                $cond: {
-                  if: {
-                    $or: [
-                      {
-                        $lte: [
-                          "$minExperience",
-                          teacherProfile.yearsOfTeachingExperience,
-                        ],
-                      },
-                      { $eq: ["$minExperience", null] },
-                    ],
-                  },
-                  then: 2,
-                  else: 0,
-                },
-              },
-              // Featured/Urgent bonus (weight: 1 each)
-              {
-                $cond: {
-                  if: "$isFeatured",
-                  then: 1,
-                  else: 0,
-                },
-              },
-              {
-                $cond: {
-                  if: "$isUrgent",
-                  then: 1,
-                  else: 0,
-                },
-              },
-            ],
-          },
-        },
-      },
-      // Sort by match score (descending) and then by recency
-      { $sort: { matchScore: -1, publishedAt: -1 } },
-      // Limit results
-      { $limit: limit },
-      // Populate school information
-      {
-        $lookup: {
-          from: "schoolprofiles",
-          localField: "schoolId",
-          foreignField: "_id",
-          as: "school",
-        },
-      },
-      {
-        $unwind: {
-          path: "$school",
-          preserveNullAndEmptyArrays: true,
-        },
-      },
-      // Project only necessary fields
-      {
-        $project: {
-          _id: 1,
-          title: 1,
-          organization: 1,
-          description: 1,
-          requirements: 1,
-          benefits: 1,
-          subjects: 1,
-          educationLevel: 1,
-          positionCategory: 1,
-          positionSubcategory: 1,
-          country: 1,
-          city: 1,
-          salaryMin: 1,
-          salaryMax: 1,
-          currency: 1,
-          salaryDisclose: 1,
-          minExperience: 1,
-          qualification: 1,
-          jobType: 1,
-          visaSponsorship: 1,
-          quickApply: 1,
-          applicationDeadline: 1,
-          screeningQuestions: 1,
-          tags: 1,
-          isUrgent: 1,
-          isFeatured: 1,
-          publishedAt: 1,
-          matchScore: 1,
-          "school.name": 1,
-          "school.logo": 1,
-          "school.website": 1,
+    teachers = await TeacherProfile.find({
+      _id: { $in: applications.map((a) => a.teacherId) },
+    })
+      .select(TEACHER_FIELDS)
+      .lean();
+  }
+
+  const contexts = await loadTeacherContexts(teachers);
+
+  const candidates = teachers
+    .map((teacher, index) => {
+      const application = applicationByTeacher.get(teacher._id.toString());
+      return {
+        // Professional fields only, matching the talent pool search
+        teacher: {
+          id: teacher._id,
+          name: `${teacher.firstName} ${teacher.lastName}`,
+          subject: teacher.subject,
+          qualification: teacher.qualification,
+          experience: teacher.yearsOfTeachingExperience,
+          location: `${teacher.city}, ${teacher.country}`,
+          availabilityStatus: teacher.availabilityStatus || "not_looking",
         },
-      },
-    ]);
+        application: application
+          ? {
+              id: application._id,
+              status: application.status,
+              appliedAt: application.createdAt,
+            }
+          : undefined,
+        ...scoreMatch(job, contexts[index]),
+      };
+    })
+    .sort((a, b) => b.matchScore - a.matchScore);
 
-    return recommendedJobs;
-  } catch (error) {
-    console.error("Error in getRecommendedJobsForTeacher:", error);
-    throw error;
-  }
+  return {
+    job: { _id: job._id, title: job.title },
+    source,
+    total: candidates.length,
+    candidates: candidates.slice(0, limit),
+  };
 };
 
 /**
@@ -283,7 +675,7 @@ const getFallbackJobs = async (limit = 5) => {
           isUrgent: 1,
           isFeatured: 1,
           publishedAt: 1,
-          matchScore: { $literal: 0 }, 
+          matchScore: { $literal: 0 },
           "school.name": 1,
           "school.logo": 1,
           "school.website": 1,
@@ -291,7 +683,12 @@ const getFallbackJobs = async (limit = 5) => {
       },
     ]);
 
-    return fallbackJobs;
+    return fallbackJobs.map((job) => ({
+      ...job,
+      screeningQuestions: Job.toApplicantScreeningQuestions(
+        job.screeningQuestions
+      ),
+    }));
   } catch (error) {
     console.error("Error in getFallbackJobs:", error);
     throw error;
@@ -299,6 +696,10 @@ const getFallbackJobs = async (limit = 5) => {
 };
 
 module.exports = {
+  SCORE_WEIGHTS,
+  scoreMatch,
+  loadTeacherContexts,
   getRecommendedJobsForTeacher,
+  getRankedCandidatesForJob,
   getFallbackJobs,
 };
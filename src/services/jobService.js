@@ -3,6 +3,7 @@ const Job = require("../models/Job");
 const JobApplication = require("../models/JobApplication");
 const JobView = require("../models/JobView");
 const SavedJob = require("../models/SavedJob");
+const TeacherProfile = require("../models/TeacherProfile");
 const JobNotification = require("../models/JobNotification");
 const { sendEmail } = require("../config/email");
 const { sanitizeDocument } = require("../utils/sanitize");
@@ -40,12 +41,31 @@ class JobService {
         // Don't fail the job creation if notification fails
       }
 
+      if (job.status === "published") {
+        this.notifySavedSearchMatches(job);
+      }
+
       return job;
     } catch (error) {
       throw new Error(`Failed to create job: ${error.message}`);
     }
   }
 
+  /**
+   * Send instant saved search alerts for a newly published job.
+   * Runs in the background so publishing never waits on alert delivery.
+   */
+  static notifySavedSearchMatches(job) {
+    // Required lazily: savedSearchService depends on this module
+    const SavedSearchService = require("./savedSearchService");
+    SavedSearchService.notifyInstantMatches(job).catch((error) => {
+      console.error(
+        `[SavedSearch] Instant alerts failed for job ${job._id}:`,
+        error.message
+      );
+    });
+  }
+
   /**
    * Get job by ID with optional population
    */
@@ -215,6 +235,10 @@ class JobService {
         // Don't fail the job status update if notification fails
       }
 
+      if (newStatus === "published" && oldStatus === "draft") {
+        this.notifySavedSearchMatches(job);
+      }
+
       return job;
     } catch (error) {
       throw new Error(`Failed to update job status: ${error.message}`);
@@ -222,98 +246,107 @@ class JobService {
   }
 
   /**
-   * Search and filter jobs
+   * Build the MongoDB query for a search filter set.
+   * Shared by searchJobs and saved search alerts so both match identically.
    */
-  static async searchJobs(filters = {}, pagination = {}) {
-    try {
-      const {
-        page = 1,
-        limit = 10,
-        sortBy = "relevance",
-        sortOrder = "desc",
-      } = pagination;
-      const skip = (page - 1) * limit;
+  static buildSearchQuery(filters = {}) {
+    const query = {
+      status: "published",
+      applicationDeadline: { $gt: new Date() },
+    };
+
+    // Text search
+    if (filters.q) {
+      query.$text = { $search: filters.q };
+    }
 
-      // Build query
-      const query = {
-        status: "published",
-        applicationDeadline: { $gt: new Date() },
-      };
+    // Location filters
+    if (filters.country) {
+      query.country = { $regex: filters.country, $options: "i" };
+    }
 
-      // Text search
-      if (filters.q) {
-        query.$text = { $search: filters.q };
-      }
+    if (filters.city) {
+      query.city = { $regex: filters.city, $options: "i" };
+    }
 
-      // Location filters
-      if (filters.country) {
-        query.country = { $regex: filters.country, $options: "i" };
-      }
+    if (filters.location) {
+      query.country = { $regex: filters.location, $options: "i" };
+    }
 
-      if (filters.city) {
-        query.city = { $regex: filters.city, $options: "i" };
-      }
+    // Salary filters
+    if (filters.salaryMin || filters.salaryMax) {
+      query.salaryMin = {};
+      if (filters.salaryMin) query.salaryMin.$gte = filters.salaryMin;
+      if (filters.salaryMax) query.salaryMin.$lte = filters.salaryMax;
+    }
 
-      if (filters.location) {
-        query.country = { $regex: filters.location, $options: "i" };
-      }
+    // Education level filter
+    if (filters.educationLevel) {
+      query.educationLevel = filters.educationLevel;
+    }
 
-      // Salary filters
-      if (filters.salaryMin || filters.salaryMax) {
-        query.salaryMin = {};
-        if (filters.salaryMin) query.salaryMin.$gte = filters.salaryMin;
-        if (filters.salaryMax) query.salaryMin.$lte = filters.salaryMax;
-      }
+    // Subjects filter
+    if (filters.subjects) {
+      const subjectsArray = Array.isArray(filters.subjects)
+        ? filters.subjects
+        : [filters.subjects];
+      query.subjects = { $in: subjectsArray };
+    }
 
-      // Education level filter
-      if (filters.educationLevel) {
-        query.educationLevel = filters.educationLevel;
-      }
+    // Job type filter
+    if (filters.jobType) {
+      query.jobType = filters.jobType;
+    }
 
-      // Subjects filter
-      if (filters.subjects) {
-        const subjectsArray = Array.isArray(filters.subjects)
-          ? filters.subjects
-          : [filters.subjects];
-        query.subjects = { $in: subjectsArray };
-      }
+    // Visa sponsorship filter
+    if (filters.visaSponsorship !== undefined) {
+      query.visaSponsorship = filters.visaSponsorship;
+    }
 
-      // Job type filter
-      if (filters.jobType) {
-        query.jobType = filters.jobType;
-      }
+    // Quick apply filter
+    if (filters.quickApply !== undefined) {
+      query.quickApply = filters.quickApply;
+    }
 
-      // Visa sponsorship filter
-      if (filters.visaSponsorship !== undefined) {
-        query.visaSponsorship = filters.visaSponsorship;
-      }
+    // Urgent/Featured filters
+    if (filters.isUrgent !== undefined) {
+      query.isUrgent = filters.isUrgent;
+    }
 
-      // Quick apply filter
-      if (filters.quickApply !== undefined) {
-        query.quickApply = filters.quickApply;
-      }
+    if (filters.isFeatured !== undefined) {
+      query.isFeatured = filters.isFeatured;
+    }
 
-      // Urgent/Featured filters
-      if (filters.isUrgent !== undefined) {
-        query.isUrgent = filters.isUrgent;
-      }
+    // Date filters
+    if (filters.postedWithin) {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - filters.postedWithin);
+      query.publishedAt = { $gte: cutoffDate };
+    }
 
-      if (filters.isFeatured !== undefined) {
-        query.isFeatured = filters.isFeatured;
-      }
+    if (filters.deadlineWithin) {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() + filters.deadlineWithin);
+      query.applicationDeadline = { $lte: cutoffDate };
+    }
 
-      // Date filters
-      if (filters.postedWithin) {
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - filters.postedWithin);
-        query.publishedAt = { $gte: cutoffDate };
-      }
+    return query;
+  }
 
-      if (filters.deadlineWithin) {
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() + filters.deadlineWithin);
-        query.applicationDeadline = { $lte: cutoffDate };
-      }
+  /**
+   * Search and filter jobs
+   */
+  static async searchJobs(filters = {}, pagination = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        sortBy = "relevance",
+        sortOrder = "desc",
+      } = pagination;
+      const skip = (page - 1) * limit;
+
+      const query = this.buildSearchQuery(filters);
 
       // Build sort
       let sort = {};
@@ -497,25 +530,43 @@ class JobService {
         throw new Error("Job not found or access denied");
       }
 
-      const [viewStats, applicationStats, geographicStats, deviceStats] =
-        await Promise.all([
-          JobView.getJobStats(jobId, 30),
-          JobApplication.aggregate([
-            { $match: { jobId: job._id } },
-            {
-              $group: {
-                _id: "$status",
-                count: { $sum: 1 },
-              },
+      const [
+        viewStats,
+        applicationStats,
+        sourceStats,
+        geographicStats,
+        deviceStats,
+      ] = await Promise.all([
+        JobView.getJobStats(jobId, 30),
+        JobApplication.aggregate([
+          { $match: { jobId: job._id } },
+          {
+            $group: {
+              _id: "$status",
+              count: { $sum: 1 },
             },
-          ]),
-          JobView.getGeographicStats(jobId),
-          JobView.getDeviceStats(jobId),
-        ]);
+          },
+        ]),
+        // Applications per channel (careers page, widget, ...); applications
+        // from before attribution count as direct
+        JobApplication.aggregate([
+          { $match: { jobId: job._id } },
+          {
+            $group: {
+              _id: { $ifNull: ["$source.channel", "direct"] },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { count: -1 } },
+        ]),
+        JobView.getGeographicStats(jobId),
+        JobView.getDeviceStats(jobId),
+      ]);
 
       return {
         viewStats,
         applicationStats,
+        sourceStats,
         geographicStats,
         deviceStats,
         totalViews: job.viewsCount,
@@ -609,15 +660,48 @@ class JobService {
   }
 
   /**
-   * Expire expired jobs
+   * Resolve User ids of teachers who saved a job.
+   * Teachers who already applied are skipped unless includeApplied is set.
+   */
+  static async getSaverUserIds(jobId, { includeApplied = false } = {}) {
+    const query = { jobId };
+    if (!includeApplied) {
+      query.isApplied = false;
+    }
+
+    const teacherIds = await SavedJob.find(query).distinct("teacherId");
+    if (teacherIds.length === 0) return [];
+
+    // SavedJob.teacherId may hold either the TeacherProfile id or the User id
+    const teachers = await TeacherProfile.find({
+      $or: [{ _id: { $in: teacherIds } }, { userId: { $in: teacherIds } }],
+    })
+      .select("userId")
+      .lean();
+    return teachers.map((t) => t.userId).filter(Boolean);
+  }
+
+  /**
+   * Expire published jobs whose deadline or expiry date has passed and tell
+   * the school and the teachers who saved them. Run by the job lifecycle cron.
    */
   static async expireExpiredJobs() {
     try {
-      const expiredJobs = await Job.findExpired();
+      const expiredJobs = await Job.findExpired()
+        .select("_id title schoolId")
+        .lean();
+      const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+      let expiredCount = 0;
+      let notified = 0;
 
       for (const job of expiredJobs) {
-        job.status = "expired";
-        await job.save();
+        const changed = await Job.closePublished(
+          job._id,
+          "expired",
+          "Application deadline passed"
+        );
+        if (!changed) continue;
+        expiredCount++;
 
         // Find the user ID from the school profile
         try {
@@ -627,15 +711,17 @@ class JobService {
             // Notify school user about expired job
             await JobNotification.createNotification({
               userId: schoolProfile.userId, // Use the user ID from school profile
+              jobId: job._id,
               type: "job_expired",
               title: "Job Expired",
               message: `Your job "${job.title}" has expired and is no longer accepting applications.`,
               category: "job",
               priority: "medium",
               actionRequired: true,
-              // Remove actionUrl to avoid validation error
+              actionUrl: `${frontendUrl}/dashboard/school/jobs/${job._id}`,
               actionText: "Repost Job",
             });
+            notified++;
           }
         } catch (notificationError) {
           console.log(
@@ -643,9 +729,36 @@ class JobService {
             notificationError.message
           );
         }
+
+        // Let teachers who saved the job know it is gone
+        try {
+          const saverUserIds = await this.getSaverUserIds(job._id);
+          if (saverUserIds.length > 0) {
+            await JobNotification.createBulkNotifications(
+              saverUserIds.map((userId) => ({
+                userId,
+                jobId: job._id,
+                type: "job_expired",
+                title: "Saved Job Expired",
+                message: `The job "${job.title}" you saved has expired and is no longer accepting applications.`,
+                category: "job",
+                priority: "low",
+                actionRequired: false,
+                actionUrl: `${frontendUrl}/dashboard/teacher/jobs`,
+                actionText: "Browse Jobs",
+              }))
+            );
+            notified += saverUserIds.length;
+          }
+        } catch (notificationError) {
+          console.log(
+            "Failed to create saved job expired notifications:",
+            notificationError.message
+          );
+        }
       }
 
-      return { expiredCount: expiredJobs.length };
+      return { expiredCount, notified };
     } catch (error) {
       throw new Error(`Failed to expire jobs: ${error.message}`);
     }
@@ -653,8 +766,10 @@ class JobService {
 
   /**
    * Sanitize job data for public viewing
+   * @param {Object} job - Job
+   * @param {Object} options - { includeScreeningRules } for the owning school
    */
-  static sanitizeJobForPublic(job) {
+  static sanitizeJobForPublic(job, options = {}) {
     try {
       // First sanitize the document to remove Mongoose internals
       const cleanJob = sanitizeDocument(job);
@@ -682,9 +797,14 @@ class JobService {
         jobType: cleanJob.jobType,
         visaSponsorship: cleanJob.visaSponsorship,
         quickApply: cleanJob.quickApply,
+        languagesRequired: cleanJob.languagesRequired,
+        positionsAvailable: cleanJob.positionsAvailable,
+        positionsFilled: cleanJob.positionsFilled || 0,
         externalLink: cleanJob.externalLink,
         applicationDeadline: cleanJob.applicationDeadline,
-        screeningQuestions: cleanJob.screeningQuestions || [],
+        screeningQuestions: options.includeScreeningRules
+          ? Job.normalizeScreeningQuestions(cleanJob.screeningQuestions)
+          : Job.toApplicantScreeningQuestions(cleanJob.screeningQuestions),
         status: cleanJob.status,
         publishedAt: cleanJob.publishedAt,
         tags: cleanJob.tags || [],
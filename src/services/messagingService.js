@@ -0,0 +1,437 @@
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const JobApplication = require("../models/JobApplication");
+const ApplicationEvent = require("../models/ApplicationEvent");
+const SchoolProfile = require("../models/SchoolProfile");
+const TeacherProfile = require("../models/TeacherProfile");
+const { uploadToCloudinary } = require("../utils/cloudinary");
+const { sendNewMessageEmail } = require("../config/email");
+const { escapeHtml } = require("../utils/templateEngine");
+
+const PREVIEW_LENGTH = 200;
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+class MessagingService {
+  /**
+   * Get a conversation and verify that the user takes part in it
+   * @returns {{ conversation: Object, role: string }}
+   */
+  static async getConversationForUser(conversationId, user) {
+    const conversation = await Conversation.findById(conversationId);
+
+    if (!conversation) {
+      throw new Error("Conversation not found");
+    }
+
+    const role = conversation.getRole(user);
+    if (!role) {
+      throw new Error("Access denied to this conversation");
+    }
+
+    return { conversation, role };
+  }
+
+  /**
+   * Check whether a user has a connected socket in their personal room
+   */
+  static async isUserOnline(io, userId) {
+    if (!io) return false;
+
+    try {
+      const sockets = await io.in(`user:${userId}`).fetchSockets();
+      return sockets.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the conversation for an application, creating it on first use
+   */
+  static async getOrCreateApplicationConversation(applicationId, user) {
+    try {
+      const application = await JobApplication.findById(applicationId)
+        .populate("jobId", "title schoolId")
+        .populate("teacherId", "userId");
+
+      if (!application || !application.jobId || !application.teacherId) {
+        throw new Error("Application not found");
+      }
+
+      const isSchool =
+        user.role === "school" &&
+        user.schoolId &&
+        application.jobId.schoolId.toString() === user.schoolId.toString();
+      const isTeacher =
+        user.role === "teacher" &&
+        application.teacherId.userId.toString() === user.userId.toString();
+
+      if (!isSchool && !isTeacher) {
+        throw new Error("Access denied to this application");
+      }
+
+      const existing = await Conversation.findOne({
+        applicationId: application._id,
+      });
+      if (existing) return existing;
+
+      const school = await SchoolProfile.findById(application.jobId.schoolId)
+        .select("userId")
+        .lean();
+      if (!school) {
+        throw new Error("School profile not found");
+      }
+
+      try {
+        return await Conversation.create({
+          context: "application",
+          applicationId: application._id,
+          jobId: application.jobId._id,
+          schoolId: application.jobId.schoolId,
+          schoolUserId: school.userId,
+          teacherId: application.teacherId._id,
+          teacherUserId: application.teacherId.userId,
+          subject: application.jobId.title,
+        });
+      } catch (error) {
+        // Created concurrently by the other participant
+        if (error.code === 11000) {
+          return Conversation.findOne({ applicationId: application._id });
+        }
+        throw error;
+      }
+    } catch (error) {
+      throw new Error(`Failed to open conversation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start (or reuse) the conversation for a talent-pool invitation and
+   * post the invitation message
+   * @param {Object} data - { schoolUser, teacherProfile, jobId, jobTitle, message }
+   * @param {Object} io - Socket.IO server
+   */
+  static async createInviteConversation(data, io) {
+    try {
+      const { schoolUser, teacherProfile, jobId, jobTitle, message } = data;
+
+      const school = await SchoolProfile.findById(schoolUser.schoolId)
+        .select("userId schoolName")
+        .lean();
+      if (!school) {
+        throw new Error("School profile not found");
+      }
+
+      let conversation = await Conversation.findOne({
+        context: "invite",
+        schoolId: school._id,
+        teacherId: teacherProfile._id,
+        jobId: jobId || null,
+      });
+
+      if (!conversation) {
+        conversation = await Conversation.create({
+          context: "invite",
+          jobId: jobId || null,
+          schoolId: school._id,
+          schoolUserId: school.userId,
+          teacherId: teacherProfile._id,
+          teacherUserId: teacherProfile.userId,
+          subject: jobTitle
+            ? `Invitation to apply: ${jobTitle}`
+            : `Invitation from ${school.schoolName}`,
+        });
+      }
+
+      if (message) {
+        await this.sendMessage(
+          conversation._id,
+          schoolUser,
+          { body: message },
+          io
+        );
+      }
+
+      return conversation;
+    } catch (error) {
+      throw new Error(
+        `Failed to start invitation conversation: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get the user's conversations, most recent first
+   */
+  static async getConversations(user, options = {}) {
+    try {
+      const { page = 1, limit = 20, context } = options;
+      const skip = (page - 1) * limit;
+
+      const query =
+        user.role === "school"
+          ? { schoolId: user.schoolId }
+          : { teacherUserId: user.userId };
+      if (context) query.context = context;
+
+      const [conversations, total] = await Promise.all([
+        Conversation.find(query)
+          .populate("jobId", "title")
+          .populate("schoolId", "schoolName")
+          .populate("teacherId", "firstName lastName")
+          .sort({ lastMessageAt: -1, createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Conversation.countDocuments(query),
+      ]);
+
+      return {
+        conversations: conversations.map((conversation) => ({
+          ...conversation,
+          unread: conversation.unreadCount[user.role] || 0,
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      throw new Error(`Failed to get conversations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get messages of a conversation, paging backwards from `before`
+   */
+  static async getMessages(conversationId, user, options = {}) {
+    try {
+      const { before, limit = 30 } = options;
+      const { conversation } = await this.getConversationForUser(
+        conversationId,
+        user
+      );
+
+      const query = { conversationId: conversation._id };
+      if (before) query.createdAt = { $lt: new Date(before) };
+
+      const messages = await Message.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit + 1)
+        .lean();
+
+      const hasMore = messages.length > limit;
+
+      return {
+        conversation,
+        messages: messages.slice(0, limit).reverse(),
+        hasMore,
+      };
+    } catch (error) {
+      throw new Error(`Failed to get messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload message attachments through the Cloudinary helper
+   * @param {Array} files - Multer files (memory storage)
+   */
+  static async uploadAttachments(files = []) {
+    return Promise.all(
+      files.map(async (file) => {
+        // Use 'raw' for documents to avoid image transformations
+        const resourceType = file.mimetype.startsWith("image/")
+          ? "image"
+          : "raw";
+        const result = await uploadToCloudinary(file.buffer, {
+          folder: "messages",
+          resource_type: resourceType,
+          overwrite: false,
+        });
+
+        return {
+          url: result.secure_url,
+          publicId: result.public_id,
+          resourceType: result.resource_type,
+          fileName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+        };
+      })
+    );
+  }
+
+  /**
+   * Send a message, deliver it in real time and fall back to email for
+   * offline teachers
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} user - Sender (req.user)
+   * @param {Object} data - { body, files }
+   * @param {Object} io - Socket.IO server
+   */
+  static async sendMessage(conversationId, user, data, io) {
+    try {
+      const { body = "", files = [] } = data;
+      const { conversation, role } = await this.getConversationForUser(
+        conversationId,
+        user
+      );
+
+      if (!body.trim() && files.length === 0) {
+        throw new Error("Message must have text or an attachment");
+      }
+
+      const attachments = await this.uploadAttachments(files);
+
+      const message = await Message.create({
+        conversationId: conversation._id,
+        senderId: user.userId,
+        senderRole: role,
+        body,
+        attachments,
+      });
+
+      const recipientRole = role === "school" ? "teacher" : "school";
+      const recipientUserId = conversation.getRecipientUserId(role);
+      const preview = (body || "Sent an attachment").slice(0, PREVIEW_LENGTH);
+
+      // Previous document tells whether the recipient already had unread messages
+      const previous = await Conversation.findByIdAndUpdate(conversation._id, {
+        $set: { lastMessageAt: message.createdAt, lastMessagePreview: preview },
+        $inc: { [`unreadCount.${recipientRole}`]: 1 },
+      });
+
+      if (conversation.applicationId) {
+        await ApplicationEvent.recordSafely({
+          applicationId: conversation.applicationId,
+          jobId: conversation.jobId,
+          type: "message",
+          action: "sent",
+          actor: { userId: user.userId, role },
+          metadata: {
+            conversationId: conversation._id,
+            messageId: message._id,
+            attachments: attachments.length,
+          },
+        });
+      }
+
+      const payload = { conversationId: conversation._id, message };
+      if (io) {
+        io.to(`user:${recipientUserId}`).emit("message:new", payload);
+        // Keep the sender's other tabs in sync
+        io.to(`user:${user.userId}`).emit("message:sent", payload);
+      }
+
+      // Email once per unread streak so offline teachers are not flooded
+      const hadUnread = previous && previous.unreadCount[recipientRole] > 0;
+      if (recipientRole === "teacher" && !hadUnread) {
+        const online = await this.isUserOnline(io, recipientUserId);
+        if (!online) {
+          await this.sendOfflineEmail(conversation, message);
+        }
+      }
+
+      return message;
+    } catch (error) {
+      throw new Error(`Failed to send message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Email a teacher about a new message from a school
+   */
+  static async sendOfflineEmail(conversation, message) {
+    try {
+      const [teacher, school] = await Promise.all([
+        TeacherProfile.findById(conversation.teacherId)
+          .select("firstName email")
+          .lean(),
+        SchoolProfile.findById(conversation.schoolId)
+          .select("schoolName")
+          .lean(),
+      ]);
+      if (!teacher || !teacher.email) return;
+
+      const result = await sendNewMessageEmail(teacher.email, {
+        userName: teacher.firstName,
+        senderName: escapeHtml(school ? school.schoolName : "A school"),
+        subject: escapeHtml(conversation.subject || "New message"),
+        preview: message.body
+          ? escapeHtml(message.body.slice(0, PREVIEW_LENGTH))
+          : "You received an attachment.",
+        actionUrl: `${frontendUrl()}/dashboard/teacher/messages/${conversation._id}`,
+      });
+      if (!result.success) {
+        console.error("Message email failed:", result.error);
+      }
+    } catch (error) {
+      console.error("Message email failed:", error.message);
+    }
+  }
+
+  /**
+   * Mark the other participant's messages as read and notify them
+   */
+  static async markAsRead(conversationId, user, io) {
+    try {
+      const { conversation, role } = await this.getConversationForUser(
+        conversationId,
+        user
+      );
+      const senderRole = role === "school" ? "teacher" : "school";
+      const readAt = new Date();
+
+      const result = await Message.updateMany(
+        { conversationId: conversation._id, senderRole, readAt: null },
+        { $set: { readAt } }
+      );
+
+      await Conversation.updateOne(
+        { _id: conversation._id },
+        { $set: { [`unreadCount.${role}`]: 0 } }
+      );
+
+      if (io && result.modifiedCount > 0) {
+        io.to(`user:${conversation.getRecipientUserId(role)}`).emit(
+          "message:read",
+          { conversationId: conversation._id, readerRole: role, readAt }
+        );
+      }
+
+      return { readAt, updated: result.modifiedCount };
+    } catch (error) {
+      throw new Error(`Failed to mark messages as read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Total unread messages for the user across conversations
+   */
+  static async getUnreadCount(user) {
+    try {
+      // Aggregations do not cast ids
+      const match =
+        user.role === "school"
+          ? { schoolId: new mongoose.Types.ObjectId(String(user.schoolId)) }
+          : { teacherUserId: new mongoose.Types.ObjectId(String(user.userId)) };
+
+      const [result] = await Conversation.aggregate([
+        { $match: match },
+        {
+          $group: { _id: null, unread: { $sum: `$unreadCount.${user.role}` } },
+        },
+      ]);
+
+      return result ? result.unread : 0;
+    } catch (error) {
+      throw new Error(`Failed to get unread count: ${error.message}`);
+    }
+  }
+}
+
+module.exports = MessagingService;
@@ -503,6 +503,23 @@ class NotificationService {
       application_accepted: "Application Accepted",
       application_rejected: "Application Rejected",
       application_withdrawn: "Application Withdrawn",
+      interview_scheduled: "Interview Scheduled",
+      interview_updated: "Interview Updated",
+      interview_cancelled: "Interview Cancelled",
+      interview_response: "Interview Response",
+      offer_sent: "Job Offer Received",
+      offer_accepted: "Offer Accepted",
+      offer_declined: "Offer Declined",
+      offer_withdrawn: "Offer Withdrawn",
+      reference_consent_requested: "Reference Request",
+      reference_consent_declined: "Reference Declined",
+      reference_completed: "Reference Received",
+      credential_verified: "Credential Verified",
+      credential_rejected: "Credential Not Verified",
+      credential_info_requested: "More Information Needed",
+      credential_expired: "Credential Verification Expired",
+      talent_pool_match: "New Talent Pool Matches",
+      school_group_request: "School Group Invitation",
       reminder_apply: "Job Application Reminder",
       deadline_approaching: "Application Deadline Approaching",
       new_candidate: "New Candidate Applied",
@@ -530,6 +547,23 @@ class NotificationService {
       application_accepted: `Congratulations! Your application for "${data.jobTitle || "the job"}" has been accepted.`,
       application_rejected: `Your application for "${data.jobTitle || "the job"}" has been rejected.`,
       application_withdrawn: `Your application for "${data.jobTitle || "the job"}" has been withdrawn.`,
+      interview_scheduled: `An interview has been scheduled for your application to "${data.jobTitle || "the job"}".`,
+      interview_updated: `Your interview for "${data.jobTitle || "the job"}" has been updated.`,
+      interview_cancelled: `Your interview for "${data.jobTitle || "the job"}" has been cancelled.`,
+      interview_response: `A candidate has responded to an interview invitation for "${data.jobTitle || "your job"}".`,
+      offer_sent: `You have received a job offer for "${data.jobTitle || "the job"}".`,
+      offer_accepted: `A candidate has accepted your offer for "${data.jobTitle || "your job"}".`,
+      offer_declined: `A candidate has declined your offer for "${data.jobTitle || "your job"}".`,
+      offer_withdrawn: `The job offer for "${data.jobTitle || "the job"}" has been withdrawn.`,
+      reference_consent_requested: `A school would like to contact your referees for "${data.jobTitle || "the job"}".`,
+      reference_consent_declined: "A candidate declined consent to contact a referee.",
+      reference_completed: "A referee has submitted a reference.",
+      credential_verified: "One of your credentials has been verified.",
+      credential_rejected: "One of your credentials could not be verified.",
+      credential_info_requested: "More information is needed to verify one of your credentials.",
+      credential_expired: "A credential verification has expired.",
+      talent_pool_match: "New teachers in the talent pool match one of your saved searches.",
+      school_group_request: `${data.groupName || "A school group"} has invited your school to join as a campus.`,
       reminder_apply: `Don't forget to apply for "${data.jobTitle || "the job"}" before the deadline.`,
       deadline_approaching: `The application deadline for "${data.jobTitle || "the job"}" is approaching.`,
       new_candidate: `A new candidate has applied for "${data.jobTitle || "your job posting"}".`,
@@ -546,10 +580,10 @@ class NotificationService {
    */
   static getCategoryFromType(type) {
     if (type.includes("job_")) return "job";
-    if (type.includes("application_")) return "application";
+    if (type.includes("application_") || type.includes("interview_") || type.includes("offer_") || type.includes("reference_")) return "application";
     if (type.includes("reminder") || type.includes("deadline")) return "reminder";
-    if (type.includes("profile") || type.includes("recommendation")) return "recommendation";
-    if (type.includes("system")) return "system";
+    if (type.includes("profile") || type.includes("recommendation") || type.includes("talent_pool_")) return "recommendation";
+    if (type.includes("system") || type.includes("credential_") || type.includes("school_group_")) return "system";
     return "other";
   }
 
@@ -0,0 +1,625 @@
+const Offer = require("../models/Offer");
+const OfferTemplate = require("../models/OfferTemplate");
+const Job = require("../models/Job");
+const JobApplication = require("../models/JobApplication");
+const JobNotification = require("../models/JobNotification");
+const ApplicationEvent = require("../models/ApplicationEvent");
+const SchoolProfile = require("../models/SchoolProfile");
+const TeacherProfile = require("../models/TeacherProfile");
+const PipelineService = require("./pipelineService");
+const { sendOfferEmail } = require("../config/email");
+const { escapeHtml } = require("../utils/templateEngine");
+const { formatSalary, formatLetterDate } = require("../utils/offerLetterPdf");
+
+const DEFAULT_EXPIRY_DAYS = 7;
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+/**
+ * Normalize a name for signature comparison
+ */
+const normalizeName = (name = "") =>
+  name.trim().replace(/\s+/g, " ").toLowerCase();
+
+class OfferService {
+  /**
+   * Get the school's offer template, or the default one if none is saved
+   */
+  static async getTemplate(schoolId) {
+    try {
+      const template = await OfferTemplate.findOne({ schoolId });
+
+      return {
+        template: template || {
+          schoolId,
+          body: OfferTemplate.DEFAULT_BODY,
+          defaultBenefits: [],
+        },
+        isDefault: !template,
+        placeholders: OfferTemplate.PLACEHOLDERS,
+      };
+    } catch (error) {
+      throw new Error(`Failed to get offer template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace the school's offer template
+   */
+  static async upsertTemplate(schoolId, userId, data) {
+    try {
+      const template = await OfferTemplate.findOneAndUpdate(
+        { schoolId },
+        { ...data, schoolId, updatedBy: userId },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      return template;
+    } catch (error) {
+      throw new Error(`Failed to save offer template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark open offers past their expiry date as expired
+   */
+  static async expireStaleOffers(filter = {}) {
+    return Offer.updateMany(
+      { ...filter, status: "sent", expiresAt: { $lt: new Date() } },
+      { $set: { status: "expired" } }
+    );
+  }
+
+  /**
+   * Get an offer and the role the user has on it
+   * @returns {{ offer: Object, role: string }}
+   */
+  static async getOfferForUser(offerId, user) {
+    const offer = await Offer.findById(offerId);
+
+    if (!offer) {
+      throw new Error("Offer not found");
+    }
+
+    if (user.role === "school") {
+      if (
+        !user.schoolId ||
+        offer.schoolId.toString() !== user.schoolId.toString()
+      ) {
+        throw new Error("Access denied to this offer");
+      }
+      return { offer, role: "school" };
+    }
+
+    const teacherProfile = await TeacherProfile.findOne({
+      userId: user.userId,
+    }).select("_id");
+    if (
+      !teacherProfile ||
+      offer.teacherId.toString() !== teacherProfile._id.toString()
+    ) {
+      throw new Error("Access denied to this offer");
+    }
+
+    return { offer, role: "teacher" };
+  }
+
+  /**
+   * Expire the offer if it has passed its expiry date
+   */
+  static async expireIfNeeded(offer) {
+    if (offer.isExpired()) {
+      offer.status = "expired";
+      await offer.save();
+    }
+    return offer;
+  }
+
+  /**
+   * Create and send an offer for an application
+   * @param {string} applicationId - Application ID
+   * @param {string} schoolId - School profile ID
+   * @param {string} userId - School user ID
+   * @param {Object} data - { salary, startDate, contractLength, benefits, housing, additionalTerms, expiresAt }
+   */
+  static async createOffer(applicationId, schoolId, userId, data) {
+    try {
+      const application = await JobApplication.findById(applicationId)
+        .populate(
+          "jobId",
+          "title schoolId currency positionsAvailable positionsFilled"
+        )
+        .populate("teacherId", "userId firstName lastName email");
+
+      if (!application || !application.jobId || !application.teacherId) {
+        throw new Error("Application not found");
+      }
+
+      const job = application.jobId;
+      const teacher = application.teacherId;
+
+      if (!schoolId || job.schoolId.toString() !== schoolId.toString()) {
+        throw new Error("Access denied to this application");
+      }
+
+      if (application.lockedAt) {
+        throw new Error("Application is locked after the offer was accepted");
+      }
+
+      if (["withdrawn", "rejected"].includes(application.status)) {
+        throw new Error(
+          `Cannot make an offer on a ${application.status} application`
+        );
+      }
+
+      if (job.openPositions <= 0) {
+        throw new Error("All positions for this job have been filled");
+      }
+
+      await this.expireStaleOffers({ applicationId: application._id });
+
+      const [school, savedTemplate] = await Promise.all([
+        SchoolProfile.findById(schoolId)
+          .select("userId schoolName schoolEmail")
+          .lean(),
+        OfferTemplate.findOne({ schoolId }),
+      ]);
+      if (!school) {
+        throw new Error("School profile not found");
+      }
+
+      const template =
+        savedTemplate ||
+        new OfferTemplate({ schoolId, body: OfferTemplate.DEFAULT_BODY });
+
+      const salary = {
+        ...data.salary,
+        currency: data.salary.currency || job.currency || "USD",
+      };
+      const benefits = data.benefits || template.defaultBenefits;
+      const housing =
+        data.housing !== undefined ? data.housing : template.defaultHousing;
+      const contractLength =
+        data.contractLength || template.defaultContractLength;
+      const expiresAt =
+        data.expiresAt ||
+        new Date(Date.now() + DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+      const letterBody = template.render({
+        teacherName: `${teacher.firstName} ${teacher.lastName}`,
+        jobTitle: job.title,
+        schoolName: school.schoolName,
+        salary: formatSalary(salary),
+        startDate: formatLetterDate(data.startDate),
+        contractLength,
+        benefits: benefits.join(", "),
+        housing,
+        expiresAt: formatLetterDate(expiresAt),
+      });
+
+      const offer = await Offer.create({
+        applicationId: application._id,
+        jobId: job._id,
+        schoolId,
+        teacherId: teacher._id,
+        salary,
+        startDate: data.startDate,
+        contractLength,
+        benefits,
+        housing,
+        additionalTerms: data.additionalTerms,
+        letterBody,
+        closing: template.closing,
+        signatoryName: template.signatoryName,
+        signatoryTitle: template.signatoryTitle,
+        expiresAt,
+        createdBy: userId,
+      });
+
+      await ApplicationEvent.recordSafely({
+        applicationId: application._id,
+        jobId: job._id,
+        type: "offer",
+        action: "sent",
+        actor: { userId, role: "school" },
+        metadata: { offerId: offer._id, expiresAt },
+      });
+
+      await this.notifyParties(offer, "sent", { job, school, teacher });
+
+      return offer;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(
+          "Failed to create offer: This application already has an open offer"
+        );
+      }
+      throw new Error(`Failed to create offer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the offers made on an application, newest first
+   */
+  static async getOffersForApplication(applicationId, user) {
+    try {
+      const application = await JobApplication.findById(applicationId)
+        .populate("jobId", "schoolId")
+        .populate("teacherId", "userId");
+
+      if (!application || !application.jobId || !application.teacherId) {
+        throw new Error("Application not found");
+      }
+
+      const isSchool =
+        user.role === "school" &&
+        user.schoolId &&
+        application.jobId.schoolId.toString() === user.schoolId.toString();
+      const isTeacher =
+        user.role === "teacher" &&
+        application.teacherId.userId.toString() === user.userId.toString();
+
+      if (!isSchool && !isTeacher) {
+        throw new Error("Access denied to this application");
+      }
+
+      await this.expireStaleOffers({ applicationId: application._id });
+
+      return Offer.find({ applicationId: application._id })
+        .sort({ createdAt: -1 })
+        .lean();
+    } catch (error) {
+      throw new Error(`Failed to get offers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an offer; the teacher's first view is recorded
+   */
+  static async getOffer(offerId, user) {
+    try {
+      const { offer, role } = await this.getOfferForUser(offerId, user);
+      await this.expireIfNeeded(offer);
+
+      if (role === "teacher" && !offer.viewedAt) {
+        offer.viewedAt = new Date();
+        await offer.save();
+
+        await ApplicationEvent.recordSafely({
+          applicationId: offer.applicationId,
+          jobId: offer.jobId,
+          type: "offer",
+          action: "viewed",
+          actor: { userId: user.userId, role: "teacher" },
+          metadata: { offerId: offer._id },
+        });
+      }
+
+      return offer;
+    } catch (error) {
+      throw new Error(`Failed to get offer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an offer with the names printed on its letter
+   * @returns {{ offer: Object, details: Object }}
+   */
+  static async getOfferLetter(offerId, user) {
+    try {
+      const offer = await this.getOffer(offerId, user);
+
+      const [job, school, teacher] = await Promise.all([
+        Job.findById(offer.jobId).select("title").lean(),
+        SchoolProfile.findById(offer.schoolId)
+          .select("schoolName address city country")
+          .lean(),
+        TeacherProfile.findById(offer.teacherId)
+          .select("firstName lastName")
+          .lean(),
+      ]);
+
+      return {
+        offer,
+        details: {
+          jobTitle: job ? job.title : "Position",
+          schoolName: school ? school.schoolName : "School",
+          schoolAddress: school
+            ? [school.address, school.city, school.country]
+                .filter(Boolean)
+                .join(", ")
+            : "",
+          teacherName: teacher
+            ? `${teacher.firstName} ${teacher.lastName}`
+            : "Candidate",
+        },
+      };
+    } catch (error) {
+      throw new Error(`Failed to get offer letter: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accept or decline an offer with a typed-name signature.
+   * Accepting takes one of the job's open positions and locks the application.
+   * @param {string} offerId - Offer ID
+   * @param {Object} user - Teacher (req.user)
+   * @param {Object} data - { action: 'accept'|'decline', typedName, reason }
+   * @param {Object} request - { ipAddress, userAgent }
+   */
+  static async respondToOffer(offerId, user, data, request = {}) {
+    try {
+      const { action, typedName, reason } = data;
+      const { offer, role } = await this.getOfferForUser(offerId, user);
+
+      if (role !== "teacher") {
+        throw new Error("Only the candidate can respond to an offer");
+      }
+
+      await this.expireIfNeeded(offer);
+      if (offer.status !== "sent") {
+        throw new Error(`This offer has already been ${offer.status}`);
+      }
+
+      const teacher = await TeacherProfile.findById(offer.teacherId)
+        .select("userId firstName lastName email")
+        .lean();
+      if (
+        normalizeName(typedName) !==
+        normalizeName(`${teacher.firstName} ${teacher.lastName}`)
+      ) {
+        throw new Error("The typed signature must match your full name");
+      }
+
+      const application = await JobApplication.findById(offer.applicationId);
+      if (!application) {
+        throw new Error("Application not found");
+      }
+      if (action === "accept") {
+        if (application.lockedAt) {
+          throw new Error("This application has already accepted an offer");
+        }
+        if (application.status === "withdrawn") {
+          throw new Error("Cannot accept an offer on a withdrawn application");
+        }
+      }
+
+      const accepted = action === "accept";
+
+      // Take a position atomically so two acceptances cannot overfill the job
+      if (accepted) {
+        const result = await Job.updateOne(
+          {
+            _id: offer.jobId,
+            $expr: {
+              $lt: [
+                { $ifNull: ["$positionsFilled", 0] },
+                { $ifNull: ["$positionsAvailable", 1] },
+              ],
+            },
+          },
+          { $inc: { positionsFilled: 1 } }
+        );
+        if (result.modifiedCount === 0) {
+          throw new Error("All positions for this job have been filled");
+        }
+      }
+
+      const signedAt = new Date();
+      const update = {
+        status: accepted ? "accepted" : "declined",
+        respondedAt: signedAt,
+        signature: {
+          typedName: typedName.trim(),
+          ipAddress: request.ipAddress,
+          userAgent: request.userAgent,
+          signedAt,
+        },
+      };
+      if (!accepted && reason) update.declineReason = reason;
+
+      const responded = await Offer.findOneAndUpdate(
+        { _id: offer._id, status: "sent" },
+        { $set: update },
+        { new: true }
+      );
+
+      if (!responded) {
+        if (accepted) {
+          await Job.updateOne(
+            { _id: offer.jobId },
+            { $inc: { positionsFilled: -1 } }
+          );
+        }
+        throw new Error("This offer is no longer open");
+      }
+
+      const actor = { userId: user.userId, role: "teacher" };
+
+      await ApplicationEvent.recordSafely({
+        applicationId: application._id,
+        jobId: offer.jobId,
+        type: "offer",
+        action: responded.status,
+        actor,
+        reason: accepted ? undefined : reason,
+        metadata: { offerId: responded._id, signedAt },
+      });
+
+      if (accepted) {
+        await this.lockApplication(application, responded, actor);
+      }
+
+      const [job, school] = await Promise.all([
+        Job.findById(offer.jobId).select("title").lean(),
+        SchoolProfile.findById(offer.schoolId)
+          .select("userId schoolName schoolEmail")
+          .lean(),
+      ]);
+      await this.notifyParties(responded, responded.status, {
+        job,
+        school,
+        teacher,
+      });
+
+      return responded;
+    } catch (error) {
+      throw new Error(`Failed to respond to offer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accept the application through the offer, move it to the pipeline's
+   * accepted stage and lock it
+   */
+  static async lockApplication(application, offer, actor) {
+    const job = await Job.findById(offer.jobId).select("schoolId");
+    const pipeline = await PipelineService.getPipelineForJob(job);
+    const fromStage = PipelineService.resolveCurrentStage(
+      pipeline,
+      application
+    );
+    const toStage = pipeline.getStageForStatus("accepted");
+    const oldStatus = application.status;
+
+    if (toStage) {
+      application.stage = toStage.key;
+      application.stageEnteredAt = new Date();
+    }
+    await application.lockWithOffer(offer._id);
+
+    await ApplicationEvent.recordSafely({
+      applicationId: application._id,
+      jobId: offer.jobId,
+      type: "status_change",
+      action: "status_changed",
+      actor,
+      fromState: oldStatus,
+      toState: "accepted",
+      reason: "Offer accepted",
+      metadata: {
+        offerId: offer._id,
+        fromStage: fromStage ? fromStage.key : null,
+        toStage: toStage ? toStage.key : null,
+        fromStageName: fromStage ? fromStage.name : null,
+        toStageName: toStage ? toStage.name : null,
+      },
+    });
+  }
+
+  /**
+   * Withdraw an open offer
+   */
+  static async withdrawOffer(offerId, schoolId, userId, reason = "") {
+    try {
+      const offer = await Offer.findOneAndUpdate(
+        { _id: offerId, schoolId, status: "sent" },
+        { $set: { status: "withdrawn", withdrawnReason: reason } },
+        { new: true }
+      );
+
+      if (!offer) {
+        throw new Error("Offer not found or no longer open");
+      }
+
+      await ApplicationEvent.recordSafely({
+        applicationId: offer.applicationId,
+        jobId: offer.jobId,
+        type: "offer",
+        action: "withdrawn",
+        actor: { userId, role: "school" },
+        reason,
+        metadata: { offerId: offer._id },
+      });
+
+      const [job, school, teacher] = await Promise.all([
+        Job.findById(offer.jobId).select("title").lean(),
+        SchoolProfile.findById(schoolId)
+          .select("userId schoolName schoolEmail")
+          .lean(),
+        TeacherProfile.findById(offer.teacherId)
+          .select("userId firstName lastName email")
+          .lean(),
+      ]);
+      await this.notifyParties(offer, "withdrawn", { job, school, teacher });
+
+      return offer;
+    } catch (error) {
+      throw new Error(`Failed to withdraw offer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Notify the other party about an offer by in-app notification and email.
+   * Offers sent or withdrawn go to the teacher; responses go to the school.
+   * @param {Object} offer - Offer
+   * @param {string} event - 'sent' | 'accepted' | 'declined' | 'withdrawn'
+   * @param {Object} parties - { job, school, teacher }
+   */
+  static async notifyParties(offer, event, { job, school, teacher }) {
+    try {
+      if (!job || !school || !teacher) return;
+
+      const teacherName = `${teacher.firstName} ${teacher.lastName}`;
+      const toTeacher = ["sent", "withdrawn"].includes(event);
+      const headlines = {
+        sent: "You Have Received a Job Offer",
+        accepted: "Offer Accepted",
+        declined: "Offer Declined",
+        withdrawn: "Offer Withdrawn",
+      };
+      const messages = {
+        sent: `${school.schoolName} has offered you the position of "${job.title}". Please review the offer and respond by ${formatLetterDate(offer.expiresAt)}.`,
+        accepted: `${teacherName} has accepted your offer for "${job.title}".`,
+        declined: `${teacherName} has declined your offer for "${job.title}".${
+          offer.declineReason ? ` Reason: ${offer.declineReason}` : ""
+        }`,
+        withdrawn: `${school.schoolName} has withdrawn the offer for "${job.title}".`,
+      };
+      const actionUrl = toTeacher
+        ? `${frontendUrl()}/dashboard/teacher/offers/${offer._id}`
+        : `${frontendUrl()}/dashboard/school/applications/${offer.applicationId}`;
+
+      await JobNotification.createNotification({
+        userId: toTeacher ? teacher.userId : school.userId,
+        jobId: offer.jobId,
+        type: `offer_${event}`,
+        title: headlines[event],
+        message: messages[event],
+        category: "application",
+        priority: event === "withdrawn" ? "medium" : "high",
+        actionRequired: event === "sent",
+        actionUrl,
+        actionText: "View Offer",
+        metadata: {
+          applicationId: offer.applicationId.toString(),
+          offerId: offer._id.toString(),
+        },
+      });
+
+      const email = toTeacher ? teacher.email : school.schoolEmail;
+      if (email) {
+        const result = await sendOfferEmail(email, event, {
+          headline: headlines[event],
+          userName: escapeHtml(
+            toTeacher ? teacher.firstName : school.schoolName
+          ),
+          jobTitle: escapeHtml(job.title),
+          schoolName: escapeHtml(school.schoolName),
+          salary: formatSalary(offer.salary),
+          startDate: formatLetterDate(offer.startDate),
+          expiresAt: formatLetterDate(offer.expiresAt),
+          message: escapeHtml(messages[event]),
+          actionUrl,
+        });
+        if (!result.success) {
+          console.error("Offer email failed:", result.error);
+        }
+      }
+    } catch (error) {
+      console.error("Offer notification failed:", error.message);
+    }
+  }
+}
+
+module.exports = OfferService;
@@ -0,0 +1,348 @@
+const HiringPipeline = require("../models/HiringPipeline");
+const Job = require("../models/Job");
+const JobApplication = require("../models/JobApplication");
+
+class PipelineService {
+  /**
+   * Build the built-in pipeline used when a school has none
+   */
+  static buildDefaultPipeline(schoolId) {
+    return new HiringPipeline({
+      schoolId,
+      jobId: null,
+      name: "Default pipeline",
+      stages: HiringPipeline.DEFAULT_STAGES,
+    });
+  }
+
+  /**
+   * Plain object for responses; the built-in pipeline has no id
+   */
+  static formatPipeline(pipeline) {
+    const formatted = pipeline.toObject();
+    if (pipeline.isNew) {
+      formatted._id = null;
+      formatted.isBuiltIn = true;
+    } else {
+      formatted.isBuiltIn = false;
+    }
+    return formatted;
+  }
+
+  /**
+   * Get a job and verify that the school owns it
+   */
+  static async getJobForSchool(jobId, schoolId) {
+    const job = await Job.findById(jobId).select("title schoolId status");
+
+    if (!job) {
+      throw new Error("Job not found");
+    }
+
+    if (!schoolId || job.schoolId.toString() !== schoolId.toString()) {
+      throw new Error("Access denied to this job");
+    }
+
+    return job;
+  }
+
+  /**
+   * Get a pipeline and verify that the school owns it
+   */
+  static async getPipelineForSchool(pipelineId, schoolId) {
+    const pipeline = await HiringPipeline.findOne({
+      _id: pipelineId,
+      schoolId,
+    });
+
+    if (!pipeline) {
+      throw new Error("Pipeline not found");
+    }
+
+    return pipeline;
+  }
+
+  /**
+   * Resolve the pipeline that applies to a job:
+   * job-specific, then school default, then built-in
+   * @param {Object} job - Job with _id and schoolId
+   */
+  static async getPipelineForJob(job) {
+    const pipelines = await HiringPipeline.find({
+      schoolId: job.schoolId,
+      jobId: { $in: [job._id, null] },
+    });
+
+    return (
+      pipelines.find((pipeline) => pipeline.jobId) ||
+      pipelines[0] ||
+      this.buildDefaultPipeline(job.schoolId)
+    );
+  }
+
+  /**
+   * Get the school's pipelines, default first
+   */
+  static async getPipelines(schoolId) {
+    try {
+      const pipelines = await HiringPipeline.find({ schoolId })
+        .populate("jobId", "title status")
+        .sort({ jobId: 1, createdAt: 1 });
+
+      const hasDefault = pipelines.some((pipeline) => !pipeline.jobId);
+      const result = pipelines.map((pipeline) => this.formatPipeline(pipeline));
+
+      if (!hasDefault) {
+        result.unshift(
+          this.formatPipeline(this.buildDefaultPipeline(schoolId))
+        );
+      }
+
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to get pipelines: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a single pipeline
+   */
+  static async getPipelineById(pipelineId, schoolId) {
+    try {
+      const pipeline = await this.getPipelineForSchool(pipelineId, schoolId);
+      return this.formatPipeline(pipeline);
+    } catch (error) {
+      throw new Error(`Failed to get pipeline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create the school default pipeline or a job-specific pipeline
+   */
+  static async createPipeline(schoolId, userId, data) {
+    try {
+      if (data.jobId) {
+        await this.getJobForSchool(data.jobId, schoolId);
+      }
+
+      const pipeline = new HiringPipeline({
+        ...data,
+        jobId: data.jobId || null,
+        schoolId,
+        createdBy: userId,
+      });
+
+      await pipeline.save();
+      return this.formatPipeline(pipeline);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(
+          `Failed to create pipeline: ${
+            data.jobId
+              ? "This job already has a pipeline"
+              : "The school already has a default pipeline"
+          }`
+        );
+      }
+      throw new Error(`Failed to create pipeline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a pipeline's name or stages
+   */
+  static async updatePipeline(pipelineId, schoolId, data) {
+    try {
+      const pipeline = await this.getPipelineForSchool(pipelineId, schoolId);
+
+      if (data.stages) {
+        const newKeys = data.stages.map((stage) => stage.key);
+        const removedKeys = pipeline.stages
+          .map((stage) => stage.key)
+          .filter((key) => !newKeys.includes(key));
+
+        await this.assertStagesUnused(pipeline, removedKeys);
+        pipeline.stages = data.stages;
+      }
+
+      if (data.name) {
+        pipeline.name = data.name;
+      }
+
+      await pipeline.save();
+      return this.formatPipeline(pipeline);
+    } catch (error) {
+      throw new Error(`Failed to update pipeline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a pipeline; its jobs fall back to the school default or built-in
+   */
+  static async deletePipeline(pipelineId, schoolId) {
+    try {
+      const pipeline = await this.getPipelineForSchool(pipelineId, schoolId);
+
+      const fallback = pipeline.jobId
+        ? (await HiringPipeline.findOne({ schoolId, jobId: null })) ||
+          this.buildDefaultPipeline(schoolId)
+        : this.buildDefaultPipeline(schoolId);
+      const removedKeys = pipeline.stages
+        .map((stage) => stage.key)
+        .filter((key) => !fallback.getStage(key));
+
+      await this.assertStagesUnused(pipeline, removedKeys);
+      await pipeline.deleteOne();
+
+      return { deleted: true };
+    } catch (error) {
+      throw new Error(`Failed to delete pipeline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Jobs whose applications follow this pipeline
+   */
+  static async getJobIdsUsingPipeline(pipeline) {
+    if (pipeline.jobId) return [pipeline.jobId];
+
+    const jobSpecific = await HiringPipeline.find({
+      schoolId: pipeline.schoolId,
+      jobId: { $ne: null },
+    }).distinct("jobId");
+
+    return Job.find({
+      schoolId: pipeline.schoolId,
+      _id: { $nin: jobSpecific },
+    }).distinct("_id");
+  }
+
+  /**
+   * Refuse to drop stages that still hold active applications
+   */
+  static async assertStagesUnused(pipeline, stageKeys) {
+    if (!stageKeys.length) return;
+
+    const jobIds = await this.getJobIdsUsingPipeline(pipeline);
+    const inUse = await JobApplication.distinct("stage", {
+      jobId: { $in: jobIds },
+      stage: { $in: stageKeys },
+      status: { $ne: "withdrawn" },
+    });
+
+    if (inUse.length) {
+      throw new Error(
+        `Move applications out of these stages first: ${inUse.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Current stage of an application. Applications without a (known) stage
+   * are placed in the first stage mapped onto their status.
+   */
+  static resolveCurrentStage(pipeline, application) {
+    return (
+      (application.stage && pipeline.getStage(application.stage)) ||
+      pipeline.getStageForStatus(application.status)
+    );
+  }
+
+  /**
+   * Resolve and validate the stage an application is moving to
+   * @param {Object} pipeline - Pipeline for the application's job
+   * @param {Object|null} fromStage - Current stage
+   * @param {Object} target - { stage } (stage key) or { status } (legacy status routes)
+   * @returns {Object} Target stage
+   */
+  static resolveTargetStage(pipeline, fromStage, { stage, status }) {
+    let targetStage;
+
+    if (stage) {
+      targetStage = pipeline.getStage(stage);
+      if (!targetStage) {
+        throw new Error(`Unknown pipeline stage: ${stage}`);
+      }
+    } else if (fromStage && fromStage.status === status) {
+      // Already in a stage for this status
+      targetStage = fromStage;
+    } else {
+      // Prefer a stage reachable from the current one
+      const candidates = pipeline.stages.filter(
+        (candidate) => candidate.status === status
+      );
+      if (!candidates.length) {
+        throw new Error(`This pipeline has no stage for status "${status}"`);
+      }
+      targetStage =
+        candidates.find((candidate) =>
+          pipeline.canTransition(fromStage && fromStage.key, candidate.key)
+        ) || candidates[0];
+    }
+
+    if (!pipeline.canTransition(fromStage && fromStage.key, targetStage.key)) {
+      throw new Error(
+        `Cannot move application from "${fromStage.name}" to "${targetStage.name}"`
+      );
+    }
+
+    return targetStage;
+  }
+
+  /**
+   * Kanban board for a job: its pipeline with applications grouped by stage
+   */
+  static async getBoard(jobId, schoolId) {
+    try {
+      const job = await this.getJobForSchool(jobId, schoolId);
+      const pipeline = await this.getPipelineForJob(job);
+
+      const applications = await JobApplication.find({ jobId: job._id })
+        .select(
+          "teacherId status stage stageEnteredAt expectedSalary availableFrom createdAt updatedAt"
+        )
+        .populate("teacherId", "firstName lastName email country city")
+        .sort({ createdAt: 1 })
+        .lean();
+
+      const columns = pipeline.stages.map((stage) => ({
+        stage: stage.toObject(),
+        applications: [],
+      }));
+      const unassigned = [];
+      const withdrawn = [];
+
+      for (const application of applications) {
+        if (application.status === "withdrawn") {
+          withdrawn.push(application);
+          continue;
+        }
+
+        const stage = this.resolveCurrentStage(pipeline, application);
+        const column =
+          stage && columns.find((entry) => entry.stage.key === stage.key);
+        if (column) {
+          column.applications.push(application);
+        } else {
+          unassigned.push(application);
+        }
+      }
+
+      return {
+        job: { _id: job._id, title: job.title, status: job.status },
+        pipeline: this.formatPipeline(pipeline),
+        columns: columns.map((column) => ({
+          ...column,
+          count: column.applications.length,
+        })),
+        unassigned,
+        withdrawn,
+        total: applications.length,
+      };
+    } catch (error) {
+      throw new Error(`Failed to get pipeline board: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PipelineService;
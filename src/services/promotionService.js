@@ -0,0 +1,684 @@
+const mongoose = require("mongoose");
+const Coupon = require("../models/Coupon");
+const CouponReservation = require("../models/CouponReservation");
+const Resource = require("../models/resource");
+const ResourcePurchase = require("../models/resourcePurchase");
+const Sale = require("../models/Sale");
+const PlatformSettings = require("../models/PlatformSettings");
+const { calculateVAT } = require("../utils/vatCalculator");
+const {
+  toSmallestUnit,
+  fromSmallestUnit,
+  formatCurrency,
+} = require("../utils/royaltyCalculator");
+
+const httpError = (message, status) =>
+  Object.assign(new Error(message), { status });
+
+// Smallest card payment Stripe accepts, in smallest unit (about USD 0.50)
+const MIN_CHARGE = {
+  GBP: 30,
+  USD: 50,
+  EUR: 50,
+  PKR: 15000,
+};
+
+const COUPON_FIELDS = [
+  "description",
+  "discountType",
+  "value",
+  "currency",
+  "resources",
+  "maxUses",
+  "maxUsesPerBuyer",
+  "firstPurchaseOnly",
+  "startsAt",
+  "expiresAt",
+  "isActive",
+];
+
+class PromotionService {
+  /**
+   * The seller's sale on a resource, if it is running
+   */
+  static getSellerSale(resource, now = new Date()) {
+    const promotion = resource.promotion;
+    if (
+      !promotion?.percentOff ||
+      (promotion.startsAt && promotion.startsAt > now) ||
+      !promotion.endsAt ||
+      promotion.endsAt <= now
+    ) {
+      return null;
+    }
+
+    return {
+      source: "seller_sale",
+      label: "Sale",
+      percentOff: promotion.percentOff,
+      endsAt: promotion.endsAt,
+    };
+  }
+
+  /**
+   * Best automatic discount for a resource: the seller's sale or the
+   * running sitewide campaign, whichever is larger (they do not stack)
+   * @param {Object} resource - Resource document
+   * @param {Object} campaign - Running campaign, when already loaded
+   */
+  static async getAutomaticDiscount(resource, campaign) {
+    const sellerSale = this.getSellerSale(resource);
+    if (campaign === undefined) {
+      campaign = await PlatformSettings.getActiveCampaign();
+    }
+
+    if (
+      campaign &&
+      (!sellerSale || campaign.percentOff > sellerSale.percentOff)
+    ) {
+      return {
+        source: "campaign",
+        label: campaign.name,
+        percentOff: campaign.percentOff,
+        endsAt: campaign.endsAt,
+      };
+    }
+    return sellerSale;
+  }
+
+  /**
+   * Sale price shown on resource listings (automatic discounts only)
+   * @param {Object} resource - Resource document
+   * @param {Object} campaign - Running campaign, when already loaded
+   * @returns {Promise<Object|null>} - { salePrice, percentOff, label, endsAt }
+   */
+  static async getDisplayPrice(resource, campaign) {
+    if (resource.isFree || !resource.price) return null;
+
+    const discount = await this.getAutomaticDiscount(resource, campaign);
+    if (!discount) return null;
+
+    const listPrice = toSmallestUnit(resource.price, resource.currency);
+    const salePrice = this.applyMinimumCharge(
+      listPrice - Math.round((listPrice * discount.percentOff) / 100),
+      listPrice,
+      resource.currency
+    );
+
+    return {
+      salePrice: fromSmallestUnit(salePrice, resource.currency),
+      percentOff: discount.percentOff,
+      label: discount.label,
+      endsAt: discount.endsAt,
+    };
+  }
+
+  /**
+   * Keep automatic discounts from pushing a price below the card minimum
+   */
+  static applyMinimumCharge(price, listPrice, currency) {
+    const minimum = Math.min(MIN_CHARGE[currency] || 0, listPrice);
+    return Math.max(price, minimum);
+  }
+
+  /**
+   * Get the reason a coupon cannot be used on a resource
+   * @returns {string|null} - null when the coupon applies
+   */
+  static getCouponMismatch(coupon, resource) {
+    const sellerId = resource.createdBy.userId._id || resource.createdBy.userId;
+    if (coupon.seller && coupon.seller.toString() !== sellerId.toString()) {
+      return "This coupon does not apply to this resource";
+    }
+    if (
+      coupon.resources.length &&
+      !coupon.resources.some((id) => id.toString() === resource._id.toString())
+    ) {
+      return "This coupon does not apply to this resource";
+    }
+    if (
+      coupon.discountType === "fixed" &&
+      coupon.currency !== resource.currency
+    ) {
+      return `This coupon only applies to resources priced in ${coupon.currency}`;
+    }
+    return null;
+  }
+
+  /**
+   * Count the checkouts in which a buyer used a coupon. A cart checkout
+   * records one sale per discounted item but counts as a single use.
+   */
+  static async countBuyerRedemptions(couponId, buyerId) {
+    const query = {
+      buyer: buyerId,
+      "discount.couponId": couponId,
+      status: "completed",
+    };
+    const [singleUses, checkouts] = await Promise.all([
+      Sale.countDocuments({
+        ...query,
+        "checkoutPayment.stripeSessionId": { $exists: false },
+      }),
+      Sale.distinct("checkoutPayment.stripeSessionId", {
+        ...query,
+        "checkoutPayment.stripeSessionId": { $exists: true },
+      }),
+    ]);
+    return singleUses + checkouts.length;
+  }
+
+  /**
+   * Check that a buyer can use a coupon on a resource
+   * @throws {Error} - 400 with the reason the coupon cannot be used
+   */
+  static async validateCoupon(coupon, resource, buyerId) {
+    if (!coupon || !coupon.isRedeemable()) {
+      throw httpError("Invalid or expired coupon code", 400);
+    }
+
+    const mismatch = this.getCouponMismatch(coupon, resource);
+    if (mismatch) {
+      throw httpError(mismatch, 400);
+    }
+
+    const timesUsed = await this.countBuyerRedemptions(coupon._id, buyerId);
+    if (timesUsed >= coupon.maxUsesPerBuyer) {
+      throw httpError("You have already used this coupon", 400);
+    }
+
+    if (coupon.firstPurchaseOnly) {
+      const hasPurchased = await ResourcePurchase.exists({
+        buyerId,
+        status: "completed",
+        pricePaid: { $gt: 0 },
+      });
+      if (hasPurchased) {
+        throw httpError(
+          "This coupon is only valid on your first purchase",
+          400
+        );
+      }
+    }
+  }
+
+  /**
+   * Price a resource purchase with automatic discounts and an optional coupon
+   * @param {Object} params
+   * @param {Object} params.resource - Resource document
+   * @param {number} params.multiplier - License price multiplier
+   * @param {string} params.buyerId - Buyer user ID
+   * @param {string} params.buyerCountry - Buyer country (for VAT)
+   * @param {string} params.couponCode - Coupon code (optional)
+   * @param {Object} params.coupon - Already validated coupon, used instead of couponCode
+   * @param {Object} params.campaign - Running campaign, when already loaded
+   * @returns {Promise<Object>} - Amounts in smallest unit
+   */
+  static async priceResource({
+    resource,
+    multiplier = 1,
+    buyerId,
+    buyerCountry = "GB",
+    couponCode,
+    coupon = null,
+    campaign,
+  }) {
+    const currency = resource.currency;
+    const listPrice = toSmallestUnit(resource.price * multiplier, currency);
+    const discounts = [];
+    let price = listPrice;
+
+    // 1. Seller sale or sitewide campaign
+    const automatic = await this.getAutomaticDiscount(resource, campaign);
+    if (automatic) {
+      const discounted = this.applyMinimumCharge(
+        price - Math.round((price * automatic.percentOff) / 100),
+        listPrice,
+        currency
+      );
+      discounts.push({ ...automatic, amount: price - discounted });
+      price = discounted;
+    }
+
+    // 2. Coupon, applied to the already reduced price
+    if (!coupon && couponCode) {
+      coupon = await Coupon.findByCode(couponCode);
+      await this.validateCoupon(coupon, resource, buyerId);
+    }
+    if (coupon) {
+      const amount =
+        coupon.discountType === "percentage"
+          ? Math.round((price * coupon.value) / 100)
+          : Math.min(toSmallestUnit(coupon.value, currency), price);
+
+      if (price - amount < Math.min(MIN_CHARGE[currency] || 0, listPrice)) {
+        throw httpError(
+          `This coupon cannot be used here: the discounted price would be below the minimum card payment of ${formatCurrency(MIN_CHARGE[currency], currency)}`,
+          400
+        );
+      }
+
+      discounts.push({
+        source: "coupon",
+        label: coupon.code,
+        ...(coupon.discountType === "percentage" && {
+          percentOff: coupon.value,
+        }),
+        amount,
+      });
+      price -= amount;
+    }
+
+    // VAT is included in marketplace prices, so it is taken from the
+    // discounted amount the buyer pays
+    const vat = await calculateVAT({
+      price,
+      currency,
+      buyerCountry,
+    });
+
+    return {
+      currency,
+      listPrice,
+      finalPrice: price,
+      discountAmount: listPrice - price,
+      discounts,
+      coupon: coupon && { id: coupon._id, code: coupon.code },
+      vat: {
+        rate: vat.vatRate,
+        amount: vat.vatAmount,
+        netPrice: vat.netPrice,
+      },
+    };
+  }
+
+  /**
+   * Short description of the discounts, e.g. "Spring Sale 20% off, coupon WELCOME"
+   */
+  static describeDiscounts(discounts) {
+    return discounts
+      .map((discount) =>
+        discount.source === "coupon"
+          ? `coupon ${discount.label}`
+          : `${discount.label} ${discount.percentOff}% off`
+      )
+      .join(", ");
+  }
+
+  /**
+   * Checkout session metadata describing the discount
+   */
+  static toCheckoutMetadata(pricing) {
+    if (!pricing.discountAmount) return {};
+
+    return {
+      listPrice: pricing.listPrice,
+      discountAmount: pricing.discountAmount,
+      discountSources: pricing.discounts.map((d) => d.source).join(","),
+      discountDescription: this.describeDiscounts(pricing.discounts).slice(
+        0,
+        200
+      ),
+      ...(pricing.coupon && {
+        couponId: pricing.coupon.id.toString(),
+        couponCode: pricing.coupon.code,
+      }),
+    };
+  }
+
+  /**
+   * Sale.discount for a priced purchase
+   */
+  static toSaleDiscount(pricing) {
+    if (!pricing.discountAmount) return undefined;
+
+    return {
+      listPrice: pricing.listPrice,
+      amount: pricing.discountAmount,
+      couponId: pricing.coupon?.id || null,
+      couponCode: pricing.coupon?.code,
+      sources: pricing.discounts.map((d) => d.source),
+      description: this.describeDiscounts(pricing.discounts),
+    };
+  }
+
+  /**
+   * Sale.discount from checkout session metadata
+   */
+  static discountFromMetadata(metadata = {}) {
+    const amount = parseInt(metadata.discountAmount);
+    if (!amount) return undefined;
+
+    return {
+      listPrice: parseInt(metadata.listPrice),
+      amount,
+      couponId: metadata.couponId || null,
+      couponCode: metadata.couponCode,
+      sources: metadata.discountSources
+        ? metadata.discountSources.split(",")
+        : [],
+      description: metadata.discountDescription,
+    };
+  }
+
+  /**
+   * Take one use of a coupon before its checkout session is created. The
+   * usedCount guard makes this atomic, so concurrent checkouts cannot go
+   * past maxUses.
+   * @throws {Error} - 400 when the coupon has no uses left
+   */
+  static async reserveCoupon(couponId) {
+    const result = await Coupon.updateOne(
+      {
+        _id: couponId,
+        $or: [
+          { maxUses: null },
+          { $expr: { $lt: ["$usedCount", "$maxUses"] } },
+        ],
+      },
+      { $inc: { usedCount: 1 } }
+    );
+    if (!result.modifiedCount) {
+      throw httpError("This coupon has reached its usage limit", 400);
+    }
+  }
+
+  /**
+   * Give back a use taken by reserveCoupon
+   */
+  static async releaseCoupon(couponId) {
+    await Coupon.updateOne(
+      { _id: couponId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  }
+
+  /**
+   * Create a checkout session with a coupon use reserved for it. The use is
+   * given back if the session cannot be created, or when it expires unpaid
+   * (see releaseReservation).
+   * @param {string|null} couponId - Coupon applied to the checkout
+   * @param {Function} createSession - async () => Stripe checkout session
+   * @returns {Promise<Object>} - The checkout session
+   */
+  static async withCouponReservation(couponId, createSession) {
+    if (!couponId) return createSession();
+
+    await this.reserveCoupon(couponId);
+    let session;
+    try {
+      session = await createSession();
+    } catch (error) {
+      await this.releaseCoupon(couponId);
+      throw error;
+    }
+
+    await CouponReservation.create({
+      coupon: couponId,
+      stripeSessionId: session.id,
+    });
+    return session;
+  }
+
+  /**
+   * Mark a checkout's coupon use as redeemed once its sale has been recorded.
+   * Safe to call more than once per session.
+   * @param {string} couponId - Coupon applied to the checkout
+   * @param {string} stripeSessionId - Paid checkout session
+   */
+  static async recordRedemption(couponId, stripeSessionId) {
+    if (!couponId) return;
+
+    let previous;
+    try {
+      previous = await CouponReservation.findOneAndUpdate(
+        { stripeSessionId },
+        { $set: { status: "redeemed" }, $setOnInsert: { coupon: couponId } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent fulfilment of the same session recorded it first
+      if (error.code === 11000) return;
+      throw error;
+    }
+
+    // Sessions created before reservations, or whose reservation was already
+    // given back, have not been counted yet
+    if (!previous || previous.status === "released") {
+      await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: 1 } });
+    }
+  }
+
+  /**
+   * Give back the coupon use of a checkout session that expired unpaid
+   * @param {string} stripeSessionId - Expired checkout session
+   */
+  static async releaseReservation(stripeSessionId) {
+    const reservation = await CouponReservation.findOneAndUpdate(
+      { stripeSessionId, status: "reserved" },
+      { $set: { status: "released" } }
+    );
+    if (reservation) {
+      await this.releaseCoupon(reservation.coupon);
+    }
+  }
+
+  /**
+   * Coupon status for listings
+   */
+  static getCouponStatus(coupon, now = new Date()) {
+    if (!coupon.isActive) return "inactive";
+    if (coupon.expiresAt && coupon.expiresAt <= now) return "expired";
+    if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+      return "used_up";
+    }
+    if (coupon.startsAt && coupon.startsAt > now) return "scheduled";
+    return "active";
+  }
+
+  static formatCoupon(coupon) {
+    return {
+      id: coupon._id,
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      value: coupon.value,
+      currency: coupon.currency,
+      scope: coupon.seller ? "seller" : "sitewide",
+      resources: coupon.resources,
+      maxUses: coupon.maxUses,
+      maxUsesPerBuyer: coupon.maxUsesPerBuyer,
+      usedCount: coupon.usedCount,
+      firstPurchaseOnly: coupon.firstPurchaseOnly,
+      startsAt: coupon.startsAt,
+      expiresAt: coupon.expiresAt,
+      isActive: coupon.isActive,
+      status: this.getCouponStatus(coupon),
+      createdAt: coupon.createdAt,
+    };
+  }
+
+  /**
+   * Check the coupon fields shared by create and update
+   */
+  static async checkCouponData(user, data) {
+    if (data.discountType === "percentage" && data.value > 100) {
+      throw httpError("A percentage discount cannot exceed 100%", 400);
+    }
+    if (data.discountType === "fixed" && !data.currency) {
+      throw httpError("Currency is required for fixed amount coupons", 400);
+    }
+    if (data.expiresAt && data.startsAt && data.expiresAt <= data.startsAt) {
+      throw httpError("Expiry date must be after the start date", 400);
+    }
+
+    if (data.resources?.length && user.role !== "admin") {
+      const owned = await Resource.countDocuments({
+        _id: { $in: data.resources },
+        "createdBy.userId": user.userId,
+        isDeleted: false,
+      });
+      if (owned !== data.resources.length) {
+        throw httpError("Coupons can only apply to your own resources", 400);
+      }
+    }
+  }
+
+  /**
+   * Find a coupon the user manages (sellers: their own; admins: sitewide)
+   */
+  static async getOwnCoupon(user, couponId) {
+    if (!mongoose.isValidObjectId(couponId)) {
+      throw httpError("Coupon not found", 404);
+    }
+
+    const coupon = await Coupon.findOne({ _id: couponId, isDeleted: false });
+    if (!coupon) {
+      throw httpError("Coupon not found", 404);
+    }
+
+    const canManage =
+      user.role === "admin"
+        ? !coupon.seller
+        : coupon.seller?.toString() === user.userId.toString();
+    if (!canManage) {
+      throw httpError("You can only manage your own coupons", 403);
+    }
+    return coupon;
+  }
+
+  /**
+   * Create a coupon. Sellers' coupons apply to their own resources;
+   * admin coupons apply sitewide.
+   * @param {Object} user - req.user
+   * @param {Object} data - Coupon fields
+   */
+  static async createCoupon(user, data) {
+    await this.checkCouponData(user, data);
+
+    try {
+      const coupon = await Coupon.create({
+        ...COUPON_FIELDS.reduce((fields, field) => {
+          if (data[field] !== undefined) fields[field] = data[field];
+          return fields;
+        }, {}),
+        code: data.code,
+        seller: user.role === "admin" ? null : user.userId,
+        createdBy: { userId: user.userId, role: user.role },
+      });
+      return this.formatCoupon(coupon);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError("This coupon code is already in use", 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a coupon (the code cannot change)
+   */
+  static async updateCoupon(user, couponId, updates) {
+    const coupon = await this.getOwnCoupon(user, couponId);
+
+    COUPON_FIELDS.filter((field) => updates[field] !== undefined).forEach(
+      (field) => {
+        coupon[field] = updates[field];
+      }
+    );
+    await this.checkCouponData(user, {
+      ...coupon.toObject(),
+      resources: updates.resources,
+    });
+
+    await coupon.save();
+    return this.formatCoupon(coupon);
+  }
+
+  /**
+   * Delete a coupon; recorded sales keep their discount details
+   */
+  static async deleteCoupon(user, couponId) {
+    const coupon = await this.getOwnCoupon(user, couponId);
+    coupon.isDeleted = true;
+    coupon.isActive = false;
+    await coupon.save();
+  }
+
+  /**
+   * Coupons the user manages
+   */
+  static async getCoupons(user) {
+    const coupons = await Coupon.find({
+      seller: user.role === "admin" ? null : user.userId,
+      isDeleted: false,
+    }).sort({ createdAt: -1 });
+
+    return coupons.map((coupon) => this.formatCoupon(coupon));
+  }
+
+  /**
+   * Put one of the seller's resources on sale for a limited time
+   * @param {Object} user - req.user
+   * @param {string} resourceId - Resource ID
+   * @param {Object} data - { percentOff, startsAt, endsAt }
+   */
+  static async setResourceSale(user, resourceId, data) {
+    if (!mongoose.isValidObjectId(resourceId)) {
+      throw httpError("Resource not found", 404);
+    }
+
+    const resource = await Resource.findOne({
+      _id: resourceId,
+      isDeleted: false,
+    });
+    if (!resource) {
+      throw httpError("Resource not found", 404);
+    }
+    if (resource.createdBy.userId.toString() !== user.userId.toString()) {
+      throw httpError("You can only put your own resources on sale", 403);
+    }
+    if (resource.isFree) {
+      throw httpError("Free resources cannot be put on sale", 400);
+    }
+    if (data.startsAt && data.startsAt >= data.endsAt) {
+      throw httpError("The sale must end after it starts", 400);
+    }
+
+    resource.promotion = {
+      percentOff: data.percentOff,
+      startsAt: data.startsAt || new Date(),
+      endsAt: data.endsAt,
+    };
+    await resource.save();
+
+    return {
+      resourceId: resource._id,
+      promotion: resource.promotion,
+      pricing: await this.getDisplayPrice(resource),
+    };
+  }
+
+  /**
+   * End a seller's sale on a resource
+   */
+  static async endResourceSale(user, resourceId) {
+    if (!mongoose.isValidObjectId(resourceId)) {
+      throw httpError("Resource not found", 404);
+    }
+
+    const resource = await Resource.findOne({
+      _id: resourceId,
+      "createdBy.userId": user.userId,
+      isDeleted: false,
+    });
+    if (!resource) {
+      throw httpError("Resource not found", 404);
+    }
+
+    resource.promotion = { percentOff: null, startsAt: null, endsAt: null };
+    await resource.save();
+  }
+}
+
+module.exports = PromotionService;
@@ -0,0 +1,555 @@
+const ReferenceRequest = require("../models/ReferenceRequest");
+const TeacherReferee = require("../models/TeacherReferee");
+const JobApplication = require("../models/JobApplication");
+const JobNotification = require("../models/JobNotification");
+const ApplicationEvent = require("../models/ApplicationEvent");
+const SchoolProfile = require("../models/SchoolProfile");
+const TeacherProfile = require("../models/TeacherProfile");
+const { sendReferenceRequestEmail } = require("../config/email");
+const { escapeHtml } = require("../utils/templateEngine");
+
+const FORM_VALIDITY_DAYS = 14;
+
+// Fields the teacher may see; the response stays confidential
+const TEACHER_FIELDS =
+  "applicationId jobId referee.fullName referee.organization status consentedAt consentDeclinedAt sentAt completedAt cancelledAt createdAt";
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+class ReferenceService {
+  /**
+   * Get an application with its job and teacher and verify access
+   * @returns {{ application: Object, role: string }}
+   */
+  static async getApplicationForUser(applicationId, user) {
+    const application = await JobApplication.findById(applicationId)
+      .populate("jobId", "title schoolId")
+      .populate("teacherId", "userId firstName lastName");
+
+    if (!application || !application.jobId || !application.teacherId) {
+      throw new Error("Application not found");
+    }
+
+    if (
+      user.role === "school" &&
+      user.schoolId &&
+      application.jobId.schoolId.toString() === user.schoolId.toString()
+    ) {
+      return { application, role: "school" };
+    }
+
+    if (
+      user.role === "teacher" &&
+      application.teacherId.userId.toString() === user.userId.toString()
+    ) {
+      return { application, role: "teacher" };
+    }
+
+    throw new Error("Access denied to this application");
+  }
+
+  /**
+   * Mark sent requests whose form link has passed its expiry as expired
+   */
+  static async expireStaleRequests(filter = {}) {
+    return ReferenceRequest.updateMany(
+      { ...filter, status: "sent", tokenExpiresAt: { $lt: new Date() } },
+      { $set: { status: "expired" }, $unset: { tokenHash: 1 } }
+    );
+  }
+
+  /**
+   * Ask for references from the teacher's referees. Requests wait for the
+   * teacher's consent before any referee is contacted.
+   * @param {string} applicationId - Application ID
+   * @param {Object} user - School user (req.user)
+   * @param {Object} data - { refereeIds, message }
+   */
+  static async requestReferences(applicationId, user, data = {}) {
+    try {
+      const { application, role } = await this.getApplicationForUser(
+        applicationId,
+        user
+      );
+      if (role !== "school") {
+        throw new Error("Only the school can request references");
+      }
+
+      if (["withdrawn", "rejected"].includes(application.status)) {
+        throw new Error(
+          `Cannot request references for a ${application.status} application`
+        );
+      }
+
+      const refereeQuery = { teacherId: application.teacherId._id };
+      if (data.refereeIds && data.refereeIds.length) {
+        refereeQuery._id = { $in: data.refereeIds };
+      }
+      const referees = await TeacherReferee.find(refereeQuery).lean();
+
+      const openRefereeIds = await ReferenceRequest.find({
+        applicationId: application._id,
+        status: { $in: ["awaiting_consent", "sent", "completed"] },
+      }).distinct("refereeId");
+      const open = new Set(openRefereeIds.map((id) => id.toString()));
+
+      const eligible = referees.filter(
+        (referee) =>
+          referee.email && referee.fullName && !open.has(referee._id.toString())
+      );
+      if (!eligible.length) {
+        throw new Error(
+          "No referees with an email address are available for a new request"
+        );
+      }
+
+      const requests = await ReferenceRequest.insertMany(
+        eligible.map((referee) => ({
+          applicationId: application._id,
+          jobId: application.jobId._id,
+          schoolId: application.jobId.schoolId,
+          teacherId: application.teacherId._id,
+          refereeId: referee._id,
+          referee: {
+            fullName: referee.fullName,
+            email: referee.email,
+            position: referee.position,
+            organization: referee.organization,
+            relationship: referee.relationship,
+          },
+          message: data.message,
+          requestedBy: user.userId,
+        }))
+      );
+
+      await ApplicationEvent.recordSafely({
+        applicationId: application._id,
+        jobId: application.jobId._id,
+        type: "reference",
+        action: "requested",
+        actor: { userId: user.userId, role: "school" },
+        metadata: {
+          referenceIds: requests.map((request) => request._id),
+          referees: requests.map((request) => request.referee.fullName),
+        },
+      });
+
+      await this.notifyTeacherConsent(application, requests.length);
+
+      return requests;
+    } catch (error) {
+      throw new Error(`Failed to request references: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the reference requests of an application. Teachers see the
+   * status of each request but never the reference itself.
+   */
+  static async getReferencesForApplication(applicationId, user) {
+    try {
+      const { application, role } = await this.getApplicationForUser(
+        applicationId,
+        user
+      );
+
+      await this.expireStaleRequests({ applicationId: application._id });
+
+      const query = ReferenceRequest.find({
+        applicationId: application._id,
+      }).sort({ createdAt: -1 });
+      if (role === "teacher") query.select(TEACHER_FIELDS);
+
+      return query.lean();
+    } catch (error) {
+      throw new Error(`Failed to get references: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a completed or pending reference (school only)
+   */
+  static async getReference(referenceId, schoolId) {
+    try {
+      const reference = await ReferenceRequest.findOne({
+        _id: referenceId,
+        schoolId,
+      }).lean();
+
+      if (!reference) {
+        throw new Error("Reference not found");
+      }
+
+      return reference;
+    } catch (error) {
+      throw new Error(`Failed to get reference: ${error.message}`);
+    }
+  }
+
+  /**
+   * Teacher consents to (or declines) a reference request. On consent the
+   * referee is emailed a tokenised link to the reference form.
+   * @param {string} referenceId - Reference request ID
+   * @param {Object} user - Teacher (req.user)
+   * @param {boolean} consent - Whether the teacher consents
+   */
+  static async respondToConsent(referenceId, user, consent) {
+    try {
+      const teacherProfile = await TeacherProfile.findOne({
+        userId: user.userId,
+      }).select("_id firstName lastName");
+      if (!teacherProfile) {
+        throw new Error("Teacher profile not found");
+      }
+
+      const reference = await ReferenceRequest.findOne({
+        _id: referenceId,
+        teacherId: teacherProfile._id,
+      });
+      if (!reference) {
+        throw new Error("Reference request not found");
+      }
+      if (reference.status !== "awaiting_consent") {
+        throw new Error("This reference request is no longer awaiting consent");
+      }
+
+      let token;
+      if (consent) {
+        token = reference.issueToken(FORM_VALIDITY_DAYS);
+        reference.status = "sent";
+        reference.consentedAt = new Date();
+        reference.sentAt = new Date();
+      } else {
+        reference.status = "consent_declined";
+        reference.consentDeclinedAt = new Date();
+      }
+      await reference.save();
+
+      await ApplicationEvent.recordSafely({
+        applicationId: reference.applicationId,
+        jobId: reference.jobId,
+        type: "reference",
+        action: consent ? "consent_given" : "consent_declined",
+        actor: { userId: user.userId, role: "teacher" },
+        metadata: {
+          referenceId: reference._id,
+          referee: reference.referee.fullName,
+        },
+      });
+
+      if (consent) {
+        await this.sendRefereeEmail(reference, teacherProfile, token);
+      } else {
+        await this.notifySchool(reference, "consent_declined", teacherProfile);
+      }
+
+      return this.toTeacherView(reference);
+    } catch (error) {
+      throw new Error(`Failed to update reference consent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a request that has not been completed (school only)
+   */
+  static async cancelReference(referenceId, schoolId, userId) {
+    try {
+      const reference = await ReferenceRequest.findOneAndUpdate(
+        {
+          _id: referenceId,
+          schoolId,
+          status: { $in: ["awaiting_consent", "sent"] },
+        },
+        {
+          $set: { status: "cancelled", cancelledAt: new Date() },
+          $unset: { tokenHash: 1 },
+        },
+        { new: true }
+      );
+
+      if (!reference) {
+        throw new Error("Reference request not found or no longer open");
+      }
+
+      await ApplicationEvent.recordSafely({
+        applicationId: reference.applicationId,
+        jobId: reference.jobId,
+        type: "reference",
+        action: "cancelled",
+        actor: { userId, role: "school" },
+        metadata: {
+          referenceId: reference._id,
+          referee: reference.referee.fullName,
+        },
+      });
+
+      return reference;
+    } catch (error) {
+      throw new Error(`Failed to cancel reference request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an open request by its form token
+   */
+  static async getOpenRequestByToken(token) {
+    const reference = await ReferenceRequest.findByToken(token);
+
+    if (!reference || reference.status !== "sent") {
+      throw new Error(
+        "This reference link is invalid or has already been used"
+      );
+    }
+
+    if (reference.isTokenExpired()) {
+      reference.status = "expired";
+      reference.tokenHash = undefined;
+      await reference.save();
+      throw new Error("This reference link has expired");
+    }
+
+    return reference;
+  }
+
+  /**
+   * Form definition for the referee (public, token only)
+   */
+  static async getForm(token) {
+    try {
+      const reference = await this.getOpenRequestByToken(token);
+
+      const [teacher, school, application] = await Promise.all([
+        TeacherProfile.findById(reference.teacherId)
+          .select("firstName lastName")
+          .lean(),
+        SchoolProfile.findById(reference.schoolId).select("schoolName").lean(),
+        JobApplication.findById(reference.applicationId)
+          .populate("jobId", "title")
+          .lean(),
+      ]);
+
+      return {
+        referee: {
+          fullName: reference.referee.fullName,
+          position: reference.referee.position,
+          organization: reference.referee.organization,
+        },
+        candidateName: teacher
+          ? `${teacher.firstName} ${teacher.lastName}`
+          : "the candidate",
+        schoolName: school ? school.schoolName : "",
+        jobTitle:
+          application && application.jobId ? application.jobId.title : "",
+        message: reference.message,
+        expiresAt: reference.tokenExpiresAt,
+        safeguardingQuestions: ReferenceRequest.SAFEGUARDING_QUESTIONS,
+        ratingCriteria: ReferenceRequest.RATING_CRITERIA,
+      };
+    } catch (error) {
+      throw new Error(`Failed to load reference form: ${error.message}`);
+    }
+  }
+
+  /**
+   * Submit the reference form (public, token only). The link can be used
+   * once; the reference is attached to the application for the school.
+   * @param {string} token - Form token
+   * @param {Object} data - Validated form data
+   * @param {Object} request - { ipAddress }
+   */
+  static async submitForm(token, data, request = {}) {
+    try {
+      const reference = await this.getOpenRequestByToken(token);
+
+      const concernAnswers = ReferenceRequest.SAFEGUARDING_CONCERN_ANSWERS;
+      const safeguarding = ReferenceRequest.SAFEGUARDING_QUESTIONS.map(
+        ({ key, question }) => ({
+          key,
+          question,
+          answer: data.safeguarding[key].answer,
+          details: data.safeguarding[key].details,
+        })
+      );
+
+      const concerns = safeguarding.filter(
+        (item) => concernAnswers[item.key] === item.answer
+      );
+      const missingDetails = concerns.filter((item) => !item.details);
+      if (missingDetails.length) {
+        throw new Error(
+          `Please give details for: ${missingDetails
+            .map((item) => item.question)
+            .join(" ")}`
+        );
+      }
+
+      reference.response = {
+        refereeName: data.refereeName,
+        refereePosition: data.refereePosition,
+        capacityKnown: data.capacityKnown,
+        employedFrom: data.employedFrom,
+        employedTo: data.employedTo,
+        safeguarding,
+        ratings: data.ratings,
+        strengths: data.strengths,
+        areasForDevelopment: data.areasForDevelopment,
+        additionalComments: data.additionalComments,
+        hasConcerns: concerns.length > 0,
+        declaration: data.declaration,
+        submittedAt: new Date(),
+        ipAddress: request.ipAddress,
+      };
+      reference.status = "completed";
+      reference.completedAt = new Date();
+      reference.tokenHash = undefined;
+      await reference.save();
+
+      await JobApplication.updateOne(
+        { _id: reference.applicationId },
+        { $addToSet: { references: reference._id } }
+      );
+
+      // The teacher never sees the reference, so its events stay with the school
+      await ApplicationEvent.recordSafely({
+        applicationId: reference.applicationId,
+        jobId: reference.jobId,
+        type: "reference",
+        action: "completed",
+        actor: { role: "system" },
+        visibility: "school",
+        metadata: {
+          referenceId: reference._id,
+          referee: reference.referee.fullName,
+          hasConcerns: reference.response.hasConcerns,
+        },
+      });
+
+      await this.notifySchool(reference, "completed");
+
+      return { submitted: true };
+    } catch (error) {
+      throw new Error(`Failed to submit reference: ${error.message}`);
+    }
+  }
+
+  /**
+   * Strip school-only fields from a request
+   */
+  static toTeacherView(reference) {
+    const view = reference.toObject ? reference.toObject() : { ...reference };
+    delete view.response;
+    delete view.tokenHash;
+    delete view.tokenExpiresAt;
+    delete view.message;
+    delete view.requestedBy;
+    if (view.referee) {
+      view.referee = {
+        fullName: view.referee.fullName,
+        organization: view.referee.organization,
+      };
+    }
+    return view;
+  }
+
+  /**
+   * Email the referee the link to the reference form
+   */
+  static async sendRefereeEmail(reference, teacher, token) {
+    try {
+      const [school, application] = await Promise.all([
+        SchoolProfile.findById(reference.schoolId).select("schoolName").lean(),
+        JobApplication.findById(reference.applicationId)
+          .populate("jobId", "title")
+          .lean(),
+      ]);
+
+      const result = await sendReferenceRequestEmail(reference.referee.email, {
+        refereeName: escapeHtml(reference.referee.fullName),
+        candidateName: escapeHtml(`${teacher.firstName} ${teacher.lastName}`),
+        schoolName: escapeHtml(school ? school.schoolName : "A school"),
+        jobTitle: escapeHtml(
+          application && application.jobId ? application.jobId.title : ""
+        ),
+        message: escapeHtml(reference.message || ""),
+        expiresAt: reference.tokenExpiresAt.toDateString(),
+        actionUrl: `${frontendUrl()}/references/${token}`,
+      });
+      if (!result.success) {
+        console.error("Reference request email failed:", result.error);
+      }
+    } catch (error) {
+      console.error("Reference request email failed:", error.message);
+    }
+  }
+
+  /**
+   * Ask the teacher to consent to the reference requests
+   */
+  static async notifyTeacherConsent(application, count) {
+    try {
+      await JobNotification.createNotification({
+        userId: application.teacherId.userId,
+        jobId: application.jobId._id,
+        type: "reference_consent_requested",
+        title: "Reference Request",
+        message: `The school has asked to contact ${count} of your referees for "${application.jobId.title}". Please confirm whether they may be contacted.`,
+        category: "application",
+        priority: "high",
+        actionRequired: true,
+        actionUrl: `${frontendUrl()}/dashboard/teacher/applications/${application._id}`,
+        actionText: "Review Request",
+        metadata: { applicationId: application._id.toString() },
+      });
+    } catch (error) {
+      console.error("Reference notification failed:", error.message);
+    }
+  }
+
+  /**
+   * Tell the school that a reference was completed or consent was declined
+   */
+  static async notifySchool(reference, event, teacher = null) {
+    try {
+      const school = await SchoolProfile.findById(reference.schoolId)
+        .select("userId")
+        .lean();
+      if (!school) return;
+
+      const messages = {
+        completed: `${reference.referee.fullName} has submitted a reference${
+          reference.response && reference.response.hasConcerns
+            ? " that raises safeguarding concerns"
+            : ""
+        }.`,
+        consent_declined: `${
+          teacher ? `${teacher.firstName} ${teacher.lastName}` : "The candidate"
+        } declined consent to contact ${reference.referee.fullName}.`,
+      };
+
+      await JobNotification.createNotification({
+        userId: school.userId,
+        jobId: reference.jobId,
+        type: `reference_${event}`,
+        title:
+          event === "completed" ? "Reference Received" : "Reference Declined",
+        message: messages[event],
+        category: "application",
+        priority:
+          reference.response && reference.response.hasConcerns
+            ? "urgent"
+            : "medium",
+        actionRequired: false,
+        actionUrl: `${frontendUrl()}/dashboard/school/applications/${reference.applicationId}`,
+        actionText: "View Application",
+        metadata: {
+          applicationId: reference.applicationId.toString(),
+          referenceId: reference._id.toString(),
+        },
+      });
+    } catch (error) {
+      console.error("Reference notification failed:", error.message);
+    }
+  }
+}
+
+module.exports = ReferenceService;
@@ -0,0 +1,716 @@
+const mongoose = require("mongoose");
+const ResourceBundle = require("../models/ResourceBundle");
+const Resource = require("../models/resource");
+const ResourcePurchase = require("../models/resourcePurchase");
+const Sale = require("../models/Sale");
+const SellerTier = require("../models/SellerTier");
+const BalanceLedger = require("../models/BalanceLedger");
+const PlatformSettings = require("../models/PlatformSettings");
+const JobNotification = require("../models/JobNotification");
+const User = require("../models/User");
+const emailService = require("../config/email");
+const invoiceService = require("./invoiceService");
+const { createCheckoutSession } = require("../config/stripe");
+const {
+  calculateRoyalty,
+  splitRoyalty,
+  toSmallestUnit,
+  formatCurrency,
+} = require("../utils/royaltyCalculator");
+
+const httpError = (message, status) =>
+  Object.assign(new Error(message), { status });
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const RESOURCE_FIELDS =
+  "title type subject ageRange coverPhoto price currency isFree status isDeleted createdBy";
+
+class ResourceBundleService {
+  /**
+   * Whether every resource in a (populated) bundle can still be sold
+   */
+  static isAvailable(bundle) {
+    return (
+      bundle.status === "active" &&
+      !bundle.isDeleted &&
+      bundle.resources.length >= ResourceBundle.MIN_RESOURCES &&
+      bundle.resources.every(
+        (resource) =>
+          resource &&
+          resource.status === "approved" &&
+          !resource.isDeleted &&
+          !resource.isFree &&
+          resource.currency === bundle.currency
+      )
+    );
+  }
+
+  /**
+   * Bundle with its resources, combined list price and savings
+   * @param {Object} bundle - Bundle with populated resources
+   */
+  static formatBundle(bundle) {
+    const resources = bundle.resources.filter(Boolean);
+    const originalPrice = resources.reduce(
+      (sum, resource) => sum + (resource.price || 0),
+      0
+    );
+    const savings = Math.max(0, originalPrice - bundle.price);
+
+    return {
+      id: bundle._id,
+      title: bundle.title,
+      description: bundle.description,
+      coverPhoto: bundle.coverPhoto || resources[0]?.coverPhoto || null,
+      price: bundle.price,
+      currency: bundle.currency,
+      originalPrice: Math.round(originalPrice * 100) / 100,
+      savings: Math.round(savings * 100) / 100,
+      savingsPercent:
+        originalPrice > 0 ? Math.round((savings / originalPrice) * 100) : 0,
+      resourceCount: resources.length,
+      resources: resources.map((resource) => ({
+        id: resource._id,
+        title: resource.title,
+        type: resource.type,
+        subject: resource.subject,
+        ageRange: resource.ageRange,
+        thumbnail: resource.coverPhoto || null,
+        price: resource.price,
+        currency: resource.currency,
+      })),
+      sellerId: bundle.createdBy?.userId?._id || bundle.createdBy?.userId,
+      status: bundle.status,
+      isAvailable: this.isAvailable(bundle),
+      salesCount: bundle.salesCount,
+      createdAt: bundle.createdAt,
+    };
+  }
+
+  /**
+   * Check that the seller owns every resource and that they can be sold
+   * together in the bundle's currency
+   * @returns {Promise<Array>} - Resources in the given order
+   */
+  static async loadSellerResources(sellerId, resourceIds, currency) {
+    const resources = await Resource.find({
+      _id: { $in: resourceIds },
+      "createdBy.userId": sellerId,
+      isDeleted: false,
+    }).select(RESOURCE_FIELDS);
+
+    if (resources.length !== resourceIds.length) {
+      throw httpError("Bundles can only contain your own resources", 400);
+    }
+
+    const byId = new Map(resources.map((r) => [r._id.toString(), r]));
+    const ordered = resourceIds.map((id) => byId.get(id.toString()));
+
+    ordered.forEach((resource) => {
+      if (resource.status !== "approved") {
+        throw httpError(`"${resource.title}" has not been approved yet`, 400);
+      }
+      if (resource.isFree) {
+        throw httpError(
+          `"${resource.title}" is free and cannot be bundled`,
+          400
+        );
+      }
+      if (resource.currency !== currency) {
+        throw httpError(
+          `"${resource.title}" is priced in ${resource.currency}; every resource in the bundle must be priced in ${currency}`,
+          400
+        );
+      }
+    });
+
+    return ordered;
+  }
+
+  /**
+   * The bundle price has to be a discount on the resources' combined price
+   */
+  static checkPrice(price, resources, currency) {
+    const combined = resources.reduce((sum, r) => sum + r.price, 0);
+    if (toSmallestUnit(price, currency) >= toSmallestUnit(combined, currency)) {
+      throw httpError(
+        `Bundle price must be lower than the resources' combined price (${currency} ${combined.toFixed(2)})`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Find a bundle the user created
+   */
+  static async getOwnBundle(userId, bundleId) {
+    if (!mongoose.isValidObjectId(bundleId)) {
+      throw httpError("Bundle not found", 404);
+    }
+
+    const bundle = await ResourceBundle.findOne({
+      _id: bundleId,
+      isDeleted: false,
+    });
+    if (!bundle) {
+      throw httpError("Bundle not found", 404);
+    }
+    if (bundle.createdBy.userId.toString() !== userId.toString()) {
+      throw httpError("You can only manage your own bundles", 403);
+    }
+    return bundle;
+  }
+
+  /**
+   * Create a bundle of the seller's approved resources
+   * @param {Object} user - req.user
+   * @param {Object} data - { title, description, coverPhoto, resourceIds, price, currency }
+   */
+  static async createBundle(user, data) {
+    const resources = await this.loadSellerResources(
+      user.userId,
+      data.resourceIds,
+      data.currency
+    );
+    this.checkPrice(data.price, resources, data.currency);
+
+    const bundle = await ResourceBundle.create({
+      title: data.title,
+      description: data.description,
+      coverPhoto: data.coverPhoto || null,
+      resources: resources.map((r) => r._id),
+      price: data.price,
+      currency: data.currency,
+      createdBy: { userId: user.userId, role: user.role },
+    });
+
+    bundle.resources = resources;
+    return this.formatBundle(bundle);
+  }
+
+  /**
+   * Update a bundle; resources and price are checked again
+   * @param {Object} user - req.user
+   * @param {string} bundleId - Bundle ID
+   * @param {Object} updates - Fields to change
+   */
+  static async updateBundle(user, bundleId, updates) {
+    const bundle = await this.getOwnBundle(user.userId, bundleId);
+
+    ["title", "description", "coverPhoto", "price", "currency", "status"]
+      .filter((field) => updates[field] !== undefined)
+      .forEach((field) => {
+        bundle[field] = updates[field];
+      });
+
+    // Deactivating a bundle is always allowed, even if one of its
+    // resources can no longer be sold
+    const needsCheck =
+      bundle.status === "active" ||
+      ["resourceIds", "price", "currency"].some(
+        (field) => updates[field] !== undefined
+      );
+
+    if (needsCheck) {
+      const resources = await this.loadSellerResources(
+        user.userId,
+        updates.resourceIds || bundle.resources,
+        bundle.currency
+      );
+      this.checkPrice(bundle.price, resources, bundle.currency);
+      bundle.resources = resources.map((r) => r._id);
+    }
+
+    await bundle.save();
+    await bundle.populate("resources", RESOURCE_FIELDS);
+
+    return this.formatBundle(bundle);
+  }
+
+  /**
+   * Remove a bundle; earlier buyers keep their resources
+   */
+  static async deleteBundle(user, bundleId) {
+    const bundle = await this.getOwnBundle(user.userId, bundleId);
+    bundle.isDeleted = true;
+    bundle.status = "inactive";
+    await bundle.save();
+  }
+
+  /**
+   * Bundles created by a seller (seller's resource page)
+   */
+  static async getSellerBundles(userId) {
+    const bundles = await ResourceBundle.find({
+      "createdBy.userId": userId,
+      isDeleted: false,
+    })
+      .populate("resources", RESOURCE_FIELDS)
+      .sort({ createdAt: -1 });
+
+    return bundles.map((bundle) => this.formatBundle(bundle));
+  }
+
+  /**
+   * Bundle details; unavailable bundles are only shown to their seller
+   * @param {string} bundleId - Bundle ID
+   * @param {Object} user - req.user (optional)
+   */
+  static async getBundle(bundleId, user) {
+    if (!mongoose.isValidObjectId(bundleId)) {
+      throw httpError("Bundle not found", 404);
+    }
+
+    const bundle = await ResourceBundle.findOne({
+      _id: bundleId,
+      isDeleted: false,
+    })
+      .populate("resources", RESOURCE_FIELDS)
+      .populate("createdBy.userId", "firstName lastName");
+    if (!bundle) {
+      throw httpError("Bundle not found", 404);
+    }
+
+    const seller = bundle.createdBy.userId;
+    const isSeller = user && seller?._id.toString() === user.userId.toString();
+    if (!isSeller && !this.isAvailable(bundle)) {
+      throw httpError("Bundle not available", 404);
+    }
+
+    return {
+      ...this.formatBundle(bundle),
+      author: seller ? `${seller.firstName} ${seller.lastName}` : "Unknown",
+    };
+  }
+
+  /**
+   * Available bundles matching a search, by bundle text or by the
+   * resources they contain
+   * @param {Object} filters - { q, subject, limit }
+   */
+  static async searchBundles({ q, subject, limit = 10 } = {}) {
+    const filter = { status: "active", isDeleted: false };
+    const conditions = [];
+
+    if (q && q.trim()) {
+      const regex = new RegExp(escapeRegex(q.trim()), "i");
+      const resourceIds = await Resource.find({
+        status: "approved",
+        isDeleted: false,
+        $or: [{ title: regex }, { subject: regex }],
+      }).distinct("_id");
+
+      conditions.push({
+        $or: [
+          { title: regex },
+          { description: regex },
+          { resources: { $in: resourceIds } },
+        ],
+      });
+    }
+
+    if (subject && subject !== "all") {
+      const resourceIds = await Resource.find({
+        status: "approved",
+        isDeleted: false,
+        subject,
+      }).distinct("_id");
+      conditions.push({ resources: { $in: resourceIds } });
+    }
+
+    if (conditions.length) filter.$and = conditions;
+
+    const bundles = await ResourceBundle.find(filter)
+      .populate("resources", RESOURCE_FIELDS)
+      .sort({ salesCount: -1, createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 10, 50));
+
+    return bundles
+      .filter((bundle) => this.isAvailable(bundle))
+      .map((bundle) => this.formatBundle(bundle));
+  }
+
+  /**
+   * Start a Stripe checkout for a bundle
+   * @param {Object} user - req.user (buyer)
+   * @param {Object} options - { bundleId, buyerCountry }
+   */
+  static async createCheckout(user, { bundleId, buyerCountry = "GB" }) {
+    if (!mongoose.isValidObjectId(bundleId)) {
+      throw httpError("Bundle not found", 404);
+    }
+
+    const bundle = await ResourceBundle.findOne({
+      _id: bundleId,
+      isDeleted: false,
+    }).populate("resources", RESOURCE_FIELDS);
+    if (!bundle) {
+      throw httpError("Bundle not found", 404);
+    }
+    if (!this.isAvailable(bundle)) {
+      throw httpError("Bundle is not available for purchase", 400);
+    }
+
+    const sellerId = bundle.createdBy.userId;
+    if (sellerId.toString() === user.userId.toString()) {
+      throw httpError(
+        "You cannot purchase your own bundle. You already have access to its resources.",
+        400
+      );
+    }
+
+    const owned = await ResourcePurchase.countDocuments({
+      resourceId: { $in: bundle.resources.map((r) => r._id) },
+      buyerId: user.userId,
+      status: "completed",
+    });
+    if (owned >= bundle.resources.length) {
+      throw httpError("You already own every resource in this bundle", 400);
+    }
+
+    const sellerTier = await SellerTier.getOrCreateTier(sellerId);
+    const APP_URL = process.env.APP_URL || "http://localhost:5173";
+
+    const checkoutSession = await createCheckoutSession({
+      amount: toSmallestUnit(bundle.price, bundle.currency),
+      currency: bundle.currency,
+      resourceTitle: `${bundle.title} (Bundle of ${bundle.resources.length} resources)`,
+      description: "Bundle of digital educational resources",
+      buyerEmail: user.email,
+      successUrl: `${APP_URL}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+      cancelUrl: `${APP_URL}/resources/bundles/${bundle._id}?payment=cancelled`,
+      metadata: {
+        type: "bundle_purchase",
+        bundleId: bundle._id.toString(),
+        // Snapshot of the bundle at checkout
+        resourceIds: bundle.resources.map((r) => r._id.toString()).join(","),
+        sellerId: sellerId.toString(),
+        buyerId: user.userId.toString(),
+        buyerEmail: user.email,
+        buyerCountry,
+        sellerTier: sellerTier.currentTier,
+        royaltyRate: sellerTier.royaltyRate,
+      },
+    });
+
+    return {
+      checkoutUrl: checkoutSession.url,
+      sessionId: checkoutSession.id,
+      bundleId: bundle._id,
+      bundleTitle: bundle.title,
+      licenseType: "single",
+      finalPrice: bundle.price,
+      currency: bundle.currency,
+      alreadyOwned: owned,
+    };
+  }
+
+  /**
+   * Record a paid bundle checkout: one Sale (with its share of the royalty
+   * split) and one ResourcePurchase per resource. Safe to call more than
+   * once for the same session.
+   * @param {Object} session - Stripe checkout session
+   * @returns {Promise<Object>} - { bundle, sales, royalty, created }
+   */
+  static async fulfillPurchase(session) {
+    const {
+      bundleId,
+      resourceIds,
+      sellerId,
+      buyerId,
+      buyerEmail,
+      buyerCountry = "GB",
+      sellerTier,
+      royaltyRate,
+    } = session.metadata;
+
+    const bundle = await ResourceBundle.findById(bundleId);
+    if (!bundle) {
+      throw new Error(`Bundle not found: ${bundleId}`);
+    }
+
+    const existingSales = await Sale.find({
+      "checkoutPayment.stripeSessionId": session.id,
+    });
+    if (existingSales.length) {
+      return { bundle, sales: existingSales, created: false };
+    }
+
+    const ids = resourceIds.split(",");
+    const resources = await Resource.find({ _id: { $in: ids } }).select(
+      "title price"
+    );
+    const byId = new Map(resources.map((r) => [r._id.toString(), r]));
+    const items = ids.map((id) => byId.get(id)).filter(Boolean);
+
+    const sellerTierDoc = await SellerTier.getOrCreateTier(sellerId);
+    const amount = session.amount_total;
+    const currency = session.currency.toUpperCase();
+
+    // One royalty calculation for the payment, split by list price
+    const royalty = calculateRoyalty(
+      amount,
+      currency,
+      buyerCountry,
+      parseFloat(royaltyRate) || sellerTierDoc.royaltyRate,
+      sellerTier || sellerTierDoc.currentTier
+    );
+    const shares = splitRoyalty(
+      royalty,
+      items.map((resource) => toSmallestUnit(resource.price || 0, currency))
+    );
+
+    const payment = {
+      stripeSessionId: session.id,
+      stripePaymentIntentId: session.payment_intent,
+    };
+
+    let sales;
+    try {
+      sales = await Sale.insertMany(
+        items.map((resource, index) => ({
+          resource: resource._id,
+          seller: sellerId,
+          buyer: buyerId,
+          price: shares[index].originalPrice,
+          currency,
+          vatAmount: shares[index].vatAmount,
+          transactionFee: shares[index].transactionFee,
+          platformCommission: shares[index].platformCommission,
+          sellerEarnings: shares[index].sellerEarnings,
+          royaltyRate: royalty.royaltyRate,
+          sellerTier: royalty.sellerTier,
+          status: "completed",
+          license: "bundle",
+          bundle: bundle._id,
+          checkoutPayment: payment,
+          buyerEmail: buyerEmail || session.customer_email,
+          buyerCountry,
+        }))
+      );
+    } catch (error) {
+      // Another request (webhook or success page) recorded it first
+      if (error.code === 11000) {
+        const recorded = await Sale.find({
+          "checkoutPayment.stripeSessionId": session.id,
+        });
+        return { bundle, sales: recorded, created: false };
+      }
+      throw error;
+    }
+
+    for (const [index, resource] of items.entries()) {
+      const sale = sales[index];
+
+      const alreadyOwned = await ResourcePurchase.exists({
+        resourceId: resource._id,
+        buyerId,
+        status: "completed",
+      });
+      if (!alreadyOwned) {
+        await ResourcePurchase.create({
+          resourceId: resource._id,
+          buyerId,
+          pricePaid: sale.price,
+          currency,
+          status: "completed",
+          license: { type: "single", maxUsers: 1 },
+          bundleId: bundle._id,
+          paymentDetails: payment,
+          priceBreakdown: {
+            basePrice: sale.price,
+            vatAmount: sale.vatAmount,
+            platformFee: sale.platformCommission,
+            sellerEarnings: sale.sellerEarnings,
+          },
+        });
+      }
+
+      await BalanceLedger.createEntry({
+        seller: sellerId,
+        type: "credit",
+        amount: sale.sellerEarnings,
+        currency,
+        referenceType: "sale",
+        referenceId: sale._id,
+        referenceModel: "Sale",
+        description: `Sale of "${resource.title}" (bundle "${bundle.title}")`,
+        metadata: {
+          resourceId: resource._id.toString(),
+          resourceTitle: resource.title,
+          bundleId: bundle._id.toString(),
+          buyerId,
+          buyerEmail: buyerEmail || session.customer_email,
+          checkoutSessionId: session.id,
+        },
+      });
+    }
+
+    // Update seller tier and lifetime stats
+    const salesData = await Sale.calculateSellerSales(sellerId, 12);
+    await sellerTierDoc.updateTier(salesData.totalSales);
+    sellerTierDoc.lifetimeSales += royalty.netPrice;
+    sellerTierDoc.lifetimeEarnings += royalty.sellerEarnings;
+    sellerTierDoc.lifetimeSalesCount += sales.length;
+    await sellerTierDoc.save();
+
+    await ResourceBundle.updateOne(
+      { _id: bundle._id },
+      { $inc: { salesCount: 1 } }
+    );
+
+    return { bundle, sales, royalty, created: true };
+  }
+
+  /**
+   * Send the buyer one invoice for a bundle payment and notify the seller.
+   * Runs once per payment, from whichever of the webhook and the success
+   * page recorded the sales first.
+   * @param {Array} sales - Sales recorded for the payment
+   * @param {Object} options - { io } Socket.io server for the admin dashboard
+   * @returns {Promise<boolean>} - Whether this call sent the notifications
+   */
+  static async notifyPurchase(sales, { io } = {}) {
+    if (!sales.length) return false;
+
+    // The first sale of the payment carries the flag
+    const [first] = [...sales].sort((a, b) =>
+      a._id.toString().localeCompare(b._id.toString())
+    );
+    const claimed = await Sale.updateOne(
+      { _id: first._id, "checkoutPayment.notifiedAt": null },
+      { $set: { "checkoutPayment.notifiedAt": new Date() } }
+    );
+    if (!claimed.modifiedCount) return false;
+
+    const bundle = await ResourceBundle.findById(first.bundle).select("title");
+    const bundleTitle = bundle ? bundle.title : "Bundle";
+    const currency = first.currency;
+    const sellerEarnings = sales.reduce(
+      (sum, sale) => sum + sale.sellerEarnings,
+      0
+    );
+
+    // Emit revenue event for admin financial dashboard
+    if (io) {
+      io.to("admin:financial").emit("revenue:payment", {
+        type: "sale",
+        amount: sales.reduce((sum, sale) => sum + sale.platformCommission, 0),
+        currency: "GBP",
+        description: `Bundle sale: ${bundleTitle}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // One invoice for the whole payment
+    try {
+      const settings = await PlatformSettings.getSettings();
+      if (settings.vat.invoiceSettings.autoGenerate) {
+        await invoiceService.generateCheckoutInvoice(
+          sales.map((sale) => sale._id)
+        );
+      }
+    } catch (error) {
+      console.error("Failed to generate bundle invoice:", error);
+    }
+
+    try {
+      const seller = await User.findById(first.seller);
+      if (seller && seller.email) {
+        await emailService.sendSaleNotification(
+          seller.email,
+          seller.firstName,
+          {
+            resourceTitle: `${bundleTitle} (bundle)`,
+            amount: formatCurrency(sellerEarnings, currency),
+            buyer: first.buyerEmail,
+          }
+        );
+      }
+    } catch (error) {
+      console.error("Failed to send bundle sale notification email:", error);
+    }
+
+    try {
+      await JobNotification.createNotification({
+        userId: first.seller,
+        type: "system_alert",
+        category: "system",
+        priority: "high",
+        title: "Bundle Sold!",
+        message: `Your bundle "${bundleTitle}" was purchased for ${formatCurrency(sellerEarnings, currency)}`,
+        actionUrl: "/teacher/resources",
+        actionText: "View Resources",
+        metadata: {
+          bundleId: first.bundle.toString(),
+          bundleTitle,
+          saleIds: sales.map((sale) => sale._id.toString()),
+          amount: sellerEarnings,
+          currency,
+        },
+      });
+    } catch (error) {
+      console.error("Failed to create bundle sale notification:", error);
+    }
+
+    return true;
+  }
+
+  /**
+   * Mark every sale of a bundle payment as refunded, reverse the seller's
+   * earnings and revoke the bundle's entitlements
+   * @param {string} paymentIntentId - Stripe payment intent of the checkout
+   * @param {string} reason - Refund reason
+   * @returns {Promise<Array>} - Sales refunded by this call
+   */
+  static async refundPayment(paymentIntentId, reason) {
+    const sales = await Sale.find({
+      "checkoutPayment.stripePaymentIntentId": paymentIntentId,
+      status: { $ne: "refunded" },
+    });
+
+    for (const sale of sales) {
+      sale.status = "refunded";
+      sale.refundedAt = new Date();
+      sale.refundReason = reason;
+      await sale.save();
+
+      await BalanceLedger.createEntry({
+        seller: sale.seller,
+        type: "refund",
+        amount: sale.sellerEarnings,
+        currency: sale.currency,
+        referenceType: "refund",
+        referenceId: sale._id,
+        referenceModel: "Sale",
+        description: "Refund for bundle sale",
+        metadata: {
+          originalSaleId: sale._id,
+          bundleId: sale.bundle,
+          stripePaymentIntentId: paymentIntentId,
+        },
+      });
+    }
+
+    if (sales.length) {
+      await ResourcePurchase.updateMany(
+        {
+          "paymentDetails.stripePaymentIntentId": paymentIntentId,
+          bundleId: { $ne: null },
+        },
+        { $set: { status: "refunded" } }
+      );
+
+      const sellerTier = await SellerTier.findOne({ seller: sales[0].seller });
+      if (sellerTier) {
+        const salesData = await Sale.calculateSellerSales(sales[0].seller, 12);
+        await sellerTier.updateTier(salesData.totalSales);
+      }
+    }
+
+    return sales;
+  }
+}
+
+module.exports = ResourceBundleService;
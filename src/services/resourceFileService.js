@@ -0,0 +1,484 @@
+const mongoose = require("mongoose");
+const Resource = require("../models/resource");
+const ResourceVersionService = require("./resourceVersionService");
+const { cloudinary } = require("../config/cloudinary");
+const { uploadToCloudinary } = require("../utils/cloudinary");
+const {
+  getFileExtension,
+  readFileBuffer,
+  safeFileName,
+} = require("../utils/remoteFile");
+
+const httpError = (message, status) =>
+  Object.assign(new Error(message), { status });
+
+const PREVIEW_FOLDER = "educate-hub/resource-previews";
+// Preview about a third of a PDF, up to this many pages
+const MAX_PREVIEW_PAGES = 3;
+const MAX_PREVIEW_SOURCE_BYTES = 50 * 1024 * 1024;
+const PREVIEW_WATERMARK = "PREVIEW";
+
+class ResourceFileService {
+  static isPdf(url, format) {
+    return (format || getFileExtension(url, "")) === "pdf";
+  }
+
+  static previewPageLimit(pageCount) {
+    return Math.min(MAX_PREVIEW_PAGES, Math.max(1, Math.ceil(pageCount / 3)));
+  }
+
+  /**
+   * Signed URL of one watermarked page. The rendered copy is an
+   * authenticated asset, so only signed URLs (with the watermark baked into
+   * the signature) can be delivered.
+   */
+  static previewPageUrl(publicId, page) {
+    return cloudinary.url(publicId, {
+      type: "authenticated",
+      resource_type: "image",
+      sign_url: true,
+      secure: true,
+      format: "jpg",
+      transformation: [
+        { page, width: 1000, crop: "limit", quality: "auto" },
+        {
+          overlay: {
+            font_family: "Arial",
+            font_size: 80,
+            font_weight: "bold",
+            text: PREVIEW_WATERMARK,
+          },
+          color: "#808080",
+          opacity: 30,
+          angle: -30,
+          flags: "tiled",
+        },
+      ],
+    });
+  }
+
+  /**
+   * Copy a PDF into Cloudinary as an authenticated image asset and build
+   * watermarked page URLs for its first pages
+   */
+  static async renderPdfPreview(fileUrl) {
+    const buffer = await readFileBuffer(fileUrl, MAX_PREVIEW_SOURCE_BYTES);
+    const upload = await uploadToCloudinary(buffer, {
+      folder: PREVIEW_FOLDER,
+      resource_type: "image",
+      type: "authenticated",
+    });
+
+    const pageCount = upload.pages || 1;
+    const pages = [];
+    for (let page = 1; page <= this.previewPageLimit(pageCount); page++) {
+      pages.push(this.previewPageUrl(upload.public_id, page));
+    }
+
+    return {
+      status: "ready",
+      sourceUrl: fileUrl,
+      publicId: upload.public_id,
+      pageCount,
+      pages,
+      error: null,
+      generatedAt: new Date(),
+    };
+  }
+
+  static async deletePreviewCopy(publicId) {
+    if (!publicId) return;
+    try {
+      await cloudinary.uploader.destroy(publicId, {
+        resource_type: "image",
+        type: "authenticated",
+      });
+    } catch (error) {
+      console.error(`Failed to delete preview copy ${publicId}:`, error);
+    }
+  }
+
+  /**
+   * (Re)generate the preview of the main file (fileId null) or an attached
+   * file. The result is only stored if the file hasn't been replaced in the
+   * meantime.
+   */
+  static async generatePreview(resourceId, fileId = null) {
+    const resource = await Resource.findById(resourceId).select(
+      "mainFile mainFilePreview files"
+    );
+    if (!resource) return null;
+
+    const file = fileId ? resource.files.id(fileId) : null;
+    if (fileId && !file) return null;
+
+    const url = file ? file.url : resource.mainFile;
+    const previous = file ? file.preview : resource.mainFilePreview;
+    const path = file ? "files.$.preview" : "mainFilePreview";
+    const filter = file
+      ? { _id: resource._id, files: { $elemMatch: { _id: file._id, url } } }
+      : { _id: resource._id, mainFile: url };
+
+    let preview;
+    if (!this.isPdf(url, file?.format)) {
+      preview = { status: "none", sourceUrl: url, pages: [] };
+    } else {
+      await Resource.updateOne(filter, {
+        $set: { [`${path}.status`]: "processing" },
+      });
+      try {
+        preview = await this.renderPdfPreview(url);
+      } catch (error) {
+        console.error(`Preview generation failed for ${url}:`, error);
+        preview = {
+          status: "failed",
+          sourceUrl: url,
+          pages: [],
+          error: error.message,
+        };
+      }
+    }
+
+    const result = await Resource.updateOne(filter, {
+      $set: { [path]: preview },
+    });
+    if (result.matchedCount) {
+      if (previous?.publicId !== preview.publicId) {
+        await this.deletePreviewCopy(previous?.publicId);
+      }
+    } else {
+      // The file changed while rendering; this preview is already stale
+      await this.deletePreviewCopy(preview.publicId);
+    }
+
+    return preview;
+  }
+
+  /**
+   * Generate a preview in the background
+   */
+  static queuePreview(resourceId, fileId = null) {
+    this.generatePreview(resourceId, fileId).catch((error) =>
+      console.error("Failed to generate resource preview:", error)
+    );
+  }
+
+  static sortedFiles(resource) {
+    return [...(resource.files || [])].sort(
+      (a, b) => a.order - b.order || a.createdAt - b.createdAt
+    );
+  }
+
+  /**
+   * Approved files, in order: the ones buyers can see and download
+   */
+  static releasedFiles(resource) {
+    return this.sortedFiles(resource).filter(
+      (file) => file.status === "approved"
+    );
+  }
+
+  /**
+   * Release every pending file along with the resource's approval
+   */
+  static async approveFiles(resource) {
+    await Resource.updateOne(
+      { _id: resource._id },
+      { $set: { "files.$[file].status": "approved" } },
+      { arrayFilters: [{ "file.status": "pending" }] }
+    );
+  }
+
+  static previewPages(preview) {
+    return preview?.status === "ready" ? preview.pages : [];
+  }
+
+  static formatFile(file, { includeUrl = false } = {}) {
+    return {
+      id: file._id,
+      title: file.title,
+      kind: file.kind,
+      format: file.format,
+      mimeType: file.mimeType,
+      size: file.size,
+      order: file.order,
+      ...(includeUrl && {
+        url: file.url,
+        status: file.status,
+        previewStatus: file.preview?.status,
+      }),
+      previewPages: this.previewPages(file.preview),
+      downloadCount: file.downloadCount,
+    };
+  }
+
+  /**
+   * Preview pages of every PDF in a resource, main file first
+   */
+  static getPreviews(resource) {
+    return [
+      {
+        fileId: null,
+        title: resource.title,
+        pages: this.previewPages(resource.mainFilePreview),
+      },
+      ...this.releasedFiles(resource).map((file) => ({
+        fileId: file._id,
+        title: file.title,
+        pages: this.previewPages(file.preview),
+      })),
+    ].filter((preview) => preview.pages.length > 0);
+  }
+
+  static async loadEditableResource(user, resourceId) {
+    if (!mongoose.Types.ObjectId.isValid(resourceId)) {
+      throw httpError("Invalid resource ID", 400);
+    }
+    const resource = await Resource.findOne({
+      _id: resourceId,
+      isDeleted: false,
+    });
+    if (!resource) {
+      throw httpError("Resource not found", 404);
+    }
+    if (
+      !ResourceVersionService.isOwner(resource, user) &&
+      user.role !== "admin"
+    ) {
+      throw httpError("Not authorized to update this resource", 403);
+    }
+    return resource;
+  }
+
+  static getFile(resource, fileId) {
+    if (!mongoose.Types.ObjectId.isValid(fileId)) {
+      throw httpError("Invalid file ID", 400);
+    }
+    const file = resource.files.id(fileId);
+    if (!file) {
+      throw httpError("File not found", 404);
+    }
+    return file;
+  }
+
+  /**
+   * Seller changes to a resource's files put it back into review, like any
+   * other update
+   */
+  static markForReview(resource, user) {
+    if (user.role !== "admin" && resource.status !== "draft") {
+      resource.status = "pending";
+      resource.approvedBy = null;
+    }
+  }
+
+  /**
+   * Files of a resource. Sellers and admins also get each file's URL;
+   * buyers download them through the download endpoints.
+   */
+  static async getFiles(user, resourceId) {
+    if (!mongoose.Types.ObjectId.isValid(resourceId)) {
+      throw httpError("Invalid resource ID", 400);
+    }
+    const resource = await Resource.findOne({
+      _id: resourceId,
+      isDeleted: false,
+    });
+    if (!resource) {
+      throw httpError("Resource not found", 404);
+    }
+
+    const canEdit =
+      ResourceVersionService.isOwner(resource, user) || user?.role === "admin";
+    if (!canEdit && resource.status !== "approved") {
+      throw httpError("Resource not available", 403);
+    }
+
+    const files = canEdit
+      ? this.sortedFiles(resource)
+      : this.releasedFiles(resource);
+    return {
+      resourceId: resource._id,
+      mainFile: {
+        title: resource.title,
+        format: getFileExtension(resource.mainFile, null),
+        version: resource.currentVersion || 1,
+        ...(canEdit && {
+          url: resource.mainFile,
+          previewStatus: resource.mainFilePreview?.status,
+        }),
+        previewPages: this.previewPages(resource.mainFilePreview),
+      },
+      files: files.map((file) =>
+        this.formatFile(file, { includeUrl: canEdit })
+      ),
+      totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0),
+    };
+  }
+
+  static async addFile(user, resourceId, data) {
+    const resource = await this.loadEditableResource(user, resourceId);
+    if (resource.files.length >= Resource.MAX_FILES) {
+      throw httpError(
+        `A resource can have at most ${Resource.MAX_FILES} additional files`,
+        400
+      );
+    }
+
+    resource.files.push({
+      title: data.title,
+      kind: data.kind,
+      url: data.url,
+      format: data.format || getFileExtension(data.url, null),
+      mimeType: data.mimeType,
+      size: data.size,
+      order: data.order ?? resource.files.length,
+      status: user.role === "admin" ? "approved" : "pending",
+    });
+    const file = resource.files[resource.files.length - 1];
+    this.markForReview(resource, user);
+    await resource.save();
+
+    this.queuePreview(resource._id, file._id);
+    return this.formatFile(file, { includeUrl: true });
+  }
+
+  static async updateFile(user, resourceId, fileId, data) {
+    const resource = await this.loadEditableResource(user, resourceId);
+    const file = this.getFile(resource, fileId);
+
+    ["title", "kind", "order"].forEach((field) => {
+      if (data[field] !== undefined) file[field] = data[field];
+    });
+
+    const replaced = data.url && data.url !== file.url;
+    if (replaced) {
+      file.url = data.url;
+      file.format = data.format || getFileExtension(data.url, null);
+      file.mimeType = data.mimeType || null;
+      file.size = data.size ?? null;
+      file.status = user.role === "admin" ? "approved" : "pending";
+      this.markForReview(resource, user);
+    }
+    await resource.save();
+
+    if (replaced) {
+      this.queuePreview(resource._id, file._id);
+    }
+    return this.formatFile(file, { includeUrl: true });
+  }
+
+  static async removeFile(user, resourceId, fileId) {
+    const resource = await this.loadEditableResource(user, resourceId);
+    const file = this.getFile(resource, fileId);
+    const previewId = file.preview?.publicId;
+
+    file.deleteOne();
+    this.markForReview(resource, user);
+    await resource.save();
+
+    await this.deletePreviewCopy(previewId);
+  }
+
+  /**
+   * Regenerate every preview of a resource (e.g. after a failed render)
+   */
+  static async refreshPreviews(user, resourceId) {
+    const resource = await this.loadEditableResource(user, resourceId);
+
+    await this.generatePreview(resource._id);
+    for (const file of resource.files) {
+      await this.generatePreview(resource._id, file._id);
+    }
+
+    return this.getFiles(user, resourceId);
+  }
+
+  /**
+   * File to download: an attached file (?fileId=) or the main file,
+   * optionally at an earlier version (?version=)
+   * @returns {Promise<Object>} - { url, title, fileId, version, format, size }
+   */
+  static async resolveDownload(resource, { fileId, version }, canReview) {
+    if (fileId) {
+      if (version) {
+        throw httpError("Attached files are not versioned", 400);
+      }
+      const file = this.getFile(resource, fileId);
+      if (file.status !== "approved" && !canReview) {
+        throw httpError("File not found", 404);
+      }
+      return {
+        url: file.url,
+        title: file.title,
+        fileId: file._id,
+        version: null,
+        format: file.format,
+        size: file.size,
+      };
+    }
+
+    const download = await ResourceVersionService.getDownloadFile(
+      resource,
+      version,
+      canReview
+    );
+    return {
+      url: download.file,
+      title: resource.title,
+      fileId: null,
+      version: download.version,
+      format: null,
+      size: null,
+    };
+  }
+
+  static recordFileDownload(resourceId, fileId) {
+    if (!fileId) return;
+    Resource.updateOne(
+      { _id: resourceId, "files._id": fileId },
+      { $inc: { "files.$.downloadCount": 1 } }
+    ).catch((err) =>
+      console.error("Failed to update file download count:", err)
+    );
+  }
+
+  /**
+   * Entries of the zip-all download: the current main file, then every
+   * attached file (approved ones only, unless the caller can review), numbered
+   * so names stay unique
+   */
+  static getArchiveEntries(resource, canReview = false) {
+    const files = [
+      {
+        url: resource.mainFile,
+        title: resource.title,
+        fileId: null,
+        version: resource.currentVersion || 1,
+        format: getFileExtension(resource.mainFile),
+        size: null,
+      },
+      ...(canReview
+        ? this.sortedFiles(resource)
+        : this.releasedFiles(resource)
+      ).map((file) => ({
+        url: file.url,
+        title: file.title,
+        fileId: file._id,
+        version: null,
+        format: file.format || getFileExtension(file.url, "bin"),
+        size: file.size,
+      })),
+    ];
+
+    return files.map((file, index) => ({
+      ...file,
+      name: `${String(index + 1).padStart(2, "0")}_${safeFileName(
+        file.title,
+        "file"
+      )}.${file.format}`,
+    }));
+  }
+}
+
+module.exports = ResourceFileService;
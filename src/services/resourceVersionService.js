@@ -0,0 +1,447 @@
+const Resource = require("../models/resource");
+const ResourceVersion = require("../models/ResourceVersion");
+const ResourcePurchase = require("../models/resourcePurchase");
+const User = require("../models/User");
+const JobNotification = require("../models/JobNotification");
+const { sendResourceUpdateEmail } = require("../config/email");
+
+const httpError = (message, status) =>
+  Object.assign(new Error(message), { status });
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+// Update emails sent concurrently when a new version goes live
+const BUYER_EMAIL_BATCH_SIZE = 10;
+
+class ResourceVersionService {
+  static isOwner(resource, user) {
+    const ownerId = resource.createdBy.userId._id || resource.createdBy.userId;
+    return Boolean(user) && ownerId.toString() === user.userId.toString();
+  }
+
+  /**
+   * Create version 1 from the resource's mainFile if it has no versions yet
+   * (resources created before versioning, or just created). It is approved
+   * when the resource itself is approved.
+   */
+  static async ensureInitialVersion(resource) {
+    const approved = resource.status === "approved";
+
+    return ResourceVersion.findOneAndUpdate(
+      { resource: resource._id, version: 1 },
+      {
+        $setOnInsert: {
+          resource: resource._id,
+          version: 1,
+          file: resource.mainFile,
+          changelog: "Initial release",
+          status: approved ? "approved" : "pending",
+          uploadedBy:
+            resource.createdBy.userId._id || resource.createdBy.userId,
+          reviewedBy: approved ? resource.approvedBy : null,
+          reviewedAt: approved ? resource.updatedAt : null,
+        },
+      },
+      { new: true, upsert: true }
+    );
+  }
+
+  /**
+   * Keep version 1 in step with a resource that has never been approved:
+   * until then the seller edits the file in place instead of versioning it.
+   * @returns {Promise<boolean>} - false once the resource has an approved version
+   */
+  static async replaceUnreleasedFile(resource, fileUrl) {
+    await this.ensureInitialVersion(resource);
+
+    const released = await ResourceVersion.exists({
+      resource: resource._id,
+      status: "approved",
+    });
+    if (released) return false;
+
+    await ResourceVersion.updateOne(
+      { resource: resource._id, version: 1 },
+      { $set: { file: fileUrl, status: "pending" } }
+    );
+    resource.mainFile = fileUrl;
+    return true;
+  }
+
+  /**
+   * Approve version 1 along with the resource it was submitted with
+   */
+  static async approveInitialVersion(resource, adminId) {
+    await this.ensureInitialVersion(resource);
+    await ResourceVersion.updateOne(
+      { resource: resource._id, version: 1, status: "pending" },
+      {
+        $set: {
+          status: "approved",
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+        },
+      }
+    );
+  }
+
+  static formatVersion(version, { includeFile = false } = {}) {
+    return {
+      id: version._id,
+      version: version.version,
+      changelog: version.changelog,
+      status: version.status,
+      rejectionReason: version.rejectionReason,
+      ...(includeFile && { file: version.file }),
+      buyersNotified: version.buyersNotified,
+      createdAt: version.createdAt,
+      reviewedAt: version.reviewedAt,
+    };
+  }
+
+  /**
+   * Submit a new file for a released resource. It stays pending, and the
+   * current file stays live, until an admin approves it.
+   */
+  static async submitVersion(user, resourceId, { fileUrl, changelog }) {
+    const resource = await Resource.findOne({
+      _id: resourceId,
+      isDeleted: false,
+    });
+    if (!resource) {
+      throw httpError("Resource not found", 404);
+    }
+    if (!this.isOwner(resource, user) && user.role !== "admin") {
+      throw httpError("Not authorized to update this resource", 403);
+    }
+
+    await this.ensureInitialVersion(resource);
+    const released = await ResourceVersion.exists({
+      resource: resource._id,
+      status: "approved",
+    });
+    if (!released) {
+      throw httpError(
+        "This resource has not been approved yet. Replace its file by updating the resource instead.",
+        400
+      );
+    }
+
+    const pending = await ResourceVersion.exists({
+      resource: resource._id,
+      status: "pending",
+    });
+    if (pending) {
+      throw httpError(
+        "A new version of this resource is already awaiting review",
+        409
+      );
+    }
+
+    const latest = await ResourceVersion.findOne({ resource: resource._id })
+      .sort({ version: -1 })
+      .select("version");
+
+    try {
+      const version = await ResourceVersion.create({
+        resource: resource._id,
+        version: latest.version + 1,
+        file: fileUrl,
+        changelog,
+        uploadedBy: user.userId,
+      });
+      return this.formatVersion(version, { includeFile: true });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError(
+          "A new version of this resource is already awaiting review",
+          409
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Version history of a resource. Sellers and admins see every version and
+   * its file; everyone else sees approved versions (files are downloaded
+   * through secureDownload, which checks the buyer's purchase).
+   */
+  static async getVersions(user, resourceId) {
+    const resource = await Resource.findOne({
+      _id: resourceId,
+      isDeleted: false,
+    });
+    if (!resource) {
+      throw httpError("Resource not found", 404);
+    }
+
+    const canReview = this.isOwner(resource, user) || user?.role === "admin";
+    if (!canReview && resource.status !== "approved") {
+      throw httpError("Resource not available", 403);
+    }
+
+    await this.ensureInitialVersion(resource);
+    const versions = await ResourceVersion.find({
+      resource: resource._id,
+      ...(!canReview && { status: "approved" }),
+    }).sort({ version: -1 });
+
+    return {
+      resourceId: resource._id,
+      currentVersion: resource.currentVersion,
+      versions: versions.map((version) =>
+        this.formatVersion(version, { includeFile: canReview })
+      ),
+    };
+  }
+
+  /**
+   * Versions awaiting review (admin moderation queue)
+   */
+  static async getPendingVersions({ page = 1, limit = 20 } = {}) {
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    const query = { status: "pending", version: { $gt: 1 } };
+    const [versions, total] = await Promise.all([
+      ResourceVersion.find(query)
+        .populate("resource", "title type subject currentVersion mainFile")
+        .populate("uploadedBy", "firstName lastName email")
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ResourceVersion.countDocuments(query),
+    ]);
+
+    return {
+      versions: versions.map((version) => ({
+        ...this.formatVersion(version, { includeFile: true }),
+        resource: version.resource,
+        uploadedBy: version.uploadedBy,
+      })),
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        perPage: limit,
+      },
+    };
+  }
+
+  /**
+   * Approve or reject a pending version. Approving the newest version makes
+   * it the resource's current file and tells the seller and every past
+   * purchaser; an older version is kept in the history without notifying
+   * buyers.
+   */
+  static async reviewVersion(
+    admin,
+    resourceId,
+    versionId,
+    { status, rejectionReason }
+  ) {
+    const resource = await Resource.findOne({
+      _id: resourceId,
+      isDeleted: false,
+    });
+    if (!resource) {
+      throw httpError("Resource not found", 404);
+    }
+
+    // Claim the pending version atomically so concurrent reviews cannot both
+    // apply it (and notify buyers twice)
+    const version = await ResourceVersion.findOneAndUpdate(
+      { _id: versionId, resource: resourceId, status: "pending" },
+      {
+        $set: {
+          status,
+          reviewedBy: admin.userId,
+          reviewedAt: new Date(),
+          rejectionReason: status === "rejected" ? rejectionReason : null,
+        },
+      },
+      { new: true }
+    );
+    if (!version) {
+      const existing = await ResourceVersion.findOne({
+        _id: versionId,
+        resource: resourceId,
+      }).select("status");
+      if (!existing) {
+        throw httpError("Version not found", 404);
+      }
+      throw httpError(`This version has already been ${existing.status}`, 400);
+    }
+
+    let isLive = false;
+    if (status === "approved") {
+      const result = await Resource.updateOne(
+        { _id: resource._id, currentVersion: { $lt: version.version } },
+        { $set: { mainFile: version.file, currentVersion: version.version } }
+      );
+      isLive = result.modifiedCount > 0;
+    }
+
+    let approvedMessage = `Version ${version.version} of "${resource.title}" has been approved and is now live. Your buyers are being notified.`;
+    if (!isLive) {
+      approvedMessage = `Version ${version.version} of "${resource.title}" has been approved and added to its version history. A newer version is already live, so buyers were not notified.`;
+    }
+
+    try {
+      await JobNotification.createNotification({
+        userId: resource.createdBy.userId,
+        type: "system_alert",
+        category: "system",
+        priority: status === "approved" ? "high" : "medium",
+        title:
+          status === "approved"
+            ? "Resource Update Approved!"
+            : "Resource Update Needs Changes",
+        message:
+          status === "approved"
+            ? approvedMessage
+            : `Version ${version.version} of "${resource.title}" was not approved${rejectionReason ? `: ${rejectionReason}` : ". Please review and resubmit."}`,
+        actionUrl: `/teacher/resources/${resource._id}`,
+        actionText: "View Resource",
+        metadata: {
+          resourceId: resource._id.toString(),
+          resourceTitle: resource.title,
+          version: version.version,
+          status,
+        },
+      });
+    } catch (notificationError) {
+      console.error(
+        "Failed to create resource version notification:",
+        notificationError
+      );
+    }
+
+    if (isLive) {
+      this.notifyBuyersInBackground(resource, version);
+    }
+
+    return this.formatVersion(version, { includeFile: true });
+  }
+
+  /**
+   * Notify past purchasers about an approved version without holding up the
+   * admin's request. buyersNotified is recorded once delivery finishes.
+   */
+  static notifyBuyersInBackground(resource, version) {
+    this.notifyBuyers(resource, version)
+      .then((buyersNotified) =>
+        ResourceVersion.updateOne({ _id: version._id }, { buyersNotified })
+      )
+      .catch((error) => {
+        console.error(
+          `Failed to notify buyers of resource ${resource._id} version ${version.version}:`,
+          error.message
+        );
+      });
+  }
+
+  /**
+   * Tell every past purchaser of a resource, in-app and by email, that a new
+   * version is available. Emails are sent in batches of
+   * BUYER_EMAIL_BATCH_SIZE.
+   * @returns {Promise<number>} - Number of buyers notified
+   */
+  static async notifyBuyers(resource, version) {
+    const buyerIds = await ResourcePurchase.distinct("buyerId", {
+      resourceId: resource._id,
+      status: "completed",
+    });
+    if (!buyerIds.length) return 0;
+
+    const buyers = await User.find({ _id: { $in: buyerIds } }).select(
+      "firstName email"
+    );
+    const actionUrl = `/resources/${resource._id}`;
+    const changelog = version.changelog || "No release notes provided";
+
+    try {
+      await JobNotification.createBulkNotifications(
+        buyers.map((buyer) => ({
+          userId: buyer._id,
+          type: "system_alert",
+          category: "system",
+          priority: "medium",
+          title: "Resource Updated",
+          message:
+            `A new version of "${resource.title}" is available: ${changelog}`.slice(
+              0,
+              500
+            ),
+          actionUrl,
+          actionText: "Download Update",
+          metadata: {
+            resourceId: resource._id.toString(),
+            resourceTitle: resource.title,
+            version: version.version,
+          },
+        }))
+      );
+    } catch (notificationError) {
+      console.error(
+        "Failed to create resource update notifications:",
+        notificationError
+      );
+    }
+
+    const recipients = buyers.filter((buyer) => buyer.email);
+    for (let i = 0; i < recipients.length; i += BUYER_EMAIL_BATCH_SIZE) {
+      await Promise.all(
+        recipients.slice(i, i + BUYER_EMAIL_BATCH_SIZE).map((buyer) =>
+          sendResourceUpdateEmail(buyer.email, {
+            userName: buyer.firstName,
+            resourceTitle: resource.title,
+            version: version.version,
+            changelog,
+            actionUrl: `${FRONTEND_URL}${actionUrl}`,
+          }).catch((emailError) => {
+            console.error(
+              `Failed to send resource update email to ${buyer.email}:`,
+              emailError
+            );
+          })
+        )
+      );
+    }
+
+    return buyers.length;
+  }
+
+  /**
+   * File to download for a resource: the current file, or a specific
+   * version. Only sellers and admins can download unapproved versions.
+   * @returns {Promise<Object>} - { file, version }
+   */
+  static async getDownloadFile(resource, versionNumber, canReview = false) {
+    if (!versionNumber) {
+      return {
+        file: resource.mainFile || resource.file,
+        version: resource.currentVersion || 1,
+      };
+    }
+
+    const number = Number(versionNumber);
+    if (!Number.isInteger(number) || number < 1) {
+      throw httpError("Invalid version", 400);
+    }
+
+    await this.ensureInitialVersion(resource);
+    const version = await ResourceVersion.findOne({
+      resource: resource._id,
+      version: number,
+      ...(!canReview && { status: "approved" }),
+    });
+    if (!version) {
+      throw httpError("Version not found", 404);
+    }
+
+    return { file: version.file, version: version.version };
+  }
+}
+
+module.exports = ResourceVersionService;
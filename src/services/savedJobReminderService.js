@@ -0,0 +1,192 @@
+const SavedJob = require("../models/SavedJob");
+const JobApplication = require("../models/JobApplication");
+const JobNotification = require("../models/JobNotification");
+const TeacherProfile = require("../models/TeacherProfile");
+const { sendSavedJobReminderEmail } = require("../config/email");
+const { createCronJob } = require("../utils/cronJob");
+
+const CRON_NAME = "saved-job-reminders";
+
+/**
+ * Record how a reminder was handled.
+ * The reminderSentAt: null guard makes the claim atomic, so a reminder is
+ * never delivered twice even if runs overlap.
+ */
+const claimReminder = async (savedJobId, outcome) => {
+  const result = await SavedJob.updateOne(
+    { _id: savedJobId, reminderSentAt: null },
+    { $set: { reminderSentAt: new Date(), reminderOutcome: outcome } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Undo a "sent" claim whose delivery failed, making the reminder due again
+ */
+const releaseReminder = (savedJobId) =>
+  SavedJob.updateOne(
+    { _id: savedJobId, reminderOutcome: "sent" },
+    { $set: { reminderSentAt: null }, $unset: { reminderOutcome: 1 } }
+  );
+
+/**
+ * Resolve the teacher profile behind a saved job.
+ * SavedJob.teacherId holds the User id when saved through /jobs/:jobId/save
+ * and the TeacherProfile id when marked applied, so both are accepted.
+ */
+const resolveTeacher = (teacherRef) =>
+  TeacherProfile.findOne({
+    $or: [{ _id: teacherRef }, { userId: teacherRef }],
+  })
+    .select("_id userId email firstName lastName")
+    .lean();
+
+/**
+ * Whether the saved job can still be applied to
+ */
+const isJobOpen = (job) =>
+  Boolean(job) &&
+  job.status === "published" &&
+  !job.deletedAt &&
+  (!job.applicationDeadline || job.applicationDeadline > new Date());
+
+/**
+ * Deliver a single reminder in-app and by email
+ */
+const deliverReminder = async (savedJob, teacher) => {
+  const job = savedJob.jobId;
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const actionUrl = `${frontendUrl}/dashboard/teacher/jobs/${job._id}`;
+  const deadline = job.applicationDeadline
+    ? new Date(job.applicationDeadline).toDateString()
+    : "Not specified";
+
+  const notification = await JobNotification.createNotification({
+    userId: teacher.userId,
+    jobId: job._id,
+    type: "reminder_apply",
+    title: "Job Application Reminder",
+    message: `Don't forget to apply for "${job.title}". Applications close on ${deadline}.`,
+    category: "reminder",
+    priority: "high",
+    actionRequired: true,
+    actionUrl,
+    actionText: "Apply Now",
+    metadata: { savedJobId: savedJob._id.toString() },
+  });
+
+  if (teacher.email) {
+    const emailResult = await sendSavedJobReminderEmail(teacher.email, {
+      userName: teacher.firstName,
+      jobTitle: job.title,
+      deadline,
+      actionUrl,
+    });
+
+    if (emailResult.success) {
+      await notification.markEmailSent();
+      return true;
+    }
+    console.error(
+      `[SavedJobReminder] Email to ${teacher.email} failed:`,
+      emailResult.error
+    );
+  }
+  return false;
+};
+
+/**
+ * Dispatch every due saved-job reminder
+ */
+const dispatchDueReminders = async () => {
+  const stats = {
+    due: 0,
+    sent: 0,
+    emailed: 0,
+    skippedJobClosed: 0,
+    skippedAlreadyApplied: 0,
+    skippedNoTeacher: 0,
+    failed: 0,
+  };
+
+  const dueReminders = await SavedJob.findDueReminders();
+  stats.due = dueReminders.length;
+
+  for (const savedJob of dueReminders) {
+    try {
+      const teacher = await resolveTeacher(savedJob.teacherId);
+      if (!teacher || !teacher.userId) {
+        // Clear it so orphaned reminders don't stay at the head of the queue
+        if (await claimReminder(savedJob._id, "skipped_no_teacher")) {
+          stats.skippedNoTeacher++;
+        }
+        continue;
+      }
+
+      if (!isJobOpen(savedJob.jobId)) {
+        if (await claimReminder(savedJob._id, "skipped_job_closed")) {
+          stats.skippedJobClosed++;
+        }
+        continue;
+      }
+
+      const hasApplied =
+        savedJob.isApplied ||
+        (await JobApplication.exists({
+          jobId: savedJob.jobId._id,
+          teacherId: teacher._id,
+        }));
+      if (hasApplied) {
+        if (await claimReminder(savedJob._id, "skipped_already_applied")) {
+          stats.skippedAlreadyApplied++;
+        }
+        continue;
+      }
+
+      if (!(await claimReminder(savedJob._id, "sent"))) continue;
+
+      let emailed;
+      try {
+        emailed = await deliverReminder(savedJob, teacher);
+      } catch (error) {
+        // Hand the reminder back so the next run retries it
+        await releaseReminder(savedJob._id);
+        throw error;
+      }
+      stats.sent++;
+      if (emailed) stats.emailed++;
+    } catch (error) {
+      stats.failed++;
+      console.error(
+        `[SavedJobReminder] Failed to dispatch reminder ${savedJob._id}:`,
+        error.message
+      );
+      // Don't fail the entire batch if one reminder fails
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Dispatch due reminders, recorded as a CronRun. Runs every 15 minutes.
+ */
+const savedJobReminderCron = createCronJob({
+  name: CRON_NAME,
+  schedule: "*/15 * * * *",
+  label: "Saved job reminder",
+  frequency: "runs every 15 minutes",
+  logPrefix: "[SavedJobReminder]",
+  task: async (stats) => {
+    Object.assign(stats, await dispatchDueReminders());
+  },
+  summarize: (stats) =>
+    stats.sent > 0 ? `Sent ${stats.sent} reminder(s)` : null,
+});
+
+module.exports = {
+  CRON_NAME,
+  startSavedJobReminderCron: savedJobReminderCron.start,
+  stopSavedJobReminderCron: savedJobReminderCron.stop,
+  runReminderDispatch: savedJobReminderCron.run,
+};
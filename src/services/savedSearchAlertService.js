@@ -0,0 +1,35 @@
+const SavedSearchService = require("./savedSearchService");
+const { createCronJob } = require("../utils/cronJob");
+
+const CRON_NAME = "saved-search-alerts";
+
+/**
+ * Send saved search digests, recorded as a CronRun.
+ * Daily digests go out every run; weekly digests only on Mondays.
+ * Runs daily at 7:00 AM.
+ */
+const savedSearchAlertCron = createCronJob({
+  name: CRON_NAME,
+  schedule: "0 7 * * *",
+  label: "Saved search alert",
+  frequency: "runs daily at 7:00 AM",
+  logPrefix: "[SavedSearchAlert]",
+  task: async (stats) => {
+    stats.daily = await SavedSearchService.processDigests("daily");
+    if (new Date().getDay() === 1) {
+      stats.weekly = await SavedSearchService.processDigests("weekly");
+    }
+  },
+  summarize: (stats) => {
+    const alerted =
+      stats.daily.alerted + (stats.weekly ? stats.weekly.alerted : 0);
+    return alerted > 0 ? `Sent ${alerted} digest(s)` : null;
+  },
+});
+
+module.exports = {
+  CRON_NAME,
+  startSavedSearchAlertCron: savedSearchAlertCron.start,
+  stopSavedSearchAlertCron: savedSearchAlertCron.stop,
+  runSavedSearchDigests: savedSearchAlertCron.run,
+};
@@ -0,0 +1,340 @@
+const SavedSearch = require("../models/SavedSearch");
+const Job = require("../models/Job");
+const JobView = require("../models/JobView");
+const JobApplication = require("../models/JobApplication");
+const JobNotification = require("../models/JobNotification");
+const TeacherProfile = require("../models/TeacherProfile");
+const JobService = require("./jobService");
+const { sendSavedSearchAlertEmail } = require("../config/email");
+const { escapeHtml } = require("../utils/templateEngine");
+
+// Maximum number of jobs included in a single digest
+const MAX_JOBS_PER_ALERT = 20;
+
+class SavedSearchService {
+  /**
+   * Create a saved search for a teacher
+   */
+  static async createSavedSearch(teacherProfile, searchData) {
+    try {
+      const count = await SavedSearch.countDocuments({
+        teacherId: teacherProfile._id,
+      });
+
+      if (count >= SavedSearch.MAX_PER_TEACHER) {
+        throw new Error(
+          `You can have at most ${SavedSearch.MAX_PER_TEACHER} saved searches`
+        );
+      }
+
+      const savedSearch = new SavedSearch({
+        ...searchData,
+        teacherId: teacherProfile._id,
+        userId: teacherProfile.userId,
+      });
+
+      await savedSearch.save();
+      return savedSearch;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(
+          "Failed to create saved search: A saved search with this name already exists"
+        );
+      }
+      throw new Error(`Failed to create saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get saved searches for a teacher
+   */
+  static async getSavedSearches(teacherId, pagination = {}) {
+    try {
+      const { page = 1, limit = 10 } = pagination;
+      const skip = (page - 1) * limit;
+
+      const [savedSearches, total] = await Promise.all([
+        SavedSearch.find({ teacherId })
+          .select("-alertedJobIds")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        SavedSearch.countDocuments({ teacherId }),
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      return {
+        savedSearches,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage,
+          hasPrevPage,
+        },
+      };
+    } catch (error) {
+      throw new Error(`Failed to get saved searches: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get saved search by ID
+   */
+  static async getSavedSearchById(savedSearchId, teacherId) {
+    try {
+      const savedSearch = await SavedSearch.findOne({
+        _id: savedSearchId,
+        teacherId,
+      }).select("-alertedJobIds");
+
+      if (!savedSearch) {
+        throw new Error("Saved search not found or access denied");
+      }
+
+      return savedSearch;
+    } catch (error) {
+      throw new Error(`Failed to get saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update saved search
+   */
+  static async updateSavedSearch(savedSearchId, teacherId, updateData) {
+    try {
+      const savedSearch = await SavedSearch.findOne({
+        _id: savedSearchId,
+        teacherId,
+      });
+
+      if (!savedSearch) {
+        throw new Error("Saved search not found or access denied");
+      }
+
+      Object.assign(savedSearch, updateData);
+      await savedSearch.save();
+
+      return savedSearch;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(
+          "Failed to update saved search: A saved search with this name already exists"
+        );
+      }
+      throw new Error(`Failed to update saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete saved search
+   */
+  static async deleteSavedSearch(savedSearchId, teacherId) {
+    try {
+      const result = await SavedSearch.deleteOne({
+        _id: savedSearchId,
+        teacherId,
+      });
+
+      if (result.deletedCount === 0) {
+        throw new Error("Saved search not found or access denied");
+      }
+
+      return { message: "Saved search deleted successfully" };
+    } catch (error) {
+      throw new Error(`Failed to delete saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a saved search against the live job index
+   */
+  static async runSavedSearch(savedSearchId, teacherId, pagination = {}) {
+    try {
+      const savedSearch = await SavedSearch.findOne({
+        _id: savedSearchId,
+        teacherId,
+      });
+
+      if (!savedSearch) {
+        throw new Error("Saved search not found or access denied");
+      }
+
+      return await JobService.searchJobs(
+        savedSearch.getFilterObject(),
+        pagination
+      );
+    } catch (error) {
+      throw new Error(`Failed to run saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find matching jobs the teacher has not seen yet.
+   * A job counts as seen once it was included in an earlier alert, viewed by
+   * the teacher or applied to. Only jobs published after the search was
+   * created are considered.
+   */
+  static async getUnseenMatches(savedSearch, limit = MAX_JOBS_PER_ALERT) {
+    const [viewedJobIds, appliedJobIds] = await Promise.all([
+      JobView.distinct("jobId", { viewerId: savedSearch.userId }),
+      JobApplication.distinct("jobId", { teacherId: savedSearch.teacherId }),
+    ]);
+
+    const query = JobService.buildSearchQuery(savedSearch.getFilterObject());
+    query._id = {
+      $nin: [...savedSearch.alertedJobIds, ...viewedJobIds, ...appliedJobIds],
+    };
+    query.$and = [{ publishedAt: { $gte: savedSearch.createdAt } }];
+
+    return Job.find(query)
+      .select(
+        "_id title organization country city salaryMin salaryMax currency salaryDisclose applicationDeadline publishedAt"
+      )
+      .sort({ publishedAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Send an in-app job_recommendation notification (and optionally an email)
+   * listing the given jobs, then remember them as alerted
+   */
+  static async sendAlert(savedSearch, jobs) {
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const single = jobs.length === 1;
+    const actionUrl = single
+      ? `${frontendUrl}/dashboard/teacher/jobs/${jobs[0]._id}`
+      : `${frontendUrl}/dashboard/teacher/saved-searches/${savedSearch._id}`;
+
+    const titles = jobs
+      .slice(0, 3)
+      .map((job) => `"${job.title}"`)
+      .join(", ");
+    const more = jobs.length > 3 ? ` and ${jobs.length - 3} more` : "";
+
+    const notification = await JobNotification.createNotification({
+      userId: savedSearch.userId,
+      jobId: single ? jobs[0]._id : null,
+      type: "job_recommendation",
+      title: single
+        ? `New job matching "${savedSearch.name}"`
+        : `${jobs.length} new jobs matching "${savedSearch.name}"`,
+      message: `New jobs matching your saved search: ${titles}${more}.`.slice(
+        0,
+        1000
+      ),
+      category: "recommendation",
+      priority: "medium",
+      actionRequired: false,
+      actionUrl,
+      actionText: single ? "View Job" : "View Matches",
+      metadata: {
+        savedSearchId: savedSearch._id.toString(),
+        jobIds: jobs.map((job) => job._id.toString()),
+      },
+    });
+
+    await savedSearch.recordAlert(jobs.map((job) => job._id));
+
+    if (!savedSearch.emailAlerts) {
+      return { notification, emailed: false };
+    }
+
+    const teacher = await TeacherProfile.findById(savedSearch.teacherId)
+      .select("email firstName")
+      .lean();
+    if (!teacher || !teacher.email) {
+      return { notification, emailed: false };
+    }
+
+    const jobsHtml = jobs
+      .map(
+        (job) => `<div class="job-item">
+        <a class="job-title" href="${frontendUrl}/dashboard/teacher/jobs/${job._id}">${escapeHtml(job.title)}</a>
+        <div class="job-meta">${escapeHtml(job.organization)} &middot; ${escapeHtml(job.city)}, ${escapeHtml(job.country)}</div>
+        <div class="job-meta">${escapeHtml(JobService.calculateSalaryRange(job))} &middot; Apply by ${new Date(job.applicationDeadline).toDateString()}</div>
+      </div>`
+      )
+      .join("\n");
+
+    const emailResult = await sendSavedSearchAlertEmail(teacher.email, {
+      userName: escapeHtml(teacher.firstName),
+      searchName: escapeHtml(savedSearch.name),
+      jobCount: String(jobs.length),
+      jobsHtml,
+      actionUrl,
+    });
+
+    if (emailResult.success) {
+      await notification.markEmailSent();
+    }
+
+    return { notification, emailed: emailResult.success };
+  }
+
+  /**
+   * Alert teachers with instant saved searches about a newly published job
+   */
+  static async notifyInstantMatches(job) {
+    const stats = { checked: 0, alerted: 0 };
+    const savedSearches = await SavedSearch.findInstantCandidates(job);
+
+    for (const savedSearch of savedSearches) {
+      stats.checked++;
+      try {
+        const query = JobService.buildSearchQuery(
+          savedSearch.getFilterObject()
+        );
+        query._id = job._id;
+
+        if (!(await Job.exists(query))) continue;
+
+        await this.sendAlert(savedSearch, [job]);
+        stats.alerted++;
+      } catch (error) {
+        console.error(
+          `[SavedSearch] Instant alert failed for saved search ${savedSearch._id}:`,
+          error.message
+        );
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Send daily or weekly digests for every active saved search
+   */
+  static async processDigests(frequency) {
+    const stats = { checked: 0, alerted: 0, jobsSent: 0, failed: 0 };
+    const cursor = SavedSearch.findActiveByFrequency(frequency).cursor();
+
+    for await (const savedSearch of cursor) {
+      stats.checked++;
+      try {
+        const jobs = await this.getUnseenMatches(savedSearch);
+        if (jobs.length === 0) continue;
+
+        await this.sendAlert(savedSearch, jobs);
+        stats.alerted++;
+        stats.jobsSent += jobs.length;
+      } catch (error) {
+        stats.failed++;
+        console.error(
+          `[SavedSearch] ${frequency} digest failed for saved search ${savedSearch._id}:`,
+          error.message
+        );
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = SavedSearchService;
@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+const Job = require("../models/Job");
+const JobApplication = require("../models/JobApplication");
+
+class SchoolDashboardService {
+  /**
+   * Hiring ratio as a percentage string (hired / total applicants)
+   */
+  static hiringRatio(hiredApplicants, totalApplicants) {
+    return totalApplicants > 0
+      ? ((hiredApplicants / totalApplicants) * 100).toFixed(2)
+      : 0;
+  }
+
+  /**
+   * Dashboard card metrics for one or more schools
+   * @param {Array} schoolIds - SchoolProfile IDs
+   * @returns {Promise<Array>} - One entry per school:
+   *   { schoolId, totalJobs, activeJobs, totalApplicants, hiredApplicants, hiringRatio }
+   */
+  static async getMetrics(schoolIds) {
+    const ids = schoolIds.map((id) => new mongoose.Types.ObjectId(id));
+
+    // Load the schools' jobs first so applications are matched on an index
+    const schoolJobs = await Job.find({ schoolId: { $in: ids } })
+      .select("schoolId")
+      .lean();
+    const schoolByJob = new Map(
+      schoolJobs.map((job) => [job._id.toString(), job.schoolId.toString()])
+    );
+
+    const [jobCounts, applicationsByJob] = await Promise.all([
+      Job.aggregate([
+        { $match: { schoolId: { $in: ids }, status: { $ne: "deleted" } } },
+        {
+          $group: {
+            _id: "$schoolId",
+            totalJobs: { $sum: 1 },
+            activeJobs: {
+              $sum: { $cond: [{ $eq: ["$status", "published"] }, 1, 0] },
+            },
+          },
+        },
+      ]),
+      JobApplication.aggregate([
+        { $match: { jobId: { $in: schoolJobs.map((job) => job._id) } } },
+        {
+          $group: {
+            _id: "$jobId",
+            totalApplicants: { $sum: 1 },
+            hiredApplicants: {
+              $sum: { $cond: [{ $eq: ["$status", "accepted"] }, 1, 0] },
+            },
+          },
+        },
+      ]),
+    ]);
+
+    const applicationsBySchool = new Map();
+    for (const row of applicationsByJob) {
+      const schoolId = schoolByJob.get(row._id.toString());
+      const totals = applicationsBySchool.get(schoolId) || {
+        totalApplicants: 0,
+        hiredApplicants: 0,
+      };
+      totals.totalApplicants += row.totalApplicants;
+      totals.hiredApplicants += row.hiredApplicants;
+      applicationsBySchool.set(schoolId, totals);
+    }
+
+    const jobsBySchool = new Map(
+      jobCounts.map((row) => [row._id.toString(), row])
+    );
+
+    return ids.map((id) => {
+      const jobs = jobsBySchool.get(id.toString()) || {};
+      const applications = applicationsBySchool.get(id.toString()) || {};
+      const totalApplicants = applications.totalApplicants || 0;
+      const hiredApplicants = applications.hiredApplicants || 0;
+
+      return {
+        schoolId: id,
+        totalJobs: jobs.totalJobs || 0,
+        activeJobs: jobs.activeJobs || 0,
+        totalApplicants,
+        hiredApplicants,
+        hiringRatio: this.hiringRatio(hiredApplicants, totalApplicants),
+      };
+    });
+  }
+
+  /**
+   * Add up per-school metrics
+   * @param {Array} metrics - Result of getMetrics
+   */
+  static summarize(metrics) {
+    const totals = metrics.reduce(
+      (sum, row) => ({
+        totalJobs: sum.totalJobs + row.totalJobs,
+        activeJobs: sum.activeJobs + row.activeJobs,
+        totalApplicants: sum.totalApplicants + row.totalApplicants,
+        hiredApplicants: sum.hiredApplicants + row.hiredApplicants,
+      }),
+      { totalJobs: 0, activeJobs: 0, totalApplicants: 0, hiredApplicants: 0 }
+    );
+
+    return {
+      ...totals,
+      hiringRatio: this.hiringRatio(
+        totals.hiredApplicants,
+        totals.totalApplicants
+      ),
+    };
+  }
+}
+
+module.exports = SchoolDashboardService;
@@ -0,0 +1,546 @@
+const mongoose = require("mongoose");
+const SchoolGroup = require("../models/SchoolGroup");
+const SchoolProfile = require("../models/SchoolProfile");
+const SchoolMember = require("../models/SchoolMember");
+const User = require("../models/User");
+const Job = require("../models/Job");
+const JobNotification = require("../models/JobNotification");
+const JobService = require("./jobService");
+const SchoolDashboardService = require("./schoolDashboardService");
+
+const CAMPUS_FIELDS = "schoolName country city userId";
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+const httpError = (message, status) =>
+  Object.assign(new Error(message), { status });
+
+class SchoolGroupService {
+  /**
+   * Get a group the user manages (owner or group admin)
+   */
+  static async getManagedGroup(user, groupId) {
+    const group = mongoose.Types.ObjectId.isValid(groupId)
+      ? await SchoolGroup.findById(groupId)
+      : null;
+    if (!group) {
+      throw httpError("School group not found", 404);
+    }
+    if (!group.isAdmin(user.userId)) {
+      throw httpError("Only group admins can manage this group", 403);
+    }
+    return group;
+  }
+
+  /**
+   * Get the campuses of a group
+   */
+  static async getCampuses(groupId) {
+    return SchoolProfile.find({ groupId })
+      .select(CAMPUS_FIELDS)
+      .sort({ schoolName: 1 })
+      .lean();
+  }
+
+  /**
+   * The campus a user works at (primary account or active staff member)
+   */
+  static async getUserCampusId(userId) {
+    const [ownProfile, member] = await Promise.all([
+      SchoolProfile.findOne({ userId }).select("_id"),
+      SchoolMember.findOne({ userId, status: "active" }).select("schoolId"),
+    ]);
+    if (member) return member.schoolId;
+    return ownProfile ? ownProfile._id : null;
+  }
+
+  /**
+   * Shape a group for responses
+   */
+  static async formatGroup(group, user) {
+    const campuses = await this.getCampuses(group._id);
+    const isAdmin = group.isAdmin(user.userId);
+
+    return {
+      id: group._id,
+      name: group.name,
+      description: group.description,
+      ownerUserId: group.ownerUserId,
+      adminUserIds: group.adminUserIds,
+      sharedTalentPool: group.sharedTalentPool,
+      campuses: campuses.map((campus) => ({
+        id: campus._id,
+        schoolName: campus.schoolName,
+        country: campus.country,
+        city: campus.city,
+      })),
+      // Pending campus requests are only of interest to group admins
+      campusRequests: isAdmin ? group.campusRequests : undefined,
+      isAdmin,
+      isOwner: group.ownerUserId.toString() === user.userId.toString(),
+      createdAt: group.createdAt,
+    };
+  }
+
+  /**
+   * Create a group with the user's campus as its first campus. The user
+   * becomes the group owner and their subscription covers the group.
+   * @param {Object} user - req.user (needs staff.manage at their campus)
+   * @param {Object} data - { name, description, sharedTalentPool }
+   */
+  static async createGroup(user, data) {
+    if (!user.schoolId) {
+      throw httpError("School profile not found", 404);
+    }
+
+    const campus = await SchoolProfile.findById(user.schoolId).select(
+      "groupId"
+    );
+    if (!campus) {
+      throw httpError("School profile not found", 404);
+    }
+    if (campus.groupId) {
+      throw httpError("Your school already belongs to a group", 409);
+    }
+
+    const group = await SchoolGroup.create({
+      name: data.name,
+      description: data.description,
+      sharedTalentPool: data.sharedTalentPool,
+      ownerUserId: user.userId,
+    });
+
+    // Guard against a campus joining another group concurrently
+    const result = await SchoolProfile.updateOne(
+      { _id: campus._id, groupId: null },
+      { $set: { groupId: group._id } }
+    );
+    if (result.modifiedCount === 0) {
+      await SchoolGroup.deleteOne({ _id: group._id });
+      throw httpError("Your school already belongs to a group", 409);
+    }
+
+    return this.formatGroup(group, user);
+  }
+
+  /**
+   * Get the group of the user's campus
+   */
+  static async getMyGroup(user) {
+    const group = user.groupId
+      ? await SchoolGroup.findById(user.groupId)
+      : null;
+    if (!group) {
+      throw httpError("Your school is not part of a group", 404);
+    }
+
+    return this.formatGroup(group, user);
+  }
+
+  /**
+   * Update the group's details
+   * @param {Object} data - { name, description, sharedTalentPool }
+   */
+  static async updateGroup(user, groupId, data) {
+    const group = await this.getManagedGroup(user, groupId);
+
+    ["name", "description", "sharedTalentPool"].forEach((field) => {
+      if (data[field] !== undefined) group[field] = data[field];
+    });
+    await group.save();
+
+    return this.formatGroup(group, user);
+  }
+
+  /**
+   * Dissolve the group (owner only); campuses become independent again
+   */
+  static async deleteGroup(user, groupId) {
+    const group = await this.getManagedGroup(user, groupId);
+    if (group.ownerUserId.toString() !== user.userId.toString()) {
+      throw httpError("Only the group owner can delete the group", 403);
+    }
+
+    await SchoolProfile.updateMany(
+      { groupId: group._id },
+      { $set: { groupId: null } }
+    );
+    await SchoolGroup.deleteOne({ _id: group._id });
+  }
+
+  /**
+   * Make a staff member of one of the campuses a group admin (owner only)
+   * @param {string} email - The staff member's account email
+   */
+  static async addAdmin(user, groupId, email) {
+    const group = await this.getManagedGroup(user, groupId);
+    if (group.ownerUserId.toString() !== user.userId.toString()) {
+      throw httpError("Only the group owner can add group admins", 403);
+    }
+
+    const admin = await User.findOne({
+      email: email.trim().toLowerCase(),
+      role: "school",
+    }).select("_id");
+    const campusId = admin ? await this.getUserCampusId(admin._id) : null;
+    const campus = campusId
+      ? await SchoolProfile.findOne({ _id: campusId, groupId: group._id })
+      : null;
+    if (!campus) {
+      throw httpError(
+        "No staff member with this email works at a campus of this group",
+        404
+      );
+    }
+
+    await SchoolGroup.updateOne(
+      { _id: group._id },
+      { $addToSet: { adminUserIds: admin._id } }
+    );
+
+    return this.formatGroup(await SchoolGroup.findById(group._id), user);
+  }
+
+  /**
+   * Remove a group admin (owner, or the admin themselves)
+   */
+  static async removeAdmin(user, groupId, adminUserId) {
+    const group = await this.getManagedGroup(user, groupId);
+    const isOwner = group.ownerUserId.toString() === user.userId.toString();
+    if (!isOwner && adminUserId !== user.userId.toString()) {
+      throw httpError("Only the group owner can remove group admins", 403);
+    }
+
+    await SchoolGroup.updateOne(
+      { _id: group._id },
+      { $pull: { adminUserIds: adminUserId } }
+    );
+
+    return this.formatGroup(await SchoolGroup.findById(group._id), user);
+  }
+
+  /**
+   * Ask a school to join the group as a campus. The school's owner accepts
+   * or declines.
+   * @param {string} schoolId - SchoolProfile ID of the campus
+   */
+  static async requestCampus(user, groupId, schoolId) {
+    const group = await this.getManagedGroup(user, groupId);
+
+    const school = await SchoolProfile.findById(schoolId).select(
+      "schoolName userId groupId"
+    );
+    if (!school) {
+      throw httpError("School not found", 404);
+    }
+    if (school.groupId) {
+      throw httpError(
+        school.groupId.equals(group._id)
+          ? "This school is already a campus of the group"
+          : "This school already belongs to another group",
+        409
+      );
+    }
+    if (group.campusRequests.some((r) => r.schoolId.equals(school._id))) {
+      throw httpError("This school has already been invited", 409);
+    }
+
+    const campusCount = await SchoolProfile.countDocuments({
+      groupId: group._id,
+    });
+    if (campusCount + group.campusRequests.length >= SchoolGroup.MAX_CAMPUSES) {
+      throw httpError(
+        `A group can have at most ${SchoolGroup.MAX_CAMPUSES} campuses`,
+        400
+      );
+    }
+
+    group.campusRequests.push({
+      schoolId: school._id,
+      requestedBy: user.userId,
+    });
+    await group.save();
+
+    // Notify the school's primary account (non-blocking)
+    try {
+      await JobNotification.createNotification({
+        userId: school.userId,
+        type: "school_group_request",
+        title: "School Group Invitation",
+        message: `${group.name} has invited ${school.schoolName} to join the group as a campus.`,
+        category: "system",
+        priority: "medium",
+        actionRequired: true,
+        actionUrl: `${frontendUrl()}/dashboard/school/group`,
+        actionText: "Review Invitation",
+        metadata: { groupId: group._id },
+      });
+    } catch (notificationError) {
+      console.error(
+        "School group request notification failed:",
+        notificationError.message
+      );
+    }
+
+    return this.formatGroup(group, user);
+  }
+
+  /**
+   * Withdraw a pending campus request
+   */
+  static async cancelCampusRequest(user, groupId, schoolId) {
+    const group = await this.getManagedGroup(user, groupId);
+
+    await SchoolGroup.updateOne(
+      { _id: group._id },
+      { $pull: { campusRequests: { schoolId } } }
+    );
+
+    return this.formatGroup(await SchoolGroup.findById(group._id), user);
+  }
+
+  /**
+   * Groups that have asked the user's school to join
+   */
+  static async getCampusRequests(user) {
+    if (!user.schoolId) {
+      throw httpError("School profile not found", 404);
+    }
+
+    const groups = await SchoolGroup.find({
+      "campusRequests.schoolId": user.schoolId,
+    })
+      .select("name description campusRequests")
+      .lean();
+
+    return groups.map((group) => {
+      const request = group.campusRequests.find(
+        (r) => r.schoolId.toString() === user.schoolId.toString()
+      );
+      return {
+        groupId: group._id,
+        name: group.name,
+        description: group.description,
+        requestedAt: request.requestedAt,
+      };
+    });
+  }
+
+  /**
+   * Accept or decline a group's request to add the user's school
+   * @param {boolean} accept
+   */
+  static async respondToCampusRequest(user, groupId, accept) {
+    if (!user.schoolId) {
+      throw httpError("School profile not found", 404);
+    }
+
+    const group = mongoose.Types.ObjectId.isValid(groupId)
+      ? await SchoolGroup.findOne({
+          _id: groupId,
+          "campusRequests.schoolId": user.schoolId,
+        })
+      : null;
+    if (!group) {
+      throw httpError("Group invitation not found", 404);
+    }
+
+    if (accept) {
+      const result = await SchoolProfile.updateOne(
+        { _id: user.schoolId, groupId: null },
+        { $set: { groupId: group._id } }
+      );
+      if (result.modifiedCount === 0) {
+        throw httpError("Leave your current group before joining another", 409);
+      }
+    }
+
+    await SchoolGroup.updateOne(
+      { _id: group._id },
+      { $pull: { campusRequests: { schoolId: user.schoolId } } }
+    );
+
+    return { groupId: group._id, name: group.name, joined: !!accept };
+  }
+
+  /**
+   * Remove a campus from the group. Group admins can remove any campus;
+   * campus owners can take their own school out. The campus of the group
+   * owner stays until the group is deleted.
+   */
+  static async removeCampus(user, groupId, schoolId) {
+    const group = mongoose.Types.ObjectId.isValid(groupId)
+      ? await SchoolGroup.findById(groupId)
+      : null;
+    if (!group) {
+      throw httpError("School group not found", 404);
+    }
+
+    const isOwnCampus =
+      !!user.schoolId && user.schoolId.toString() === schoolId;
+    const canLeave =
+      isOwnCampus && (user.permissions || []).includes("staff.manage");
+    if (!group.isAdmin(user.userId) && !canLeave) {
+      throw httpError("Only group admins can remove campuses", 403);
+    }
+
+    const ownerCampusId = await this.getUserCampusId(group.ownerUserId);
+    if (ownerCampusId && ownerCampusId.toString() === schoolId) {
+      throw httpError(
+        "The group owner's campus cannot leave; delete the group instead",
+        400
+      );
+    }
+
+    const result = await SchoolProfile.updateOne(
+      { _id: schoolId, groupId: group._id },
+      { $set: { groupId: null } }
+    );
+    if (result.matchedCount === 0) {
+      throw httpError("Campus not found in this group", 404);
+    }
+
+    // Staff of the campus no longer manage the group
+    const campusUserIds = await this.getCampusUserIds(schoolId);
+    await SchoolGroup.updateOne(
+      { _id: group._id },
+      { $pull: { adminUserIds: { $in: campusUserIds } } }
+    );
+  }
+
+  /**
+   * User IDs of a campus's primary account and active staff
+   */
+  static async getCampusUserIds(schoolId) {
+    const [school, memberUserIds] = await Promise.all([
+      SchoolProfile.findById(schoolId).select("userId"),
+      SchoolMember.find({ schoolId, status: "active" }).distinct("userId"),
+    ]);
+    return school ? [school.userId, ...memberUserIds] : memberUserIds;
+  }
+
+  /**
+   * Group dashboard: the school dashboard metrics of every campus and
+   * their totals
+   */
+  static async getDashboard(user, groupId) {
+    const group = await this.getManagedGroup(user, groupId);
+    const campuses = await this.getCampuses(group._id);
+
+    const metrics = await SchoolDashboardService.getMetrics(
+      campuses.map((campus) => campus._id)
+    );
+
+    return {
+      group: { id: group._id, name: group.name },
+      totals: {
+        campuses: campuses.length,
+        ...SchoolDashboardService.summarize(metrics),
+      },
+      campuses: campuses.map((campus, index) => ({
+        id: campus._id,
+        schoolName: campus.schoolName,
+        country: campus.country,
+        city: campus.city,
+        ...metrics[index],
+      })),
+    };
+  }
+
+  /**
+   * Post the same job to several campuses. Each campus gets its own job
+   * (and its own applications); the copies share a groupPostingId.
+   * @param {Object} data - createJob payload plus campusIds
+   */
+  static async postJob(user, groupId, data) {
+    const group = await this.getManagedGroup(user, groupId);
+    const { campusIds, action, ...jobFields } = data;
+
+    const campuses = await SchoolProfile.find({
+      _id: { $in: campusIds },
+      groupId: group._id,
+    }).select(CAMPUS_FIELDS);
+    if (campuses.length !== new Set(campusIds).size) {
+      throw httpError("Every campus must belong to this group", 400);
+    }
+
+    const isDraft = action === "save_draft";
+    const jobData = {
+      ...jobFields,
+      status: isDraft ? "draft" : "published",
+      // Featured listings count against usage and are set per campus
+      isFeatured: false,
+      groupPostingId: new mongoose.Types.ObjectId(),
+    };
+    if (!isDraft) {
+      jobData.publishedAt = new Date();
+    }
+    if (jobData.applicationDeadline && jobData.isUrgent === undefined) {
+      const daysUntilDeadline = Math.ceil(
+        (new Date(jobData.applicationDeadline) - new Date()) /
+          (1000 * 60 * 60 * 24)
+      );
+      jobData.isUrgent = daysUntilDeadline <= 7;
+    }
+
+    const jobs = [];
+    for (const campus of campuses) {
+      const job = await JobService.createJob(
+        campus._id,
+        { ...jobData },
+        campus.userId
+      );
+      jobs.push(job);
+    }
+
+    return { groupPostingId: jobData.groupPostingId, jobs };
+  }
+
+  /**
+   * Jobs across the group's campuses
+   * @param {Object} filters - { status, campusId, page, limit }
+   */
+  static async getJobs(user, groupId, filters = {}) {
+    const group = await this.getManagedGroup(user, groupId);
+    const campusIds = (await this.getCampuses(group._id)).map((c) => c._id);
+
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 100);
+
+    const query = {
+      schoolId: filters.campusId
+        ? campusIds.find((id) => id.toString() === filters.campusId) || null
+        : { $in: campusIds },
+      status: filters.status || { $ne: "deleted" },
+    };
+
+    const [jobs, total] = await Promise.all([
+      Job.find(query)
+        .select(
+          "title schoolId status applicantsCount viewsCount publishedAt applicationDeadline groupPostingId createdAt"
+        )
+        .populate("schoolId", "schoolName country city")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Job.countDocuments(query),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+}
+
+module.exports = SchoolGroupService;
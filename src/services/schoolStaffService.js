@@ -0,0 +1,455 @@
+const SchoolMember = require("../models/SchoolMember");
+const SchoolProfile = require("../models/SchoolProfile");
+const User = require("../models/User");
+const { sendSchoolStaffInvitationEmail } = require("../config/email");
+const { escapeHtml } = require("../utils/templateEngine");
+
+const INVITATION_VALIDITY_DAYS = 7;
+
+const ROLE_LABELS = {
+  owner: "Owner",
+  recruiter: "Recruiter",
+  interviewer: "Interviewer",
+  finance: "Finance",
+  read_only: "Read-only",
+};
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+class SchoolStaffService {
+  /**
+   * Get the school the user works for
+   * @param {Object} user - req.user
+   */
+  static async getSchool(user) {
+    if (!user.schoolId) {
+      throw new Error("School profile not found");
+    }
+
+    const school = await SchoolProfile.findById(user.schoolId).select(
+      "schoolName userId createdAt"
+    );
+    if (!school) {
+      throw new Error("School profile not found");
+    }
+
+    return school;
+  }
+
+  /**
+   * Get the member record of the school's primary account, creating it for
+   * schools that predate staff accounts (the primary account is the owner
+   * until ownership is transferred)
+   */
+  static async ensurePrimaryMember(school) {
+    const existing = await SchoolMember.findOne({
+      schoolId: school._id,
+      userId: school.userId,
+      status: "active",
+    });
+    if (existing) return existing;
+
+    const primaryUser = await User.findById(school.userId).select("email");
+    if (!primaryUser) {
+      throw new Error("School account not found");
+    }
+
+    try {
+      return await SchoolMember.create({
+        schoolId: school._id,
+        userId: school.userId,
+        email: primaryUser.email,
+        role: "owner",
+        status: "active",
+        joinedAt: school.createdAt || new Date(),
+      });
+    } catch (error) {
+      // Created by a concurrent request
+      if (error.code === 11000) {
+        return SchoolMember.findOne({
+          schoolId: school._id,
+          userId: school.userId,
+          status: "active",
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find a member of the school
+   */
+  static async findMember(schoolId, memberId, statuses = ["active"]) {
+    const member = await SchoolMember.findOne({
+      _id: memberId,
+      schoolId,
+      status: { $in: statuses },
+    });
+    if (!member) {
+      throw new Error("Staff member not found");
+    }
+    return member;
+  }
+
+  /**
+   * Shape a member record for responses
+   */
+  static sanitizeMember(member, school) {
+    const user = member.userId && member.userId._id ? member.userId : null;
+    const userId = user ? user._id : member.userId;
+
+    return {
+      id: member._id,
+      userId,
+      email: member.email,
+      name: user
+        ? `${user.firstName || ""} ${user.lastName || ""}`.trim()
+        : null,
+      role: member.role,
+      status: member.status,
+      permissions: SchoolMember.getPermissions(member.role),
+      isPrimaryAccount:
+        !!userId && userId.toString() === school.userId.toString(),
+      invitationExpired:
+        member.status === "invited" &&
+        !!member.tokenExpiresAt &&
+        member.tokenExpiresAt < new Date(),
+      invitedAt: member.invitedAt,
+      joinedAt: member.joinedAt,
+    };
+  }
+
+  /**
+   * List the school's staff and open invitations
+   * @param {Object} user - req.user
+   */
+  static async getStaff(user) {
+    const school = await this.getSchool(user);
+    await this.ensurePrimaryMember(school);
+
+    const members = await SchoolMember.find({
+      schoolId: school._id,
+      status: { $in: ["invited", "active"] },
+    })
+      .populate("userId", "firstName lastName email")
+      .sort({ status: 1, createdAt: 1 });
+
+    return members.map((member) => this.sanitizeMember(member, school));
+  }
+
+  /**
+   * Get the caller's role and permissions in their school
+   * @param {Object} user - req.user
+   */
+  static async getMyAccess(user) {
+    const school = await this.getSchool(user);
+
+    return {
+      schoolId: school._id,
+      schoolName: school.schoolName,
+      role: user.schoolRole,
+      roleLabel: ROLE_LABELS[user.schoolRole],
+      permissions: user.permissions || [],
+      isPrimaryAccount: school.userId.toString() === user.userId.toString(),
+    };
+  }
+
+  /**
+   * Email an invitation link. Failures are logged; the invitation can be
+   * resent.
+   */
+  static async sendInvitationEmail(member, token, school, inviterId) {
+    try {
+      const inviter = await User.findById(inviterId)
+        .select("firstName lastName")
+        .lean();
+      const inviterName = inviter
+        ? `${inviter.firstName || ""} ${inviter.lastName || ""}`.trim()
+        : "";
+
+      const result = await sendSchoolStaffInvitationEmail(member.email, {
+        inviterName: escapeHtml(inviterName || "A colleague"),
+        schoolName: escapeHtml(school.schoolName),
+        roleLabel: ROLE_LABELS[member.role],
+        expiresAt: member.tokenExpiresAt.toDateString(),
+        actionUrl: `${frontendUrl()}/school-invitations/${token}`,
+      });
+      if (!result.success) {
+        console.error("School staff invitation email failed:", result.error);
+      }
+    } catch (error) {
+      console.error("Error sending school staff invitation:", error);
+    }
+  }
+
+  /**
+   * Invite someone to the school's team
+   * @param {Object} user - req.user (needs staff.manage)
+   * @param {Object} data - { email, role }
+   */
+  static async inviteMember(user, data) {
+    const school = await this.getSchool(user);
+    const email = data.email.trim().toLowerCase();
+
+    if (data.role === "owner") {
+      throw new Error(
+        "Ownership can only be transferred to an existing member"
+      );
+    }
+
+    await this.ensurePrimaryMember(school);
+
+    const existing = await SchoolMember.findOne({
+      schoolId: school._id,
+      email,
+      status: { $in: ["invited", "active"] },
+    });
+    if (existing) {
+      throw new Error(
+        existing.status === "active"
+          ? "This person is already a member of your school"
+          : "An invitation has already been sent to this email"
+      );
+    }
+
+    const member = new SchoolMember({
+      schoolId: school._id,
+      email,
+      role: data.role,
+      status: "invited",
+      invitedBy: user.userId,
+      invitedAt: new Date(),
+    });
+    const token = member.issueToken(INVITATION_VALIDITY_DAYS);
+    await member.save();
+
+    await this.sendInvitationEmail(member, token, school, user.userId);
+
+    return this.sanitizeMember(member, school);
+  }
+
+  /**
+   * Send a fresh invitation link; the previous link stops working
+   */
+  static async resendInvitation(user, memberId) {
+    const school = await this.getSchool(user);
+    const member = await this.findMember(school._id, memberId, ["invited"]);
+
+    const token = member.issueToken(INVITATION_VALIDITY_DAYS);
+    member.invitedAt = new Date();
+    member.invitedBy = user.userId;
+    await member.save();
+
+    await this.sendInvitationEmail(member, token, school, user.userId);
+
+    return this.sanitizeMember(member, school);
+  }
+
+  /**
+   * Withdraw an open invitation
+   */
+  static async revokeInvitation(user, memberId) {
+    const school = await this.getSchool(user);
+    const member = await this.findMember(school._id, memberId, ["invited"]);
+
+    member.status = "revoked";
+    member.tokenHash = undefined;
+    member.tokenExpiresAt = undefined;
+    await member.save();
+
+    return this.sanitizeMember(member, school);
+  }
+
+  /**
+   * Find an open invitation by its token
+   */
+  static async findOpenInvitation(token) {
+    const member = await SchoolMember.findByToken(token);
+    if (!member || member.status !== "invited") {
+      throw new Error("Invitation not found or no longer valid");
+    }
+    if (member.tokenExpiresAt < new Date()) {
+      throw new Error(
+        "This invitation has expired. Ask the school to resend it."
+      );
+    }
+    return member;
+  }
+
+  /**
+   * Preview an invitation before signing in (public)
+   */
+  static async getInvitationByToken(token) {
+    const member = await this.findOpenInvitation(token);
+    const school = await SchoolProfile.findById(member.schoolId)
+      .select("schoolName country city")
+      .lean();
+
+    return {
+      schoolName: school ? school.schoolName : null,
+      schoolCountry: school ? school.country : null,
+      schoolCity: school ? school.city : null,
+      email: member.email,
+      role: member.role,
+      roleLabel: ROLE_LABELS[member.role],
+      expiresAt: member.tokenExpiresAt,
+    };
+  }
+
+  /**
+   * Accept an invitation with the signed-in school account it was sent to
+   * @param {Object} user - req.user
+   * @param {string} token - Raw invitation token
+   */
+  static async acceptInvitation(user, token) {
+    const member = await this.findOpenInvitation(token);
+
+    if (user.role !== "school") {
+      throw new Error(
+        "Sign in with a school account to accept this invitation"
+      );
+    }
+    if (user.email.toLowerCase() !== member.email) {
+      throw new Error("This invitation was sent to a different email address");
+    }
+
+    const [ownProfile, activeMembership] = await Promise.all([
+      SchoolProfile.exists({ userId: user.userId }),
+      SchoolMember.exists({ userId: user.userId, status: "active" }),
+    ]);
+    if (ownProfile || activeMembership) {
+      throw new Error("This account already belongs to a school");
+    }
+
+    member.userId = user.userId;
+    member.status = "active";
+    member.joinedAt = new Date();
+    member.tokenHash = undefined;
+    member.tokenExpiresAt = undefined;
+    await member.save();
+
+    // Staff work under the school's profile and skip profile setup
+    await User.findByIdAndUpdate(user.userId, { isProfileComplete: true });
+
+    const school = await SchoolProfile.findById(member.schoolId).select(
+      "schoolName userId"
+    );
+
+    return {
+      schoolId: member.schoolId,
+      schoolName: school ? school.schoolName : null,
+      role: member.role,
+      permissions: SchoolMember.getPermissions(member.role),
+    };
+  }
+
+  /**
+   * Change a member's role. The owner's role changes only by transferring
+   * ownership.
+   */
+  static async updateMemberRole(user, memberId, role) {
+    const school = await this.getSchool(user);
+    await this.ensurePrimaryMember(school);
+    const member = await this.findMember(school._id, memberId, [
+      "invited",
+      "active",
+    ]);
+
+    if (role === "owner" || member.role === "owner") {
+      throw new Error("Use an ownership transfer to change the owner");
+    }
+
+    member.role = role;
+    await member.save();
+
+    return this.sanitizeMember(member, school);
+  }
+
+  /**
+   * Remove a member from the school. Their account stays, but loses access.
+   */
+  static async removeMember(user, memberId) {
+    const school = await this.getSchool(user);
+    await this.ensurePrimaryMember(school);
+    const member = await this.findMember(school._id, memberId);
+
+    if (member.role === "owner") {
+      throw new Error("Transfer ownership before removing the owner");
+    }
+    if (member.userId && member.userId.equals(school.userId)) {
+      throw new Error("The school's primary account cannot be removed");
+    }
+
+    member.status = "removed";
+    member.removedAt = new Date();
+    await member.save();
+
+    return this.sanitizeMember(member, school);
+  }
+
+  /**
+   * Leave the school (any member other than the owner and primary account)
+   */
+  static async leaveSchool(user) {
+    const school = await this.getSchool(user);
+    const member = await SchoolMember.findOne({
+      schoolId: school._id,
+      userId: user.userId,
+      status: "active",
+    });
+    if (!member) {
+      throw new Error("The school's primary account cannot leave the school");
+    }
+
+    return this.removeMember(user, member._id);
+  }
+
+  /**
+   * Hand ownership to another active member (owner only)
+   * @param {Object} user - req.user
+   * @param {Object} data - { memberId, newRole } where newRole is the
+   *   previous owner's role afterwards
+   */
+  static async transferOwnership(user, data) {
+    if (user.schoolRole !== "owner") {
+      throw new Error("Only the owner can transfer ownership");
+    }
+
+    const school = await this.getSchool(user);
+    await this.ensurePrimaryMember(school);
+
+    const currentOwner = await SchoolMember.findOne({
+      schoolId: school._id,
+      role: "owner",
+      status: "active",
+    });
+    if (!currentOwner || !currentOwner.userId.equals(user.userId)) {
+      throw new Error("Only the owner can transfer ownership");
+    }
+
+    const target = await this.findMember(school._id, data.memberId);
+    if (target._id.equals(currentOwner._id)) {
+      throw new Error("You are already the owner");
+    }
+
+    // Demote first: a school has one active owner at a time
+    currentOwner.role = data.newRole || "recruiter";
+    await currentOwner.save();
+
+    target.role = "owner";
+    try {
+      await target.save();
+    } catch (error) {
+      currentOwner.role = "owner";
+      await currentOwner.save();
+      throw error;
+    }
+
+    return {
+      owner: this.sanitizeMember(target, school),
+      previousOwner: this.sanitizeMember(currentOwner, school),
+    };
+  }
+}
+
+module.exports = SchoolStaffService;
@@ -0,0 +1,102 @@
+const Job = require("../models/Job");
+
+class ScreeningService {
+  /**
+   * Read an answer from a Map or plain object
+   */
+  static getAnswer(answers, key) {
+    if (!answers) return undefined;
+    return answers instanceof Map ? answers.get(key) : answers[key];
+  }
+
+  /**
+   * Whether an answer earns the question's weight
+   */
+  static isIdealAnswer(question, answer) {
+    if (question.type === "numeric") {
+      const hasRange =
+        typeof question.idealMin === "number" ||
+        typeof question.idealMax === "number";
+      return (
+        hasRange &&
+        (typeof question.idealMin !== "number" ||
+          answer >= question.idealMin) &&
+        (typeof question.idealMax !== "number" || answer <= question.idealMax)
+      );
+    }
+
+    return (question.idealAnswers || []).includes(answer);
+  }
+
+  /**
+   * Whether an answer triggers the question's knockout rule
+   */
+  static isKnockoutAnswer(question, answer) {
+    const knockout = question.knockout || {};
+    if (!knockout.action || knockout.action === "none") return false;
+
+    if (question.type === "numeric") {
+      return (
+        (typeof knockout.min === "number" && answer < knockout.min) ||
+        (typeof knockout.max === "number" && answer > knockout.max)
+      );
+    }
+
+    return (knockout.answers || []).includes(answer);
+  }
+
+  /**
+   * Evaluate screening answers against a job's questions.
+   * Only choice and numeric questions are scored; free text is for review.
+   * @param {Array} questions - Job screening questions
+   * @param {Map|Object} answers - Answers keyed by question key
+   * @returns {Object} - { score, earnedWeight, totalWeight, outcome, knockouts, evaluatedAt }
+   */
+  static evaluate(questions = [], answers = {}) {
+    let earnedWeight = 0;
+    let totalWeight = 0;
+    const knockouts = [];
+
+    for (const question of Job.normalizeScreeningQuestions(questions)) {
+      if (question.type === "text") continue;
+
+      const answer = this.getAnswer(answers, question.key);
+      const answered = answer !== undefined && answer !== null && answer !== "";
+
+      totalWeight += question.weight || 0;
+      if (!answered) continue;
+
+      if (this.isIdealAnswer(question, answer)) {
+        earnedWeight += question.weight || 0;
+      }
+
+      if (this.isKnockoutAnswer(question, answer)) {
+        knockouts.push({
+          questionKey: question.key,
+          question: question.question,
+          answer,
+          action: question.knockout.action,
+        });
+      }
+    }
+
+    let outcome = "passed";
+    if (knockouts.some((knockout) => knockout.action === "reject")) {
+      outcome = "knocked_out";
+    } else if (knockouts.length) {
+      outcome = "flagged";
+    }
+
+    return {
+      score:
+        totalWeight > 0 ? Math.round((earnedWeight / totalWeight) * 100) : null,
+      earnedWeight,
+      totalWeight,
+      outcome,
+      knockouts,
+      evaluatedAt: new Date(),
+    };
+  }
+}
+
+module.exports = ScreeningService;
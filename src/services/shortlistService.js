@@ -0,0 +1,534 @@
+const mongoose = require("mongoose");
+const SavedTeacher = require("../models/SavedTeacher");
+const Shortlist = require("../models/Shortlist");
+const TeacherProfile = require("../models/TeacherProfile");
+const Job = require("../models/Job");
+const SchoolGroup = require("../models/SchoolGroup");
+const SchoolProfile = require("../models/SchoolProfile");
+
+// Professional fields only, same as talent pool search results
+const TEACHER_FIELDS =
+  "firstName lastName subject qualification yearsOfTeachingExperience city country professionalBio availabilityStatus";
+
+const httpError = (message, status) =>
+  Object.assign(new Error(message), { status });
+
+const normaliseTags = (tags = []) => [
+  ...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)),
+];
+
+class ShortlistService {
+  /**
+   * The school a staff member acts for
+   */
+  static getSchoolId(user) {
+    if (!user.schoolId) {
+      throw httpError("School profile not found", 404);
+    }
+    return user.schoolId;
+  }
+
+  /**
+   * Shape a saved teacher for one staff member: the original
+   * { id, teacher, notes, savedAt } plus collaboration data. Other
+   * reviewers' private notes are left out.
+   */
+  static sanitizeEntry(saved, userId) {
+    const t = saved.teacherProfileId;
+    const viewerId = userId.toString();
+
+    const ratings = saved.ratings || [];
+    const myRating = ratings.find((r) => r.reviewerId.toString() === viewerId);
+    const average = ratings.length
+      ? Math.round(
+          (ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length) * 10
+        ) / 10
+      : null;
+
+    return {
+      id: saved._id,
+      teacher:
+        t && t._id
+          ? {
+              id: t._id,
+              name: `${t.firstName} ${t.lastName}`,
+              subject: t.subject,
+              qualification: t.qualification,
+              experience: t.yearsOfTeachingExperience,
+              location: `${t.city}, ${t.country}`,
+              bio: t.professionalBio,
+              availabilityStatus: t.availabilityStatus || "not_looking",
+            }
+          : null,
+      notes: saved.notes,
+      savedAt: saved.savedAt,
+      savedBy: saved.savedBy || null,
+      shortlistIds: saved.shortlistIds || [],
+      tags: saved.tags || [],
+      reviewerNotes: (saved.reviewerNotes || [])
+        .filter(
+          (note) =>
+            note.visibility === "shared" ||
+            note.authorId.toString() === viewerId
+        )
+        .map((note) => ({
+          id: note._id,
+          authorId: note.authorId,
+          body: note.body,
+          visibility: note.visibility,
+          createdAt: note.createdAt,
+          updatedAt: note.updatedAt,
+          isMine: note.authorId.toString() === viewerId,
+        })),
+      rating: {
+        average,
+        count: ratings.length,
+        mine: myRating ? myRating.rating : null,
+      },
+      invitations: saved.invitations || [],
+    };
+  }
+
+  /**
+   * Load one saved teacher for the school
+   */
+  static async findEntry(schoolId, teacherProfileId) {
+    const saved = await SavedTeacher.findOne({ schoolId, teacherProfileId });
+    if (!saved) {
+      throw httpError("Teacher not in shortlist", 404);
+    }
+    return saved;
+  }
+
+  /**
+   * Re-read an entry with the teacher populated for the response
+   */
+  static async getEntry(savedId, userId) {
+    const saved = await SavedTeacher.findById(savedId)
+      .populate("teacherProfileId", TEACHER_FIELDS)
+      .lean();
+    return this.sanitizeEntry(saved, userId);
+  }
+
+  /**
+   * Load one of the school's shortlists
+   */
+  static async findShortlist(schoolId, shortlistId) {
+    if (!mongoose.Types.ObjectId.isValid(shortlistId)) {
+      throw httpError("Shortlist not found", 404);
+    }
+    const shortlist = await Shortlist.findOne({ _id: shortlistId, schoolId });
+    if (!shortlist) {
+      throw httpError("Shortlist not found", 404);
+    }
+    return shortlist;
+  }
+
+  /**
+   * Check a job belongs to the school
+   */
+  static async assertSchoolJob(schoolId, jobId) {
+    if (!jobId) return;
+    const exists = await Job.exists({ _id: jobId, schoolId });
+    if (!exists) {
+      throw httpError("Job not found", 404);
+    }
+  }
+
+  // ==========================================
+  // Saved teachers
+  // ==========================================
+
+  /**
+   * List the school's saved teachers
+   * @param {Object} filters - { shortlistId, tag, sortBy: savedAt | rating }
+   */
+  static async getSavedTeachers(user, filters = {}) {
+    const schoolId = this.getSchoolId(user);
+
+    const query = { schoolId };
+    if (filters.shortlistId) {
+      await this.findShortlist(schoolId, filters.shortlistId);
+      query.shortlistIds = filters.shortlistId;
+    }
+    if (filters.tag) query.tags = filters.tag.trim().toLowerCase();
+
+    const savedTeachers = await SavedTeacher.find(query)
+      .populate("teacherProfileId", TEACHER_FIELDS)
+      .sort({ savedAt: -1 })
+      .lean();
+
+    const entries = savedTeachers.map((s) =>
+      this.sanitizeEntry(s, user.userId)
+    );
+
+    if (filters.sortBy === "rating") {
+      entries.sort((a, b) => (b.rating.average || 0) - (a.rating.average || 0));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Teachers saved by every campus of the user's school group, when the
+   * group shares its talent pool. Other campuses' private notes and
+   * free-text notes stay hidden.
+   * @param {Object} filters - { tag, campusId }
+   */
+  static async getGroupSavedTeachers(user, filters = {}) {
+    const schoolId = this.getSchoolId(user);
+    const group = user.groupId
+      ? await SchoolGroup.findById(user.groupId).select("sharedTalentPool")
+      : null;
+    if (!group) {
+      throw httpError("Your school is not part of a group", 404);
+    }
+    if (!group.sharedTalentPool) {
+      throw httpError("Your school group does not share its talent pool", 403);
+    }
+
+    const campuses = await SchoolProfile.find({ groupId: group._id })
+      .select("schoolName city country")
+      .lean();
+    const campusById = new Map(campuses.map((c) => [c._id.toString(), c]));
+
+    const campusIds = filters.campusId
+      ? campuses.filter((c) => c._id.toString() === filters.campusId)
+      : campuses;
+    const query = { schoolId: { $in: campusIds.map((c) => c._id) } };
+    if (filters.tag) query.tags = filters.tag.trim().toLowerCase();
+
+    const savedTeachers = await SavedTeacher.find(query)
+      .populate("teacherProfileId", TEACHER_FIELDS)
+      .sort({ savedAt: -1 })
+      .lean();
+
+    return savedTeachers.map((saved) => {
+      const campus = campusById.get(saved.schoolId.toString());
+      const isOwnCampus = saved.schoolId.toString() === schoolId.toString();
+      const entry = this.sanitizeEntry(saved, user.userId);
+
+      return {
+        ...entry,
+        notes: isOwnCampus ? entry.notes : undefined,
+        campus: {
+          id: campus._id,
+          schoolName: campus.schoolName,
+          city: campus.city,
+          country: campus.country,
+        },
+        isOwnCampus,
+      };
+    });
+  }
+
+  /**
+   * Save a teacher, optionally straight into a shortlist with tags
+   */
+  static async saveTeacher(user, data) {
+    const schoolId = this.getSchoolId(user);
+    const { teacherProfileId, notes, shortlistId, tags } = data;
+
+    const teacherProfile = await TeacherProfile.findById(teacherProfileId)
+      .select("_id")
+      .lean();
+    if (!teacherProfile) {
+      throw httpError("Teacher profile not found", 404);
+    }
+    if (shortlistId) await this.findShortlist(schoolId, shortlistId);
+
+    try {
+      return await SavedTeacher.create({
+        schoolId,
+        teacherProfileId,
+        savedBy: user.userId,
+        notes: notes || "",
+        shortlistIds: shortlistId ? [shortlistId] : [],
+        tags: normaliseTags(tags),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError("Teacher already saved", 400);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a teacher from the school's saved teachers and every shortlist
+   */
+  static async unsaveTeacher(user, teacherProfileId) {
+    const schoolId = this.getSchoolId(user);
+
+    const result = await SavedTeacher.findOneAndDelete({
+      schoolId,
+      teacherProfileId,
+    });
+    if (!result) {
+      throw httpError("Teacher not in shortlist", 404);
+    }
+  }
+
+  /**
+   * Replace a saved teacher's tags
+   */
+  static async setTags(user, teacherProfileId, tags) {
+    const schoolId = this.getSchoolId(user);
+    const saved = await this.findEntry(schoolId, teacherProfileId);
+
+    saved.tags = normaliseTags(tags).slice(0, SavedTeacher.MAX_TAGS);
+    await saved.save();
+
+    return this.getEntry(saved._id, user.userId);
+  }
+
+  /**
+   * Add a private or shared note
+   */
+  static async addNote(user, teacherProfileId, { body, visibility }) {
+    const schoolId = this.getSchoolId(user);
+    const saved = await this.findEntry(schoolId, teacherProfileId);
+
+    saved.reviewerNotes.push({ authorId: user.userId, body, visibility });
+    await saved.save();
+
+    return this.getEntry(saved._id, user.userId);
+  }
+
+  /**
+   * Edit a note (author only)
+   */
+  static async updateNote(user, teacherProfileId, noteId, data) {
+    const schoolId = this.getSchoolId(user);
+    const saved = await this.findEntry(schoolId, teacherProfileId);
+
+    const note = saved.reviewerNotes.id(noteId);
+    if (!note) {
+      throw httpError("Note not found", 404);
+    }
+    if (!note.authorId.equals(user.userId)) {
+      throw httpError("Only the author can edit this note", 403);
+    }
+
+    if (data.body !== undefined) note.body = data.body;
+    if (data.visibility !== undefined) note.visibility = data.visibility;
+    await saved.save();
+
+    return this.getEntry(saved._id, user.userId);
+  }
+
+  /**
+   * Delete a note (author only)
+   */
+  static async deleteNote(user, teacherProfileId, noteId) {
+    const schoolId = this.getSchoolId(user);
+    const saved = await this.findEntry(schoolId, teacherProfileId);
+
+    const note = saved.reviewerNotes.id(noteId);
+    if (!note) {
+      throw httpError("Note not found", 404);
+    }
+    if (!note.authorId.equals(user.userId)) {
+      throw httpError("Only the author can delete this note", 403);
+    }
+
+    note.deleteOne();
+    await saved.save();
+
+    return this.getEntry(saved._id, user.userId);
+  }
+
+  /**
+   * Set the staff member's 1-5 rating, replacing their earlier one
+   */
+  static async rate(user, teacherProfileId, rating) {
+    const schoolId = this.getSchoolId(user);
+    const saved = await this.findEntry(schoolId, teacherProfileId);
+
+    const existing = saved.ratings.find((r) =>
+      r.reviewerId.equals(user.userId)
+    );
+    if (existing) {
+      existing.rating = rating;
+      existing.ratedAt = new Date();
+    } else {
+      saved.ratings.push({ reviewerId: user.userId, rating });
+    }
+    await saved.save();
+
+    return this.getEntry(saved._id, user.userId);
+  }
+
+  /**
+   * Remove the staff member's rating
+   */
+  static async removeRating(user, teacherProfileId) {
+    const schoolId = this.getSchoolId(user);
+    const saved = await this.findEntry(schoolId, teacherProfileId);
+
+    saved.ratings = saved.ratings.filter(
+      (r) => !r.reviewerId.equals(user.userId)
+    );
+    await saved.save();
+
+    return this.getEntry(saved._id, user.userId);
+  }
+
+  /**
+   * Record that the teacher was invited to apply from the shortlist
+   */
+  static async recordInvitation(user, teacherProfileId, jobId) {
+    await SavedTeacher.updateOne(
+      { schoolId: this.getSchoolId(user), teacherProfileId },
+      {
+        $push: {
+          invitations: {
+            jobId: jobId || null,
+            invitedBy: user.userId,
+            invitedAt: new Date(),
+          },
+        },
+      }
+    );
+  }
+
+  // ==========================================
+  // Named shortlists
+  // ==========================================
+
+  /**
+   * List the school's shortlists with member counts
+   */
+  static async getShortlists(user) {
+    const schoolId = this.getSchoolId(user);
+
+    const [shortlists, counts] = await Promise.all([
+      Shortlist.find({ schoolId })
+        .populate("jobId", "title status")
+        .sort({ createdAt: -1 })
+        .lean(),
+      SavedTeacher.aggregate([
+        { $match: { schoolId: new mongoose.Types.ObjectId(schoolId) } },
+        { $unwind: "$shortlistIds" },
+        { $group: { _id: "$shortlistIds", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countById = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+    return shortlists.map((shortlist) => ({
+      ...shortlist,
+      teacherCount: countById.get(shortlist._id.toString()) || 0,
+    }));
+  }
+
+  /**
+   * Create a named shortlist
+   */
+  static async createShortlist(user, data) {
+    const schoolId = this.getSchoolId(user);
+
+    const count = await Shortlist.countDocuments({ schoolId });
+    if (count >= Shortlist.MAX_PER_SCHOOL) {
+      throw httpError(
+        `You can have at most ${Shortlist.MAX_PER_SCHOOL} shortlists`,
+        400
+      );
+    }
+    await this.assertSchoolJob(schoolId, data.jobId);
+
+    try {
+      return await Shortlist.create({
+        ...data,
+        schoolId,
+        createdBy: user.userId,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError("A shortlist with this name already exists", 400);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a shortlist or change its description or vacancy
+   */
+  static async updateShortlist(user, shortlistId, data) {
+    const schoolId = this.getSchoolId(user);
+    const shortlist = await this.findShortlist(schoolId, shortlistId);
+    await this.assertSchoolJob(schoolId, data.jobId);
+
+    Object.assign(shortlist, data);
+    try {
+      await shortlist.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError("A shortlist with this name already exists", 400);
+      }
+      throw error;
+    }
+    return shortlist;
+  }
+
+  /**
+   * Delete a shortlist. Its teachers stay saved.
+   */
+  static async deleteShortlist(user, shortlistId) {
+    const schoolId = this.getSchoolId(user);
+    const shortlist = await this.findShortlist(schoolId, shortlistId);
+
+    await SavedTeacher.updateMany(
+      { schoolId, shortlistIds: shortlist._id },
+      { $pull: { shortlistIds: shortlist._id } }
+    );
+    await shortlist.deleteOne();
+  }
+
+  /**
+   * Add a teacher to a shortlist, saving them first if needed
+   */
+  static async addToShortlist(user, shortlistId, teacherProfileId) {
+    const schoolId = this.getSchoolId(user);
+    const shortlist = await this.findShortlist(schoolId, shortlistId);
+
+    const teacherProfile = await TeacherProfile.findById(teacherProfileId)
+      .select("_id")
+      .lean();
+    if (!teacherProfile) {
+      throw httpError("Teacher profile not found", 404);
+    }
+
+    const saved = await SavedTeacher.findOneAndUpdate(
+      { schoolId, teacherProfileId },
+      {
+        $addToSet: { shortlistIds: shortlist._id },
+        $setOnInsert: { savedBy: user.userId, savedAt: new Date() },
+      },
+      { new: true, upsert: true }
+    );
+
+    return this.getEntry(saved._id, user.userId);
+  }
+
+  /**
+   * Remove a teacher from a shortlist. The teacher stays saved.
+   */
+  static async removeFromShortlist(user, shortlistId, teacherProfileId) {
+    const schoolId = this.getSchoolId(user);
+    const shortlist = await this.findShortlist(schoolId, shortlistId);
+
+    const saved = await SavedTeacher.findOneAndUpdate(
+      { schoolId, teacherProfileId, shortlistIds: shortlist._id },
+      { $pull: { shortlistIds: shortlist._id } },
+      { new: true }
+    );
+    if (!saved) {
+      throw httpError("Teacher not in this shortlist", 404);
+    }
+
+    return this.getEntry(saved._id, user.userId);
+  }
+}
+
+module.exports = ShortlistService;
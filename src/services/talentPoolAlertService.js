@@ -0,0 +1,35 @@
+const TalentPoolSearchService = require("./talentPoolSearchService");
+const { createCronJob } = require("../utils/cronJob");
+
+const CRON_NAME = "talent-pool-alerts";
+
+/**
+ * Send school talent pool saved search alerts, recorded as a CronRun.
+ * Daily alerts go out every run; weekly alerts only on Mondays.
+ * Runs daily at 7:30 AM.
+ */
+const talentPoolAlertCron = createCronJob({
+  name: CRON_NAME,
+  schedule: "30 7 * * *",
+  label: "Talent pool alert",
+  frequency: "runs daily at 7:30 AM",
+  logPrefix: "[TalentPoolAlert]",
+  task: async (stats) => {
+    stats.daily = await TalentPoolSearchService.processDigests("daily");
+    if (new Date().getDay() === 1) {
+      stats.weekly = await TalentPoolSearchService.processDigests("weekly");
+    }
+  },
+  summarize: (stats) => {
+    const alerted =
+      stats.daily.alerted + (stats.weekly ? stats.weekly.alerted : 0);
+    return alerted > 0 ? `Sent ${alerted} alert(s)` : null;
+  },
+});
+
+module.exports = {
+  CRON_NAME,
+  startTalentPoolAlertCron: talentPoolAlertCron.start,
+  stopTalentPoolAlertCron: talentPoolAlertCron.stop,
+  runTalentPoolAlerts: talentPoolAlertCron.run,
+};
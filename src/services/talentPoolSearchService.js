@@ -0,0 +1,565 @@
+const ConsentRecord = require("../models/ConsentRecord");
+const TeacherProfile = require("../models/TeacherProfile");
+const TalentPoolSavedSearch = require("../models/TalentPoolSavedSearch");
+const JobNotification = require("../models/JobNotification");
+
+// Maximum number of teachers included in a single alert
+const MAX_TEACHERS_PER_ALERT = 20;
+
+// Maximum number of values returned per facet
+const MAX_FACET_VALUES = 20;
+
+// Professional fields only. CRITICAL: never add email, phoneNumber,
+// alternatePhone, streetAddress, passportNumber, dateOfBirth, placeOfBirth,
+// gender, maritalStatus, postalCode or stateProvince
+const PUBLIC_FIELDS = {
+  firstName: 1,
+  lastName: 1,
+  subject: 1,
+  qualification: 1,
+  yearsOfTeachingExperience: 1,
+  city: 1,
+  country: 1,
+  nationality: 1,
+  languages: 1,
+  professionalBio: 1,
+  keyAchievements: 1,
+  certifications: 1,
+  availabilityStatus: 1,
+  verifiedCredentialCount: 1,
+  relevance: 1,
+};
+
+// Teachers ready to move rank above those merely open to offers
+const AVAILABILITY_RANK = {
+  available: 2,
+  open_to_offers: 1,
+  not_looking: 0,
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Accept arrays or comma-separated query strings
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((item) => String(item).trim()).filter(Boolean);
+};
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+class TalentPoolSearchService {
+  /**
+   * User IDs of teachers with active talent pool consent
+   * @param {Date} grantedSince - Only consents granted on or after this date
+   */
+  static async getConsentedUserIds(grantedSince = null) {
+    const query = {
+      consentType: "talent_pool",
+      action: "granted",
+      isActive: true,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    };
+    if (grantedSince) query.timestamp = { $gte: grantedSince };
+
+    return ConsentRecord.distinct("userId", query);
+  }
+
+  /**
+   * Normalise query-string or saved filters into the shape stored on
+   * TalentPoolSavedSearch
+   */
+  static normaliseFilters(raw = {}) {
+    const filters = {};
+
+    ["q", "subject", "country", "city", "nationality"].forEach((key) => {
+      if (raw[key] && String(raw[key]).trim()) {
+        filters[key] = String(raw[key]).trim();
+      }
+    });
+
+    ["languages", "qualification", "availabilityStatus"].forEach((key) => {
+      const list = toList(raw[key]);
+      if (list.length) filters[key] = list;
+    });
+
+    ["minExperience", "maxExperience"].forEach((key) => {
+      const value = parseInt(raw[key]);
+      if (!isNaN(value)) filters[key] = value;
+    });
+
+    if (
+      raw.verifiedCredentials === true ||
+      raw.verifiedCredentials === "true"
+    ) {
+      filters.verifiedCredentials = true;
+    }
+
+    return filters;
+  }
+
+  /**
+   * Build the TeacherProfile query for a filter set, restricted to the given
+   * consented users. Shared by search and saved search alerts so both match
+   * identically.
+   */
+  static buildSearchQuery(filters = {}, consentedUserIds = []) {
+    const query = {
+      userId: { $in: consentedUserIds },
+      talentPoolOptedIn: true,
+    };
+
+    // Full-text search over bio, achievements, subject and employment history
+    if (filters.q) {
+      query.$text = { $search: filters.q };
+    }
+
+    if (filters.subject) {
+      query.subject = { $regex: escapeRegex(filters.subject), $options: "i" };
+    }
+    if (filters.country) {
+      query.country = { $regex: escapeRegex(filters.country), $options: "i" };
+    }
+    if (filters.city) {
+      query.city = { $regex: escapeRegex(filters.city), $options: "i" };
+    }
+    if (filters.nationality) {
+      query.nationality = {
+        $regex: `^${escapeRegex(filters.nationality)}$`,
+        $options: "i",
+      };
+    }
+
+    // Teachers speaking any of the listed languages
+    if (filters.languages && filters.languages.length) {
+      query["languages.language"] = {
+        $in: filters.languages.map(
+          (language) => new RegExp(`^${escapeRegex(language)}$`, "i")
+        ),
+      };
+    }
+
+    if (filters.qualification && filters.qualification.length) {
+      query.qualification = { $in: filters.qualification };
+    }
+
+    if (
+      filters.minExperience !== undefined ||
+      filters.maxExperience !== undefined
+    ) {
+      query.yearsOfTeachingExperience = {};
+      if (filters.minExperience !== undefined) {
+        query.yearsOfTeachingExperience.$gte = filters.minExperience;
+      }
+      if (filters.maxExperience !== undefined) {
+        query.yearsOfTeachingExperience.$lte = filters.maxExperience;
+      }
+    }
+
+    if (filters.availabilityStatus && filters.availabilityStatus.length) {
+      query.availabilityStatus = { $in: filters.availabilityStatus };
+    }
+
+    // Only teachers with at least one admin-verified credential
+    if (filters.verifiedCredentials) {
+      query.verifiedCredentialCount = { $gt: 0 };
+    }
+
+    return query;
+  }
+
+  /**
+   * Sort stage for a search. Relevance ranks text matches first, then
+   * availability, verified credentials, profile completeness and experience.
+   */
+  static buildSort(sortBy, hasText) {
+    switch (sortBy) {
+      case "experience":
+        return { yearsOfTeachingExperience: -1, _id: 1 };
+      case "recent":
+        return { updatedAt: -1, _id: 1 };
+      case "relevance":
+      default:
+        return {
+          ...(hasText && { relevance: -1 }),
+          availabilityRank: -1,
+          verifiedCredentialCount: -1,
+          profileCompletion: -1,
+          yearsOfTeachingExperience: -1,
+          _id: 1,
+        };
+    }
+  }
+
+  /**
+   * Facet pipelines counting the matching teachers per filter value
+   */
+  static buildFacets() {
+    const countBy = (field) => [
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $match: { _id: { $nin: [null, ""] } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_FACET_VALUES },
+      { $project: { _id: 0, value: "$_id", count: 1 } },
+    ];
+
+    return {
+      subject: countBy("subject"),
+      country: countBy("country"),
+      nationality: countBy("nationality"),
+      qualification: countBy("qualification"),
+      availabilityStatus: countBy("availabilityStatus"),
+      languages: [
+        { $unwind: "$languages" },
+        // One count per teacher and language
+        {
+          $group: { _id: { teacher: "$_id", language: "$languages.language" } },
+        },
+        ...countBy("_id.language"),
+      ],
+      verifiedCredentials: [
+        {
+          $group: {
+            _id: { $gt: ["$verifiedCredentialCount", 0] },
+            count: { $sum: 1 },
+          },
+        },
+        { $project: { _id: 0, value: "$_id", count: 1 } },
+      ],
+    };
+  }
+
+  /**
+   * Shape a teacher for a school: professional data only
+   */
+  static sanitizeTeacher(t) {
+    return {
+      id: t._id,
+      name: `${t.firstName} ${t.lastName}`,
+      subject: t.subject,
+      qualification: t.qualification,
+      experience: t.yearsOfTeachingExperience,
+      location: `${t.city}, ${t.country}`,
+      nationality: t.nationality,
+      languages: (t.languages || []).map((l) => ({
+        language: l.language,
+        proficiency: l.proficiency,
+      })),
+      bio: t.professionalBio,
+      keyAchievements: t.keyAchievements || [],
+      certifications: t.certifications || [],
+      availabilityStatus: t.availabilityStatus || "not_looking",
+      verifiedCredentials: t.verifiedCredentialCount || 0,
+      ...(t.relevance !== undefined && { relevance: t.relevance }),
+    };
+  }
+
+  /**
+   * Search the talent pool with facets and ranking.
+   * Only teachers with active talent_pool consent are ever matched.
+   * @param {Object} rawFilters - Query-string or saved filters
+   * @param {Object} options - { page, limit, sortBy, facets }
+   */
+  static async search(rawFilters = {}, options = {}) {
+    const filters = this.normaliseFilters(rawFilters);
+
+    let page = parseInt(options.page) || 1;
+    let limit = parseInt(options.limit) || 20;
+    if (page < 1) page = 1;
+    if (limit < 1) limit = 1;
+    if (limit > 50) limit = 50;
+
+    const consentedUserIds = await this.getConsentedUserIds();
+    if (consentedUserIds.length === 0) {
+      return {
+        teachers: [],
+        facets: {},
+        pagination: { page, limit, total: 0, totalPages: 0 },
+        filters,
+      };
+    }
+
+    const hasText = Boolean(filters.q);
+    const pipeline = [
+      // $text must be in the first stage
+      { $match: this.buildSearchQuery(filters, consentedUserIds) },
+      {
+        $addFields: {
+          relevance: hasText ? { $meta: "textScore" } : "$$REMOVE",
+          availabilityRank: {
+            $switch: {
+              branches: Object.entries(AVAILABILITY_RANK).map(
+                ([status, rank]) => ({
+                  case: { $eq: ["$availabilityStatus", status] },
+                  then: rank,
+                })
+              ),
+              default: 0,
+            },
+          },
+        },
+      },
+      {
+        $facet: {
+          teachers: [
+            { $sort: this.buildSort(options.sortBy, hasText) },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: PUBLIC_FIELDS },
+          ],
+          total: [{ $count: "count" }],
+          ...(options.facets !== false && this.buildFacets()),
+        },
+      },
+    ];
+
+    const [result] = await TeacherProfile.aggregate(pipeline);
+    const { teachers, total: totalResult, ...facets } = result;
+    const total = totalResult.length ? totalResult[0].count : 0;
+
+    return {
+      teachers: teachers.map((t) => this.sanitizeTeacher(t)),
+      facets,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+      filters,
+    };
+  }
+
+  /**
+   * Create a saved search for a school
+   */
+  static async createSavedSearch(schoolUser, searchData) {
+    try {
+      const count = await TalentPoolSavedSearch.countDocuments({
+        schoolId: schoolUser.schoolId,
+      });
+
+      if (count >= TalentPoolSavedSearch.MAX_PER_SCHOOL) {
+        throw new Error(
+          `You can have at most ${TalentPoolSavedSearch.MAX_PER_SCHOOL} saved searches`
+        );
+      }
+
+      const savedSearch = new TalentPoolSavedSearch({
+        ...searchData,
+        filters: this.normaliseFilters(searchData.filters),
+        schoolId: schoolUser.schoolId,
+        userId: schoolUser.userId,
+      });
+
+      await savedSearch.save();
+      return savedSearch;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(
+          "Failed to create saved search: A saved search with this name already exists"
+        );
+      }
+      throw new Error(`Failed to create saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a school's saved searches
+   */
+  static async getSavedSearches(schoolId) {
+    return TalentPoolSavedSearch.find({ schoolId })
+      .select("-alertedTeacherIds")
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Update a school's saved search
+   */
+  static async updateSavedSearch(savedSearchId, schoolId, updateData) {
+    try {
+      const savedSearch = await TalentPoolSavedSearch.findOne({
+        _id: savedSearchId,
+        schoolId,
+      });
+
+      if (!savedSearch) {
+        throw new Error("Saved search not found or access denied");
+      }
+
+      if (updateData.filters) {
+        updateData.filters = this.normaliseFilters(updateData.filters);
+      }
+      Object.assign(savedSearch, updateData);
+      await savedSearch.save();
+
+      return savedSearch;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(
+          "Failed to update saved search: A saved search with this name already exists"
+        );
+      }
+      throw new Error(`Failed to update saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a school's saved search
+   */
+  static async deleteSavedSearch(savedSearchId, schoolId) {
+    const result = await TalentPoolSavedSearch.deleteOne({
+      _id: savedSearchId,
+      schoolId,
+    });
+
+    if (result.deletedCount === 0) {
+      throw new Error("Saved search not found or access denied");
+    }
+  }
+
+  /**
+   * Run a saved search against the live talent pool
+   */
+  static async runSavedSearch(savedSearchId, schoolId, options = {}) {
+    const savedSearch = await TalentPoolSavedSearch.findOne({
+      _id: savedSearchId,
+      schoolId,
+    });
+
+    if (!savedSearch) {
+      throw new Error("Saved search not found or access denied");
+    }
+
+    return this.search(savedSearch.getFilterObject(), options);
+  }
+
+  /**
+   * Find matching teachers the school has not been alerted about yet.
+   * Only teachers who opted in after the search was created are considered.
+   */
+  static async getNewMatches(savedSearch, limit = MAX_TEACHERS_PER_ALERT) {
+    const consentedUserIds = await this.getConsentedUserIds(
+      savedSearch.createdAt
+    );
+    if (consentedUserIds.length === 0) return [];
+
+    const filters = savedSearch.getFilterObject();
+    const query = this.buildSearchQuery(filters, consentedUserIds);
+    query._id = { $nin: savedSearch.alertedTeacherIds };
+
+    return TeacherProfile.find(query)
+      .select("_id subject")
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Send an in-app talent_pool_match notification to the school user who
+   * saved the search, then remember the teachers as alerted.
+   * Names are left out; the school opens the search to see the teachers.
+   */
+  static async sendAlert(savedSearch, teachers) {
+    const count = teachers.length;
+
+    const notification = await JobNotification.createNotification({
+      userId: savedSearch.userId,
+      type: "talent_pool_match",
+      title:
+        count === 1
+          ? `New teacher matching "${savedSearch.name}"`
+          : `${count} new teachers matching "${savedSearch.name}"`,
+      message:
+        `${count} teacher${count === 1 ? " has" : "s have"} joined the talent pool matching your saved search "${savedSearch.name}".`.slice(
+          0,
+          1000
+        ),
+      category: "recommendation",
+      priority: "medium",
+      actionRequired: false,
+      actionUrl: `${frontendUrl()}/dashboard/school/talent-pool/saved-searches/${savedSearch._id}`,
+      actionText: "View Matches",
+      metadata: {
+        savedSearchId: savedSearch._id.toString(),
+        teacherProfileIds: teachers.map((t) => t._id.toString()),
+      },
+    });
+
+    await savedSearch.recordAlert(teachers.map((t) => t._id));
+
+    return notification;
+  }
+
+  /**
+   * Alert schools with instant saved searches about a teacher who just
+   * opted into the talent pool
+   */
+  static async notifyInstantMatches(teacherProfile) {
+    const stats = { checked: 0, alerted: 0 };
+    const savedSearches =
+      await TalentPoolSavedSearch.findActiveByFrequency("instant");
+
+    for (const savedSearch of savedSearches) {
+      stats.checked++;
+      try {
+        if (
+          savedSearch.alertedTeacherIds.some((id) =>
+            id.equals(teacherProfile._id)
+          )
+        ) {
+          continue;
+        }
+
+        const query = this.buildSearchQuery(savedSearch.getFilterObject(), [
+          teacherProfile.userId,
+        ]);
+        query._id = teacherProfile._id;
+
+        if (!(await TeacherProfile.exists(query))) continue;
+
+        await this.sendAlert(savedSearch, [teacherProfile]);
+        stats.alerted++;
+      } catch (error) {
+        console.error(
+          `[TalentPoolSearch] Instant alert failed for saved search ${savedSearch._id}:`,
+          error.message
+        );
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Send daily or weekly alerts for every active school saved search
+   */
+  static async processDigests(frequency) {
+    const stats = { checked: 0, alerted: 0, teachersSent: 0, failed: 0 };
+    const cursor =
+      TalentPoolSavedSearch.findActiveByFrequency(frequency).cursor();
+
+    for await (const savedSearch of cursor) {
+      stats.checked++;
+      try {
+        const teachers = await this.getNewMatches(savedSearch);
+        if (teachers.length === 0) continue;
+
+        await this.sendAlert(savedSearch, teachers);
+        stats.alerted++;
+        stats.teachersSent += teachers.length;
+      } catch (error) {
+        stats.failed++;
+        console.error(
+          `[TalentPoolSearch] ${frequency} alert failed for saved search ${savedSearch._id}:`,
+          error.message
+        );
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = TalentPoolSearchService;
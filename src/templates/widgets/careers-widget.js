@@ -0,0 +1,95 @@
+/* eslint-env browser */
+/**
+ * Careers widget
+ * Lists a school's open jobs on the school's own website. Served from
+ * /api/v1/careers/:slug/widget.js and reads jobs.json next to it.
+ *
+ * <div id="egh-careers"></div>
+ * <script src=".../careers/<slug>/widget.js" data-target="egh-careers" async></script>
+ *
+ * Optional attributes: data-limit (number of jobs).
+ */
+(function () {
+  var script = document.currentScript;
+  if (!script || !script.src) return;
+
+  var feedUrl = script.src.replace(/widget\.js(\?.*)?$/, "jobs.json");
+  var targetId = script.getAttribute("data-target") || "egh-careers";
+  var limit = parseInt(script.getAttribute("data-limit"), 10);
+  if (limit > 0) feedUrl += "?limit=" + limit;
+
+  function element(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  function render(container, feed) {
+    container.textContent = "";
+    var list = element("ul", "egh-careers-list");
+
+    if (!feed.jobs.length) {
+      container.appendChild(
+        element("p", "egh-careers-empty", "There are no open positions.")
+      );
+      return;
+    }
+
+    feed.jobs.forEach(function (job) {
+      var item = element("li", "egh-careers-job");
+      var link = element("a", "egh-careers-title", job.title);
+      link.href = job.applyUrl;
+      link.target = "_blank";
+      link.rel = "noopener";
+      item.appendChild(link);
+
+      var location = [job.city, job.country].filter(Boolean).join(", ");
+      var details = [location, job.jobType, job.salaryRange].filter(Boolean);
+      item.appendChild(
+        element("div", "egh-careers-details", details.join(" · "))
+      );
+
+      if (job.applicationDeadline) {
+        var deadline = new Date(job.applicationDeadline).toLocaleDateString();
+        item.appendChild(
+          element("div", "egh-careers-deadline", "Apply by " + deadline)
+        );
+      }
+      list.appendChild(item);
+    });
+
+    container.appendChild(list);
+
+    var more = element("a", "egh-careers-more", "View all careers");
+    more.href = feed.school.careersPageUrl;
+    more.target = "_blank";
+    more.rel = "noopener";
+    container.appendChild(more);
+  }
+
+  function load() {
+    var container = document.getElementById(targetId);
+    if (!container) {
+      container = element("div", "egh-careers");
+      script.parentNode.insertBefore(container, script);
+    }
+
+    fetch(feedUrl)
+      .then(function (response) {
+        return response.json();
+      })
+      .then(function (body) {
+        if (body.success) render(container, body.data);
+      })
+      .catch(function () {
+        container.textContent = "";
+      });
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", load);
+  } else {
+    load();
+  }
+})();
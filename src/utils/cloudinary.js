@@ -8,6 +8,7 @@ const { cloudinary } = require("../config/cloudinary");
  * @param {string} options.public_id - Public ID for the file
  * @param {boolean} options.overwrite - Whether to overwrite existing file
  * @param {string} options.resource_type - Resource type (image, raw, video, auto)
+ * @param {string} options.type - Delivery type (upload, authenticated, private)
  * @returns {Promise<Object>} - Cloudinary upload result
  */
 const uploadToCloudinary = async (buffer, options = {}) => {
@@ -17,6 +18,7 @@ const uploadToCloudinary = async (buffer, options = {}) => {
       public_id,
       overwrite = true,
       resource_type = "image",
+      type,
       transformation,
     } = options;
 
@@ -30,6 +32,10 @@ const uploadToCloudinary = async (buffer, options = {}) => {
       uploadOptions.public_id = public_id;
     }
 
+    if (type) {
+      uploadOptions.type = type;
+    }
+
     if (transformation) {
       uploadOptions.transformation = transformation;
     }
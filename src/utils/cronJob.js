@@ -0,0 +1,94 @@
+/**
+ * Scheduled jobs that record every run as a CronRun. Runs never overlap: a
+ * run triggered while the previous one is still in progress is skipped.
+ */
+
+const cron = require("node-cron");
+const CronRun = require("../models/CronRun");
+
+/**
+ * Create a scheduled job
+ *
+ * @param {Object} options
+ * @param {string} options.name - CronRun name
+ * @param {string} options.schedule - node-cron expression
+ * @param {string} options.label - Human readable name used in start/stop logs
+ * @param {string} options.frequency - When it runs, e.g. "runs every hour"
+ * @param {string} options.logPrefix - Prefix for run logs, e.g. "[JobLifecycle]"
+ * @param {Function} options.task - async (stats) => void; fills in stats as it goes
+ * @param {Function} [options.summarize] - (stats) => message to log, or null
+ * @returns {{ run: Function, start: Function, stop: Function }}
+ */
+const createCronJob = ({
+  name,
+  schedule,
+  label,
+  frequency,
+  logPrefix,
+  task,
+  summarize = () => null,
+}) => {
+  let cronTask = null;
+  let isRunning = false;
+
+  /**
+   * Run the task once and record the outcome
+   *
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<Object|null>} - The run record, or null if a run is already in progress
+   */
+  const run = async (trigger = "schedule") => {
+    if (isRunning) {
+      console.log(`${logPrefix} Previous run still in progress, skipping`);
+      return null;
+    }
+    isRunning = true;
+
+    let cronRun = null;
+    const stats = {};
+
+    try {
+      cronRun = await CronRun.startRun(name, trigger);
+      await task(stats);
+      await cronRun.complete(stats);
+
+      const summary = summarize(stats);
+      if (summary) {
+        console.log(`${logPrefix} ${summary}`);
+      }
+      return cronRun;
+    } catch (error) {
+      console.error(`${logPrefix} Error during run:`, error);
+      if (cronRun) {
+        await cronRun.fail(error.message, stats).catch((recordError) => {
+          console.error(
+            `${logPrefix} Failed to record run failure:`,
+            recordError.message
+          );
+        });
+      }
+      return cronRun;
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  const start = () => {
+    cronTask = cron.schedule(schedule, () => run("schedule"));
+    console.log(`${label} cron started (${frequency})`);
+  };
+
+  const stop = () => {
+    if (cronTask) {
+      cronTask.stop();
+      cronTask = null;
+      console.log(`${label} cron stopped`);
+    }
+  };
+
+  return { run, start, stop };
+};
+
+module.exports = {
+  createCronJob,
+};
@@ -0,0 +1,355 @@
+/**
+ * Heuristic CV parsing: splits plain CV text into sections and candidate
+ * employment, education, qualification and certification entries. Results
+ * are a draft for the teacher to review, not trusted data.
+ */
+
+const MONTH_PATTERN =
+  "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+const DATE_PATTERN = `(?:(?:${MONTH_PATTERN})\\.?,?\\s+\\d{4}|\\d{1,2}[/.]\\d{4}|(?:19|20)\\d{2})`;
+const OPEN_END_PATTERN = "present|current|now|date|ongoing";
+
+const DATE_RANGE_REGEX = new RegExp(
+  `(${DATE_PATTERN})\\s*(?:-|–|—|to|until)\\s*(${DATE_PATTERN}|${OPEN_END_PATTERN})`,
+  "i"
+);
+const DATE_REGEX = new RegExp(DATE_PATTERN, "i");
+const OPEN_END_REGEX = new RegExp(`^(?:${OPEN_END_PATTERN})$`, "i");
+
+const SECTION_HEADINGS = {
+  employment:
+    /^(?:professional |teaching |work |relevant |employment )?(?:experience|employment(?: history)?|work history|career history)$/i,
+  education:
+    /^(?:education|academic (?:background|history|qualifications)|education (?:and|&) training)$/i,
+  qualifications:
+    /^(?:teaching |professional )?(?:qualifications|licen[cs]es|licen[cs]ure)$/i,
+  certifications:
+    /^(?:professional )?(?:certifications?|certificates|courses (?:and|&) certifications)$/i,
+};
+
+// Headings that end a parsed section without starting a new one
+const OTHER_HEADING_REGEX =
+  /^(?:skills|key skills|languages|references|referees|interests|hobbies|profile|summary|objective|personal (?:statement|details|profile)|(?:key )?achievements|awards|publications|activities|volunteering|contact(?: details)?|memberships|professional development)$/i;
+
+const BULLET_REGEX = /^[•●▪◦‣∙·*\-–]\s*/;
+
+const DEGREE_REGEX =
+  /\b(?:bachelor|master|doctor|ph\.?d|b\.?a|b\.?sc|b\.?ed|m\.?a|m\.?sc|m\.?ed|m\.?phil|pgce|pgde|diploma|certificate|associate|a[- ]levels?|gcses?|high school|ib diploma)\b/i;
+const INSTITUTION_REGEX =
+  /\b(?:university|college|institute|polytechnic|school|academy|conservatoire)\b/i;
+const CREDENTIAL_ID_REGEX =
+  /(?:credential|licen[cs]e|certificate|registration)\s*(?:id|no\.?|number)\s*[:#]?\s*([A-Z0-9-]{4,})/i;
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+/**
+ * Parse a CV date fragment (e.g. "Sep 2019", "09/2019", "2019")
+ * @param {string} value - Date text
+ * @returns {Date|null} - First day of the month (January for bare years)
+ */
+const parseCvDate = (value) => {
+  if (!value) return null;
+  const text = value.trim().toLowerCase();
+
+  const numeric = text.match(/^(\d{1,2})[/.](\d{4})$/);
+  if (numeric) {
+    const month = Number(numeric[1]);
+    if (month < 1 || month > 12) return null;
+    return new Date(Date.UTC(Number(numeric[2]), month - 1, 1));
+  }
+
+  const year = text.match(/(\d{4})/);
+  if (!year) return null;
+
+  const month = MONTHS.findIndex((name) => text.startsWith(name));
+  return new Date(Date.UTC(Number(year[1]), Math.max(month, 0), 1));
+};
+
+/**
+ * Find a date range or single date in a line
+ * @param {string} line - Line of text
+ * @returns {Object|null} - { startDate, endDate, isCurrent, match }
+ */
+const findDates = (line) => {
+  const range = line.match(DATE_RANGE_REGEX);
+  if (range) {
+    const isCurrent = OPEN_END_REGEX.test(range[2].trim());
+    return {
+      startDate: parseCvDate(range[1]),
+      endDate: isCurrent ? null : parseCvDate(range[2]),
+      isCurrent,
+      match: range[0],
+    };
+  }
+
+  const single = line.match(DATE_REGEX);
+  if (single) {
+    return {
+      startDate: null,
+      endDate: parseCvDate(single[0]),
+      isCurrent: false,
+      match: single[0],
+    };
+  }
+
+  return null;
+};
+
+const cleanPart = (text) =>
+  text
+    .replace(/\(\s*\)|\[\s*\]/g, " ")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s,|:–—-]+|[\s,|:–—-]+$/g, "")
+    .trim();
+
+const PART_SEPARATOR = /\s*[|,]\s*|\s+[–—-]\s+/;
+const JOB_PART_SEPARATOR = /\s+(?:at|@)\s+|\s*[|,]\s*|\s+[–—-]\s+/i;
+
+// Split a header line like "Maths Teacher, Leeds Grammar School | Leeds"
+const splitParts = (line, separator = PART_SEPARATOR) =>
+  line.split(separator).map(cleanPart).filter(Boolean);
+
+const getSectionForHeading = (line) => {
+  const heading = line.replace(/[:\s]+$/, "").trim();
+  if (!heading || heading.length > 40) return null;
+
+  const section = Object.keys(SECTION_HEADINGS).find((key) =>
+    SECTION_HEADINGS[key].test(heading)
+  );
+  if (section) return section;
+
+  return OTHER_HEADING_REGEX.test(heading) ? "other" : null;
+};
+
+/**
+ * Split CV text into the lines of each recognised section
+ * @param {string} text - Plain CV text
+ * @returns {Object} - Lines keyed by section (blank lines kept as "")
+ */
+const splitSections = (text) => {
+  const sections = {};
+  let current = null;
+
+  text
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/\t/g, " ").trim())
+    .forEach((line) => {
+      const section = getSectionForHeading(line);
+      if (section) {
+        current = section === "other" ? null : section;
+        if (current && !sections[current]) sections[current] = [];
+        return;
+      }
+      if (current) sections[current].push(line);
+    });
+
+  return sections;
+};
+
+/**
+ * Group section lines into entries. A new entry starts after a blank line,
+ * at a header line that follows bullet points, or at a second date range.
+ * @param {string[]} lines - Section lines
+ * @returns {Array} - [{ headers, bullets, dates, source }]
+ */
+const splitEntries = (lines) => {
+  const entries = [];
+  let entry = null;
+
+  const close = () => {
+    if (entry && (entry.headers.length || entry.bullets.length)) {
+      entries.push(entry);
+    }
+    entry = null;
+  };
+
+  lines.forEach((line) => {
+    if (!line) {
+      close();
+      return;
+    }
+
+    const isBullet = BULLET_REGEX.test(line);
+    const dates = isBullet ? null : findDates(line);
+
+    if (
+      entry &&
+      !isBullet &&
+      (entry.bullets.length > 0 || (dates && entry.dates))
+    ) {
+      close();
+    }
+
+    if (!entry) {
+      entry = { headers: [], bullets: [], dates: null, source: [] };
+    }
+    entry.source.push(line);
+
+    if (isBullet) {
+      const bullet = line.replace(BULLET_REGEX, "").trim();
+      if (bullet) entry.bullets.push(bullet);
+      return;
+    }
+
+    let header = line;
+    if (dates) {
+      if (!entry.dates) entry.dates = dates;
+      header = cleanPart(line.replace(dates.match, " "));
+    }
+    if (header) entry.headers.push(header);
+  });
+
+  close();
+  return entries;
+};
+
+const toEmployment = ({ headers, bullets, dates, source }) => {
+  const [first = "", second = "", ...rest] = headers;
+  const parts = splitParts(first, JOB_PART_SEPARATOR);
+  const jobTitle = parts[0];
+  let employer = parts[1];
+  let location = parts.slice(2).join(", ");
+  const responsibilities = [...bullets];
+
+  if (second) {
+    const secondParts = splitParts(second, JOB_PART_SEPARATOR);
+    if (!employer) {
+      employer = secondParts[0];
+      location = location || secondParts.slice(1).join(", ");
+    } else if (!location && second.length <= 60) {
+      location = second;
+    } else {
+      responsibilities.unshift(second);
+    }
+  }
+  responsibilities.push(...rest);
+
+  return {
+    jobTitle,
+    employer,
+    location: location || undefined,
+    startDate: dates && dates.startDate,
+    endDate: dates && dates.endDate,
+    isCurrent: Boolean(dates && dates.isCurrent),
+    responsibilities,
+    source,
+  };
+};
+
+const toEducation = ({ headers, bullets, dates, source }) => {
+  const parts = headers.flatMap((header) => splitParts(header));
+  let degreePart = parts.find((part) => DEGREE_REGEX.test(part));
+  let institution = parts.find(
+    (part) => part !== degreePart && INSTITUTION_REGEX.test(part)
+  );
+
+  if (!degreePart && !institution) {
+    [degreePart, institution] = parts;
+  } else if (!degreePart) {
+    degreePart = parts.find((part) => part !== institution);
+  } else if (!institution) {
+    institution = parts.find((part) => part !== degreePart);
+  }
+
+  let degree = degreePart;
+  let fieldOfStudy;
+  const field = degreePart && degreePart.match(/^(.+)\s+in\s+(.+)$/i);
+  if (field) {
+    [, degree, fieldOfStudy] = field;
+  }
+
+  let educationType = "Other";
+  if (
+    institution &&
+    /university|college|institute|polytechnic/i.test(institution)
+  ) {
+    educationType = "University";
+  } else if (institution && /school|academy/i.test(institution)) {
+    educationType = "School";
+  }
+
+  return {
+    educationType,
+    degree,
+    institution,
+    fieldOfStudy,
+    startDate: dates && dates.startDate,
+    endDate: dates && dates.endDate,
+    honorsAwards: bullets,
+    source,
+  };
+};
+
+const toQualification = ({ headers, bullets, dates, source }) => {
+  const parts = headers.flatMap((header) => splitParts(header));
+
+  return {
+    title: parts[0],
+    issuingInstitution: parts[1],
+    issueDate: dates && (dates.startDate || dates.endDate),
+    expiryDate: dates && dates.startDate ? dates.endDate : undefined,
+    description: [...parts.slice(2), ...bullets].join("\n") || undefined,
+    source,
+  };
+};
+
+const toCertification = ({ headers, bullets, dates, source }) => {
+  const text = source.join(" ");
+  const credential = text.match(CREDENTIAL_ID_REGEX);
+  const parts = headers
+    .map((header) =>
+      credential ? cleanPart(header.replace(credential[0], " ")) : header
+    )
+    .flatMap((header) => splitParts(header));
+
+  return {
+    certificationName: parts[0],
+    issuingOrganization: parts[1],
+    issueDate: dates && (dates.startDate || dates.endDate),
+    expiryDate: dates && dates.startDate ? dates.endDate : undefined,
+    credentialId: credential ? credential[1] : undefined,
+    description: [...parts.slice(2), ...bullets].join("\n") || undefined,
+    source,
+  };
+};
+
+const ENTRY_MAPPERS = {
+  employment: toEmployment,
+  education: toEducation,
+  qualifications: toQualification,
+  certifications: toCertification,
+};
+
+/**
+ * Parse CV text into draft profile entries
+ * @param {string} text - Plain CV text
+ * @returns {Object} - { employment, education, qualifications, certifications }
+ */
+const parseCvText = (text = "") => {
+  const sections = splitSections(text);
+
+  return Object.keys(ENTRY_MAPPERS).reduce((draft, key) => {
+    draft[key] = splitEntries(sections[key] || []).map(ENTRY_MAPPERS[key]);
+    return draft;
+  }, {});
+};
+
+module.exports = {
+  parseCvText,
+  parseCvDate,
+  findDates,
+};
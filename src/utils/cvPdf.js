@@ -0,0 +1,253 @@
+/**
+ * Teacher CV PDF layouts (pdfkit)
+ */
+
+const LAYOUTS = {
+  classic: {
+    margin: 50,
+    nameSize: 22,
+    headingSize: 13,
+    bodySize: 10,
+    font: "Times-Roman",
+    boldFont: "Times-Bold",
+    accent: "#000000",
+    align: "center",
+    headerBand: false,
+    sectionGap: 1,
+  },
+  modern: {
+    margin: 50,
+    nameSize: 24,
+    headingSize: 12,
+    bodySize: 10,
+    font: "Helvetica",
+    boldFont: "Helvetica-Bold",
+    accent: "#1f4e79",
+    align: "left",
+    headerBand: true,
+    sectionGap: 1,
+  },
+  compact: {
+    margin: 36,
+    nameSize: 16,
+    headingSize: 10,
+    bodySize: 8.5,
+    font: "Helvetica",
+    boldFont: "Helvetica-Bold",
+    accent: "#333333",
+    align: "left",
+    headerBand: false,
+    sectionGap: 0.5,
+  },
+};
+
+const CV_LAYOUTS = Object.keys(LAYOUTS);
+
+// Sensitive fields a teacher can leave off the CV
+const CV_HIDEABLE_FIELDS = ["passportNumber", "dateOfBirth", "dependents"];
+
+/**
+ * Format a CV date as month and year (e.g. Sep 2021)
+ * @param {Date} date - Date to format
+ * @returns {string} - Formatted date
+ */
+const formatCvDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-GB", {
+        month: "short",
+        year: "numeric",
+      })
+    : "";
+
+/**
+ * Format a date range (e.g. Sep 2021 - Present)
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @param {boolean} isCurrent - Whether the entry is ongoing
+ * @returns {string} - Formatted range
+ */
+const formatCvPeriod = (start, end, isCurrent = false) => {
+  const from = formatCvDate(start);
+  const to = isCurrent ? "Present" : formatCvDate(end);
+  if (from && to) return `${from} - ${to}`;
+  return from || to;
+};
+
+const writeHeader = (doc, cv, style) => {
+  const width = doc.page.width - style.margin * 2;
+  const contact = [cv.email, cv.phoneNumber, cv.location, cv.linkedin]
+    .filter(Boolean)
+    .join("  |  ");
+
+  if (style.headerBand) {
+    doc.rect(0, 0, doc.page.width, 110).fill(style.accent);
+    doc
+      .fillColor("#ffffff")
+      .fontSize(style.nameSize)
+      .font(style.boldFont)
+      .text(cv.fullName, style.margin, 32, { width });
+    if (cv.professionalTitle) {
+      doc.fontSize(12).font(style.font).text(cv.professionalTitle, { width });
+    }
+    doc.fontSize(9).font(style.font).text(contact, { width });
+    doc.fillColor("#000000");
+    doc.y = 130;
+    doc.x = style.margin;
+  } else {
+    doc
+      .fillColor(style.accent)
+      .fontSize(style.nameSize)
+      .font(style.boldFont)
+      .text(cv.fullName, { align: style.align });
+    doc.fillColor("#000000");
+    if (cv.professionalTitle) {
+      doc
+        .fontSize(style.bodySize + 2)
+        .font(style.font)
+        .text(cv.professionalTitle, { align: style.align });
+    }
+    doc
+      .fontSize(style.bodySize - 1)
+      .font(style.font)
+      .text(contact, { align: style.align });
+  }
+
+  const personal = cv.personalDetails.filter(([, value]) => value);
+  if (personal.length) {
+    doc.moveDown(0.5);
+    doc
+      .fontSize(style.bodySize - 1)
+      .font(style.font)
+      .text(
+        personal.map(([label, value]) => `${label}: ${value}`).join("  |  "),
+        { align: style.align }
+      );
+  }
+};
+
+const writeHeading = (doc, heading, style) => {
+  doc.moveDown(style.sectionGap);
+  doc
+    .fillColor(style.accent)
+    .fontSize(style.headingSize)
+    .font(style.boldFont)
+    .text(heading.toUpperCase(), style.margin);
+  const y = doc.y + 2;
+  doc
+    .moveTo(style.margin, y)
+    .lineTo(doc.page.width - style.margin, y)
+    .lineWidth(0.5)
+    .strokeColor(style.accent)
+    .stroke();
+  doc.fillColor("#000000");
+  doc.moveDown(0.4);
+};
+
+const writeEntry = (doc, entry, style, compact) => {
+  const title = [entry.title, entry.subtitle].filter(Boolean).join(", ");
+
+  if (compact && entry.period) {
+    doc
+      .fontSize(style.bodySize)
+      .font(style.boldFont)
+      .text(title, { continued: true })
+      .font(style.font)
+      .text(`  (${entry.period})`);
+  } else {
+    doc
+      .fontSize(style.bodySize + 0.5)
+      .font(style.boldFont)
+      .text(title);
+    if (entry.period) {
+      doc
+        .fontSize(style.bodySize - 1)
+        .font(style.font)
+        .fillColor("#555555")
+        .text(entry.period)
+        .fillColor("#000000");
+    }
+  }
+
+  (entry.lines || []).filter(Boolean).forEach((line) => {
+    doc.fontSize(style.bodySize).font(style.font).text(line);
+  });
+
+  const bullets = (entry.bullets || []).filter(Boolean);
+  if (bullets.length) {
+    doc
+      .fontSize(style.bodySize)
+      .font(style.font)
+      .list(bullets, { bulletRadius: 1.5, textIndent: 10 });
+  }
+
+  doc.moveDown(compact ? 0.3 : 0.6);
+};
+
+/**
+ * Write a CV to a pdfkit document. The caller creates the document with
+ * getCvDocumentOptions(layout), then pipes and ends it.
+ *
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {Object} cv - CV content from CvService.buildCv
+ * @param {string} layout - One of CV_LAYOUTS
+ */
+const writeCv = (doc, cv, layout = "classic") => {
+  const style = LAYOUTS[layout] || LAYOUTS.classic;
+  const compact = layout === "compact";
+
+  writeHeader(doc, cv, style);
+
+  if (cv.summary) {
+    writeHeading(doc, "Profile", style);
+    doc
+      .fontSize(style.bodySize)
+      .font(style.font)
+      .text(cv.summary, {
+        align: "justify",
+        lineGap: compact ? 0 : 1,
+      });
+  }
+
+  if (cv.achievements.length) {
+    writeHeading(doc, "Key Achievements", style);
+    doc
+      .fontSize(style.bodySize)
+      .font(style.font)
+      .list(cv.achievements, { bulletRadius: 1.5, textIndent: 10 });
+  }
+
+  cv.sections.forEach((section) => {
+    if (!section.entries.length) return;
+    writeHeading(doc, section.heading, style);
+    section.entries.forEach((entry) => writeEntry(doc, entry, style, compact));
+  });
+
+  if (cv.languages.length) {
+    writeHeading(doc, "Languages", style);
+    doc.fontSize(style.bodySize).font(style.font).text(cv.languages.join(", "));
+  }
+
+  if (cv.refereesAvailable) {
+    writeHeading(doc, "References", style);
+    doc.fontSize(style.bodySize).font(style.font).text("Available on request.");
+  }
+};
+
+/**
+ * pdfkit constructor options for a layout
+ * @param {string} layout - One of CV_LAYOUTS
+ * @returns {Object} - PDFDocument options
+ */
+const getCvDocumentOptions = (layout = "classic") => ({
+  margin: (LAYOUTS[layout] || LAYOUTS.classic).margin,
+  size: "A4",
+});
+
+module.exports = {
+  CV_LAYOUTS,
+  CV_HIDEABLE_FIELDS,
+  writeCv,
+  getCvDocumentOptions,
+  formatCvDate,
+  formatCvPeriod,
+};
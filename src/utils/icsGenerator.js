@@ -0,0 +1,122 @@
+/**
+ * iCalendar (RFC 5545) generation for calendar invites sent by email
+ */
+
+const PRODID = "-//Educate Global Hub//Interviews//EN";
+
+/**
+ * Format a date as a UTC iCalendar timestamp (e.g. 20250101T093000Z)
+ * @param {Date} date - Date to format
+ * @returns {string} - iCalendar date-time
+ */
+const formatDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Escape text values (commas, semicolons, backslashes and newlines)
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (value = "") =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold a content line to 75 octets as required by RFC 5545
+ * @param {string} line - Unfolded line
+ * @returns {string} - Folded line
+ */
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char, "utf8") > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Build a calendar invite for a single event
+ * @param {Object} event - Event details
+ * @param {string} event.uid - Stable unique id; reuse it for updates and cancellations
+ * @param {number} event.sequence - Revision number, incremented on every change
+ * @param {string} event.method - 'REQUEST' or 'CANCEL'
+ * @param {Date} event.start - Start time
+ * @param {number} event.durationMinutes - Duration in minutes
+ * @param {string} event.summary - Title
+ * @param {string} event.description - Description
+ * @param {string} event.location - Physical location or meeting link
+ * @param {string} event.url - Optional link (e.g. video meeting)
+ * @param {Object} event.organizer - { name, email }
+ * @param {Array} event.attendees - [{ name, email }]
+ * @returns {string} - iCalendar content
+ */
+const buildCalendarEvent = ({
+  uid,
+  sequence = 0,
+  method = "REQUEST",
+  start,
+  durationMinutes = 60,
+  summary,
+  description = "",
+  location = "",
+  url,
+  organizer,
+  attendees = [],
+}) => {
+  const end = new Date(new Date(start).getTime() + durationMinutes * 60 * 1000);
+  const cancelled = method === "CANCEL";
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+  ];
+
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizer && organizer.email) {
+    lines.push(
+      `ORGANIZER;CN=${escapeText(organizer.name || organizer.email)}:mailto:${organizer.email}`
+    );
+  }
+  attendees
+    .filter((attendee) => attendee && attendee.email)
+    .forEach((attendee) => {
+      lines.push(
+        `ATTENDEE;CN=${escapeText(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${attendee.email}`
+      );
+    });
+
+  lines.push("END:VEVENT", "END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  buildCalendarEvent,
+  formatDate,
+};
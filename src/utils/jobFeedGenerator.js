@@ -0,0 +1,244 @@
+/**
+ * Job syndication formats: Indeed-style XML, RSS 2.0 and schema.org
+ * JobPosting JSON-LD. Builders take feed jobs prepared by JobFeedService
+ * and never see undisclosed salaries.
+ */
+
+const PUBLISHER = "Educate Global Hub";
+
+// Job.jobType -> Indeed <jobtype>
+const INDEED_JOB_TYPES = {
+  full_time: "fulltime",
+  part_time: "parttime",
+  contract: "contract",
+  substitute: "temporary",
+};
+
+// Job.jobType -> schema.org employmentType
+const SCHEMA_EMPLOYMENT_TYPES = {
+  full_time: "FULL_TIME",
+  part_time: "PART_TIME",
+  contract: "CONTRACTOR",
+  substitute: "TEMPORARY",
+};
+
+/**
+ * Whether a code point is allowed in XML 1.0 (tab, newline, carriage return
+ * and the non-control ranges, excluding lone surrogates)
+ * @param {number} code - Unicode code point
+ * @returns {boolean}
+ */
+const isValidXmlCodePoint = (code) =>
+  code === 0x09 ||
+  code === 0x0a ||
+  code === 0x0d ||
+  (code >= 0x20 && code <= 0xd7ff) ||
+  (code >= 0xe000 && code <= 0xfffd) ||
+  (code >= 0x10000 && code <= 0x10ffff);
+
+/**
+ * Remove characters that are not allowed in XML 1.0
+ * @param {string} value - Raw text
+ * @returns {string} - Text safe for XML
+ */
+const stripInvalidXml = (value = "") =>
+  Array.from(String(value))
+    .filter((char) => isValidXmlCodePoint(char.codePointAt(0)))
+    .join("");
+
+/**
+ * Escape text for XML element content and attributes
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (value = "") =>
+  stripInvalidXml(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Wrap text in a CDATA section (splitting any "]]>" it contains)
+ * @param {string} value - Raw text
+ * @returns {string} - CDATA section
+ */
+const cdata = (value = "") =>
+  `<![CDATA[${stripInvalidXml(value).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+/**
+ * Format a date as RFC 822 (RSS and Indeed dates)
+ * @param {Date} date - Date to format
+ * @returns {string} - e.g. "Sat, 18 Oct 2026 09:30:00 GMT"
+ */
+const formatRfc822 = (date) => new Date(date).toUTCString();
+
+/**
+ * Build an Indeed-style XML feed
+ * @param {Array} jobs - Feed jobs
+ * @param {Object} meta - { publisherUrl }
+ * @returns {string} - XML document
+ */
+const buildIndeedFeed = (jobs, { publisherUrl }) => {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    "<source>",
+    `  <publisher>${escapeXml(PUBLISHER)}</publisher>`,
+    `  <publisherurl>${escapeXml(publisherUrl)}</publisherurl>`,
+    `  <lastBuildDate>${formatRfc822(new Date())}</lastBuildDate>`,
+  ];
+
+  jobs.forEach((job) => {
+    const fields = [
+      ["title", job.title],
+      ["date", formatRfc822(job.datePosted)],
+      ["referencenumber", job.id],
+      ["url", job.url],
+      ["company", job.company],
+      ["city", job.city],
+      ["country", job.country],
+      ["description", job.description],
+      ["salary", job.salaryText],
+      ["education", job.qualification],
+      ["jobtype", INDEED_JOB_TYPES[job.jobType]],
+      ["category", job.category],
+      [
+        "experience",
+        job.minExperience ? `${job.minExperience}+ years` : undefined,
+      ],
+      ["expirationdate", formatRfc822(job.validThrough)],
+    ];
+
+    lines.push("  <job>");
+    fields
+      .filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      )
+      .forEach(([name, value]) => {
+        lines.push(`    <${name}>${cdata(value)}</${name}>`);
+      });
+    lines.push("  </job>");
+  });
+
+  lines.push("</source>");
+  return lines.join("\n") + "\n";
+};
+
+/**
+ * Build an RSS 2.0 feed
+ * @param {Array} jobs - Feed jobs
+ * @param {Object} meta - { title, link, description }
+ * @returns {string} - XML document
+ */
+const buildRssFeed = (jobs, { title, link, description }) => {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0">',
+    "  <channel>",
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(link)}</link>`,
+    `    <description>${escapeXml(description)}</description>`,
+    "    <language>en</language>",
+    `    <lastBuildDate>${formatRfc822(new Date())}</lastBuildDate>`,
+  ];
+
+  jobs.forEach((job) => {
+    const summary = [
+      job.company,
+      [job.city, job.country].filter(Boolean).join(", "),
+      job.salaryText,
+      `Apply by ${new Date(job.validThrough).toDateString()}`,
+    ]
+      .filter(Boolean)
+      .join(" | ");
+
+    lines.push(
+      "    <item>",
+      `      <title>${escapeXml(`${job.title} - ${job.company}`)}</title>`,
+      `      <link>${escapeXml(job.url)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(job.id)}</guid>`,
+      `      <pubDate>${formatRfc822(job.datePosted)}</pubDate>`
+    );
+    if (job.category) {
+      lines.push(`      <category>${escapeXml(job.category)}</category>`);
+    }
+    lines.push(
+      `      <description>${escapeXml(`${summary}\n\n${job.description}`)}</description>`,
+      "    </item>"
+    );
+  });
+
+  lines.push("  </channel>", "</rss>");
+  return lines.join("\n") + "\n";
+};
+
+/**
+ * Build a schema.org JobPosting (JSON-LD) for a job detail page
+ * @param {Object} job - Feed job
+ * @returns {Object} - JSON-LD object
+ */
+const buildJobPosting = (job) => {
+  const posting = {
+    "@context": "https://schema.org/",
+    "@type": "JobPosting",
+    title: job.title,
+    description: job.description,
+    identifier: {
+      "@type": "PropertyValue",
+      name: job.company,
+      value: job.id,
+    },
+    datePosted: new Date(job.datePosted).toISOString(),
+    validThrough: new Date(job.validThrough).toISOString(),
+    employmentType: SCHEMA_EMPLOYMENT_TYPES[job.jobType],
+    hiringOrganization: {
+      "@type": "Organization",
+      name: job.company,
+      ...(job.companyUrl && { sameAs: job.companyUrl }),
+    },
+    jobLocation: {
+      "@type": "Place",
+      address: {
+        "@type": "PostalAddress",
+        addressLocality: job.city,
+        addressCountry: job.country,
+      },
+    },
+    industry: "Education",
+    occupationalCategory: job.category,
+    url: job.url,
+  };
+
+  if (job.qualification) {
+    posting.educationRequirements = job.qualification;
+  }
+
+  if (job.minExperience) {
+    posting.experienceRequirements = {
+      "@type": "OccupationalExperienceRequirements",
+      monthsOfExperience: job.minExperience * 12,
+    };
+  }
+
+  if (job.salary) {
+    posting.baseSalary = {
+      "@type": "MonetaryAmount",
+      currency: job.salary.currency,
+      value: {
+        "@type": "QuantitativeValue",
+        ...(job.salary.min && { minValue: job.salary.min }),
+        ...(job.salary.max && { maxValue: job.salary.max }),
+        unitText: "YEAR",
+      },
+    };
+  }
+
+  return posting;
+};
+
+module.exports = {
+  buildIndeedFeed,
+  buildRssFeed,
+  buildJobPosting,
+};
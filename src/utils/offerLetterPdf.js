@@ -0,0 +1,153 @@
+/**
+ * Offer letter PDF layout (pdfkit)
+ */
+
+const { formatCurrency } = require("./currency");
+
+const PERIOD_LABELS = {
+  annual: "per year",
+  monthly: "per month",
+  hourly: "per hour",
+};
+
+/**
+ * Format a date for the letter (e.g. 1 September 2025)
+ * @param {Date} date - Date to format
+ * @returns {string} - Formatted date
+ */
+const formatLetterDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-GB", {
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+      })
+    : "-";
+
+/**
+ * Format an offer salary (e.g. "£42,000.00 per year")
+ * @param {Object} salary - { amount, currency, period }
+ * @returns {string} - Formatted salary
+ */
+const formatSalary = (salary) =>
+  `${formatCurrency(salary.amount, salary.currency)} ${
+    PERIOD_LABELS[salary.period] || ""
+  }`.trim();
+
+/**
+ * Write an offer letter to a pdfkit document. The caller creates, pipes
+ * and ends the document.
+ *
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {Object} offer - Offer document
+ * @param {Object} details - { schoolName, schoolAddress, teacherName, jobTitle }
+ */
+const writeOfferLetter = (doc, offer, details) => {
+  // Letterhead
+  doc
+    .fontSize(18)
+    .font("Helvetica-Bold")
+    .text(details.schoolName, { align: "center" });
+  if (details.schoolAddress) {
+    doc
+      .fontSize(10)
+      .font("Helvetica")
+      .text(details.schoolAddress, { align: "center" });
+  }
+  doc.moveDown(1.5);
+
+  doc
+    .fontSize(10)
+    .font("Helvetica")
+    .text(formatLetterDate(offer.createdAt), { align: "right" });
+  doc.moveDown(1);
+
+  doc
+    .fontSize(14)
+    .font("Helvetica-Bold")
+    .text(`Offer of Employment: ${details.jobTitle}`);
+  doc.moveDown(1);
+
+  // Letter body snapshot
+  doc.fontSize(11).font("Helvetica").text(offer.letterBody, {
+    align: "left",
+    lineGap: 2,
+  });
+  doc.moveDown(1);
+
+  // Terms summary
+  doc.fontSize(12).font("Helvetica-Bold").text("Summary of Terms");
+  doc.moveDown(0.5);
+
+  const terms = [
+    ["Position", details.jobTitle],
+    ["Salary", formatSalary(offer.salary)],
+    ["Start date", formatLetterDate(offer.startDate)],
+    ["Contract length", offer.contractLength || "-"],
+    ["Benefits", offer.benefits.length ? offer.benefits.join(", ") : "-"],
+    ["Housing", offer.housing || "-"],
+    ["Offer valid until", formatLetterDate(offer.expiresAt)],
+  ];
+
+  terms.forEach(([label, value]) => {
+    doc
+      .fontSize(10)
+      .font("Helvetica-Bold")
+      .text(`${label}: `, { continued: true })
+      .font("Helvetica")
+      .text(value);
+  });
+
+  if (offer.additionalTerms) {
+    doc.moveDown(1);
+    doc.fontSize(12).font("Helvetica-Bold").text("Additional Terms");
+    doc.moveDown(0.5);
+    doc.fontSize(10).font("Helvetica").text(offer.additionalTerms);
+  }
+
+  doc.moveDown(1.5);
+
+  // School signatory
+  if (offer.closing) {
+    doc.fontSize(11).font("Helvetica").text(offer.closing);
+    doc.moveDown(0.5);
+  }
+  if (offer.signatoryName) {
+    doc.fontSize(11).font("Helvetica-Bold").text(offer.signatoryName);
+  }
+  if (offer.signatoryTitle) {
+    doc.fontSize(10).font("Helvetica").text(offer.signatoryTitle);
+  }
+  doc.fontSize(10).font("Helvetica").text(details.schoolName);
+
+  // Candidate response
+  doc.moveDown(2);
+  doc.fontSize(12).font("Helvetica-Bold").text("Candidate Response");
+  doc.moveDown(0.5);
+
+  if (offer.signature && offer.signature.signedAt) {
+    const outcome = offer.status === "accepted" ? "Accepted" : "Declined";
+    doc
+      .fontSize(10)
+      .font("Helvetica")
+      .text(`${outcome} by ${details.teacherName}`)
+      .text(`Signed: ${offer.signature.typedName}`)
+      .text(`Date: ${new Date(offer.signature.signedAt).toISOString()}`)
+      .text(`IP address: ${offer.signature.ipAddress || "-"}`);
+  } else {
+    doc
+      .fontSize(10)
+      .font("Helvetica")
+      .text(
+        offer.status === "sent"
+          ? `Awaiting response from ${details.teacherName}.`
+          : `Offer ${offer.status}.`
+      );
+  }
+};
+
+module.exports = {
+  writeOfferLetter,
+  formatSalary,
+  formatLetterDate,
+};
@@ -0,0 +1,293 @@
+/**
+ * Helpers for fetching uploaded resource files (direct Cloudinary URLs from
+ * frontend uploads) on the server, for proxied and zipped downloads and for
+ * preview generation
+ */
+const http = require("http");
+const https = require("https");
+const { cloudinary } = require("../config/cloudinary");
+
+const CONTENT_TYPES = {
+  pdf: "application/pdf",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ppt: "application/vnd.ms-powerpoint",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  xls: "application/vnd.ms-excel",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  zip: "application/zip",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  mp3: "audio/mpeg",
+  wav: "audio/wav",
+  m4a: "audio/mp4",
+  mp4: "video/mp4",
+  txt: "text/plain",
+  bin: "application/octet-stream",
+};
+
+const CLOUDINARY_HOST = "res.cloudinary.com";
+
+/**
+ * Whether a URL is an https delivery URL of this account's Cloudinary
+ * cloud. Seller-supplied file URLs must be, since the server fetches them.
+ */
+const isCloudinaryFileUrl = (url) => {
+  try {
+    const { protocol, hostname, pathname } = new URL(url);
+    const cloudName = cloudinary.config().cloud_name;
+    return (
+      protocol === "https:" &&
+      hostname === CLOUDINARY_HOST &&
+      Boolean(cloudName) &&
+      pathname.startsWith(`/${cloudName}/`)
+    );
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Extract public_id, resource type and format from a Cloudinary URL
+ * @param {string} url - Cloudinary delivery URL
+ * @returns {Object|null} - { publicId, resourceType, format }
+ */
+const extractCloudinaryInfo = (url) => {
+  try {
+    const urlObj = new URL(url);
+    const pathParts = urlObj.pathname.split("/");
+
+    // Find resource_type (image, video, raw)
+    let resourceType = "image";
+    if (pathParts.includes("video")) resourceType = "video";
+    else if (pathParts.includes("raw")) resourceType = "raw";
+
+    // Find the index of 'upload' and get everything after it
+    const uploadIndex = pathParts.indexOf("upload");
+    if (uploadIndex === -1) return null;
+
+    // Get parts after 'upload', skip version (starts with 'v' followed by numbers)
+    let publicIdParts = pathParts.slice(uploadIndex + 1);
+    if (publicIdParts[0] && /^v\d+$/.test(publicIdParts[0])) {
+      publicIdParts = publicIdParts.slice(1);
+    }
+
+    // Join to get full path
+    const fullPath = publicIdParts.join("/");
+
+    // Check if there's actually a file extension (contains a dot in the last segment)
+    const lastSegment = publicIdParts[publicIdParts.length - 1] || "";
+    const hasExtension = lastSegment.includes(".");
+
+    let publicId, format;
+    if (hasExtension) {
+      // Remove file extension from public ID
+      publicId = fullPath.replace(/\.[^/.]+$/, "");
+      format = lastSegment.split(".").pop() || null;
+    } else {
+      // No extension - use full path as public ID
+      publicId = fullPath;
+      format = null;
+    }
+
+    return { publicId, resourceType, format };
+  } catch (e) {
+    console.error("Error extracting Cloudinary info:", e);
+    return null;
+  }
+};
+
+/**
+ * File extension from a URL, or the fallback when it has none
+ */
+const getFileExtension = (url, fallback = "pdf") => {
+  try {
+    const lastSegment = new URL(url).pathname.split("/").pop() || "";
+    if (lastSegment.includes(".")) {
+      return lastSegment.split(".").pop()?.toLowerCase() || fallback;
+    }
+  } catch (e) {
+    // Not a valid URL
+  }
+  return fallback;
+};
+
+const getContentType = (extension) =>
+  CONTENT_TYPES[extension] || "application/octet-stream";
+
+/**
+ * Filesystem-safe name from a resource or file title
+ */
+const safeFileName = (title, fallback = "resource") =>
+  (title || fallback)
+    .replace(/[^a-zA-Z0-9\s-]/g, "")
+    .trim()
+    .replace(/\s+/g, "_")
+    .substring(0, 100) || fallback;
+
+/**
+ * Signed Cloudinary delivery URL for a file, so restricted formats
+ * (PDF, ZIP) can be fetched. Non-Cloudinary URLs are returned as-is.
+ */
+const getDeliveryUrl = (fileUrl) => {
+  if (!fileUrl.includes("cloudinary.com")) return fileUrl;
+
+  const cloudInfo = extractCloudinaryInfo(fileUrl);
+  // Cloudinary raw files without an extension don't need signed URLs if they're public
+  if (!cloudInfo || (cloudInfo.resourceType === "raw" && !cloudInfo.format)) {
+    return fileUrl;
+  }
+
+  // Build URL options - only add format if it exists
+  const urlOptions = {
+    resource_type: cloudInfo.resourceType,
+    type: "upload",
+    sign_url: true,
+    secure: true,
+    timestamp: Math.round(Date.now() / 1000),
+  };
+  if (cloudInfo.format) {
+    urlOptions.format = cloudInfo.format;
+  }
+
+  return cloudinary.url(cloudInfo.publicId, urlOptions);
+};
+
+/**
+ * GET a file URL, following redirects. With cloudinaryOnly (the default)
+ * the URL and every redirect must stay on the account's Cloudinary host;
+ * otherwise any http(s) URL is fetched, as main files uploaded before
+ * Cloudinary-only uploads may live elsewhere.
+ * @returns {Promise<http.IncomingMessage>} - Response stream (status 200)
+ */
+const fetchWithRedirects = (
+  url,
+  { cloudinaryOnly = true, maxRedirects = 5 } = {}
+) => {
+  return new Promise((resolve, reject) => {
+    if (maxRedirects <= 0) {
+      return reject(new Error("Too many redirects"));
+    }
+    if (cloudinaryOnly && !isCloudinaryFileUrl(url)) {
+      return reject(new Error("File URL is not an allowed Cloudinary URL"));
+    }
+    if (!/^https?:\/\//i.test(url)) {
+      return reject(new Error("File URL must use http or https"));
+    }
+
+    const protocol = url.startsWith("https") ? https : http;
+
+    protocol
+      .get(url, (response) => {
+        // Handle redirects (301, 302, 303, 307, 308)
+        if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+          const redirectUrl = response.headers.location;
+          response.resume();
+          if (!redirectUrl) {
+            return reject(new Error("Redirect without location header"));
+          }
+          const resolvedUrl = new URL(redirectUrl, url).toString();
+          return fetchWithRedirects(resolvedUrl, {
+            cloudinaryOnly,
+            maxRedirects: maxRedirects - 1,
+          })
+            .then(resolve)
+            .catch(reject);
+        }
+
+        // If 401 with signed URL, the caller can try the Admin API
+        if (response.statusCode === 401 && url.includes("cloudinary.com")) {
+          response.resume();
+          return reject(new Error("AUTH_FAILED"));
+        }
+
+        if (response.statusCode !== 200) {
+          response.resume();
+          return reject(
+            new Error(`Failed to fetch file: ${response.statusCode}`)
+          );
+        }
+
+        resolve(response);
+      })
+      .on("error", reject);
+  });
+};
+
+/**
+ * Open a download stream for an uploaded file, falling back to the
+ * Cloudinary Admin API when the signed URL is refused
+ * @param {string} fileUrl
+ * @param {Object} options - { cloudinaryOnly } (see fetchWithRedirects)
+ * @returns {Promise<http.IncomingMessage>}
+ */
+const openFileStream = async (fileUrl, { cloudinaryOnly = true } = {}) => {
+  try {
+    return await fetchWithRedirects(getDeliveryUrl(fileUrl), {
+      cloudinaryOnly,
+    });
+  } catch (err) {
+    if (err.message !== "AUTH_FAILED" || !fileUrl.includes("cloudinary.com")) {
+      throw err;
+    }
+
+    const cloudInfo = extractCloudinaryInfo(fileUrl);
+    if (!cloudInfo) throw err;
+
+    console.log("Using Cloudinary Admin API fallback...");
+    try {
+      const resourceDetails = await cloudinary.api.resource(
+        cloudInfo.publicId,
+        { resource_type: cloudInfo.resourceType }
+      );
+      return await fetchWithRedirects(resourceDetails.secure_url, {
+        cloudinaryOnly,
+      });
+    } catch (apiError) {
+      console.error("Admin API error:", apiError);
+      throw new Error("Failed to access file through Admin API");
+    }
+  }
+};
+
+/**
+ * Download an uploaded file into memory
+ * @param {string} fileUrl
+ * @param {number} maxBytes - Reject files larger than this
+ * @returns {Promise<Buffer>}
+ */
+const readFileBuffer = async (fileUrl, maxBytes = 50 * 1024 * 1024) => {
+  const stream = await openFileStream(fileUrl);
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    stream.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.destroy();
+        reject(new Error("File is too large"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+  });
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  isCloudinaryFileUrl,
+  extractCloudinaryInfo,
+  getFileExtension,
+  getContentType,
+  safeFileName,
+  getDeliveryUrl,
+  fetchWithRedirects,
+  openFileStream,
+  readFileBuffer,
+};
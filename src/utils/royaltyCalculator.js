@@ -163,6 +163,73 @@ function calculateRoyalty(
   };
 }
 
+/**
+ * Split an amount across items in proportion to their shares, giving the
+ * rounding remainder to the largest fractions so the parts add up exactly
+ * @param {number} amount - Amount in smallest unit
+ * @param {number[]} shares - Item shares (summing to 1)
+ * @returns {number[]} Item amounts
+ */
+function allocateAmount(amount, shares) {
+  const exact = shares.map((share) => amount * share);
+  const parts = exact.map(Math.floor);
+  let remainder = amount - parts.reduce((sum, part) => sum + part, 0);
+
+  exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        parts[index] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return parts;
+}
+
+/**
+ * Split the royalty breakdown of a multi-item sale (e.g. a bundle) across
+ * its items. The royalty is calculated once for the whole payment, so VAT
+ * and the small transaction fee apply to the payment rather than per item.
+ * @param {object} royalty - calculateRoyalty() result for the whole payment
+ * @param {number[]} weights - Item weights, e.g. list prices in smallest unit
+ * @returns {object[]} Per-item breakdown (same fields as calculateRoyalty)
+ */
+function splitRoyalty(royalty, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const shares = weights.map((weight) =>
+    totalWeight > 0 ? weight / totalWeight : 1 / weights.length
+  );
+
+  const items = weights.map(() => ({
+    currency: royalty.currency,
+    royaltyRate: royalty.royaltyRate,
+    sellerTier: royalty.sellerTier,
+  }));
+
+  ["originalPrice", "vatAmount", "transactionFee", "sellerEarnings"].forEach(
+    (field) => {
+      allocateAmount(royalty[field], shares).forEach((amount, index) => {
+        items[index][field] = amount;
+      });
+    }
+  );
+
+  // Derive the rest per item so each item's breakdown adds up
+  return items.map((item) => {
+    const netPrice = item.originalPrice - item.vatAmount;
+    return {
+      ...item,
+      netPrice,
+      platformCommission: Math.max(
+        0,
+        netPrice - item.sellerEarnings - item.transactionFee
+      ),
+    };
+  });
+}
+
 /**
  * Format currency for display (converts FROM cents/pence)
  * NOTE: This function expects amount in CENTS/PENCE, not decimal!
@@ -264,6 +331,7 @@ module.exports = {
   determineSellerTier,
   calculateTransactionFee,
   calculateRoyalty,
+  splitRoyalty,
   formatCurrency,
   toSmallestUnit,
   fromSmallestUnit,
@@ -59,6 +59,19 @@ const getEmailTemplate = async (templateName, variables = {}) => {
   return processTemplate(template, variables);
 };
 
+/**
+ * Escape user-supplied text before placing it in a template
+ * @param {string} value - Raw text
+ * @returns {string} - HTML-safe text
+ */
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
 /**
  * Clear template cache (useful for development)
  */
@@ -70,5 +83,6 @@ module.exports = {
   loadTemplate,
   processTemplate,
   getEmailTemplate,
+  escapeHtml,
   clearCache,
 };